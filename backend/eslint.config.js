@@ -0,0 +1,31 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+const prettier = require('eslint-config-prettier');
+
+module.exports = [
+    js.configs.recommended,
+    prettier, // Must be last to override other configs
+    {
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'commonjs',
+            globals: {
+                ...globals.node,
+            },
+        },
+        rules: {
+            // Error prevention
+            'no-unused-vars': ['warn', { argsIgnorePattern: '^_', caughtErrors: 'none' }],
+            'no-console': 'off', // Allow console in Node.js
+
+            // Code style
+            'prefer-const': 'error',
+            'no-var': 'error',
+            'eqeqeq': ['error', 'always'],
+
+            // Async best practices
+            'no-async-promise-executor': 'error',
+            'require-await': 'warn',
+        },
+    },
+];
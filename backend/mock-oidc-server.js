@@ -0,0 +1,295 @@
+/**
+ * Mock OpenID Connect Server
+ * Local identity provider to try and debug the SSO login without a real IdP
+ *
+ * Usage:
+ *   npm run mock:oidc
+ *
+ * Backend .env:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:9400
+ *   OIDC_MOCK_CLIENT_ID=pingrid
+ *   OIDC_MOCK_CLIENT_SECRET=pingrid-secret
+ *   OIDC_MOCK_NAME=Mock SSO
+ *
+ * The sign-in page lets you choose the subject, email and names sent to PinGrid
+ * (a new subject = a new identity). MOCK_OIDC_AUTO_APPROVE=true skips it and
+ * signs in the default user right away (scripts).
+ *
+ * Supports: discovery, authorization code + PKCE (S256 required), client_secret_basic
+ * and client_secret_post, RS256 ID tokens, JWKS, userinfo. Everything is kept in memory.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/$/, '');
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'pingrid';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'pingrid-secret';
+const AUTO_APPROVE = process.env.MOCK_OIDC_AUTO_APPROVE === 'true';
+const DEFAULT_USER = {
+  sub: process.env.MOCK_OIDC_SUB || 'mock-user-1',
+  email: process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com',
+  given_name: process.env.MOCK_OIDC_GIVEN_NAME || 'Sso',
+  family_name: process.env.MOCK_OIDC_FAMILY_NAME || 'User'
+};
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+// Signing key, new at each start (clients read it from the JWKS)
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWKS = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] };
+
+// code -> { clientId, redirectUri, codeChallenge, nonce, claims, expiresAt }
+const codes = new Map();
+// access token -> claims
+const accessTokens = new Map();
+
+const DISCOVERY = {
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  userinfo_endpoint: `${ISSUER}/userinfo`,
+  jwks_uri: `${ISSUER}/jwks`,
+  response_types_supported: ['code'],
+  subject_types_supported: ['public'],
+  id_token_signing_alg_values_supported: ['RS256'],
+  scopes_supported: ['openid', 'email', 'profile'],
+  token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+  code_challenge_methods_supported: ['S256'],
+  claims_supported: ['sub', 'email', 'email_verified', 'name', 'given_name', 'family_name']
+};
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendHtml(res, status, html) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check the authorization request; returns an error message or null
+ */
+function validateAuthorizationRequest(params) {
+  if (params.get('client_id') !== CLIENT_ID) return 'Unknown client_id';
+  if (params.get('response_type') !== 'code') return 'Only response_type=code is supported';
+  if (!params.get('redirect_uri')) return 'redirect_uri is required';
+  if (!(params.get('scope') || '').split(' ').includes('openid')) return 'scope must include openid';
+  if (!params.get('code_challenge') || params.get('code_challenge_method') !== 'S256') {
+    return 'PKCE with code_challenge_method=S256 is required';
+  }
+  return null;
+}
+
+/**
+ * Issue a code and send the browser back to the client
+ */
+function approve(res, params, user) {
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId: params.get('client_id'),
+    redirectUri: params.get('redirect_uri'),
+    codeChallenge: params.get('code_challenge'),
+    nonce: params.get('nonce') || undefined,
+    claims: {
+      sub: user.sub,
+      email: user.email,
+      email_verified: user.email_verified !== false,
+      given_name: user.given_name,
+      family_name: user.family_name,
+      name: [user.given_name, user.family_name].filter(Boolean).join(' ')
+    },
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const redirect = new URL(params.get('redirect_uri'));
+  redirect.searchParams.set('code', code);
+  if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+
+  console.log(`✅ Code issued for ${user.email} (${user.sub})`);
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+function renderSignInPage(params, error = '') {
+  const hidden = [...params.entries()]
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n      ');
+  const field = (name, label, value) =>
+    `<label>${label}<input name="${name}" value="${escapeHtml(value)}" required></label>`;
+
+  return `<!doctype html>
+<html>
+<head><title>Mock OIDC sign-in</title>
+<style>
+  body { font-family: sans-serif; background: #1a1a2e; color: #e4e4e7; display: flex; justify-content: center; padding-top: 60px; }
+  form { background: #1e1e2e; border: 1px solid #2d2d3f; border-radius: 12px; padding: 24px; width: 340px; }
+  label { display: block; margin-bottom: 12px; font-size: 13px; }
+  input:not([type=checkbox]) { display: block; width: 100%; box-sizing: border-box; padding: 8px; margin-top: 4px; }
+  button { padding: 8px 16px; margin-right: 8px; }
+  .error { color: #ef4444; }
+</style>
+</head>
+<body>
+  <form method="post" action="/authorize">
+    <h2>Mock identity provider</h2>
+    <p>Sign in to <strong>${escapeHtml(params.get('client_id'))}</strong> as:</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+      ${hidden}
+    ${field('sub', 'Subject (sub)', DEFAULT_USER.sub)}
+    ${field('email', 'Email', DEFAULT_USER.email)}
+    ${field('given_name', 'First name', DEFAULT_USER.given_name)}
+    ${field('family_name', 'Last name', DEFAULT_USER.family_name)}
+    <label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label>
+    <button type="submit" name="action" value="approve">Sign in</button>
+    <button type="submit" name="action" value="deny">Cancel</button>
+  </form>
+</body>
+</html>`;
+}
+
+async function handleAuthorize(req, res, url) {
+  if (req.method === 'GET') {
+    const params = url.searchParams;
+    const error = validateAuthorizationRequest(params);
+    if (error) return sendHtml(res, 400, `<p>${escapeHtml(error)}</p>`);
+
+    if (AUTO_APPROVE) return approve(res, params, DEFAULT_USER);
+    return sendHtml(res, 200, renderSignInPage(params));
+  }
+
+  // POST: sign-in form
+  const form = await readBody(req);
+  const params = new URLSearchParams(
+    [...form.entries()].filter(([name]) =>
+      !['sub', 'email', 'given_name', 'family_name', 'email_verified', 'action'].includes(name))
+  );
+  const error = validateAuthorizationRequest(params);
+  if (error) return sendHtml(res, 400, `<p>${escapeHtml(error)}</p>`);
+
+  if (form.get('action') === 'deny') {
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('error', 'access_denied');
+    if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  return approve(res, params, {
+    sub: form.get('sub'),
+    email: form.get('email'),
+    email_verified: form.get('email_verified') === 'true',
+    given_name: form.get('given_name'),
+    family_name: form.get('family_name')
+  });
+}
+
+async function handleToken(req, res) {
+  const form = await readBody(req);
+
+  // Client authentication: client_secret_basic or client_secret_post
+  let clientId = form.get('client_id');
+  let clientSecret = form.get('client_secret');
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret || '');
+  }
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  if (form.get('grant_type') !== 'authorization_code') {
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  }
+
+  // A code works once
+  const entry = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+  if (!entry || entry.expiresAt < Date.now() || entry.clientId !== clientId) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+  if (entry.redirectUri !== form.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+  }
+
+  const verifier = form.get('code_verifier') || '';
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  if (challenge !== entry.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { ...entry.claims, ...(entry.nonce && { nonce: entry.nonce }) },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: TOKEN_TTL_SECONDS }
+  );
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, entry.claims);
+
+  console.log(`🎫 Tokens issued for ${entry.claims.email}`);
+  return sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: idToken
+  });
+}
+
+function handleUserInfo(req, res) {
+  const authorization = req.headers.authorization || '';
+  const claims = authorization.startsWith('Bearer ') && accessTokens.get(authorization.slice(7));
+  if (!claims) {
+    return sendJson(res, 401, { error: 'invalid_token' }, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+  }
+  return sendJson(res, 200, claims);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  console.log(`🌐 ${req.method} ${url.pathname}`);
+
+  try {
+    if (url.pathname === '/.well-known/openid-configuration') return sendJson(res, 200, DISCOVERY);
+    if (url.pathname === '/jwks') return sendJson(res, 200, JWKS);
+    if (url.pathname === '/authorize') return await handleAuthorize(req, res, url);
+    if (url.pathname === '/token' && req.method === 'POST') return await handleToken(req, res);
+    if (url.pathname === '/userinfo') return handleUserInfo(req, res);
+    return sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    return sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC server on ${ISSUER}`);
+  console.log(`   client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+  console.log(`   ${AUTO_APPROVE ? `auto-approve as ${DEFAULT_USER.email}` : 'sign-in page on /authorize'}`);
+});
@@ -5,6 +5,7 @@ const compression = require('compression');
 require('dotenv').config();
 
 const errorHandler = require('./shared/middleware/errorHandler');
+const { requestContext } = require('./shared/middleware/requestContext');
 
 const app = express();
 
@@ -14,9 +15,9 @@ app.use(helmet({
   contentSecurityPolicy: false // Disable CSP for dev/simplicity, or configure fully
 }));
 
-// Debug logger
+// Debug logger (the realtime stream carries its token in the query string)
 app.use((req, res, next) => {
-  console.log(`🌐 ${req.method} ${req.url}`);
+  console.log(`🌐 ${req.method} ${req.url.replace(/([?&]token=)[^&]+/, '$1***')}`);
   next();
 });
 
@@ -30,9 +31,14 @@ app.use(cors({
 app.use(compression());
 
 // Body parsing middleware
+// Import commit payloads carry the whole bookmark selection (default limit is 100KB)
+app.use('/api/import/commit', express.json({ limit: '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Per-request context (X-Client-Id of the tab, used by realtime sync)
+app.use(requestContext);
+
 // Serve static files (for test pages)
 const path = require('path');
 app.use(express.static(path.join(__dirname, '../public')));
@@ -52,17 +58,38 @@ app.get('/health', (req, res) => {
 // API Routes
 const authRoutes = require('./modules/auth/auth.routes');
 const pagesRoutes = require('./modules/pages/pages.routes');
+const publicPagesRoutes = require('./modules/pages/public.routes');
 const sectionsRoutes = require('./modules/sections/sections.routes');
 const groupsRoutes = require('./modules/groups/groups.routes');
 const bookmarksRoutes = require('./modules/bookmarks/bookmarks.routes');
 const importRoutes = require('./modules/import/importRoutes');
+const exportRoutes = require('./modules/export/exportRoutes');
+const searchRoutes = require('./modules/search/search.routes');
+const tagsRoutes = require('./modules/tags/tags.routes');
+const linkHealthRoutes = require('./modules/linkHealth/linkHealth.routes');
+const trashRoutes = require('./modules/trash/trash.routes');
+const activityRoutes = require('./modules/activity/activity.routes');
+const analyticsRoutes = require('./modules/analytics/analytics.routes');
+const workspacesRoutes = require('./modules/workspaces/workspaces.routes');
+const realtimeRoutes = require('./modules/realtime/realtime.routes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/pages', pagesRoutes);
+app.use('/api/public/pages', publicPagesRoutes);
 app.use('/api/sections', sectionsRoutes);
 app.use('/api/groups', groupsRoutes);
+// Must be BEFORE /api/bookmarks (its /:id route would match "health")
+app.use('/api/bookmarks/health', linkHealthRoutes);
 app.use('/api/bookmarks', bookmarksRoutes);
 app.use('/api/import', importRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagsRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/workspaces', workspacesRoutes);
+app.use('/api/realtime', realtimeRoutes);
 app.use('/api/upload', require('./modules/upload/upload.routes'));
 
 // Development-only: Migrations endpoint
@@ -0,0 +1,34 @@
+const activityService = require('./activity.service');
+
+/**
+ * Activity Controller
+ * Gère les requêtes HTTP pour le journal d'activité
+ */
+class ActivityController {
+  /**
+   * GET /api/activity?entityType=&entityId=&action=&from=&to=&q=&before=&limit=
+   * Journal des modifications du user (plus récent d'abord)
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.userId;
+
+      const activity = await activityService.getActivity(userId, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: activity,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in getAll activity:', error);
+      res.status(error.message.includes('must be') ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to fetch activity',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = new ActivityController();
@@ -0,0 +1,84 @@
+const pool = require('../../shared/config/database');
+
+/**
+ * Activity Model
+ * Gère la table activity_log (audit trail des modifications)
+ */
+class Activity {
+  /**
+   * Enregistrer une action
+   * @param {object} entry - { userId, action, entityType, entityId?, entityName?, details? }
+   * @returns {Promise<object>} Entrée créée
+   */
+  static async create(entry) {
+    const { userId, action, entityType, entityId = null, entityName = null, details = {} } = entry;
+
+    const result = await pool.query(
+      `INSERT INTO activity_log (user_id, action, entity_type, entity_id, entity_name, details)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, action, entity_type, entity_id, entity_name, details, created_at`,
+      [userId, action, entityType, entityId, entityName, JSON.stringify(details)]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Récupérer le journal d'un user (plus récent d'abord)
+   * @param {string} userId - UUID du user
+   * @param {object} filters - { entityType?, entityId?, action?, from?, to?, search?, before?, limit }
+   * @returns {Promise<Array>} Entrées
+   */
+  static async findByUser(userId, filters) {
+    const { entityType, entityId, action, from, to, search, before, limit } = filters;
+
+    const conditions = ['user_id = $1'];
+    const values = [userId];
+
+    if (entityType) {
+      values.push(entityType);
+      conditions.push(`entity_type = $${values.length}`);
+    }
+    if (entityId) {
+      // L'élément lui-même ou ses mouvements (ancien/nouveau parent)
+      values.push(entityId);
+      conditions.push(`(entity_id = $${values.length}
+        OR details->'from'->>'id' = $${values.length}::text
+        OR details->'to'->>'id' = $${values.length}::text)`);
+    }
+    if (action) {
+      values.push(action);
+      conditions.push(`action = $${values.length}`);
+    }
+    if (from) {
+      values.push(from);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+    if (to) {
+      values.push(to);
+      conditions.push(`created_at <= $${values.length}`);
+    }
+    if (search) {
+      values.push(`%${search}%`);
+      conditions.push(`(entity_name ILIKE $${values.length} OR details->>'url' ILIKE $${values.length})`);
+    }
+    if (before) {
+      values.push(before);
+      conditions.push(`created_at < $${values.length}`);
+    }
+
+    values.push(limit);
+    const result = await pool.query(
+      `SELECT id, action, entity_type, entity_id, entity_name, details, created_at
+       FROM activity_log
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC
+       LIMIT $${values.length}`,
+      values
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = Activity;
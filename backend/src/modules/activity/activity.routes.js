@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const activityController = require('./activity.controller');
+const authMiddleware = require('../../shared/middleware/auth.middleware');
+
+/**
+ * Activity Routes
+ * All routes require authentication (JWT token)
+ */
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/activity
+ * Journal d'activité filtrable
+ * Query: entityType?, entityId?, action?, from?, to?, q?, before?, limit?
+ */
+router.get('/', activityController.getAll);
+
+module.exports = router;
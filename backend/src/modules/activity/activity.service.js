@@ -0,0 +1,116 @@
+const Activity = require('./activity.model');
+
+const ACTIONS = ['create', 'update', 'move', 'reorder', 'delete', 'restore', 'import'];
+const ENTITY_TYPES = ['page', 'section', 'group', 'bookmark'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Activity Service
+ * Audit trail: les services pages/sections/groups/bookmarks/import/trash
+ * enregistrent chaque modification, consultable via GET /api/activity
+ */
+class ActivityService {
+  /**
+   * Enregistrer une action
+   * Ne lève jamais d'erreur: un échec d'écriture du journal ne doit pas
+   * faire échouer la modification elle-même.
+   * @param {string} userId - UUID du user
+   * @param {object} entry - { action, entityType, entityId?, entityName?, details? }
+   * @returns {Promise<object|null>} Entrée créée ou null si échec
+   */
+  async log(userId, entry) {
+    try {
+      const created = await Activity.create({ userId, ...entry });
+      return created;
+    } catch (error) {
+      console.error(`⚠️ Activity log write failed (${entry.action} ${entry.entityType}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Champs modifiés entre deux versions d'un élément
+   * @param {object} before - Élément avant modification
+   * @param {object} after - Élément après modification
+   * @param {Array<string>} fields - Champs à comparer
+   * @returns {object} { champ: { from, to } } (vide si rien n'a changé)
+   */
+  diff(before, after, fields) {
+    return fields.reduce((changes, field) => {
+      const from = before[field] ?? null;
+      const to = after[field] ?? null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+      return changes;
+    }, {});
+  }
+
+  /**
+   * Journal d'un user avec filtres
+   * @param {string} userId - UUID du user
+   * @param {object} query - { entityType?, entityId?, action?, from?, to?, q?, before?, limit? }
+   * @returns {Promise<object>} { entries, hasMore }
+   * @throws {Error} Si un filtre est invalide
+   */
+  async getActivity(userId, query = {}) {
+    const { entityType, entityId, action, from, to, q, before } = query;
+
+    if (entityType && !ENTITY_TYPES.includes(entityType)) {
+      throw new Error(`entityType must be one of: ${ENTITY_TYPES.join(', ')}`);
+    }
+    if (action && !ACTIONS.includes(action)) {
+      throw new Error(`action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (entityId && !UUID_PATTERN.test(entityId)) {
+      throw new Error('entityId must be a valid UUID');
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    // Une page de plus pour savoir s'il reste des entrées
+    const rows = await Activity.findByUser(userId, {
+      entityType,
+      entityId,
+      action,
+      from: this.parseDate(from, 'from'),
+      to: this.parseDate(to, 'to', true),
+      search: q ? q.trim() : null,
+      before: this.parseDate(before, 'before'),
+      limit: limit + 1
+    });
+
+    return {
+      entries: rows.slice(0, limit),
+      hasMore: rows.length > limit
+    };
+  }
+
+  /**
+   * Parser un filtre de date (ISO 8601 ou YYYY-MM-DD)
+   * @param {string} value - Valeur du query param
+   * @param {string} name - Nom du paramètre (message d'erreur)
+   * @param {boolean} endOfDay - YYYY-MM-DD = fin de journée (borne "to" incluse)
+   * @returns {Date|null}
+   * @throws {Error} Si date invalide
+   * @private
+   */
+  parseDate(value, name, endOfDay = false) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`${name} must be a valid date`);
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+
+    return date;
+  }
+}
+
+module.exports = new ActivityService();
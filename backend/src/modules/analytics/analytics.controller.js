@@ -0,0 +1,34 @@
+const analyticsService = require('./analytics.service');
+
+/**
+ * Analytics Controller
+ * Gère les requêtes HTTP pour les statistiques d'usage
+ */
+class AnalyticsController {
+  /**
+   * GET /api/analytics?days=30&limit=10
+   * Clics par jour, top N sur la période, jamais cliqués, usage par page
+   */
+  async getAnalytics(req, res) {
+    try {
+      const userId = req.userId;
+
+      const analytics = await analyticsService.getAnalytics(userId, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: analytics,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in getAnalytics:', error);
+      res.status(error.message.includes('must be') ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to fetch analytics',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = new AnalyticsController();
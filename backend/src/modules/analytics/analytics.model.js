@@ -0,0 +1,240 @@
+const pool = require('../../shared/config/database');
+const { pageAccessCondition } = require('../workspaces/workspaceAccess');
+
+/**
+ * Analytics Model
+ * Gère la table bookmark_clicks (un événement par clic) et ses agrégats,
+ * ainsi que le score de frecency matérialisé (bookmark_frecency)
+ * Les périodes sont exprimées en jours, aujourd'hui inclus (date du serveur PostgreSQL)
+ */
+class Analytics {
+  /**
+   * Enregistrer un clic
+   * @param {string} userId - UUID du user
+   * @param {string} bookmarkId - UUID du bookmark compté
+   * @param {string} source - view | edit | search | keyboard
+   * @returns {Promise<object>} Événement créé
+   */
+  static async recordClick(userId, bookmarkId, source) {
+    const result = await pool.query(
+      `INSERT INTO bookmark_clicks (user_id, bookmark_id, source)
+       VALUES ($1, $2, $3)
+       RETURNING id, bookmark_id, source, clicked_at`,
+      [userId, bookmarkId, source]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Clics par jour sur la période (jours sans clic inclus, à 0)
+   * @param {string} userId - UUID du user
+   * @param {number} days - Taille de la période
+   * @returns {Promise<Array>} [{ day: 'YYYY-MM-DD', clicks }] du plus ancien au plus récent
+   */
+  static async getDailyClicks(userId, days) {
+    const result = await pool.query(
+      `SELECT to_char(d.day, 'YYYY-MM-DD') AS day, COUNT(c.id)::int AS clicks
+       FROM generate_series(CURRENT_DATE - ($2::int - 1), CURRENT_DATE, interval '1 day') AS d(day)
+       LEFT JOIN bookmark_clicks c
+         ON c.user_id = $1
+         AND c.clicked_at >= d.day
+         AND c.clicked_at < d.day + interval '1 day'
+       GROUP BY d.day
+       ORDER BY d.day`,
+      [userId, days]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Bookmarks les plus cliqués sur la période
+   * @param {string} userId - UUID du user
+   * @param {number} days - Taille de la période
+   * @param {number} limit - Nombre de bookmarks
+   * @returns {Promise<Array>} Bookmarks avec clicks, page_name, group_name
+   */
+  static async getTopBookmarks(userId, days, limit) {
+    const result = await pool.query(
+      `SELECT b.id, b.group_id, b.title, b.url, b.favicon_url, b.visit_count,
+              COUNT(c.id)::int AS clicks, MAX(c.clicked_at) AS last_clicked_at,
+              g.name AS group_name, p.id AS page_id, p.name AS page_name
+       FROM bookmark_clicks c
+       INNER JOIN bookmarks b ON c.bookmark_id = b.id
+       INNER JOIN groups g ON b.group_id = g.id
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       WHERE c.user_id = $1
+         AND c.clicked_at >= CURRENT_DATE - ($2::int - 1)
+         AND b.deleted_at IS NULL
+         AND ${pageAccessCondition('p', '$1')}
+       GROUP BY b.id, g.name, p.id, p.name
+       ORDER BY clicks DESC, last_clicked_at DESC
+       LIMIT $3`,
+      [userId, days, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Clics par jour pour une liste de bookmarks (jours avec au moins un clic)
+   * @param {string} userId - UUID du user
+   * @param {Array<string>} bookmarkIds - UUIDs des bookmarks
+   * @param {number} days - Taille de la période
+   * @returns {Promise<Array>} [{ bookmark_id, day: 'YYYY-MM-DD', clicks }]
+   */
+  static async getDailyClicksByBookmark(userId, bookmarkIds, days) {
+    const result = await pool.query(
+      `SELECT bookmark_id, to_char(clicked_at::date, 'YYYY-MM-DD') AS day, COUNT(*)::int AS clicks
+       FROM bookmark_clicks
+       WHERE user_id = $1
+         AND bookmark_id = ANY($2::uuid[])
+         AND clicked_at >= CURRENT_DATE - ($3::int - 1)
+       GROUP BY bookmark_id, clicked_at::date`,
+      [userId, bookmarkIds, days]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Bookmarks jamais cliqués (ni événement, ni visit_count historique)
+   * Les copies liées sont exclues: leurs clics sont comptés sur le bookmark conservé
+   * @param {string} userId - UUID du user
+   * @param {number} limit - Nombre de bookmarks
+   * @returns {Promise<object>} { bookmarks (plus anciens d'abord), total }
+   */
+  static async getNeverClicked(userId, limit) {
+    const result = await pool.query(
+      `SELECT b.id, b.group_id, b.title, b.url, b.favicon_url, b.created_at,
+              g.name AS group_name, s.name AS section_name, p.id AS page_id, p.name AS page_name,
+              COUNT(*) OVER()::int AS total
+       FROM bookmarks b
+       INNER JOIN groups g ON b.group_id = g.id
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       WHERE ${pageAccessCondition('p', '$1')}
+         AND b.deleted_at IS NULL
+         AND b.canonical_id IS NULL
+         AND b.visit_count = 0
+         AND NOT EXISTS (SELECT 1 FROM bookmark_clicks c WHERE c.bookmark_id = b.id)
+       ORDER BY b.created_at ASC
+       LIMIT $2`,
+      [userId, limit]
+    );
+
+    return {
+      bookmarks: result.rows.map((row) => {
+        const bookmark = { ...row };
+        delete bookmark.total;
+        return bookmark;
+      }),
+      total: result.rows.length > 0 ? result.rows[0].total : 0
+    };
+  }
+
+  /**
+   * Usage par page: nombre de bookmarks, clics sur la période, bookmarks jamais cliqués
+   * @param {string} userId - UUID du user
+   * @param {number} days - Taille de la période
+   * @returns {Promise<Array>} Pages personnelles puis pages des workspaces (ordre de la sidebar)
+   */
+  static async getUsageByPage(userId, days) {
+    const result = await pool.query(
+      `SELECT p.id, p.name, p.icon, p.workspace_id,
+              COUNT(b.id)::int AS bookmarks,
+              COALESCE(SUM(recent.clicks), 0)::int AS clicks,
+              COUNT(b.id) FILTER (
+                WHERE b.canonical_id IS NULL AND b.visit_count = 0 AND ever.bookmark_id IS NULL
+              )::int AS never_clicked
+       FROM pages p
+       LEFT JOIN sections s ON s.page_id = p.id AND s.deleted_at IS NULL
+       LEFT JOIN groups g ON g.section_id = s.id AND g.deleted_at IS NULL
+       LEFT JOIN bookmarks b ON b.group_id = g.id AND b.deleted_at IS NULL
+       LEFT JOIN (
+         SELECT bookmark_id, COUNT(*) AS clicks
+         FROM bookmark_clicks
+         WHERE user_id = $1 AND clicked_at >= CURRENT_DATE - ($2::int - 1)
+         GROUP BY bookmark_id
+       ) recent ON recent.bookmark_id = b.id
+       LEFT JOIN (
+         SELECT DISTINCT bookmark_id FROM bookmark_clicks WHERE user_id = $1
+       ) ever ON ever.bookmark_id = b.id
+       WHERE ${pageAccessCondition('p', '$1')} AND p.deleted_at IS NULL
+       GROUP BY p.id
+       ORDER BY p.workspace_id NULLS FIRST, p.position ASC`,
+      [userId, days]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Clics par origine sur la période
+   * @param {string} userId - UUID du user
+   * @param {number} days - Taille de la période
+   * @returns {Promise<Array>} [{ source, clicks }]
+   */
+  static async getClicksBySource(userId, days) {
+    const result = await pool.query(
+      `SELECT source, COUNT(*)::int AS clicks
+       FROM bookmark_clicks
+       WHERE user_id = $1 AND clicked_at >= CURRENT_DATE - ($2::int - 1)
+       GROUP BY source`,
+      [userId, days]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Recalculer le score de frecency (façon Firefox)
+   * score = visit_count x moyenne des poids des 10 derniers clics, selon leur âge:
+   * <=4j: 100, <=14j: 70, <=31j: 50, <=90j: 30, au-delà: 10
+   * Les visites antérieures aux événements de clic (visit_count seul) pèsent 10
+   * @param {Array<string>|null} bookmarkIds - Bookmarks à recalculer (null = tous)
+   * @returns {Promise<number>} Nombre de scores écrits
+   */
+  static async refreshFrecency(bookmarkIds = null) {
+    const result = await pool.query(
+      `WITH targets AS (
+         SELECT b.id, b.user_id, b.visit_count
+         FROM bookmarks b
+         WHERE b.deleted_at IS NULL AND b.canonical_id IS NULL
+           AND ($1::uuid[] IS NULL OR b.id = ANY($1::uuid[]))
+       ),
+       samples AS (
+         SELECT c.bookmark_id, c.clicked_at,
+                ROW_NUMBER() OVER (PARTITION BY c.bookmark_id ORDER BY c.clicked_at DESC) AS rn
+         FROM bookmark_clicks c
+         INNER JOIN targets t ON t.id = c.bookmark_id
+       ),
+       weights AS (
+         SELECT bookmark_id,
+                AVG(CASE
+                  WHEN clicked_at >= CURRENT_TIMESTAMP - interval '4 days' THEN 100
+                  WHEN clicked_at >= CURRENT_TIMESTAMP - interval '14 days' THEN 70
+                  WHEN clicked_at >= CURRENT_TIMESTAMP - interval '31 days' THEN 50
+                  WHEN clicked_at >= CURRENT_TIMESTAMP - interval '90 days' THEN 30
+                  ELSE 10
+                END) AS weight
+         FROM samples
+         WHERE rn <= 10
+         GROUP BY bookmark_id
+       )
+       INSERT INTO bookmark_frecency (bookmark_id, user_id, score, computed_at)
+       SELECT t.id, t.user_id, CEIL(t.visit_count * COALESCE(w.weight, 10))::int, CURRENT_TIMESTAMP
+       FROM targets t
+       LEFT JOIN weights w ON w.bookmark_id = t.id
+       ON CONFLICT (bookmark_id) DO UPDATE
+         SET score = EXCLUDED.score, user_id = EXCLUDED.user_id, computed_at = EXCLUDED.computed_at`,
+      [bookmarkIds]
+    );
+
+    return result.rowCount;
+  }
+}
+
+module.exports = Analytics;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('./analytics.controller');
+const authMiddleware = require('../../shared/middleware/auth.middleware');
+
+/**
+ * Analytics Routes
+ * All routes require authentication (JWT token)
+ */
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/analytics
+ * Statistiques de clics sur une période
+ * Query: days? (1-365, default 30), limit? (top N, default 10)
+ */
+router.get('/', analyticsController.getAnalytics);
+
+module.exports = router;
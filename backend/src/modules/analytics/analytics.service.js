@@ -0,0 +1,148 @@
+const Analytics = require('./analytics.model');
+
+const CLICK_SOURCES = ['view', 'edit', 'search', 'keyboard'];
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 50;
+const NEVER_CLICKED_LIMIT = 50;
+
+// Recalcul complet de la frecency (les clics changent de tranche en vieillissant)
+const FRECENCY_REFRESH_HOURS = 6;
+
+/**
+ * Analytics Service
+ * Statistiques d'usage à partir des événements de clic (bookmark_clicks):
+ * séries par jour, top N sur une période, bookmarks jamais cliqués, usage par page.
+ * Maintient aussi le score de frecency (classement des groups dynamic-top-used)
+ */
+class AnalyticsService {
+  constructor() {
+    this.frecencyTimer = null;
+  }
+
+  /**
+   * Enregistrer un clic (appelé par bookmarksService.trackBookmarkClick)
+   * @param {string} userId - UUID du user
+   * @param {string} bookmarkId - UUID du bookmark compté
+   * @param {string} source - view | edit | search | keyboard
+   * @returns {Promise<object>} Événement créé
+   * @throws {Error} Si source invalide
+   */
+  async recordClick(userId, bookmarkId, source) {
+    if (!CLICK_SOURCES.includes(source)) {
+      throw new Error(`Source must be one of: ${CLICK_SOURCES.join(', ')}`);
+    }
+
+    const click = await Analytics.recordClick(userId, bookmarkId, source);
+    return click;
+  }
+
+  /**
+   * Tableau de bord analytics d'un user
+   * @param {string} userId - UUID du user
+   * @param {object} query - { days?, limit? }
+   * @returns {Promise<object>} { range, totals, series, bySource, top, neverClicked, byPage }
+   * @throws {Error} Si days invalide
+   */
+  async getAnalytics(userId, query = {}) {
+    const days = query.days === undefined ? DEFAULT_DAYS : parseInt(query.days, 10);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      throw new Error(`days must be between 1 and ${MAX_DAYS}`);
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_TOP_LIMIT, 1), MAX_TOP_LIMIT);
+
+    const [series, top, neverClicked, byPage, bySourceRows] = await Promise.all([
+      Analytics.getDailyClicks(userId, days),
+      Analytics.getTopBookmarks(userId, days, limit),
+      Analytics.getNeverClicked(userId, NEVER_CLICKED_LIMIT),
+      Analytics.getUsageByPage(userId, days),
+      Analytics.getClicksBySource(userId, days)
+    ]);
+
+    const dayKeys = series.map((point) => point.day);
+    const topSeries = await this.getSeriesByBookmark(userId, top.map((b) => b.id), dayKeys, days);
+
+    const bySource = Object.fromEntries(CLICK_SOURCES.map((source) => [source, 0]));
+    bySourceRows.forEach((row) => {
+      bySource[row.source] = row.clicks;
+    });
+
+    return {
+      range: { days, from: dayKeys[0], to: dayKeys[dayKeys.length - 1] },
+      totals: {
+        clicks: series.reduce((sum, point) => sum + point.clicks, 0),
+        activeDays: series.filter((point) => point.clicks > 0).length,
+        neverClicked: neverClicked.total
+      },
+      series,
+      bySource,
+      top: top.map((bookmark) => ({ ...bookmark, series: topSeries.get(bookmark.id) })),
+      neverClicked,
+      byPage
+    };
+  }
+
+  /**
+   * Séries par jour (complétées à 0) des bookmarks du top
+   * @param {string} userId - UUID du user
+   * @param {Array<string>} bookmarkIds - UUIDs des bookmarks
+   * @param {Array<string>} dayKeys - Jours de la période ('YYYY-MM-DD', ordre chronologique)
+   * @param {number} days - Taille de la période
+   * @returns {Promise<Map>} bookmarkId → [clics par jour]
+   * @private
+   */
+  async getSeriesByBookmark(userId, bookmarkIds, dayKeys, days) {
+    const seriesById = new Map(bookmarkIds.map((id) => [id, dayKeys.map(() => 0)]));
+    if (bookmarkIds.length === 0) return seriesById;
+
+    const dayIndex = new Map(dayKeys.map((day, index) => [day, index]));
+    const rows = await Analytics.getDailyClicksByBookmark(userId, bookmarkIds, days);
+
+    rows.forEach((row) => {
+      const index = dayIndex.get(row.day);
+      if (index !== undefined) {
+        seriesById.get(row.bookmark_id)[index] = row.clicks;
+      }
+    });
+
+    return seriesById;
+  }
+
+  /**
+   * Recalculer la frecency d'un bookmark (après un clic: visit_count à jour)
+   * @param {string} bookmarkId - UUID du bookmark compté
+   * @returns {Promise<number>} Nombre de scores écrits
+   */
+  async refreshFrecency(bookmarkId) {
+    const updated = await Analytics.refreshFrecency([bookmarkId]);
+    return updated;
+  }
+
+  /**
+   * Démarrer le recalcul périodique de la frecency (une fois au démarrage
+   * puis toutes les FRECENCY_REFRESH_HOURS heures)
+   */
+  startScheduler() {
+    if (this.frecencyTimer) {
+      return;
+    }
+
+    const run = () => {
+      Analytics.refreshFrecency().catch((error) => {
+        console.error('❌ Frecency refresh failed:', error.message);
+      });
+    };
+
+    run();
+    this.frecencyTimer = setInterval(run, FRECENCY_REFRESH_HOURS * 60 * 60 * 1000);
+
+    // Ne pas empêcher l'arrêt du process
+    this.frecencyTimer.unref();
+    console.log(`📈 Frecency scores refreshed every ${FRECENCY_REFRESH_HOURS} hours`);
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,121 @@
+const accountService = require('./account.service');
+const { clearRefreshCookie } = require('./auth.http');
+
+// Service errors caused by the request: 400/409, never 401
+// (a 401 makes the frontend refresh its access token and retry)
+const CLIENT_ERRORS = {
+  'Invalid email format': 400,
+  'Invalid password': 400,
+  'Invalid code': 400,
+  'Two-factor code required': 400,
+  'New password must be different': 400,
+  'Email already registered': 409
+};
+
+function handleError(error, res, next) {
+  let status = CLIENT_ERRORS[error.message];
+  if (!status && (error.message.startsWith('Password must') || error.message.startsWith('Names must'))) {
+    status = 400;
+  }
+  if (!status && error.message.startsWith('Workspace has no other owner')) {
+    status = 409;
+  }
+
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+  next(error);
+}
+
+class AccountController {
+  /**
+   * Update profile
+   * PUT /api/auth/me
+   * Body: { firstName?, lastName?, email?, currentPassword (required to change the email) }
+   */
+  async updateProfile(req, res, next) {
+    try {
+      const user = await accountService.updateProfile(req.user, req.body);
+
+      res.json({
+        success: true,
+        message: user.email !== req.user.email
+          ? `Profile updated. A verification link was sent to ${user.email}`
+          : 'Profile updated',
+        data: { user }
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Change password (other devices are signed out)
+   * POST /api/auth/change-password
+   * Body: { currentPassword, newPassword }
+   */
+  async changePassword(req, res, next) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          error: 'Current and new password are required'
+        });
+      }
+
+      const count = await accountService.changePassword(req.user, req.sessionId, { currentPassword, newPassword });
+
+      res.json({
+        success: true,
+        message: count > 0
+          ? `Password changed. ${count} other device(s) signed out.`
+          : 'Password changed',
+        data: { count }
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Delete the account, optionally returning a final export
+   * DELETE /api/auth/me
+   * Body: { password, code? | recoveryCode?, export? }
+   */
+  async deleteAccount(req, res, next) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password is required'
+        });
+      }
+
+      const exportData = await accountService.deleteAccount(req.user, {
+        password,
+        code,
+        recoveryCode,
+        includeExport: req.body.export === true
+      });
+
+      // Sessions are gone with the account
+      clearRefreshCookie(res);
+      res.json({
+        success: true,
+        message: 'Account deleted',
+        data: { export: exportData }
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+}
+
+module.exports = new AccountController();
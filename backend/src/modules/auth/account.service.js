@@ -0,0 +1,115 @@
+const User = require('./auth.model');
+const Session = require('./session.model');
+const Workspace = require('../workspaces/workspaces.model');
+const authService = require('./auth.service');
+const twoFactorService = require('./twoFactor.service');
+const exportService = require('../export/exportService');
+const realtimeService = require('../realtime/realtime.service');
+
+const NAME_MAX_LENGTH = 100;
+
+class AccountService {
+  /**
+   * Update names and email
+   * Changing the email asks for the current password and sends a new verification link
+   */
+  async updateProfile(user, { firstName, lastName, email, currentPassword }) {
+    const updates = {
+      firstName: this.normalizeName(firstName),
+      lastName: this.normalizeName(lastName)
+    };
+
+    const newEmail = typeof email === 'string' ? email.trim() : undefined;
+    const emailChanged = Boolean(newEmail) && newEmail !== user.email;
+
+    if (emailChanged) {
+      if (!authService.isValidEmail(newEmail)) {
+        throw new Error('Invalid email format');
+      }
+      await twoFactorService.checkPassword(user, currentPassword);
+
+      const existingUser = await User.findByEmail(newEmail);
+      if (existingUser) {
+        throw new Error('Email already registered');
+      }
+      updates.email = newEmail;
+    }
+
+    const updated = await User.update(user.id, updates);
+
+    if (emailChanged) {
+      // The account stays usable meanwhile, like after register
+      await authService.sendVerificationEmail(updated).catch((error) => {
+        console.error(`⚠️ Verification email to ${updated.email} failed:`, error.message);
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Change the password; every other device is signed out
+   */
+  async changePassword(user, currentSessionId, { currentPassword, newPassword }) {
+    await twoFactorService.checkPassword(user, currentPassword);
+
+    if (currentPassword === newPassword) {
+      throw new Error('New password must be different');
+    }
+    authService.validatePassword(newPassword);
+
+    await User.updatePassword(user.id, newPassword);
+    const count = await Session.revokeAllExcept(user.id, currentSessionId);
+    realtimeService.disconnectUser(user.id, currentSessionId);
+    return count;
+  }
+
+  /**
+   * Delete the account and all its data
+   * Re-authentication: password, plus a 2FA code (or recovery code) when enabled.
+   * includeExport: the JSON export (GET /api/export format) is built just before deleting
+   */
+  async deleteAccount(user, { password, code, recoveryCode, includeExport = false }) {
+    await twoFactorService.checkPassword(user, password);
+
+    if (user.two_factor_enabled) {
+      if (!code && !recoveryCode) {
+        throw new Error('Two-factor code required');
+      }
+      const verified = await twoFactorService.verifySecondFactor(user.id, { code, recoveryCode });
+      if (!verified) {
+        throw new Error('Invalid code');
+      }
+    }
+
+    const blocking = await Workspace.findSoleOwnedShared(user.id);
+    if (blocking.length > 0) {
+      const names = blocking.map(workspace => `"${workspace.name}"`).join(', ');
+      throw new Error(`Workspace has no other owner: make another member owner of ${names} or delete it first`);
+    }
+
+    const exportData = includeExport ? await exportService.exportJson(user.id) : null;
+
+    await User.delete(user.id);
+    realtimeService.disconnectUser(user.id);
+    console.log(`🗑️ Account deleted: ${user.id}`);
+
+    return exportData;
+  }
+
+  /**
+   * Trim a name; empty string clears it, undefined keeps the current one
+   * @private
+   */
+  normalizeName(name) {
+    if (name === undefined || name === null) return undefined;
+
+    const trimmed = String(name).trim();
+    if (trimmed.length > NAME_MAX_LENGTH) {
+      throw new Error(`Names must be ${NAME_MAX_LENGTH} characters or less`);
+    }
+    return trimmed;
+  }
+}
+
+module.exports = new AccountService();
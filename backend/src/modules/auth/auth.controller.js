@@ -1,4 +1,5 @@
 const authService = require('./auth.service');
+const { getDevice, readRefreshCookie, setRefreshCookie, clearRefreshCookie } = require('./auth.http');
 
 class AuthController {
   /**
@@ -17,17 +18,18 @@ class AuthController {
         });
       }
 
-      const result = await authService.register({
+      const { user, token, refreshToken } = await authService.register({
         email,
         password,
         firstName,
         lastName
-      });
+      }, getDevice(req));
 
+      setRefreshCookie(res, refreshToken);
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
-        data: result
+        data: { user, token }
       });
     } catch (error) {
       next(error);
@@ -50,12 +52,27 @@ class AuthController {
         });
       }
 
-      const result = await authService.login({ email, password });
+      const result = await authService.login({ email, password }, getDevice(req));
+
+      // 2FA enabled: the client sends the code to /login/2fa with this challenge
+      if (result.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: 'Two-factor code required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: result.challengeToken
+          }
+        });
+      }
+
+      const { user, token, refreshToken } = result;
 
+      setRefreshCookie(res, refreshToken);
       res.json({
         success: true,
         message: 'Login successful',
-        data: result
+        data: { user, token }
       });
     } catch (error) {
       // Return 401 for invalid credentials
@@ -69,6 +86,160 @@ class AuthController {
     }
   }
 
+  /**
+   * Second login step (2FA)
+   * POST /api/auth/login/2fa
+   * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+   */
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Challenge token and code are required'
+        });
+      }
+
+      const { user, token, refreshToken } = await authService.completeTwoFactorLogin(
+        { challengeToken, code, recoveryCode },
+        getDevice(req)
+      );
+
+      setRefreshCookie(res, refreshToken);
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: { user, token }
+      });
+    } catch (error) {
+      if (error.message === 'Invalid code' || error.message === 'Login challenge expired') {
+        return res.status(401).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Send a password reset link by email
+   * POST /api/auth/forgot-password
+   * Body: { email }
+   * Same response whether the email has an account or not
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email is required'
+        });
+      }
+
+      await authService.requestPasswordReset(email);
+
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a reset link has been sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set a new password with the link received by email (signs out every device)
+   * POST /api/auth/reset-password
+   * Body: { token, password }
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+
+      if (!token || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Link and new password are required'
+        });
+      }
+
+      await authService.resetPassword(token, password);
+
+      clearRefreshCookie(res);
+      res.json({
+        success: true,
+        message: 'Password updated. Please sign in with your new password.'
+      });
+    } catch (error) {
+      if (error.message === 'Invalid or expired link' || error.message.startsWith('Password must')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm the email address with the link received by email
+   * POST /api/auth/verify-email
+   * Body: { token }
+   */
+  async verifyEmail(req, res, next) {
+    try {
+      if (!req.body.token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Link is required'
+        });
+      }
+
+      await authService.verifyEmail(req.body.token);
+
+      res.json({
+        success: true,
+        message: 'Email address confirmed'
+      });
+    } catch (error) {
+      if (error.message === 'Invalid or expired link') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Send the verification link again
+   * POST /api/auth/verify-email/resend
+   */
+  async resendVerification(req, res, next) {
+    try {
+      await authService.sendVerificationEmail(req.user);
+
+      res.json({
+        success: true,
+        message: `Verification email sent to ${req.user.email}`
+      });
+    } catch (error) {
+      if (error.message === 'Email already verified') {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Get current user info
    * GET /api/auth/me
@@ -86,16 +257,107 @@ class AuthController {
   }
 
   /**
-   * Logout user
+   * Get a new access token from the refresh token cookie (rotated on each call)
+   * POST /api/auth/refresh
+   */
+  async refresh(req, res, next) {
+    try {
+      const { user, token, refreshToken } = await authService.refresh(readRefreshCookie(req));
+
+      if (refreshToken) {
+        setRefreshCookie(res, refreshToken);
+      }
+      res.json({
+        success: true,
+        data: { user, token }
+      });
+    } catch (error) {
+      if (error.message === 'Invalid refresh token') {
+        clearRefreshCookie(res);
+        return res.status(401).json({
+          success: false,
+          error: 'Session expired. Please login.'
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Logout user: revoke the session of this device
    * POST /api/auth/logout
+   * Public: works with an expired access token, the refresh cookie identifies the session
+   */
+  async logout(req, res, next) {
+    try {
+      await authService.logout(readRefreshCookie(req));
+
+      clearRefreshCookie(res);
+      res.json({
+        success: true,
+        message: 'Logout successful'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List active sessions (devices)
+   * GET /api/auth/sessions
+   */
+  async getSessions(req, res, next) {
+    try {
+      const sessions = await authService.getSessions(req.userId, req.sessionId);
+
+      res.json({
+        success: true,
+        data: { sessions }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke one session (log a device out)
+   * DELETE /api/auth/sessions/:id
    */
-  async logout(req, res) {
-    // For JWT, logout is handled client-side by removing the token
-    // We just send a success response
-    res.json({
-      success: true,
-      message: 'Logout successful'
-    });
+  async revokeSession(req, res, next) {
+    try {
+      await authService.revokeSession(req.userId, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Session revoked'
+      });
+    } catch (error) {
+      if (error.message === 'Session not found') {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke every other session (log out all other devices)
+   * DELETE /api/auth/sessions
+   */
+  async revokeOtherSessions(req, res, next) {
+    try {
+      const count = await authService.revokeOtherSessions(req.userId, req.sessionId);
+
+      res.json({
+        success: true,
+        message: `${count} session(s) revoked`,
+        data: { count }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 }
 
@@ -0,0 +1,61 @@
+/**
+ * Auth emails (subject, plain text and HTML)
+ */
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Simple HTML layout: one paragraph, one button, the raw link as fallback
+ */
+function renderHtml({ greeting, intro, buttonLabel, url, outro }) {
+  const safeUrl = escapeHtml(url);
+  return `<div style="font-family: sans-serif; font-size: 15px; color: #333; max-width: 520px">
+  <p>${escapeHtml(greeting)}</p>
+  <p>${escapeHtml(intro)}</p>
+  <p><a href="${safeUrl}" style="display: inline-block; padding: 10px 20px; background: #667eea; color: #fff; border-radius: 6px; text-decoration: none">${escapeHtml(buttonLabel)}</a></p>
+  <p style="font-size: 13px; color: #666">${escapeHtml(outro)}<br><a href="${safeUrl}">${safeUrl}</a></p>
+</div>`;
+}
+
+function greet(user) {
+  return user.first_name ? `Hi ${user.first_name},` : 'Hi,';
+}
+
+/**
+ * Password reset link
+ */
+function passwordResetEmail(user, url, expiresInMinutes) {
+  const intro = `Someone (hopefully you) asked to reset the password of your PinGrid account. The link below is valid for ${expiresInMinutes} minutes and can be used once.`;
+  const outro = 'If you did not ask for this, ignore this email: your password stays unchanged.';
+
+  return {
+    subject: 'Reset your PinGrid password',
+    text: `${greet(user)}\n\n${intro}\n\n${url}\n\n${outro}\n`,
+    html: renderHtml({ greeting: greet(user), intro, buttonLabel: 'Reset password', url, outro })
+  };
+}
+
+/**
+ * Email address verification link
+ */
+function verificationEmail(user, url, expiresInHours) {
+  const intro = `Confirm that ${user.email} is your email address. The link below is valid for ${expiresInHours} hours.`;
+  const outro = 'If you did not create a PinGrid account, ignore this email.';
+
+  return {
+    subject: 'Confirm your email address',
+    text: `${greet(user)}\n\n${intro}\n\n${url}\n\n${outro}\n`,
+    html: renderHtml({ greeting: greet(user), intro, buttonLabel: 'Confirm email', url, outro })
+  };
+}
+
+module.exports = {
+  passwordResetEmail,
+  verificationEmail
+};
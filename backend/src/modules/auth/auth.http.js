@@ -0,0 +1,77 @@
+// HTTP helpers shared by the auth controllers: cookies and device info
+const authService = require('./auth.service');
+
+// Refresh token cookie: httpOnly (unreadable from JS), only sent to /api/auth
+const REFRESH_COOKIE = 'pingrid_refresh';
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+};
+
+// SSO login in progress (state, nonce, PKCE verifier), only sent to /api/auth/oidc.
+// Lax: the identity provider redirects back with a cross-site top-level GET
+const OIDC_FLOW_COOKIE = 'pingrid_oidc';
+const OIDC_FLOW_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+};
+
+/**
+ * Read a cookie (no cookie-parser: only the auth cookies are needed)
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const cookie = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.substring(name.length + 1)) : null;
+}
+
+function readRefreshCookie(req) {
+  return readCookie(req, REFRESH_COOKIE);
+}
+
+function setRefreshCookie(res, refreshToken) {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...REFRESH_COOKIE_OPTIONS,
+    maxAge: authService.getRefreshMaxAge()
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, REFRESH_COOKIE_OPTIONS);
+}
+
+/**
+ * Device info stored with the session (listed in GET /api/auth/sessions)
+ */
+function getDevice(req) {
+  return {
+    userAgent: req.get('User-Agent') || null,
+    ipAddress: req.ip || null
+  };
+}
+
+function readOidcFlowCookie(req) {
+  return readCookie(req, OIDC_FLOW_COOKIE);
+}
+
+function setOidcFlowCookie(res, value, maxAge) {
+  res.cookie(OIDC_FLOW_COOKIE, value, { ...OIDC_FLOW_COOKIE_OPTIONS, maxAge });
+}
+
+function clearOidcFlowCookie(res) {
+  res.clearCookie(OIDC_FLOW_COOKIE, OIDC_FLOW_COOKIE_OPTIONS);
+}
+
+module.exports = {
+  getDevice,
+  readRefreshCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readOidcFlowCookie,
+  setOidcFlowCookie,
+  clearOidcFlowCookie
+};
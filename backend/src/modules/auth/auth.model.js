@@ -1,5 +1,6 @@
 const pool = require('../../shared/config/database');
 const bcrypt = require('bcrypt');
+const Workspace = require('../workspaces/workspaces.model');
 
 const SALT_ROUNDS = 12;
 
@@ -8,8 +9,8 @@ class User {
    * Create a new user
    */
   static async create({ email, password, firstName, lastName }) {
-    // Hash password
-    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    // Hash password (none for accounts created by SSO)
+    const passwordHash = password ? await bcrypt.hash(password, SALT_ROUNDS) : null;
 
     const result = await pool.query(
       `INSERT INTO users (email, password_hash, first_name, last_name)
@@ -37,7 +38,11 @@ class User {
    */
   static async findById(id) {
     const result = await pool.query(
-      'SELECT id, email, first_name, last_name, is_admin, created_at FROM users WHERE id = $1',
+      `SELECT id, email, first_name, last_name, is_admin, created_at,
+              totp_enabled_at IS NOT NULL AS two_factor_enabled,
+              email_verified_at IS NOT NULL AS email_verified,
+              password_hash IS NOT NULL AS has_password
+       FROM users WHERE id = $1`,
       [id]
     );
     return result.rows[0];
@@ -47,11 +52,13 @@ class User {
    * Verify password
    */
   static async verifyPassword(password, passwordHash) {
+    if (!password || !passwordHash) return false;
     return bcrypt.compare(password, passwordHash);
   }
 
   /**
-   * Update user
+   * Update profile (names, email)
+   * A new email address has to be verified again
    */
   static async update(id, updates) {
     const { firstName, lastName, email } = updates;
@@ -60,9 +67,13 @@ class User {
       `UPDATE users
        SET first_name = COALESCE($1, first_name),
            last_name = COALESCE($2, last_name),
-           email = COALESCE($3, email)
+           email = COALESCE($3, email),
+           email_verified_at = CASE WHEN $3 IS NOT NULL AND $3 <> email THEN NULL ELSE email_verified_at END
        WHERE id = $4
-       RETURNING id, email, first_name, last_name, is_admin, created_at`,
+       RETURNING id, email, first_name, last_name, is_admin, created_at,
+                 totp_enabled_at IS NOT NULL AS two_factor_enabled,
+                 email_verified_at IS NOT NULL AS email_verified,
+                 password_hash IS NOT NULL AS has_password`,
       [firstName, lastName, email, id]
     );
 
@@ -70,10 +81,47 @@ class User {
   }
 
   /**
-   * Delete user
+   * Replace the password
+   */
+  static async updatePassword(id, password) {
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    await pool.query(
+      'UPDATE users SET password_hash = $1 WHERE id = $2',
+      [passwordHash, id]
+    );
+  }
+
+  /**
+   * Mark the email address as verified (keeps the first verification date)
+   */
+  static async markEmailVerified(id) {
+    await pool.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+      [id]
+    );
+  }
+
+  /**
+   * Delete user (cascades to everything they own)
+   * Their content in shared workspaces is handed over to another owner first
    */
   static async delete(id) {
-    await pool.query('DELETE FROM users WHERE id = $1', [id]);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await Workspace.handOverMemberContent(client, id);
+      await client.query('DELETE FROM users WHERE id = $1', [id]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch((rollbackError) => {
+        console.error('Rollback failed:', rollbackError.message);
+      });
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 }
 
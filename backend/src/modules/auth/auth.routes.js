@@ -1,6 +1,9 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const authController = require('./auth.controller');
+const twoFactorController = require('./twoFactor.controller');
+const accountController = require('./account.controller');
+const oidcController = require('./oidc.controller');
 const authMiddleware = require('../../shared/middleware/auth.middleware');
 
 const router = express.Router();
@@ -21,6 +24,78 @@ const loginLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Refresh: 60 per 15 minutes per IP (every open tab refreshes its access token)
+const refreshLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60,
+    message: {
+        success: false,
+        error: 'Too many refresh attempts. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// 2FA login step: 10 codes per 15 minutes per IP
+const twoFactorLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: {
+        success: false,
+        error: 'Too many code attempts. Please try again in 15 minutes.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Emails (password reset, verification): 5 per hour per IP
+const emailLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message: {
+        success: false,
+        error: 'Too many email requests. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Email links (reset password, verify email): 10 attempts per 15 minutes per IP
+const linkLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: {
+        success: false,
+        error: 'Too many attempts. Please try again in 15 minutes.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Password checks from account settings (change password, change email, delete account): 10 per 15 minutes per IP
+const reauthLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: {
+        success: false,
+        error: 'Too many attempts. Please try again in 15 minutes.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// SSO: 20 logins per 15 minutes per IP (start and callback)
+const ssoLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    message: {
+        success: false,
+        error: 'Too many SSO attempts. Please try again in 15 minutes.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // Register: 3 attempts per 15 minutes per IP (more strict)
 const registerLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -38,11 +113,39 @@ const registerLimiter = rateLimit({
 // ==============================
 router.post('/register', registerLimiter, authController.register.bind(authController));
 router.post('/login', loginLimiter, authController.login.bind(authController));
+router.post('/login/2fa', twoFactorLimiter, authController.loginTwoFactor.bind(authController));
+// Refresh token cookie (httpOnly) instead of access token
+router.post('/refresh', refreshLimiter, authController.refresh.bind(authController));
+router.post('/logout', authController.logout.bind(authController));
+// SSO (OpenID Connect): browser redirects, not XHR
+router.get('/oidc/providers', oidcController.listProviders.bind(oidcController));
+router.get('/oidc/:provider/login', ssoLimiter, oidcController.login.bind(oidcController));
+router.get('/oidc/:provider/callback', ssoLimiter, oidcController.callback.bind(oidcController));
+// Links received by email
+router.post('/forgot-password', emailLimiter, authController.forgotPassword.bind(authController));
+router.post('/reset-password', linkLimiter, authController.resetPassword.bind(authController));
+router.post('/verify-email', linkLimiter, authController.verifyEmail.bind(authController));
 
 // ==============================
 // Protected routes (require authentication)
 // ==============================
 router.get('/me', authMiddleware, authController.getMe.bind(authController));
-router.post('/logout', authMiddleware, authController.logout.bind(authController));
+router.post('/verify-email/resend', authMiddleware, emailLimiter, authController.resendVerification.bind(authController));
+
+// Account settings
+router.put('/me', authMiddleware, reauthLimiter, accountController.updateProfile.bind(accountController));
+router.post('/change-password', authMiddleware, reauthLimiter, accountController.changePassword.bind(accountController));
+router.delete('/me', authMiddleware, reauthLimiter, accountController.deleteAccount.bind(accountController));
+
+router.get('/sessions', authMiddleware, authController.getSessions.bind(authController));
+router.delete('/sessions', authMiddleware, authController.revokeOtherSessions.bind(authController));
+router.delete('/sessions/:id', authMiddleware, authController.revokeSession.bind(authController));
+
+// Two-factor authentication (security settings)
+router.get('/2fa', authMiddleware, twoFactorController.getStatus.bind(twoFactorController));
+router.post('/2fa/setup', authMiddleware, twoFactorController.setup.bind(twoFactorController));
+router.post('/2fa/enable', authMiddleware, twoFactorLimiter, twoFactorController.enable.bind(twoFactorController));
+router.post('/2fa/disable', authMiddleware, twoFactorLimiter, twoFactorController.disable.bind(twoFactorController));
+router.post('/2fa/recovery-codes', authMiddleware, twoFactorLimiter, twoFactorController.regenerateRecoveryCodes.bind(twoFactorController));
 
 module.exports = router;
@@ -1,18 +1,38 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('./auth.model');
+const Session = require('./session.model');
+const UserToken = require('./userToken.model');
+const twoFactorService = require('./twoFactor.service');
+const realtimeService = require('../realtime/realtime.service');
+const mailService = require('../../shared/services/mailService');
+const { passwordResetEmail, verificationEmail } = require('./auth.emails');
 
 // SECURITY: JWT_SECRET is required - no fallback allowed
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
   throw new Error('FATAL: JWT_SECRET environment variable is required. Set it in .env file.');
 }
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Short-lived access token; the session lives on through the refresh token (httpOnly cookie)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const REFRESH_TOKEN_BYTES = 48;
+// Tabs sharing the cookie may refresh at the same time: the token they all sent
+// was just rotated by the first one, which is not a theft
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+// Time allowed to type the 2FA code after the password was accepted
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+// Links sent by email and SSO redirects point to the frontend
+const APP_URL = (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/$/, '');
+const PASSWORD_RESET_EXPIRES_MINUTES = 60;
+const EMAIL_VERIFICATION_EXPIRES_HOURS = 48;
+const EMAIL_TOKEN_BYTES = 32;
 
 class AuthService {
   /**
    * Register a new user
    */
-  async register({ email, password, firstName, lastName }) {
+  async register({ email, password, firstName, lastName }, device = {}) {
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
@@ -24,61 +44,382 @@ class AuthService {
       throw new Error('Invalid email format');
     }
 
-    // Validate password strength: min 8 chars, 1 uppercase, 1 lowercase, 1 digit
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
-    if (!password || !passwordRegex.test(password)) {
-      throw new Error('Password must be at least 8 characters with uppercase, lowercase, and number');
-    }
+    this.validatePassword(password);
 
     // Create user
     const user = await User.create({ email, password, firstName, lastName });
+    user.email_verified = false;
+
+    // Confirm the address; the account is usable meanwhile
+    await this.sendVerificationEmail(user).catch((error) => {
+      console.error(`⚠️ Verification email to ${user.email} failed:`, error.message);
+    });
 
-    // Generate JWT token
-    const token = this.generateToken(user);
+    // Open a session for this device
+    const { token, refreshToken } = await this.createSession(user, device);
 
-    return { user, token };
+    return { user, token, refreshToken };
   }
 
   /**
    * Login user
    */
-  async login({ email, password }) {
+  async login({ email, password }, device = {}) {
     // Find user
     const user = await User.findByEmail(email);
     if (!user) {
       throw new Error('Invalid credentials');
     }
 
-    // Verify password
+    // Verify password (accounts created by SSO have none)
     const isValid = await User.verifyPassword(password, user.password_hash);
     if (!isValid) {
       throw new Error('Invalid credentials');
     }
 
-    // Remove password hash from response
-    delete user.password_hash;
+    const result = await this.completeFirstFactor(user, device);
+    return result;
+  }
+
+  /**
+   * First factor accepted (password or SSO): 2FA challenge when enabled, otherwise a session
+   * user: full users row
+   */
+  async completeFirstFactor(user, device = {}) {
+    // 2FA enabled: no session yet, the code is checked by completeTwoFactorLogin
+    if (user.totp_enabled_at) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: this.generateChallengeToken(user)
+      };
+    }
+
+    // Remove password hash and 2FA secrets from response
+    const publicUser = this.toPublicUser(user);
+
+    // Open a session for this device
+    const { token, refreshToken } = await this.createSession(publicUser, device);
+
+    return { user: publicUser, token, refreshToken };
+  }
+
+  /**
+   * Second login step: challenge token from login + TOTP code or recovery code
+   */
+  async completeTwoFactorLogin({ challengeToken, code, recoveryCode }, device = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken || '', JWT_SECRET);
+    } catch {
+      throw new Error('Login challenge expired');
+    }
+    if (decoded.purpose !== '2fa') {
+      throw new Error('Login challenge expired');
+    }
+
+    const verified = await twoFactorService.verifySecondFactor(decoded.userId, { code, recoveryCode });
+    if (!verified) {
+      throw new Error('Invalid code');
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      throw new Error('Login challenge expired');
+    }
 
-    // Generate JWT token
-    const token = this.generateToken(user);
+    const { token, refreshToken } = await this.createSession(user, device);
 
-    return { user, token };
+    return { user, token, refreshToken };
   }
 
   /**
-   * Generate JWT token
+   * Send a password reset link
+   * Silent when the email is unknown: the response must not reveal which emails have an account
    */
-  generateToken(user) {
+  async requestPasswordReset(email) {
+    const user = await User.findByEmail(email);
+    if (!user) return;
+
+    const token = await this.createEmailToken(user.id, 'password_reset', PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+    const url = this.buildAppUrl(`/reset-password?token=${token}`);
+
+    await mailService.sendMail({ to: user.email, ...passwordResetEmail(user, url, PASSWORD_RESET_EXPIRES_MINUTES) });
+  }
+
+  /**
+   * Set a new password from a reset link
+   * Every session is revoked: whoever had the old password is signed out
+   */
+  async resetPassword(token, password) {
+    this.validatePassword(password);
+
+    const userId = await UserToken.consume('password_reset', this.hashToken(token || ''));
+    if (!userId) {
+      throw new Error('Invalid or expired link');
+    }
+
+    await User.updatePassword(userId, password);
+    // The link was received in the mailbox: the address is proven too
+    await User.markEmailVerified(userId);
+    await Session.revokeAllExcept(userId, null);
+    realtimeService.disconnectUser(userId);
+  }
+
+  /**
+   * Send (again) the email address verification link
+   */
+  async sendVerificationEmail(user) {
+    if (user.email_verified) {
+      throw new Error('Email already verified');
+    }
+
+    const token = await this.createEmailToken(user.id, 'email_verification', EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000);
+    const url = this.buildAppUrl(`/verify-email?token=${token}`);
+
+    await mailService.sendMail({ to: user.email, ...verificationEmail(user, url, EMAIL_VERIFICATION_EXPIRES_HOURS) });
+  }
+
+  /**
+   * Confirm the email address from the verification link
+   */
+  async verifyEmail(token) {
+    const userId = await UserToken.consume('email_verification', this.hashToken(token || ''));
+    if (!userId) {
+      throw new Error('Invalid or expired link');
+    }
+
+    await User.markEmailVerified(userId);
+  }
+
+  /**
+   * Create a single-use token sent by email (only its hash is stored)
+   * @private
+   */
+  async createEmailToken(userId, purpose, expiresInMs) {
+    const token = crypto.randomBytes(EMAIL_TOKEN_BYTES).toString('base64url');
+
+    await UserToken.create({
+      userId,
+      purpose,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInMs)
+    });
+
+    return token;
+  }
+
+  /**
+   * Open a session: access token + refresh token (only its hash is stored)
+   * device: { userAgent, ipAddress }
+   */
+  async createSession(user, { userAgent = null, ipAddress = null } = {}) {
+    const refreshToken = this.generateRefreshToken();
+
+    const session = await Session.create({
+      userId: user.id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      userAgent: userAgent ? userAgent.slice(0, 500) : null,
+      ipAddress,
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    return { token: this.generateToken(user, session.id), refreshToken, session };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and rotate it
+   * refreshToken is null in the result when the cookie must be left as is
+   * (concurrent refresh from another tab within the grace period)
+   */
+  async refresh(refreshToken) {
+    if (!refreshToken) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const hash = this.hashToken(refreshToken);
+    const session = await Session.findByTokenHash(hash);
+
+    if (!session) {
+      return this.handleRotatedToken(hash);
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const user = await User.findById(session.user_id);
+    if (!user) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const newRefreshToken = this.generateRefreshToken();
+    const rotated = await Session.rotate(session.id, hash, this.hashToken(newRefreshToken), this.getRefreshExpiry());
+    if (!rotated) {
+      // Another request rotated it in between
+      return this.handleRotatedToken(hash);
+    }
+
+    return { user, token: this.generateToken(user, session.id), refreshToken: newRefreshToken };
+  }
+
+  /**
+   * A refresh token that is no longer current was presented
+   * Right after its rotation: concurrent refresh, hand out an access token only.
+   * Later: the token was replayed (stolen copy), revoke the whole session.
+   * @private
+   */
+  async handleRotatedToken(hash) {
+    const session = await Session.findByPreviousTokenHash(hash);
+    if (!session || session.revoked_at) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const rotatedAgo = Date.now() - new Date(session.last_used_at).getTime();
+    if (rotatedAgo > REFRESH_REUSE_GRACE_MS) {
+      await Session.revoke(session.id);
+      realtimeService.disconnectSession(session.id);
+      console.warn(`⚠️ Refresh token reuse detected, session ${session.id} revoked`);
+      throw new Error('Invalid refresh token');
+    }
+
+    const user = await User.findById(session.user_id);
+    if (!user) {
+      throw new Error('Invalid refresh token');
+    }
+
+    return { user, token: this.generateToken(user, session.id), refreshToken: null };
+  }
+
+  /**
+   * Logout: revoke the session of this refresh token (no-op if unknown)
+   */
+  async logout(refreshToken) {
+    if (!refreshToken) return;
+
+    const session = await Session.findByTokenHash(this.hashToken(refreshToken));
+    if (session) {
+      await Session.revoke(session.id);
+      realtimeService.disconnectSession(session.id);
+    }
+  }
+
+  /**
+   * List the active sessions (devices) of a user, flagging the current one
+   */
+  async getSessions(userId, currentSessionId) {
+    const sessions = await Session.findActiveByUser(userId);
+    return sessions.map(session => ({
+      id: session.id,
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      created_at: session.created_at,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Revoke one session of a user (its access token stops working immediately)
+   */
+  async revokeSession(userId, sessionId) {
+    const revoked = await Session.revoke(sessionId, userId);
+    if (!revoked) {
+      throw new Error('Session not found');
+    }
+    realtimeService.disconnectSession(sessionId);
+  }
+
+  /**
+   * Revoke every session of a user except the current one
+   */
+  async revokeOtherSessions(userId, currentSessionId) {
+    const count = await Session.revokeAllExcept(userId, currentSessionId);
+    realtimeService.disconnectUser(userId, currentSessionId);
+    return count;
+  }
+
+  /**
+   * Generate JWT access token bound to a session
+   */
+  generateToken(user, sessionId) {
     return jwt.sign(
       {
         userId: user.id,
         email: user.email,
-        isAdmin: user.is_admin
+        isAdmin: user.is_admin,
+        sid: sessionId
       },
       JWT_SECRET,
       { expiresIn: JWT_EXPIRES_IN }
     );
   }
 
+  /**
+   * Generate the short-lived token proving the password step passed
+   * No session id: it is refused as an access token by the auth middleware
+   */
+  generateChallengeToken(user) {
+    return jwt.sign(
+      { userId: user.id, purpose: '2fa' },
+      JWT_SECRET,
+      { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+    );
+  }
+
+  /**
+   * User row without credentials (password hash, TOTP secret)
+   */
+  toPublicUser(user) {
+    const publicUser = {
+      ...user,
+      two_factor_enabled: Boolean(user.totp_enabled_at),
+      email_verified: Boolean(user.email_verified_at)
+    };
+    publicUser.has_password = Boolean(user.password_hash);
+    delete publicUser.password_hash;
+    delete publicUser.email_verified_at;
+    delete publicUser.totp_secret;
+    delete publicUser.totp_enabled_at;
+    delete publicUser.totp_last_step;
+    return publicUser;
+  }
+
+  /**
+   * Frontend URL (links sent by email, SSO redirects)
+   */
+  buildAppUrl(path) {
+    return `${APP_URL}${path}`;
+  }
+
+  /**
+   * Generate an opaque refresh token
+   */
+  generateRefreshToken() {
+    return crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+  }
+
+  /**
+   * Hash a refresh or email token for storage (SHA-256 is enough for random tokens)
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Expiry date of a refresh token issued now
+   */
+  getRefreshExpiry() {
+    return new Date(Date.now() + this.getRefreshMaxAge());
+  }
+
+  /**
+   * Lifetime of a refresh token in milliseconds (cookie maxAge)
+   */
+  getRefreshMaxAge() {
+    return REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000;
+  }
+
   /**
    * Verify JWT token
    */
@@ -90,6 +431,16 @@ class AuthService {
     }
   }
 
+  /**
+   * Validate password strength: min 8 chars, 1 uppercase, 1 lowercase, 1 digit
+   */
+  validatePassword(password) {
+    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
+    if (!password || !passwordRegex.test(password)) {
+      throw new Error('Password must be at least 8 characters with uppercase, lowercase, and number');
+    }
+  }
+
   /**
    * Validate email format
    */
@@ -0,0 +1,68 @@
+const oidcService = require('./oidc.service');
+const {
+  getDevice,
+  setRefreshCookie,
+  readOidcFlowCookie,
+  setOidcFlowCookie,
+  clearOidcFlowCookie
+} = require('./auth.http');
+
+class OidcController {
+  /**
+   * SSO providers for the login page
+   * GET /api/auth/oidc/providers
+   */
+  listProviders(req, res) {
+    res.json({
+      success: true,
+      data: { providers: oidcService.listProviders() }
+    });
+  }
+
+  /**
+   * Start an SSO login: redirect the browser to the identity provider
+   * GET /api/auth/oidc/:provider/login
+   */
+  async login(req, res) {
+    try {
+      const { url, flow, flowMaxAge } = await oidcService.startLogin(req.params.provider);
+
+      setOidcFlowCookie(res, flow, flowMaxAge);
+      res.redirect(url);
+    } catch (error) {
+      console.error(`❌ SSO login start failed (${req.params.provider}):`, error.message);
+      res.redirect(oidcService.getFrontendUrl(`/login?sso_error=${encodeURIComponent(oidcService.toUserMessage(error))}`));
+    }
+  }
+
+  /**
+   * Identity provider callback: open the session (refresh cookie) and go back to the frontend,
+   * which gets its access token from POST /api/auth/refresh.
+   * 2FA enabled: the challenge goes in the URL fragment (never sent to a server)
+   * GET /api/auth/oidc/:provider/callback?code=...&state=...
+   */
+  async callback(req, res) {
+    clearOidcFlowCookie(res);
+
+    try {
+      const result = await oidcService.completeLogin(
+        req.params.provider,
+        req.query,
+        readOidcFlowCookie(req),
+        getDevice(req)
+      );
+
+      if (result.twoFactorRequired) {
+        return res.redirect(oidcService.getFrontendUrl(`/login/sso#challenge=${encodeURIComponent(result.challengeToken)}`));
+      }
+
+      setRefreshCookie(res, result.refreshToken);
+      res.redirect(oidcService.getFrontendUrl('/login/sso'));
+    } catch (error) {
+      console.error(`❌ SSO callback failed (${req.params.provider}):`, error.message);
+      res.redirect(oidcService.getFrontendUrl(`/login?sso_error=${encodeURIComponent(oidcService.toUserMessage(error))}`));
+    }
+  }
+}
+
+module.exports = new OidcController();
@@ -0,0 +1,77 @@
+/**
+ * SSO providers (OpenID Connect), configured by environment variables
+ *
+ * OIDC_PROVIDERS=corp,partner        ids, shown as one "SSO" button each
+ * OIDC_CORP_ISSUER=https://idp.example.com/realms/main
+ * OIDC_CORP_CLIENT_ID=pingrid
+ * OIDC_CORP_CLIENT_SECRET=...        empty for a public client (PKCE only)
+ * OIDC_CORP_NAME=Acme SSO            button label (default: id)
+ * OIDC_CORP_SCOPES=openid email profile
+ * OIDC_CORP_ALLOW_SIGNUP=true        create unknown users on first login (JIT)
+ * OIDC_CORP_LINK_BY_EMAIL=false      link existing users whose email is verified (on both sides)
+ *
+ * Any OpenID Connect provider with a discovery document works (Keycloak, Authentik,
+ * Azure AD, Google...); adding one is configuration only.
+ */
+const PROVIDER_ID_PATTERN = /^[a-z0-9-]{1,50}$/;
+
+function readFlag(value, defaultValue) {
+  if (value === undefined || value === '') return defaultValue;
+  return value === 'true';
+}
+
+function loadProviders(env = process.env) {
+  const ids = (env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = new Map();
+
+  for (const id of ids) {
+    if (!PROVIDER_ID_PATTERN.test(id)) {
+      console.error(`⚠️ SSO provider "${id}" ignored: ids use a-z, 0-9 and dashes`);
+      continue;
+    }
+
+    const prefix = `OIDC_${id.toUpperCase().replace(/-/g, '_')}_`;
+    const issuer = env[`${prefix}ISSUER`];
+    const clientId = env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.error(`⚠️ SSO provider "${id}" ignored: ${prefix}ISSUER and ${prefix}CLIENT_ID are required`);
+      continue;
+    }
+
+    providers.set(id, {
+      id,
+      name: env[`${prefix}NAME`] || id,
+      issuer,
+      clientId,
+      clientSecret: env[`${prefix}CLIENT_SECRET`] || null,
+      scope: env[`${prefix}SCOPES`] || 'openid email profile',
+      allowSignup: readFlag(env[`${prefix}ALLOW_SIGNUP`], true),
+      linkByEmail: readFlag(env[`${prefix}LINK_BY_EMAIL`], false)
+    });
+  }
+
+  return providers;
+}
+
+const providers = loadProviders();
+
+module.exports = {
+  /**
+   * Configured provider, or undefined
+   */
+  getProvider(id) {
+    return providers.get(id);
+  },
+
+  /**
+   * Public list for the login page: { id, name }
+   */
+  listProviders() {
+    return [...providers.values()].map(({ id, name }) => ({ id, name }));
+  }
+};
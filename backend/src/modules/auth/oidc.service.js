@@ -0,0 +1,198 @@
+const jwt = require('jsonwebtoken');
+const User = require('./auth.model');
+const UserIdentity = require('./userIdentity.model');
+const authService = require('./auth.service');
+const oidcProviders = require('./oidc.providers');
+const oidc = require('../../shared/utils/oidc');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+// Public URL of this API: the identity provider redirects the browser to its callback
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+// Time allowed to sign in at the identity provider
+const FLOW_EXPIRES_IN_SECONDS = 10 * 60;
+
+// Errors shown as is on the login page; anything else is logged and reported generically
+const USER_ERRORS = new Set([
+  'Unknown SSO provider',
+  'SSO login expired, please try again',
+  'SSO login was cancelled',
+  'The identity provider gave no email address',
+  'Email not verified by the identity provider',
+  'An account already uses this email: sign in with your password',
+  'No PinGrid account for this email'
+]);
+
+class OidcService {
+  /**
+   * Providers shown on the login page
+   */
+  listProviders() {
+    return oidcProviders.listProviders();
+  }
+
+  /**
+   * Start a login: authorization URL + signed flow state for the cookie
+   * (state against CSRF, nonce against ID token replay, PKCE verifier for the code exchange)
+   */
+  async startLogin(providerId) {
+    const provider = this.getProvider(providerId);
+    const metadata = await oidc.discover(provider.issuer);
+
+    const { codeVerifier, codeChallenge } = oidc.createPkce();
+    const state = oidc.randomValue();
+    const nonce = oidc.randomValue();
+
+    const url = oidc.buildAuthorizationUrl(metadata, {
+      clientId: provider.clientId,
+      redirectUri: this.getRedirectUri(provider),
+      scope: provider.scope,
+      state,
+      nonce,
+      codeChallenge
+    });
+
+    const flow = jwt.sign(
+      { purpose: 'oidc', provider: provider.id, state, nonce, codeVerifier },
+      JWT_SECRET,
+      { expiresIn: FLOW_EXPIRES_IN_SECONDS }
+    );
+
+    return { url, flow, flowMaxAge: FLOW_EXPIRES_IN_SECONDS * 1000 };
+  }
+
+  /**
+   * Identity provider callback: check the flow, exchange the code, verify the ID token,
+   * then log in like a password login (2FA challenge when enabled)
+   */
+  async completeLogin(providerId, { code, state, error }, flowCookie, device = {}) {
+    const provider = this.getProvider(providerId);
+
+    if (error) {
+      throw new Error(error === 'access_denied' ? 'SSO login was cancelled' : `Identity provider error: ${error}`);
+    }
+
+    let flow;
+    try {
+      flow = jwt.verify(flowCookie || '', JWT_SECRET);
+    } catch {
+      throw new Error('SSO login expired, please try again');
+    }
+    if (flow.purpose !== 'oidc' || flow.provider !== provider.id || !state || flow.state !== state || !code) {
+      throw new Error('SSO login expired, please try again');
+    }
+
+    const metadata = await oidc.discover(provider.issuer);
+    const tokens = await oidc.exchangeCode(metadata, {
+      code,
+      redirectUri: this.getRedirectUri(provider),
+      codeVerifier: flow.codeVerifier,
+      clientId: provider.clientId,
+      clientSecret: provider.clientSecret
+    });
+
+    let claims = await oidc.verifyIdToken(metadata, tokens.id_token, {
+      clientId: provider.clientId,
+      nonce: flow.nonce
+    });
+
+    // Some providers only put the profile in userinfo
+    if (!claims.email) {
+      const userInfo = await oidc.fetchUserInfo(metadata, tokens.access_token);
+      if (userInfo && userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+      }
+    }
+
+    const user = await this.resolveUser(provider, claims);
+    const result = await authService.completeFirstFactor(user, device);
+    return result;
+  }
+
+  /**
+   * Users row for the identity: linked identity, else existing account whose email is
+   * verified on both sides (account linking, opt-in), else a new account (JIT provisioning)
+   * @private
+   */
+  async resolveUser(provider, claims) {
+    const email = typeof claims.email === 'string' ? claims.email.trim() : null;
+
+    const linkedUser = await UserIdentity.findUserAndTouch(provider.id, claims.sub, email);
+    if (linkedUser) {
+      return linkedUser;
+    }
+
+    if (!email) {
+      throw new Error('The identity provider gave no email address');
+    }
+    // Linking or creating by email trusts the provider's verification only
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    if (!emailVerified) {
+      throw new Error('Email not verified by the identity provider');
+    }
+
+    let user = await User.findByEmail(email);
+
+    if (user) {
+      // Only an address the account itself proved: anyone can register an unverified
+      // account with someone else's email and wait for that person's SSO login
+      if (!provider.linkByEmail || !user.email_verified_at) {
+        throw new Error('An account already uses this email: sign in with your password');
+      }
+      console.log(`🔗 SSO identity ${provider.id} linked to existing account ${user.id}`);
+    } else {
+      if (!provider.allowSignup) {
+        throw new Error('No PinGrid account for this email');
+      }
+
+      const created = await User.create({
+        email,
+        password: null,
+        firstName: claims.given_name || claims.name || null,
+        lastName: claims.family_name || null
+      });
+      console.log(`👤 Account ${created.id} created by SSO (${provider.id})`);
+      // Verified by the identity provider
+      await User.markEmailVerified(created.id);
+      user = await User.findByEmail(email);
+    }
+
+    await UserIdentity.link({ userId: user.id, provider: provider.id, subject: claims.sub, email });
+
+    return user;
+  }
+
+  /**
+   * Message for the login page (internal details stay in the logs)
+   */
+  toUserMessage(error) {
+    return USER_ERRORS.has(error.message) ? error.message : 'SSO login failed';
+  }
+
+  /**
+   * Where to send the browser after the callback
+   */
+  getFrontendUrl(path) {
+    return authService.buildAppUrl(path);
+  }
+
+  /**
+   * @private
+   */
+  getProvider(providerId) {
+    const provider = oidcProviders.getProvider(providerId);
+    if (!provider) {
+      throw new Error('Unknown SSO provider');
+    }
+    return provider;
+  }
+
+  /**
+   * Callback URL registered at the identity provider
+   * @private
+   */
+  getRedirectUri(provider) {
+    return `${API_PUBLIC_URL}/api/auth/oidc/${provider.id}/callback`;
+  }
+}
+
+module.exports = new OidcService();
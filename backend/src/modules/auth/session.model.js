@@ -0,0 +1,112 @@
+const pool = require('../../shared/config/database');
+
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at';
+
+class Session {
+  /**
+   * Create a session for a freshly issued refresh token
+   */
+  static async create({ userId, refreshTokenHash, userAgent, ipAddress, expiresAt }) {
+    const result = await pool.query(
+      `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${SESSION_COLUMNS}`,
+      [userId, refreshTokenHash, userAgent, ipAddress, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find a session by its current refresh token hash
+   */
+  static async findByTokenHash(refreshTokenHash) {
+    const result = await pool.query(
+      `SELECT ${SESSION_COLUMNS} FROM sessions WHERE refresh_token_hash = $1`,
+      [refreshTokenHash]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find a session whose refresh token was already rotated away from this hash
+   */
+  static async findByPreviousTokenHash(refreshTokenHash) {
+    const result = await pool.query(
+      `SELECT ${SESSION_COLUMNS} FROM sessions WHERE previous_token_hash = $1`,
+      [refreshTokenHash]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Check that a session is still usable (access token verification)
+   */
+  static async isActive(id) {
+    const result = await pool.query(
+      `SELECT 1 FROM sessions
+       WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [id]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Replace the refresh token of a session
+   * Conditional on the current hash so two concurrent refreshes can't both rotate
+   */
+  static async rotate(id, currentHash, newHash, expiresAt) {
+    const result = await pool.query(
+      `UPDATE sessions
+       SET refresh_token_hash = $3,
+           previous_token_hash = $2,
+           expires_at = $4,
+           last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL
+       RETURNING ${SESSION_COLUMNS}`,
+      [id, currentHash, newHash, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  static async findActiveByUser(userId) {
+    const result = await pool.query(
+      `SELECT ${SESSION_COLUMNS} FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Revoke a session (userId given = only if it belongs to that user)
+   */
+  static async revoke(id, userId = null) {
+    const result = await pool.query(
+      `UPDATE sessions
+       SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR user_id = $2)
+       RETURNING id`,
+      [id, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Revoke every session of a user except one (kept session may be null)
+   */
+  static async revokeAllExcept(userId, keptSessionId) {
+    const result = await pool.query(
+      `UPDATE sessions
+       SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2)`,
+      [userId, keptSessionId]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,139 @@
+const twoFactorService = require('./twoFactor.service');
+
+// Service errors caused by the request (wrong code, wrong state): 400/409, never 401
+// (a 401 makes the frontend refresh its access token and retry)
+const CLIENT_ERRORS = {
+  'Invalid code': 400,
+  'Invalid password': 400,
+  'Two-factor setup not started': 400,
+  'Two-factor authentication is not enabled': 400,
+  'Two-factor authentication is already enabled': 409
+};
+
+function handleError(error, res, next) {
+  const status = CLIENT_ERRORS[error.message];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+  next(error);
+}
+
+class TwoFactorController {
+  /**
+   * Get 2FA status
+   * GET /api/auth/2fa
+   */
+  async getStatus(req, res, next) {
+    try {
+      const status = await twoFactorService.getStatus(req.userId);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start enrolment: secret, otpauth:// URI and QR code (data URL)
+   * POST /api/auth/2fa/setup
+   */
+  async setup(req, res, next) {
+    try {
+      const setup = await twoFactorService.startSetup(req.user);
+
+      res.json({
+        success: true,
+        data: setup
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Enable 2FA with a first code from the app, returns the recovery codes
+   * POST /api/auth/2fa/enable
+   * Body: { code }
+   */
+  async enable(req, res, next) {
+    try {
+      if (!req.body.code) {
+        return res.status(400).json({
+          success: false,
+          error: 'Code is required'
+        });
+      }
+
+      const result = await twoFactorService.enable(req.userId, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: result
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Disable 2FA
+   * POST /api/auth/2fa/disable
+   * Body: { password, code } or { password, recoveryCode }
+   */
+  async disable(req, res, next) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      if (!password || (!code && !recoveryCode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password and code are required'
+        });
+      }
+
+      await twoFactorService.disable(req.user, { password, code, recoveryCode });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * POST /api/auth/2fa/recovery-codes
+   * Body: { code }
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      if (!req.body.code) {
+        return res.status(400).json({
+          success: false,
+          error: 'Code is required'
+        });
+      }
+
+      const result = await twoFactorService.regenerateRecoveryCodes(req.userId, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated',
+        data: result
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
@@ -0,0 +1,146 @@
+const pool = require('../../shared/config/database');
+
+class TwoFactor {
+  /**
+   * Get the TOTP state of a user and how many recovery codes are left
+   */
+  static async findByUser(userId) {
+    const result = await pool.query(
+      `SELECT u.totp_secret, u.totp_enabled_at, u.totp_last_step,
+              (SELECT COUNT(*)::int FROM user_recovery_codes rc
+               WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS recovery_codes_remaining
+       FROM users u
+       WHERE u.id = $1`,
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Store the secret of an enrolment in progress (2FA not enabled yet)
+   */
+  static async setPendingSecret(userId, secret) {
+    const result = await pool.query(
+      `UPDATE users
+       SET totp_secret = $2, totp_last_step = NULL
+       WHERE id = $1 AND totp_enabled_at IS NULL
+       RETURNING id`,
+      [userId, secret]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Enable 2FA once the first code is verified, with a fresh set of recovery codes
+   */
+  static async enable(userId, step, codeHashes) {
+    await this.withTransaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $2
+         WHERE id = $1`,
+        [userId, step]
+      );
+      await this.insertRecoveryCodes(client, userId, codeHashes);
+    });
+  }
+
+  /**
+   * Disable 2FA: forget the secret and the recovery codes
+   */
+  static async disable(userId) {
+    await this.withTransaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+         WHERE id = $1`,
+        [userId]
+      );
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    });
+  }
+
+  /**
+   * Record the time step of an accepted code
+   * Fails if this step (or a later one) was already used: a code works once
+   */
+  static async consumeStep(userId, step) {
+    const result = await pool.query(
+      `UPDATE users
+       SET totp_last_step = $2
+       WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+       RETURNING id`,
+      [userId, step]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Use a recovery code (fails if unknown or already used)
+   */
+  static async consumeRecoveryCode(userId, codeHash) {
+    const result = await pool.query(
+      `UPDATE user_recovery_codes
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, codeHash]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Replace all recovery codes of a user
+   */
+  static async replaceRecoveryCodes(userId, codeHashes) {
+    await this.withTransaction(async (client) => {
+      await this.insertRecoveryCodes(client, userId, codeHashes);
+    });
+  }
+
+  /**
+   * Delete the previous recovery codes and insert new ones (inside a transaction)
+   * @private
+   */
+  static async insertRecoveryCodes(client, userId, codeHashes) {
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(
+      `INSERT INTO user_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::varchar[])`,
+      [userId, codeHashes]
+    );
+  }
+
+  /**
+   * Run a function inside a transaction
+   * @private
+   */
+  static async withTransaction(fn) {
+    let client;
+
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const result = await fn(client);
+
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Rollback failed:', rollbackError.message);
+        }
+      }
+      throw error;
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+}
+
+module.exports = TwoFactor;
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('./auth.model');
+const TwoFactor = require('./twoFactor.model');
+const totp = require('../../shared/utils/totp');
+
+// Name shown in the authenticator app
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'PinGrid';
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_BYTES = 5;
+
+class TwoFactorService {
+  /**
+   * 2FA status for the security settings
+   */
+  async getStatus(userId) {
+    const state = await TwoFactor.findByUser(userId);
+
+    return {
+      enabled: Boolean(state?.totp_enabled_at),
+      enabled_at: state?.totp_enabled_at || null,
+      recovery_codes_remaining: state?.totp_enabled_at ? state.recovery_codes_remaining : 0
+    };
+  }
+
+  /**
+   * Start enrolment: new secret + provisioning URI and its QR code
+   * Calling it again before enabling replaces the pending secret
+   */
+  async startSetup(user) {
+    const secret = totp.generateSecret();
+
+    const stored = await TwoFactor.setPendingSecret(user.id, secret);
+    if (!stored) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const otpauthUrl = totp.buildOtpauthUrl(secret, user.email, TOTP_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauth_url: otpauthUrl, qr_code: qrCode };
+  }
+
+  /**
+   * Finish enrolment with a first code from the app
+   * Returns the recovery codes: shown once, only their hashes are kept
+   */
+  async enable(userId, code) {
+    const state = await TwoFactor.findByUser(userId);
+    if (state.totp_enabled_at) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!state.totp_secret) {
+      throw new Error('Two-factor setup not started');
+    }
+
+    const step = totp.verifyCode(state.totp_secret, code);
+    if (step === null) {
+      throw new Error('Invalid code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await TwoFactor.enable(userId, step, recoveryCodes.map(c => this.hashRecoveryCode(c)));
+
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Disable 2FA (password + a current code or a recovery code)
+   */
+  async disable(user, { password, code, recoveryCode }) {
+    await this.checkPassword(user, password);
+
+    const verified = await this.verifySecondFactor(user.id, { code, recoveryCode });
+    if (!verified) {
+      throw new Error('Invalid code');
+    }
+
+    await TwoFactor.disable(user.id);
+  }
+
+  /**
+   * Replace the recovery codes (the previous ones stop working)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const state = await TwoFactor.findByUser(userId);
+    if (!state.totp_enabled_at) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    const verified = await this.verifySecondFactor(userId, { code });
+    if (!verified) {
+      throw new Error('Invalid code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await TwoFactor.replaceRecoveryCodes(userId, recoveryCodes.map(c => this.hashRecoveryCode(c)));
+
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Check a second factor: TOTP code (each code works once) or unused recovery code
+   */
+  async verifySecondFactor(userId, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const used = await TwoFactor.consumeRecoveryCode(userId, this.hashRecoveryCode(recoveryCode));
+      return used;
+    }
+
+    const state = await TwoFactor.findByUser(userId);
+    if (!state?.totp_enabled_at) return false;
+
+    const step = totp.verifyCode(state.totp_secret, code);
+    if (step === null) return false;
+
+    const consumed = await TwoFactor.consumeStep(userId, step);
+    return consumed;
+  }
+
+  /**
+   * Re-check the password before a sensitive change
+   * @private
+   */
+  async checkPassword(user, password) {
+    const fullUser = await User.findByEmail(user.email);
+    const isValid = password && fullUser && await User.verifyPassword(password, fullUser.password_hash);
+    if (!isValid) {
+      throw new Error('Invalid password');
+    }
+  }
+
+  /**
+   * Generate readable one-time recovery codes ("a3f09-2c71d")
+   * @private
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(RECOVERY_CODE_BYTES).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code, ignoring case, spaces and dashes
+   * @private
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,34 @@
+const pool = require('../../shared/config/database');
+
+class UserIdentity {
+  /**
+   * Find the user (full users row) linked to an SSO identity, and record the login
+   */
+  static async findUserAndTouch(provider, subject, email) {
+    const result = await pool.query(
+      `WITH identity AS (
+         UPDATE user_identities
+         SET last_login_at = CURRENT_TIMESTAMP, email = COALESCE($3, email)
+         WHERE provider = $1 AND subject = $2
+         RETURNING user_id
+       )
+       SELECT u.* FROM users u INNER JOIN identity i ON i.user_id = u.id`,
+      [provider, subject, email]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Link an SSO identity to a user (no-op if it is already linked)
+   */
+  static async link({ userId, provider, subject, email }) {
+    await pool.query(
+      `INSERT INTO user_identities (user_id, provider, subject, email)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (provider, subject) DO NOTHING`,
+      [userId, provider, subject, email]
+    );
+  }
+}
+
+module.exports = UserIdentity;
@@ -0,0 +1,38 @@
+const pool = require('../../shared/config/database');
+
+class UserToken {
+  /**
+   * Create a single-use token, invalidating the unused ones with the same purpose
+   */
+  static async create({ userId, purpose, tokenHash, expiresAt }) {
+    await pool.query(
+      'DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [userId, purpose]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, user_id, purpose, expires_at, created_at`,
+      [userId, purpose, tokenHash, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Use a token: returns its user id, or undefined if unknown, expired or already used
+   */
+  static async consume(purpose, tokenHash) {
+    const result = await pool.query(
+      `UPDATE user_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND purpose = $2
+         AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [tokenHash, purpose]
+    );
+    return result.rows[0]?.user_id;
+  }
+}
+
+module.exports = UserToken;
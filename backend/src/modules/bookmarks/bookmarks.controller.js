@@ -69,18 +69,19 @@ class BookmarksController {
   /**
    * POST /api/bookmarks
    * Créer un nouveau bookmark
-   * Body: { groupId, title, url, description?, favicon_url? }
+   * Body: { groupId, title, url, description?, favicon_url?, tags? }
    */
   async create(req, res) {
     try {
       const userId = req.userId;
-      const { groupId, title, url, description, favicon_url } = req.body;
+      const { groupId, title, url, description, favicon_url, tags } = req.body;
 
       const bookmark = await bookmarksService.createBookmark(userId, groupId, {
         title,
         url,
         description,
-        favicon_url
+        favicon_url,
+        tags
       });
 
       res.status(201).json({
@@ -108,7 +109,7 @@ class BookmarksController {
   /**
    * PUT /api/bookmarks/:id
    * Mettre à jour un bookmark
-   * Body: { title?, url?, description?, favicon_url? }
+   * Body: { title?, url?, description?, favicon_url?, tags? }
    */
   async update(req, res) {
     try {
@@ -153,7 +154,7 @@ class BookmarksController {
 
       res.status(200).json({
         success: true,
-        message: 'Bookmark deleted successfully',
+        message: 'Bookmark moved to trash',
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -288,14 +289,17 @@ class BookmarksController {
 
   /**
    * POST /api/bookmarks/:id/click
-   * Tracker un clic sur un bookmark (incrémenter visit_count)
+   * Body: { source? } - view | edit | search | keyboard (default view)
+   * Tracker un clic sur un bookmark (événement analytics + visit_count)
    */
   async trackClick(req, res) {
     try {
       const userId = req.userId;
       const { id } = req.params;
 
-      const bookmark = await bookmarksService.trackBookmarkClick(userId, id);
+      const { source = 'view' } = req.body || {};
+
+      const bookmark = await bookmarksService.trackBookmarkClick(userId, id, source);
 
       res.status(200).json({
         success: true,
@@ -305,7 +309,10 @@ class BookmarksController {
       });
     } catch (error) {
       console.error('Error in trackClick bookmark:', error);
-      res.status(error.message.includes('not found') || error.message.includes('access denied') ? 404 : 500).json({
+      const statusCode = error.message.includes('must be')
+        ? 400
+        : error.message.includes('not found') || error.message.includes('access denied') ? 404 : 500;
+      res.status(statusCode).json({
         success: false,
         message: error.message || 'Failed to track click',
         timestamp: new Date().toISOString()
@@ -314,15 +321,17 @@ class BookmarksController {
   }
 
   /**
-   * GET /api/bookmarks/top-used?limit=10
+   * GET /api/bookmarks/top-used?limit=10&days=30
    * Récupérer les bookmarks les plus utilisés d'un user
+   * days: classer par clics récents (sinon visit_count historique)
    */
   async getTopUsed(req, res) {
     try {
       const userId = req.userId;
       const limit = parseInt(req.query.limit) || 10;
+      const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : null;
 
-      const bookmarks = await bookmarksService.getTopUsedBookmarks(userId, limit);
+      const bookmarks = await bookmarksService.getTopUsedBookmarks(userId, limit, days);
 
       res.status(200).json({
         success: true,
@@ -331,7 +340,7 @@ class BookmarksController {
       });
     } catch (error) {
       console.error('Error in getTopUsed bookmarks:', error);
-      res.status(error.message.includes('must be greater than') ? 400 : 500).json({
+      res.status(error.message.includes('must be') ? 400 : 500).json({
         success: false,
         message: error.message || 'Failed to fetch top used bookmarks',
         timestamp: new Date().toISOString()
@@ -399,6 +408,131 @@ class BookmarksController {
       });
     }
   }
+
+  /**
+   * GET /api/bookmarks/duplicates
+   * Regrouper les bookmarks identiques (URL normalisée) de toutes les pages
+   */
+  async getDuplicates(req, res) {
+    try {
+      const userId = req.userId;
+
+      const duplicates = await bookmarksService.getDuplicateClusters(userId);
+
+      res.status(200).json({
+        success: true,
+        data: duplicates,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in getDuplicates bookmarks:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch duplicate bookmarks',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * GET /api/bookmarks/duplicates/check?url=URL
+   * Bookmarks existants ayant la même URL normalisée (avertissement avant création)
+   */
+  async checkDuplicate(req, res) {
+    try {
+      const userId = req.userId;
+      const { url } = req.query;
+
+      const duplicates = await bookmarksService.findDuplicatesOfUrl(userId, url);
+
+      res.status(200).json({
+        success: true,
+        data: duplicates,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in checkDuplicate bookmarks:', error);
+      res.status(error.message.includes('required') ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to check duplicate bookmarks',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/bookmarks/duplicates/merge
+   * Fusionner des doublons dans un bookmark conservé
+   * Body: { keepId, bookmarkIds, mode? ('delete' | 'link') }
+   */
+  async mergeDuplicates(req, res) {
+    try {
+      const userId = req.userId;
+      const { keepId, bookmarkIds, mode } = req.body;
+
+      const result = await bookmarksService.mergeDuplicates(userId, keepId, bookmarkIds, mode || 'delete');
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: `${result.merged} duplicate(s) merged`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in mergeDuplicates bookmarks:', error);
+      const statusCode = error.message.includes('required') ||
+        error.message.includes('must') ||
+        error.message.includes('Only') ? 400 :
+        error.message.includes('not found') ||
+          error.message.includes('access denied') ? 404 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to merge duplicate bookmarks',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/bookmarks/bulk
+   * Appliquer une opération à plusieurs bookmarks (une seule transaction)
+   * Body: { action ('move' | 'delete' | 'tag' | 'refresh-favicons' | 'set-column'), bookmarkIds,
+   *         groupId?, column?, tags?, tagMode? ('add' | 'remove' | 'replace') }
+   */
+  async bulk(req, res) {
+    try {
+      const userId = req.userId;
+      const { action, bookmarkIds, groupId, column, tags, tagMode } = req.body;
+
+      const result = await bookmarksService.bulkAction(userId, action, bookmarkIds, {
+        groupId,
+        column: column !== undefined ? parseInt(column, 10) : undefined,
+        tags,
+        tagMode
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: `${result.count} bookmark(s) updated`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in bulk bookmarks:', error);
+      const statusCode = error.message.includes('required') ||
+        error.message.includes('must') ||
+        error.message.includes('Column') ? 400 :
+        error.message.includes('not found') ||
+          error.message.includes('access denied') ? 404 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to apply bulk action',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
 }
 
 module.exports = new BookmarksController();
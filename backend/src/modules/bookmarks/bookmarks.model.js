@@ -1,4 +1,7 @@
 const pool = require('../../shared/config/database');
+const { pageAccessCondition } = require('../workspaces/workspaceAccess');
+const { normalizeUrl } = require('../../shared/utils/urlNormalizer');
+const Trash = require('../trash/trash.model');
 
 /**
  * Bookmarks Model
@@ -7,18 +10,19 @@ const pool = require('../../shared/config/database');
  */
 class Bookmark {
   /**
-   * Vérifier que le group appartient au user (via section → page)
+   * Vérifier que le user a l'accès demandé sur le group (via section → page)
    * @param {string} groupId - UUID du group
    * @param {string} userId - UUID du user
-   * @returns {Promise<boolean>} True si le group appartient au user
+   * @param {string} access - 'view' | 'edit' (default: 'edit')
+   * @returns {Promise<boolean>} True si le user a l'accès
    */
-  static async verifyGroupOwnership(groupId, userId) {
+  static async verifyGroupAccess(groupId, userId, access = 'edit') {
     const result = await pool.query(
       `SELECT g.id
        FROM groups g
        INNER JOIN sections s ON g.section_id = s.id
        INNER JOIN pages p ON s.page_id = p.id
-       WHERE g.id = $1 AND p.user_id = $2`,
+       WHERE g.id = $1 AND ${pageAccessCondition('p', '$2', access)} AND g.deleted_at IS NULL`,
       [groupId, userId]
     );
     return result.rows.length > 0;
@@ -42,7 +46,7 @@ class Bookmark {
 
     // Calculer la position automatiquement dans cette colonne (max + 1)
     const positionResult = await pool.query(
-      'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM bookmarks WHERE group_id = $1 AND "column" = $2',
+      'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM bookmarks WHERE group_id = $1 AND "column" = $2 AND deleted_at IS NULL',
       [groupId, column]
     );
     const position = positionResult.rows[0].next_position;
@@ -57,6 +61,47 @@ class Bookmark {
     return result.rows[0];
   }
 
+  /**
+   * Créer plusieurs bookmarks d'un group en une seule requête (imports)
+   * Ajoutés à la suite de la colonne 1, dans l'ordre du tableau
+   * @param {string} groupId - UUID du group
+   * @param {string} userId - UUID du user
+   * @param {Array<object>} bookmarksData - [{ title, url, description?, favicon_url? }]
+   * @param {object} db - Client pg d'une transaction en cours (default: pool)
+   * @returns {Promise<Array>} Bookmarks créés, dans l'ordre du tableau
+   */
+  static async createMany(groupId, userId, bookmarksData, db = pool) {
+    if (bookmarksData.length === 0) return [];
+
+    const column = 1;
+    const positionResult = await db.query(
+      'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM bookmarks WHERE group_id = $1 AND "column" = $2 AND deleted_at IS NULL',
+      [groupId, column]
+    );
+    const firstPosition = positionResult.rows[0].next_position;
+
+    const result = await db.query(
+      `INSERT INTO bookmarks (group_id, user_id, title, url, description, position, "column", favicon_url, visit_count)
+       SELECT $1, $2, data.title, data.url, data.description, ($3 + data.ordinality - 1)::int, $4, data.favicon_url, 0
+       FROM UNNEST($5::text[], $6::text[], $7::text[], $8::text[])
+         WITH ORDINALITY AS data(title, url, description, favicon_url, ordinality)
+       ORDER BY data.ordinality
+       RETURNING id, group_id, user_id, title, url, description, position, "column", visit_count, favicon_url, created_at, updated_at`,
+      [
+        groupId,
+        userId,
+        firstPosition,
+        column,
+        bookmarksData.map(bm => bm.title),
+        bookmarksData.map(bm => bm.url),
+        bookmarksData.map(bm => bm.description || null),
+        bookmarksData.map(bm => bm.favicon_url || null)
+      ]
+    );
+
+    return result.rows.sort((a, b) => a.position - b.position);
+  }
+
   /**
    * Récupérer tous les bookmarks d'un group
    * @param {string} groupId - UUID du group
@@ -66,7 +111,7 @@ class Bookmark {
     const result = await pool.query(
       `SELECT id, group_id, user_id, title, url, description, position, "column", visit_count, favicon_url, created_at, updated_at
        FROM bookmarks
-       WHERE group_id = $1
+       WHERE group_id = $1 AND deleted_at IS NULL
        ORDER BY "column" ASC, position ASC`,
       [groupId]
     );
@@ -77,23 +122,41 @@ class Bookmark {
   /**
    * Récupérer un bookmark par ID
    * @param {string} id - UUID du bookmark
-   * @param {string} userId - UUID du user (pour vérification ownership via group→section→page)
+   * @param {string} userId - UUID du user (pour vérification des permissions via group→section→page)
+   * @param {string} access - Accès requis: 'view' | 'edit' (default: 'view')
    * @returns {Promise<object|null>} Bookmark ou null si non trouvé ou pas d'accès
    */
-  static async findById(id, userId) {
+  static async findById(id, userId, access = 'view') {
     const result = await pool.query(
-      `SELECT b.id, b.group_id, b.user_id, b.title, b.url, b.description, b.position, b."column", b.visit_count, b.favicon_url, b.created_at, b.updated_at
+      `SELECT b.id, b.group_id, b.user_id, b.title, b.url, b.description, b.position, b."column", b.visit_count, b.favicon_url, b.canonical_id, b.created_at, b.updated_at
        FROM bookmarks b
        INNER JOIN groups g ON b.group_id = g.id
        INNER JOIN sections s ON g.section_id = s.id
        INNER JOIN pages p ON s.page_id = p.id
-       WHERE b.id = $1 AND p.user_id = $2`,
+       WHERE b.id = $1 AND ${pageAccessCondition('p', '$2', access)} AND b.deleted_at IS NULL`,
       [id, userId]
     );
 
     return result.rows.length > 0 ? result.rows[0] : null;
   }
 
+  /**
+   * Récupérer plusieurs bookmarks actifs par IDs (opérations groupées)
+   * Note: permissions vérifiées par l'appelant via verifyGroupAccess (une fois par group)
+   * @param {Array<string>} ids - UUIDs des bookmarks
+   * @returns {Promise<Array>} Bookmarks trouvés (les IDs inconnus sont ignorés)
+   */
+  static async findByIds(ids) {
+    const result = await pool.query(
+      `SELECT id, group_id, user_id, title, url, description, position, "column", visit_count, favicon_url, created_at, updated_at
+       FROM bookmarks
+       WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL`,
+      [ids]
+    );
+
+    return result.rows;
+  }
+
   /**
    * Trouver un bookmark par URL dans un group spécifique (pour vérifier doublons)
    * @param {string} groupId - UUID du group
@@ -104,23 +167,134 @@ class Bookmark {
     const result = await pool.query(
       `SELECT id, group_id, user_id, title, url, description, position, "column", visit_count, favicon_url, created_at, updated_at
        FROM bookmarks
-       WHERE group_id = $1 AND url = $2`,
+       WHERE group_id = $1 AND url = $2 AND deleted_at IS NULL`,
       [groupId, url]
     );
 
     return result.rows.length > 0 ? result.rows[0] : null;
   }
 
+  /**
+   * Récupérer tous les bookmarks d'un user (tous groups confondus) avec leur emplacement
+   * Utilisé pour la détection de doublons (comparaison sur l'URL normalisée)
+   * Pages personnelles seulement: une fusion ne touche jamais aux pages d'un workspace
+   * @param {string} userId - UUID du user
+   * @returns {Promise<Array>} Bookmarks avec nom du group/section/page
+   */
+  static async findAllForUser(userId) {
+    const result = await pool.query(
+      `SELECT b.id, b.title, b.url, b.favicon_url, b.visit_count, b.canonical_id, b.group_id, b.created_at,
+              g.name AS group_name, s.name AS section_name, p.id AS page_id, p.name AS page_name
+       FROM bookmarks b
+       INNER JOIN groups g ON b.group_id = g.id
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       WHERE p.user_id = $1 AND p.workspace_id IS NULL AND b.deleted_at IS NULL
+       ORDER BY p.position ASC, s.position ASC, g.position ASC, b."column" ASC, b.position ASC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Fusionner des doublons dans un bookmark conservé (transaction)
+   * - visit_count des doublons ajouté au bookmark conservé
+   * - tags des doublons ajoutés au bookmark conservé
+   * - mode 'delete': doublons mis à la corbeille (fusion annulable en les restaurant)
+   * - mode 'link': doublons conservés à leur emplacement, liés au bookmark conservé (canonical_id)
+   * Note: permissions et URLs vérifiées par l'appelant (bookmarks.service)
+   * @param {string} userId - UUID du user (entrées de corbeille)
+   * @param {string} keepId - UUID du bookmark conservé
+   * @param {Array<string>} duplicateIds - UUIDs des doublons
+   * @param {string} mode - 'delete' | 'link'
+   * @returns {Promise<object>} { bookmark (conservé, mis à jour), trashItems (mode 'delete') }
+   */
+  static async mergeDuplicates(userId, keepId, duplicateIds, mode) {
+    let client;
+
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE bookmarks
+         SET visit_count = visit_count + (
+               SELECT COALESCE(SUM(visit_count), 0) FROM bookmarks WHERE id = ANY($2::uuid[])
+             ),
+             canonical_id = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, group_id, user_id, title, url, description, position, "column", visit_count, favicon_url, created_at, updated_at`,
+        [keepId, duplicateIds]
+      );
+
+      await client.query(
+        `INSERT INTO bookmark_tags (bookmark_id, tag_id)
+         SELECT DISTINCT $1::uuid, tag_id FROM bookmark_tags WHERE bookmark_id = ANY($2::uuid[])
+         ON CONFLICT DO NOTHING`,
+        [keepId, duplicateIds]
+      );
+
+      // Copies déjà liées à un doublon → liées directement au bookmark conservé
+      await client.query(
+        'UPDATE bookmarks SET canonical_id = $1 WHERE canonical_id = ANY($2::uuid[]) AND id <> $1',
+        [keepId, duplicateIds]
+      );
+
+      if (mode === 'link') {
+        await client.query(
+          `UPDATE bookmarks
+           SET canonical_id = $1, visit_count = 0, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ANY($2::uuid[])`,
+          [keepId, duplicateIds]
+        );
+      }
+
+      const trashItems = [];
+      if (mode === 'delete') {
+        // Visites déjà reportées sur le bookmark conservé: un doublon restauré repart de 0
+        await client.query(
+          'UPDATE bookmarks SET visit_count = 0 WHERE id = ANY($1::uuid[])',
+          [duplicateIds]
+        );
+        for (const id of duplicateIds) {
+          const trashItem = await Trash.moveToTrash(userId, 'bookmark', id, client);
+          if (!trashItem) {
+            throw new Error('Bookmark not found or access denied');
+          }
+          trashItems.push(trashItem);
+        }
+      }
+
+      await client.query('COMMIT');
+      return { bookmark: result.rows[0], trashItems };
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Rollback failed:', rollbackError.message);
+        }
+      }
+      throw error;
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+
   /**
    * Mettre à jour un bookmark
    * @param {string} id - UUID du bookmark
-   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @param {string} userId - UUID du user (pour vérification des permissions)
    * @param {object} updates - Champs à mettre à jour { title?, url?, description?, favicon_url? }
    * @returns {Promise<object|null>} Bookmark mis à jour ou null si non trouvé
    */
   static async update(id, userId, updates) {
-    // Récupérer le bookmark actuel pour vérifier ownership
-    const existingBookmark = await this.findById(id, userId);
+    // Récupérer le bookmark actuel pour vérifier les permissions
+    const existingBookmark = await this.findById(id, userId, 'edit');
     if (!existingBookmark) {
       return null;
     }
@@ -136,21 +310,37 @@ class Bookmark {
     const setClause = fieldsToUpdate.map((field, index) => `"${field}" = $${index + 2}`).join(', ');
     const values = [id, ...fieldsToUpdate.map(field => updates[field])];
 
+    // URL modifiée: plus un doublon, le lien du merge est rompu (copie liée ou bookmark conservé)
+    const urlChanged = fieldsToUpdate.includes('url') && normalizeUrl(updates.url) !== normalizeUrl(existingBookmark.url);
+
     const result = await pool.query(
       `UPDATE bookmarks
-       SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+       SET ${setClause}${urlChanged ? ', canonical_id = NULL' : ''}, updated_at = CURRENT_TIMESTAMP
        WHERE id = $1
        RETURNING id, group_id, user_id, title, url, description, position, "column", visit_count, favicon_url, created_at, updated_at`,
       values
     );
 
+    if (urlChanged) {
+      await pool.query('UPDATE bookmarks SET canonical_id = NULL WHERE canonical_id = $1', [id]);
+    }
+
     return result.rows[0];
   }
 
+  /**
+   * Rompre le lien d'une copie avec son bookmark conservé (canonical_id)
+   * @param {string} id - UUID de la copie
+   * @returns {Promise<void>}
+   */
+  static async clearCanonical(id) {
+    await pool.query('UPDATE bookmarks SET canonical_id = NULL WHERE id = $1', [id]);
+  }
+
   /**
    * Supprimer un bookmark
    * @param {string} id - UUID du bookmark
-   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @param {string} userId - UUID du user (pour vérification des permissions)
    * @returns {Promise<boolean>} True si supprimé, false si non trouvé
    */
   static async delete(id, userId) {
@@ -161,7 +351,7 @@ class Bookmark {
          AND g.section_id = s.id
          AND s.page_id = p.id
          AND b.id = $1
-         AND p.user_id = $2
+         AND ${pageAccessCondition('p', '$2', 'edit')}
        RETURNING b.id`,
       [id, userId]
     );
@@ -197,7 +387,7 @@ class Bookmark {
       const result = await client.query(
         `SELECT id, group_id, user_id, title, url, description, position, "column", visit_count, favicon_url, created_at, updated_at
          FROM bookmarks
-         WHERE group_id = $1 AND "column" = $2
+         WHERE group_id = $1 AND "column" = $2 AND deleted_at IS NULL
          ORDER BY position ASC`,
         [groupId, columnNumber]
       );
@@ -247,7 +437,7 @@ class Bookmark {
       const result = await client.query(
         `SELECT id, group_id, user_id, title, url, description, position, "column", visit_count, favicon_url, created_at, updated_at
          FROM bookmarks
-         WHERE group_id = $1
+         WHERE group_id = $1 AND deleted_at IS NULL
          ORDER BY "column" ASC, position ASC`,
         [groupId]
       );
@@ -269,6 +459,53 @@ class Bookmark {
     }
   }
 
+  /**
+   * Déplacer plusieurs bookmarks à la fin d'une colonne (opérations groupées)
+   * L'ordre des IDs est conservé. Le group cible peut être le group actuel (changement de colonne).
+   * @param {Array<string>} ids - UUIDs des bookmarks dans l'ordre voulu
+   * @param {string} groupId - UUID du group cible
+   * @param {number} column - Numéro de la colonne cible (1-based)
+   * @param {object} db - Client pg d'une transaction en cours (default: pool)
+   * @returns {Promise<Array>} Bookmarks déplacés
+   */
+  static async moveToColumn(ids, groupId, column, db = pool) {
+    if (ids.length === 0) return [];
+
+    const result = await db.query(
+      `WITH column_end AS (
+         SELECT COALESCE(MAX(position), -1) AS position
+         FROM bookmarks
+         WHERE group_id = $2 AND "column" = $3 AND deleted_at IS NULL AND id <> ALL($1::uuid[])
+       )
+       UPDATE bookmarks b
+       SET group_id = $2, "column" = $3, position = column_end.position + moved.ordinality, updated_at = CURRENT_TIMESTAMP
+       FROM column_end, unnest($1::uuid[]) WITH ORDINALITY AS moved(id, ordinality)
+       WHERE b.id = moved.id
+       RETURNING b.id, b.group_id, b.user_id, b.title, b.url, b.description, b.position, b."column", b.visit_count, b.favicon_url, b.created_at, b.updated_at`,
+      [ids, groupId, column]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Mettre à jour le favicon de plusieurs bookmarks (résolution différée après import)
+   * @param {Array<string>} ids - UUIDs des bookmarks
+   * @param {string} faviconUrl - URL du favicon
+   * @param {object} db - Client pg d'une transaction en cours (default: pool)
+   * @returns {Promise<number>} Nombre de bookmarks mis à jour
+   */
+  static async updateFavicons(ids, faviconUrl, db = pool) {
+    if (ids.length === 0) return 0;
+
+    const result = await db.query(
+      'UPDATE bookmarks SET favicon_url = $1 WHERE id = ANY($2::uuid[])',
+      [faviconUrl, ids]
+    );
+
+    return result.rowCount;
+  }
+
   /**
    * Incrémenter le compteur de visites d'un bookmark (click tracking)
    * @param {string} id - UUID du bookmark
@@ -293,7 +530,7 @@ class Bookmark {
    */
   static async countByGroup(groupId) {
     const result = await pool.query(
-      'SELECT COUNT(*) as count FROM bookmarks WHERE group_id = $1',
+      'SELECT COUNT(*) as count FROM bookmarks WHERE group_id = $1 AND deleted_at IS NULL',
       [groupId]
     );
 
@@ -302,18 +539,44 @@ class Bookmark {
 
   /**
    * Récupérer les bookmarks les plus utilisés d'un user (pour groups dynamiques "Top Used")
+   * Avec days: classés par clics sur les N derniers jours (bookmark_clicks), un bookmark
+   * qui n'est plus utilisé redescend; visit_count départage
    * @param {string} userId - UUID du user
    * @param {number} limit - Nombre de bookmarks à retourner (default 10)
-   * @returns {Promise<Array>} Liste des top bookmarks triés par visit_count DESC
+   * @param {number|null} days - Fenêtre en jours (null = visit_count historique)
+   * @returns {Promise<Array>} Liste des top bookmarks
    */
-  static async getTopUsed(userId, limit = 10) {
+  static async getTopUsed(userId, limit = 10, days = null) {
+    if (days) {
+      const result = await pool.query(
+        `SELECT b.id, b.group_id, b.user_id, b.title, b.url, b.description, b.position, b."column", b.visit_count, b.favicon_url, b.created_at, b.updated_at,
+                recent.clicks AS recent_clicks
+         FROM bookmarks b
+         INNER JOIN (
+           SELECT bookmark_id, COUNT(*)::int AS clicks
+           FROM bookmark_clicks
+           WHERE user_id = $1 AND clicked_at >= CURRENT_DATE - ($3::int - 1)
+           GROUP BY bookmark_id
+         ) recent ON recent.bookmark_id = b.id
+         INNER JOIN groups g ON b.group_id = g.id
+         INNER JOIN sections s ON g.section_id = s.id
+         INNER JOIN pages p ON s.page_id = p.id
+         WHERE ${pageAccessCondition('p', '$1')} AND b.deleted_at IS NULL
+         ORDER BY recent.clicks DESC, b.visit_count DESC, b.created_at DESC
+         LIMIT $2`,
+        [userId, limit, days]
+      );
+
+      return result.rows;
+    }
+
     const result = await pool.query(
       `SELECT b.id, b.group_id, b.user_id, b.title, b.url, b.description, b.position, b."column", b.visit_count, b.favicon_url, b.created_at, b.updated_at
        FROM bookmarks b
        INNER JOIN groups g ON b.group_id = g.id
        INNER JOIN sections s ON g.section_id = s.id
        INNER JOIN pages p ON s.page_id = p.id
-       WHERE p.user_id = $1
+       WHERE ${pageAccessCondition('p', '$1')} AND b.deleted_at IS NULL
        ORDER BY b.visit_count DESC, b.created_at DESC
        LIMIT $2`,
       [userId, limit]
@@ -321,6 +584,117 @@ class Bookmark {
 
     return result.rows;
   }
+
+  /**
+   * Récupérer les bookmarks d'un group dynamique selon sa règle
+   * Exclut les copies liées (merge de doublons): seul le bookmark conservé apparaît
+   * "dynamic-search" est évalué par searchService (pas ici)
+   * @param {string} userId - UUID du user
+   * @param {string} groupType - Type du group (dynamic-*)
+   * @param {object} params - Paramètres normalisés de la règle (rule_params)
+   * @param {number} limit - Nombre max de bookmarks (bookmark_limit du group)
+   * @returns {Promise<Array>} Bookmarks dans l'ordre de la règle
+   */
+  static async findByRule(userId, groupType, params, limit) {
+    const values = [userId, limit];
+    let select = '';
+    let join = '';
+    let where = '';
+    let orderBy = 'b.visit_count DESC, b.title ASC';
+
+    // Dernier clic de chaque bookmark du user
+    const lastClicks = `(
+      SELECT bookmark_id, MAX(clicked_at) AS last_clicked_at
+      FROM bookmark_clicks
+      WHERE user_id = $1
+      GROUP BY bookmark_id
+    ) c ON c.bookmark_id = b.id`;
+
+    switch (groupType) {
+      case 'dynamic-top-used':
+        if (params.ranking === 'frecency') {
+          // Score matérialisé (bookmark_frecency), 0 si jamais calculé
+          select = ', COALESCE(f.score, 0) AS frecency_score';
+          join = 'LEFT JOIN bookmark_frecency f ON f.bookmark_id = b.id';
+          orderBy = 'COALESCE(f.score, 0) DESC, b.visit_count DESC, b.created_at DESC';
+        } else if (params.ranking === 'last-days') {
+          // Clics des N derniers jours (aujourd'hui inclus)
+          values.push(params.days);
+          select = ', r.clicks AS recent_clicks';
+          join = `INNER JOIN (
+            SELECT bookmark_id, COUNT(*)::int AS clicks
+            FROM bookmark_clicks
+            WHERE user_id = $1 AND clicked_at >= CURRENT_DATE - ($3::int - 1)
+            GROUP BY bookmark_id
+          ) r ON r.bookmark_id = b.id`;
+          orderBy = 'r.clicks DESC, b.visit_count DESC, b.created_at DESC';
+        } else {
+          orderBy = 'b.visit_count DESC, b.created_at DESC';
+        }
+        break;
+      case 'dynamic-recent':
+        select = ', c.last_clicked_at';
+        join = `INNER JOIN ${lastClicks}`;
+        orderBy = 'c.last_clicked_at DESC';
+        break;
+      case 'dynamic-recently-added':
+        orderBy = 'b.created_at DESC';
+        break;
+      case 'dynamic-trending':
+        // Plus de clics ces 7 derniers jours que les 7 jours précédents
+        select = ', t.this_week AS recent_clicks';
+        join = `INNER JOIN (
+          SELECT bookmark_id,
+                 COUNT(*) FILTER (WHERE clicked_at >= CURRENT_DATE - 6) AS this_week,
+                 COUNT(*) FILTER (WHERE clicked_at < CURRENT_DATE - 6) AS last_week
+          FROM bookmark_clicks
+          WHERE user_id = $1 AND clicked_at >= CURRENT_DATE - 13
+          GROUP BY bookmark_id
+        ) t ON t.bookmark_id = b.id`;
+        where = 'AND t.this_week > t.last_week';
+        orderBy = '(t.this_week - t.last_week) DESC, t.this_week DESC';
+        break;
+      case 'dynamic-stale':
+        // Ni cliqué ni ajouté depuis N jours (les plus oubliés d'abord)
+        values.push(params.days);
+        select = ', c.last_clicked_at';
+        join = `LEFT JOIN ${lastClicks}`;
+        where = `AND b.created_at < CURRENT_DATE - $3::int
+          AND (c.last_clicked_at IS NULL OR c.last_clicked_at < CURRENT_DATE - $3::int)`;
+        orderBy = 'c.last_clicked_at ASC NULLS FIRST, b.created_at ASC';
+        break;
+      case 'dynamic-tag':
+        values.push(params.tag);
+        join = `INNER JOIN bookmark_tags bt ON bt.bookmark_id = b.id
+          INNER JOIN tags t ON bt.tag_id = t.id AND t.user_id = $1 AND LOWER(t.name) = LOWER($3)`;
+        break;
+      case 'dynamic-domain': {
+        // Host de l'URL (sans userinfo ni port), sous-domaines inclus
+        const host = `LOWER(substring(b.url from '^[A-Za-z][A-Za-z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)'))`;
+        values.push(params.domain);
+        where = `AND (${host} = $3 OR ${host} LIKE '%.' || $3)`;
+        break;
+      }
+      default:
+        return [];
+    }
+
+    const result = await pool.query(
+      `SELECT b.id, b.group_id, b.user_id, b.title, b.url, b.description, b.position, b."column", b.visit_count, b.favicon_url, b.created_at, b.updated_at${select}
+       FROM bookmarks b
+       INNER JOIN groups g ON b.group_id = g.id
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       ${join}
+       WHERE ${pageAccessCondition('p', '$1')} AND b.deleted_at IS NULL AND b.canonical_id IS NULL
+       ${where}
+       ORDER BY ${orderBy}
+       LIMIT $2`,
+      values
+    );
+
+    return result.rows;
+  }
 }
 
 module.exports = Bookmark;
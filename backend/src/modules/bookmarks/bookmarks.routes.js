@@ -18,7 +18,7 @@ router.use(authMiddleware);
 router.get('/', bookmarksController.getAll);
 
 /**
- * GET /api/bookmarks/top-used?limit=10
+ * GET /api/bookmarks/top-used?limit=10&days=30
  * Récupérer les bookmarks les plus utilisés
  * NOTE: Must be BEFORE /:id route to avoid matching "top-used" as an ID
  */
@@ -31,6 +31,26 @@ router.get('/top-used', bookmarksController.getTopUsed);
  */
 router.get('/stats', bookmarksController.getStats);
 
+/**
+ * GET /api/bookmarks/duplicates
+ * Regrouper les bookmarks identiques (URL normalisée) de toutes les pages
+ * NOTE: Must be BEFORE /:id route to avoid matching "duplicates" as an ID
+ */
+router.get('/duplicates', bookmarksController.getDuplicates);
+
+/**
+ * GET /api/bookmarks/duplicates/check?url=URL
+ * Bookmarks existants ayant la même URL (avertissement avant création)
+ */
+router.get('/duplicates/check', bookmarksController.checkDuplicate);
+
+/**
+ * POST /api/bookmarks/duplicates/merge
+ * Fusionner des doublons dans un bookmark conservé
+ * Body: { keepId, bookmarkIds: [uuid1, ...], mode?: 'delete' | 'link' }
+ */
+router.post('/duplicates/merge', bookmarksController.mergeDuplicates);
+
 /**
  * GET /api/bookmarks/:id
  * Récupérer un bookmark par ID
@@ -40,7 +60,7 @@ router.get('/:id', bookmarksController.getOne);
 /**
  * POST /api/bookmarks
  * Créer un nouveau bookmark
- * Body: { groupId, title, url, description?, favicon_url? }
+ * Body: { groupId, title, url, description?, favicon_url?, tags? }
  */
 router.post('/', bookmarksController.create);
 
@@ -58,6 +78,13 @@ router.post('/reorder', bookmarksController.reorder);
  */
 router.post('/reorder-column', bookmarksController.reorderColumn);
 
+/**
+ * POST /api/bookmarks/bulk
+ * Appliquer une opération à plusieurs bookmarks (une seule transaction)
+ * Body: { action, bookmarkIds: [uuid1, ...], groupId?, column?, tags?, tagMode? }
+ */
+router.post('/bulk', bookmarksController.bulk);
+
 /**
  * POST /api/bookmarks/scan-site
  * Scan a website's HTML to find declared favicons
@@ -67,7 +94,7 @@ router.post('/scan-site', bookmarksController.scanSite);
 
 /**
  * POST /api/bookmarks/:id/click
- * Tracker un clic sur un bookmark
+ * Tracker un clic sur un bookmark (body: { source? })
  */
 router.post('/:id/click', bookmarksController.trackClick);
 
@@ -80,7 +107,7 @@ router.post('/:id/refresh-favicon', bookmarksController.refreshFavicon);
 /**
  * PUT /api/bookmarks/:id
  * Mettre à jour un bookmark
- * Body: { title?, url?, description?, favicon_url? }
+ * Body: { title?, url?, description?, favicon_url?, tags? }
  */
 router.put('/:id', bookmarksController.update);
 
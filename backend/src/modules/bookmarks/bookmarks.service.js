@@ -1,5 +1,24 @@
+const pool = require('../../shared/config/database');
 const Bookmark = require('./bookmarks.model');
+const Group = require('../groups/groups.model');
 const faviconService = require('../../shared/services/faviconService');
+const tagsService = require('../tags/tags.service');
+const linkHealthService = require('../linkHealth/linkHealth.service');
+const trashService = require('../trash/trash.service');
+const activityService = require('../activity/activity.service');
+const analyticsService = require('../analytics/analytics.service');
+const realtimeService = require('../realtime/realtime.service');
+const { normalizeUrl } = require('../../shared/utils/urlNormalizer');
+
+// Modes de merge des doublons (delete: supprimer les copies, link: les lier au bookmark conservé)
+const MERGE_MODES = ['delete', 'link'];
+
+// Opérations groupées (POST /api/bookmarks/bulk)
+const BULK_ACTIONS = ['move', 'delete', 'tag', 'refresh-favicons', 'set-column'];
+const BULK_TAG_MODES = ['add', 'remove', 'replace'];
+const BULK_MAX_BOOKMARKS = 500;
+const BULK_FAVICON_CONCURRENCY = 4;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Bookmarks Service
@@ -10,12 +29,12 @@ class BookmarksService {
    * Créer un nouveau bookmark avec validation
    * @param {string} userId - UUID du user
    * @param {string} groupId - UUID du group parent
-   * @param {object} bookmarkData - { title, url, description?, favicon_url? }
-   * @returns {Promise<object>} Bookmark créé
+   * @param {object} bookmarkData - { title, url, description?, favicon_url?, tags? }
+   * @returns {Promise<object>} Bookmark créé (avec tags)
    * @throws {Error} Si validation échoue
    */
   async createBookmark(userId, groupId, bookmarkData) {
-    const { title, url, description, favicon_url } = bookmarkData;
+    const { title, url, description, favicon_url, tags } = bookmarkData;
 
     // Validation: groupId requis
     if (!groupId || groupId.trim().length === 0) {
@@ -23,7 +42,7 @@ class BookmarksService {
     }
 
     // Validation: vérifier que le group existe et appartient au user (via section→page)
-    const hasAccess = await Bookmark.verifyGroupOwnership(groupId, userId);
+    const hasAccess = await Bookmark.verifyGroupAccess(groupId, userId);
     if (!hasAccess) {
       throw new Error('Group not found or access denied');
     }
@@ -54,11 +73,11 @@ class BookmarksService {
       throw new Error('Description must be 500 characters or less');
     }
 
-    // Validation: URL unique par group (optionnel - décommenter si besoin)
-    // const existing = await Bookmark.findByUrl(groupId, url.trim());
-    // if (existing) {
-    //   throw new Error('A bookmark with this URL already exists in this group');
-    // }
+    // Validation: tags si présents (avant insertion pour ne rien créer en cas d'erreur)
+    const tagNames = tags !== undefined ? tagsService.normalizeTagNames(tags) : [];
+
+    // Doublons autorisés: le frontend avertit avant création
+    // (GET /api/bookmarks/duplicates/check, comparaison sur l'URL normalisée)
 
     // AUTO-FETCH FAVICON si pas fourni
     let finalFaviconUrl = favicon_url ? favicon_url.trim() : null;
@@ -82,6 +101,23 @@ class BookmarksService {
       favicon_url: finalFaviconUrl
     });
 
+    // Lier les tags (créés si nécessaire)
+    bookmark.tags = tagNames.length > 0
+      ? await tagsService.setBookmarkTags(userId, bookmark.id, tagNames)
+      : [];
+
+    await activityService.log(userId, {
+      action: 'create',
+      entityType: 'bookmark',
+      entityId: bookmark.id,
+      entityName: bookmark.title,
+      details: { url: bookmark.url, location: { group_id: groupId } }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'bookmark', action: 'create', id: bookmark.id, parentIds: [groupId], data: bookmark
+    }, { type: 'group', ids: [groupId] });
+
     return bookmark;
   }
 
@@ -94,12 +130,13 @@ class BookmarksService {
    */
   async getGroupBookmarks(userId, groupId) {
     // Vérifier que le group existe et appartient au user
-    const hasAccess = await Bookmark.verifyGroupOwnership(groupId, userId);
+    const hasAccess = await Bookmark.verifyGroupAccess(groupId, userId, 'view');
     if (!hasAccess) {
       throw new Error('Group not found or access denied');
     }
 
-    return Bookmark.findAllByGroup(groupId);
+    const bookmarks = await Bookmark.findAllByGroup(groupId);
+    return this.enrich(bookmarks);
   }
 
   /**
@@ -115,20 +152,20 @@ class BookmarksService {
       throw new Error('Bookmark not found or access denied');
     }
 
-    return bookmark;
+    return this.withTags(bookmark);
   }
 
   /**
    * Mettre à jour un bookmark
    * @param {string} userId - UUID du user
    * @param {string} bookmarkId - UUID du bookmark
-   * @param {object} updates - Champs à mettre à jour { title?, url?, description?, favicon_url? }
-   * @returns {Promise<object>} Bookmark mis à jour
+   * @param {object} updates - Champs à mettre à jour { title?, url?, description?, favicon_url?, tags? }
+   * @returns {Promise<object>} Bookmark mis à jour (avec tags)
    * @throws {Error} Si validation échoue ou bookmark non trouvé
    */
   async updateBookmark(userId, bookmarkId, updates) {
     // Vérifier que le bookmark existe et appartient au user
-    const existingBookmark = await Bookmark.findById(bookmarkId, userId);
+    const existingBookmark = await Bookmark.findById(bookmarkId, userId, 'edit');
     if (!existingBookmark) {
       throw new Error('Bookmark not found or access denied');
     }
@@ -176,7 +213,7 @@ class BookmarksService {
       }
 
       // Vérifier que le nouveau group existe et appartient au user
-      const hasAccess = await Bookmark.verifyGroupOwnership(updates.group_id, userId);
+      const hasAccess = await Bookmark.verifyGroupAccess(updates.group_id, userId);
       if (!hasAccess) {
         throw new Error('Target group not found or access denied');
       }
@@ -184,23 +221,102 @@ class BookmarksService {
       updates.group_id = updates.group_id.trim();
     }
 
+    // Validation: tags si présents (remplacent les tags existants)
+    const tagNames = updates.tags !== undefined ? tagsService.normalizeTagNames(updates.tags) : null;
+
     // Mettre à jour
     const updatedBookmark = await Bookmark.update(bookmarkId, userId, updates);
-    return updatedBookmark;
+
+    // Nouvelle URL: l'ancien contrôle de lien ne s'applique plus
+    if (updates.url !== undefined && updates.url !== existingBookmark.url) {
+      await linkHealthService.resetBookmark(bookmarkId);
+    }
+
+    await this.logUpdate(userId, existingBookmark, updatedBookmark, tagNames);
+
+    if (tagNames !== null) {
+      updatedBookmark.tags = await tagsService.setBookmarkTags(userId, bookmarkId, tagNames);
+    }
+    const bookmark = tagNames !== null ? updatedBookmark : await this.withTags(updatedBookmark);
+
+    const groupIds = [...new Set([existingBookmark.group_id, bookmark.group_id])];
+    await realtimeService.publish(userId, {
+      entity: 'bookmark',
+      action: groupIds.length > 1 ? 'move' : 'update',
+      id: bookmarkId,
+      parentIds: groupIds,
+      data: bookmark
+    }, { type: 'group', ids: groupIds });
+
+    return bookmark;
   }
 
   /**
-   * Supprimer un bookmark
+   * Journaliser une mise à jour de bookmark (déplacement + champs modifiés)
+   * @private
+   */
+  async logUpdate(userId, before, after, tagNames) {
+    if (after.group_id !== before.group_id) {
+      const [fromGroup, toGroup] = await Promise.all([
+        Group.findById(before.group_id, userId),
+        Group.findById(after.group_id, userId)
+      ]);
+      await activityService.log(userId, {
+        action: 'move',
+        entityType: 'bookmark',
+        entityId: after.id,
+        entityName: after.title,
+        details: {
+          url: after.url,
+          from: { id: before.group_id, name: fromGroup ? fromGroup.name : null },
+          to: { id: after.group_id, name: toGroup ? toGroup.name : null }
+        }
+      });
+    }
+
+    const changes = activityService.diff(before, after, ['title', 'url', 'description', 'favicon_url']);
+    if (tagNames !== null) {
+      const [withPreviousTags] = await tagsService.attachTags([before]);
+      const previousTags = withPreviousTags.tags.map(tag => tag.name);
+      if ([...previousTags].sort().join(',') !== [...tagNames].sort().join(',')) {
+        changes.tags = { from: previousTags, to: tagNames };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await activityService.log(userId, {
+        action: 'update',
+        entityType: 'bookmark',
+        entityId: after.id,
+        entityName: after.title,
+        details: { url: after.url, changes }
+      });
+    }
+  }
+
+  /**
+   * Supprimer un bookmark (mis à la corbeille)
    * @param {string} userId - UUID du user
    * @param {string} bookmarkId - UUID du bookmark
    * @returns {Promise<boolean>} True si supprimé
    * @throws {Error} Si bookmark non trouvé ou pas owned par user
    */
   async deleteBookmark(userId, bookmarkId) {
-    const deleted = await Bookmark.delete(bookmarkId, userId);
-    if (!deleted) {
-      throw new Error('Bookmark not found or access denied');
-    }
+    const bookmark = await Bookmark.findById(bookmarkId, userId, 'edit');
+    const trashItem = await trashService.moveToTrash(userId, 'bookmark', bookmarkId);
+
+    await activityService.log(userId, {
+      action: 'delete',
+      entityType: 'bookmark',
+      entityId: bookmarkId,
+      entityName: trashItem.name,
+      details: { url: bookmark ? bookmark.url : null, trash_id: trashItem.id, location: trashItem.location }
+    });
+
+    const groupIds = bookmark ? [bookmark.group_id] : [];
+    await realtimeService.publish(userId, {
+      entity: 'bookmark', action: 'delete', id: bookmarkId, parentIds: groupIds
+    }, { type: 'group', ids: groupIds });
 
     return true;
   }
@@ -215,7 +331,7 @@ class BookmarksService {
    */
   async reorderBookmarks(userId, groupId, bookmarkIds) {
     // Vérifier que le group existe et appartient au user
-    const hasAccess = await Bookmark.verifyGroupOwnership(groupId, userId);
+    const hasAccess = await Bookmark.verifyGroupAccess(groupId, userId);
     if (!hasAccess) {
       throw new Error('Group not found or access denied');
     }
@@ -237,7 +353,8 @@ class BookmarksService {
 
     // Réorganiser
     const reorderedBookmarks = await Bookmark.reorderPositions(groupId, bookmarkIds);
-    return reorderedBookmarks;
+    await this.logReorder(userId, groupId, { count: bookmarkIds.length });
+    return this.enrich(reorderedBookmarks);
   }
 
   /**
@@ -251,7 +368,7 @@ class BookmarksService {
    */
   async reorderColumn(userId, groupId, columnNumber, bookmarkIds) {
     // Vérifier que le group existe et appartient au user
-    const hasAccess = await Bookmark.verifyGroupOwnership(groupId, userId);
+    const hasAccess = await Bookmark.verifyGroupAccess(groupId, userId);
     if (!hasAccess) {
       throw new Error('Group not found or access denied');
     }
@@ -279,44 +396,87 @@ class BookmarksService {
 
     // Réorganiser cette colonne
     const reorderedBookmarks = await Bookmark.reorderColumn(groupId, columnNumber, bookmarkIds);
-    return reorderedBookmarks;
+    await this.logReorder(userId, groupId, { column: columnNumber, count: bookmarkIds.length });
+    return this.enrich(reorderedBookmarks);
+  }
+
+  /**
+   * Journaliser un réordonnancement des bookmarks d'un group
+   * @private
+   */
+  async logReorder(userId, groupId, details) {
+    const group = await Group.findById(groupId, userId);
+    await activityService.log(userId, {
+      action: 'reorder',
+      entityType: 'bookmark',
+      entityId: groupId,
+      entityName: group ? group.name : null,
+      details: { parent_type: 'group', ...details }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'bookmark', action: 'reorder', parentIds: [groupId]
+    }, { type: 'group', ids: [groupId] });
   }
 
   /**
-   * Tracker un clic sur un bookmark (incrémenter visit_count)
+   * Tracker un clic sur un bookmark
+   * Enregistre un événement (analytics) et incrémente visit_count (total historique)
    * @param {string} userId - UUID du user
    * @param {string} bookmarkId - UUID du bookmark
+   * @param {string} source - Origine du clic: view | edit | search | keyboard (default view)
    * @returns {Promise<object>} Bookmark avec visit_count mis à jour
-   * @throws {Error} Si bookmark non trouvé ou pas owned par user
+   * @throws {Error} Si bookmark non trouvé ou pas owned par user, ou source invalide
    */
-  async trackBookmarkClick(userId, bookmarkId) {
+  async trackBookmarkClick(userId, bookmarkId, source = 'view') {
     // Vérifier que le bookmark existe et appartient au user
     const existingBookmark = await Bookmark.findById(bookmarkId, userId);
     if (!existingBookmark) {
       throw new Error('Bookmark not found or access denied');
     }
 
-    // Incrémenter visit_count
+    // Copie liée (merge de doublons): le clic est compté sur le bookmark conservé,
+    // tant qu'il est actif et pointe vers la même URL normalisée (sinon le lien est rompu)
+    if (existingBookmark.canonical_id) {
+      const canonical = await Bookmark.findById(existingBookmark.canonical_id, userId);
+      if (canonical && normalizeUrl(canonical.url) === normalizeUrl(existingBookmark.url)) {
+        await analyticsService.recordClick(userId, canonical.id, source);
+        await Bookmark.incrementVisitCount(canonical.id);
+        await analyticsService.refreshFrecency(canonical.id);
+        return this.withTags(existingBookmark);
+      }
+      await Bookmark.clearCanonical(bookmarkId);
+    }
+
+    await analyticsService.recordClick(userId, bookmarkId, source);
+
+    // Incrémenter visit_count puis recalculer la frecency (incrémental)
     const updatedBookmark = await Bookmark.incrementVisitCount(bookmarkId);
-    return updatedBookmark;
+    await analyticsService.refreshFrecency(bookmarkId);
+    return this.withTags(updatedBookmark);
   }
 
   /**
    * Récupérer les bookmarks les plus utilisés d'un user
    * @param {string} userId - UUID du user
    * @param {number} limit - Nombre de bookmarks à retourner (default 10)
-   * @returns {Promise<Array>} Top bookmarks triés par visit_count DESC
+   * @param {number|null} days - Classer par clics des N derniers jours (null = visit_count historique)
+   * @returns {Promise<Array>} Top bookmarks
    */
-  async getTopUsedBookmarks(userId, limit = 10) {
+  async getTopUsedBookmarks(userId, limit = 10, days = null) {
     // Validation: limit doit être positif
     if (limit <= 0) {
       throw new Error('Limit must be greater than 0');
     }
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > 365)) {
+      throw new Error('Days must be between 1 and 365');
+    }
 
     // Cap à 100 pour éviter surcharge
     const cappedLimit = Math.min(limit, 100);
 
-    return Bookmark.getTopUsed(userId, cappedLimit);
+    const topUsed = await Bookmark.getTopUsed(userId, cappedLimit, days);
+    return this.enrich(topUsed);
   }
 
   /**
@@ -329,7 +489,7 @@ class BookmarksService {
    */
   async refreshBookmarkFavicon(userId, bookmarkId) {
     // Vérifier que le bookmark existe et appartient au user
-    const existingBookmark = await Bookmark.findById(bookmarkId, userId);
+    const existingBookmark = await Bookmark.findById(bookmarkId, userId, 'edit');
     if (!existingBookmark) {
       throw new Error('Bookmark not found or access denied');
     }
@@ -356,8 +516,13 @@ class BookmarksService {
     const updatedBookmark = await Bookmark.update(bookmarkId, userId, {
       favicon_url: newFaviconUrl
     });
+    const bookmark = await this.withTags(updatedBookmark);
 
-    return updatedBookmark;
+    await realtimeService.publish(userId, {
+      entity: 'bookmark', action: 'update', id: bookmarkId, parentIds: [bookmark.group_id], data: bookmark
+    }, { type: 'group', ids: [bookmark.group_id] });
+
+    return bookmark;
   }
 
   /**
@@ -369,7 +534,7 @@ class BookmarksService {
    */
   async getGroupStats(userId, groupId) {
     // Vérifier que le group existe et appartient au user
-    const hasAccess = await Bookmark.verifyGroupOwnership(groupId, userId);
+    const hasAccess = await Bookmark.verifyGroupAccess(groupId, userId, 'view');
     if (!hasAccess) {
       throw new Error('Group not found or access denied');
     }
@@ -395,6 +560,453 @@ class BookmarksService {
       average_visits: totalBookmarks > 0 ? (totalVisits / totalBookmarks).toFixed(2) : 0
     };
   }
+
+  /**
+   * Trouver les bookmarks existants d'un user ayant la même URL normalisée
+   * (avertissement avant création d'un doublon)
+   * @param {string} userId - UUID du user
+   * @param {string} url - URL à vérifier
+   * @returns {Promise<Array>} Bookmarks existants avec emplacement (page/section/group)
+   * @throws {Error} Si URL manquante
+   */
+  async findDuplicatesOfUrl(userId, url) {
+    if (!url || url.trim().length === 0) {
+      throw new Error('URL is required');
+    }
+
+    const key = normalizeUrl(url);
+    const bookmarks = await Bookmark.findAllForUser(userId);
+
+    return bookmarks.filter(bookmark => normalizeUrl(bookmark.url) === key);
+  }
+
+  /**
+   * Regrouper les bookmarks identiques (même URL normalisée) de toutes les pages
+   * Les copies déjà liées (canonical_id) sont considérées comme résolues.
+   * @param {string} userId - UUID du user
+   * @returns {Promise<object>} { clusters: [{ key, bookmarks }], total }
+   */
+  async getDuplicateClusters(userId) {
+    const bookmarks = await Bookmark.findAllForUser(userId);
+
+    const byKey = new Map();
+    for (const bookmark of bookmarks) {
+      if (bookmark.canonical_id) continue;
+
+      const key = normalizeUrl(bookmark.url);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(bookmark);
+    }
+
+    // Dans un cluster: le plus visité d'abord (proposé comme bookmark à conserver)
+    const clusters = [...byKey.entries()]
+      .filter(([, items]) => items.length > 1)
+      .map(([key, items]) => ({
+        key,
+        bookmarks: [...items].sort((a, b) => b.visit_count - a.visit_count ||
+          new Date(a.created_at) - new Date(b.created_at))
+      }))
+      .sort((a, b) => b.bookmarks.length - a.bookmarks.length || a.key.localeCompare(b.key));
+
+    return {
+      clusters,
+      total: clusters.reduce((sum, cluster) => sum + cluster.bookmarks.length - 1, 0)
+    };
+  }
+
+  /**
+   * Fusionner des doublons dans un bookmark conservé
+   * visit_count additionnés, tags réunis, copies mises à la corbeille (delete) ou liées (link)
+   * @param {string} userId - UUID du user
+   * @param {string} keepId - UUID du bookmark conservé
+   * @param {Array<string>} bookmarkIds - UUIDs des doublons à fusionner
+   * @param {string} mode - 'delete' | 'link' (default 'delete')
+   * @returns {Promise<object>} { bookmark, merged, mode }
+   * @throws {Error} Si validation échoue ou bookmark non trouvé
+   */
+  async mergeDuplicates(userId, keepId, bookmarkIds, mode = 'delete') {
+    if (!keepId) {
+      throw new Error('keepId is required');
+    }
+
+    if (!Array.isArray(bookmarkIds) || bookmarkIds.length === 0) {
+      throw new Error('bookmarkIds must be a non-empty array');
+    }
+
+    if (!MERGE_MODES.includes(mode)) {
+      throw new Error(`Merge mode must be one of: ${MERGE_MODES.join(', ')}`);
+    }
+
+    const bookmarks = await Bookmark.findAllForUser(userId);
+    const byId = new Map(bookmarks.map(bookmark => [bookmark.id, bookmark]));
+
+    const keep = byId.get(keepId);
+    if (!keep) {
+      throw new Error('Bookmark not found or access denied');
+    }
+
+    const duplicateIds = [...new Set(bookmarkIds)].filter(id => id !== keepId);
+    if (duplicateIds.length === 0) {
+      throw new Error('bookmarkIds must contain at least one bookmark other than keepId');
+    }
+
+    const key = normalizeUrl(keep.url);
+    for (const id of duplicateIds) {
+      const duplicate = byId.get(id);
+      if (!duplicate) {
+        throw new Error('Bookmark not found or access denied');
+      }
+      if (normalizeUrl(duplicate.url) !== key) {
+        throw new Error('Only bookmarks with the same URL can be merged');
+      }
+    }
+
+    const { bookmark: merged, trashItems } = await Bookmark.mergeDuplicates(userId, keepId, duplicateIds, mode);
+
+    await activityService.log(userId, {
+      action: 'update',
+      entityType: 'bookmark',
+      entityId: keepId,
+      entityName: keep.title,
+      details: { url: keep.url, merged: duplicateIds, mode, trash_ids: trashItems.map(item => item.id) }
+    });
+
+    const groupIds = [...new Set([keep, ...duplicateIds.map(id => byId.get(id))].map(bookmark => bookmark.group_id))];
+    await realtimeService.publish(userId, {
+      entity: 'bookmark', action: 'bulk', parentIds: groupIds
+    }, { type: 'group', ids: groupIds });
+
+    return {
+      bookmark: await this.withTags(merged),
+      merged: duplicateIds.length,
+      mode
+    };
+  }
+
+  /**
+   * Appliquer une opération à plusieurs bookmarks (une seule transaction)
+   * Permissions vérifiées une fois par group (groups des bookmarks + group cible).
+   * - move: { groupId, column? } → fin de la colonne du group cible (default 1)
+   * - set-column: { column } → fin de la colonne, dans leur group actuel
+   * - tag: { tags, tagMode? ('add' | 'remove' | 'replace', default 'add') }
+   * - refresh-favicons: favicons re-téléchargées (avant la transaction), puis enregistrées
+   * - delete: chaque bookmark mis à la corbeille (restaurable séparément)
+   * @param {string} userId - UUID du user
+   * @param {string} action - Opération (voir BULK_ACTIONS)
+   * @param {Array<string>} bookmarkIds - UUIDs des bookmarks
+   * @param {object} options - { groupId?, column?, tags?, tagMode? }
+   * @returns {Promise<object>} { action, count, bookmarks (mis à jour), deleted (IDs) }
+   * @throws {Error} Si validation échoue, bookmark ou group non trouvé
+   */
+  async bulkAction(userId, action, bookmarkIds, options = {}) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new Error(`Action must be one of: ${BULK_ACTIONS.join(', ')}`);
+    }
+
+    if (!Array.isArray(bookmarkIds) || bookmarkIds.length === 0) {
+      throw new Error('bookmarkIds must be a non-empty array');
+    }
+
+    const ids = [...new Set(bookmarkIds)];
+    if (ids.length > BULK_MAX_BOOKMARKS) {
+      throw new Error(`bookmarkIds must contain at most ${BULK_MAX_BOOKMARKS} bookmarks`);
+    }
+    if (!ids.every(id => UUID_PATTERN.test(id))) {
+      throw new Error('bookmarkIds must contain valid UUIDs');
+    }
+
+    // Bookmarks + ownership (une vérification par group)
+    const bookmarks = await Bookmark.findByIds(ids);
+    if (bookmarks.length !== ids.length) {
+      throw new Error('Bookmark not found or access denied');
+    }
+    const byId = new Map(bookmarks.map(bookmark => [bookmark.id, bookmark]));
+    const ordered = ids.map(id => byId.get(id));
+    const sourceGroupIds = [...new Set(bookmarks.map(bookmark => bookmark.group_id))];
+
+    for (const groupId of sourceGroupIds) {
+      const hasAccess = await Bookmark.verifyGroupAccess(groupId, userId);
+      if (!hasAccess) {
+        throw new Error('Bookmark not found or access denied');
+      }
+    }
+
+    const operation = await this.prepareBulkAction(userId, action, ordered, sourceGroupIds, options);
+
+    let client;
+    let result;
+
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      result = await operation(client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Rollback failed:', rollbackError.message);
+        }
+      }
+      throw error;
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+
+    await this.logBulkAction(userId, action, ordered, result);
+
+    const groupIds = [...new Set([...sourceGroupIds, ...(result.bookmarks || []).map(bookmark => bookmark.group_id)])];
+    await realtimeService.publish(userId, {
+      entity: 'bookmark', action: 'bulk', parentIds: groupIds
+    }, { type: 'group', ids: groupIds });
+
+    return {
+      action,
+      count: ids.length,
+      bookmarks: await this.enrich(result.bookmarks || []),
+      deleted: result.deleted || []
+    };
+  }
+
+  /**
+   * Valider les options d'une opération groupée et préparer son exécution
+   * Tout ce qui peut échouer hors base (validation, favicons) est fait ici, avant la transaction.
+   * @returns {Promise<function>} async (client) => { bookmarks?, deleted?, trashItems?, tagChanges? }
+   * @private
+   */
+  async prepareBulkAction(userId, action, bookmarks, sourceGroupIds, options) {
+    const ids = bookmarks.map(bookmark => bookmark.id);
+
+    if (action === 'move') {
+      const { groupId, column = 1 } = options;
+      if (!groupId) {
+        throw new Error('groupId is required to move bookmarks');
+      }
+
+      const hasAccess = await Bookmark.verifyGroupAccess(groupId, userId);
+      if (!hasAccess) {
+        throw new Error('Target group not found or access denied');
+      }
+      const group = await Group.findById(groupId, userId);
+      if (group.group_type !== 'manual') {
+        throw new Error('Target group must be a manual group');
+      }
+      this.validateBulkColumn(group, column);
+
+      return async (client) => ({
+        bookmarks: await Bookmark.moveToColumn(ids, groupId, column, client)
+      });
+    }
+
+    if (action === 'set-column') {
+      const { column } = options;
+      for (const groupId of sourceGroupIds) {
+        this.validateBulkColumn(await Group.findById(groupId, userId), column);
+      }
+
+      return async (client) => {
+        const moved = [];
+        for (const groupId of sourceGroupIds) {
+          const groupBookmarkIds = bookmarks.filter(bookmark => bookmark.group_id === groupId).map(bookmark => bookmark.id);
+          moved.push(...await Bookmark.moveToColumn(groupBookmarkIds, groupId, column, client));
+        }
+        return { bookmarks: moved };
+      };
+    }
+
+    if (action === 'tag') {
+      const { tagMode = 'add' } = options;
+      if (!BULK_TAG_MODES.includes(tagMode)) {
+        throw new Error(`tagMode must be one of: ${BULK_TAG_MODES.join(', ')}`);
+      }
+
+      const tagNames = tagsService.normalizeTagNames(options.tags);
+      if (tagNames.length === 0 && tagMode !== 'replace') {
+        throw new Error('tags must contain at least one tag');
+      }
+
+      const withTags = await tagsService.attachTags(bookmarks);
+      const removed = tagNames.map(name => name.toLowerCase());
+
+      return async (client) => {
+        const tagChanges = new Map();
+        for (const bookmark of withTags) {
+          const current = bookmark.tags.map(tag => tag.name);
+          let names = tagNames;
+          if (tagMode === 'add') {
+            names = [...current, ...tagNames];
+          } else if (tagMode === 'remove') {
+            names = current.filter(name => !removed.includes(name.toLowerCase()));
+          }
+          const linked = await tagsService.setBookmarkTags(userId, bookmark.id, names, client);
+          tagChanges.set(bookmark.id, { from: [...current].sort(), to: linked.map(tag => tag.name).sort() });
+        }
+        return { bookmarks, tagChanges };
+      };
+    }
+
+    if (action === 'refresh-favicons') {
+      const faviconsByUrl = await this.fetchFavicons(bookmarks);
+
+      return async (client) => {
+        const refreshed = new Map();
+        for (const [faviconUrl, bookmarkIds] of faviconsByUrl) {
+          await Bookmark.updateFavicons(bookmarkIds, faviconUrl, client);
+          bookmarkIds.forEach(id => refreshed.set(id, faviconUrl));
+        }
+        return {
+          bookmarks: bookmarks.map(bookmark => ({ ...bookmark, favicon_url: refreshed.get(bookmark.id) }))
+        };
+      };
+    }
+
+    // delete
+    return async (client) => {
+      const trashItems = [];
+      for (const id of ids) {
+        trashItems.push(await trashService.moveToTrash(userId, 'bookmark', id, client));
+      }
+      return { deleted: ids, trashItems };
+    };
+  }
+
+  /**
+   * Vérifier qu'une colonne existe dans un group (opérations groupées)
+   * @private
+   */
+  validateBulkColumn(group, column) {
+    if (!group) {
+      throw new Error('Group not found or access denied');
+    }
+    if (!Number.isInteger(column) || column < 1 || column > group.column_count) {
+      throw new Error(`Column must be an integer between 1 and ${group.column_count} for group "${group.name}"`);
+    }
+  }
+
+  /**
+   * Re-télécharger les favicons (une fois par domaine, concurrence limitée)
+   * @param {Array} bookmarks - Bookmarks { id, url }
+   * @returns {Promise<Map>} faviconUrl → [bookmarkIds]
+   * @private
+   */
+  async fetchFavicons(bookmarks) {
+    const byDomain = new Map();
+    for (const bookmark of bookmarks) {
+      const domain = faviconService.extractDomain(bookmark.url) || bookmark.url;
+      if (!byDomain.has(domain)) byDomain.set(domain, { domain, url: bookmark.url, ids: [] });
+      byDomain.get(domain).ids.push(bookmark.id);
+    }
+
+    const queue = [...byDomain.values()];
+    const faviconsByUrl = new Map();
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const entry = queue.shift();
+        let faviconUrl;
+        try {
+          await faviconService.clearCache(entry.domain);
+          faviconUrl = await faviconService.getFavicon(entry.url);
+        } catch (error) {
+          console.warn(`⚠️ Favicon refresh failed for ${entry.url}, using default:`, error.message);
+          faviconUrl = faviconService.getDefaultIcon();
+        }
+        faviconsByUrl.set(faviconUrl, [...(faviconsByUrl.get(faviconUrl) || []), ...entry.ids]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(BULK_FAVICON_CONCURRENCY, queue.length) }, worker));
+    return faviconsByUrl;
+  }
+
+  /**
+   * Journaliser une opération groupée (une entrée par bookmark)
+   * @private
+   */
+  async logBulkAction(userId, action, bookmarks, result) {
+    if (action === 'delete') {
+      for (const [index, bookmark] of bookmarks.entries()) {
+        const trashItem = result.trashItems[index];
+        await activityService.log(userId, {
+          action: 'delete',
+          entityType: 'bookmark',
+          entityId: bookmark.id,
+          entityName: bookmark.title,
+          details: { url: bookmark.url, trash_id: trashItem.id, location: trashItem.location, bulk: true }
+        });
+      }
+      return;
+    }
+
+    if (action === 'move') {
+      const targetGroupId = result.bookmarks[0]?.group_id;
+      const groupIds = [...new Set([targetGroupId, ...bookmarks.map(bookmark => bookmark.group_id)])];
+      const groups = await Promise.all(groupIds.map(id => Group.findById(id, userId)));
+      const names = new Map(groupIds.map((id, index) => [id, groups[index] ? groups[index].name : null]));
+
+      for (const bookmark of bookmarks.filter(b => b.group_id !== targetGroupId)) {
+        await activityService.log(userId, {
+          action: 'move',
+          entityType: 'bookmark',
+          entityId: bookmark.id,
+          entityName: bookmark.title,
+          details: {
+            url: bookmark.url,
+            from: { id: bookmark.group_id, name: names.get(bookmark.group_id) },
+            to: { id: targetGroupId, name: names.get(targetGroupId) },
+            bulk: true
+          }
+        });
+      }
+      return;
+    }
+
+    const updated = new Map(result.bookmarks.map(bookmark => [bookmark.id, bookmark]));
+    for (const bookmark of bookmarks) {
+      const changes = action === 'tag'
+        ? activityService.diff({ tags: result.tagChanges.get(bookmark.id).from }, { tags: result.tagChanges.get(bookmark.id).to }, ['tags'])
+        : activityService.diff(bookmark, updated.get(bookmark.id), ['column', 'favicon_url']);
+      if (Object.keys(changes).length === 0) continue;
+
+      await activityService.log(userId, {
+        action: 'update',
+        entityType: 'bookmark',
+        entityId: bookmark.id,
+        entityName: bookmark.title,
+        details: { url: bookmark.url, changes, bulk: action }
+      });
+    }
+  }
+
+  /**
+   * Ajouter les propriétés tags et health à un bookmark unique
+   * @param {object|null} bookmark - Bookmark sans tags
+   * @returns {Promise<object|null>} Bookmark avec tags: [{ id, name }] et health
+   */
+  async withTags(bookmark) {
+    if (!bookmark) {
+      return bookmark;
+    }
+
+    const [withTags] = await this.enrich([bookmark]);
+    return withTags;
+  }
+
+  /**
+   * Ajouter tags et état de santé du lien (link health) à une liste de bookmarks
+   * @param {Array} bookmarks - Bookmarks
+   * @returns {Promise<Array>} Bookmarks avec tags et health
+   */
+  async enrich(bookmarks) {
+    const withTags = await tagsService.attachTags(bookmarks);
+    const enriched = await linkHealthService.attachHealth(withTags);
+    return enriched;
+  }
 }
 
 module.exports = new BookmarksService();
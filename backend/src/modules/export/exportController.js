@@ -0,0 +1,67 @@
+const exportService = require('./exportService');
+
+// Formats supportés par GET /api/export
+const SUPPORTED_FORMATS = ['json', 'html'];
+
+/**
+ * ExportController
+ *
+ * Handles HTTP requests for account exports
+ */
+class ExportController {
+  /**
+   * Export the whole bookmark tree as a downloadable file
+   * GET /api/export?format=json|html
+   *
+   * @param {Express.Request} req - Request (format in query string, default json)
+   * @param {Express.Response} res - Response (file attachment)
+   */
+  async exportBookmarks(req, res) {
+    try {
+      const userId = req.userId; // From auth middleware
+      // ?format=json&format=html arrive sous forme de tableau: refusé comme format invalide
+      const requested = req.query.format || 'json';
+      const format = typeof requested === 'string' ? requested.toLowerCase() : null;
+
+      // Validation: format must be supported
+      if (!SUPPORTED_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      console.log(`📤 Export request from user: ${userId} (format: ${format})`);
+
+      const date = new Date().toISOString().slice(0, 10);
+
+      if (format === 'html') {
+        const html = await exportService.exportHtml(userId);
+
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="pingrid-bookmarks-${date}.html"`);
+        return res.status(200).send(html);
+      }
+
+      const data = await exportService.exportJson(userId);
+
+      console.log(`✅ Export ready: ${data.stats.pages} pages, ${data.stats.bookmarks} bookmarks`);
+
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="pingrid-export-${date}.json"`);
+      return res.status(200).send(JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('❌ Error in exportBookmarks controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to export bookmarks',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Export instance
+module.exports = new ExportController();
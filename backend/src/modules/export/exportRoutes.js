@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../../shared/middleware/auth.middleware');
+const exportController = require('./exportController');
+
+/**
+ * GET /api/export?format=json|html
+ *
+ * Export the whole Page → Section → Group → Bookmark tree
+ * - Requires authentication
+ * - json (default): lossless PinGrid format (layout, group settings, favicons, tags)
+ * - html: Netscape Bookmark file (Chrome, Firefox, Safari)
+ * - Sent as a file attachment (Content-Disposition)
+ */
+router.get(
+  '/',
+  authMiddleware, // Protect route - requires JWT token
+  exportController.exportBookmarks
+);
+
+module.exports = router;
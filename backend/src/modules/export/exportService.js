@@ -0,0 +1,276 @@
+const pool = require('../../shared/config/database');
+const Tag = require('../tags/tags.model');
+
+// Identifiant et version du format JSON (vérifiés par la restauration)
+const EXPORT_FORMAT = 'pingrid-export';
+const EXPORT_VERSION = 1;
+
+/**
+ * ExportService
+ *
+ * Service for exporting the whole Page → Section → Group → Bookmark tree
+ * - JSON: lossless (layout, group settings, favicons, visit counts, tags)
+ * - HTML: Netscape Bookmark Format, importable by Chrome and Firefox
+ */
+class ExportService {
+  /**
+   * Load the user's full hierarchy (4 queries, one per level)
+   * Personal pages only: workspace pages belong to the team, not to their creator
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Pages with nested sections → groups → bookmarks
+   */
+  async buildTree(userId) {
+    const pagesResult = await pool.query(
+      `SELECT id, name, position, icon, color, created_at, updated_at
+       FROM pages
+       WHERE user_id = $1 AND workspace_id IS NULL AND deleted_at IS NULL
+       ORDER BY position ASC`,
+      [userId]
+    );
+
+    const sectionsResult = await pool.query(
+      `SELECT s.id, s.page_id, s.name, s.position, s.collapsed, s.created_at, s.updated_at
+       FROM sections s
+       INNER JOIN pages p ON s.page_id = p.id
+       WHERE p.user_id = $1 AND p.workspace_id IS NULL AND s.deleted_at IS NULL
+       ORDER BY s.position ASC`,
+      [userId]
+    );
+
+    const groupsResult = await pool.query(
+      `SELECT g.id, g.section_id, g.name, g.position, g.column_count, g.group_type, g.bookmark_limit, g.rule_params, g.width, g.created_at, g.updated_at
+       FROM groups g
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       WHERE p.user_id = $1 AND p.workspace_id IS NULL AND g.deleted_at IS NULL
+       ORDER BY g.position ASC`,
+      [userId]
+    );
+
+    const bookmarksResult = await pool.query(
+      `SELECT b.id, b.group_id, b.title, b.url, b.description, b.position, b."column", b.visit_count, b.favicon_url, b.created_at, b.updated_at
+       FROM bookmarks b
+       INNER JOIN groups g ON b.group_id = g.id
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       WHERE p.user_id = $1 AND p.workspace_id IS NULL AND b.deleted_at IS NULL
+       ORDER BY b."column" ASC, b.position ASC`,
+      [userId]
+    );
+
+    const tagsByBookmark = await Tag.findByBookmarkIds(bookmarksResult.rows.map(b => b.id));
+
+    // Group children by parent ID
+    const byParent = (rows, key) => rows.reduce((acc, row) => {
+      (acc[row[key]] = acc[row[key]] || []).push(row);
+      return acc;
+    }, {});
+
+    const sectionsByPage = byParent(sectionsResult.rows, 'page_id');
+    const groupsBySection = byParent(groupsResult.rows, 'section_id');
+    const bookmarksByGroup = byParent(bookmarksResult.rows, 'group_id');
+
+    return pagesResult.rows.map(page => ({
+      name: page.name,
+      position: page.position,
+      icon: page.icon,
+      color: page.color,
+      created_at: page.created_at,
+      updated_at: page.updated_at,
+      sections: (sectionsByPage[page.id] || []).map(section => ({
+        name: section.name,
+        position: section.position,
+        collapsed: section.collapsed,
+        created_at: section.created_at,
+        updated_at: section.updated_at,
+        groups: (groupsBySection[section.id] || []).map(group => ({
+          name: group.name,
+          position: group.position,
+          column_count: group.column_count,
+          group_type: group.group_type,
+          bookmark_limit: group.bookmark_limit,
+          rule_params: group.rule_params,
+          width: group.width,
+          created_at: group.created_at,
+          updated_at: group.updated_at,
+          bookmarks: (bookmarksByGroup[group.id] || []).map(bookmark => ({
+            title: bookmark.title,
+            url: bookmark.url,
+            description: bookmark.description,
+            column: bookmark.column,
+            position: bookmark.position,
+            favicon_url: bookmark.favicon_url,
+            visit_count: bookmark.visit_count,
+            tags: (tagsByBookmark[bookmark.id] || []).map(tag => tag.name),
+            created_at: bookmark.created_at,
+            updated_at: bookmark.updated_at
+          }))
+        }))
+      }))
+    }));
+  }
+
+  /**
+   * Export as lossless JSON document
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} - { format, version, exported_at, stats, pages }
+   */
+  async exportJson(userId) {
+    const pages = await this.buildTree(userId);
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      stats: this.countTree(pages),
+      pages
+    };
+  }
+
+  /**
+   * Export as Netscape Bookmark HTML (Chrome / Firefox / Safari import)
+   * Folders: Page > Section > Group. Dynamic groups are skipped (computed content).
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} - HTML document
+   */
+  async exportHtml(userId) {
+    const pages = await this.buildTree(userId);
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file.',
+      '     It will be read and overwritten.',
+      '     DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>'
+    ];
+
+    for (const page of pages) {
+      this.openFolder(lines, 1, page.name, page);
+
+      for (const section of page.sections) {
+        this.openFolder(lines, 2, section.name, section);
+
+        for (const group of section.groups) {
+          if (group.group_type !== 'manual') continue;
+
+          this.openFolder(lines, 3, group.name, group);
+
+          for (const bookmark of group.bookmarks) {
+            lines.push(this.bookmarkLine(bookmark, 4));
+            if (bookmark.description) {
+              lines.push(`${this.indent(4)}<DD>${this.escapeHtml(bookmark.description)}`);
+            }
+          }
+
+          this.closeFolder(lines, 3);
+        }
+
+        this.closeFolder(lines, 2);
+      }
+
+      this.closeFolder(lines, 1);
+    }
+
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Count entities in an exported tree
+   * @param {Array} pages - Tree returned by buildTree
+   * @returns {object} - { pages, sections, groups, bookmarks }
+   */
+  countTree(pages) {
+    const stats = { pages: pages.length, sections: 0, groups: 0, bookmarks: 0 };
+
+    for (const page of pages) {
+      stats.sections += page.sections.length;
+      for (const section of page.sections) {
+        stats.groups += section.groups.length;
+        for (const group of section.groups) {
+          stats.bookmarks += group.bookmarks.length;
+        }
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Append a <DT><H3> folder header and open its <DL>
+   */
+  openFolder(lines, depth, name, entity) {
+    const attrs = this.dateAttributes(entity);
+    lines.push(`${this.indent(depth)}<DT><H3${attrs}>${this.escapeHtml(name)}</H3>`);
+    lines.push(`${this.indent(depth)}<DL><p>`);
+  }
+
+  /**
+   * Close a folder <DL>
+   */
+  closeFolder(lines, depth) {
+    lines.push(`${this.indent(depth)}</DL><p>`);
+  }
+
+  /**
+   * Build the <DT><A> line for a bookmark
+   * ICON only for data: URIs (browsers ignore remote icon URLs on import)
+   */
+  bookmarkLine(bookmark, depth) {
+    let attrs = ` HREF="${this.escapeHtml(bookmark.url)}"${this.dateAttributes(bookmark)}`;
+
+    if (bookmark.favicon_url && bookmark.favicon_url.startsWith('data:image/')) {
+      attrs += ` ICON="${this.escapeHtml(bookmark.favicon_url)}"`;
+    }
+
+    if (bookmark.tags && bookmark.tags.length > 0) {
+      attrs += ` TAGS="${this.escapeHtml(bookmark.tags.join(','))}"`;
+    }
+
+    return `${this.indent(depth)}<DT><A${attrs}>${this.escapeHtml(bookmark.title)}</A>`;
+  }
+
+  /**
+   * ADD_DATE / LAST_MODIFIED attributes (Unix timestamps in seconds)
+   */
+  dateAttributes(entity) {
+    const toUnix = (date) => Math.floor(new Date(date).getTime() / 1000);
+    let attrs = '';
+
+    if (entity.created_at) {
+      attrs += ` ADD_DATE="${toUnix(entity.created_at)}"`;
+    }
+    if (entity.updated_at) {
+      attrs += ` LAST_MODIFIED="${toUnix(entity.updated_at)}"`;
+    }
+
+    return attrs;
+  }
+
+  /**
+   * Indentation (4 spaces per level, as generated by browsers)
+   */
+  indent(depth) {
+    return '    '.repeat(depth);
+  }
+
+  /**
+   * Escape text for HTML content and attribute values
+   * @param {string} value - Raw text
+   * @returns {string} - Escaped text
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export singleton instance
+module.exports = new ExportService();
+module.exports.EXPORT_FORMAT = EXPORT_FORMAT;
+module.exports.EXPORT_VERSION = EXPORT_VERSION;
@@ -0,0 +1,148 @@
+/**
+ * Dynamic Group Rules
+ * Types de groups dynamiques et validation de leurs paramètres (groups.rule_params)
+ * Les règles sont évaluées par groupsService.resolveGroupBookmarks (GET /api/groups/:id/bookmarks)
+ */
+
+// Paramètres acceptés par règle (les règles absentes n'en ont aucun)
+const DYNAMIC_RULES = {
+  'dynamic-top-used': ['ranking', 'days'],
+  'dynamic-recent': [],
+  'dynamic-recently-added': [],
+  'dynamic-trending': [],
+  'dynamic-stale': ['days'],
+  'dynamic-tag': ['tag'],
+  'dynamic-domain': ['domain'],
+  'dynamic-search': ['query']
+};
+
+const DYNAMIC_GROUP_TYPES = Object.keys(DYNAMIC_RULES);
+const GROUP_TYPES = ['manual', ...DYNAMIC_GROUP_TYPES];
+
+// Classements de "dynamic-top-used": visit_count historique, frecency, clics des N derniers jours
+const TOP_USED_RANKINGS = ['all-time', 'frecency', 'last-days'];
+
+// Paramètre days par règle: "Not visited in N days" (90 par défaut), top used "last-days" (30)
+const DAYS_RANGE = {
+  'dynamic-stale': { default: 90, max: 3650 },
+  'dynamic-top-used': { default: 30, max: 365 }
+};
+
+const HOSTNAME_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * Group dynamique ?
+ * @param {string} groupType - Type du group
+ * @returns {boolean}
+ */
+function isDynamicType(groupType) {
+  return DYNAMIC_GROUP_TYPES.includes(groupType);
+}
+
+/**
+ * Extraire le host d'un domaine saisi ("https://www.GitHub.com/x" → "github.com")
+ * @param {string} value - Domaine ou URL
+ * @returns {string} Host en minuscules, sans www.
+ */
+function normalizeDomain(value) {
+  const trimmed = value.trim().toLowerCase();
+  let host = trimmed;
+  try {
+    host = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(trimmed) ? trimmed : `http://${trimmed}`).hostname;
+  } catch {
+    // Laissé tel quel: rejeté par HOSTNAME_PATTERN
+  }
+  return host.replace(/^www\./, '');
+}
+
+/**
+ * Valider et normaliser les paramètres d'une règle
+ * @param {string} groupType - Type du group
+ * @param {object} params - Paramètres reçus (rule_params)
+ * @returns {object} Paramètres nettoyés ({} pour manual et les règles sans paramètre)
+ * @throws {Error} Si un paramètre requis manque ou est invalide
+ */
+function normalizeRuleParams(groupType, params) {
+  if (!isDynamicType(groupType)) {
+    return {};
+  }
+  if (params !== undefined && params !== null && (typeof params !== 'object' || Array.isArray(params))) {
+    throw new Error('Rule params must be an object');
+  }
+
+  const input = params || {};
+  const normalized = {};
+
+  for (const key of DYNAMIC_RULES[groupType]) {
+    const value = input[key];
+
+    switch (key) {
+      case 'ranking': {
+        const ranking = value === undefined || value === null || value === '' ? 'all-time' : value;
+        if (!TOP_USED_RANKINGS.includes(ranking)) {
+          throw new Error(`Rule ranking must be one of: ${TOP_USED_RANKINGS.join(', ')}`);
+        }
+        normalized.ranking = ranking;
+        break;
+      }
+      case 'days': {
+        // Top used: days ne sert qu'au classement "last-days"
+        if (groupType === 'dynamic-top-used' && normalized.ranking !== 'last-days') {
+          break;
+        }
+        const range = DAYS_RANGE[groupType];
+        const days = value === undefined || value === null || value === '' ? range.default : Number(value);
+        if (!Number.isInteger(days) || days < 1 || days > range.max) {
+          throw new Error(`Rule days must be between 1 and ${range.max}`);
+        }
+        normalized.days = days;
+        break;
+      }
+      case 'tag': {
+        const tag = typeof value === 'string' ? value.trim().replace(/^#/, '') : '';
+        if (!tag) {
+          throw new Error('Rule tag is required');
+        }
+        if (tag.length > 50) {
+          throw new Error('Rule tag must be 50 characters or less');
+        }
+        normalized.tag = tag;
+        break;
+      }
+      case 'domain': {
+        const domain = typeof value === 'string' ? normalizeDomain(value) : '';
+        if (!domain) {
+          throw new Error('Rule domain is required');
+        }
+        if (!HOSTNAME_PATTERN.test(domain) || domain.length > 253) {
+          throw new Error('Rule domain must be a valid domain (e.g. github.com)');
+        }
+        normalized.domain = domain;
+        break;
+      }
+      case 'query': {
+        const query = typeof value === 'string' ? value.trim() : '';
+        if (!query) {
+          throw new Error('Rule search query is required');
+        }
+        if (query.length > 200) {
+          throw new Error('Rule search query must be 200 characters or less');
+        }
+        normalized.query = query;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  GROUP_TYPES,
+  DYNAMIC_GROUP_TYPES,
+  TOP_USED_RANKINGS,
+  isDynamicType,
+  normalizeRuleParams
+};
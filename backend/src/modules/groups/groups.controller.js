@@ -76,15 +76,51 @@ class GroupsController {
     }
   }
 
+  /**
+   * GET /api/groups/:id/bookmarks
+   * Bookmarks affichés par un group (règle évaluée pour un group dynamique)
+   */
+  async getBookmarks(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      const { group, bookmarks } = await groupsService.resolveGroupBookmarks(id, userId);
+
+      res.json({
+        success: true,
+        data: {
+          group,
+          bookmarks,
+          count: bookmarks.length
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.message.includes('required') || error.message.includes('must be')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * POST /api/groups
    * Créer un nouveau group
-   * Body: { sectionId, name, column_count?, group_type?, bookmark_limit? }
+   * Body: { sectionId, name, column_count?, group_type?, bookmark_limit?, rule_params? }
    */
   async create(req, res, next) {
     try {
       const userId = req.user.id;
-      const { sectionId, name, column_count, group_type, bookmark_limit, width } = req.body;
+      const { sectionId, name, column_count, group_type, bookmark_limit, rule_params, width } = req.body;
 
       // Validation basique
       if (!sectionId) {
@@ -106,6 +142,7 @@ class GroupsController {
         column_count,
         group_type,
         bookmark_limit,
+        rule_params,
         width
       });
 
@@ -140,13 +177,13 @@ class GroupsController {
   /**
    * PUT /api/groups/:id
    * Mettre à jour un group existant
-   * Body: { name?, column_count?, bookmark_limit? }
+   * Body: { name?, column_count?, bookmark_limit?, group_type?, rule_params?, width?, section_id? }
    */
   async update(req, res, next) {
     try {
       const userId = req.user.id;
       const { id } = req.params;
-      const { name, column_count, bookmark_limit, width, section_id } = req.body;
+      const { name, column_count, bookmark_limit, group_type, rule_params, width, section_id } = req.body;
 
       // Validation: ID requis
       if (!id) {
@@ -157,10 +194,10 @@ class GroupsController {
       }
 
       // Validation: au moins un champ à mettre à jour
-      if (name === undefined && column_count === undefined && bookmark_limit === undefined && width === undefined && section_id === undefined) {
+      if ([name, column_count, bookmark_limit, group_type, rule_params, width, section_id].every(field => field === undefined)) {
         return res.status(400).json({
           success: false,
-          error: 'At least one field (name, column_count, bookmark_limit, width, section_id) must be provided'
+          error: 'At least one field (name, column_count, bookmark_limit, group_type, rule_params, width, section_id) must be provided'
         });
       }
 
@@ -168,6 +205,8 @@ class GroupsController {
         name,
         column_count,
         bookmark_limit,
+        group_type,
+        rule_params,
         width,
         section_id
       });
@@ -190,7 +229,7 @@ class GroupsController {
           error: error.message
         });
       }
-      if (error.message.includes('cannot be') || error.message.includes('must be') || error.message.includes('should not')) {
+      if (error.message.includes('cannot be') || error.message.includes('must be') || error.message.includes('should not') || error.message.includes('required')) {
         return res.status(400).json({
           success: false,
           error: error.message
@@ -1,4 +1,5 @@
 const pool = require('../../shared/config/database');
+const { pageAccessCondition } = require('../workspaces/workspaceAccess');
 
 /**
  * Groups Model
@@ -7,17 +8,18 @@ const pool = require('../../shared/config/database');
  */
 class Group {
   /**
-   * Vérifier que la section appartient au user (via page)
+   * Vérifier que le user a l'accès demandé sur la section (via page)
    * @param {string} sectionId - UUID de la section
    * @param {string} userId - UUID du user
-   * @returns {Promise<boolean>} True si la section appartient au user
+   * @param {string} access - 'view' | 'edit' (default: 'edit')
+   * @returns {Promise<boolean>} True si le user a l'accès
    */
-  static async verifySectionOwnership(sectionId, userId) {
+  static async verifySectionAccess(sectionId, userId, access = 'edit') {
     const result = await pool.query(
       `SELECT s.id
        FROM sections s
        INNER JOIN pages p ON s.page_id = p.id
-       WHERE s.id = $1 AND p.user_id = $2`,
+       WHERE s.id = $1 AND ${pageAccessCondition('p', '$2', access)} AND s.deleted_at IS NULL`,
       [sectionId, userId]
     );
     return result.rows.length > 0;
@@ -26,24 +28,24 @@ class Group {
   /**
    * Créer un nouveau group
    * @param {string} sectionId - UUID de la section parente
-   * @param {object} groupData - { name, column_count?, group_type?, bookmark_limit? }
+   * @param {object} groupData - { name, column_count?, group_type?, bookmark_limit?, rule_params?, width? }
    * @returns {Promise<object>} Group créé
    */
   static async create(sectionId, groupData) {
-    const { name, column_count = 3, group_type = 'manual', bookmark_limit = null, width = '100%' } = groupData;
+    const { name, column_count = 3, group_type = 'manual', bookmark_limit = null, rule_params = {}, width = '100%' } = groupData;
 
     // Calculer la position automatiquement (max + 1)
     const positionResult = await pool.query(
-      'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM groups WHERE section_id = $1',
+      'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM groups WHERE section_id = $1 AND deleted_at IS NULL',
       [sectionId]
     );
     const position = positionResult.rows[0].next_position;
 
     const result = await pool.query(
-      `INSERT INTO groups (section_id, name, position, column_count, group_type, bookmark_limit, width)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, section_id, name, position, column_count, group_type, bookmark_limit, width, created_at, updated_at`,
-      [sectionId, name, position, column_count, group_type, bookmark_limit, width]
+      `INSERT INTO groups (section_id, name, position, column_count, group_type, bookmark_limit, rule_params, width)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, section_id, name, position, column_count, group_type, bookmark_limit, rule_params, width, created_at, updated_at`,
+      [sectionId, name, position, column_count, group_type, bookmark_limit, JSON.stringify(rule_params), width]
     );
 
     return result.rows[0];
@@ -56,9 +58,9 @@ class Group {
    */
   static async findAllBySection(sectionId) {
     const result = await pool.query(
-      `SELECT id, section_id, name, position, column_count, group_type, bookmark_limit, width, created_at, updated_at
+      `SELECT id, section_id, name, position, column_count, group_type, bookmark_limit, rule_params, width, created_at, updated_at
        FROM groups
-       WHERE section_id = $1
+       WHERE section_id = $1 AND deleted_at IS NULL
        ORDER BY position ASC`,
       [sectionId]
     );
@@ -69,16 +71,17 @@ class Group {
   /**
    * Récupérer un group par ID
    * @param {string} id - UUID du group
-   * @param {string} userId - UUID du user (pour vérification ownership via section→page)
+   * @param {string} userId - UUID du user (pour vérification des permissions via section→page)
+   * @param {string} access - Accès requis: 'view' | 'edit' (default: 'view')
    * @returns {Promise<object|null>} Group ou null si non trouvé ou pas d'accès
    */
-  static async findById(id, userId) {
+  static async findById(id, userId, access = 'view') {
     const result = await pool.query(
-      `SELECT g.id, g.section_id, g.name, g.position, g.column_count, g.group_type, g.bookmark_limit, g.width, g.created_at, g.updated_at
+      `SELECT g.id, g.section_id, g.name, g.position, g.column_count, g.group_type, g.bookmark_limit, g.rule_params, g.width, g.created_at, g.updated_at
        FROM groups g
        INNER JOIN sections s ON g.section_id = s.id
        INNER JOIN pages p ON s.page_id = p.id
-       WHERE g.id = $1 AND p.user_id = $2`,
+       WHERE g.id = $1 AND ${pageAccessCondition('p', '$2', access)} AND g.deleted_at IS NULL`,
       [id, userId]
     );
 
@@ -93,9 +96,9 @@ class Group {
    */
   static async findByName(sectionId, name) {
     const result = await pool.query(
-      `SELECT id, section_id, name, position, column_count, group_type, bookmark_limit, width, created_at, updated_at
+      `SELECT id, section_id, name, position, column_count, group_type, bookmark_limit, rule_params, width, created_at, updated_at
        FROM groups
-       WHERE section_id = $1 AND LOWER(name) = LOWER($2)`,
+       WHERE section_id = $1 AND LOWER(name) = LOWER($2) AND deleted_at IS NULL`,
       [sectionId, name]
     );
 
@@ -105,12 +108,12 @@ class Group {
   /**
    * Mettre à jour un group
    * @param {string} id - UUID du group
-   * @param {string} userId - UUID du user (pour vérification ownership)
-   * @param {object} updates - { name?, column_count?, group_type?, bookmark_limit? }
+   * @param {string} userId - UUID du user (pour vérification des permissions)
+   * @param {object} updates - { name?, column_count?, group_type?, bookmark_limit?, rule_params?, width? }
    * @returns {Promise<object|null>} Group mis à jour ou null
    */
   static async update(id, userId, updates) {
-    const { name, column_count, group_type, bookmark_limit, width } = updates;
+    const { name, column_count, group_type, bookmark_limit, rule_params, width } = updates;
 
     // Construire la requête dynamiquement selon les champs fournis
     const fields = [];
@@ -133,6 +136,10 @@ class Group {
       fields.push(`bookmark_limit = $${paramCount++}`);
       values.push(bookmark_limit);
     }
+    if (rule_params !== undefined) {
+      fields.push(`rule_params = $${paramCount++}`);
+      values.push(JSON.stringify(rule_params));
+    }
     if (width !== undefined) {
       fields.push(`width = $${paramCount++}`);
       values.push(width);
@@ -154,10 +161,11 @@ class Group {
       SET ${fields.join(', ')}
       FROM sections s, pages p
       WHERE g.id = $${paramCount++}
+        AND g.deleted_at IS NULL
         AND g.section_id = s.id
         AND s.page_id = p.id
-        AND p.user_id = $${paramCount}
-      RETURNING g.id, g.section_id, g.name, g.position, g.column_count, g.group_type, g.bookmark_limit, g.width, g.created_at, g.updated_at
+        AND ${pageAccessCondition('p', `$${paramCount}`, 'edit')}
+      RETURNING g.id, g.section_id, g.name, g.position, g.column_count, g.group_type, g.bookmark_limit, g.rule_params, g.width, g.created_at, g.updated_at
     `;
 
     values.push(userId);
@@ -168,7 +176,7 @@ class Group {
   /**
    * Supprimer un group
    * @param {string} id - UUID du group
-   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @param {string} userId - UUID du user (pour vérification des permissions)
    * @returns {Promise<boolean>} True si supprimé, false sinon
    */
   static async delete(id, userId) {
@@ -178,7 +186,7 @@ class Group {
        WHERE g.id = $1
          AND g.section_id = s.id
          AND s.page_id = p.id
-         AND p.user_id = $2`,
+         AND ${pageAccessCondition('p', '$2', 'edit')}`,
       [id, userId]
     );
 
@@ -234,7 +242,7 @@ class Group {
    */
   static async countBySection(sectionId) {
     const result = await pool.query(
-      'SELECT COUNT(*) as count FROM groups WHERE section_id = $1',
+      'SELECT COUNT(*) as count FROM groups WHERE section_id = $1 AND deleted_at IS NULL',
       [sectionId]
     );
 
@@ -244,7 +252,7 @@ class Group {
   /**
    * Mettre à jour le column_count d'un group (pour changer le layout)
    * @param {string} id - UUID du group
-   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @param {string} userId - UUID du user (pour vérification des permissions)
    * @param {number} columnCount - Nouveau nombre de colonnes (1-6)
    * @returns {Promise<object|null>} Group mis à jour ou null
    */
@@ -254,10 +262,11 @@ class Group {
        SET column_count = $1, updated_at = CURRENT_TIMESTAMP
        FROM sections s, pages p
        WHERE g.id = $2
+         AND g.deleted_at IS NULL
          AND g.section_id = s.id
          AND s.page_id = p.id
-         AND p.user_id = $3
-       RETURNING g.id, g.section_id, g.name, g.position, g.column_count, g.group_type, g.bookmark_limit, g.width, g.created_at, g.updated_at`,
+         AND ${pageAccessCondition('p', '$3', 'edit')}
+       RETURNING g.id, g.section_id, g.name, g.position, g.column_count, g.group_type, g.bookmark_limit, g.rule_params, g.width, g.created_at, g.updated_at`,
       [columnCount, id, userId]
     );
 
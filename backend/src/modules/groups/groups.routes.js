@@ -18,7 +18,7 @@ router.get('/', authMiddleware, groupsController.getAll);
 router.get('/stats', authMiddleware, groupsController.getStats);
 
 // Créer un nouveau group
-// Body: { sectionId, name, column_count?, group_type?, bookmark_limit? }
+// Body: { sectionId, name, column_count?, group_type?, bookmark_limit?, rule_params? }
 router.post('/', authMiddleware, groupsController.create);
 
 // Réorganiser les groups (drag & drop)
@@ -32,11 +32,14 @@ router.patch('/:id/layout', authMiddleware, groupsController.updateLayout);
 // Dupliquer un group avec tous ses bookmarks
 router.post('/:id/duplicate', authMiddleware, groupsController.duplicate);
 
+// Bookmarks affichés par un group (règle évaluée côté serveur pour les groups dynamiques)
+router.get('/:id/bookmarks', authMiddleware, groupsController.getBookmarks);
+
 // Récupérer un group spécifique
 router.get('/:id', authMiddleware, groupsController.getOne);
 
 // Mettre à jour un group
-// Body: { name?, column_count?, bookmark_limit? }
+// Body: { name?, column_count?, bookmark_limit?, group_type?, rule_params?, width?, section_id? }
 router.put('/:id', authMiddleware, groupsController.update);
 
 // Supprimer un group
@@ -1,5 +1,15 @@
 const Group = require('./groups.model');
 const Section = require('../sections/sections.model');
+const Bookmark = require('../bookmarks/bookmarks.model');
+const bookmarksService = require('../bookmarks/bookmarks.service');
+const searchService = require('../search/search.service');
+const trashService = require('../trash/trash.service');
+const activityService = require('../activity/activity.service');
+const realtimeService = require('../realtime/realtime.service');
+const { GROUP_TYPES, isDynamicType, normalizeRuleParams } = require('./dynamicRules');
+
+// Groups dynamiques: nombre max de bookmarks évalués
+const MAX_DYNAMIC_BOOKMARKS = 100;
 
 /**
  * Groups Service
@@ -10,12 +20,12 @@ class GroupsService {
    * Créer un nouveau group avec validation
    * @param {string} userId - UUID du user
    * @param {string} sectionId - UUID de la section parente
-   * @param {object} groupData - { name, column_count?, group_type?, bookmark_limit? }
+   * @param {object} groupData - { name, column_count?, group_type?, bookmark_limit?, rule_params?, width? }
    * @returns {Promise<object>} Group créé
    * @throws {Error} Si validation échoue
    */
   async createGroup(userId, sectionId, groupData) {
-    const { name, column_count = 3, group_type = 'manual', bookmark_limit, width = '100%' } = groupData;
+    const { name, column_count = 3, group_type = 'manual', bookmark_limit, rule_params, width = '100%' } = groupData;
 
     // Validation: sectionId requis
     if (!sectionId || sectionId.trim().length === 0) {
@@ -23,7 +33,7 @@ class GroupsService {
     }
 
     // Validation: vérifier que la section existe et appartient au user (via page)
-    const hasAccess = await Group.verifySectionOwnership(sectionId, userId);
+    const hasAccess = await Group.verifySectionAccess(sectionId, userId);
     if (!hasAccess) {
       throw new Error('Section not found or access denied');
     }
@@ -50,12 +60,12 @@ class GroupsService {
     }
 
     // Validation: group_type valide
-    if (group_type !== 'manual' && group_type !== 'dynamic-top-used') {
-      throw new Error('Group type must be either "manual" or "dynamic-top-used"');
+    if (!GROUP_TYPES.includes(group_type)) {
+      throw new Error(`Group type must be one of: ${GROUP_TYPES.join(', ')}`);
     }
 
     // Validation: bookmark_limit selon le type
-    if (group_type === 'dynamic-top-used') {
+    if (isDynamicType(group_type)) {
       if (!bookmark_limit || bookmark_limit <= 0) {
         throw new Error('Bookmark limit is required and must be greater than 0 for dynamic groups');
       }
@@ -66,15 +76,31 @@ class GroupsService {
       }
     }
 
+    // Validation: paramètres de la règle (tag, domaine, recherche...)
+    const ruleParams = normalizeRuleParams(group_type, rule_params);
+
     // Créer le group
     const group = await Group.create(sectionId, {
       name: name.trim(),
       column_count,
       group_type,
-      bookmark_limit: group_type === 'dynamic-top-used' ? bookmark_limit : null,
+      bookmark_limit: isDynamicType(group_type) ? bookmark_limit : null,
+      rule_params: ruleParams,
       width
     });
 
+    await activityService.log(userId, {
+      action: 'create',
+      entityType: 'group',
+      entityId: group.id,
+      entityName: group.name,
+      details: { location: { section_id: sectionId } }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'group', action: 'create', id: group.id, parentIds: [sectionId], data: group
+    }, { type: 'section', ids: [sectionId] });
+
     return group;
   }
 
@@ -87,7 +113,7 @@ class GroupsService {
    */
   async getSectionGroups(userId, sectionId) {
     // Vérifier que la section existe et appartient au user
-    const hasAccess = await Group.verifySectionOwnership(sectionId, userId);
+    const hasAccess = await Group.verifySectionAccess(sectionId, userId, 'view');
     if (!hasAccess) {
       throw new Error('Section not found or access denied');
     }
@@ -112,19 +138,61 @@ class GroupsService {
     return group;
   }
 
+  /**
+   * Bookmarks affichés par un group
+   * - manual: ses propres bookmarks
+   * - dynamic-*: évaluation de la règle (limitée à bookmark_limit), répartis
+   *   en colonnes dans l'ordre de la règle (ligne par ligne)
+   * @param {string} groupId - UUID du group
+   * @param {string} userId - UUID du user
+   * @returns {Promise<object>} { group, bookmarks }
+   * @throws {Error} Si group non trouvé ou pas owned par user
+   */
+  async resolveGroupBookmarks(groupId, userId) {
+    const group = await Group.findById(groupId, userId);
+    if (!group) {
+      throw new Error('Group not found or access denied');
+    }
+
+    if (!isDynamicType(group.group_type)) {
+      const bookmarks = await bookmarksService.getGroupBookmarks(userId, groupId);
+      return { group, bookmarks };
+    }
+
+    const limit = Math.min(group.bookmark_limit || 10, MAX_DYNAMIC_BOOKMARKS);
+    let rows;
+    if (group.group_type === 'dynamic-search') {
+      const { results } = await searchService.searchBookmarks(userId, group.rule_params.query, limit);
+      rows = results.map(result => result.bookmark);
+    } else {
+      rows = await Bookmark.findByRule(userId, group.group_type, group.rule_params, limit);
+    }
+
+    // group_id reste celui du bookmark (son group manuel d'origine)
+    const columnCount = group.column_count || 1;
+    const laidOut = rows.map((bookmark, index) => ({
+      ...bookmark,
+      column: (index % columnCount) + 1,
+      position: Math.floor(index / columnCount)
+    }));
+
+    const bookmarks = await bookmarksService.enrich(laidOut);
+    return { group, bookmarks };
+  }
+
   /**
    * Mettre à jour un group avec validation
    * @param {string} groupId - UUID du group
    * @param {string} userId - UUID du user
-   * @param {object} updates - { name?, column_count?, group_type?, bookmark_limit?, section_id? }
+   * @param {object} updates - { name?, column_count?, group_type?, bookmark_limit?, rule_params?, section_id? }
    * @returns {Promise<object>} Group mis à jour
    * @throws {Error} Si validation échoue ou group non trouvé
    */
   async updateGroup(groupId, userId, updates) {
-    const { name, column_count, group_type, bookmark_limit, section_id, width } = updates;
+    const { name, column_count, group_type, bookmark_limit, rule_params, section_id, width } = updates;
 
     // Vérifier que le group existe et appartient au user (via section→page)
-    const existing = await Group.findById(groupId, userId);
+    const existing = await Group.findById(groupId, userId, 'edit');
     if (!existing) {
       throw new Error('Group not found or access denied');
     }
@@ -132,7 +200,7 @@ class GroupsService {
     // Validation: section_id si fourni (pour déplacer vers une autre section)
     if (section_id !== undefined && section_id !== existing.section_id) {
       // Vérifier que la nouvelle section existe et appartient au user
-      const hasAccess = await Group.verifySectionOwnership(section_id, userId);
+      const hasAccess = await Group.verifySectionAccess(section_id, userId);
       if (!hasAccess) {
         throw new Error('Target section not found or access denied');
       }
@@ -171,14 +239,22 @@ class GroupsService {
       }
     }
 
-    // Validation: group_type ne peut pas être modifié après création
-    if (group_type !== undefined && group_type !== existing.group_type) {
-      throw new Error('Group type cannot be changed after creation');
+    // Validation: group_type - seule la règle d'un group dynamique peut changer
+    // (un group manual possède ses bookmarks, un group dynamique non)
+    const typeChanged = group_type !== undefined && group_type !== existing.group_type;
+    if (typeChanged) {
+      if (!GROUP_TYPES.includes(group_type)) {
+        throw new Error(`Group type must be one of: ${GROUP_TYPES.join(', ')}`);
+      }
+      if (!isDynamicType(group_type) || !isDynamicType(existing.group_type)) {
+        throw new Error('Group type cannot be changed between manual and dynamic');
+      }
     }
+    const targetType = typeChanged ? group_type : existing.group_type;
 
     // Validation: bookmark_limit selon le type
     if (bookmark_limit !== undefined) {
-      if (existing.group_type === 'dynamic-top-used') {
+      if (isDynamicType(existing.group_type)) {
         if (bookmark_limit <= 0) {
           throw new Error('Bookmark limit must be greater than 0 for dynamic groups');
         }
@@ -187,11 +263,21 @@ class GroupsService {
       }
     }
 
+    // Validation: paramètres de la règle (re-validés si la règle change)
+    if (rule_params !== undefined && !isDynamicType(existing.group_type)) {
+      throw new Error('Rule params should not be set for manual groups');
+    }
+    const ruleParams = typeChanged || rule_params !== undefined
+      ? normalizeRuleParams(targetType, rule_params !== undefined ? rule_params : existing.rule_params)
+      : undefined;
+
     // Préparer les updates
     const validUpdates = {};
     if (name !== undefined) validUpdates.name = name.trim();
     if (column_count !== undefined) validUpdates.column_count = column_count;
     if (bookmark_limit !== undefined) validUpdates.bookmark_limit = bookmark_limit;
+    if (typeChanged) validUpdates.group_type = group_type;
+    if (ruleParams !== undefined) validUpdates.rule_params = ruleParams;
     if (section_id !== undefined) validUpdates.section_id = section_id;
     if (width !== undefined) validUpdates.width = width;
 
@@ -207,11 +293,49 @@ class GroupsService {
       throw new Error('Failed to update group');
     }
 
+    // Déplacement vers une autre section
+    if (updated.section_id !== existing.section_id) {
+      const [fromSection, toSection] = await Promise.all([
+        Section.findById(existing.section_id, userId),
+        Section.findById(updated.section_id, userId)
+      ]);
+      await activityService.log(userId, {
+        action: 'move',
+        entityType: 'group',
+        entityId: groupId,
+        entityName: updated.name,
+        details: {
+          from: { id: existing.section_id, name: fromSection ? fromSection.name : null },
+          to: { id: updated.section_id, name: toSection ? toSection.name : null }
+        }
+      });
+    }
+
+    const changes = activityService.diff(existing, updated, ['name', 'column_count', 'group_type', 'bookmark_limit', 'rule_params', 'width']);
+    if (Object.keys(changes).length > 0) {
+      await activityService.log(userId, {
+        action: 'update',
+        entityType: 'group',
+        entityId: groupId,
+        entityName: updated.name,
+        details: { changes }
+      });
+    }
+
+    const sectionIds = [...new Set([existing.section_id, updated.section_id])];
+    await realtimeService.publish(userId, {
+      entity: 'group',
+      action: sectionIds.length > 1 ? 'move' : 'update',
+      id: groupId,
+      parentIds: sectionIds,
+      data: updated
+    }, { type: 'section', ids: sectionIds });
+
     return updated;
   }
 
   /**
-   * Supprimer un group
+   * Supprimer un group (mis à la corbeille avec ses bookmarks)
    * @param {string} groupId - UUID du group
    * @param {string} userId - UUID du user
    * @returns {Promise<boolean>} True si supprimé
@@ -219,19 +343,24 @@ class GroupsService {
    */
   async deleteGroup(groupId, userId) {
     // Vérifier que le group existe et appartient au user
-    const existing = await Group.findById(groupId, userId);
+    const existing = await Group.findById(groupId, userId, 'edit');
     if (!existing) {
       throw new Error('Group not found or access denied');
     }
 
-    // TODO Itération 5: Gérer les bookmarks enfants
-    // Pour l'instant, CASCADE supprimera automatiquement (défini dans migration)
+    const trashItem = await trashService.moveToTrash(userId, 'group', groupId);
 
-    const deleted = await Group.delete(groupId, userId);
+    await activityService.log(userId, {
+      action: 'delete',
+      entityType: 'group',
+      entityId: groupId,
+      entityName: existing.name,
+      details: { trash_id: trashItem.id, location: trashItem.location }
+    });
 
-    if (!deleted) {
-      throw new Error('Failed to delete group');
-    }
+    await realtimeService.publish(userId, {
+      entity: 'group', action: 'delete', id: groupId, parentIds: [existing.section_id]
+    }, { type: 'section', ids: [existing.section_id] });
 
     return true;
   }
@@ -251,7 +380,7 @@ class GroupsService {
     }
 
     // Validation: vérifier que la section existe et appartient au user
-    const hasAccess = await Group.verifySectionOwnership(sectionId, userId);
+    const hasAccess = await Group.verifySectionAccess(sectionId, userId);
     if (!hasAccess) {
       throw new Error('Section not found or access denied');
     }
@@ -279,6 +408,19 @@ class GroupsService {
     // Réorganiser
     const reordered = await Group.reorderPositions(sectionId, groupIds);
 
+    const section = await Section.findById(sectionId, userId);
+    await activityService.log(userId, {
+      action: 'reorder',
+      entityType: 'group',
+      entityId: sectionId,
+      entityName: section ? section.name : null,
+      details: { parent_type: 'section', count: groupIds.length }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'group', action: 'reorder', parentIds: [sectionId]
+    }, { type: 'section', ids: [sectionId] });
+
     return reordered;
   }
 
@@ -292,7 +434,7 @@ class GroupsService {
    */
   async updateGroupLayout(groupId, userId, columnCount) {
     // Vérifier que le group existe et appartient au user
-    const existing = await Group.findById(groupId, userId);
+    const existing = await Group.findById(groupId, userId, 'edit');
     if (!existing) {
       throw new Error('Group not found or access denied');
     }
@@ -309,6 +451,21 @@ class GroupsService {
       throw new Error('Failed to update group layout');
     }
 
+    const changes = activityService.diff(existing, updated, ['column_count']);
+    if (Object.keys(changes).length > 0) {
+      await activityService.log(userId, {
+        action: 'update',
+        entityType: 'group',
+        entityId: groupId,
+        entityName: updated.name,
+        details: { changes }
+      });
+    }
+
+    await realtimeService.publish(userId, {
+      entity: 'group', action: 'update', id: groupId, parentIds: [updated.section_id], data: updated
+    }, { type: 'section', ids: [updated.section_id] });
+
     return updated;
   }
 
@@ -321,7 +478,7 @@ class GroupsService {
    */
   async getSectionGroupsStats(userId, sectionId) {
     // Vérifier que la section existe et appartient au user
-    const hasAccess = await Group.verifySectionOwnership(sectionId, userId);
+    const hasAccess = await Group.verifySectionAccess(sectionId, userId, 'view');
     if (!hasAccess) {
       throw new Error('Section not found or access denied');
     }
@@ -331,7 +488,7 @@ class GroupsService {
     return {
       total: groups.length,
       manual_count: groups.filter(g => g.group_type === 'manual').length,
-      dynamic_count: groups.filter(g => g.group_type === 'dynamic-top-used').length,
+      dynamic_count: groups.filter(g => isDynamicType(g.group_type)).length,
       groups: groups.map(g => ({
         id: g.id,
         name: g.name,
@@ -339,6 +496,7 @@ class GroupsService {
         column_count: g.column_count,
         group_type: g.group_type,
         bookmark_limit: g.bookmark_limit,
+        rule_params: g.rule_params,
         created_at: g.created_at
         // TODO Itération 5: Ajouter bookmark count
       }))
@@ -353,10 +511,8 @@ class GroupsService {
    * @throws {Error} Si group non trouvé ou pas d'accès
    */
   async duplicateGroup(groupId, userId) {
-    const Bookmark = require('../bookmarks/bookmarks.model');
-
     // Récupérer le group original
-    const original = await Group.findById(groupId, userId);
+    const original = await Group.findById(groupId, userId, 'edit');
     if (!original) {
       throw new Error('Group not found or access denied');
     }
@@ -379,24 +535,45 @@ class GroupsService {
       column_count: original.column_count,
       group_type: original.group_type,
       bookmark_limit: original.bookmark_limit,
+      rule_params: original.rule_params,
       width: original.width || '100%'
     });
 
     // Dupliquer les bookmarks si c'est un group manuel
     if (original.group_type === 'manual') {
+      const Tag = require('../tags/tags.model');
       const bookmarks = await Bookmark.findAllByGroup(groupId);
+      const tagsByBookmark = await Tag.findByBookmarkIds(bookmarks.map(b => b.id));
 
       for (const bookmark of bookmarks) {
-        await Bookmark.create(newGroup.id, userId, {
+        const copy = await Bookmark.create(newGroup.id, userId, {
           title: bookmark.title,
           url: bookmark.url,
           description: bookmark.description,
           favicon_url: bookmark.favicon_url,
           column: bookmark.column
         });
+
+        // Copier les tags du bookmark original
+        const tags = tagsByBookmark[bookmark.id];
+        if (tags && tags.length > 0) {
+          await Tag.setBookmarkTags(userId, copy.id, tags.map(tag => tag.name));
+        }
       }
     }
 
+    await activityService.log(userId, {
+      action: 'create',
+      entityType: 'group',
+      entityId: newGroup.id,
+      entityName: newGroup.name,
+      details: { location: { section_id: original.section_id }, duplicated_from: { id: groupId, name: original.name } }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'group', action: 'create', id: newGroup.id, parentIds: [original.section_id], data: newGroup
+    }, { type: 'section', ids: [original.section_id] });
+
     return newGroup;
   }
 }
@@ -1,4 +1,5 @@
 const importService = require('./importService');
+const importJobService = require('./importJobService');
 
 /**
  * ImportController
@@ -7,8 +8,11 @@ const importService = require('./importService');
  */
 class ImportController {
   /**
-   * Import bookmarks from HTML file
+   * Import bookmarks from a file (browser HTML, Pocket/Raindrop CSV, Pinboard JSON, OneTab, URL list)
    * POST /api/import/bookmarks
+   * Body fields: mapping ('single' | 'sections' | 'pages', default 'single'), pageId (optional),
+   * format (optional, detected automatically)
+   * Responds 202 with the job; progress via GET /api/import/jobs/:id
    *
    * @param {Express.Request} req - Request with file upload (multipart/form-data)
    * @param {Express.Response} res - Response
@@ -22,28 +26,19 @@ class ImportController {
       if (!file) {
         return res.status(400).json({
           success: false,
-          message: 'HTML file is required. Please upload a bookmarks HTML file.',
+          message: 'File is required. Please upload a bookmarks export file.',
           timestamp: new Date().toISOString()
         });
       }
 
-      // Validation: check file type (should be text/html)
-      if (file.mimetype !== 'text/html') {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid file type. Only HTML files are accepted.',
-          timestamp: new Date().toISOString()
-        });
-      }
+      // Convert buffer to string (file type is checked by multer, format by the parsers)
+      const content = file.buffer.toString('utf-8');
 
-      // Convert buffer to string
-      const htmlContent = file.buffer.toString('utf-8');
-
-      // Validate HTML content is not empty
-      if (!htmlContent || htmlContent.trim().length === 0) {
+      // Validate content is not empty
+      if (!content || content.trim().length === 0) {
         return res.status(400).json({
           success: false,
-          message: 'HTML file is empty.',
+          message: 'File is empty.',
           timestamp: new Date().toISOString()
         });
       }
@@ -53,28 +48,22 @@ class ImportController {
       console.log(`📄 File: ${file.originalname} (${file.size} bytes)`);
       console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
 
-      // Import bookmarks
-      const result = await importService.importBookmarks(userId, htmlContent);
+      // Parse now, import in the background
+      const { job, format, mapping } = await importJobService.startFileJob(userId, content, {
+        mapping: req.body.mapping || 'single',
+        pageId: req.body.pageId || null,
+        format: req.body.format || null,
+        filename: file.originalname,
+        mimetype: file.mimetype
+      });
 
-      // Success response
-      return res.status(201).json({
+      return res.status(202).json({
         success: true,
-        message: `Import completed: ${result.imported} imported, ${result.skipped} skipped, ${result.failed} failed`,
+        message: `Import started (${format.label}): ${job.progress.total} bookmarks queued`,
         data: {
-          section: {
-            id: result.section.id,
-            name: result.section.name,
-            page_id: result.section.page_id
-          },
-          group: {
-            id: result.group.id,
-            name: result.group.name,
-            section_id: result.group.section_id
-          },
-          imported: result.imported,
-          skipped: result.skipped,
-          failed: result.failed,
-          total: result.imported + result.skipped + result.failed
+          ...job,
+          format,
+          mapping
         },
         timestamp: new Date().toISOString()
       });
@@ -83,9 +72,12 @@ class ImportController {
 
       // Determine appropriate status code
       let statusCode = 500;
-      if (error.message.includes('No pages found')) {
+      if (error.message.includes('No pages found') || error.message.includes('Invalid')) {
         statusCode = 400;
-      } else if (error.message.includes('parse') || error.message.includes('No bookmarks found')) {
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('parse') || error.message.includes('No bookmarks found') ||
+        error.message.includes('Unsupported')) {
         statusCode = 400;
       }
 
@@ -96,6 +88,211 @@ class ImportController {
       });
     }
   }
+
+  /**
+   * Preview an import (nothing is written)
+   * POST /api/import/preview
+   * Body fields: mapping ('single' | 'sections' | 'pages', default 'sections'), pageId (optional)
+   *
+   * @param {Express.Request} req - Request with file upload (multipart/form-data)
+   * @param {Express.Response} res - Response
+   */
+  async previewBookmarks(req, res) {
+    try {
+      const userId = req.userId; // From auth middleware
+      const file = req.file; // From multer middleware
+
+      if (!file) {
+        return res.status(400).json({
+          success: false,
+          message: 'File is required. Please upload a bookmarks export file.',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const content = file.buffer.toString('utf-8');
+      if (!content || content.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'File is empty.',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const preview = await importService.previewBookmarks(userId, content, {
+        mapping: req.body.mapping || 'sections',
+        pageId: req.body.pageId || null,
+        format: req.body.format || null,
+        filename: file.originalname,
+        mimetype: file.mimetype
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Preview ready (${preview.format.label}): ${preview.stats.bookmarks} bookmarks in ${preview.stats.folders} folders (${preview.stats.duplicates} duplicates)`,
+        data: preview,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error in previewBookmarks controller:', error);
+
+      let statusCode = 500;
+      if (error.message.includes('No pages found') || error.message.includes('Invalid') ||
+        error.message.includes('parse') || error.message.includes('No bookmarks found') ||
+        error.message.includes('Unsupported')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to preview import',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Commit a previewed import as a background job
+   * POST /api/import/commit
+   * Body (JSON): { pageId?, folders: [{ pageName?, sectionName, groupName, bookmarks: [{ title, url, description?, tags? }] }] }
+   * Responds 202 with the job; progress via GET /api/import/jobs/:id
+   *
+   * @param {Express.Request} req - Request
+   * @param {Express.Response} res - Response
+   */
+  async commitImport(req, res) {
+    try {
+      const userId = req.userId; // From auth middleware
+
+      console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+      console.log(`📥 Import commit from user: ${userId}`);
+      console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
+
+      const job = await importJobService.startCommitJob(userId, req.body);
+
+      return res.status(202).json({
+        success: true,
+        message: `Import started: ${job.progress.total} bookmarks queued`,
+        data: job,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error in commitImport controller:', error);
+
+      let statusCode = 500;
+      if (error.message.includes('must be') || error.message.includes('requires') ||
+        error.message.includes('No bookmarks selected')) {
+        statusCode = 400;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to start import',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get the progress of an import job
+   * GET /api/import/jobs/:id
+   *
+   * @param {Express.Request} req - Request
+   * @param {Express.Response} res - Response
+   */
+  async getJob(req, res) {
+    try {
+      const job = await importJobService.getJob(req.params.id, req.userId);
+
+      return res.status(200).json({
+        success: true,
+        data: job,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      if (statusCode === 500) {
+        console.error('❌ Error in getJob controller:', error);
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get import job',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Restore a PinGrid JSON export (full hierarchy)
+   * POST /api/import/pinsgrid
+   *
+   * @param {Express.Request} req - Request with file upload (multipart/form-data) and body.mode ('merge' | 'replace')
+   * @param {Express.Response} res - Response
+   */
+  async importPinGrid(req, res) {
+    try {
+      const userId = req.userId; // From auth middleware
+      const file = req.file; // From multer middleware
+      const mode = req.body.mode || 'merge';
+
+      // Validation: file is required
+      if (!file) {
+        return res.status(400).json({
+          success: false,
+          message: 'JSON file is required. Please upload a PinGrid export file.',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Validation: mode
+      if (!['merge', 'replace'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid mode. Supported modes: merge, replace',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const jsonContent = file.buffer.toString('utf-8');
+
+      if (!jsonContent || jsonContent.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'JSON file is empty.',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+      console.log(`📥 Restore request from user: ${userId} (mode: ${mode})`);
+      console.log(`📄 File: ${file.originalname} (${file.size} bytes)`);
+      console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
+
+      const result = await importService.restorePinGridExport(userId, jsonContent, mode);
+
+      return res.status(201).json({
+        success: true,
+        message: `Restore completed: ${result.imported} imported, ${result.skipped} skipped, ${result.failed} failed`,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error in importPinGrid controller:', error);
+
+      const statusCode = error.message.includes('parse') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('Unsupported') ? 400 : 500;
+
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to restore export',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
 }
 
 // Export instance
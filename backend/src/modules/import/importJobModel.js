@@ -0,0 +1,94 @@
+const pool = require('../../shared/config/database');
+
+// Colonnes exposées par l'API (GET /api/import/jobs/:id)
+const JOB_COLUMNS = `id, user_id, status, phase, total, processed, favicons_total, favicons_done,
+  result, error, created_at, updated_at, finished_at`;
+
+// Colonnes modifiables via update()
+const UPDATABLE_FIELDS = ['status', 'phase', 'processed', 'favicons_total', 'favicons_done', 'result', 'error', 'finished_at'];
+
+/**
+ * ImportJob Model
+ * Gère les opérations sur la table import_jobs (imports exécutés en arrière-plan)
+ */
+class ImportJob {
+  /**
+   * Créer un job d'import
+   * @param {string} userId - UUID du user
+   * @param {number} total - Nombre de bookmarks à importer
+   * @returns {Promise<object>} Job créé (status 'queued')
+   */
+  static async create(userId, total) {
+    const result = await pool.query(
+      `INSERT INTO import_jobs (user_id, total)
+       VALUES ($1, $2)
+       RETURNING ${JOB_COLUMNS}`,
+      [userId, total]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Récupérer un job par ID
+   * @param {string} id - UUID du job
+   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @returns {Promise<object|null>} Job ou null si non trouvé
+   */
+  static async findById(id, userId) {
+    const result = await pool.query(
+      `SELECT ${JOB_COLUMNS} FROM import_jobs WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Mettre à jour la progression / le statut d'un job
+   * @param {string} id - UUID du job
+   * @param {object} updates - { status?, phase?, processed?, favicons_total?, favicons_done?, result?, error?, finished_at? }
+   * @returns {Promise<object|null>} Job mis à jour
+   */
+  static async update(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        fields.push(`${field} = $${paramIndex}`);
+        values.push(field === 'result' ? JSON.stringify(updates[field]) : updates[field]);
+        paramIndex++;
+      }
+    }
+
+    if (fields.length === 0) return null;
+
+    values.push(id);
+    const result = await pool.query(
+      `UPDATE import_jobs SET ${fields.join(', ')}
+       WHERE id = $${paramIndex}
+       RETURNING ${JOB_COLUMNS}`,
+      values
+    );
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Marquer en échec les jobs interrompus (redémarrage du serveur pendant un import)
+   * @returns {Promise<number>} Nombre de jobs marqués
+   */
+  static async failInterrupted() {
+    const result = await pool.query(
+      `UPDATE import_jobs
+       SET status = 'failed', error = 'Import interrupted by a server restart', finished_at = CURRENT_TIMESTAMP
+       WHERE status IN ('queued', 'running')`
+    );
+
+    return result.rowCount;
+  }
+}
+
+module.exports = ImportJob;
@@ -0,0 +1,214 @@
+const ImportJob = require('./importJobModel');
+const importService = require('./importService');
+
+// Progress is written to the DB every N bookmarks (not on every insert)
+const PROGRESS_STEP = 20;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * ImportJobService
+ *
+ * Runs imports in the background (previewed selections and direct file uploads):
+ * 1. Job row created, job id returned immediately
+ * 2. Pages/sections/groups + bookmarks inserted in batches (phase 'importing')
+ * 3. Favicons resolved with bounded concurrency (phase 'favicons')
+ * Progress is read through GET /api/import/jobs/:id.
+ */
+class ImportJobService {
+  /**
+   * Validate the selection and start a background import
+   * @param {string} userId - User ID
+   * @param {object} selection - Body of POST /api/import/commit
+   * @returns {Promise<object>} - Formatted job (status 'queued')
+   */
+  startCommitJob(userId, selection) {
+    return this.queueJob(userId, selection, null);
+  }
+
+  /**
+   * Parse an uploaded file and import all of its bookmarks in the background
+   * (POST /api/import/bookmarks, no preview step)
+   * @param {string} userId - User ID
+   * @param {string} content - File content
+   * @param {object} options - { mapping, pageId?, format?, filename?, mimetype? }
+   * @returns {Promise<object>} - { job (status 'queued'), format, mapping }
+   */
+  async startFileJob(userId, content, options) {
+    // Parsing errors are returned to the client right away (400)
+    const { format, mapping, selection } = await importService.prepareFileImport(userId, content, options);
+    const job = await this.queueJob(userId, selection, format.label);
+
+    return { job, format, mapping };
+  }
+
+  /**
+   * Validate a selection, create the job row and run it after the response
+   * @param {string} userId - User ID
+   * @param {object} selection - { pageId?, folders }
+   * @param {string|null} source - Import format label (activity log)
+   * @returns {Promise<object>} - Formatted job (status 'queued')
+   */
+  async queueJob(userId, selection, source) {
+    // Validation errors are returned to the client right away (400)
+    const plan = importService.normalizeImportSelection(selection);
+    const total = plan.reduce((sum, folder) => sum + folder.bookmarks.length, 0);
+    if (total === 0) {
+      throw new Error('No bookmarks selected for import');
+    }
+
+    const job = await ImportJob.create(userId, total);
+    console.log(`🧵 Import job ${job.id} queued (${total} bookmarks)`);
+
+    // Not awaited: the HTTP request ends here
+    setImmediate(() => {
+      this.runCommitJob(job.id, userId, selection, source);
+    });
+
+    return this.formatJob(job);
+  }
+
+  /**
+   * Run an import job to completion (never throws: errors are stored on the job)
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID
+   * @param {object} selection - { pageId?, folders }
+   * @param {string|null} source - Import format label (activity log)
+   */
+  async runCommitJob(jobId, userId, selection, source = null) {
+    // Progress writes are chained so a late write never overwrites a later phase
+    let pendingWrite = Promise.resolve();
+    const saveProgress = (updates) => {
+      pendingWrite = pendingWrite
+        .then(() => ImportJob.update(jobId, updates))
+        .catch((error) => {
+          console.warn(`⚠️ Failed to save progress for import job ${jobId}:`, error.message);
+        });
+    };
+
+    try {
+      await ImportJob.update(jobId, { status: 'running', phase: 'importing' });
+
+      // 1. Insert bookmarks
+      let lastSaved = 0;
+      const result = await importService.commitImport(userId, selection, {
+        source,
+        onProgress: (processed) => {
+          if (processed - lastSaved >= PROGRESS_STEP) {
+            lastSaved = processed;
+            saveProgress({ processed });
+          }
+        }
+      });
+
+      const { createdBookmarks, ...stats } = result;
+      const summary = {
+        targetPage: stats.targetPage,
+        pages: stats.pages.map(page => ({ id: page.id, name: page.name })),
+        sections: stats.sections.map(section => ({ id: section.id, name: section.name, page_id: section.page_id })),
+        groups: stats.groups,
+        imported: stats.imported,
+        skipped: stats.skipped,
+        failed: stats.failed,
+        total: stats.imported + stats.skipped + stats.failed
+      };
+
+      // 2. Resolve favicons (bookmarks are already visible with the default icon)
+      await pendingWrite;
+      await ImportJob.update(jobId, {
+        phase: 'favicons',
+        processed: summary.total,
+        favicons_total: createdBookmarks.length,
+        result: summary
+      });
+
+      let lastFavicons = 0;
+      await importService.resolveFavicons(createdBookmarks, {
+        onProgress: (done) => {
+          if (done - lastFavicons >= PROGRESS_STEP) {
+            lastFavicons = done;
+            saveProgress({ favicons_done: done });
+          }
+        }
+      });
+
+      await pendingWrite;
+      await ImportJob.update(jobId, {
+        status: 'completed',
+        phase: 'done',
+        favicons_done: createdBookmarks.length,
+        finished_at: new Date()
+      });
+      console.log(`✅ Import job ${jobId} completed: ${summary.imported} imported`);
+    } catch (error) {
+      console.error(`❌ Import job ${jobId} failed:`, error.message);
+      try {
+        await pendingWrite;
+        await ImportJob.update(jobId, {
+          status: 'failed',
+          error: error.message || 'Import failed',
+          finished_at: new Date()
+        });
+      } catch (updateError) {
+        console.error('Failed to mark import job as failed:', updateError.message);
+      }
+    }
+  }
+
+  /**
+   * Get a job's progress
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} - Formatted job
+   */
+  async getJob(jobId, userId) {
+    if (!UUID_PATTERN.test(jobId)) {
+      throw new Error('Import job not found or access denied');
+    }
+
+    const job = await ImportJob.findById(jobId, userId);
+    if (!job) {
+      throw new Error('Import job not found or access denied');
+    }
+
+    return this.formatJob(job);
+  }
+
+  /**
+   * Mark jobs left running by a previous process as failed (server startup)
+   * @returns {Promise<number>} - Number of interrupted jobs
+   */
+  async recoverInterruptedJobs() {
+    const count = await ImportJob.failInterrupted();
+    if (count > 0) {
+      console.warn(`⚠️ ${count} import job(s) interrupted by restart marked as failed`);
+    }
+    return count;
+  }
+
+  /**
+   * Format a job row for the API
+   * @param {object} job - import_jobs row
+   * @returns {object}
+   */
+  formatJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      phase: job.phase,
+      progress: {
+        total: job.total,
+        processed: job.processed,
+        favicons_total: job.favicons_total,
+        favicons_done: job.favicons_done
+      },
+      result: job.result,
+      error: job.error,
+      created_at: job.created_at,
+      finished_at: job.finished_at
+    };
+  }
+}
+
+// Export instance
+module.exports = new ImportJobService();
@@ -4,11 +4,21 @@ const multer = require('multer');
 const authMiddleware = require('../../shared/middleware/auth.middleware');
 const importController = require('./importController');
 
+/**
+ * Accepted bookmark export files (format itself is detected from the content)
+ * - HTML: browser bookmarks (Netscape format)
+ * - CSV: Pocket, Raindrop.io (Windows may send CSV as application/vnd.ms-excel)
+ * - JSON: Pinboard
+ * - TXT: OneTab, plain URL lists
+ */
+const IMPORT_MIMETYPES = ['text/html', 'text/csv', 'application/vnd.ms-excel', 'application/json', 'text/plain'];
+const IMPORT_EXTENSIONS = /\.(html?|csv|json|txt)$/i;
+
 /**
  * Configure Multer for file upload
  * - Memory storage (file stored in memory as Buffer)
  * - Max file size: 5MB
- * - File type filter: text/html only
+ * - File type filter: HTML, CSV, JSON or text
  */
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -16,11 +26,32 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024 // 5MB max
   },
   fileFilter: (req, file, cb) => {
-    // Accept only HTML files
-    if (file.mimetype === 'text/html') {
+    if (IMPORT_MIMETYPES.includes(file.mimetype) || IMPORT_EXTENSIONS.test(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only HTML files are allowed'), false);
+      cb(new Error('Only HTML, CSV, JSON or text files are allowed'), false);
+    }
+  }
+});
+
+/**
+ * Multer config for PinGrid JSON exports
+ * - Max file size: 20MB (exports may embed data: URI favicons)
+ * - Browsers send .json as application/json or application/octet-stream
+ */
+const jsonUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB max
+  },
+  fileFilter: (req, file, cb) => {
+    const isJson = file.mimetype === 'application/json' ||
+      file.originalname.toLowerCase().endsWith('.json');
+
+    if (isJson) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON files are allowed'), false);
     }
   }
 });
@@ -28,13 +59,20 @@ const upload = multer({
 /**
  * POST /api/import/bookmarks
  *
- * Import bookmarks from HTML file (Chrome, Firefox, Safari)
+ * Import bookmarks from a file, format detected automatically:
+ *   browser HTML (Chrome, Firefox, Safari), Pocket CSV, Raindrop CSV,
+ *   Pinboard JSON, OneTab text export, plain URL list
  * - Requires authentication
- * - Accepts multipart/form-data with 'file' field
- * - File must be text/html, max 5MB
- * - Creates section + group + bookmarks
+ * - Accepts multipart/form-data with 'file' field (optional 'format' to skip detection)
+ * - File must be HTML/CSV/JSON/text, max 5MB
+ * - Tags and collections become folders (→ groups with the sections mapping)
+ * - Optional 'mapping' field: single (default, one section + group),
+ *   sections (top-level folders → sections, subfolders → groups),
+ *   pages (top-level folders → pages, then sections, then groups)
+ * - Optional 'pageId' field: target page for single/sections mappings
  * - Skips duplicates by URL
- * - Returns import statistics
+ * - Runs as a background job: returns 202 with the job id once the file is parsed,
+ *   statistics via GET /api/import/jobs/:id
  */
 router.post(
   '/bookmarks',
@@ -43,4 +81,64 @@ router.post(
   importController.importBookmarks
 );
 
+/**
+ * POST /api/import/preview
+ *
+ * Parse a bookmarks file (any supported format) without importing it
+ * - Same upload rules as /bookmarks ('file', 'mapping', 'pageId' fields)
+ * - Returns the planned folders → page/section/group targets
+ * - Flags bookmarks whose URL already exists in any of the user's groups
+ */
+router.post(
+  '/preview',
+  authMiddleware, // Protect route - requires JWT token
+  upload.single('file'), // Handle file upload (field name: 'file')
+  importController.previewBookmarks
+);
+
+/**
+ * POST /api/import/commit
+ *
+ * Import the folders/bookmarks selected after a preview, as a background job
+ * - JSON body (up to 10MB, parser configured in app.js)
+ * - Folders can be renamed, bookmarks unticked, destination page chosen (pageId)
+ * - Returns 202 with the job id immediately
+ */
+router.post(
+  '/commit',
+  authMiddleware, // Protect route - requires JWT token
+  importController.commitImport
+);
+
+/**
+ * GET /api/import/jobs/:id
+ *
+ * Progress of a background import job
+ * - status: queued | running | completed | failed
+ * - phase: importing (bookmarks) → favicons → done
+ * - result: per-group statistics once bookmarks are inserted
+ */
+router.get(
+  '/jobs/:id',
+  authMiddleware, // Protect route - requires JWT token
+  importController.getJob
+);
+
+/**
+ * POST /api/import/pinsgrid
+ *
+ * Restore a PinGrid JSON export (GET /api/export?format=json)
+ * - Requires authentication
+ * - Accepts multipart/form-data with 'file' field and 'mode' field
+ * - mode=merge (default): reuse pages/sections/groups by name, skip duplicate URLs
+ * - mode=replace: delete all pages first, then rebuild the exported tree
+ * - Runs in a single transaction (all or nothing)
+ */
+router.post(
+  '/pinsgrid',
+  authMiddleware, // Protect route - requires JWT token
+  jsonUpload.single('file'), // Handle file upload (field name: 'file')
+  importController.importPinGrid
+);
+
 module.exports = router;
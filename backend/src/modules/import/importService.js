@@ -1,113 +1,183 @@
-const cheerio = require('cheerio');
 const pool = require('../../shared/config/database');
 const Page = require('../pages/pages.model');
 const Section = require('../sections/sections.model');
 const Group = require('../groups/groups.model');
 const Bookmark = require('../bookmarks/bookmarks.model');
 const faviconService = require('../../shared/services/faviconService');
+const Tag = require('../tags/tags.model');
+const Trash = require('../trash/trash.model');
+const activityService = require('../activity/activity.service');
+const realtimeService = require('../realtime/realtime.service');
+const { EXPORT_FORMAT, EXPORT_VERSION } = require('../export/exportService');
+const parsers = require('./parsers');
+const { isWebUrl } = require('./parsers/helpers');
+const { normalizeUrl } = require('../../shared/utils/urlNormalizer');
+const { GROUP_TYPES, normalizeRuleParams } = require('../groups/dynamicRules');
+
+// Valeurs autorisées par les contraintes CHECK de la table groups
+const GROUP_WIDTHS = ['25%', '33%', '50%', '66%', '75%', '100%'];
+const RESTORE_MODES = ['merge', 'replace'];
+
+// Modes de mapping des dossiers HTML vers la hiérarchie PinGrid
+// - single: tout dans un group "All Imported Bookmarks" (comportement historique)
+// - sections: dossiers de 1er niveau → sections de la page cible, sous-dossiers → groups
+// - pages: dossiers de 1er niveau → pages, 2e niveau → sections, plus profond → groups
+const MAPPING_MODES = ['single', 'sections', 'pages'];
+
+// Noms utilisés pour les liens hors dossier / directement dans un dossier parent
+const UNSORTED_FOLDER = 'Unsorted';
+const GENERAL_NAME = 'General';
+
+// Nombre de domaines dont le favicon est résolu en parallèle après un import
+const FAVICON_CONCURRENCY = 4;
+
+// Nombre de bookmarks insérés par requête (INSERT multi-lignes) pendant un import
+const IMPORT_BATCH_SIZE = 100;
+
+// Favicons acceptés à la restauration: URL http(s) ou image base64 (icône par
+// défaut et favicons en cache sont stockés en data: URI)
+const FAVICON_DATA_URI = /^data:image\/(png|gif|jpeg|webp|x-icon|vnd\.microsoft\.icon|svg\+xml);base64,[a-z0-9+/=]+$/i;
 
 /**
  * ImportService
  *
  * Service for importing bookmarks from HTML files (Chrome, Firefox, Safari)
  * Parses Netscape Bookmark Format and creates section + group + bookmarks
+ *
+ * Also restores PinGrid JSON exports (GET /api/export?format=json)
+ * with the full Page → Section → Group → Bookmark hierarchy
  */
 class ImportService {
   /**
    * Parse HTML bookmarks file (Netscape format)
    * @param {string} htmlContent - HTML file content
-   * @returns {Promise<Array>} - Array of parsed bookmarks {title, url, folder}
+   * @returns {Promise<Array>} - Array of parsed bookmarks {title, url, folder, folderPath, description, tags}
    */
   async parseHtmlBookmarks(htmlContent) {
-    try {
-      const $ = cheerio.load(htmlContent);
-      const bookmarks = [];
-
-      // Find all <DT><A> tags (bookmark entries)
-      $('dt a').each((index, element) => {
-        const $link = $(element);
-        const href = $link.attr('href');
-        const title = $link.text().trim();
-
-        // Only add if both title and URL exist
-        if (href && title) {
-          // Get folder name (parent <H3> if exists)
-          const $folder = $link.closest('dl').prev('dt').find('h3');
-          const folder = $folder.length > 0 ? $folder.text().trim() : 'Imported';
-
-          bookmarks.push({
-            title: title,
-            url: href,
-            folder: folder
-          });
-        }
-      });
+    const { bookmarks } = await this.parseImportFile(htmlContent, { format: 'netscape-html' });
+    return bookmarks;
+  }
+
+  /**
+   * Parse an import file with the matching parser (see ./parsers)
+   * Format is detected automatically unless meta.format is given.
+   * @param {string} content - File content
+   * @param {object} meta - { filename?, mimetype?, format? }
+   * @returns {Promise<object>} - { format: {id, label, parsed, rejected}, bookmarks, stripSingleRoot }
+   */
+  async parseImportFile(content, meta = {}) {
+    const parser = meta.format ? parsers.getParser(meta.format) : parsers.detectParser(content, meta);
+
+    if (!parser) {
+      const supported = parsers.listFormats().map(format => format.label).join(', ');
+      throw new Error(meta.format
+        ? `Invalid format. Supported formats: ${parsers.listFormats().map(format => format.id).join(', ')}`
+        : `Unsupported import format. Supported formats: ${supported}`);
+    }
 
-      console.log(`📋 Parsed ${bookmarks.length} bookmarks from HTML`);
-      return bookmarks;
+    let result;
+    try {
+      result = await Promise.resolve(parser.parse(content));
     } catch (error) {
-      console.error('Error parsing HTML bookmarks:', error.message);
-      throw new Error('Failed to parse HTML bookmarks file. Please ensure it is a valid Netscape bookmark format.');
+      console.error(`Error parsing ${parser.id} file:`, error.message);
+      throw new Error(`Failed to parse ${parser.label} file. Please check the export is complete.`);
     }
+
+    console.log(`📋 Parsed ${result.bookmarks.length} bookmarks as ${parser.label} (${result.rejected} rejected)`);
+
+    return {
+      format: {
+        id: parser.id,
+        label: parser.label,
+        parsed: result.bookmarks.length,
+        rejected: result.rejected
+      },
+      bookmarks: result.bookmarks,
+      stripSingleRoot: parser.stripSingleRoot
+    };
   }
 
   /**
    * Import bookmarks to a specific group
-   * Uses transaction for atomicity
+   * Bookmarks are inserted IMPORT_BATCH_SIZE at a time (one multi-row INSERT
+   * + tags per batch, in a short transaction).
+   * Favicons are not fetched here: bookmarks get the default icon and
+   * resolveFavicons() updates them afterwards (see importJobService).
    * @param {string} userId - User ID
    * @param {string} groupId - Group ID
    * @param {Array} bookmarks - Array of bookmarks to import
-   * @returns {Promise<object>} - {success: number, skipped: number, failed: number}
+   * @param {object} options - { onProgress?: (processedInGroup) => void }
+   * @returns {Promise<object>} - {success, skipped, failed, created: [{id, url}]}
+   */
+  async importBookmarksToGroup(userId, groupId, bookmarks, options = {}) {
+    const { onProgress = null } = options;
+    const defaultIcon = faviconService.getDefaultIcon();
+    const created = [];
+    let skipped = 0, failed = 0;
+
+    // Duplicate detection: URLs already in this group, plus the ones imported so far
+    const existingUrls = new Set((await Bookmark.findAllByGroup(groupId)).map(bm => bm.url));
+
+    for (let start = 0; start < bookmarks.length; start += IMPORT_BATCH_SIZE) {
+      const batch = [];
+      for (const bm of bookmarks.slice(start, start + IMPORT_BATCH_SIZE)) {
+        if (existingUrls.has(bm.url)) {
+          console.log(`⏭️ Skipping duplicate: ${bm.url}`);
+          skipped++;
+          continue;
+        }
+        existingUrls.add(bm.url);
+        batch.push(bm);
+      }
+
+      const results = await this.insertBookmarkBatch(userId, groupId, batch, defaultIcon);
+      created.push(...results.created);
+      failed += results.failed;
+
+      if (onProgress) onProgress(Math.min(start + IMPORT_BATCH_SIZE, bookmarks.length));
+    }
+
+    const success = created.length;
+    console.log(`\n📊 Group import completed: ${success} imported, ${skipped} skipped, ${failed} failed`);
+    return { success, skipped, failed, created };
+  }
+
+  /**
+   * Insert a batch of bookmarks and their tags in one transaction
+   * A failing batch is retried one bookmark at a time, so a single bad row
+   * does not fail the rest of the import.
+   * @param {string} userId - User ID
+   * @param {string} groupId - Group ID
+   * @param {Array} bookmarks - Parsed bookmarks {title, url, description, tags}
+   * @param {string} faviconUrl - Icon stored until favicons are resolved
+   * @returns {Promise<object>} - {created: [{id, url}], failed}
    */
-  async importBookmarksToGroup(userId, groupId, bookmarks) {
+  async insertBookmarkBatch(userId, groupId, bookmarks, faviconUrl) {
+    if (bookmarks.length === 0) return { created: [], failed: 0 };
+
     let client;
-    let success = 0, skipped = 0, failed = 0;
+    let batchError = null;
 
     try {
       client = await pool.connect();
       await client.query('BEGIN');
 
-      for (const bm of bookmarks) {
-        try {
-          // Check if URL already exists in this group (duplicate detection)
-          const existing = await Bookmark.findByUrl(groupId, bm.url);
-          if (existing) {
-            console.log(`⏭️ Skipping duplicate: ${bm.url}`);
-            skipped++;
-            continue;
-          }
+      const rows = await Bookmark.createMany(groupId, userId, bookmarks.map(bm => ({
+        title: bm.title.substring(0, 200),
+        url: bm.url,
+        description: bm.description ? bm.description.substring(0, 500) : null,
+        favicon_url: faviconUrl
+      })), client);
 
-          // Fetch favicon automatically
-          let faviconUrl;
-          try {
-            faviconUrl = await faviconService.getFavicon(bm.url);
-          } catch (error) {
-            console.warn(`⚠️ Favicon fetch failed for ${bm.url}, using default`);
-            faviconUrl = faviconService.getDefaultIcon();
-          }
-
-          // Create bookmark
-          await Bookmark.create(groupId, userId, {
-            title: bm.title,
-            url: bm.url,
-            description: null,
-            favicon_url: faviconUrl
-          });
-
-          success++;
-          console.log(`✅ Imported: ${bm.title}`);
-        } catch (error) {
-          console.error(`❌ Failed to import bookmark: ${bm.url}`, error.message);
-          failed++;
-          // Continue with other bookmarks instead of failing entire import
-        }
-      }
+      await Tag.addTagsToBookmarks(userId, rows.map((row, index) => ({
+        bookmarkId: row.id,
+        names: (bookmarks[index].tags || []).filter(tag => tag.length <= 50).slice(0, 20)
+      })), client);
 
       await client.query('COMMIT');
-      console.log(`\n📊 Import completed: ${success} imported, ${skipped} skipped, ${failed} failed`);
-
-      return { success, skipped, failed };
+      return { created: rows.map(row => ({ id: row.id, url: row.url })), failed: 0 };
     } catch (error) {
+      batchError = error;
       if (client) {
         try {
           await client.query('ROLLBACK');
@@ -115,78 +185,813 @@ class ImportService {
           console.error('Rollback failed:', rollbackError.message);
         }
       }
-      console.error('❌ Import transaction failed:', error.message);
-      throw new Error('Import failed. Transaction rolled back.');
     } finally {
       if (client) {
         client.release();
       }
     }
+
+    if (bookmarks.length === 1) {
+      console.error(`❌ Failed to import bookmark: ${bookmarks[0].url}`, batchError.message);
+      return { created: [], failed: 1 };
+    }
+
+    console.warn(`⚠️ Batch of ${bookmarks.length} bookmarks failed (${batchError.message}), retrying one by one`);
+    const results = { created: [], failed: 0 };
+    for (const bm of bookmarks) {
+      const single = await this.insertBookmarkBatch(userId, groupId, [bm], faviconUrl);
+      results.created.push(...single.created);
+      results.failed += single.failed;
+    }
+    return results;
   }
 
   /**
-   * Main import method: Parse HTML and create section + group + bookmarks
+   * Resolve favicons of imported bookmarks with bounded concurrency
+   * One lookup per domain (faviconService caches by domain), then one UPDATE per domain.
+   * @param {Array} bookmarks - [{ id, url }]
+   * @param {object} options - { concurrency?, onProgress?: (doneBookmarks) => void }
+   * @returns {Promise<number>} - Number of bookmarks processed
+   */
+  async resolveFavicons(bookmarks, options = {}) {
+    const { concurrency = FAVICON_CONCURRENCY, onProgress = null } = options;
+
+    // Group bookmark ids by domain
+    const byDomain = new Map();
+    for (const bm of bookmarks) {
+      const domain = faviconService.extractDomain(bm.url) || bm.url;
+      if (!byDomain.has(domain)) byDomain.set(domain, { url: bm.url, ids: [] });
+      byDomain.get(domain).ids.push(bm.id);
+    }
+
+    const queue = [...byDomain.values()];
+    let done = 0;
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const entry = queue.shift();
+        try {
+          const faviconUrl = await faviconService.getFavicon(entry.url);
+          await Bookmark.updateFavicons(entry.ids, faviconUrl);
+        } catch (error) {
+          console.warn(`⚠️ Favicon resolution failed for ${entry.url}: ${error.message}`);
+        }
+        done += entry.ids.length;
+        if (onProgress) onProgress(done);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    return done;
+  }
+
+  /**
+   * Parse an import file into a selection for a background job
+   * (POST /api/import/bookmarks: same job as a previewed import, every bookmark selected)
+   * Parsing and target page errors are thrown here, before the job is queued.
    * @param {string} userId - User ID
-   * @param {string} htmlContent - HTML file content
-   * @returns {Promise<object>} - {section, group, imported, skipped, failed}
+   * @param {string} content - File content (any format supported by ./parsers)
+   * @param {object} options - { mapping: 'single'|'sections'|'pages', pageId?, filename?, mimetype?, format? }
+   * @returns {Promise<object>} - { format, mapping, selection: { pageId, folders } } (selection accepted by commitImport)
    */
-  async importBookmarks(userId, htmlContent) {
-    try {
-      // 1. Parse HTML bookmarks
-      console.log('\n🔍 Step 1: Parsing HTML...');
-      const bookmarks = await this.parseHtmlBookmarks(htmlContent);
+  async prepareFileImport(userId, content, options = {}) {
+    const { mapping = 'single', pageId = null } = options;
+
+    if (!MAPPING_MODES.includes(mapping)) {
+      throw new Error(`Invalid mapping. Supported mappings: ${MAPPING_MODES.join(', ')}`);
+    }
+
+    const parsed = await this.parseImportFile(content, options);
+    if (parsed.bookmarks.length === 0) {
+      throw new Error(`No bookmarks found in the ${parsed.format.label} file.`);
+    }
+
+    const plan = this.buildImportPlan(parsed.bookmarks, mapping, parsed.stripSingleRoot);
+    console.log(`🧭 ${plan.length} target group(s) planned (mapping: ${mapping})`);
+
+    // Resolved now: the job imports into this page even if the page order changes meanwhile
+    const targetPage = plan.some(target => !target.pageName)
+      ? await this.resolveTargetPage(userId, pageId, mapping)
+      : null;
 
-      if (bookmarks.length === 0) {
-        throw new Error('No bookmarks found in the HTML file.');
+    return {
+      format: parsed.format,
+      mapping,
+      selection: {
+        pageId: targetPage ? targetPage.id : null,
+        folders: plan
       }
+    };
+  }
 
-      // 2. Get user's first page (or create one if none exists)
-      console.log('\n📄 Step 2: Getting target page...');
-      const pages = await Page.findAllByUser(userId);
+  /**
+   * Preview an import without writing anything
+   * Returns the planned folders with a duplicate flag on each bookmark
+   * (URL already present anywhere in the user's pages, not only in the target group)
+   * @param {string} userId - User ID
+   * @param {string} content - File content (any format supported by ./parsers)
+   * @param {object} options - { mapping: 'single'|'sections'|'pages', pageId?, filename?, mimetype?, format? }
+   * @returns {Promise<object>} - { format, mapping, targetPage, folders, stats }
+   */
+  async previewBookmarks(userId, content, options = {}) {
+    const { mapping = 'sections', pageId = null } = options;
 
-      if (pages.length === 0) {
-        throw new Error('No pages found. Please create a page first before importing bookmarks.');
+    if (!MAPPING_MODES.includes(mapping)) {
+      throw new Error(`Invalid mapping. Supported mappings: ${MAPPING_MODES.join(', ')}`);
+    }
+
+    const parsed = await this.parseImportFile(content, options);
+    const bookmarks = parsed.bookmarks;
+    if (bookmarks.length === 0) {
+      throw new Error(`No bookmarks found in the ${parsed.format.label} file.`);
+    }
+
+    const targetPage = await this.resolveTargetPage(userId, pageId, mapping);
+    const plan = this.buildImportPlan(bookmarks, mapping, parsed.stripSingleRoot);
+
+    // Workspace-wide duplicate detection on normalized URLs (one query for the whole file)
+    const existing = await Bookmark.findAllForUser(userId);
+    const existingByUrl = new Map();
+    for (const row of existing) {
+      const key = normalizeUrl(row.url);
+      if (!existingByUrl.has(key)) existingByUrl.set(key, row);
+    }
+
+    // Same URL twice in the file: only the first occurrence is kept by default
+    const seenUrls = new Set();
+    let duplicates = 0;
+
+    const folders = plan.map((target, index) => ({
+      key: String(index),
+      folderPath: target.folderPath,
+      pageName: target.pageName,
+      sectionName: target.sectionName,
+      groupName: target.groupName,
+      bookmarks: target.bookmarks.map((bm) => {
+        const key = normalizeUrl(bm.url);
+        const match = existingByUrl.get(key);
+        const duplicateInFile = seenUrls.has(key);
+        seenUrls.add(key);
+        if (match || duplicateInFile) duplicates++;
+
+        return {
+          title: bm.title,
+          url: bm.url,
+          description: bm.description,
+          tags: bm.tags,
+          duplicate: Boolean(match) || duplicateInFile,
+          existing: match
+            ? {
+              id: match.id,
+              page_name: match.page_name,
+              section_name: match.section_name,
+              group_name: match.group_name
+            }
+            : null
+        };
+      })
+    }));
+
+    return {
+      format: parsed.format,
+      mapping,
+      targetPage: targetPage ? { id: targetPage.id, name: targetPage.name } : null,
+      folders,
+      stats: {
+        folders: folders.length,
+        bookmarks: bookmarks.length,
+        duplicates
       }
+    };
+  }
+
+  /**
+   * Validate the selection sent back after a preview
+   * Bookmarks without an http(s) URL are dropped (the payload comes from the client)
+   * @param {object} selection - { pageId?, folders: [{ pageName?, sectionName, groupName, bookmarks }] }
+   * @returns {Array} - Plan usable by materializePlan
+   */
+  normalizeImportSelection(selection) {
+    if (!selection || !Array.isArray(selection.folders) || selection.folders.length === 0) {
+      throw new Error('Folders must be a non-empty array');
+    }
+
+    const isName = (value) => typeof value === 'string' && value.trim().length > 0;
+
+    return selection.folders
+      .map((folder) => {
+        if (!folder || !isName(folder.sectionName) || !isName(folder.groupName)) {
+          throw new Error('Each folder requires a sectionName and a groupName');
+        }
+        if (folder.pageName !== undefined && folder.pageName !== null && !isName(folder.pageName)) {
+          throw new Error('Folder pageName must be a non-empty string');
+        }
+        if (!Array.isArray(folder.bookmarks)) {
+          throw new Error('Folder bookmarks must be an array');
+        }
+
+        // Same rule as the parsers: only http(s) links (no javascript:/data: URLs)
+        const bookmarks = folder.bookmarks
+          .filter(bm => bm && isWebUrl(bm.url))
+          .map(bm => ({
+            title: (typeof bm.title === 'string' && bm.title.trim()) || bm.url,
+            url: bm.url.trim(),
+            description: typeof bm.description === 'string' ? bm.description : null,
+            tags: Array.isArray(bm.tags) ? bm.tags.filter(tag => typeof tag === 'string' && tag.trim()) : []
+          }));
+
+        return {
+          folderPath: Array.isArray(folder.folderPath) ? folder.folderPath : [],
+          pageName: folder.pageName ? folder.pageName.trim() : null,
+          sectionName: folder.sectionName.trim(),
+          groupName: folder.groupName.trim(),
+          bookmarks
+        };
+      })
+      // Folders with every bookmark unticked are not created
+      .filter(folder => folder.bookmarks.length > 0);
+  }
+
+  /**
+   * Commit a previewed import (selected folders/bookmarks, renamed targets)
+   * Favicons are not resolved here: the caller gets the created bookmarks back
+   * @param {string} userId - User ID
+   * @param {object} selection - { pageId?, folders: [{ pageName?, sectionName, groupName, bookmarks }] }
+   * @param {object} options - { onProgress?: (processedBookmarks) => void, source?: format label for the activity log }
+   * @returns {Promise<object>} - {pages, sections, groups (with per-group counts), imported, skipped, failed, createdBookmarks}
+   */
+  async commitImport(userId, selection, options = {}) {
+    const { onProgress = null, source = null } = options;
+    const plan = this.normalizeImportSelection(selection);
+    if (plan.length === 0) {
+      throw new Error('No bookmarks selected for import');
+    }
 
-      const targetPage = pages[0];
-      console.log(`✅ Using page: ${targetPage.name}`);
+    const needsTargetPage = plan.some(folder => !folder.pageName);
+    const targetPage = needsTargetPage
+      ? await this.resolveTargetPage(userId, selection.pageId || null, 'sections')
+      : null;
 
-      // 3. Create "Imported Bookmarks" section
-      console.log('\n📦 Step 3: Creating import section...');
+    const created = await this.materializePlan(userId, plan, targetPage);
+    const sectionsById = new Map(created.sections.map(section => [section.id, section]));
+
+    const totals = { imported: 0, skipped: 0, failed: 0 };
+    const groups = [];
+    const createdBookmarks = [];
+    let processedBefore = 0;
+    for (const target of created.targets) {
+      const results = await this.importBookmarksToGroup(userId, target.group.id, target.bookmarks, {
+        onProgress: onProgress ? (count) => onProgress(processedBefore + count) : null
+      });
+      processedBefore += target.bookmarks.length;
+      createdBookmarks.push(...results.created);
+      totals.imported += results.success;
+      totals.skipped += results.skipped;
+      totals.failed += results.failed;
+      await this.logGroupImport(userId, target.group, results, source);
+
+      const section = sectionsById.get(target.group.section_id);
+      groups.push({
+        id: target.group.id,
+        name: target.group.name,
+        section_id: target.group.section_id,
+        section_name: section ? section.name : null,
+        imported: results.success,
+        skipped: results.skipped,
+        failed: results.failed
+      });
+    }
+
+    return {
+      targetPage: targetPage ? { id: targetPage.id, name: targetPage.name } : null,
+      pages: created.pages,
+      sections: created.sections,
+      groups,
+      ...totals,
+      createdBookmarks
+    };
+  }
+
+  /**
+   * Map parsed bookmarks onto target page/section/group names
+   * Pure function: no DB access (also used to preview the import)
+   * @param {Array} bookmarks - Parsed bookmarks with folderPath
+   * @param {string} mapping - 'single' | 'sections' | 'pages'
+   * @param {boolean} stripSingleRoot - Drop a root folder shared by every bookmark
+   * @returns {Array} - [{ folderPath, pageName|null, sectionName, groupName, bookmarks }]
+   *                    pageName null = the target page (existing)
+   */
+  buildImportPlan(bookmarks, mapping, stripSingleRoot = true) {
+    if (mapping === 'single') {
       const currentDate = new Date().toLocaleDateString('en-US', {
         year: 'numeric',
         month: 'short',
         day: 'numeric'
       });
 
-      const section = await Section.create(targetPage.id, {
-        name: `Imported Bookmarks - ${currentDate}`
-      });
-      console.log(`✅ Section created: ${section.name}`);
+      return [{
+        folderPath: [],
+        pageName: null,
+        sectionName: `Imported Bookmarks - ${currentDate}`,
+        groupName: 'All Imported Bookmarks',
+        bookmarks
+      }];
+    }
+
+    // Chrome wraps everything in a single "Bookmarks bar" folder: skip that level
+    const paths = bookmarks.map(bm => bm.folderPath || []);
+    const roots = new Set(paths.map(path => path[0]));
+    const stripRoot = stripSingleRoot && roots.size === 1 && !roots.has(undefined) && paths.some(path => path.length > 1);
+
+    const targets = new Map();
+
+    for (const bm of bookmarks) {
+      let path = bm.folderPath || [];
+      if (stripRoot) path = path.slice(1);
+      if (path.length === 0) path = [UNSORTED_FOLDER];
+
+      let pageName = null;
+      let sectionName;
+      let groupName;
+
+      if (mapping === 'pages') {
+        // Level 1 → page, level 2 → section, deeper levels → group
+        pageName = path[0];
+        sectionName = path[1] || GENERAL_NAME;
+        groupName = path.length > 2 ? path.slice(2).join(' / ') : GENERAL_NAME;
+      } else {
+        // Level 1 → section of the target page, deeper levels → group
+        sectionName = path[0];
+        groupName = path.length > 1 ? path.slice(1).join(' / ') : GENERAL_NAME;
+      }
+
+      const key = [pageName, sectionName, groupName].map(name => (name || '').toLowerCase()).join('\u0000');
+      if (!targets.has(key)) {
+        targets.set(key, {
+          folderPath: path,
+          pageName,
+          sectionName,
+          groupName,
+          bookmarks: []
+        });
+      }
+      targets.get(key).bookmarks.push(bm);
+    }
+
+    return [...targets.values()];
+  }
 
-      // 4. Create "All Imported Bookmarks" group
-      console.log('\n🗂️ Step 4: Creating group...');
+  /**
+   * Resolve the page receiving sections (single/sections mappings)
+   * @param {string} userId - User ID
+   * @param {string|null} pageId - Requested page (default: first page)
+   * @param {string} mapping - Mapping mode
+   * @returns {Promise<object|null>} - Page or null (pages mapping)
+   */
+  async resolveTargetPage(userId, pageId, mapping) {
+    if (pageId) {
+      const page = await Page.findById(pageId, userId, 'edit');
+      if (!page) {
+        throw new Error('Target page not found or access denied');
+      }
+      return page;
+    }
+
+    const pages = await Page.findAllByUser(userId);
+    if (pages.length === 0) {
+      if (mapping === 'pages') return null;
+      throw new Error('No pages found. Please create a page first before importing bookmarks.');
+    }
+
+    console.log(`✅ Using page: ${pages[0].name}`);
+    return pages[0];
+  }
+
+  /**
+   * Create the pages/sections/groups of a plan with Page/Section/Group.create
+   * Names colliding with the unique-name indexes get a " (2)", " (3)"... suffix.
+   * @param {string} userId - User ID
+   * @param {Array} plan - Output of buildImportPlan
+   * @param {object|null} targetPage - Page used when target.pageName is null
+   * @returns {Promise<object>} - { pages, sections, groups, targets: [{ group, bookmarks }] }
+   */
+  async materializePlan(userId, plan, targetPage) {
+    const pagesByName = new Map();
+    const sectionsByKey = new Map();
+    const created = { pages: [], sections: [], groups: [], targets: [] };
+
+    for (const target of plan) {
+      // Page: existing target page or a new page per top-level folder
+      let page = targetPage;
+      if (target.pageName) {
+        const pageKey = target.pageName.toLowerCase();
+        if (!pagesByName.has(pageKey)) {
+          const name = await this.uniqueName(target.pageName, (candidate) => Page.findByName(userId, candidate));
+          const newPage = await Page.create(userId, { name });
+          console.log(`✅ Page created: ${newPage.name}`);
+          pagesByName.set(pageKey, newPage);
+          created.pages.push(newPage);
+        }
+        page = pagesByName.get(pageKey);
+      }
+
+      if (!page) {
+        throw new Error('No pages found. Please create a page first before importing bookmarks.');
+      }
+
+      // Section: one per (page, folder)
+      const sectionKey = `${page.id}\u0000${target.sectionName.toLowerCase()}`;
+      if (!sectionsByKey.has(sectionKey)) {
+        const name = await this.uniqueName(target.sectionName, (candidate) => Section.findByName(page.id, candidate));
+        const newSection = await Section.create(page.id, { name });
+        console.log(`✅ Section created: ${newSection.name}`);
+        sectionsByKey.set(sectionKey, newSection);
+        created.sections.push(newSection);
+      }
+      const section = sectionsByKey.get(sectionKey);
+
+      // Group: one per plan target
+      const groupName = await this.uniqueName(target.groupName, (candidate) => Group.findByName(section.id, candidate));
       const group = await Group.create(section.id, {
-        name: 'All Imported Bookmarks',
+        name: groupName,
         column_count: 3,
         group_type: 'manual'
       });
       console.log(`✅ Group created: ${group.name}`);
+      created.groups.push(group);
+      created.targets.push({ group, bookmarks: target.bookmarks });
+    }
 
-      // 5. Import bookmarks to the group
-      console.log('\n🔖 Step 5: Importing bookmarks...');
-      const results = await this.importBookmarksToGroup(userId, group.id, bookmarks);
+    return created;
+  }
 
-      return {
-        section,
-        group,
+  /**
+   * Find a free name: "Name", then "Name (2)", "Name (3)"...
+   * Names are truncated to 100 characters (VARCHAR(100) columns)
+   * @param {string} baseName - Desired name
+   * @param {function} findByName - async (name) => existing row or null
+   * @returns {Promise<string>} - Available name
+   */
+  async uniqueName(baseName, findByName) {
+    const base = baseName.trim().substring(0, 100) || GENERAL_NAME;
+    let candidate = base;
+    let suffix = 2;
+
+    while (await findByName(candidate)) {
+      const tail = ` (${suffix})`;
+      candidate = `${base.substring(0, 100 - tail.length)}${tail}`;
+      suffix++;
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Parse and validate a PinGrid JSON export (format/version header + pages tree)
+   * Invalid optional values fall back to defaults; missing names throw.
+   * @param {string} jsonContent - JSON file content
+   * @returns {Array} - Normalized pages tree
+   */
+  parsePinGridExport(jsonContent) {
+    let data;
+    try {
+      data = JSON.parse(jsonContent);
+    } catch {
+      throw new Error('Failed to parse JSON file. Please upload a PinGrid export.');
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.pages)) {
+      throw new Error('Invalid file: not a PinGrid export (missing format header or pages).');
+    }
+
+    if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+      throw new Error(`Unsupported export version: ${data.version}. Maximum supported: ${EXPORT_VERSION}.`);
+    }
+
+    const requireName = (value, path) => {
+      if (typeof value !== 'string' || value.trim().length === 0) {
+        throw new Error(`Invalid export: ${path} name is required`);
+      }
+      return value.trim().substring(0, 100);
+    };
+    const toInt = (value, fallback) => (Number.isInteger(value) ? value : fallback);
+    const toArray = (value) => (Array.isArray(value) ? value : []);
+
+    return data.pages.map((page, p) => ({
+      name: requireName(page.name, `pages[${p}]`),
+      icon: typeof page.icon === 'string' ? page.icon.substring(0, 50) : null,
+      color: typeof page.color === 'string' && /^#[0-9A-Fa-f]{6}$/.test(page.color) ? page.color : null,
+      sections: toArray(page.sections).map((section, s) => ({
+        name: requireName(section.name, `pages[${p}].sections[${s}]`),
+        collapsed: section.collapsed === true,
+        groups: toArray(section.groups).map((group, g) => {
+          const columnCount = toInt(group.column_count, 3);
+          let groupType = GROUP_TYPES.includes(group.group_type) ? group.group_type : 'manual';
+
+          // A dynamic rule with invalid params is restored as a manual group
+          let ruleParams = {};
+          try {
+            ruleParams = normalizeRuleParams(groupType, group.rule_params);
+          } catch {
+            groupType = 'manual';
+          }
+
+          return {
+            name: requireName(group.name, `pages[${p}].sections[${s}].groups[${g}]`),
+            column_count: columnCount >= 1 && columnCount <= 6 ? columnCount : 3,
+            group_type: groupType,
+            rule_params: ruleParams,
+            // Dynamic groups require a limit (same rule as groups.service)
+            bookmark_limit: toInt(group.bookmark_limit, null) > 0
+              ? group.bookmark_limit
+              : (groupType === 'manual' ? null : 10),
+            width: GROUP_WIDTHS.includes(group.width) ? group.width : '100%',
+            bookmarks: toArray(group.bookmarks).map((bookmark) => ({
+              title: typeof bookmark.title === 'string' ? bookmark.title.trim().substring(0, 200) : '',
+              url: typeof bookmark.url === 'string' ? bookmark.url.trim() : '',
+              description: typeof bookmark.description === 'string' ? bookmark.description : null,
+              column: toInt(bookmark.column, 1),
+              position: toInt(bookmark.position, 0),
+              favicon_url: isWebUrl(bookmark.favicon_url) || FAVICON_DATA_URI.test(bookmark.favicon_url)
+                ? bookmark.favicon_url.trim()
+                : null,
+              visit_count: toInt(bookmark.visit_count, 0) > 0 ? bookmark.visit_count : 0,
+              tags: toArray(bookmark.tags)
+                .filter(tag => typeof tag === 'string' && tag.trim().length > 0 && tag.trim().length <= 50)
+                .map(tag => tag.trim())
+                .filter((tag, i, all) => all.findIndex(t => t.toLowerCase() === tag.toLowerCase()) === i)
+                .slice(0, 20),
+              created_at: bookmark.created_at && !isNaN(Date.parse(bookmark.created_at)) ? bookmark.created_at : null
+            }))
+          };
+        })
+      }))
+    }));
+  }
+
+  /**
+   * Record an import into a group in the activity log
+   * @param {string} userId - User ID
+   * @param {object} group - Target group row
+   * @param {object} results - importBookmarksToGroup() result
+   * @param {string|null} source - Import format label (null when unknown)
+   * @private
+   */
+  async logGroupImport(userId, group, results, source) {
+    await activityService.log(userId, {
+      action: 'import',
+      entityType: 'group',
+      entityId: group.id,
+      entityName: group.name,
+      details: {
+        source,
         imported: results.success,
         skipped: results.skipped,
-        failed: results.failed
+        failed: results.failed,
+        location: { section_id: group.section_id }
+      }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'group', action: 'import', id: group.id, parentIds: [group.section_id]
+    }, { type: 'section', ids: [group.section_id] });
+  }
+
+  /**
+   * Restore a PinGrid JSON export (single transaction)
+   * - replace: move personal pages to the trash, delete unused tags, then recreate the tree
+   * - merge: reuse pages/sections/groups with the same name (case-insensitive),
+   *   skip bookmarks whose URL already exists in the target group
+   * @param {string} userId - User ID
+   * @param {string} jsonContent - JSON file content
+   * @param {string} mode - 'merge' | 'replace'
+   * @returns {Promise<object>} - Restore statistics
+   */
+  async restorePinGridExport(userId, jsonContent, mode = 'merge') {
+    if (!RESTORE_MODES.includes(mode)) {
+      throw new Error(`Invalid mode. Supported modes: ${RESTORE_MODES.join(', ')}`);
+    }
+
+    const pages = this.parsePinGridExport(jsonContent);
+
+    const stats = {
+      mode,
+      pages: { created: 0, merged: 0 },
+      sections: { created: 0, merged: 0 },
+      groups: { created: 0, merged: 0 },
+      imported: 0,
+      skipped: 0,
+      failed: 0
+    };
+
+    let client;
+
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      if (mode === 'replace') {
+        // Existing personal pages go to the trash (restorable until purged); workspace pages stay
+        console.log('🗑️ Replace mode: moving existing pages to trash and deleting unused tags...');
+        const existingPages = await client.query(
+          'SELECT id FROM pages WHERE user_id = $1 AND workspace_id IS NULL AND deleted_at IS NULL',
+          [userId]
+        );
+        for (const existingPage of existingPages.rows) {
+          await Trash.moveToTrash(userId, 'page', existingPage.id, client);
+        }
+        // Tags still on a workspace or trashed bookmark are kept
+        await client.query(
+          `DELETE FROM tags t
+           WHERE t.user_id = $1
+             AND NOT EXISTS (SELECT 1 FROM bookmark_tags bt WHERE bt.tag_id = t.id)`,
+          [userId]
+        );
+      }
+
+      for (const page of pages) {
+        const pageRow = await this.findOrCreateRestoredPage(client, userId, page, stats);
+
+        for (const section of page.sections) {
+          const sectionRow = await this.findOrCreateRestoredSection(client, pageRow.id, section, stats);
+
+          for (const group of section.groups) {
+            const { row: groupRow, existed } = await this.findOrCreateRestoredGroup(client, sectionRow.id, group, stats);
+
+            // Dynamic groups have computed content: nothing to restore
+            if (groupRow.group_type !== 'manual') {
+              continue;
+            }
+
+            await this.restoreGroupBookmarks(client, userId, groupRow, group.bookmarks, existed, stats);
+          }
+        }
+      }
+
+      await client.query('COMMIT');
+      console.log(`\n📊 Restore completed (${mode}): ${stats.imported} imported, ${stats.skipped} skipped, ${stats.failed} failed`);
+
+      await activityService.log(userId, {
+        action: 'import',
+        entityType: 'page',
+        entityName: 'PinGrid backup',
+        details: { source: 'PinGrid JSON', ...stats }
+      });
+
+      await realtimeService.publish(userId, { entity: 'page', action: 'import' });
+
+      return {
+        ...stats,
+        total: stats.imported + stats.skipped + stats.failed
       };
     } catch (error) {
-      console.error('❌ Import failed:', error.message);
-      throw error;
+      if (client) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Rollback failed:', rollbackError.message);
+        }
+      }
+      console.error('❌ Restore transaction failed:', error.message);
+      throw new Error(`Restore failed. Transaction rolled back. ${error.message}`);
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Reuse the user's personal page with the same name or create it (appended)
+   * @private
+   */
+  async findOrCreateRestoredPage(client, userId, page, stats) {
+    const existing = await client.query(
+      'SELECT id FROM pages WHERE user_id = $1 AND workspace_id IS NULL AND LOWER(name) = LOWER($2) AND deleted_at IS NULL',
+      [userId, page.name]
+    );
+    if (existing.rows.length > 0) {
+      stats.pages.merged++;
+      return existing.rows[0];
+    }
+
+    const result = await client.query(
+      `INSERT INTO pages (user_id, name, position, icon, color)
+       VALUES ($1, $2, (SELECT COALESCE(MAX(position), -1) + 1 FROM pages WHERE user_id = $1 AND workspace_id IS NULL AND deleted_at IS NULL), COALESCE($3, '📄'), COALESCE($4, '#667eea'))
+       RETURNING id`,
+      [userId, page.name, page.icon, page.color]
+    );
+    stats.pages.created++;
+    return result.rows[0];
+  }
+
+  /**
+   * Reuse the page's section with the same name or create it (appended)
+   * @private
+   */
+  async findOrCreateRestoredSection(client, pageId, section, stats) {
+    const existing = await client.query(
+      'SELECT id FROM sections WHERE page_id = $1 AND LOWER(name) = LOWER($2) AND deleted_at IS NULL',
+      [pageId, section.name]
+    );
+    if (existing.rows.length > 0) {
+      stats.sections.merged++;
+      return existing.rows[0];
+    }
+
+    const result = await client.query(
+      `INSERT INTO sections (page_id, name, position, collapsed)
+       VALUES ($1, $2, (SELECT COALESCE(MAX(position), -1) + 1 FROM sections WHERE page_id = $1 AND deleted_at IS NULL), $3)
+       RETURNING id`,
+      [pageId, section.name, section.collapsed]
+    );
+    stats.sections.created++;
+    return result.rows[0];
+  }
+
+  /**
+   * Reuse the section's group with the same name or create it (appended)
+   * @private
+   * @returns {Promise<object>} - { row: { id, group_type, column_count }, existed }
+   */
+  async findOrCreateRestoredGroup(client, sectionId, group, stats) {
+    const existing = await client.query(
+      'SELECT id, group_type, column_count FROM groups WHERE section_id = $1 AND LOWER(name) = LOWER($2) AND deleted_at IS NULL',
+      [sectionId, group.name]
+    );
+    if (existing.rows.length > 0) {
+      stats.groups.merged++;
+      return { row: existing.rows[0], existed: true };
+    }
+
+    const result = await client.query(
+      `INSERT INTO groups (section_id, name, position, column_count, group_type, bookmark_limit, rule_params, width)
+       VALUES ($1, $2, (SELECT COALESCE(MAX(position), -1) + 1 FROM groups WHERE section_id = $1 AND deleted_at IS NULL), $3, $4, $5, $6, $7)
+       RETURNING id, group_type, column_count`,
+      [sectionId, group.name, group.column_count, group.group_type, group.bookmark_limit, JSON.stringify(group.rule_params), group.width]
+    );
+    stats.groups.created++;
+    return { row: result.rows[0], existed: false };
+  }
+
+  /**
+   * Insert a group's bookmarks with their column and position
+   * - New group: positions from the export are kept as-is
+   * - Existing group (merge): bookmarks are appended, duplicate URLs skipped
+   * - Bookmarks without an http(s) URL are not inserted (counted as failed)
+   * @private
+   */
+  async restoreGroupBookmarks(client, userId, groupRow, bookmarks, existed, stats) {
+    const existingUrls = new Set();
+    const nextPositions = {};
+
+    if (existed) {
+      const current = await client.query(
+        'SELECT url, "column", position FROM bookmarks WHERE group_id = $1 AND deleted_at IS NULL',
+        [groupRow.id]
+      );
+      for (const row of current.rows) {
+        existingUrls.add(row.url);
+        nextPositions[row.column] = Math.max(nextPositions[row.column] ?? 0, row.position + 1);
+      }
+    }
+
+    // Keep relative order within each column
+    const ordered = [...bookmarks].sort((a, b) => (a.column - b.column) || (a.position - b.position));
+
+    for (const bm of ordered) {
+      if (!bm.title || !isWebUrl(bm.url)) {
+        console.warn(`⚠️ Invalid bookmark skipped: ${bm.url || '(no url)'}`);
+        stats.failed++;
+        continue;
+      }
+
+      if (existingUrls.has(bm.url)) {
+        stats.skipped++;
+        continue;
+      }
+      existingUrls.add(bm.url);
+
+      // Clamp column to the target group's column count
+      const column = Math.min(Math.max(bm.column, 1), groupRow.column_count);
+      let position = bm.position;
+      if (existed) {
+        position = nextPositions[column] ?? 0;
+        nextPositions[column] = position + 1;
+      }
+
+      const result = await client.query(
+        `INSERT INTO bookmarks (group_id, user_id, title, url, description, position, "column", favicon_url, visit_count, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10::timestamp, CURRENT_TIMESTAMP))
+         RETURNING id`,
+        [groupRow.id, userId, bm.title, bm.url, bm.description, position, column, bm.favicon_url, bm.visit_count, bm.created_at]
+      );
+
+      if (bm.tags.length > 0) {
+        await Tag.setBookmarkTags(userId, result.rows[0].id, bm.tags, client);
+      }
+
+      stats.imported++;
     }
   }
 }
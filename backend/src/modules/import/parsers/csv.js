@@ -0,0 +1,85 @@
+/**
+ * Minimal RFC 4180 CSV reader (quoted fields, escaped quotes, newlines inside quotes)
+ * Used by the Pocket and Raindrop parsers.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} - Rows (empty lines dropped)
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM (Excel / Windows exports)
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim().length > 0));
+}
+
+/**
+ * Read the header line only (lowercased column names)
+ * @param {string} content - CSV content
+ * @returns {Array<string>}
+ */
+function readCsvHeader(content) {
+  const firstLine = content.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0] || '';
+  return firstLine.split(',').map(name => name.replace(/"/g, '').trim().toLowerCase());
+}
+
+/**
+ * Parse CSV text into objects keyed by the (lowercased) header columns
+ * @param {string} content - CSV content
+ * @returns {Array<object>}
+ */
+function parseCsvObjects(content) {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  return rows.map(fields => Object.fromEntries(
+    columns.map((name, index) => [name, fields[index] !== undefined ? fields[index] : ''])
+  ));
+}
+
+module.exports = {
+  parseCsv,
+  readCsvHeader,
+  parseCsvObjects
+};
@@ -0,0 +1,75 @@
+/**
+ * Shared helpers for import parsers
+ */
+
+/**
+ * Check that a string is an absolute http(s) URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean}
+ */
+function isWebUrl(value) {
+  if (typeof value !== 'string') return false;
+
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fallback title when a format has none (hostname + path)
+ * @param {string} value - URL
+ * @returns {string}
+ */
+function titleFromUrl(value) {
+  try {
+    const url = new URL(value);
+    const path = url.pathname === '/' ? '' : url.pathname;
+    return `${url.hostname.replace(/^www\./, '')}${path}`;
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Split a tag list on a separator, trimming and removing empty entries
+ * @param {string} value - Raw tag list
+ * @param {string|RegExp} separator - Separator
+ * @returns {Array<string>}
+ */
+function splitTags(value, separator) {
+  if (typeof value !== 'string') return [];
+
+  return value
+    .split(separator)
+    .map(tag => tag.trim().replace(/^#/, ''))
+    .filter(tag => tag.length > 0);
+}
+
+/**
+ * Build a normalized bookmark entry shared by every parser
+ * @param {object} entry - { url, title?, description?, tags?, folderPath? }
+ * @returns {object} - {title, url, folder, folderPath, description, tags}
+ */
+function toBookmark({ url, title, description = null, tags = [], folderPath = [] }) {
+  const cleanUrl = url.trim();
+  const cleanPath = folderPath.map(name => name.trim()).filter(name => name.length > 0);
+
+  return {
+    title: (title && title.trim()) || titleFromUrl(cleanUrl),
+    url: cleanUrl,
+    folder: cleanPath.length > 0 ? cleanPath[cleanPath.length - 1] : 'Imported',
+    folderPath: cleanPath,
+    description: description && description.trim() ? description.trim() : null,
+    tags
+  };
+}
+
+module.exports = {
+  isWebUrl,
+  titleFromUrl,
+  splitTags,
+  toBookmark
+};
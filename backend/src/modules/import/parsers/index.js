@@ -0,0 +1,60 @@
+const netscapeHtml = require('./netscapeHtml');
+const pinboardJson = require('./pinboardJson');
+const pocketCsv = require('./pocketCsv');
+const raindropCsv = require('./raindropCsv');
+const oneTabText = require('./oneTabText');
+const urlList = require('./urlList');
+
+/**
+ * Import parsers registry
+ *
+ * Each parser exposes:
+ * - id / label: format identifier and display name
+ * - stripSingleRoot: drop a root folder shared by every bookmark (browser exports)
+ * - detect(content, { filename, mimetype }): true if the content is in this format
+ * - parse(content): { bookmarks: [{title, url, folder, folderPath, description, tags}], rejected }
+ *
+ * Order matters: the most specific formats are detected first,
+ * the plain URL list is the last resort.
+ */
+const PARSERS = [
+  pinboardJson,
+  netscapeHtml,
+  pocketCsv,
+  raindropCsv,
+  oneTabText,
+  urlList
+];
+
+/**
+ * Find a parser by id
+ * @param {string} id - Parser id (e.g. 'pocket-csv')
+ * @returns {object|null}
+ */
+function getParser(id) {
+  return PARSERS.find(parser => parser.id === id) || null;
+}
+
+/**
+ * Detect the format of an uploaded file
+ * @param {string} content - File content
+ * @param {object} meta - { filename?, mimetype? }
+ * @returns {object|null} - Matching parser or null
+ */
+function detectParser(content, meta = {}) {
+  return PARSERS.find(parser => parser.detect(content, meta)) || null;
+}
+
+/**
+ * Supported formats (for error messages and the UI)
+ * @returns {Array<{id: string, label: string}>}
+ */
+function listFormats() {
+  return PARSERS.map(({ id, label }) => ({ id, label }));
+}
+
+module.exports = {
+  getParser,
+  detectParser,
+  listFormats
+};
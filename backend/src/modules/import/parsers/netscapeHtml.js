@@ -0,0 +1,71 @@
+const cheerio = require('cheerio');
+const { isWebUrl, toBookmark } = require('./helpers');
+
+/**
+ * Netscape bookmark file (Chrome, Firefox, Safari, Edge HTML exports)
+ */
+module.exports = {
+  id: 'netscape-html',
+  label: 'Browser bookmarks (HTML)',
+
+  // Browser exports wrap everything in one root folder ("Bookmarks bar")
+  stripSingleRoot: true,
+
+  detect(content, meta = {}) {
+    if (/<!DOCTYPE\s+NETSCAPE-Bookmark-file/i.test(content)) return true;
+    const isHtmlFile = /\.html?$/i.test(meta.filename || '') || meta.mimetype === 'text/html';
+    return isHtmlFile && /<a\s[^>]*href=/i.test(content);
+  },
+
+  /**
+   * Each <DL> ancestor of a link is a folder level: its <H3> heading is either
+   * a previous sibling (DL nested in the folder's <DT>) or inside the previous <DT>.
+   */
+  parse(content) {
+    const $ = cheerio.load(content);
+    const bookmarks = [];
+    let rejected = 0;
+
+    // Find all <DT><A> tags (bookmark entries)
+    $('dt a').each((index, element) => {
+      const $link = $(element);
+      const href = $link.attr('href');
+      const title = $link.text().trim();
+
+      // Only add titled http(s) links (no javascript: bookmarklets, place: or chrome:// entries)
+      if (!isWebUrl(href) || !title) {
+        rejected++;
+        return;
+      }
+
+      // Full folder path, outermost first (e.g. ['Bookmarks Toolbar', 'Dev'])
+      const folderPath = [];
+      $link.parents('dl').each((i, dl) => {
+        const $dl = $(dl);
+        let $heading = $dl.prevAll('h3').first();
+        if ($heading.length === 0) {
+          $heading = $dl.prev('dt').children('h3');
+        }
+        if ($heading.length > 0 && $heading.text().trim()) {
+          folderPath.unshift($heading.text().trim());
+        }
+      });
+
+      // Optional <DD> description (direct text only, nested entries excluded)
+      const description = $link.closest('dt').next('dd').contents()
+        .filter((i, node) => node.type === 'text')
+        .text()
+        .trim();
+
+      // Firefox exports tags as TAGS="a,b"
+      const tags = ($link.attr('tags') || '')
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag.length > 0);
+
+      bookmarks.push(toBookmark({ url: href, title, description, tags, folderPath }));
+    });
+
+    return { bookmarks, rejected };
+  }
+};
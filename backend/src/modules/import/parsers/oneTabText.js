@@ -0,0 +1,59 @@
+const { isWebUrl, toBookmark } = require('./helpers');
+
+// "https://example.com | Example title"
+const ONETAB_LINE = /^(\S+)\s\|\s?(.*)$/;
+
+/**
+ * OneTab text export ("Export URLs")
+ * One "url | title" per line, tab groups separated by blank lines.
+ * Each tab group → group.
+ */
+module.exports = {
+  id: 'onetab-text',
+  label: 'OneTab (text)',
+  stripSingleRoot: false,
+
+  detect(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    if (lines.length === 0) return false;
+
+    const matching = lines.filter(line => ONETAB_LINE.test(line) && isWebUrl(line.match(ONETAB_LINE)[1]));
+    return matching.length > 0 && matching.length >= lines.length / 2;
+  },
+
+  parse(content) {
+    const bookmarks = [];
+    let rejected = 0;
+    let groupIndex = 1;
+    let groupSize = 0;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+
+      // Blank line = next tab group
+      if (line.length === 0) {
+        if (groupSize > 0) {
+          groupIndex++;
+          groupSize = 0;
+        }
+        continue;
+      }
+
+      const match = line.match(ONETAB_LINE);
+      const url = match ? match[1] : line;
+      if (!isWebUrl(url)) {
+        rejected++;
+        continue;
+      }
+
+      groupSize++;
+      bookmarks.push(toBookmark({
+        url,
+        title: match ? match[2] : null,
+        folderPath: ['OneTab', `Tab group ${groupIndex}`]
+      }));
+    }
+
+    return { bookmarks, rejected };
+  }
+};
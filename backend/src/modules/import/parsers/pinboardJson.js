@@ -0,0 +1,50 @@
+const { isWebUrl, splitTags, toBookmark } = require('./helpers');
+
+/**
+ * Pinboard JSON export (https://pinboard.in/export/format:json/)
+ * [{ href, description (title), extended, tags (space separated), toread, ... }]
+ * First tag → group, every tag kept as a PinGrid tag.
+ */
+module.exports = {
+  id: 'pinboard-json',
+  label: 'Pinboard (JSON)',
+  stripSingleRoot: false,
+
+  detect(content) {
+    const text = content.trim();
+    if (!text.startsWith('[')) return false;
+
+    try {
+      const data = JSON.parse(text);
+      return Array.isArray(data) && data.length > 0 && typeof data[0] === 'object' && data[0] !== null && 'href' in data[0];
+    } catch {
+      return false;
+    }
+  },
+
+  parse(content) {
+    const data = JSON.parse(content.trim());
+    const bookmarks = [];
+    let rejected = 0;
+
+    for (const item of data) {
+      if (!item || !isWebUrl(item.href)) {
+        rejected++;
+        continue;
+      }
+
+      const tags = splitTags(item.tags, /\s+/);
+      const folder = tags[0] || (item.toread === 'yes' ? 'To read' : null);
+
+      bookmarks.push(toBookmark({
+        url: item.href,
+        title: item.description,
+        description: item.extended,
+        tags,
+        folderPath: folder ? ['Pinboard', folder] : ['Pinboard']
+      }));
+    }
+
+    return { bookmarks, rejected };
+  }
+};
@@ -0,0 +1,42 @@
+const { isWebUrl, splitTags, toBookmark } = require('./helpers');
+const { readCsvHeader, parseCsvObjects } = require('./csv');
+
+/**
+ * Pocket CSV export (part_000000.csv)
+ * Columns: title, url, time_added, tags (pipe separated), status (unread | archive)
+ * First tag → group, otherwise the reading status.
+ */
+module.exports = {
+  id: 'pocket-csv',
+  label: 'Pocket (CSV)',
+  stripSingleRoot: false,
+
+  detect(content) {
+    const header = readCsvHeader(content);
+    return header.includes('url') && header.includes('time_added');
+  },
+
+  parse(content) {
+    const bookmarks = [];
+    let rejected = 0;
+
+    for (const row of parseCsvObjects(content)) {
+      if (!isWebUrl(row.url)) {
+        rejected++;
+        continue;
+      }
+
+      const tags = splitTags(row.tags, '|');
+      const status = row.status === 'archive' ? 'Archive' : 'Unread';
+
+      bookmarks.push(toBookmark({
+        url: row.url,
+        title: row.title,
+        tags,
+        folderPath: ['Pocket', tags[0] || status]
+      }));
+    }
+
+    return { bookmarks, rejected };
+  }
+};
@@ -0,0 +1,42 @@
+const { isWebUrl, splitTags, toBookmark } = require('./helpers');
+const { readCsvHeader, parseCsvObjects } = require('./csv');
+
+/**
+ * Raindrop.io CSV export
+ * Columns: id, title, note, excerpt, url, folder ("Parent/Child"), tags (comma separated), created, ...
+ * Collections → groups (nested collections joined by the mapping).
+ */
+module.exports = {
+  id: 'raindrop-csv',
+  label: 'Raindrop.io (CSV)',
+  stripSingleRoot: false,
+
+  detect(content) {
+    const header = readCsvHeader(content);
+    return header.includes('url') && header.includes('folder') && (header.includes('excerpt') || header.includes('note'));
+  },
+
+  parse(content) {
+    const bookmarks = [];
+    let rejected = 0;
+
+    for (const row of parseCsvObjects(content)) {
+      if (!isWebUrl(row.url)) {
+        rejected++;
+        continue;
+      }
+
+      const collections = (row.folder || '').split('/').filter(name => name.trim().length > 0);
+
+      bookmarks.push(toBookmark({
+        url: row.url,
+        title: row.title,
+        description: row.note || row.excerpt,
+        tags: splitTags(row.tags, ','),
+        folderPath: ['Raindrop', ...collections]
+      }));
+    }
+
+    return { bookmarks, rejected };
+  }
+};
@@ -0,0 +1,42 @@
+const { isWebUrl, toBookmark } = require('./helpers');
+
+/**
+ * Plain text list of URLs (one per line, "#" comments ignored)
+ * Titles are derived from the URL.
+ */
+module.exports = {
+  id: 'url-list',
+  label: 'URL list (text)',
+  stripSingleRoot: false,
+
+  detect(content) {
+    const lines = content.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line.length > 0 && !line.startsWith('#'));
+
+    const urls = lines.filter(isWebUrl);
+    return urls.length > 0 && urls.length >= lines.length / 2;
+  },
+
+  parse(content) {
+    const bookmarks = [];
+    let rejected = 0;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (line.length === 0 || line.startsWith('#')) continue;
+
+      if (!isWebUrl(line)) {
+        rejected++;
+        continue;
+      }
+
+      bookmarks.push(toBookmark({
+        url: line,
+        folderPath: ['Imported URLs']
+      }));
+    }
+
+    return { bookmarks, rejected };
+  }
+};
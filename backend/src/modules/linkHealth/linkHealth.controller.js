@@ -0,0 +1,93 @@
+const linkHealthService = require('./linkHealth.service');
+
+/**
+ * LinkHealth Controller
+ * Gère les requêtes HTTP pour /api/bookmarks/health
+ */
+class LinkHealthController {
+  /**
+   * GET /api/bookmarks/health?status=broken|redirected|ok
+   * Résumé ok/redirected/broken + liste des bookmarks concernés
+   */
+  async getHealth(req, res) {
+    try {
+      const userId = req.userId;
+      const { status } = req.query;
+
+      const health = await linkHealthService.getUserHealth(userId, status || null);
+
+      res.status(200).json({
+        success: true,
+        data: health,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in getHealth:', error);
+      res.status(error.message.includes('must be') ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to fetch link health',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/bookmarks/health/check
+   * Lancer un contrôle des liens en arrière-plan
+   * Body: { force? } (force = recontrôler aussi les liens contrôlés récemment)
+   */
+  async check(req, res) {
+    try {
+      const userId = req.userId;
+      const force = req.body.force === true;
+
+      const result = await linkHealthService.startUserCheck(userId, { force });
+
+      res.status(202).json({
+        success: true,
+        data: result,
+        message: result.alreadyRunning
+          ? 'A link check is already running'
+          : `${result.queued} bookmarks queued for checking`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in link health check:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to start link check',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/bookmarks/health/fix-redirects
+   * Réécrire les URLs redirigées vers leur destination finale
+   * Body: { bookmarkIds? } (absent = tous les bookmarks redirigés)
+   */
+  async fixRedirects(req, res) {
+    try {
+      const userId = req.userId;
+      const { bookmarkIds } = req.body;
+
+      const result = await linkHealthService.fixRedirects(userId, bookmarkIds === undefined ? null : bookmarkIds);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: `${result.fixed} bookmark URL(s) updated`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in fixRedirects:', error);
+      res.status(error.message.includes('must be') ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to fix redirects',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = new LinkHealthController();
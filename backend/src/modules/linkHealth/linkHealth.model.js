@@ -0,0 +1,152 @@
+const pool = require('../../shared/config/database');
+const { pageAccessCondition } = require('../workspaces/workspaceAccess');
+
+/**
+ * LinkHealth Model
+ * Gère les opérations sur la table bookmark_link_health
+ * (résultat du dernier contrôle HTTP de chaque bookmark)
+ */
+class LinkHealth {
+  /**
+   * Enregistrer le résultat d'un contrôle (INSERT ou UPDATE)
+   * @param {string} bookmarkId - UUID du bookmark
+   * @param {object} check - { status, status_code, final_url, redirect_chain, error }
+   * @returns {Promise<object>} Ligne enregistrée
+   */
+  static async upsert(bookmarkId, check) {
+    const { status, status_code = null, final_url = null, redirect_chain = [], error = null } = check;
+
+    const result = await pool.query(
+      `INSERT INTO bookmark_link_health (bookmark_id, status, status_code, final_url, redirect_chain, error, checked_at)
+       VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+       ON CONFLICT (bookmark_id)
+       DO UPDATE SET
+         status = EXCLUDED.status,
+         status_code = EXCLUDED.status_code,
+         final_url = EXCLUDED.final_url,
+         redirect_chain = EXCLUDED.redirect_chain,
+         error = EXCLUDED.error,
+         checked_at = EXCLUDED.checked_at
+       RETURNING bookmark_id, status, status_code, final_url, redirect_chain, error, checked_at`,
+      [bookmarkId, status, status_code, final_url, JSON.stringify(redirect_chain), error]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Récupérer l'état de plusieurs bookmarks en une seule requête
+   * @param {Array<string>} bookmarkIds - UUIDs des bookmarks
+   * @returns {Promise<object>} Map { bookmarkId: { status, status_code, final_url, error, checked_at } }
+   */
+  static async findByBookmarkIds(bookmarkIds) {
+    if (bookmarkIds.length === 0) return {};
+
+    const result = await pool.query(
+      `SELECT bookmark_id, status, status_code, final_url, error, checked_at
+       FROM bookmark_link_health
+       WHERE bookmark_id = ANY($1::uuid[])`,
+      [bookmarkIds]
+    );
+
+    const healthByBookmark = {};
+    for (const row of result.rows) {
+      const { bookmark_id, ...health } = row;
+      healthByBookmark[bookmark_id] = health;
+    }
+
+    return healthByBookmark;
+  }
+
+  /**
+   * Compter les bookmarks accessibles au user par statut (pages personnelles et workspaces)
+   * @param {string} userId - UUID du user
+   * @returns {Promise<object>} { ok, redirected, broken, unchecked, total, last_checked_at }
+   */
+  static async getSummary(userId) {
+    const result = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE h.status = 'ok')::int AS ok,
+              COUNT(*) FILTER (WHERE h.status = 'redirected')::int AS redirected,
+              COUNT(*) FILTER (WHERE h.status = 'broken')::int AS broken,
+              COUNT(*) FILTER (WHERE h.bookmark_id IS NULL)::int AS unchecked,
+              COUNT(*)::int AS total,
+              MAX(h.checked_at) AS last_checked_at
+       FROM bookmarks b
+       INNER JOIN groups g ON b.group_id = g.id
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       LEFT JOIN bookmark_link_health h ON h.bookmark_id = b.id
+       WHERE ${pageAccessCondition('p', '$1')} AND b.deleted_at IS NULL`,
+      [userId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Lister les bookmarks accessibles au user ayant un statut donné (avec leur emplacement)
+   * @param {string} userId - UUID du user
+   * @param {Array<string>} statuses - Statuts à inclure (ex: ['broken', 'redirected'])
+   * @param {number} limit - Nombre max de résultats
+   * @returns {Promise<Array>} Bookmarks + état + page/section/group
+   */
+  static async findByStatus(userId, statuses, limit = 500) {
+    const result = await pool.query(
+      `SELECT b.id, b.title, b.url, b.favicon_url, b.group_id,
+              g.name AS group_name, s.name AS section_name, p.id AS page_id, p.name AS page_name,
+              h.status, h.status_code, h.final_url, h.redirect_chain, h.error, h.checked_at
+       FROM bookmark_link_health h
+       INNER JOIN bookmarks b ON h.bookmark_id = b.id
+       INNER JOIN groups g ON b.group_id = g.id
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       WHERE ${pageAccessCondition('p', '$1')} AND h.status = ANY($2::text[]) AND b.deleted_at IS NULL
+       ORDER BY h.status ASC, p.position ASC, s.position ASC, g.position ASC, b.position ASC
+       LIMIT $3`,
+      [userId, statuses, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Bookmarks jamais contrôlés ou contrôlés avant une date (tous, ou accessibles à un user)
+   * Les jamais contrôlés passent en premier, puis les plus anciens.
+   * @param {Date} checkedBefore - Date limite du dernier contrôle
+   * @param {number} limit - Taille du lot
+   * @param {string|null} userId - UUID du user (null = tous les users)
+   * @returns {Promise<Array>} [{ id, url }]
+   */
+  static async findDue(checkedBefore, limit, userId = null) {
+    const result = await pool.query(
+      `SELECT b.id, b.url
+       FROM bookmarks b
+       LEFT JOIN bookmark_link_health h ON h.bookmark_id = b.id
+       WHERE (h.bookmark_id IS NULL OR h.checked_at < $1)
+         AND b.deleted_at IS NULL
+         AND ($3::uuid IS NULL OR EXISTS (
+           SELECT 1
+           FROM groups g
+           INNER JOIN sections s ON g.section_id = s.id
+           INNER JOIN pages p ON s.page_id = p.id
+           WHERE g.id = b.group_id AND ${pageAccessCondition('p', '$3')}
+         ))
+       ORDER BY h.checked_at ASC NULLS FIRST
+       LIMIT $2`,
+      [checkedBefore, limit, userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Supprimer l'état d'un bookmark (URL modifiée → à recontrôler)
+   * @param {string} bookmarkId - UUID du bookmark
+   * @returns {Promise<void>}
+   */
+  static async delete(bookmarkId) {
+    await pool.query('DELETE FROM bookmark_link_health WHERE bookmark_id = $1', [bookmarkId]);
+  }
+}
+
+module.exports = LinkHealth;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const linkHealthController = require('./linkHealth.controller');
+const authMiddleware = require('../../shared/middleware/auth.middleware');
+
+/**
+ * Link Health Routes (montées sur /api/bookmarks/health)
+ * All routes require authentication (JWT token)
+ */
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/bookmarks/health?status=broken|redirected|ok
+ * Résumé { ok, redirected, broken, unchecked, total } + bookmarks concernés
+ */
+router.get('/', linkHealthController.getHealth);
+
+/**
+ * POST /api/bookmarks/health/check
+ * Lancer un contrôle des liens (arrière-plan)
+ * Body: { force? }
+ */
+router.post('/check', linkHealthController.check);
+
+/**
+ * POST /api/bookmarks/health/fix-redirects
+ * Remplacer les URLs redirigées par leur destination finale
+ * Body: { bookmarkIds? }
+ */
+router.post('/fix-redirects', linkHealthController.fixRedirects);
+
+module.exports = router;
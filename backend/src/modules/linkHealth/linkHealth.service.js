@@ -0,0 +1,284 @@
+const LinkHealth = require('./linkHealth.model');
+const faviconService = require('../../shared/services/faviconService');
+
+// Paramètres du contrôle (surchargeables par variables d'environnement)
+const CHECK_CONCURRENCY = 5;
+const PROBE_TIMEOUT = 8000;
+const RECHECK_AFTER_DAYS = parseInt(process.env.LINK_CHECK_RECHECK_DAYS, 10) || 7;
+const SCHEDULE_INTERVAL_MINUTES = parseInt(process.env.LINK_CHECK_INTERVAL_MINUTES, 10) || 60;
+const SCHEDULE_BATCH_SIZE = parseInt(process.env.LINK_CHECK_BATCH_SIZE, 10) || 200;
+
+// Codes indiquant que le site répond mais refuse le robot (auth, anti-bot, rate limit)
+const REACHABLE_ERROR_CODES = [401, 403, 429];
+
+/**
+ * LinkHealth Service
+ * Contrôle périodique des URLs des bookmarks (HEAD puis GET si besoin)
+ * et réécriture des URLs redirigées vers leur destination finale
+ */
+class LinkHealthService {
+  constructor() {
+    // Users dont un contrôle manuel est en cours (évite les doublons)
+    this.runningUsers = new Set();
+    this.schedulerTimer = null;
+    this.schedulerRunning = false;
+  }
+
+  /**
+   * Classer le résultat d'une sonde
+   * - ok: 2xx sans redirection (ou 401/403/429: site joignable mais protégé)
+   * - redirected: réponse finale OK après au moins une redirection vers une autre URL
+   * - broken: erreur réseau, timeout, 404, 410, 5xx...
+   * @param {string} url - URL contrôlée
+   * @param {object} probe - Résultat de faviconService.probeUrl
+   * @returns {object} { status, status_code, final_url, redirect_chain, error }
+   */
+  classify(url, probe) {
+    const reachable = probe.statusCode !== null &&
+      ((probe.statusCode >= 200 && probe.statusCode < 300) || REACHABLE_ERROR_CODES.includes(probe.statusCode));
+
+    let status = 'broken';
+    if (reachable) {
+      status = probe.redirects.length > 0 && probe.finalUrl !== url ? 'redirected' : 'ok';
+    }
+
+    return {
+      status,
+      status_code: probe.statusCode,
+      final_url: probe.finalUrl,
+      redirect_chain: probe.redirects,
+      error: probe.error || (status === 'broken' && probe.statusCode ? `HTTP ${probe.statusCode}` : null)
+    };
+  }
+
+  /**
+   * Contrôler une URL: HEAD d'abord, GET si HEAD échoue (beaucoup de serveurs gèrent mal HEAD)
+   * @param {string} url - URL à contrôler
+   * @returns {Promise<object>} { status, status_code, final_url, redirect_chain, error }
+   */
+  async checkUrl(url) {
+    const head = await faviconService.probeUrl(url, { method: 'HEAD', timeout: PROBE_TIMEOUT });
+    const headResult = this.classify(url, head);
+    if (headResult.status !== 'broken') {
+      return headResult;
+    }
+
+    const get = await faviconService.probeUrl(url, { method: 'GET', timeout: PROBE_TIMEOUT });
+    return this.classify(url, get);
+  }
+
+  /**
+   * Contrôler une liste de bookmarks avec une concurrence bornée
+   * Une seule sonde par URL identique dans le lot.
+   * @param {Array} bookmarks - [{ id, url }]
+   * @returns {Promise<object>} { checked, ok, redirected, broken }
+   */
+  async checkBookmarks(bookmarks) {
+    const byUrl = new Map();
+    for (const bookmark of bookmarks) {
+      if (!byUrl.has(bookmark.url)) byUrl.set(bookmark.url, []);
+      byUrl.get(bookmark.url).push(bookmark.id);
+    }
+
+    const queue = [...byUrl.entries()];
+    const stats = { checked: 0, ok: 0, redirected: 0, broken: 0 };
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const [url, ids] = queue.shift();
+        try {
+          const check = await this.checkUrl(url);
+          for (const id of ids) {
+            await LinkHealth.upsert(id, check);
+          }
+          stats.checked += ids.length;
+          stats[check.status] += ids.length;
+        } catch (error) {
+          // Bookmark supprimé pendant le contrôle (FK) ou erreur DB: on continue
+          console.warn(`⚠️ Link check failed for ${url}: ${error.message}`);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CHECK_CONCURRENCY, queue.length) }, worker));
+    return stats;
+  }
+
+  /**
+   * Lancer un contrôle des bookmarks d'un user en arrière-plan
+   * @param {string} userId - UUID du user
+   * @param {object} options - { force?: boolean } (force = recontrôler même les liens récents)
+   * @returns {Promise<object>} { queued, alreadyRunning }
+   */
+  async startUserCheck(userId, options = {}) {
+    if (this.runningUsers.has(userId)) {
+      return { queued: 0, alreadyRunning: true };
+    }
+
+    const checkedBefore = options.force ? new Date() : this.getRecheckDate();
+    const bookmarks = await LinkHealth.findDue(checkedBefore, 5000, userId);
+
+    if (bookmarks.length === 0) {
+      return { queued: 0, alreadyRunning: false };
+    }
+
+    this.runningUsers.add(userId);
+    setImmediate(async () => {
+      try {
+        const stats = await this.checkBookmarks(bookmarks);
+        console.log(`🩺 Link check for user ${userId}: ${stats.checked} checked, ${stats.broken} broken, ${stats.redirected} redirected`);
+      } catch (error) {
+        console.error('❌ Link check failed:', error.message);
+      } finally {
+        this.runningUsers.delete(userId);
+      }
+    });
+
+    return { queued: bookmarks.length, alreadyRunning: false };
+  }
+
+  /**
+   * Résumé de santé des liens d'un user
+   * @param {string} userId - UUID du user
+   * @param {string|null} status - Filtre de la liste ('broken' | 'redirected' | 'ok'), défaut broken + redirected
+   * @returns {Promise<object>} { summary, bookmarks, checking }
+   */
+  async getUserHealth(userId, status = null) {
+    if (status && !['ok', 'redirected', 'broken'].includes(status)) {
+      throw new Error('Status must be one of: ok, redirected, broken');
+    }
+
+    const summary = await LinkHealth.getSummary(userId);
+    const bookmarks = await LinkHealth.findByStatus(userId, status ? [status] : ['broken', 'redirected']);
+
+    return {
+      summary,
+      bookmarks,
+      checking: this.runningUsers.has(userId)
+    };
+  }
+
+  /**
+   * Réécrire les URLs redirigées vers leur destination finale
+   * Chaque URL passe par bookmarks.service (validation, permissions, activité, temps réel);
+   * un bookmark refusé est ignoré, les autres sont corrigés.
+   * @param {string} userId - UUID du user
+   * @param {Array<string>|null} bookmarkIds - Bookmarks à corriger (null = tous les redirigés)
+   * @returns {Promise<object>} { fixed, bookmarks: [{ id, old_url, url }] }
+   */
+  async fixRedirects(userId, bookmarkIds = null) {
+    if (bookmarkIds !== null && (!Array.isArray(bookmarkIds) || bookmarkIds.some(id => typeof id !== 'string'))) {
+      throw new Error('bookmarkIds must be an array of bookmark IDs');
+    }
+
+    // Require différé: bookmarks.service dépend déjà de ce service
+    const bookmarksService = require('../bookmarks/bookmarks.service');
+
+    const redirected = await LinkHealth.findByStatus(userId, ['redirected'], 5000);
+    const targets = bookmarkIds === null
+      ? redirected
+      : redirected.filter(item => bookmarkIds.includes(item.id));
+
+    const fixed = [];
+    for (const item of targets) {
+      if (!item.final_url || item.final_url === item.url) continue;
+
+      try {
+        await bookmarksService.updateBookmark(userId, item.id, { url: item.final_url });
+      } catch (error) {
+        console.warn(`⚠️ Redirect not fixed for bookmark ${item.id}: ${error.message}`);
+        continue;
+      }
+
+      // La nouvelle URL répond directement: plus de redirection
+      await LinkHealth.upsert(item.id, {
+        status: 'ok',
+        status_code: item.status_code,
+        final_url: item.final_url,
+        redirect_chain: [],
+        error: null
+      });
+
+      fixed.push({ id: item.id, old_url: item.url, url: item.final_url });
+    }
+
+    return { fixed: fixed.length, bookmarks: fixed };
+  }
+
+  /**
+   * Ajouter l'état de santé (health) à une liste de bookmarks
+   * @param {Array} bookmarks - Bookmarks
+   * @returns {Promise<Array>} Bookmarks avec health: { status, status_code, final_url, error, checked_at } | null
+   */
+  async attachHealth(bookmarks) {
+    if (!bookmarks || bookmarks.length === 0) {
+      return bookmarks;
+    }
+
+    const healthByBookmark = await LinkHealth.findByBookmarkIds(bookmarks.map(b => b.id));
+
+    return bookmarks.map(bookmark => ({
+      ...bookmark,
+      health: healthByBookmark[bookmark.id] || null
+    }));
+  }
+
+  /**
+   * Oublier l'état d'un bookmark dont l'URL a changé
+   * @param {string} bookmarkId - UUID du bookmark
+   * @returns {Promise<void>}
+   */
+  async resetBookmark(bookmarkId) {
+    await LinkHealth.delete(bookmarkId);
+  }
+
+  /**
+   * Date avant laquelle un contrôle est considéré périmé
+   * @returns {Date}
+   */
+  getRecheckDate() {
+    return new Date(Date.now() - RECHECK_AFTER_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Contrôle périodique: un lot de liens jamais/plus contrôlés depuis RECHECK_AFTER_DAYS
+   * @returns {Promise<object|null>} Stats du lot ou null si un lot est déjà en cours
+   */
+  async runScheduledCheck() {
+    if (this.schedulerRunning) return null;
+    this.schedulerRunning = true;
+
+    try {
+      const bookmarks = await LinkHealth.findDue(this.getRecheckDate(), SCHEDULE_BATCH_SIZE);
+      if (bookmarks.length === 0) return { checked: 0, ok: 0, redirected: 0, broken: 0 };
+
+      const stats = await this.checkBookmarks(bookmarks);
+      console.log(`🩺 Scheduled link check: ${stats.checked} checked, ${stats.broken} broken, ${stats.redirected} redirected`);
+      return stats;
+    } catch (error) {
+      console.error('❌ Scheduled link check failed:', error.message);
+      return null;
+    } finally {
+      this.schedulerRunning = false;
+    }
+  }
+
+  /**
+   * Démarrer le contrôle périodique (désactivable avec LINK_CHECK_ENABLED=false)
+   */
+  startScheduler() {
+    if (process.env.LINK_CHECK_ENABLED === 'false' || this.schedulerTimer) {
+      return;
+    }
+
+    this.schedulerTimer = setInterval(() => {
+      this.runScheduledCheck();
+    }, SCHEDULE_INTERVAL_MINUTES * 60 * 1000);
+
+    // Ne pas empêcher l'arrêt du process
+    this.schedulerTimer.unref();
+    console.log(`🩺 Link health checks scheduled every ${SCHEDULE_INTERVAL_MINUTES} minutes`);
+  }
+}
+
+module.exports = new LinkHealthService();
@@ -6,14 +6,15 @@ const pagesService = require('./pages.service');
  */
 class PagesController {
   /**
-   * GET /api/pages
-   * Récupérer toutes les pages du user connecté
+   * GET /api/pages?workspace_id=
+   * Récupérer les pages personnelles du user connecté, ou celles d'un de ses workspaces
    */
   async getAll(req, res, next) {
     try {
       const userId = req.user.id;
+      const { workspace_id: workspaceId } = req.query;
 
-      const pages = await pagesService.getUserPages(userId);
+      const pages = await pagesService.getUserPages(userId, workspaceId || null);
 
       res.json({
         success: true,
@@ -23,6 +24,12 @@ class PagesController {
         }
       });
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
       next(error);
     }
   }
@@ -68,7 +75,7 @@ class PagesController {
   async create(req, res, next) {
     try {
       const userId = req.user.id;
-      const { name, icon, color } = req.body;
+      const { name, icon, color, workspace_id } = req.body;
 
       // Validation basique
       if (!name) {
@@ -81,7 +88,8 @@ class PagesController {
       const page = await pagesService.createPage(userId, {
         name,
         icon,
-        color
+        color,
+        workspace_id
       });
 
       res.status(201).json({
@@ -90,6 +98,18 @@ class PagesController {
         data: { page }
       });
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.message.startsWith('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          error: error.message
+        });
+      }
       if (error.message.includes('already exists')) {
         return res.status(409).json({
           success: false,
@@ -200,12 +220,12 @@ class PagesController {
   /**
    * POST /api/pages/reorder
    * Réorganiser l'ordre des pages (drag & drop)
-   * Body: { pageIds: [uuid1, uuid2, uuid3] }
+   * Body: { pageIds: [uuid1, uuid2, uuid3], workspace_id? }
    */
   async reorder(req, res, next) {
     try {
       const userId = req.user.id;
-      const { pageIds } = req.body;
+      const { pageIds, workspace_id: workspaceId } = req.body;
 
       // Validation: pageIds requis et doit être un array
       if (!pageIds || !Array.isArray(pageIds)) {
@@ -223,7 +243,7 @@ class PagesController {
         });
       }
 
-      const pages = await pagesService.reorderPages(userId, pageIds);
+      const pages = await pagesService.reorderPages(userId, pageIds, workspaceId || null);
 
       res.json({
         success: true,
@@ -231,6 +251,18 @@ class PagesController {
         data: { pages }
       });
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.message.startsWith('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          error: error.message
+        });
+      }
       if (error.message.includes('must be') || error.message.includes('do not belong')) {
         return res.status(400).json({
           success: false,
@@ -241,6 +273,47 @@ class PagesController {
     }
   }
 
+  /**
+   * POST /api/pages/:id/move
+   * Déplacer une page vers un workspace (ou vers les pages personnelles)
+   * Body: { workspace_id } - null = pages personnelles
+   */
+  async move(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+      const { workspace_id: workspaceId } = req.body;
+
+      const page = await pagesService.movePage(id, userId, workspaceId || null);
+
+      res.json({
+        success: true,
+        message: 'Page moved successfully',
+        data: { page }
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.message.startsWith('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * GET /api/pages/stats
    * Obtenir des statistiques sur les pages du user
@@ -259,6 +332,142 @@ class PagesController {
       next(error);
     }
   }
+
+  /**
+   * GET /api/pages/:id/share
+   * Récupérer le lien public d'une page (share: null si non partagée)
+   */
+  async getShare(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      const share = await pagesService.getPageShare(id, userId);
+
+      res.json({
+        success: true,
+        data: { share }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/pages/:id/share
+   * Partager une page en lecture seule
+   * Body: { theme? } - thème du propriétaire appliqué à la page publique
+   */
+  async share(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+      const { theme } = req.body;
+
+      const { share, created } = await pagesService.sharePage(id, userId, theme);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Page shared successfully' : 'Page share updated successfully',
+        data: { share }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.message.includes('must be')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/pages/:id/share/rotate
+   * Remplacer le lien public (l'ancien lien cesse de fonctionner)
+   */
+  async rotateShare(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      const share = await pagesService.rotatePageShare(id, userId);
+
+      res.json({
+        success: true,
+        message: 'Share link rotated successfully',
+        data: { share }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/pages/:id/share
+   * Révoquer le lien public d'une page
+   */
+  async revokeShare(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      await pagesService.revokePageShare(id, userId);
+
+      res.status(204).send(); // No content
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/public/pages/:slug
+   * Page partagée en lecture seule (sans authentification)
+   */
+  async getPublic(req, res, next) {
+    try {
+      const { slug } = req.params;
+
+      const publicPage = await pagesService.getPublicPage(slug);
+
+      res.json({
+        success: true,
+        data: publicPage
+      });
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
 }
 
 module.exports = new PagesController();
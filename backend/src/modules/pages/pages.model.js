@@ -1,47 +1,53 @@
 const pool = require('../../shared/config/database');
+const { pageAccessCondition } = require('../workspaces/workspaceAccess');
+
+// Pages d'un même espace: workspace (workspace_id) ou pages personnelles (user_id)
+const scopeCondition = (userParam, workspaceParam) =>
+  `((${workspaceParam}::uuid IS NULL AND user_id = ${userParam} AND workspace_id IS NULL) OR workspace_id = ${workspaceParam}::uuid)`;
 
 /**
  * Pages Model
- * Gère les opérations CRUD pour la table pages
+ * Gère les opérations CRUD pour la table pages et ses liens publics (page_shares)
  * Pages = Niveau 1 de la hiérarchie (Page → Section → Group → Bookmark)
  */
 class Page {
   /**
    * Créer une nouvelle page
-   * @param {string} userId - UUID du user propriétaire
-   * @param {object} pageData - { name, icon?, color? }
+   * @param {string} userId - UUID du user créateur
+   * @param {object} pageData - { name, icon?, color?, workspace_id? } (workspace_id absent = page personnelle)
    * @returns {Promise<object>} Page créée
    */
   static async create(userId, pageData) {
-    const { name, icon = '📄', color = '#667eea' } = pageData;
+    const { name, icon = '📄', color = '#667eea', workspace_id: workspaceId = null } = pageData;
 
-    // Calculer la position automatiquement (max + 1)
+    // Calculer la position automatiquement (max + 1 dans le même espace)
     const positionResult = await pool.query(
-      'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM pages WHERE user_id = $1',
-      [userId]
+      `SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM pages
+       WHERE ${scopeCondition('$1', '$2')} AND deleted_at IS NULL`,
+      [userId, workspaceId]
     );
     const position = positionResult.rows[0].next_position;
 
     const result = await pool.query(
-      `INSERT INTO pages (user_id, name, position, icon, color)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, user_id, name, position, icon, color, created_at, updated_at`,
-      [userId, name, position, icon, color]
+      `INSERT INTO pages (user_id, workspace_id, name, position, icon, color)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, user_id, workspace_id, name, position, icon, color, created_at, updated_at`,
+      [userId, workspaceId, name, position, icon, color]
     );
 
     return result.rows[0];
   }
 
   /**
-   * Récupérer toutes les pages d'un user
+   * Récupérer toutes les pages personnelles d'un user (hors workspaces)
    * @param {string} userId - UUID du user
    * @returns {Promise<Array>} Liste des pages triées par position
    */
   static async findAllByUser(userId) {
     const result = await pool.query(
-      `SELECT id, user_id, name, position, icon, color, created_at, updated_at
+      `SELECT id, user_id, workspace_id, name, position, icon, color, created_at, updated_at
        FROM pages
-       WHERE user_id = $1
+       WHERE user_id = $1 AND workspace_id IS NULL AND deleted_at IS NULL
        ORDER BY position ASC`,
       [userId]
     );
@@ -49,17 +55,36 @@ class Page {
     return result.rows;
   }
 
+  /**
+   * Récupérer toutes les pages d'un workspace
+   * Note: rôle du user vérifié par l'appelant (workspaces.service)
+   * @param {string} workspaceId - UUID du workspace
+   * @returns {Promise<Array>} Liste des pages triées par position
+   */
+  static async findAllByWorkspace(workspaceId) {
+    const result = await pool.query(
+      `SELECT id, user_id, workspace_id, name, position, icon, color, created_at, updated_at
+       FROM pages
+       WHERE workspace_id = $1 AND deleted_at IS NULL
+       ORDER BY position ASC`,
+      [workspaceId]
+    );
+
+    return result.rows;
+  }
+
   /**
    * Récupérer une page par ID
    * @param {string} id - UUID de la page
-   * @param {string} userId - UUID du user (pour vérification ownership)
-   * @returns {Promise<object|null>} Page ou null si non trouvée
+   * @param {string} userId - UUID du user (pour vérification des permissions)
+   * @param {string} access - Accès requis: 'view' | 'edit' | 'manage' (default: 'view')
+   * @returns {Promise<object|null>} Page ou null si non trouvée ou accès insuffisant
    */
-  static async findById(id, userId) {
+  static async findById(id, userId, access = 'view') {
     const result = await pool.query(
-      `SELECT id, user_id, name, position, icon, color, created_at, updated_at
-       FROM pages
-       WHERE id = $1 AND user_id = $2`,
+      `SELECT p.id, p.user_id, p.workspace_id, p.name, p.position, p.icon, p.color, p.created_at, p.updated_at
+       FROM pages p
+       WHERE p.id = $1 AND ${pageAccessCondition('p', '$2', access)} AND p.deleted_at IS NULL`,
       [id, userId]
     );
 
@@ -70,23 +95,24 @@ class Page {
    * Récupérer une page par nom (pour vérifier doublons)
    * @param {string} userId - UUID du user
    * @param {string} name - Nom de la page
+   * @param {string|null} workspaceId - UUID du workspace (default: null = pages personnelles)
    * @returns {Promise<object|null>} Page ou null
    */
-  static async findByName(userId, name) {
+  static async findByName(userId, name, workspaceId = null) {
     const result = await pool.query(
-      `SELECT id, user_id, name, position, icon, color, created_at, updated_at
+      `SELECT id, user_id, workspace_id, name, position, icon, color, created_at, updated_at
        FROM pages
-       WHERE user_id = $1 AND LOWER(name) = LOWER($2)`,
-      [userId, name]
+       WHERE ${scopeCondition('$1', '$3')} AND LOWER(name) = LOWER($2) AND deleted_at IS NULL`,
+      [userId, name, workspaceId]
     );
 
     return result.rows[0] || null;
   }
 
   /**
-   * Mettre à jour une page
+   * Mettre à jour une page (accès 'edit')
    * @param {string} id - UUID de la page
-   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @param {string} userId - UUID du user (pour vérification des permissions)
    * @param {object} updates - { name?, icon?, color? }
    * @returns {Promise<object|null>} Page mise à jour ou null
    */
@@ -113,7 +139,7 @@ class Page {
 
     // Si aucun champ à update, retourner la page existante
     if (fields.length === 0) {
-      return this.findById(id, userId);
+      return this.findById(id, userId, 'edit');
     }
 
     // Ajouter updated_at
@@ -123,10 +149,10 @@ class Page {
     values.push(id, userId);
 
     const query = `
-      UPDATE pages
+      UPDATE pages p
       SET ${fields.join(', ')}
-      WHERE id = $${paramCount++} AND user_id = $${paramCount}
-      RETURNING id, user_id, name, position, icon, color, created_at, updated_at
+      WHERE p.id = $${paramCount++} AND ${pageAccessCondition('p', `$${paramCount}`, 'edit')} AND p.deleted_at IS NULL
+      RETURNING p.id, p.user_id, p.workspace_id, p.name, p.position, p.icon, p.color, p.created_at, p.updated_at
     `;
 
     const result = await pool.query(query, values);
@@ -134,14 +160,14 @@ class Page {
   }
 
   /**
-   * Supprimer une page
+   * Supprimer une page (accès 'manage')
    * @param {string} id - UUID de la page
-   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @param {string} userId - UUID du user (pour vérification des permissions)
    * @returns {Promise<boolean>} True si supprimé, false sinon
    */
   static async delete(id, userId) {
     const result = await pool.query(
-      'DELETE FROM pages WHERE id = $1 AND user_id = $2',
+      `DELETE FROM pages p WHERE p.id = $1 AND ${pageAccessCondition('p', '$2', 'manage')}`,
       [id, userId]
     );
 
@@ -150,11 +176,13 @@ class Page {
 
   /**
    * Réorganiser les positions des pages (pour drag & drop)
+   * Note: permissions vérifiées par l'appelant (pages.service)
    * @param {string} userId - UUID du user
    * @param {Array<string>} pageIds - Array d'UUIDs dans le nouvel ordre
+   * @param {string|null} workspaceId - UUID du workspace (default: null = pages personnelles)
    * @returns {Promise<Array>} Pages réordonnées
    */
-  static async reorderPositions(userId, pageIds) {
+  static async reorderPositions(userId, pageIds, workspaceId = null) {
     // Utiliser une transaction pour garantir l'atomicité
     let client;
 
@@ -165,15 +193,16 @@ class Page {
       // Mettre à jour chaque page avec sa nouvelle position
       for (let i = 0; i < pageIds.length; i++) {
         await client.query(
-          'UPDATE pages SET position = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3',
-          [i, pageIds[i], userId]
+          `UPDATE pages SET position = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2 AND ${scopeCondition('$3', '$4')}`,
+          [i, pageIds[i], userId, workspaceId]
         );
       }
 
       await client.query('COMMIT');
 
       // Retourner les pages réordonnées
-      return this.findAllByUser(userId);
+      return workspaceId ? this.findAllByWorkspace(workspaceId) : this.findAllByUser(userId);
     } catch (error) {
       if (client) {
         try {
@@ -191,18 +220,133 @@ class Page {
   }
 
   /**
-   * Compter le nombre de pages d'un user
+   * Déplacer une page vers un workspace ou vers les pages personnelles (fin de liste)
+   * Une page rendue personnelle appartient au user qui la déplace
+   * Note: permissions vérifiées par l'appelant (pages.service)
+   * @param {string} id - UUID de la page
+   * @param {string} userId - UUID du user qui déplace
+   * @param {string|null} workspaceId - UUID du workspace cible (null = pages personnelles)
+   * @returns {Promise<object|null>} Page déplacée ou null
+   */
+  static async moveToWorkspace(id, userId, workspaceId) {
+    const result = await pool.query(
+      `UPDATE pages
+       SET workspace_id = $3::uuid,
+           user_id = CASE WHEN $3::uuid IS NULL THEN $2 ELSE user_id END,
+           position = (
+             SELECT COALESCE(MAX(position), -1) + 1 FROM pages
+             WHERE ${scopeCondition('$2', '$3')} AND deleted_at IS NULL
+           ),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id, user_id, workspace_id, name, position, icon, color, created_at, updated_at`,
+      [id, userId, workspaceId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Compter le nombre de pages personnelles d'un user
    * @param {string} userId - UUID du user
    * @returns {Promise<number>} Nombre de pages
    */
   static async countByUser(userId) {
     const result = await pool.query(
-      'SELECT COUNT(*) as count FROM pages WHERE user_id = $1',
+      'SELECT COUNT(*) as count FROM pages WHERE user_id = $1 AND workspace_id IS NULL AND deleted_at IS NULL',
       [userId]
     );
 
     return parseInt(result.rows[0].count, 10);
   }
+
+  /**
+   * Récupérer le lien public d'une page
+   * Note: permissions sur la page vérifiées par l'appelant (pages.service)
+   * @param {string} pageId - UUID de la page
+   * @returns {Promise<object|null>} Partage ou null si la page n'est pas partagée
+   */
+  static async findShare(pageId) {
+    const result = await pool.query(
+      `SELECT page_id, slug, theme_id, view_count, last_viewed_at, created_at, rotated_at
+       FROM page_shares
+       WHERE page_id = $1`,
+      [pageId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Créer le lien public d'une page (ou mettre à jour son thème s'il existe déjà)
+   * @param {string} pageId - UUID de la page
+   * @param {string} userId - UUID du user qui partage (ses règles résolvent les groups dynamiques)
+   * @param {string} slug - Slug aléatoire (utilisé seulement à la création)
+   * @param {string|null} themeId - Thème du propriétaire
+   * @returns {Promise<object>} Partage
+   */
+  static async upsertShare(pageId, userId, slug, themeId) {
+    const result = await pool.query(
+      `INSERT INTO page_shares (page_id, user_id, slug, theme_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (page_id) DO UPDATE SET theme_id = COALESCE(EXCLUDED.theme_id, page_shares.theme_id)
+       RETURNING page_id, slug, theme_id, view_count, last_viewed_at, created_at, rotated_at`,
+      [pageId, userId, slug, themeId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Remplacer le slug d'un lien public (l'ancien lien cesse de fonctionner)
+   * @param {string} pageId - UUID de la page
+   * @param {string} slug - Nouveau slug
+   * @returns {Promise<object|null>} Partage ou null si la page n'est pas partagée
+   */
+  static async rotateShare(pageId, slug) {
+    const result = await pool.query(
+      `UPDATE page_shares
+       SET slug = $2, view_count = 0, last_viewed_at = NULL, rotated_at = CURRENT_TIMESTAMP
+       WHERE page_id = $1
+       RETURNING page_id, slug, theme_id, view_count, last_viewed_at, created_at, rotated_at`,
+      [pageId, slug]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Révoquer le lien public d'une page
+   * @param {string} pageId - UUID de la page
+   * @returns {Promise<boolean>} True si un lien a été supprimé
+   */
+  static async deleteShare(pageId) {
+    const result = await pool.query(
+      'DELETE FROM page_shares WHERE page_id = $1',
+      [pageId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Résoudre un slug public et compter la vue
+   * Ignore les pages à la corbeille
+   * @param {string} slug - Slug du lien
+   * @returns {Promise<object|null>} { page_id, user_id, theme_id, name, icon, color } ou null
+   */
+  static async findBySlugAndCountView(slug) {
+    const result = await pool.query(
+      `UPDATE page_shares ps
+       SET view_count = ps.view_count + 1, last_viewed_at = CURRENT_TIMESTAMP
+       FROM pages p
+       WHERE ps.slug = $1 AND p.id = ps.page_id AND p.deleted_at IS NULL
+       RETURNING ps.page_id, ps.user_id, ps.theme_id, p.name, p.icon, p.color`,
+      [slug]
+    );
+
+    return result.rows[0] || null;
+  }
 }
 
 module.exports = Page;
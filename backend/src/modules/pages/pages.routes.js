@@ -9,7 +9,7 @@ const router = express.Router();
  * Toutes les routes sont protégées (nécessitent authentification)
  */
 
-// Récupérer toutes les pages du user
+// Récupérer les pages du user (?workspace_id= pour les pages d'un workspace)
 router.get('/', authMiddleware, pagesController.getAll);
 
 // Obtenir statistiques
@@ -21,6 +21,15 @@ router.post('/', authMiddleware, pagesController.create);
 // Réorganiser les pages (drag & drop)
 router.post('/reorder', authMiddleware, pagesController.reorder);
 
+// Déplacer une page vers un workspace (ou vers les pages personnelles)
+router.post('/:id/move', authMiddleware, pagesController.move);
+
+// Lien public en lecture seule (partage, rotation, révocation)
+router.get('/:id/share', authMiddleware, pagesController.getShare);
+router.post('/:id/share', authMiddleware, pagesController.share);
+router.post('/:id/share/rotate', authMiddleware, pagesController.rotateShare);
+router.delete('/:id/share', authMiddleware, pagesController.revokeShare);
+
 // Récupérer une page spécifique
 router.get('/:id', authMiddleware, pagesController.getOne);
 
@@ -1,4 +1,18 @@
+const crypto = require('crypto');
 const Page = require('./pages.model');
+const Section = require('../sections/sections.model');
+const Group = require('../groups/groups.model');
+const groupsService = require('../groups/groups.service');
+const trashService = require('../trash/trash.service');
+const activityService = require('../activity/activity.service');
+const workspacesService = require('../workspaces/workspaces.service');
+const realtimeService = require('../realtime/realtime.service');
+const { isDynamicType } = require('../groups/dynamicRules');
+
+// Slug public: 18 octets aléatoires → 24 caractères base64url (non devinable)
+const SHARE_SLUG_BYTES = 18;
+const SHARE_SLUG_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+const THEME_ID_PATTERN = /^[a-z0-9-]{1,50}$/;
 
 /**
  * Pages Service
@@ -8,12 +22,12 @@ class PagesService {
   /**
    * Créer une nouvelle page avec validation
    * @param {string} userId - UUID du user
-   * @param {object} pageData - { name, icon?, color? }
+   * @param {object} pageData - { name, icon?, color?, workspace_id? } (workspace_id: page d'équipe, rôle editor requis)
    * @returns {Promise<object>} Page créée
-   * @throws {Error} Si validation échoue
+   * @throws {Error} Si validation échoue ou rôle insuffisant dans le workspace
    */
   async createPage(userId, pageData) {
-    const { name, icon, color } = pageData;
+    const { name, icon, color, workspace_id: workspaceId = null } = pageData;
 
     // Validation: name requis
     if (!name || name.trim().length === 0) {
@@ -25,8 +39,13 @@ class PagesService {
       throw new Error('Page name must be 100 characters or less');
     }
 
-    // Validation: nom unique par user
-    const existing = await Page.findByName(userId, name);
+    // Validation: rôle editor ou owner dans le workspace cible
+    if (workspaceId) {
+      await workspacesService.requireAccess(workspaceId, userId, 'edit');
+    }
+
+    // Validation: nom unique par user (ou par workspace)
+    const existing = await Page.findByName(userId, name, workspaceId);
     if (existing) {
       throw new Error(`Page with name "${name}" already exists`);
     }
@@ -45,18 +64,37 @@ class PagesService {
     const page = await Page.create(userId, {
       name: name.trim(),
       icon: icon || '📄',
-      color: color || '#667eea'
+      color: color || '#667eea',
+      workspace_id: workspaceId
     });
 
+    await activityService.log(userId, {
+      action: 'create',
+      entityType: 'page',
+      entityId: page.id,
+      entityName: page.name
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'page', action: 'create', id: page.id, parentIds: [page.workspace_id], data: page
+    }, { type: 'page', ids: [page.id] });
+
     return page;
   }
 
   /**
-   * Récupérer toutes les pages d'un user
+   * Récupérer les pages personnelles d'un user, ou celles d'un workspace dont il est membre
    * @param {string} userId - UUID du user
+   * @param {string|null} workspaceId - UUID du workspace (default: null = pages personnelles)
    * @returns {Promise<Array>} Liste des pages
+   * @throws {Error} Si user non membre du workspace
    */
-  async getUserPages(userId) {
+  async getUserPages(userId, workspaceId = null) {
+    if (workspaceId) {
+      await workspacesService.requireAccess(workspaceId, userId, 'view');
+      return Page.findAllByWorkspace(workspaceId);
+    }
+
     return Page.findAllByUser(userId);
   }
 
@@ -64,11 +102,12 @@ class PagesService {
    * Récupérer une page par ID
    * @param {string} pageId - UUID de la page
    * @param {string} userId - UUID du user
+   * @param {string} access - Accès requis: 'view' | 'edit' | 'manage' (default: 'view')
    * @returns {Promise<object>} Page
-   * @throws {Error} Si page non trouvée ou pas owned par user
+   * @throws {Error} Si page non trouvée ou accès insuffisant
    */
-  async getPageById(pageId, userId) {
-    const page = await Page.findById(pageId, userId);
+  async getPageById(pageId, userId, access = 'view') {
+    const page = await Page.findById(pageId, userId, access);
 
     if (!page) {
       throw new Error('Page not found or access denied');
@@ -88,8 +127,8 @@ class PagesService {
   async updatePage(pageId, userId, updates) {
     const { name, icon, color } = updates;
 
-    // Vérifier que la page existe et appartient au user
-    const existing = await Page.findById(pageId, userId);
+    // Vérifier que la page existe et que le user peut la modifier
+    const existing = await Page.findById(pageId, userId, 'edit');
     if (!existing) {
       throw new Error('Page not found or access denied');
     }
@@ -106,7 +145,7 @@ class PagesService {
 
       // Vérifier unicité du nom (si différent du nom actuel)
       if (name.trim().toLowerCase() !== existing.name.toLowerCase()) {
-        const duplicate = await Page.findByName(userId, name);
+        const duplicate = await Page.findByName(existing.user_id, name, existing.workspace_id);
         if (duplicate) {
           throw new Error(`Page with name "${name}" already exists`);
         }
@@ -136,31 +175,51 @@ class PagesService {
       throw new Error('Failed to update page');
     }
 
+    const changes = activityService.diff(existing, updated, ['name', 'icon', 'color']);
+    if (Object.keys(changes).length > 0) {
+      await activityService.log(userId, {
+        action: 'update',
+        entityType: 'page',
+        entityId: pageId,
+        entityName: updated.name,
+        details: { changes }
+      });
+    }
+
+    await realtimeService.publish(userId, {
+      entity: 'page', action: 'update', id: pageId, parentIds: [updated.workspace_id], data: updated
+    }, { type: 'page', ids: [pageId] });
+
     return updated;
   }
 
   /**
-   * Supprimer une page
+   * Supprimer une page (mise à la corbeille avec ses sections/groups/bookmarks)
    * @param {string} pageId - UUID de la page
    * @param {string} userId - UUID du user
    * @returns {Promise<boolean>} True si supprimé
    * @throws {Error} Si page non trouvée
    */
   async deletePage(pageId, userId) {
-    // Vérifier que la page existe et appartient au user
-    const existing = await Page.findById(pageId, userId);
+    // Vérifier que la page existe et que le user peut la supprimer (owner du workspace)
+    const existing = await Page.findById(pageId, userId, 'manage');
     if (!existing) {
       throw new Error('Page not found or access denied');
     }
 
-    // TODO Itération 3: Gérer les sections/groups/bookmarks enfants
-    // Pour l'instant, CASCADE supprimera automatiquement (à définir dans migrations futures)
+    const trashItem = await trashService.moveToTrash(userId, 'page', pageId);
 
-    const deleted = await Page.delete(pageId, userId);
+    await activityService.log(userId, {
+      action: 'delete',
+      entityType: 'page',
+      entityId: pageId,
+      entityName: existing.name,
+      details: { trash_id: trashItem.id }
+    });
 
-    if (!deleted) {
-      throw new Error('Failed to delete page');
-    }
+    await realtimeService.publish(userId, {
+      entity: 'page', action: 'delete', id: pageId, parentIds: [existing.workspace_id]
+    }, { type: 'page', ids: [pageId] });
 
     return true;
   }
@@ -169,10 +228,11 @@ class PagesService {
    * Réorganiser les pages (drag & drop)
    * @param {string} userId - UUID du user
    * @param {Array<string>} pageIds - Array d'UUIDs dans le nouvel ordre
+   * @param {string|null} workspaceId - UUID du workspace (default: null = pages personnelles)
    * @returns {Promise<Array>} Pages réordonnées
    * @throws {Error} Si validation échoue
    */
-  async reorderPages(userId, pageIds) {
+  async reorderPages(userId, pageIds, workspaceId = null) {
     // Validation: pageIds doit être un array
     if (!Array.isArray(pageIds)) {
       throw new Error('pageIds must be an array');
@@ -183,22 +243,90 @@ class PagesService {
       throw new Error('All pageIds must be valid strings');
     }
 
-    // Validation: toutes les pages appartiennent au user
-    const userPages = await Page.findAllByUser(userId);
+    // Validation: rôle editor ou owner dans le workspace
+    if (workspaceId) {
+      await workspacesService.requireAccess(workspaceId, userId, 'edit');
+    }
+
+    // Validation: toutes les pages appartiennent au user (ou au workspace)
+    const userPages = workspaceId ? await Page.findAllByWorkspace(workspaceId) : await Page.findAllByUser(userId);
     const userPageIds = userPages.map(p => p.id);
 
     // Vérifier que tous les IDs fournis appartiennent au user
     const invalidIds = pageIds.filter(id => !userPageIds.includes(id));
     if (invalidIds.length > 0) {
-      throw new Error('Some pages do not belong to this user');
+      throw new Error(workspaceId ? 'Some pages do not belong to this workspace' : 'Some pages do not belong to this user');
     }
 
     // Réorganiser
-    const reordered = await Page.reorderPositions(userId, pageIds);
+    const reordered = await Page.reorderPositions(userId, pageIds, workspaceId);
+
+    await activityService.log(userId, {
+      action: 'reorder',
+      entityType: 'page',
+      details: { count: pageIds.length }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'page', action: 'reorder', parentIds: [workspaceId]
+    }, workspaceId ? { type: 'workspace', ids: [workspaceId] } : null);
 
     return reordered;
   }
 
+  /**
+   * Déplacer une page vers un workspace ou vers les pages personnelles
+   * - page source: accès 'manage' (page personnelle ou owner de son workspace)
+   * - workspace cible: rôle editor ou owner
+   * La page arrive en fin de liste avec ses sections, groups, bookmarks et son lien public
+   * @param {string} pageId - UUID de la page
+   * @param {string} userId - UUID du user
+   * @param {string|null} workspaceId - UUID du workspace cible (null = pages personnelles)
+   * @returns {Promise<object>} Page déplacée
+   * @throws {Error} Si page non trouvée, accès insuffisant ou nom déjà pris dans la cible
+   */
+  async movePage(pageId, userId, workspaceId) {
+    const targetId = workspaceId || null;
+
+    const existing = await Page.findById(pageId, userId, 'manage');
+    if (!existing) {
+      throw new Error('Page not found or access denied');
+    }
+
+    if (existing.workspace_id === targetId) {
+      return existing;
+    }
+
+    const target = targetId ? await workspacesService.requireAccess(targetId, userId, 'edit') : null;
+
+    const duplicate = await Page.findByName(userId, existing.name, targetId);
+    if (duplicate) {
+      throw new Error(`Page with name "${existing.name}" already exists in ${target ? target.name : 'your personal pages'}`);
+    }
+
+    // Les membres de l'ancien workspace doivent aussi voir la page partir
+    const previousAudience = await realtimeService.getAudience(userId, { type: 'page', ids: [pageId] });
+
+    const moved = await Page.moveToWorkspace(pageId, userId, targetId);
+    if (!moved) {
+      throw new Error('Page not found or access denied');
+    }
+
+    await activityService.log(userId, {
+      action: 'move',
+      entityType: 'page',
+      entityId: pageId,
+      entityName: moved.name,
+      details: { from_workspace_id: existing.workspace_id, to_workspace_id: targetId }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'page', action: 'move', id: pageId, parentIds: [existing.workspace_id, targetId], data: moved
+    }, { type: 'page', ids: [pageId] }, previousAudience);
+
+    return moved;
+  }
+
   /**
    * Obtenir des statistiques sur les pages d'un user
    * @param {string} userId - UUID du user
@@ -219,6 +347,168 @@ class PagesService {
     };
   }
 
+  /**
+   * Récupérer le lien public d'une page
+   * @param {string} pageId - UUID de la page
+   * @param {string} userId - UUID du user
+   * @returns {Promise<object|null>} Partage ou null si la page n'est pas partagée
+   * @throws {Error} Si page non trouvée ou accès insuffisant
+   */
+  async getPageShare(pageId, userId) {
+    await this.getPageById(pageId, userId, 'manage');
+    return Page.findShare(pageId);
+  }
+
+  /**
+   * Partager une page en lecture seule (idempotent: le lien existant est conservé,
+   * seul le thème est mis à jour)
+   * @param {string} pageId - UUID de la page
+   * @param {string} userId - UUID du user
+   * @param {string} themeId - Thème du propriétaire (optionnel)
+   * @returns {Promise<object>} { share, created }
+   * @throws {Error} Si page non trouvée ou thème invalide
+   */
+  async sharePage(pageId, userId, themeId) {
+    const page = await this.getPageById(pageId, userId, 'manage');
+
+    if (themeId !== undefined && themeId !== null && !THEME_ID_PATTERN.test(themeId)) {
+      throw new Error('Theme must be a valid theme ID');
+    }
+
+    const existing = await Page.findShare(pageId);
+    const share = await Page.upsertShare(pageId, userId, this.generateShareSlug(), themeId || null);
+
+    if (!existing) {
+      await activityService.log(userId, {
+        action: 'update',
+        entityType: 'page',
+        entityId: pageId,
+        entityName: page.name,
+        details: { share: 'enabled' }
+      });
+    }
+
+    return { share, created: !existing };
+  }
+
+  /**
+   * Générer un nouveau lien public (l'ancien cesse de fonctionner, vues remises à 0)
+   * @param {string} pageId - UUID de la page
+   * @param {string} userId - UUID du user
+   * @returns {Promise<object>} Partage
+   * @throws {Error} Si page non trouvée ou pas partagée
+   */
+  async rotatePageShare(pageId, userId) {
+    const page = await this.getPageById(pageId, userId, 'manage');
+
+    const share = await Page.rotateShare(pageId, this.generateShareSlug());
+    if (!share) {
+      throw new Error('Page share not found');
+    }
+
+    await activityService.log(userId, {
+      action: 'update',
+      entityType: 'page',
+      entityId: pageId,
+      entityName: page.name,
+      details: { share: 'rotated' }
+    });
+
+    return share;
+  }
+
+  /**
+   * Révoquer le lien public d'une page
+   * @param {string} pageId - UUID de la page
+   * @param {string} userId - UUID du user
+   * @returns {Promise<boolean>} True si révoqué
+   * @throws {Error} Si page non trouvée ou pas partagée
+   */
+  async revokePageShare(pageId, userId) {
+    const page = await this.getPageById(pageId, userId, 'manage');
+
+    const deleted = await Page.deleteShare(pageId);
+    if (!deleted) {
+      throw new Error('Page share not found');
+    }
+
+    await activityService.log(userId, {
+      action: 'update',
+      entityType: 'page',
+      entityId: pageId,
+      entityName: page.name,
+      details: { share: 'revoked' }
+    });
+
+    return true;
+  }
+
+  /**
+   * Page publique (sans authentification): arbre sections → groups → bookmarks
+   * Chaque appel compte une vue. Seuls les champs d'affichage sont exposés;
+   * les groups dynamiques ne montrent que des bookmarks de la page partagée
+   * (leurs règles portent sur tous les bookmarks du propriétaire).
+   * @param {string} slug - Slug du lien
+   * @returns {Promise<object>} { page, theme_id, sections }
+   * @throws {Error} Si lien inconnu ou révoqué
+   */
+  async getPublicPage(slug) {
+    if (!SHARE_SLUG_PATTERN.test(slug || '')) {
+      throw new Error('Shared page not found');
+    }
+
+    const share = await Page.findBySlugAndCountView(slug);
+    if (!share) {
+      throw new Error('Shared page not found');
+    }
+
+    const sections = await Section.findAllByPage(share.page_id);
+    const groupsBySection = await Promise.all(sections.map(section => Group.findAllBySection(section.id)));
+    const pageGroupIds = new Set(groupsBySection.flat().map(group => group.id));
+
+    const tree = await Promise.all(sections.map(async (section, index) => ({
+      id: section.id,
+      name: section.name,
+      groups: await Promise.all(groupsBySection[index].map(async (group) => {
+        const { bookmarks } = await groupsService.resolveGroupBookmarks(group.id, share.user_id);
+        const visible = isDynamicType(group.group_type)
+          ? bookmarks.filter(bookmark => pageGroupIds.has(bookmark.group_id))
+          : bookmarks;
+
+        return {
+          id: group.id,
+          name: group.name,
+          group_type: group.group_type,
+          column_count: group.column_count,
+          width: group.width,
+          bookmarks: visible.map(bookmark => ({
+            id: bookmark.id,
+            title: bookmark.title,
+            url: bookmark.url,
+            favicon_url: bookmark.favicon_url,
+            column: bookmark.column,
+            position: bookmark.position
+          }))
+        };
+      }))
+    })));
+
+    return {
+      page: { name: share.name, icon: share.icon, color: share.color },
+      theme_id: share.theme_id,
+      sections: tree
+    };
+  }
+
+  /**
+   * Générer un slug de partage aléatoire
+   * @returns {string} Slug base64url
+   * @private
+   */
+  generateShareSlug() {
+    return crypto.randomBytes(SHARE_SLUG_BYTES).toString('base64url');
+  }
+
   /**
    * Valider format couleur hex
    * @param {string} color - Couleur à valider
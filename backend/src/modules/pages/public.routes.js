@@ -0,0 +1,14 @@
+const express = require('express');
+const pagesController = require('./pages.controller');
+
+const router = express.Router();
+
+/**
+ * Routes pour /api/public/pages
+ * Routes NON protégées: pages partagées en lecture seule (lien par slug)
+ */
+
+// Récupérer une page partagée
+router.get('/:slug', pagesController.getPublic);
+
+module.exports = router;
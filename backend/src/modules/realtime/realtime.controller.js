@@ -0,0 +1,35 @@
+const realtimeService = require('./realtime.service');
+
+/**
+ * Realtime Controller
+ * Flux Server-Sent Events des modifications (autres onglets, coéquipiers)
+ */
+class RealtimeController {
+  /**
+   * GET /api/realtime/events
+   * Ouvre le flux; reste ouvert jusqu'à la déconnexion du client, l'expiration
+   * de l'access token ou la révocation de la session
+   * Query: clientId? (identifiant de l'onglet, ses propres modifications ne lui sont pas renvoyées)
+   */
+  stream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform: compression() ne doit pas bufferiser le flux
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('event: ready\ndata: {}\n\n');
+
+    const unsubscribe = realtimeService.subscribe(req.userId, req.query.clientId || null, res, {
+      sessionId: req.sessionId,
+      expiresAt: req.tokenExpiresAt
+    });
+
+    req.on('close', () => {
+      unsubscribe();
+    });
+  }
+}
+
+module.exports = new RealtimeController();
@@ -0,0 +1,59 @@
+const pool = require('../../shared/config/database');
+
+// Jointures pour remonter d'un conteneur à sa page
+const PAGE_JOINS = {
+  page: 'pages p',
+  section: `sections s
+            INNER JOIN pages p ON p.id = s.page_id`,
+  group: `groups g
+          INNER JOIN sections s ON s.id = g.section_id
+          INNER JOIN pages p ON p.id = s.page_id`
+};
+
+const ID_COLUMNS = {
+  page: 'p.id',
+  section: 's.id',
+  group: 'g.id'
+};
+
+/**
+ * Realtime Model
+ * Résout qui doit recevoir un événement de synchronisation:
+ * le propriétaire d'une page personnelle, ou tous les membres du workspace
+ * (pages soft-deleted incluses, pour propager les suppressions)
+ */
+class Realtime {
+  /**
+   * Pages contenant des conteneurs et users qui y ont accès
+   * @param {string} type - 'page' | 'section' | 'group'
+   * @param {Array<string>} ids - UUIDs des conteneurs
+   * @returns {Promise<Array>} [{ page_id, user_id }]
+   */
+  static async findPageAudience(type, ids) {
+    const result = await pool.query(
+      `SELECT DISTINCT p.id AS page_id, COALESCE(wm.user_id, p.user_id) AS user_id
+       FROM ${PAGE_JOINS[type]}
+       LEFT JOIN workspace_members wm ON wm.workspace_id = p.workspace_id
+       WHERE ${ID_COLUMNS[type]} = ANY($1::uuid[])`,
+      [ids]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Membres de workspaces
+   * @param {Array<string>} workspaceIds - UUIDs des workspaces
+   * @returns {Promise<Array<string>>} UUIDs des users
+   */
+  static async findWorkspaceMembers(workspaceIds) {
+    const result = await pool.query(
+      'SELECT DISTINCT user_id FROM workspace_members WHERE workspace_id = ANY($1::uuid[])',
+      [workspaceIds]
+    );
+
+    return result.rows.map(row => row.user_id);
+  }
+}
+
+module.exports = Realtime;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const realtimeController = require('./realtime.controller');
+const authMiddleware = require('../../shared/middleware/auth.middleware');
+
+/**
+ * Realtime Routes
+ * All routes require authentication (JWT token)
+ */
+
+/**
+ * EventSource ne peut pas envoyer de header Authorization:
+ * le token est accepté en query (?token=) sur le flux uniquement
+ */
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+/**
+ * GET /api/realtime/events
+ * Flux SSE des modifications (event: change)
+ * Query: token, clientId?
+ */
+router.get('/events', tokenFromQuery, authMiddleware, realtimeController.stream);
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const Realtime = require('./realtime.model');
+const { getRequestContext } = require('../../shared/middleware/requestContext');
+
+// Commentaire SSE envoyé régulièrement pour garder les connexions ouvertes (proxies)
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Délai maximal d'un setTimeout (~24,8 jours)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Realtime Service
+ * Synchronisation multi-onglets et multi-users par Server-Sent Events
+ *
+ * Les services pages/sections/groups/bookmarks/trash/import publient un
+ * événement après chaque modification; il est envoyé à tous les onglets
+ * ouverts des users qui ont accès à la page concernée, sauf l'onglet à
+ * l'origine de la modification (header X-Client-Id).
+ *
+ * Événement: { entity, action, id?, parentIds, data?, pageIds, actorId, at }
+ * - entity: 'page' | 'section' | 'group' | 'bookmark'
+ * - parentIds: conteneurs dont la liste a changé (page → workspace, section → page, ...)
+ * - data: élément à jour quand il suffit à patcher la liste (create/update)
+ * - pageIds: pages dont le cache du mode View est périmé
+ *
+ * Un flux n'est authentifié qu'à l'ouverture: il est fermé à l'expiration de
+ * son access token et quand sa session est révoquée (logout, révocation,
+ * changement de mot de passe, suppression du compte). Le client le rouvre
+ * avec un token renouvelé, ce qui échoue si la session n'existe plus.
+ */
+class RealtimeService {
+  constructor() {
+    // userId → Set<{ res, clientId, sessionId, close }>
+    this.connections = new Map();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Enregistrer une connexion SSE
+   * @param {string} userId - UUID du user
+   * @param {string|null} clientId - Identifiant de l'onglet
+   * @param {object} res - Réponse Express (flux text/event-stream ouvert)
+   * @param {object} auth - { sessionId, expiresAt } (session et expiration (ms) de l'access token)
+   * @returns {function} Désinscription (à appeler à la fermeture)
+   */
+  subscribe(userId, clientId, res, { sessionId = null, expiresAt = null } = {}) {
+    const connection = { res, clientId, sessionId, expiryTimer: null };
+
+    if (!this.connections.has(userId)) {
+      this.connections.set(userId, new Set());
+    }
+    this.connections.get(userId).add(connection);
+    this.startHeartbeat();
+
+    const unsubscribe = () => {
+      clearTimeout(connection.expiryTimer);
+      const userConnections = this.connections.get(userId);
+      if (userConnections) {
+        userConnections.delete(connection);
+        if (userConnections.size === 0) {
+          this.connections.delete(userId);
+        }
+      }
+      if (this.connections.size === 0) {
+        this.stopHeartbeat();
+      }
+    };
+
+    connection.close = () => {
+      unsubscribe();
+      if (!res.writableEnded) {
+        res.end();
+      }
+    };
+
+    if (expiresAt) {
+      connection.expiryTimer = setTimeout(connection.close, Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER_MS));
+      connection.expiryTimer.unref();
+    }
+
+    return unsubscribe;
+  }
+
+  /**
+   * Fermer les flux d'un user (sessions révoquées, compte supprimé)
+   * @param {string} userId - UUID du user
+   * @param {string|null} exceptSessionId - Session dont les flux restent ouverts (default: aucune)
+   */
+  disconnectUser(userId, exceptSessionId = null) {
+    const userConnections = this.connections.get(userId);
+    if (!userConnections) return;
+
+    [...userConnections]
+      .filter(connection => !exceptSessionId || connection.sessionId !== exceptSessionId)
+      .forEach(connection => connection.close());
+  }
+
+  /**
+   * Fermer les flux ouverts avec une session (logout, session révoquée)
+   * @param {string} sessionId - UUID de la session
+   */
+  disconnectSession(sessionId) {
+    this.connections.forEach((userConnections) => {
+      [...userConnections]
+        .filter(connection => connection.sessionId === sessionId)
+        .forEach(connection => connection.close());
+    });
+  }
+
+  /**
+   * Publier une modification
+   * Ne lève jamais d'erreur: un échec de diffusion ne doit pas faire
+   * échouer la modification elle-même.
+   * @param {string} userId - UUID du user à l'origine de la modification
+   * @param {object} event - { entity, action, id?, parentIds?, data? }
+   * @param {object|null} scope - { type: 'page'|'section'|'group'|'workspace', ids } (null = le user seul)
+   * @param {object} previous - Audience avant la modification { userIds, pageIds } (déplacements)
+   * @returns {Promise<void>}
+   */
+  async publish(userId, event, scope = null, previous = null) {
+    try {
+      if (this.connections.size === 0) return;
+
+      const audience = await this.getAudience(userId, scope);
+      const userIds = new Set([...audience.userIds, ...(previous ? previous.userIds : [])]);
+      const pageIds = [...new Set([...audience.pageIds, ...(previous ? previous.pageIds : [])])];
+
+      const payload = JSON.stringify({
+        entity: event.entity,
+        action: event.action,
+        id: event.id || null,
+        parentIds: event.parentIds || [],
+        data: event.data || null,
+        pageIds,
+        actorId: userId,
+        at: new Date().toISOString()
+      });
+
+      const { clientId } = getRequestContext();
+      userIds.forEach((recipientId) => {
+        const userConnections = this.connections.get(recipientId);
+        if (!userConnections) return;
+
+        userConnections.forEach((connection) => {
+          if (clientId && connection.clientId === clientId) return;
+          connection.res.write(`event: change\ndata: ${payload}\n\n`);
+        });
+      });
+    } catch (error) {
+      console.error(`⚠️ Realtime publish failed (${event.action} ${event.entity}):`, error.message);
+    }
+  }
+
+  /**
+   * Users et pages concernés par une modification
+   * @param {string} userId - UUID du user à l'origine de la modification
+   * @param {object|null} scope - { type, ids } (null = le user seul)
+   * @returns {Promise<object>} { userIds, pageIds }
+   */
+  async getAudience(userId, scope) {
+    const ids = scope ? (scope.ids || []).filter(Boolean) : [];
+    if (!scope || ids.length === 0) {
+      return { userIds: [userId], pageIds: [] };
+    }
+
+    if (scope.type === 'workspace') {
+      const members = await Realtime.findWorkspaceMembers(ids);
+      return { userIds: [userId, ...members], pageIds: [] };
+    }
+
+    const rows = await Realtime.findPageAudience(scope.type, ids);
+    return {
+      userIds: [userId, ...rows.map(row => row.user_id)],
+      pageIds: [...new Set(rows.map(row => row.page_id))]
+    };
+  }
+
+  /**
+   * Démarrer le heartbeat (une seule minuterie pour toutes les connexions)
+   * @private
+   */
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      this.connections.forEach((userConnections) => {
+        userConnections.forEach(({ res }) => res.write(': ping\n\n'));
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Arrêter le heartbeat quand plus personne n'est connecté
+   * @private
+   */
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,59 @@
+const searchService = require('./search.service');
+
+/**
+ * Search Controller
+ * Gère les requêtes HTTP pour l'endpoint /api/search
+ */
+class SearchController {
+  /**
+   * GET /api/search?q=xxx&limit=50
+   * Recherche globale dans tous les bookmarks du user connecté
+   */
+  async search(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { q } = req.query;
+      const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+
+      // Validation: q requis
+      if (!q || !q.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Query parameter q is required'
+        });
+      }
+
+      // Validation: limit doit être un nombre
+      if (isNaN(limit)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Limit must be a number'
+        });
+      }
+
+      const { results, total } = await searchService.searchBookmarks(userId, q, limit);
+
+      res.json({
+        success: true,
+        data: {
+          query: q.trim(),
+          results,
+          count: results.length,
+          total
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('required') ||
+          error.message.includes('characters or less') ||
+          error.message.includes('greater than 0')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = new SearchController();
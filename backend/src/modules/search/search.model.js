@@ -0,0 +1,78 @@
+const pool = require('../../shared/config/database');
+const { pageAccessCondition } = require('../workspaces/workspaceAccess');
+
+/**
+ * Search Model
+ * Recherche full-text sur les bookmarks accessibles à un user (tsvector + trigram)
+ * Pages personnelles et pages des workspaces dont il est membre
+ * Index: migration 011 (search_vector GIN + title/url/description gin_trgm_ops)
+ */
+class Search {
+  /**
+   * Rechercher les bookmarks d'un user avec breadcrumbs page/section/group
+   * Match: full-text préfixe (search_vector) OU substring ILIKE sur title/url/description
+   * Ranking: ts_rank + similarité trigram sur le title, puis visit_count
+   * @param {string} userId - UUID du user
+   * @param {string} tsQuery - Requête to_tsquery déjà construite (ex: 'git:* & hub:*'), '' = ILIKE seul
+   * @param {string} likePattern - Pattern ILIKE déjà échappé (ex: '%git hub%')
+   * @param {string} rawQuery - Requête brute (pour similarity())
+   * @param {number} limit - Nombre max de résultats
+   * @returns {Promise<Array>} Lignes bookmark + colonnes page_*, section_*, group_*
+   */
+  static async searchBookmarks(userId, tsQuery, likePattern, rawQuery, limit) {
+    const result = await pool.query(
+      `SELECT b.id, b.group_id, b.user_id, b.title, b.url, b.description, b.position, b."column", b.visit_count, b.favicon_url, b.created_at, b.updated_at,
+              p.id AS page_id, p.name AS page_name, p.icon AS page_icon,
+              s.id AS section_id, s.name AS section_name,
+              g.name AS group_name,
+              (COALESCE(ts_rank(b.search_vector, to_tsquery('simple', NULLIF($2, ''))), 0) + similarity(b.title, $4)) AS rank
+       FROM bookmarks b
+       INNER JOIN groups g ON b.group_id = g.id
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       WHERE ${pageAccessCondition('p', '$1')}
+         AND b.deleted_at IS NULL
+         AND (
+           b.search_vector @@ to_tsquery('simple', NULLIF($2, ''))
+           OR b.title ILIKE $3
+           OR b.url ILIKE $3
+           OR b.description ILIKE $3
+         )
+       ORDER BY rank DESC, b.visit_count DESC, b.title ASC
+       LIMIT $5`,
+      [userId, tsQuery, likePattern, rawQuery, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Compter le nombre total de bookmarks qui matchent (sans LIMIT)
+   * @param {string} userId - UUID du user
+   * @param {string} tsQuery - Requête to_tsquery
+   * @param {string} likePattern - Pattern ILIKE échappé
+   * @returns {Promise<number>} Nombre total de résultats
+   */
+  static async countBookmarks(userId, tsQuery, likePattern) {
+    const result = await pool.query(
+      `SELECT COUNT(*) as count
+       FROM bookmarks b
+       INNER JOIN groups g ON b.group_id = g.id
+       INNER JOIN sections s ON g.section_id = s.id
+       INNER JOIN pages p ON s.page_id = p.id
+       WHERE ${pageAccessCondition('p', '$1')}
+         AND b.deleted_at IS NULL
+         AND (
+           b.search_vector @@ to_tsquery('simple', NULLIF($2, ''))
+           OR b.title ILIKE $3
+           OR b.url ILIKE $3
+           OR b.description ILIKE $3
+         )`,
+      [userId, tsQuery, likePattern]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+}
+
+module.exports = Search;
@@ -0,0 +1,15 @@
+const express = require('express');
+const searchController = require('./search.controller');
+const authMiddleware = require('../../shared/middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * Routes pour /api/search
+ * Toutes les routes sont protégées (nécessitent authentification)
+ */
+
+// Recherche globale dans les bookmarks (title, url, description)
+router.get('/', authMiddleware, searchController.search);
+
+module.exports = router;
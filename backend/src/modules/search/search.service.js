@@ -0,0 +1,99 @@
+const Search = require('./search.model');
+
+/**
+ * Search Service
+ * Business logic pour la recherche globale de bookmarks
+ */
+class SearchService {
+  /**
+   * Rechercher dans tous les bookmarks du user
+   * @param {string} userId - UUID du user
+   * @param {string} query - Texte recherché
+   * @param {number} limit - Nombre max de résultats (default 50, cap 200)
+   * @returns {Promise<object>} { results: [{ bookmark, page, section, group }], total }
+   * @throws {Error} Si query vide
+   */
+  async searchBookmarks(userId, query, limit = 50) {
+    const trimmed = (query || '').trim();
+
+    // Validation: query requise
+    if (!trimmed) {
+      throw new Error('Search query is required');
+    }
+
+    if (trimmed.length > 200) {
+      throw new Error('Search query must be 200 characters or less');
+    }
+
+    // Validation: limit doit être positif
+    if (limit <= 0) {
+      throw new Error('Limit must be greater than 0');
+    }
+
+    // Cap à 200 pour éviter surcharge
+    const cappedLimit = Math.min(limit, 200);
+
+    const tsQuery = this.buildTsQuery(trimmed);
+    const likePattern = `%${this.escapeLikePattern(trimmed)}%`;
+
+    const [rows, total] = await Promise.all([
+      Search.searchBookmarks(userId, tsQuery, likePattern, trimmed, cappedLimit),
+      Search.countBookmarks(userId, tsQuery, likePattern)
+    ]);
+
+    return {
+      results: rows.map(row => this.formatResult(row)),
+      total
+    };
+  }
+
+  /**
+   * Construire une tsquery préfixe à partir du texte libre
+   * "git hub" → "git:* & hub:*" (chaque terme en préfixe, tous requis)
+   * @param {string} query - Texte recherché
+   * @returns {string} tsquery ou chaîne vide si aucun terme (→ ILIKE seul)
+   */
+  buildTsQuery(query) {
+    const terms = query
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length > 0);
+
+    return terms.map(term => `${term}:*`).join(' & ');
+  }
+
+  /**
+   * Échapper les caractères spéciaux ILIKE (%, _ et \)
+   * @param {string} value - Texte brut
+   * @returns {string} Texte échappé
+   */
+  escapeLikePattern(value) {
+    return value.replace(/[\\%_]/g, char => `\\${char}`);
+  }
+
+  /**
+   * Transformer une ligne SQL en résultat { bookmark, page, section, group }
+   * Même forme que celle attendue par SearchResultsView
+   * @param {object} row - Ligne retournée par Search.searchBookmarks
+   * @returns {object} Résultat formaté
+   */
+  formatResult(row) {
+    const {
+      page_id, page_name, page_icon,
+      section_id, section_name,
+      group_name,
+      rank,
+      ...bookmark
+    } = row;
+
+    return {
+      bookmark,
+      page: { id: page_id, name: page_name, icon: page_icon },
+      section: { id: section_id, name: section_name },
+      group: { id: bookmark.group_id, name: group_name },
+      rank: parseFloat(rank)
+    };
+  }
+}
+
+module.exports = new SearchService();
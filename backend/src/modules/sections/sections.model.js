@@ -1,4 +1,5 @@
 const pool = require('../../shared/config/database');
+const { pageAccessCondition } = require('../workspaces/workspaceAccess');
 
 /**
  * Sections Model
@@ -7,14 +8,16 @@ const pool = require('../../shared/config/database');
  */
 class Section {
   /**
-   * Vérifier que la page appartient au user
+   * Vérifier que le user a l'accès demandé sur la page (page personnelle ou rôle dans son workspace)
    * @param {string} pageId - UUID de la page
    * @param {string} userId - UUID du user
-   * @returns {Promise<boolean>} True si la page appartient au user
+   * @param {string} access - 'view' | 'edit' | 'manage' (default: 'edit')
+   * @returns {Promise<boolean>} True si le user a l'accès
    */
-  static async verifyPageOwnership(pageId, userId) {
+  static async verifyPageAccess(pageId, userId, access = 'edit') {
     const result = await pool.query(
-      'SELECT id FROM pages WHERE id = $1 AND user_id = $2',
+      `SELECT p.id FROM pages p
+       WHERE p.id = $1 AND ${pageAccessCondition('p', '$2', access)} AND p.deleted_at IS NULL`,
       [pageId, userId]
     );
     return result.rows.length > 0;
@@ -31,7 +34,7 @@ class Section {
 
     // Calculer la position automatiquement (max + 1)
     const positionResult = await pool.query(
-      'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM sections WHERE page_id = $1',
+      'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM sections WHERE page_id = $1 AND deleted_at IS NULL',
       [pageId]
     );
     const position = positionResult.rows[0].next_position;
@@ -55,7 +58,7 @@ class Section {
     const result = await pool.query(
       `SELECT id, page_id, name, position, collapsed, created_at, updated_at
        FROM sections
-       WHERE page_id = $1
+       WHERE page_id = $1 AND deleted_at IS NULL
        ORDER BY position ASC`,
       [pageId]
     );
@@ -66,15 +69,16 @@ class Section {
   /**
    * Récupérer une section par ID
    * @param {string} id - UUID de la section
-   * @param {string} userId - UUID du user (pour vérification ownership via page)
+   * @param {string} userId - UUID du user (pour vérification des permissions via page)
+   * @param {string} access - Accès requis: 'view' | 'edit' (default: 'view')
    * @returns {Promise<object|null>} Section ou null si non trouvée ou pas d'accès
    */
-  static async findById(id, userId) {
+  static async findById(id, userId, access = 'view') {
     const result = await pool.query(
       `SELECT s.id, s.page_id, s.name, s.position, s.collapsed, s.created_at, s.updated_at
        FROM sections s
        INNER JOIN pages p ON s.page_id = p.id
-       WHERE s.id = $1 AND p.user_id = $2`,
+       WHERE s.id = $1 AND ${pageAccessCondition('p', '$2', access)} AND s.deleted_at IS NULL`,
       [id, userId]
     );
 
@@ -91,7 +95,7 @@ class Section {
     const result = await pool.query(
       `SELECT id, page_id, name, position, collapsed, created_at, updated_at
        FROM sections
-       WHERE page_id = $1 AND LOWER(name) = LOWER($2)`,
+       WHERE page_id = $1 AND LOWER(name) = LOWER($2) AND deleted_at IS NULL`,
       [pageId, name]
     );
 
@@ -101,7 +105,7 @@ class Section {
   /**
    * Mettre à jour une section
    * @param {string} id - UUID de la section
-   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @param {string} userId - UUID du user (pour vérification des permissions)
    * @param {object} updates - { name?, collapsed? }
    * @returns {Promise<object|null>} Section mise à jour ou null
    */
@@ -124,7 +128,7 @@ class Section {
 
     // Si aucun champ à update, retourner la section existante
     if (fields.length === 0) {
-      return this.findById(id, userId);
+      return this.findById(id, userId, 'edit');
     }
 
     // Ajouter updated_at
@@ -139,7 +143,8 @@ class Section {
       FROM pages p
       WHERE s.id = $${paramCount++}
         AND s.page_id = p.id
-        AND p.user_id = $${paramCount}
+        AND s.deleted_at IS NULL
+        AND ${pageAccessCondition('p', `$${paramCount}`, 'edit')}
       RETURNING s.id, s.page_id, s.name, s.position, s.collapsed, s.created_at, s.updated_at
     `;
 
@@ -151,7 +156,7 @@ class Section {
   /**
    * Supprimer une section
    * @param {string} id - UUID de la section
-   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @param {string} userId - UUID du user (pour vérification des permissions)
    * @returns {Promise<boolean>} True si supprimé, false sinon
    */
   static async delete(id, userId) {
@@ -160,7 +165,7 @@ class Section {
        USING pages p
        WHERE s.id = $1
          AND s.page_id = p.id
-         AND p.user_id = $2`,
+         AND ${pageAccessCondition('p', '$2', 'edit')}`,
       [id, userId]
     );
 
@@ -216,7 +221,7 @@ class Section {
    */
   static async countByPage(pageId) {
     const result = await pool.query(
-      'SELECT COUNT(*) as count FROM sections WHERE page_id = $1',
+      'SELECT COUNT(*) as count FROM sections WHERE page_id = $1 AND deleted_at IS NULL',
       [pageId]
     );
 
@@ -226,7 +231,7 @@ class Section {
   /**
    * Inverser l'état collapsed d'une section (replier/déplier)
    * @param {string} id - UUID de la section
-   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @param {string} userId - UUID du user (pour vérification des permissions)
    * @returns {Promise<object|null>} Section mise à jour ou null
    */
   static async toggleCollapsed(id, userId) {
@@ -236,7 +241,8 @@ class Section {
        FROM pages p
        WHERE s.id = $1
          AND s.page_id = p.id
-         AND p.user_id = $2
+         AND s.deleted_at IS NULL
+         AND ${pageAccessCondition('p', '$2', 'edit')}
        RETURNING s.id, s.page_id, s.name, s.position, s.collapsed, s.created_at, s.updated_at`,
       [id, userId]
     );
@@ -1,5 +1,8 @@
 const Section = require('./sections.model');
 const Page = require('../pages/pages.model');
+const trashService = require('../trash/trash.service');
+const activityService = require('../activity/activity.service');
+const realtimeService = require('../realtime/realtime.service');
 
 /**
  * Sections Service
@@ -23,7 +26,7 @@ class SectionsService {
     }
 
     // Validation: vérifier que la page existe et appartient au user
-    const page = await Page.findById(pageId, userId);
+    const page = await Page.findById(pageId, userId, 'edit');
     if (!page) {
       throw new Error('Page not found or access denied');
     }
@@ -49,6 +52,18 @@ class SectionsService {
       name: name.trim()
     });
 
+    await activityService.log(userId, {
+      action: 'create',
+      entityType: 'section',
+      entityId: section.id,
+      entityName: section.name,
+      details: { location: { page_id: page.id, page_name: page.name } }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'section', action: 'create', id: section.id, parentIds: [pageId], data: section
+    }, { type: 'page', ids: [pageId] });
+
     return section;
   }
 
@@ -98,7 +113,7 @@ class SectionsService {
     const { name, collapsed } = updates;
 
     // Vérifier que la section existe et appartient au user (via page)
-    const existing = await Section.findById(sectionId, userId);
+    const existing = await Section.findById(sectionId, userId, 'edit');
     if (!existing) {
       throw new Error('Section not found or access denied');
     }
@@ -144,11 +159,27 @@ class SectionsService {
       throw new Error('Failed to update section');
     }
 
+    // Replier/déplier n'est pas une modification du contenu
+    const changes = activityService.diff(existing, updated, ['name']);
+    if (Object.keys(changes).length > 0) {
+      await activityService.log(userId, {
+        action: 'update',
+        entityType: 'section',
+        entityId: sectionId,
+        entityName: updated.name,
+        details: { changes }
+      });
+    }
+
+    await realtimeService.publish(userId, {
+      entity: 'section', action: 'update', id: sectionId, parentIds: [updated.page_id], data: updated
+    }, { type: 'page', ids: [updated.page_id] });
+
     return updated;
   }
 
   /**
-   * Supprimer une section
+   * Supprimer une section (mise à la corbeille avec ses groups/bookmarks)
    * @param {string} sectionId - UUID de la section
    * @param {string} userId - UUID du user
    * @returns {Promise<boolean>} True si supprimé
@@ -156,19 +187,24 @@ class SectionsService {
    */
   async deleteSection(sectionId, userId) {
     // Vérifier que la section existe et appartient au user
-    const existing = await Section.findById(sectionId, userId);
+    const existing = await Section.findById(sectionId, userId, 'edit');
     if (!existing) {
       throw new Error('Section not found or access denied');
     }
 
-    // TODO Itération 4: Gérer les groups/bookmarks enfants
-    // Pour l'instant, CASCADE supprimera automatiquement (à définir dans migrations futures)
+    const trashItem = await trashService.moveToTrash(userId, 'section', sectionId);
 
-    const deleted = await Section.delete(sectionId, userId);
+    await activityService.log(userId, {
+      action: 'delete',
+      entityType: 'section',
+      entityId: sectionId,
+      entityName: existing.name,
+      details: { trash_id: trashItem.id, location: trashItem.location }
+    });
 
-    if (!deleted) {
-      throw new Error('Failed to delete section');
-    }
+    await realtimeService.publish(userId, {
+      entity: 'section', action: 'delete', id: sectionId, parentIds: [existing.page_id]
+    }, { type: 'page', ids: [existing.page_id] });
 
     return true;
   }
@@ -188,7 +224,7 @@ class SectionsService {
     }
 
     // Validation: vérifier que la page existe et appartient au user
-    const page = await Page.findById(pageId, userId);
+    const page = await Page.findById(pageId, userId, 'edit');
     if (!page) {
       throw new Error('Page not found or access denied');
     }
@@ -216,6 +252,18 @@ class SectionsService {
     // Réorganiser
     const reordered = await Section.reorderPositions(pageId, sectionIds);
 
+    await activityService.log(userId, {
+      action: 'reorder',
+      entityType: 'section',
+      entityId: pageId,
+      entityName: page.name,
+      details: { parent_type: 'page', count: sectionIds.length }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: 'section', action: 'reorder', parentIds: [pageId]
+    }, { type: 'page', ids: [pageId] });
+
     return reordered;
   }
 
@@ -228,7 +276,7 @@ class SectionsService {
    */
   async toggleSectionCollapsed(sectionId, userId) {
     // Vérifier que la section existe et appartient au user
-    const existing = await Section.findById(sectionId, userId);
+    const existing = await Section.findById(sectionId, userId, 'edit');
     if (!existing) {
       throw new Error('Section not found or access denied');
     }
@@ -240,6 +288,10 @@ class SectionsService {
       throw new Error('Failed to toggle section collapsed state');
     }
 
+    await realtimeService.publish(userId, {
+      entity: 'section', action: 'update', id: sectionId, parentIds: [updated.page_id], data: updated
+    }, { type: 'page', ids: [updated.page_id] });
+
     return updated;
   }
 
@@ -0,0 +1,94 @@
+const tagsService = require('./tags.service');
+
+/**
+ * Tags Controller
+ * Gère les requêtes HTTP pour les endpoints /api/tags
+ */
+class TagsController {
+  /**
+   * GET /api/tags
+   * Récupérer tous les tags du user connecté avec leur nombre de bookmarks
+   */
+  async getAll(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const tags = await tagsService.getUserTags(userId);
+
+      res.json({
+        success: true,
+        data: {
+          tags,
+          count: tags.length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/tags/:id
+   * Renommer un tag
+   * Body: { name }
+   */
+  async update(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+      const { name } = req.body;
+
+      const tag = await tagsService.renameTag(userId, id, name);
+
+      res.json({
+        success: true,
+        data: { tag }
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (error.message.includes('required') || error.message.includes('must be')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/tags/:id
+   * Supprimer un tag (retiré de tous les bookmarks)
+   */
+  async delete(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      await tagsService.deleteTag(userId, id);
+
+      res.status(204).send();
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('access denied')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = new TagsController();
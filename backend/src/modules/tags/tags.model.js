@@ -0,0 +1,255 @@
+const pool = require('../../shared/config/database');
+const { pageAccessCondition } = require('../workspaces/workspaceAccess');
+
+/**
+ * Tags Model
+ * Gère les opérations CRUD pour les tables tags et bookmark_tags
+ * Un tag appartient à un user et peut être lié à N bookmarks (many-to-many)
+ */
+class Tag {
+  /**
+   * Récupérer tous les tags d'un user avec le nombre de bookmarks liés (encore accessibles)
+   * @param {string} userId - UUID du user
+   * @returns {Promise<Array>} Liste des tags { id, name, bookmark_count, created_at } triés par nom
+   */
+  static async findAllByUser(userId) {
+    const result = await pool.query(
+      `SELECT t.id, t.name, t.created_at, COUNT(b.id)::int AS bookmark_count
+       FROM tags t
+       LEFT JOIN bookmark_tags bt ON bt.tag_id = t.id
+       LEFT JOIN (
+         bookmarks b
+         INNER JOIN groups g ON b.group_id = g.id
+         INNER JOIN sections s ON g.section_id = s.id
+         INNER JOIN pages p ON s.page_id = p.id
+       ) ON b.id = bt.bookmark_id AND b.deleted_at IS NULL AND ${pageAccessCondition('p', '$1')}
+       WHERE t.user_id = $1
+       GROUP BY t.id
+       ORDER BY LOWER(t.name) ASC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Récupérer un tag par ID
+   * @param {string} id - UUID du tag
+   * @param {string} userId - UUID du user (pour vérification ownership)
+   * @returns {Promise<object|null>} Tag ou null si non trouvé
+   */
+  static async findById(id, userId) {
+    const result = await pool.query(
+      'SELECT id, user_id, name, created_at FROM tags WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Trouver un tag par nom (case-insensitive) pour un user
+   * @param {string} userId - UUID du user
+   * @param {string} name - Nom du tag
+   * @returns {Promise<object|null>} Tag ou null si non trouvé
+   */
+  static async findByName(userId, name) {
+    const result = await pool.query(
+      'SELECT id, user_id, name, created_at FROM tags WHERE user_id = $1 AND LOWER(name) = LOWER($2)',
+      [userId, name]
+    );
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Récupérer les tags de plusieurs bookmarks en une seule requête
+   * @param {Array<string>} bookmarkIds - UUIDs des bookmarks
+   * @returns {Promise<object>} Map { bookmarkId: [{ id, name }] }
+   */
+  static async findByBookmarkIds(bookmarkIds) {
+    const tagsByBookmark = {};
+    if (!bookmarkIds || bookmarkIds.length === 0) {
+      return tagsByBookmark;
+    }
+
+    const result = await pool.query(
+      `SELECT bt.bookmark_id, t.id, t.name
+       FROM bookmark_tags bt
+       INNER JOIN tags t ON bt.tag_id = t.id
+       WHERE bt.bookmark_id = ANY($1::uuid[])
+       ORDER BY LOWER(t.name) ASC`,
+      [bookmarkIds]
+    );
+
+    for (const row of result.rows) {
+      if (!tagsByBookmark[row.bookmark_id]) {
+        tagsByBookmark[row.bookmark_id] = [];
+      }
+      tagsByBookmark[row.bookmark_id].push({ id: row.id, name: row.name });
+    }
+
+    return tagsByBookmark;
+  }
+
+  /**
+   * Remplacer les tags d'un bookmark (crée les tags manquants)
+   * @param {string} userId - UUID du user propriétaire des tags
+   * @param {string} bookmarkId - UUID du bookmark
+   * @param {Array<string>} names - Noms des tags (déjà validés et dédoublonnés)
+   * @param {object} db - Client pg d'une transaction en cours (default: pool, transaction propre)
+   * @returns {Promise<Array>} Tags liés au bookmark [{ id, name }]
+   */
+  static async setBookmarkTags(userId, bookmarkId, names, db = null) {
+    // Réutiliser la transaction de l'appelant si fournie
+    if (db) {
+      return this._setBookmarkTags(db, userId, bookmarkId, names);
+    }
+
+    let client;
+
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const tags = await this._setBookmarkTags(client, userId, bookmarkId, names);
+
+      await client.query('COMMIT');
+      return tags;
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Rollback failed:', rollbackError.message);
+        }
+      }
+      throw error;
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Implémentation de setBookmarkTags sur un client donné
+   * @private
+   */
+  static async _setBookmarkTags(db, userId, bookmarkId, names) {
+    await db.query('DELETE FROM bookmark_tags WHERE bookmark_id = $1', [bookmarkId]);
+
+    if (names.length === 0) {
+      return [];
+    }
+
+    // Créer les tags qui n'existent pas encore (unique sur user_id + LOWER(name))
+    await db.query(
+      `INSERT INTO tags (user_id, name)
+       SELECT $1, name FROM UNNEST($2::text[]) AS name
+       ON CONFLICT (user_id, LOWER(name)) DO NOTHING`,
+      [userId, names]
+    );
+
+    const tagsResult = await db.query(
+      `SELECT id, name FROM tags
+       WHERE user_id = $1 AND LOWER(name) = ANY($2::text[])
+       ORDER BY LOWER(name) ASC`,
+      [userId, names.map(name => name.toLowerCase())]
+    );
+
+    await db.query(
+      `INSERT INTO bookmark_tags (bookmark_id, tag_id)
+       SELECT $1, UNNEST($2::uuid[])
+       ON CONFLICT DO NOTHING`,
+      [bookmarkId, tagsResult.rows.map(tag => tag.id)]
+    );
+
+    return tagsResult.rows;
+  }
+
+  /**
+   * Lier des tags à plusieurs bookmarks neufs en trois requêtes (imports)
+   * Crée les tags manquants; les liens existants sont conservés
+   * @param {string} userId - UUID du user propriétaire des tags
+   * @param {Array<object>} entries - [{ bookmarkId, names }]
+   * @param {object} db - Client pg d'une transaction en cours (default: pool)
+   * @returns {Promise<number>} Nombre de liens créés
+   */
+  static async addTagsToBookmarks(userId, entries, db = pool) {
+    const tagged = entries.filter(entry => entry.names.length > 0);
+    if (tagged.length === 0) return 0;
+
+    const names = [...new Map(
+      tagged.flatMap(entry => entry.names).map(name => [name.toLowerCase(), name])
+    ).values()];
+
+    await db.query(
+      `INSERT INTO tags (user_id, name)
+       SELECT $1, name FROM UNNEST($2::text[]) AS name
+       ON CONFLICT (user_id, LOWER(name)) DO NOTHING`,
+      [userId, names]
+    );
+
+    const tagsResult = await db.query(
+      `SELECT id, LOWER(name) AS key FROM tags
+       WHERE user_id = $1 AND LOWER(name) = ANY($2::text[])`,
+      [userId, names.map(name => name.toLowerCase())]
+    );
+    const tagIdByKey = new Map(tagsResult.rows.map(tag => [tag.key, tag.id]));
+
+    const bookmarkIds = [];
+    const tagIds = [];
+    for (const entry of tagged) {
+      const entryTagIds = new Set(entry.names.map(name => tagIdByKey.get(name.toLowerCase())).filter(Boolean));
+      for (const tagId of entryTagIds) {
+        bookmarkIds.push(entry.bookmarkId);
+        tagIds.push(tagId);
+      }
+    }
+
+    const result = await db.query(
+      `INSERT INTO bookmark_tags (bookmark_id, tag_id)
+       SELECT * FROM UNNEST($1::uuid[], $2::uuid[])
+       ON CONFLICT DO NOTHING`,
+      [bookmarkIds, tagIds]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Renommer un tag
+   * @param {string} id - UUID du tag
+   * @param {string} userId - UUID du user
+   * @param {string} name - Nouveau nom
+   * @returns {Promise<object|null>} Tag mis à jour ou null si non trouvé
+   */
+  static async rename(id, userId, name) {
+    const result = await pool.query(
+      `UPDATE tags SET name = $3
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, user_id, name, created_at`,
+      [id, userId, name]
+    );
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Supprimer un tag (les liaisons bookmark_tags sont supprimées en CASCADE)
+   * @param {string} id - UUID du tag
+   * @param {string} userId - UUID du user
+   * @returns {Promise<boolean>} True si supprimé, false si non trouvé
+   */
+  static async delete(id, userId) {
+    const result = await pool.query(
+      'DELETE FROM tags WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = Tag;
@@ -0,0 +1,21 @@
+const express = require('express');
+const tagsController = require('./tags.controller');
+const authMiddleware = require('../../shared/middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * Routes pour /api/tags
+ * Toutes les routes sont protégées (nécessitent authentification)
+ */
+
+// Récupérer tous les tags du user (avec compteurs)
+router.get('/', authMiddleware, tagsController.getAll);
+
+// Renommer un tag
+router.put('/:id', authMiddleware, tagsController.update);
+
+// Supprimer un tag
+router.delete('/:id', authMiddleware, tagsController.delete);
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const Tag = require('./tags.model');
+
+// Limites de validation
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_BOOKMARK = 20;
+
+/**
+ * Tags Service
+ * Contient la business logic pour la gestion des tags
+ */
+class TagsService {
+  /**
+   * Récupérer tous les tags du user avec leur nombre de bookmarks
+   * @param {string} userId - UUID du user
+   * @returns {Promise<Array>} Liste des tags
+   */
+  async getUserTags(userId) {
+    const tags = await Tag.findAllByUser(userId);
+    return tags;
+  }
+
+  /**
+   * Valider et normaliser une liste de noms de tags
+   * Trim, suppression des vides, dédoublonnage case-insensitive (garde la 1ère casse)
+   * @param {Array<string>} tags - Noms bruts (body de la requête)
+   * @returns {Array<string>} Noms normalisés
+   * @throws {Error} Si validation échoue
+   */
+  normalizeTagNames(tags) {
+    if (!Array.isArray(tags)) {
+      throw new Error('Tags must be an array of strings');
+    }
+
+    const seen = new Set();
+    const names = [];
+
+    for (const tag of tags) {
+      if (typeof tag !== 'string') {
+        throw new Error('Tags must be an array of strings');
+      }
+
+      // "#docs" et "docs" désignent le même tag
+      const name = tag.trim().replace(/^#+/, '').trim();
+      if (name.length === 0) continue;
+
+      if (name.length > MAX_TAG_LENGTH) {
+        throw new Error(`Tag name must be ${MAX_TAG_LENGTH} characters or less`);
+      }
+
+      const key = name.toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        names.push(name);
+      }
+    }
+
+    if (names.length > MAX_TAGS_PER_BOOKMARK) {
+      throw new Error(`Tags list must be ${MAX_TAGS_PER_BOOKMARK} items or less`);
+    }
+
+    return names;
+  }
+
+  /**
+   * Remplacer les tags d'un bookmark
+   * Note: ownership du bookmark vérifiée par l'appelant (bookmarks.service)
+   * @param {string} userId - UUID du user
+   * @param {string} bookmarkId - UUID du bookmark
+   * @param {Array<string>} tags - Noms des tags
+   * @param {object} db - Client pg optionnel (transaction en cours)
+   * @returns {Promise<Array>} Tags liés [{ id, name }]
+   */
+  async setBookmarkTags(userId, bookmarkId, tags, db = null) {
+    const names = this.normalizeTagNames(tags);
+    const linkedTags = await Tag.setBookmarkTags(userId, bookmarkId, names, db);
+    return linkedTags;
+  }
+
+  /**
+   * Ajouter la propriété tags à une liste de bookmarks (une seule requête)
+   * @param {Array<object>} bookmarks - Bookmarks sans tags
+   * @returns {Promise<Array<object>>} Bookmarks avec tags: [{ id, name }]
+   */
+  async attachTags(bookmarks) {
+    if (!bookmarks || bookmarks.length === 0) {
+      return bookmarks;
+    }
+
+    const tagsByBookmark = await Tag.findByBookmarkIds(bookmarks.map(b => b.id));
+
+    return bookmarks.map(bookmark => ({
+      ...bookmark,
+      tags: tagsByBookmark[bookmark.id] || []
+    }));
+  }
+
+  /**
+   * Renommer un tag
+   * @param {string} userId - UUID du user
+   * @param {string} tagId - UUID du tag
+   * @param {string} name - Nouveau nom
+   * @returns {Promise<object>} Tag mis à jour
+   * @throws {Error} Si validation échoue, tag non trouvé ou nom déjà pris
+   */
+  async renameTag(userId, tagId, name) {
+    const [normalized] = this.normalizeTagNames([name || '']);
+    if (!normalized) {
+      throw new Error('Tag name is required');
+    }
+
+    const existingTag = await Tag.findById(tagId, userId);
+    if (!existingTag) {
+      throw new Error('Tag not found or access denied');
+    }
+
+    // Vérifier qu'un autre tag ne porte pas déjà ce nom
+    const duplicate = await Tag.findByName(userId, normalized);
+    if (duplicate && duplicate.id !== tagId) {
+      throw new Error('A tag with this name already exists');
+    }
+
+    return Tag.rename(tagId, userId, normalized);
+  }
+
+  /**
+   * Supprimer un tag (retiré de tous les bookmarks)
+   * @param {string} userId - UUID du user
+   * @param {string} tagId - UUID du tag
+   * @returns {Promise<boolean>} True si supprimé
+   * @throws {Error} Si tag non trouvé
+   */
+  async deleteTag(userId, tagId) {
+    const deleted = await Tag.delete(tagId, userId);
+    if (!deleted) {
+      throw new Error('Tag not found or access denied');
+    }
+
+    return true;
+  }
+}
+
+module.exports = new TagsService();
@@ -0,0 +1,126 @@
+const trashService = require('./trash.service');
+
+/**
+ * Statut HTTP d'une erreur du service (accès perdu sur la page d'origine → 403)
+ * (les méthodes du controller sont passées au router sans leur instance)
+ */
+function errorStatus(error) {
+  const message = error.message || '';
+  if (message.startsWith('Access denied')) return 403;
+  if (message.includes('not found') || message.includes('access denied')) return 404;
+  return 500;
+}
+
+/**
+ * Trash Controller
+ * Gère les requêtes HTTP pour la corbeille
+ */
+class TrashController {
+  /**
+   * GET /api/trash
+   * Lister les éléments supprimés (avec leurs sous-arbres)
+   */
+  async getAll(req, res) {
+    try {
+      const userId = req.userId;
+
+      const trash = await trashService.getTrash(userId);
+
+      res.status(200).json({
+        success: true,
+        data: trash,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in getAll trash:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch trash',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/trash/:id/restore
+   * Restaurer un élément (emplacement d'origine ou parent de secours)
+   */
+  async restore(req, res) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+
+      const result = await trashService.restore(userId, id);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: result.fallback
+          ? `${result.name} restored (original location no longer exists)`
+          : `${result.name} restored`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in restore trash:', error);
+      res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to restore item',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/trash/:id
+   * Supprimer définitivement un élément de la corbeille
+   */
+  async deleteOne(req, res) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+
+      await trashService.deletePermanently(userId, id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Item permanently deleted',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in deleteOne trash:', error);
+      res.status(errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to delete item',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/trash
+   * Vider la corbeille
+   */
+  async empty(req, res) {
+    try {
+      const userId = req.userId;
+
+      const deleted = await trashService.emptyTrash(userId);
+
+      res.status(200).json({
+        success: true,
+        data: { deleted },
+        message: `${deleted} item(s) permanently deleted`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error in empty trash:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to empty trash',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = new TrashController();
@@ -0,0 +1,410 @@
+const pool = require('../../shared/config/database');
+const { pageAccessCondition } = require('../workspaces/workspaceAccess');
+
+// Table et colonne parent de chaque niveau de la hiérarchie
+const LEVELS = {
+  page: { table: 'pages', parentColumn: null },
+  section: { table: 'sections', parentColumn: 'page_id' },
+  group: { table: 'groups', parentColumn: 'section_id' },
+  bookmark: { table: 'bookmarks', parentColumn: 'group_id' }
+};
+
+// Élément à mettre à la corbeille + emplacement d'origine (vérifie les permissions:
+// 'manage' pour une page, 'edit' pour son contenu)
+const ITEM_QUERIES = {
+  page: `SELECT p.id, p.name, NULL::uuid AS parent_id, p.position, NULL::int AS "column",
+                p.name AS page_name, NULL AS section_name, NULL AS group_name
+         FROM pages p
+         WHERE p.id = $1 AND ${pageAccessCondition('p', '$2', 'manage')} AND p.deleted_at IS NULL`,
+  section: `SELECT s.id, s.name, s.page_id AS parent_id, s.position, NULL::int AS "column",
+                   p.name AS page_name, s.name AS section_name, NULL AS group_name
+            FROM sections s
+            INNER JOIN pages p ON s.page_id = p.id
+            WHERE s.id = $1 AND ${pageAccessCondition('p', '$2', 'edit')} AND s.deleted_at IS NULL`,
+  group: `SELECT g.id, g.name, g.section_id AS parent_id, g.position, NULL::int AS "column",
+                 p.name AS page_name, s.name AS section_name, g.name AS group_name
+          FROM groups g
+          INNER JOIN sections s ON g.section_id = s.id
+          INNER JOIN pages p ON s.page_id = p.id
+          WHERE g.id = $1 AND ${pageAccessCondition('p', '$2', 'edit')} AND g.deleted_at IS NULL`,
+  bookmark: `SELECT b.id, b.title AS name, b.group_id AS parent_id, b.position, b."column",
+                    p.name AS page_name, s.name AS section_name, g.name AS group_name
+             FROM bookmarks b
+             INNER JOIN groups g ON b.group_id = g.id
+             INNER JOIN sections s ON g.section_id = s.id
+             INNER JOIN pages p ON s.page_id = p.id
+             WHERE b.id = $1 AND ${pageAccessCondition('p', '$2', 'edit')} AND b.deleted_at IS NULL`
+};
+
+// Page d'origine d'une entrée de corbeille "t" (la racine garde ses colonnes parent une fois supprimée)
+const ITEM_PAGE_ID = `CASE t.item_type
+  WHEN 'page' THEN t.item_id
+  WHEN 'section' THEN (SELECT page_id FROM sections WHERE id = t.item_id)
+  WHEN 'group' THEN (
+    SELECT s.page_id FROM groups g INNER JOIN sections s ON g.section_id = s.id WHERE g.id = t.item_id
+  )
+  ELSE (
+    SELECT s.page_id FROM bookmarks b
+    INNER JOIN groups g ON b.group_id = g.id
+    INNER JOIN sections s ON g.section_id = s.id
+    WHERE b.id = t.item_id
+  )
+END`;
+
+// Le user a encore sur la page d'origine "p" l'accès exigé à la mise à la corbeille
+// ('manage' pour une page, 'edit' pour son contenu); entrée orpheline (page purgée): rien à protéger
+function canModifyCondition(userParam) {
+  return `(p.id IS NULL OR COALESCE(
+    CASE WHEN t.item_type = 'page'
+      THEN ${pageAccessCondition('p', userParam, 'manage')}
+      ELSE ${pageAccessCondition('p', userParam, 'edit')}
+    END, false))`;
+}
+
+/**
+ * Trash Model
+ * Gère la table trash_items et le soft delete (deleted_at + trash_id)
+ * des pages, sections, groups et bookmarks
+ */
+class Trash {
+  /**
+   * Mettre un élément et son sous-arbre à la corbeille
+   * Les descendants déjà à la corbeille gardent leur propre entrée.
+   * @param {string} userId - UUID du user
+   * @param {string} itemType - 'page' | 'section' | 'group' | 'bookmark'
+   * @param {string} itemId - UUID de l'élément
+   * @param {object} db - Client pg d'une transaction en cours (default: pool, transaction propre)
+   * @returns {Promise<object|null>} Entrée de corbeille ou null si élément non trouvé
+   */
+  static async moveToTrash(userId, itemType, itemId, db = null) {
+    const trashItem = db
+      ? await this._moveToTrash(db, userId, itemType, itemId)
+      : await this.withTransaction(client => this._moveToTrash(client, userId, itemType, itemId));
+
+    return trashItem;
+  }
+
+  /**
+   * Implémentation de moveToTrash sur un client donné
+   * @private
+   */
+  static async _moveToTrash(db, userId, itemType, itemId) {
+    const itemResult = await db.query(ITEM_QUERIES[itemType], [itemId, userId]);
+    const item = itemResult.rows[0];
+    if (!item) {
+      return null;
+    }
+
+    const trashResult = await db.query(
+      `INSERT INTO trash_items (user_id, item_type, item_id, name, parent_id, position, "column", location)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, user_id, item_type, item_id, name, parent_id, position, "column", location, deleted_at`,
+      [
+        userId,
+        itemType,
+        itemId,
+        item.name,
+        item.parent_id,
+        item.position,
+        item.column,
+        JSON.stringify({
+          page_name: item.page_name,
+          section_name: item.section_name,
+          group_name: item.group_name
+        })
+      ]
+    );
+    const trashItem = trashResult.rows[0];
+    const params = [itemId, trashItem.id, trashItem.deleted_at];
+
+    // Racine
+    await db.query(
+      `UPDATE ${LEVELS[itemType].table} SET deleted_at = $3, trash_id = $2 WHERE id = $1`,
+      params
+    );
+
+    // Sous-arbre (éléments encore actifs uniquement)
+    if (itemType === 'page') {
+      await db.query(
+        `UPDATE sections SET deleted_at = $3, trash_id = $2
+         WHERE page_id = $1 AND deleted_at IS NULL`,
+        params
+      );
+      await db.query(
+        `UPDATE groups SET deleted_at = $3, trash_id = $2
+         WHERE section_id IN (SELECT id FROM sections WHERE page_id = $1) AND deleted_at IS NULL`,
+        params
+      );
+      await db.query(
+        `UPDATE bookmarks SET deleted_at = $3, trash_id = $2
+         WHERE group_id IN (
+           SELECT g.id FROM groups g INNER JOIN sections s ON g.section_id = s.id WHERE s.page_id = $1
+         ) AND deleted_at IS NULL`,
+        params
+      );
+    } else if (itemType === 'section') {
+      await db.query(
+        `UPDATE groups SET deleted_at = $3, trash_id = $2
+         WHERE section_id = $1 AND deleted_at IS NULL`,
+        params
+      );
+      await db.query(
+        `UPDATE bookmarks SET deleted_at = $3, trash_id = $2
+         WHERE group_id IN (SELECT id FROM groups WHERE section_id = $1) AND deleted_at IS NULL`,
+        params
+      );
+    } else if (itemType === 'group') {
+      await db.query(
+        `UPDATE bookmarks SET deleted_at = $3, trash_id = $2
+         WHERE group_id = $1 AND deleted_at IS NULL`,
+        params
+      );
+    }
+
+    // Copies liées à un bookmark mis à la corbeille: lien rompu (comme ON DELETE SET NULL),
+    // leurs clics ne sont plus redirigés et elles redeviennent des doublons visibles
+    await db.query(
+      `UPDATE bookmarks SET canonical_id = NULL
+       WHERE canonical_id IN (SELECT id FROM bookmarks WHERE trash_id = $1)`,
+      [trashItem.id]
+    );
+
+    return trashItem;
+  }
+
+  /**
+   * Lister la corbeille d'un user (entrées dont la racine existe encore)
+   * @param {string} userId - UUID du user
+   * @returns {Promise<Array>} Entrées + nombre de sections/groups/bookmarks supprimés avec elles
+   */
+  static async findAllByUser(userId) {
+    const result = await pool.query(
+      `SELECT t.id, t.item_type, t.item_id, t.name, t.parent_id, t.position, t."column", t.location, t.deleted_at,
+              (SELECT COUNT(*) FROM sections WHERE trash_id = t.id AND id <> t.item_id)::int AS section_count,
+              (SELECT COUNT(*) FROM groups WHERE trash_id = t.id AND id <> t.item_id)::int AS group_count,
+              (SELECT COUNT(*) FROM bookmarks WHERE trash_id = t.id AND id <> t.item_id)::int AS bookmark_count
+       FROM trash_items t
+       WHERE t.user_id = $1
+         AND (
+           EXISTS (SELECT 1 FROM pages WHERE id = t.item_id AND trash_id = t.id)
+           OR EXISTS (SELECT 1 FROM sections WHERE id = t.item_id AND trash_id = t.id)
+           OR EXISTS (SELECT 1 FROM groups WHERE id = t.item_id AND trash_id = t.id)
+           OR EXISTS (SELECT 1 FROM bookmarks WHERE id = t.item_id AND trash_id = t.id)
+         )
+       ORDER BY t.deleted_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Récupérer une entrée de corbeille
+   * @param {string} id - UUID de l'entrée
+   * @param {string} userId - UUID du user
+   * @returns {Promise<object|null>} Entrée ou null
+   *   (workspace_id: workspace de la page d'origine, can_modify: accès encore suffisant sur cette page)
+   */
+  static async findById(id, userId) {
+    const result = await pool.query(
+      `SELECT t.id, t.user_id, t.item_type, t.item_id, t.name, t.parent_id, t.position, t."column", t.location, t.deleted_at,
+              p.workspace_id, ${canModifyCondition('$2')} AS can_modify
+       FROM trash_items t
+       LEFT JOIN pages p ON p.id = ${ITEM_PAGE_ID}
+       WHERE t.id = $1 AND t.user_id = $2`,
+      [id, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Récupérer les descendants supprimés avec des entrées (pour afficher les sous-arbres)
+   * @param {Array<string>} trashIds - UUIDs des entrées
+   * @returns {Promise<object>} { sections, groups, bookmarks }
+   */
+  static async findSubtrees(trashIds) {
+    if (trashIds.length === 0) {
+      return { sections: [], groups: [], bookmarks: [] };
+    }
+
+    const [sections, groups, bookmarks] = await Promise.all([
+      pool.query(
+        `SELECT id, trash_id, page_id, name, position
+         FROM sections WHERE trash_id = ANY($1::uuid[])
+         ORDER BY position ASC`,
+        [trashIds]
+      ),
+      pool.query(
+        `SELECT id, trash_id, section_id, name, position
+         FROM groups WHERE trash_id = ANY($1::uuid[])
+         ORDER BY position ASC`,
+        [trashIds]
+      ),
+      pool.query(
+        `SELECT id, trash_id, group_id, title, url, favicon_url, "column", position
+         FROM bookmarks WHERE trash_id = ANY($1::uuid[])
+         ORDER BY "column" ASC, position ASC`,
+        [trashIds]
+      )
+    ]);
+
+    return {
+      sections: sections.rows,
+      groups: groups.rows,
+      bookmarks: bookmarks.rows
+    };
+  }
+
+  /**
+   * Restaurer une entrée de corbeille (transaction)
+   * - Décale les éléments suivants pour reprendre la position d'origine
+   * - Réactive la racine et son sous-arbre, supprime l'entrée
+   * Note: permissions et emplacement final vérifiés par l'appelant (trash.service)
+   * @param {object} trashItem - Entrée de corbeille
+   * @param {object} target - { parentId, position, column, name } (emplacement final)
+   * @returns {Promise<boolean>} False si la racine n'existe plus (entrée orpheline supprimée)
+   */
+  static async restore(trashItem, target) {
+    const { table, parentColumn } = LEVELS[trashItem.item_type];
+    const isBookmark = trashItem.item_type === 'bookmark';
+
+    const restored = await this.withTransaction(async (client) => {
+      // Libérer la position (parmi les éléments actifs du même parent / de la même colonne,
+      // pour une page: du même workspace ou des pages personnelles)
+      const scope = parentColumn
+        ? `${parentColumn} = $2`
+        : '(workspace_id = $3::uuid OR ($3::uuid IS NULL AND workspace_id IS NULL AND user_id = $2))';
+      await client.query(
+        `UPDATE ${table} SET position = position + 1
+         WHERE ${scope} AND deleted_at IS NULL AND position >= $1${isBookmark ? ' AND "column" = $3' : ''}`,
+        isBookmark
+          ? [target.position, target.parentId, target.column]
+          : parentColumn
+            ? [target.position, target.parentId]
+            : [target.position, trashItem.user_id, trashItem.workspace_id || null]
+      );
+
+      // Racine: emplacement final + nom éventuellement dédoublonné
+      const nameColumn = isBookmark ? 'title' : 'name';
+      const sets = [`${nameColumn} = $2`, 'position = $3', 'deleted_at = NULL', 'trash_id = NULL', 'updated_at = CURRENT_TIMESTAMP'];
+      const values = [trashItem.item_id, target.name, target.position];
+      if (parentColumn) {
+        values.push(target.parentId);
+        sets.push(`${parentColumn} = $${values.length}`);
+      }
+      if (isBookmark) {
+        values.push(target.column);
+        sets.push(`"column" = $${values.length}`);
+      }
+      const root = await client.query(`UPDATE ${table} SET ${sets.join(', ')} WHERE id = $1`, values);
+
+      // Sous-arbre
+      for (const level of Object.values(LEVELS)) {
+        await client.query(
+          `UPDATE ${level.table} SET deleted_at = NULL, trash_id = NULL WHERE trash_id = $1`,
+          [trashItem.id]
+        );
+      }
+
+      // Plus aucune ligne liée: la suppression de l'entrée ne cascade sur rien
+      await client.query('DELETE FROM trash_items WHERE id = $1', [trashItem.id]);
+
+      return root.rowCount > 0;
+    });
+
+    return restored;
+  }
+
+  /**
+   * Supprimer définitivement une entrée (CASCADE: racine + sous-arbre)
+   * @param {string} id - UUID de l'entrée
+   * @param {string} userId - UUID du user
+   * @returns {Promise<boolean>} True si supprimée
+   */
+  static async delete(id, userId) {
+    const result = await pool.query(
+      'DELETE FROM trash_items WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Vider la corbeille d'un user
+   * Les entrées dont il a perdu l'accès à la page d'origine sont conservées (purgées à expiration)
+   * @param {string} userId - UUID du user
+   * @returns {Promise<number>} Nombre d'entrées supprimées
+   */
+  static async deleteAllByUser(userId) {
+    const result = await pool.query(
+      `DELETE FROM trash_items
+       WHERE id IN (
+         SELECT t.id FROM trash_items t
+         LEFT JOIN pages p ON p.id = ${ITEM_PAGE_ID}
+         WHERE t.user_id = $1 AND ${canModifyCondition('$1')}
+       )`,
+      [userId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Purger les entrées expirées et les entrées orphelines
+   * (racine supprimée avec un parent purgé entre-temps)
+   * @param {Date} deletedBefore - Date limite de mise à la corbeille
+   * @returns {Promise<number>} Nombre d'entrées purgées
+   */
+  static async purgeExpired(deletedBefore) {
+    const expired = await pool.query(
+      'DELETE FROM trash_items WHERE deleted_at < $1',
+      [deletedBefore]
+    );
+
+    const orphans = await pool.query(
+      `DELETE FROM trash_items t
+       WHERE NOT EXISTS (SELECT 1 FROM pages WHERE trash_id = t.id)
+         AND NOT EXISTS (SELECT 1 FROM sections WHERE trash_id = t.id)
+         AND NOT EXISTS (SELECT 1 FROM groups WHERE trash_id = t.id)
+         AND NOT EXISTS (SELECT 1 FROM bookmarks WHERE trash_id = t.id)`
+    );
+
+    return expired.rowCount + orphans.rowCount;
+  }
+
+  /**
+   * Exécuter une fonction dans une transaction
+   * @param {function} fn - async (client) => result
+   * @returns {Promise<*>} Résultat de fn
+   * @private
+   */
+  static async withTransaction(fn) {
+    let client;
+
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const result = await fn(client);
+
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Rollback failed:', rollbackError.message);
+        }
+      }
+      throw error;
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+}
+
+module.exports = Trash;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('./trash.controller');
+const authMiddleware = require('../../shared/middleware/auth.middleware');
+
+/**
+ * Trash Routes
+ * All routes require authentication (JWT token)
+ */
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/trash
+ * Lister les éléments supprimés (pages, sections, groups, bookmarks) + sous-arbres
+ */
+router.get('/', trashController.getAll);
+
+/**
+ * POST /api/trash/:id/restore
+ * Restaurer un élément et son sous-arbre
+ */
+router.post('/:id/restore', trashController.restore);
+
+/**
+ * DELETE /api/trash/:id
+ * Supprimer définitivement un élément
+ */
+router.delete('/:id', trashController.deleteOne);
+
+/**
+ * DELETE /api/trash
+ * Vider la corbeille
+ */
+router.delete('/', trashController.empty);
+
+module.exports = router;
@@ -0,0 +1,355 @@
+const Trash = require('./trash.model');
+const Page = require('../pages/pages.model');
+const Section = require('../sections/sections.model');
+const Group = require('../groups/groups.model');
+const Bookmark = require('../bookmarks/bookmarks.model');
+const importService = require('../import/importService');
+const activityService = require('../activity/activity.service');
+const realtimeService = require('../realtime/realtime.service');
+
+// Durée de conservation avant purge automatique (surchargeable par variable d'environnement)
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const PURGE_INTERVAL_MINUTES = 60;
+
+const ITEM_TYPES = ['page', 'section', 'group', 'bookmark'];
+const PARENT_TYPES = { section: 'page', group: 'section', bookmark: 'group' };
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Conteneurs créés si le parent d'origine n'existe plus
+const FALLBACK_PAGE_NAME = 'Restored';
+const FALLBACK_SECTION_NAME = 'Restored';
+const FALLBACK_GROUP_NAME = '♻️ Restored';
+
+/**
+ * Trash Service
+ * Soft delete des 4 niveaux de la hiérarchie, restauration à l'emplacement
+ * d'origine (ou dans un parent de secours) et purge après RETENTION_DAYS
+ */
+class TrashService {
+  constructor() {
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Mettre un élément (et son sous-arbre) à la corbeille
+   * @param {string} userId - UUID du user
+   * @param {string} itemType - 'page' | 'section' | 'group' | 'bookmark'
+   * @param {string} itemId - UUID de l'élément
+   * @param {object} db - Client pg d'une transaction en cours (optionnel)
+   * @returns {Promise<object>} Entrée de corbeille
+   * @throws {Error} Si élément non trouvé ou pas owned par user
+   */
+  async moveToTrash(userId, itemType, itemId, db = null) {
+    if (!ITEM_TYPES.includes(itemType)) {
+      throw new Error(`Item type must be one of: ${ITEM_TYPES.join(', ')}`);
+    }
+
+    const trashItem = await Trash.moveToTrash(userId, itemType, itemId, db);
+    if (!trashItem) {
+      throw new Error(`${this.label(itemType)} not found or access denied`);
+    }
+
+    return trashItem;
+  }
+
+  /**
+   * Contenu de la corbeille avec les sous-arbres supprimés
+   * @param {string} userId - UUID du user
+   * @returns {Promise<object>} { items, retention_days }
+   */
+  async getTrash(userId) {
+    const items = await Trash.findAllByUser(userId);
+    const subtrees = await Trash.findSubtrees(items.map(item => item.id));
+
+    const byParent = (rows, key) => rows.reduce((acc, row) => {
+      (acc[row[key]] = acc[row[key]] || []).push(row);
+      return acc;
+    }, {});
+    const groupsBySection = byParent(subtrees.groups, 'section_id');
+    const bookmarksByGroup = byParent(subtrees.bookmarks, 'group_id');
+
+    const toBookmark = ({ id, title, url, favicon_url }) => ({ id, title, url, favicon_url });
+    const toGroup = (group) => ({
+      id: group.id,
+      name: group.name,
+      bookmarks: (bookmarksByGroup[group.id] || [])
+        .filter(bookmark => bookmark.trash_id === group.trash_id)
+        .map(toBookmark)
+    });
+    const toSection = (section) => ({
+      id: section.id,
+      name: section.name,
+      groups: (groupsBySection[section.id] || [])
+        .filter(group => group.trash_id === section.trash_id)
+        .map(toGroup)
+    });
+
+    return {
+      retention_days: RETENTION_DAYS,
+      items: items.map((item) => {
+        const children = {};
+        if (item.item_type === 'page') {
+          children.sections = subtrees.sections
+            .filter(section => section.trash_id === item.id && section.page_id === item.item_id)
+            .map(toSection);
+        } else if (item.item_type === 'section') {
+          children.groups = toSection({ id: item.item_id, name: item.name, trash_id: item.id }).groups;
+        } else if (item.item_type === 'group') {
+          children.bookmarks = toGroup({ id: item.item_id, name: item.name, trash_id: item.id }).bookmarks;
+        }
+
+        return {
+          id: item.id,
+          item_type: item.item_type,
+          item_id: item.item_id,
+          name: item.name,
+          location: item.location,
+          deleted_at: item.deleted_at,
+          expires_at: this.getExpiryDate(item.deleted_at),
+          counts: {
+            sections: item.section_count,
+            groups: item.group_count,
+            bookmarks: item.bookmark_count
+          },
+          ...children
+        };
+      })
+    };
+  }
+
+  /**
+   * Restaurer un élément à son emplacement d'origine
+   * Si le parent d'origine n'existe plus (supprimé ou à la corbeille),
+   * l'élément est restauré à la fin d'un parent de secours du même espace
+   * (pages personnelles ou workspace d'origine).
+   * @param {string} userId - UUID du user
+   * @param {string} trashId - UUID de l'entrée de corbeille
+   * @returns {Promise<object>} { item_type, item_id, name, parent_id, fallback }
+   * @throws {Error} Si entrée non trouvée ou accès perdu sur la page d'origine
+   */
+  async restore(userId, trashId) {
+    const trashItem = await this.findTrashItem(userId, trashId);
+    this.requireModifyAccess(trashItem);
+    const type = trashItem.item_type;
+    const workspaceId = trashItem.workspace_id || null;
+
+    // Parent d'origine encore actif ?
+    let parentId = trashItem.parent_id;
+    let fallback = false;
+    if (type === 'section' && !(await Page.findById(parentId, userId, 'edit'))) {
+      parentId = (await this.getFallbackPage(userId, workspaceId)).id;
+      fallback = true;
+    } else if (type === 'group' && !(await Section.findById(parentId, userId, 'edit'))) {
+      parentId = (await this.getFallbackSection(userId, workspaceId)).id;
+      fallback = true;
+    } else if (type === 'bookmark') {
+      const group = await Group.findById(parentId, userId, 'edit');
+      if (!group || group.group_type !== 'manual') {
+        parentId = (await this.getFallbackGroup(userId, workspaceId)).id;
+        fallback = true;
+      }
+    }
+
+    // Nom déjà repris entre-temps → "Nom (2)"
+    let name = trashItem.name;
+    if (type === 'page') {
+      name = await importService.uniqueName(name, candidate => Page.findByName(userId, candidate, trashItem.workspace_id));
+    } else if (type === 'section') {
+      name = await importService.uniqueName(name, candidate => Section.findByName(parentId, candidate));
+    } else if (type === 'group') {
+      name = await importService.uniqueName(name, candidate => Group.findByName(parentId, candidate));
+    }
+
+    const target = {
+      parentId,
+      name,
+      column: type === 'bookmark' ? (fallback ? 1 : trashItem.column || 1) : null,
+      position: fallback ? await this.getNextPosition(userId, type, parentId) : trashItem.position
+    };
+
+    const restored = await Trash.restore(trashItem, target);
+    if (!restored) {
+      throw new Error('Trash item not found or access denied');
+    }
+
+    await activityService.log(userId, {
+      action: 'restore',
+      entityType: type,
+      entityId: trashItem.item_id,
+      entityName: name,
+      details: { parent_id: type === 'page' ? null : parentId, fallback }
+    });
+
+    await realtimeService.publish(userId, {
+      entity: type,
+      action: 'restore',
+      id: trashItem.item_id,
+      parentIds: type === 'page' ? [] : [parentId]
+    }, type === 'page'
+      ? { type: 'page', ids: [trashItem.item_id] }
+      : { type: PARENT_TYPES[type], ids: [parentId] });
+
+    return {
+      item_type: type,
+      item_id: trashItem.item_id,
+      name,
+      parent_id: type === 'page' ? null : parentId,
+      fallback
+    };
+  }
+
+  /**
+   * Supprimer définitivement un élément de la corbeille
+   * @param {string} userId - UUID du user
+   * @param {string} trashId - UUID de l'entrée
+   * @returns {Promise<boolean>} True si supprimé
+   * @throws {Error} Si entrée non trouvée ou accès perdu sur la page d'origine
+   */
+  async deletePermanently(userId, trashId) {
+    const trashItem = await this.findTrashItem(userId, trashId);
+    this.requireModifyAccess(trashItem);
+    return Trash.delete(trashId, userId);
+  }
+
+  /**
+   * Vider la corbeille (entrées dont le user peut encore modifier la page d'origine)
+   * @param {string} userId - UUID du user
+   * @returns {Promise<number>} Nombre d'entrées supprimées
+   */
+  async emptyTrash(userId) {
+    const deleted = await Trash.deleteAllByUser(userId);
+    return deleted;
+  }
+
+  /**
+   * Purger les éléments à la corbeille depuis plus de RETENTION_DAYS
+   * @returns {Promise<number>} Nombre d'entrées purgées
+   */
+  async purgeExpired() {
+    const before = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const purged = await Trash.purgeExpired(before);
+    if (purged > 0) {
+      console.log(`🗑️ Trash purge: ${purged} expired item(s) permanently deleted`);
+    }
+    return purged;
+  }
+
+  /**
+   * Démarrer la purge périodique (une fois au démarrage puis toutes les heures)
+   */
+  startScheduler() {
+    if (this.purgeTimer) {
+      return;
+    }
+
+    const run = () => {
+      this.purgeExpired().catch((error) => {
+        console.error('❌ Trash purge failed:', error.message);
+      });
+    };
+
+    run();
+    this.purgeTimer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+
+    // Ne pas empêcher l'arrêt du process
+    this.purgeTimer.unref();
+    console.log(`🗑️ Trash items are kept ${RETENTION_DAYS} days`);
+  }
+
+  /**
+   * Récupérer une entrée de corbeille du user
+   * @private
+   */
+  async findTrashItem(userId, trashId) {
+    if (!UUID_PATTERN.test(trashId || '')) {
+      throw new Error('Trash item not found or access denied');
+    }
+
+    const trashItem = await Trash.findById(trashId, userId);
+    if (!trashItem) {
+      throw new Error('Trash item not found or access denied');
+    }
+
+    return trashItem;
+  }
+
+  /**
+   * Refuser une entrée dont le user a perdu l'accès à la page d'origine
+   * (rôle retiré ou abaissé dans le workspace, page déplacée)
+   * @private
+   */
+  requireModifyAccess(trashItem) {
+    if (!trashItem.can_modify) {
+      throw new Error(`Access denied: you can no longer edit where this ${trashItem.item_type} was deleted`);
+    }
+  }
+
+  /**
+   * Page de secours: première page active de l'espace, sinon page "Restored" créée
+   * @param {string} userId - UUID du user
+   * @param {string|null} workspaceId - Workspace d'origine (null = pages personnelles)
+   * @private
+   */
+  async getFallbackPage(userId, workspaceId = null) {
+    const [firstPage] = workspaceId ? await Page.findAllByWorkspace(workspaceId) : await Page.findAllByUser(userId);
+    return firstPage || Page.create(userId, { name: FALLBACK_PAGE_NAME, workspace_id: workspaceId });
+  }
+
+  /**
+   * Section de secours: première section de la page de secours, sinon section "Restored" créée
+   * @private
+   */
+  async getFallbackSection(userId, workspaceId = null) {
+    const page = await this.getFallbackPage(userId, workspaceId);
+    const [firstSection] = await Section.findAllByPage(page.id);
+    return firstSection || Section.create(page.id, { name: FALLBACK_SECTION_NAME });
+  }
+
+  /**
+   * Group de secours "♻️ Restored" dans la section de secours (créé si besoin)
+   * @private
+   */
+  async getFallbackGroup(userId, workspaceId = null) {
+    const section = await this.getFallbackSection(userId, workspaceId);
+    const existing = await Group.findByName(section.id, FALLBACK_GROUP_NAME);
+    if (existing && existing.group_type === 'manual') {
+      return existing;
+    }
+
+    const name = await importService.uniqueName(FALLBACK_GROUP_NAME, candidate => Group.findByName(section.id, candidate));
+    return Group.create(section.id, { name, group_type: 'manual' });
+  }
+
+  /**
+   * Position à la fin du parent (restauration dans un parent de secours)
+   * @private
+   */
+  async getNextPosition(userId, type, parentId) {
+    if (type === 'section') return Section.countByPage(parentId);
+    if (type === 'group') return Group.countBySection(parentId);
+    if (type === 'bookmark') {
+      const bookmarks = await Bookmark.findAllByGroup(parentId);
+      return bookmarks.filter(bookmark => bookmark.column === 1).length;
+    }
+    return Page.countByUser(userId);
+  }
+
+  /**
+   * Date de purge automatique d'une entrée
+   * @param {Date} deletedAt - Date de mise à la corbeille
+   * @returns {Date}
+   */
+  getExpiryDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Libellé d'un type d'élément (messages d'erreur)
+   * @private
+   */
+  label(itemType) {
+    return itemType.charAt(0).toUpperCase() + itemType.slice(1);
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,64 @@
+/**
+ * Workspace Access
+ * Rôles des membres d'un workspace et condition SQL d'accès à une page
+ * Utilisée par les models de la hiérarchie (Page → Section → Group → Bookmark)
+ * à la place de la vérification d'ownership "p.user_id = $n"
+ */
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// Rôles autorisés par niveau d'accès
+// - view: lire la page et son contenu
+// - edit: créer/modifier/supprimer sections, groups et bookmarks, renommer la page
+// - manage: supprimer la page, la partager, la déplacer entre workspaces
+const ACCESS_ROLES = {
+  view: ['owner', 'editor', 'viewer'],
+  edit: ['owner', 'editor'],
+  manage: ['owner']
+};
+
+const ACCESS_LEVELS = Object.keys(ACCESS_ROLES);
+
+/**
+ * Condition SQL: le user a l'accès demandé sur la page
+ * - page personnelle (workspace_id NULL): seul pages.user_id y accède, à tous les niveaux
+ * - page de workspace: selon le rôle du user dans workspace_members
+ * Usage: `WHERE s.id = $1 AND ${pageAccessCondition('p', '$2', 'edit')}`
+ * @param {string} pageAlias - Alias SQL de la table pages (ex: 'p')
+ * @param {string} userParam - Placeholder du userId (ex: '$2')
+ * @param {string} access - 'view' | 'edit' | 'manage' (default: 'view')
+ * @returns {string} Condition SQL entre parenthèses
+ */
+function pageAccessCondition(pageAlias, userParam, access = 'view') {
+  const roles = ACCESS_ROLES[access];
+  if (!roles) {
+    throw new Error(`Access level must be one of: ${ACCESS_LEVELS.join(', ')}`);
+  }
+
+  return `(
+    (${pageAlias}.workspace_id IS NULL AND ${pageAlias}.user_id = ${userParam})
+    OR EXISTS (
+      SELECT 1 FROM workspace_members wm
+      WHERE wm.workspace_id = ${pageAlias}.workspace_id
+        AND wm.user_id = ${userParam}
+        AND wm.role IN (${roles.map(role => `'${role}'`).join(', ')})
+    )
+  )`;
+}
+
+/**
+ * Le rôle donne-t-il l'accès demandé ?
+ * @param {string} role - 'owner' | 'editor' | 'viewer'
+ * @param {string} access - 'view' | 'edit' | 'manage'
+ * @returns {boolean}
+ */
+function roleAllows(role, access) {
+  return (ACCESS_ROLES[access] || []).includes(role);
+}
+
+module.exports = {
+  ROLES,
+  ACCESS_LEVELS,
+  pageAccessCondition,
+  roleAllows
+};
@@ -0,0 +1,261 @@
+const workspacesService = require('./workspaces.service');
+
+/**
+ * Réponse d'erreur: statut HTTP déduit du message du service
+ * (les méthodes du controller sont passées au router sans leur instance)
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error(`Error in workspaces (${fallbackMessage}):`, error);
+
+  const message = error.message || '';
+  let status = 500;
+  if (message.includes('not found')) {
+    status = 404;
+  } else if (message.startsWith('Access denied')) {
+    status = 403;
+  } else if (message.includes('already')) {
+    status = 409;
+  } else if (message.includes('required') || message.includes('must be') || message.includes('cannot be')) {
+    status = 400;
+  }
+
+  res.status(status).json({
+    success: false,
+    message: message || fallbackMessage,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Workspaces Controller
+ * Gère les requêtes HTTP pour les workspaces d'équipe, leurs membres et invitations
+ */
+class WorkspacesController {
+  /**
+   * GET /api/workspaces
+   * Workspaces du user (avec son rôle)
+   */
+  async getAll(req, res) {
+    try {
+      const workspaces = await workspacesService.getUserWorkspaces(req.userId);
+
+      res.status(200).json({
+        success: true,
+        data: workspaces,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch workspaces');
+    }
+  }
+
+  /**
+   * POST /api/workspaces
+   * Créer un workspace (body: { name, icon? })
+   */
+  async create(req, res) {
+    try {
+      const workspace = await workspacesService.createWorkspace(req.userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: workspace,
+        message: 'Workspace created successfully',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create workspace');
+    }
+  }
+
+  /**
+   * GET /api/workspaces/:id
+   * Workspace avec ses membres (et invitations en attente pour un owner)
+   */
+  async getOne(req, res) {
+    try {
+      const result = await workspacesService.getWorkspace(req.params.id, req.userId);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch workspace');
+    }
+  }
+
+  /**
+   * PUT /api/workspaces/:id
+   * Renommer un workspace (body: { name?, icon? })
+   */
+  async update(req, res) {
+    try {
+      const workspace = await workspacesService.updateWorkspace(req.params.id, req.userId, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: workspace,
+        message: 'Workspace updated successfully',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update workspace');
+    }
+  }
+
+  /**
+   * DELETE /api/workspaces/:id
+   * Supprimer un workspace et ses pages
+   */
+  async delete(req, res) {
+    try {
+      await workspacesService.deleteWorkspace(req.params.id, req.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Workspace deleted successfully',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete workspace');
+    }
+  }
+
+  /**
+   * POST /api/workspaces/:id/invitations
+   * Inviter un user par email (body: { email, role? })
+   */
+  async invite(req, res) {
+    try {
+      const invitation = await workspacesService.inviteMember(req.params.id, req.userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: invitation,
+        message: `Invitation sent to ${invitation.email}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to invite member');
+    }
+  }
+
+  /**
+   * DELETE /api/workspaces/:id/invitations/:invitationId
+   * Annuler une invitation en attente
+   */
+  async cancelInvitation(req, res) {
+    try {
+      await workspacesService.cancelInvitation(req.params.id, req.userId, req.params.invitationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation cancelled',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to cancel invitation');
+    }
+  }
+
+  /**
+   * PUT /api/workspaces/:id/members/:userId
+   * Changer le rôle d'un membre (body: { role })
+   */
+  async updateMember(req, res) {
+    try {
+      const member = await workspacesService.updateMemberRole(
+        req.params.id,
+        req.userId,
+        req.params.userId,
+        req.body.role
+      );
+
+      res.status(200).json({
+        success: true,
+        data: member,
+        message: 'Member role updated',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update member');
+    }
+  }
+
+  /**
+   * DELETE /api/workspaces/:id/members/:userId
+   * Retirer un membre, ou quitter le workspace (:userId = soi-même)
+   */
+  async removeMember(req, res) {
+    try {
+      await workspacesService.removeMember(req.params.id, req.userId, req.params.userId);
+
+      res.status(200).json({
+        success: true,
+        message: req.params.userId === req.userId ? 'You left the workspace' : 'Member removed',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to remove member');
+    }
+  }
+
+  /**
+   * GET /api/workspaces/invitations
+   * Invitations en attente reçues par le user
+   */
+  async getInvitations(req, res) {
+    try {
+      const invitations = await workspacesService.getUserInvitations(req.user);
+
+      res.status(200).json({
+        success: true,
+        data: invitations,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch invitations');
+    }
+  }
+
+  /**
+   * POST /api/workspaces/invitations/:invitationId/accept
+   * Accepter une invitation
+   */
+  async acceptInvitation(req, res) {
+    try {
+      const workspace = await workspacesService.acceptInvitation(req.user, req.params.invitationId);
+
+      res.status(200).json({
+        success: true,
+        data: workspace,
+        message: `You joined ${workspace.name}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to accept invitation');
+    }
+  }
+
+  /**
+   * DELETE /api/workspaces/invitations/:invitationId
+   * Refuser une invitation
+   */
+  async declineInvitation(req, res) {
+    try {
+      await workspacesService.declineInvitation(req.user, req.params.invitationId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation declined',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to decline invitation');
+    }
+  }
+}
+
+module.exports = new WorkspacesController();
@@ -0,0 +1,456 @@
+const pool = require('../../shared/config/database');
+
+/**
+ * Workspaces Model
+ * Gère les tables workspaces, workspace_members et workspace_invitations
+ * Les pages d'un workspace sont dans pages (workspace_id)
+ */
+class Workspace {
+  /**
+   * Créer un workspace et son premier owner (transaction)
+   * @param {string} userId - UUID du user créateur (devient owner)
+   * @param {object} workspaceData - { name, icon? }
+   * @returns {Promise<object>} Workspace créé (avec role du créateur)
+   */
+  static async create(userId, workspaceData) {
+    const { name, icon = '👥' } = workspaceData;
+
+    const workspace = await this.withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO workspaces (name, icon, created_by)
+         VALUES ($1, $2, $3)
+         RETURNING id, name, icon, created_by, created_at, updated_at`,
+        [name, icon, userId]
+      );
+      const created = result.rows[0];
+
+      await client.query(
+        `INSERT INTO workspace_members (workspace_id, user_id, role)
+         VALUES ($1, $2, 'owner')`,
+        [created.id, userId]
+      );
+
+      return created;
+    });
+
+    return { ...workspace, role: 'owner', member_count: 1, page_count: 0 };
+  }
+
+  /**
+   * Récupérer les workspaces d'un user avec son rôle
+   * @param {string} userId - UUID du user
+   * @returns {Promise<Array>} Workspaces triés par nom
+   */
+  static async findAllByUser(userId) {
+    const result = await pool.query(
+      `SELECT w.id, w.name, w.icon, w.created_by, w.created_at, w.updated_at, wm.role,
+              (SELECT COUNT(*)::int FROM workspace_members m WHERE m.workspace_id = w.id) AS member_count,
+              (SELECT COUNT(*)::int FROM pages p WHERE p.workspace_id = w.id AND p.deleted_at IS NULL) AS page_count
+       FROM workspaces w
+       INNER JOIN workspace_members wm ON wm.workspace_id = w.id AND wm.user_id = $1
+       ORDER BY LOWER(w.name) ASC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Récupérer un workspace dont le user est membre
+   * @param {string} id - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @returns {Promise<object|null>} Workspace (avec role du user) ou null si pas membre
+   */
+  static async findById(id, userId) {
+    const result = await pool.query(
+      `SELECT w.id, w.name, w.icon, w.created_by, w.created_at, w.updated_at, wm.role
+       FROM workspaces w
+       INNER JOIN workspace_members wm ON wm.workspace_id = w.id AND wm.user_id = $2
+       WHERE w.id = $1`,
+      [id, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Rôle d'un user dans un workspace
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @returns {Promise<string|null>} 'owner' | 'editor' | 'viewer' ou null si pas membre
+   */
+  static async findRole(workspaceId, userId) {
+    const result = await pool.query(
+      'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, userId]
+    );
+
+    return result.rows[0] ? result.rows[0].role : null;
+  }
+
+  /**
+   * Mettre à jour un workspace
+   * @param {string} id - UUID du workspace
+   * @param {object} updates - { name?, icon? }
+   * @returns {Promise<object|null>} Workspace mis à jour ou null
+   */
+  static async update(id, updates) {
+    const { name, icon } = updates;
+
+    const result = await pool.query(
+      `UPDATE workspaces
+       SET name = COALESCE($2, name), icon = COALESCE($3, icon), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, name, icon, created_by, created_at, updated_at`,
+      [id, name ?? null, icon ?? null]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Supprimer un workspace (CASCADE: membres, invitations et pages du workspace)
+   * @param {string} id - UUID du workspace
+   * @returns {Promise<boolean>} True si supprimé
+   */
+  static async delete(id) {
+    const result = await pool.query('DELETE FROM workspaces WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Membres d'un workspace
+   * @param {string} workspaceId - UUID du workspace
+   * @returns {Promise<Array>} Membres { user_id, email, first_name, last_name, role, created_at }
+   */
+  static async findMembers(workspaceId) {
+    const result = await pool.query(
+      `SELECT wm.user_id, u.email, u.first_name, u.last_name, wm.role, wm.created_at
+       FROM workspace_members wm
+       INNER JOIN users u ON u.id = wm.user_id
+       WHERE wm.workspace_id = $1
+       ORDER BY CASE wm.role WHEN 'owner' THEN 0 WHEN 'editor' THEN 1 ELSE 2 END, LOWER(u.email) ASC`,
+      [workspaceId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Compter les owners d'un workspace
+   * @param {string} workspaceId - UUID du workspace
+   * @returns {Promise<number>} Nombre d'owners
+   */
+  static async countOwners(workspaceId) {
+    const result = await pool.query(
+      `SELECT COUNT(*) as count FROM workspace_members WHERE workspace_id = $1 AND role = 'owner'`,
+      [workspaceId]
+    );
+
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Changer le rôle d'un membre
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du membre
+   * @param {string} role - 'owner' | 'editor' | 'viewer'
+   * @returns {Promise<object|null>} Membre mis à jour ou null si pas membre
+   */
+  static async updateMemberRole(workspaceId, userId, role) {
+    const result = await pool.query(
+      `UPDATE workspace_members
+       SET role = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE workspace_id = $1 AND user_id = $2
+       RETURNING workspace_id, user_id, role, created_at, updated_at`,
+      [workspaceId, userId, role]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Retirer un membre
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du membre
+   * @returns {Promise<boolean>} True si retiré
+   */
+  static async removeMember(workspaceId, userId) {
+    const result = await pool.query(
+      'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, userId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Créer une invitation (ou renouveler celle déjà en attente pour cet email)
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} invitedBy - UUID de l'owner qui invite
+   * @param {string} email - Email invité (minuscules)
+   * @param {string} role - 'editor' | 'viewer'
+   * @param {Date} expiresAt - Date d'expiration
+   * @returns {Promise<object>} Invitation
+   */
+  static async upsertInvitation(workspaceId, invitedBy, email, role, expiresAt) {
+    const result = await pool.query(
+      `INSERT INTO workspace_invitations (workspace_id, email, role, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (workspace_id, LOWER(email)) DO UPDATE
+         SET role = EXCLUDED.role, invited_by = EXCLUDED.invited_by,
+             created_at = CURRENT_TIMESTAMP, expires_at = EXCLUDED.expires_at
+       RETURNING id, workspace_id, email, role, invited_by, created_at, expires_at`,
+      [workspaceId, email, role, invitedBy, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Invitations en attente d'un workspace (non expirées)
+   * @param {string} workspaceId - UUID du workspace
+   * @returns {Promise<Array>} Invitations
+   */
+  static async findInvitationsByWorkspace(workspaceId) {
+    const result = await pool.query(
+      `SELECT id, workspace_id, email, role, invited_by, created_at, expires_at
+       FROM workspace_invitations
+       WHERE workspace_id = $1 AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY created_at DESC`,
+      [workspaceId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Invitations en attente reçues par un email (non expirées)
+   * @param {string} email - Email du user connecté
+   * @returns {Promise<Array>} Invitations avec nom du workspace et de l'invitant
+   */
+  static async findInvitationsByEmail(email) {
+    const result = await pool.query(
+      `SELECT i.id, i.workspace_id, i.role, i.created_at, i.expires_at,
+              w.name AS workspace_name, w.icon AS workspace_icon,
+              u.email AS invited_by_email
+       FROM workspace_invitations i
+       INNER JOIN workspaces w ON w.id = i.workspace_id
+       LEFT JOIN users u ON u.id = i.invited_by
+       WHERE LOWER(i.email) = LOWER($1) AND i.expires_at > CURRENT_TIMESTAMP
+       ORDER BY i.created_at DESC`,
+      [email]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Récupérer une invitation non expirée
+   * @param {string} id - UUID de l'invitation
+   * @returns {Promise<object|null>} Invitation ou null
+   */
+  static async findInvitationById(id) {
+    const result = await pool.query(
+      `SELECT id, workspace_id, email, role, invited_by, created_at, expires_at
+       FROM workspace_invitations
+       WHERE id = $1 AND expires_at > CURRENT_TIMESTAMP`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Accepter une invitation: le user devient membre, l'invitation est supprimée (transaction)
+   * Un membre existant garde son rôle s'il est plus élevé
+   * @param {object} invitation - Invitation { id, workspace_id, role }
+   * @param {string} userId - UUID du user qui accepte
+   * @returns {Promise<object>} Membre { workspace_id, user_id, role }
+   */
+  static async acceptInvitation(invitation, userId) {
+    const member = await this.withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO workspace_members (workspace_id, user_id, role)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (workspace_id, user_id) DO UPDATE
+           SET role = CASE
+                 WHEN workspace_members.role = 'owner' THEN 'owner'
+                 WHEN workspace_members.role = 'editor' OR EXCLUDED.role = 'editor' THEN 'editor'
+                 ELSE 'viewer'
+               END,
+               updated_at = CURRENT_TIMESTAMP
+         RETURNING workspace_id, user_id, role`,
+        [invitation.workspace_id, userId, invitation.role]
+      );
+
+      await client.query('DELETE FROM workspace_invitations WHERE id = $1', [invitation.id]);
+
+      return result.rows[0];
+    });
+
+    return member;
+  }
+
+  /**
+   * Supprimer une invitation (refus ou annulation)
+   * @param {string} id - UUID de l'invitation
+   * @returns {Promise<boolean>} True si supprimée
+   */
+  static async deleteInvitation(id) {
+    const result = await pool.query('DELETE FROM workspace_invitations WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Workspaces partagés dont le user est le seul owner
+   * (bloquent la suppression de son compte: un workspace garde toujours un owner)
+   * @param {string} userId - UUID du user
+   * @returns {Promise<Array>} Workspaces { id, name }
+   */
+  static async findSoleOwnedShared(userId) {
+    const result = await pool.query(
+      `SELECT w.id, w.name
+       FROM workspaces w
+       INNER JOIN workspace_members wm ON wm.workspace_id = w.id AND wm.user_id = $1 AND wm.role = 'owner'
+       WHERE NOT EXISTS (
+               SELECT 1 FROM workspace_members o
+               WHERE o.workspace_id = w.id AND o.user_id <> $1 AND o.role = 'owner'
+             )
+         AND EXISTS (
+               SELECT 1 FROM workspace_members m
+               WHERE m.workspace_id = w.id AND m.user_id <> $1
+             )
+       ORDER BY LOWER(w.name) ASC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Préparer la suppression d'un compte (dans la transaction de suppression)
+   * - Workspaces dont le user est le seul membre: supprimés avec leurs pages
+   * - Autres workspaces: ses pages, bookmarks, liens publics et éléments en corbeille
+   *   passent à un autre owner (sinon ON DELETE CASCADE les supprimerait pour toute l'équipe)
+   * @param {object} client - Client pg de la transaction
+   * @param {string} userId - UUID du user supprimé
+   * @throws {Error} Si un workspace partagé n'a pas d'autre owner
+   */
+  static async handOverMemberContent(client, userId) {
+    await client.query(
+      `DELETE FROM workspaces w
+       WHERE EXISTS (SELECT 1 FROM workspace_members WHERE workspace_id = w.id AND user_id = $1)
+         AND NOT EXISTS (SELECT 1 FROM workspace_members WHERE workspace_id = w.id AND user_id <> $1)`,
+      [userId]
+    );
+
+    // Héritier: le plus ancien des autres owners
+    const result = await client.query(
+      `SELECT m.workspace_id, heir.user_id AS heir_id
+       FROM workspace_members m
+       LEFT JOIN LATERAL (
+         SELECT o.user_id FROM workspace_members o
+         WHERE o.workspace_id = m.workspace_id AND o.user_id <> $1 AND o.role = 'owner'
+         ORDER BY o.created_at ASC
+         LIMIT 1
+       ) heir ON true
+       WHERE m.user_id = $1`,
+      [userId]
+    );
+
+    for (const { workspace_id: workspaceId, heir_id: heirId } of result.rows) {
+      if (!heirId) {
+        throw new Error('Workspace has no other owner');
+      }
+
+      await client.query(
+        `UPDATE pages p
+         SET user_id = $3
+         WHERE p.workspace_id = $1 AND p.user_id = $2`,
+        [workspaceId, userId, heirId]
+      );
+
+      await client.query(
+        `UPDATE bookmarks b
+         SET user_id = $3
+         FROM groups g
+         INNER JOIN sections s ON s.id = g.section_id
+         INNER JOIN pages p ON p.id = s.page_id
+         WHERE b.group_id = g.id AND p.workspace_id = $1 AND b.user_id = $2`,
+        [workspaceId, userId, heirId]
+      );
+
+      await client.query(
+        `UPDATE page_shares ps
+         SET user_id = $3
+         FROM pages p
+         WHERE p.id = ps.page_id AND p.workspace_id = $1 AND ps.user_id = $2`,
+        [workspaceId, userId, heirId]
+      );
+
+      // Corbeille: le contenu supprimé reste restaurable par l'équipe
+      await client.query(
+        `UPDATE trash_items t
+         SET user_id = $3
+         WHERE t.user_id = $2
+           AND (
+             EXISTS (SELECT 1 FROM pages p WHERE p.trash_id = t.id AND p.workspace_id = $1)
+             OR EXISTS (
+               SELECT 1 FROM sections s INNER JOIN pages p ON p.id = s.page_id
+               WHERE s.trash_id = t.id AND p.workspace_id = $1
+             )
+             OR EXISTS (
+               SELECT 1 FROM groups g
+               INNER JOIN sections s ON s.id = g.section_id
+               INNER JOIN pages p ON p.id = s.page_id
+               WHERE g.trash_id = t.id AND p.workspace_id = $1
+             )
+             OR EXISTS (
+               SELECT 1 FROM bookmarks b
+               INNER JOIN groups g ON g.id = b.group_id
+               INNER JOIN sections s ON s.id = g.section_id
+               INNER JOIN pages p ON p.id = s.page_id
+               WHERE b.trash_id = t.id AND p.workspace_id = $1
+             )
+           )`,
+        [workspaceId, userId, heirId]
+      );
+    }
+  }
+
+  /**
+   * Exécuter une fonction dans une transaction
+   * @param {function} fn - async (client) => result
+   * @returns {Promise<*>} Résultat de fn
+   * @private
+   */
+  static async withTransaction(fn) {
+    let client;
+
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const result = await fn(client);
+
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      if (client) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Rollback failed:', rollbackError.message);
+        }
+      }
+      throw error;
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+}
+
+module.exports = Workspace;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const workspacesController = require('./workspaces.controller');
+const authMiddleware = require('../../shared/middleware/auth.middleware');
+
+/**
+ * Workspaces Routes
+ * All routes require authentication (JWT token)
+ */
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/workspaces
+ * Workspaces du user avec son rôle (owner | editor | viewer)
+ */
+router.get('/', workspacesController.getAll);
+
+/**
+ * POST /api/workspaces
+ * Créer un workspace (le créateur devient owner)
+ */
+router.post('/', workspacesController.create);
+
+/**
+ * Invitations reçues par le user (déclarées avant /:id)
+ * GET    /api/workspaces/invitations
+ * POST   /api/workspaces/invitations/:invitationId/accept
+ * DELETE /api/workspaces/invitations/:invitationId
+ */
+router.get('/invitations', workspacesController.getInvitations);
+router.post('/invitations/:invitationId/accept', workspacesController.acceptInvitation);
+router.delete('/invitations/:invitationId', workspacesController.declineInvitation);
+
+/**
+ * GET /api/workspaces/:id
+ * Workspace, membres et invitations en attente (owner)
+ */
+router.get('/:id', workspacesController.getOne);
+
+/**
+ * PUT /api/workspaces/:id
+ * Renommer un workspace (owner)
+ */
+router.put('/:id', workspacesController.update);
+
+/**
+ * DELETE /api/workspaces/:id
+ * Supprimer un workspace et ses pages (owner)
+ */
+router.delete('/:id', workspacesController.delete);
+
+/**
+ * Invitations envoyées (owner)
+ * POST   /api/workspaces/:id/invitations
+ * DELETE /api/workspaces/:id/invitations/:invitationId
+ */
+router.post('/:id/invitations', workspacesController.invite);
+router.delete('/:id/invitations/:invitationId', workspacesController.cancelInvitation);
+
+/**
+ * Membres
+ * PUT    /api/workspaces/:id/members/:userId (changer le rôle, owner)
+ * DELETE /api/workspaces/:id/members/:userId (retirer, owner; ou quitter soi-même)
+ */
+router.put('/:id/members/:userId', workspacesController.updateMember);
+router.delete('/:id/members/:userId', workspacesController.removeMember);
+
+module.exports = router;
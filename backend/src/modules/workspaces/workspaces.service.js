@@ -0,0 +1,298 @@
+const Workspace = require('./workspaces.model');
+const { ROLES, roleAllows } = require('./workspaceAccess');
+
+// Rôles proposés à l'invitation (owner = promotion après acceptation)
+const INVITATION_ROLES = ['editor', 'viewer'];
+const INVITATION_EXPIRY_DAYS = 14;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Workspaces Service
+ * Contient la business logic des workspaces d'équipe: membres, rôles et invitations
+ * - owner: gère le workspace, ses membres et ses pages (suppression, partage)
+ * - editor: modifie le contenu des pages
+ * - viewer: lecture seule
+ */
+class WorkspacesService {
+  /**
+   * Workspaces du user avec son rôle
+   * @param {string} userId - UUID du user
+   * @returns {Promise<Array>} Workspaces
+   */
+  async getUserWorkspaces(userId) {
+    const workspaces = await Workspace.findAllByUser(userId);
+    return workspaces;
+  }
+
+  /**
+   * Créer un workspace (le créateur devient owner)
+   * @param {string} userId - UUID du user
+   * @param {object} workspaceData - { name, icon? }
+   * @returns {Promise<object>} Workspace créé
+   * @throws {Error} Si validation échoue
+   */
+  async createWorkspace(userId, workspaceData) {
+    const { name, icon } = workspaceData;
+    this.validateFields({ name, icon }, true);
+
+    const workspace = await Workspace.create(userId, { name: name.trim(), icon: icon || '👥' });
+    return workspace;
+  }
+
+  /**
+   * Détail d'un workspace: membres, et invitations en attente pour un owner
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @returns {Promise<object>} { workspace, members, invitations }
+   * @throws {Error} Si workspace non trouvé ou user non membre
+   */
+  async getWorkspace(workspaceId, userId) {
+    const workspace = await this.requireAccess(workspaceId, userId, 'view');
+
+    const [members, invitations] = await Promise.all([
+      Workspace.findMembers(workspaceId),
+      workspace.role === 'owner' ? Workspace.findInvitationsByWorkspace(workspaceId) : []
+    ]);
+
+    return { workspace, members, invitations };
+  }
+
+  /**
+   * Renommer un workspace ou changer son icône (owner)
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @param {object} updates - { name?, icon? }
+   * @returns {Promise<object>} Workspace mis à jour
+   * @throws {Error} Si validation échoue ou accès insuffisant
+   */
+  async updateWorkspace(workspaceId, userId, updates) {
+    const workspace = await this.requireAccess(workspaceId, userId, 'manage');
+
+    const { name, icon } = updates;
+    this.validateFields({ name, icon }, false);
+
+    const updated = await Workspace.update(workspaceId, {
+      name: name !== undefined ? name.trim() : undefined,
+      icon
+    });
+
+    return { ...updated, role: workspace.role };
+  }
+
+  /**
+   * Supprimer un workspace et toutes ses pages (owner)
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @returns {Promise<boolean>} True si supprimé
+   * @throws {Error} Si accès insuffisant
+   */
+  async deleteWorkspace(workspaceId, userId) {
+    await this.requireAccess(workspaceId, userId, 'manage');
+    return Workspace.delete(workspaceId);
+  }
+
+  /**
+   * Inviter un user par email (owner)
+   * L'invitation apparaît dans le compte qui utilise cet email; une invitation
+   * déjà en attente pour cet email est renouvelée
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @param {object} invitationData - { email, role? (default 'viewer') }
+   * @returns {Promise<object>} Invitation
+   * @throws {Error} Si validation échoue, email déjà membre ou accès insuffisant
+   */
+  async inviteMember(workspaceId, userId, invitationData) {
+    await this.requireAccess(workspaceId, userId, 'manage');
+
+    const email = (invitationData.email || '').trim().toLowerCase();
+    const role = invitationData.role || 'viewer';
+
+    if (!email) {
+      throw new Error('Email is required');
+    }
+    if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+      throw new Error('Email must be a valid email address');
+    }
+    if (!INVITATION_ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${INVITATION_ROLES.join(', ')}`);
+    }
+
+    const members = await Workspace.findMembers(workspaceId);
+    if (members.some(member => member.email.toLowerCase() === email)) {
+      throw new Error(`${email} is already a member of this workspace`);
+    }
+
+    const expiresAt = new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    return Workspace.upsertInvitation(workspaceId, userId, email, role, expiresAt);
+  }
+
+  /**
+   * Annuler une invitation en attente (owner)
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @param {string} invitationId - UUID de l'invitation
+   * @returns {Promise<boolean>} True si annulée
+   * @throws {Error} Si invitation non trouvée ou accès insuffisant
+   */
+  async cancelInvitation(workspaceId, userId, invitationId) {
+    await this.requireAccess(workspaceId, userId, 'manage');
+
+    const invitation = await Workspace.findInvitationById(invitationId);
+    if (!invitation || invitation.workspace_id !== workspaceId) {
+      throw new Error('Invitation not found');
+    }
+
+    return Workspace.deleteInvitation(invitationId);
+  }
+
+  /**
+   * Invitations en attente reçues par le user
+   * @param {object} user - User connecté { id, email }
+   * @returns {Promise<Array>} Invitations
+   */
+  async getUserInvitations(user) {
+    const invitations = await Workspace.findInvitationsByEmail(user.email);
+    return invitations;
+  }
+
+  /**
+   * Accepter une invitation reçue
+   * @param {object} user - User connecté { id, email, email_verified }
+   * @param {string} invitationId - UUID de l'invitation
+   * @returns {Promise<object>} Workspace rejoint (avec role)
+   * @throws {Error} Si email non vérifié, invitation non trouvée, expirée ou adressée à un autre email
+   */
+  async acceptInvitation(user, invitationId) {
+    const invitation = await this.findUserInvitation(user, invitationId);
+
+    await Workspace.acceptInvitation(invitation, user.id);
+
+    return Workspace.findById(invitation.workspace_id, user.id);
+  }
+
+  /**
+   * Refuser une invitation reçue
+   * @param {object} user - User connecté { id, email, email_verified }
+   * @param {string} invitationId - UUID de l'invitation
+   * @returns {Promise<boolean>} True si refusée
+   * @throws {Error} Si email non vérifié ou invitation non trouvée
+   */
+  async declineInvitation(user, invitationId) {
+    await this.findUserInvitation(user, invitationId);
+    return Workspace.deleteInvitation(invitationId);
+  }
+
+  /**
+   * Changer le rôle d'un membre (owner)
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @param {string} memberId - UUID du membre
+   * @param {string} role - 'owner' | 'editor' | 'viewer'
+   * @returns {Promise<object>} Membre mis à jour
+   * @throws {Error} Si rôle invalide, dernier owner rétrogradé ou accès insuffisant
+   */
+  async updateMemberRole(workspaceId, userId, memberId, role) {
+    await this.requireAccess(workspaceId, userId, 'manage');
+
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const currentRole = await Workspace.findRole(workspaceId, memberId);
+    if (!currentRole) {
+      throw new Error('Member not found');
+    }
+
+    if (currentRole === 'owner' && role !== 'owner' && await Workspace.countOwners(workspaceId) <= 1) {
+      throw new Error('The last owner cannot be demoted');
+    }
+
+    return Workspace.updateMemberRole(workspaceId, memberId, role);
+  }
+
+  /**
+   * Retirer un membre (owner) ou quitter le workspace (soi-même)
+   * Les pages créées par le membre restent dans le workspace
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @param {string} memberId - UUID du membre
+   * @returns {Promise<boolean>} True si retiré
+   * @throws {Error} Si dernier owner ou accès insuffisant
+   */
+  async removeMember(workspaceId, userId, memberId) {
+    await this.requireAccess(workspaceId, userId, memberId === userId ? 'view' : 'manage');
+
+    const memberRole = await Workspace.findRole(workspaceId, memberId);
+    if (!memberRole) {
+      throw new Error('Member not found');
+    }
+
+    if (memberRole === 'owner' && await Workspace.countOwners(workspaceId) <= 1) {
+      throw new Error('The last owner cannot be removed');
+    }
+
+    return Workspace.removeMember(workspaceId, memberId);
+  }
+
+  /**
+   * Vérifier le rôle du user dans un workspace
+   * @param {string} workspaceId - UUID du workspace
+   * @param {string} userId - UUID du user
+   * @param {string} access - 'view' | 'edit' | 'manage'
+   * @returns {Promise<object>} Workspace (avec role du user)
+   * @throws {Error} Si user non membre ou rôle insuffisant
+   */
+  async requireAccess(workspaceId, userId, access) {
+    const workspace = await Workspace.findById(workspaceId, userId);
+    if (!workspace) {
+      throw new Error('Workspace not found or access denied');
+    }
+
+    if (!roleAllows(workspace.role, access)) {
+      throw new Error(access === 'manage'
+        ? 'Access denied: only workspace owners can do this'
+        : 'Access denied: viewers cannot edit this workspace');
+    }
+
+    return workspace;
+  }
+
+  /**
+   * Invitation en attente adressée à l'email du user
+   * L'email doit être vérifié: n'importe qui peut créer un compte avec l'adresse d'un invité
+   * @private
+   */
+  async findUserInvitation(user, invitationId) {
+    if (!user.email_verified) {
+      throw new Error('Access denied: verify your email address first');
+    }
+
+    const invitation = await Workspace.findInvitationById(invitationId);
+    if (!invitation || invitation.email.toLowerCase() !== user.email.toLowerCase()) {
+      throw new Error('Invitation not found or expired');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Valider name/icon d'un workspace
+   * @private
+   */
+  validateFields({ name, icon }, requireName) {
+    if (requireName || name !== undefined) {
+      if (!name || name.trim().length === 0) {
+        throw new Error('Workspace name is required');
+      }
+      if (name.length > 100) {
+        throw new Error('Workspace name must be 100 characters or less');
+      }
+    }
+
+    if (icon !== undefined && icon !== null && icon.length > 50) {
+      throw new Error('Icon must be 50 characters or less');
+    }
+  }
+}
+
+module.exports = new WorkspacesService();
@@ -1,6 +1,10 @@
 const app = require('./app');
 const pool = require('./shared/config/database');
 const redisClient = require('./shared/config/redis');
+const importJobService = require('./modules/import/importJobService');
+const linkHealthService = require('./modules/linkHealth/linkHealth.service');
+const trashService = require('./modules/trash/trash.service');
+const analyticsService = require('./modules/analytics/analytics.service');
 
 const PORT = process.env.PORT || 5000;
 
@@ -19,6 +23,13 @@ async function testConnections() {
     console.error('    DB_USER:', process.env.DB_USER || 'postgres');
   }
 
+  // Imports running when the previous process stopped can't resume
+  try {
+    await importJobService.recoverInterruptedJobs();
+  } catch (error) {
+    console.error('⚠️  Could not check interrupted import jobs:', error.message);
+  }
+
   // Redis connection is tested in redis.js (on 'connect' event)
   console.log('✅ Server starting (check connection statuses above)');
 }
@@ -27,6 +38,15 @@ async function testConnections() {
 async function startServer() {
   await testConnections();
 
+  // Periodic dead-link checks (LINK_CHECK_ENABLED=false to disable)
+  linkHealthService.startScheduler();
+
+  // Purge of trash items older than TRASH_RETENTION_DAYS
+  trashService.startScheduler();
+
+  // Frecency scores of dynamic "Top Used" groups (clicks age across buckets)
+  analyticsService.startScheduler();
+
   app.listen(PORT, '0.0.0.0', () => {
     console.log('');
     console.log('🚀 ========================================');
@@ -1,5 +1,6 @@
 const authService = require('../../modules/auth/auth.service');
 const User = require('../../modules/auth/auth.model');
+const Session = require('../../modules/auth/session.model');
 
 /**
  * Middleware to protect routes that require authentication
@@ -22,8 +23,18 @@ async function authMiddleware(req, res, next) {
     // Verify token
     const decoded = authService.verifyToken(token);
 
-    // Get user from database
-    const user = await User.findById(decoded.userId);
+    // Get user and check the session was not logged out / revoked
+    const [user, sessionActive] = await Promise.all([
+      User.findById(decoded.userId),
+      decoded.sid ? Session.isActive(decoded.sid) : false
+    ]);
+
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired or revoked. Please login.'
+      });
+    }
 
     if (!user) {
       return res.status(401).json({
@@ -35,6 +46,9 @@ async function authMiddleware(req, res, next) {
     // Attach user to request object
     req.user = user;
     req.userId = user.id;
+    req.sessionId = decoded.sid;
+    // Long-lived responses (realtime stream) end when the access token expires
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
 
     next();
   } catch (error) {
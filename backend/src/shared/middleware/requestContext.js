@@ -0,0 +1,22 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware: keep per-request data reachable from services without
+ * threading req through every call (e.g. the X-Client-Id of the browser tab
+ * that made the change, so realtime sync does not echo it back)
+ */
+function requestContext(req, res, next) {
+  storage.run({ clientId: req.get('X-Client-Id') || null }, next);
+}
+
+/**
+ * Context of the request being handled
+ * @returns {object} { clientId } (empty outside a request)
+ */
+function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = { requestContext, getRequestContext };
@@ -0,0 +1,50 @@
+-- ============================================
+-- MIGRATION 011: Full-Text Search on Bookmarks
+-- Description: tsvector column + trigram indexes for GET /api/search
+-- Purpose: Rank and match bookmarks by title, url and description in a
+--          single query instead of walking every page/section/group client-side
+-- Date: 2026-02-02
+-- ============================================
+
+-- Trigram extension: fast ILIKE '%term%' substring matching and similarity()
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Generated tsvector column (weights: title A, description B, url C)
+-- 'simple' config: bookmarks mix French/English and product names, no stemming
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(description, '')), 'B') ||
+        setweight(to_tsvector('simple', COALESCE(url, '')), 'C')
+    ) STORED;
+
+-- Index: full-text matching (@@)
+CREATE INDEX IF NOT EXISTS idx_bookmarks_search_vector
+ON bookmarks USING GIN (search_vector);
+
+-- Index: substring matching on title, url and description (ILIKE + similarity)
+CREATE INDEX IF NOT EXISTS idx_bookmarks_title_trgm
+ON bookmarks USING GIN (title gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_bookmarks_url_trgm
+ON bookmarks USING GIN (url gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_bookmarks_description_trgm
+ON bookmarks USING GIN (description gin_trgm_ops);
+
+COMMENT ON COLUMN bookmarks.search_vector IS 'Vecteur full-text (title A, description B, url C) pour la recherche globale';
+
+-- ============================================
+-- Vérification
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'bookmarks' AND column_name = 'search_vector'
+    ) THEN
+        RAISE NOTICE '✅ Colonne search_vector ajoutée à bookmarks';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Colonne search_vector non ajoutée';
+    END IF;
+END $$;
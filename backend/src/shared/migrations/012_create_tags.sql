@@ -0,0 +1,53 @@
+-- ============================================
+-- MIGRATION 012: Create Tags Tables
+-- Description: Tags par user + table de liaison many-to-many avec bookmarks
+-- Purpose: Filtrer la grille par thème (ex: "oncall", "docs") indépendamment
+--          de la hiérarchie Page → Section → Group
+-- Date: 2026-02-03
+-- ============================================
+
+-- Table: tags
+-- Un tag appartient à un user (nom unique par user, insensible à la casse)
+CREATE TABLE IF NOT EXISTS tags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_tag_name_not_empty CHECK (LENGTH(TRIM(name)) > 0)
+);
+
+-- Index unique: un seul tag par nom (case-insensitive) pour un user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(user_id, LOWER(name));
+
+-- Table: bookmark_tags
+-- Liaison many-to-many bookmarks ↔ tags
+CREATE TABLE IF NOT EXISTS bookmark_tags (
+    bookmark_id UUID NOT NULL REFERENCES bookmarks(id) ON DELETE CASCADE,
+    tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (bookmark_id, tag_id)
+);
+
+-- Index pour performance: Récupérer les bookmarks d'un tag (filtrage)
+CREATE INDEX IF NOT EXISTS idx_bookmark_tags_tag ON bookmark_tags(tag_id);
+
+-- Commentaires pour documentation
+COMMENT ON TABLE tags IS 'Tags définis par le user pour classer les bookmarks transversalement';
+COMMENT ON COLUMN tags.name IS 'Nom du tag (ex: "oncall", "docs"), unique par user sans tenir compte de la casse';
+COMMENT ON TABLE bookmark_tags IS 'Liaison many-to-many entre bookmarks et tags';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'tags')
+       AND EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'bookmark_tags') THEN
+        RAISE NOTICE '✅ Tables tags et bookmark_tags créées avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Tables tags/bookmark_tags non créées';
+    END IF;
+END $$;
@@ -0,0 +1,57 @@
+-- ============================================
+-- MIGRATION 013: Create Import Jobs Table
+-- Description: Suivi des imports exécutés en arrière-plan
+-- Purpose: POST /api/import/commit répond immédiatement avec un job id,
+--          la progression est lue via GET /api/import/jobs/:id
+-- Date: 2026-02-06
+-- ============================================
+
+-- Table: import_jobs
+-- Un job = un import (insertion des bookmarks puis résolution des favicons)
+CREATE TABLE IF NOT EXISTS import_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    phase VARCHAR(20) NOT NULL DEFAULT 'importing',
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    favicons_total INTEGER NOT NULL DEFAULT 0,
+    favicons_done INTEGER NOT NULL DEFAULT 0,
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_import_job_status CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    CONSTRAINT check_import_job_phase CHECK (phase IN ('importing', 'favicons', 'done'))
+);
+
+-- Index pour performance: Jobs récents d'un user
+CREATE INDEX IF NOT EXISTS idx_import_jobs_user ON import_jobs(user_id, created_at DESC);
+
+-- Trigger: Auto-update updated_at
+-- Note: La fonction update_updated_at_column() existe déjà (créée dans migration 002)
+DROP TRIGGER IF EXISTS update_import_jobs_updated_at ON import_jobs;
+CREATE TRIGGER update_import_jobs_updated_at
+    BEFORE UPDATE ON import_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Commentaires pour documentation
+COMMENT ON TABLE import_jobs IS 'Imports de bookmarks exécutés en arrière-plan (progression consultable)';
+COMMENT ON COLUMN import_jobs.phase IS 'importing: insertion des bookmarks, favicons: résolution des favicons, done: terminé';
+COMMENT ON COLUMN import_jobs.result IS 'Statistiques finales (pages/sections/groups créés, imported/skipped/failed)';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'import_jobs') THEN
+        RAISE NOTICE '✅ Table import_jobs créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table import_jobs non créée';
+    END IF;
+END $$;
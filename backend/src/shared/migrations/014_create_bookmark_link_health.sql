@@ -0,0 +1,43 @@
+-- ============================================
+-- MIGRATION 014: Create Bookmark Link Health Table
+-- Description: Résultat du dernier contrôle HTTP de chaque bookmark
+-- Purpose: Détecter les liens morts / redirigés (GET /api/bookmarks/health)
+--          et réécrire les URLs redirigées vers leur destination finale
+-- Date: 2026-02-07
+-- ============================================
+
+-- Table: bookmark_link_health
+-- Une ligne par bookmark contrôlé (absente = jamais contrôlé)
+CREATE TABLE IF NOT EXISTS bookmark_link_health (
+    bookmark_id UUID PRIMARY KEY REFERENCES bookmarks(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL,
+    status_code INTEGER,
+    final_url TEXT,
+    redirect_chain JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error TEXT,
+    checked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_link_health_status CHECK (status IN ('ok', 'redirected', 'broken'))
+);
+
+-- Index pour performance: Résumé par statut / liens à recontrôler en premier
+CREATE INDEX IF NOT EXISTS idx_link_health_status ON bookmark_link_health(status);
+CREATE INDEX IF NOT EXISTS idx_link_health_checked_at ON bookmark_link_health(checked_at);
+
+-- Commentaires pour documentation
+COMMENT ON TABLE bookmark_link_health IS 'Dernier contrôle HTTP (HEAD/GET) de chaque bookmark';
+COMMENT ON COLUMN bookmark_link_health.status IS 'ok: 2xx direct, redirected: 2xx après redirection(s), broken: erreur réseau, 404, 5xx...';
+COMMENT ON COLUMN bookmark_link_health.redirect_chain IS 'Redirections suivies: [{ url, statusCode }]';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'bookmark_link_health') THEN
+        RAISE NOTICE '✅ Table bookmark_link_health créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table bookmark_link_health non créée';
+    END IF;
+END $$;
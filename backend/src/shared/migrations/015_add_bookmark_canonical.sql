@@ -0,0 +1,33 @@
+-- ============================================
+-- MIGRATION 015: Add canonical_id to bookmarks
+-- Description: Lien d'un doublon vers le bookmark conservé lors d'un merge
+-- Purpose: POST /api/bookmarks/duplicates/merge (mode 'link'): les copies restent
+--          à leur emplacement mais leurs clics sont comptés sur le bookmark conservé
+-- Date: 2026-02-09
+-- ============================================
+
+-- NULL = bookmark indépendant
+-- Si le bookmark conservé est supprimé, la copie redevient indépendante
+ALTER TABLE bookmarks
+ADD COLUMN IF NOT EXISTS canonical_id UUID REFERENCES bookmarks(id) ON DELETE SET NULL;
+
+-- Index partiel: seules les copies liées sont indexées
+CREATE INDEX IF NOT EXISTS idx_bookmarks_canonical ON bookmarks(canonical_id) WHERE canonical_id IS NOT NULL;
+
+-- Commentaires pour documentation
+COMMENT ON COLUMN bookmarks.canonical_id IS 'Bookmark conservé lors d''un merge de doublons (clics redirigés vers lui)';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'bookmarks' AND column_name = 'canonical_id'
+    ) THEN
+        RAISE NOTICE '✅ Colonne bookmarks.canonical_id ajoutée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Colonne bookmarks.canonical_id non ajoutée';
+    END IF;
+END $$;
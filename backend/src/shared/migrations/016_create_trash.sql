@@ -0,0 +1,77 @@
+-- ============================================
+-- MIGRATION 016: Create Trash (soft delete)
+-- Description: Corbeille pour pages, sections, groups et bookmarks
+-- Purpose: Une suppression déplace l'élément et son sous-arbre dans la corbeille
+--          (GET /api/trash), restauration possible jusqu'à la purge automatique
+-- Date: 2026-02-10
+-- ============================================
+
+-- Table: trash_items
+-- Une ligne par suppression (la racine supprimée, son sous-arbre partage le trash_id)
+CREATE TABLE IF NOT EXISTS trash_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL,
+    item_id UUID NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    parent_id UUID,
+    position INTEGER NOT NULL DEFAULT 0,
+    "column" INTEGER,
+    location JSONB NOT NULL DEFAULT '{}'::jsonb,
+    deleted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_trash_item_type CHECK (item_type IN ('page', 'section', 'group', 'bookmark'))
+);
+
+-- Index pour performance: Liste de la corbeille d'un user / purge des éléments expirés
+CREATE INDEX IF NOT EXISTS idx_trash_items_user ON trash_items(user_id, deleted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trash_items_deleted_at ON trash_items(deleted_at);
+
+-- Colonnes soft delete sur les 4 niveaux de la hiérarchie
+-- Purge d'une entrée de corbeille → suppression définitive des lignes liées (CASCADE)
+ALTER TABLE pages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE pages ADD COLUMN IF NOT EXISTS trash_id UUID REFERENCES trash_items(id) ON DELETE CASCADE;
+ALTER TABLE sections ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE sections ADD COLUMN IF NOT EXISTS trash_id UUID REFERENCES trash_items(id) ON DELETE CASCADE;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS trash_id UUID REFERENCES trash_items(id) ON DELETE CASCADE;
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS trash_id UUID REFERENCES trash_items(id) ON DELETE CASCADE;
+
+-- Index partiels: seules les lignes dans la corbeille sont indexées
+CREATE INDEX IF NOT EXISTS idx_pages_trash ON pages(trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sections_trash ON sections(trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_groups_trash ON groups(trash_id) WHERE trash_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bookmarks_trash ON bookmarks(trash_id) WHERE trash_id IS NOT NULL;
+
+-- Unicité des noms: uniquement parmi les éléments actifs
+-- (un élément dans la corbeille ne bloque pas la création d'un homonyme)
+-- Pages: idx_pages_user_name est redéfini une seule fois par la migration 027
+-- (unicité par workspace), ce fichier ne doit pas le remplacer à chaque migrate
+DROP INDEX IF EXISTS idx_sections_page_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sections_page_name ON sections(page_id, LOWER(name)) WHERE deleted_at IS NULL;
+DROP INDEX IF EXISTS idx_groups_section_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_groups_section_name ON groups(section_id, LOWER(name)) WHERE deleted_at IS NULL;
+
+-- Commentaires pour documentation
+COMMENT ON TABLE trash_items IS 'Corbeille: éléments supprimés (soft delete) restaurables jusqu''à la purge';
+COMMENT ON COLUMN trash_items.parent_id IS 'Parent d''origine (page/section/group), NULL pour une page';
+COMMENT ON COLUMN trash_items.location IS 'Emplacement d''origine affiché: { page_name, section_name, group_name }';
+COMMENT ON COLUMN bookmarks.deleted_at IS 'NULL = actif, sinon date de mise à la corbeille';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'trash_items')
+       AND EXISTS (
+           SELECT 1 FROM information_schema.columns
+           WHERE table_name = 'bookmarks' AND column_name = 'deleted_at'
+       ) THEN
+        RAISE NOTICE '✅ Corbeille (trash_items + colonnes deleted_at) créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Corbeille non créée';
+    END IF;
+END $$;
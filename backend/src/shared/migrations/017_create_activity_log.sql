@@ -0,0 +1,48 @@
+-- ============================================
+-- MIGRATION 017: Create Activity Log Table
+-- Description: Journal des modifications de chaque user (audit trail)
+-- Purpose: Retrouver qui a changé quoi et quand (GET /api/activity):
+--          créations, modifications, déplacements, réorganisations,
+--          suppressions, restaurations et imports
+-- Date: 2026-02-11
+-- ============================================
+
+-- Table: activity_log
+-- Pas de FK vers les éléments: l'historique survit à leur suppression définitive
+CREATE TABLE IF NOT EXISTS activity_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL,
+    entity_type VARCHAR(20) NOT NULL,
+    entity_id UUID,
+    entity_name VARCHAR(500),
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_activity_action CHECK (action IN ('create', 'update', 'move', 'reorder', 'delete', 'restore', 'import')),
+    CONSTRAINT check_activity_entity_type CHECK (entity_type IN ('page', 'section', 'group', 'bookmark'))
+);
+
+-- Index pour performance: Journal d'un user (plus récent d'abord) / filtre par type / historique d'un élément
+CREATE INDEX IF NOT EXISTS idx_activity_log_user ON activity_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_user_type ON activity_log(user_id, entity_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_entity ON activity_log(entity_id) WHERE entity_id IS NOT NULL;
+
+-- Commentaires pour documentation
+COMMENT ON TABLE activity_log IS 'Audit trail: une ligne par modification (écrite par les services)';
+COMMENT ON COLUMN activity_log.entity_id IS 'Élément concerné (parent pour un reorder, group/page cible pour un import)';
+COMMENT ON COLUMN activity_log.entity_name IS 'Nom/titre au moment de l''action (reste lisible après suppression)';
+COMMENT ON COLUMN activity_log.details IS 'Détails selon l''action: { changes: { champ: { from, to } } }, { from, to }, { location }, stats d''import...';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'activity_log') THEN
+        RAISE NOTICE '✅ Table activity_log créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table activity_log non créée';
+    END IF;
+END $$;
@@ -0,0 +1,42 @@
+-- ============================================
+-- MIGRATION 018: Create Bookmark Clicks Table
+-- Description: Un événement par clic sur un bookmark (analytics)
+-- Purpose: Remplacer le simple compteur bookmarks.visit_count par une
+--          série temporelle: clics par jour, top N sur une période,
+--          bookmarks jamais cliqués, usage par page (GET /api/analytics)
+-- Date: 2026-02-12
+-- ============================================
+
+-- Table: bookmark_clicks
+-- visit_count est conservé (total historique, antérieur à cette table)
+CREATE TABLE IF NOT EXISTS bookmark_clicks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    bookmark_id UUID NOT NULL REFERENCES bookmarks(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL DEFAULT 'view',
+    clicked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_bookmark_click_source CHECK (source IN ('view', 'edit', 'search', 'keyboard'))
+);
+
+-- Index pour performance: Clics d'un user sur une période / série d'un bookmark
+CREATE INDEX IF NOT EXISTS idx_bookmark_clicks_user ON bookmark_clicks(user_id, clicked_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bookmark_clicks_bookmark ON bookmark_clicks(bookmark_id, clicked_at);
+
+-- Commentaires pour documentation
+COMMENT ON TABLE bookmark_clicks IS 'Événements de clic (POST /api/bookmarks/:id/click), agrégés par GET /api/analytics';
+COMMENT ON COLUMN bookmark_clicks.bookmark_id IS 'Bookmark compté (le bookmark conservé pour une copie liée)';
+COMMENT ON COLUMN bookmark_clicks.source IS 'Origine du clic: view (mode View), edit (mode Edit), search (résultats de recherche), keyboard (navigation clavier)';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'bookmark_clicks') THEN
+        RAISE NOTICE '✅ Table bookmark_clicks créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table bookmark_clicks non créée';
+    END IF;
+END $$;
@@ -0,0 +1,48 @@
+-- ============================================
+-- MIGRATION 019: Add Dynamic Group Rules
+-- Description: Nouveaux types de groups dynamiques + paramètres de règle
+-- Purpose: Généraliser "dynamic-top-used" en moteur de règles évaluées côté
+--          serveur (GET /api/groups/:id/bookmarks): récemment cliqués,
+--          récemment ajoutés, tendance de la semaine, non visités depuis N jours,
+--          tag, domaine et recherche enregistrée
+-- Date: 2026-02-13
+-- ============================================
+
+-- Types de groups: manual + un type par règle dynamique
+ALTER TABLE groups DROP CONSTRAINT IF EXISTS check_group_type;
+ALTER TABLE groups ADD CONSTRAINT check_group_type CHECK (group_type IN (
+    'manual',
+    'dynamic-top-used',
+    'dynamic-recent',
+    'dynamic-recently-added',
+    'dynamic-trending',
+    'dynamic-stale',
+    'dynamic-tag',
+    'dynamic-domain',
+    'dynamic-search'
+));
+
+-- Paramètres de la règle ({} pour manual et les règles sans paramètre)
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS rule_params JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Index pour performance: "Recently added" (bookmarks d'un user du plus récent au plus ancien)
+CREATE INDEX IF NOT EXISTS idx_bookmarks_user_created ON bookmarks(user_id, created_at DESC) WHERE deleted_at IS NULL;
+
+-- Commentaires pour documentation
+COMMENT ON COLUMN groups.group_type IS 'Type: "manual" (user gère bookmarks) ou "dynamic-*" (bookmarks calculés par une règle)';
+COMMENT ON COLUMN groups.rule_params IS 'Paramètres de la règle dynamique: { days } (stale), { tag }, { domain }, { query } (search)';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'groups' AND column_name = 'rule_params'
+    ) THEN
+        RAISE NOTICE '✅ Colonne groups.rule_params ajoutée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Colonne groups.rule_params non ajoutée';
+    END IF;
+END $$;
@@ -0,0 +1,42 @@
+-- ============================================
+-- MIGRATION 020: Create Bookmark Frecency Table
+-- Description: Score de "frecency" (fréquence pondérée par la récence) par bookmark
+-- Purpose: Classer les groups "dynamic-top-used" autrement que par visit_count brut:
+--          un lien cliqué 300 fois l'an dernier ne doit plus dépasser
+--          indéfiniment l'outil utilisé chaque jour
+-- Date: 2026-02-14
+-- ============================================
+
+-- Table: bookmark_frecency
+-- Score matérialisé, recalculé après chaque clic et périodiquement (les clics
+-- changent de tranche en vieillissant). Table séparée pour ne pas toucher
+-- bookmarks.updated_at à chaque recalcul.
+CREATE TABLE IF NOT EXISTS bookmark_frecency (
+    bookmark_id UUID PRIMARY KEY REFERENCES bookmarks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    score INTEGER NOT NULL DEFAULT 0,
+    computed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_bookmark_frecency_score CHECK (score >= 0)
+);
+
+-- Index pour performance: Top frecency d'un user
+CREATE INDEX IF NOT EXISTS idx_bookmark_frecency_user_score ON bookmark_frecency(user_id, score DESC);
+
+-- Commentaires pour documentation
+COMMENT ON TABLE bookmark_frecency IS 'Score de frecency par bookmark (classement "frecency" des groups dynamic-top-used)';
+COMMENT ON COLUMN bookmark_frecency.score IS 'visit_count x moyenne des poids des 10 derniers clics (<=4j: 100, <=14j: 70, <=31j: 50, <=90j: 30, au-delà: 10)';
+COMMENT ON COLUMN bookmark_frecency.computed_at IS 'Date du dernier recalcul';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'bookmark_frecency') THEN
+        RAISE NOTICE '✅ Table bookmark_frecency créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table bookmark_frecency non créée';
+    END IF;
+END $$;
@@ -0,0 +1,48 @@
+-- ============================================
+-- MIGRATION 021: Create Page Shares Table
+-- Description: Lien public en lecture seule par page
+-- Purpose: Publier une page (ex: "Team Links") pour des personnes sans compte
+--          via GET /api/public/pages/:slug, avec révocation, rotation du lien
+--          et compteur de vues
+-- Date: 2026-02-15
+-- ============================================
+
+-- Table: page_shares
+-- Une ligne par page partagée; révoquer = supprimer la ligne.
+-- Table séparée pour ne pas toucher pages.updated_at à chaque vue.
+CREATE TABLE IF NOT EXISTS page_shares (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    page_id UUID NOT NULL UNIQUE REFERENCES pages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    slug VARCHAR(64) NOT NULL UNIQUE,
+    theme_id VARCHAR(50),
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    rotated_at TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_page_share_view_count CHECK (view_count >= 0)
+);
+
+-- Index pour performance: Partages d'un user (l'index UNIQUE sur slug sert la route publique)
+CREATE INDEX IF NOT EXISTS idx_page_shares_user ON page_shares(user_id);
+
+-- Commentaires pour documentation
+COMMENT ON TABLE page_shares IS 'Liens publics en lecture seule des pages (GET /api/public/pages/:slug)';
+COMMENT ON COLUMN page_shares.slug IS 'Identifiant aléatoire non devinable (crypto.randomBytes), changé à chaque rotation';
+COMMENT ON COLUMN page_shares.theme_id IS 'Thème du propriétaire appliqué à la page publique (ex: cyberpunk-neon)';
+COMMENT ON COLUMN page_shares.view_count IS 'Nombre de vues du lien actuel (remis à 0 à chaque rotation)';
+COMMENT ON COLUMN page_shares.rotated_at IS 'Date de la dernière rotation du lien (NULL si jamais)';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'page_shares') THEN
+        RAISE NOTICE '✅ Table page_shares créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table page_shares non créée';
+    END IF;
+END $$;
@@ -0,0 +1,102 @@
+-- ============================================
+-- MIGRATION 022: Create Workspaces Tables
+-- Description: Workspaces d'équipe, membres avec rôles et invitations
+-- Purpose: Une équipe co-maintient des pages communes (pages.workspace_id)
+--          pendant que chaque membre garde ses pages personnelles
+--          Rôles: owner (gère membres et pages), editor (modifie le contenu),
+--          viewer (lecture seule)
+-- Date: 2026-02-16
+-- ============================================
+
+-- Table: workspaces
+CREATE TABLE IF NOT EXISTS workspaces (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    icon VARCHAR(50) DEFAULT '👥',
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_workspace_name_not_empty CHECK (LENGTH(TRIM(name)) > 0)
+);
+
+-- Table: workspace_members
+-- Un user a un seul rôle par workspace; un workspace garde toujours au moins un owner (service)
+CREATE TABLE IF NOT EXISTS workspace_members (
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (workspace_id, user_id),
+
+    -- CHECK Constraints
+    CONSTRAINT check_workspace_member_role CHECK (role IN ('owner', 'editor', 'viewer'))
+);
+
+-- Table: workspace_invitations
+-- Invitation par email, acceptée par le user connecté avec cet email
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+
+    -- CHECK Constraints
+    CONSTRAINT check_workspace_invitation_role CHECK (role IN ('editor', 'viewer'))
+);
+
+-- Pages d'un workspace (NULL = page personnelle de pages.user_id)
+ALTER TABLE pages
+    ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+-- Index pour performance: Workspaces d'un user (la PK couvre workspace_id)
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members(user_id);
+
+-- Index pour performance: Une seule invitation en attente par email et workspace
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspace_invitations_email
+    ON workspace_invitations(workspace_id, LOWER(email));
+
+-- Index pour performance: Invitations reçues par un user
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_lower_email ON workspace_invitations(LOWER(email));
+
+-- Index pour performance: Pages d'un workspace
+CREATE INDEX IF NOT EXISTS idx_pages_workspace
+    ON pages(workspace_id, position)
+    WHERE workspace_id IS NOT NULL AND deleted_at IS NULL;
+
+-- Commentaires pour documentation
+COMMENT ON TABLE workspaces IS 'Espaces d''équipe partageant des pages';
+COMMENT ON TABLE workspace_members IS 'Membres d''un workspace et leur rôle';
+COMMENT ON COLUMN workspace_members.role IS 'owner: membres + pages, editor: contenu, viewer: lecture seule';
+COMMENT ON TABLE workspace_invitations IS 'Invitations en attente (supprimées à l''acceptation ou au refus)';
+COMMENT ON COLUMN workspace_invitations.expires_at IS 'Invitation ignorée au-delà de cette date';
+COMMENT ON COLUMN pages.workspace_id IS 'Workspace propriétaire (NULL = page personnelle de user_id)';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'workspaces')
+       AND EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'workspace_members')
+       AND EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'workspace_invitations') THEN
+        RAISE NOTICE '✅ Tables workspaces, workspace_members et workspace_invitations créées avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Tables workspaces non créées';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'pages' AND column_name = 'workspace_id'
+    ) THEN
+        RAISE NOTICE '✅ Colonne pages.workspace_id ajoutée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Colonne pages.workspace_id non ajoutée';
+    END IF;
+END $$;
@@ -0,0 +1,54 @@
+-- ============================================
+-- MIGRATION 023: Create Sessions Table
+-- Description: Sessions serveur (un appareil = une session) et refresh tokens
+-- Purpose: Access tokens JWT courts + refresh token rotatif en cookie httpOnly;
+--          la session permet un vrai logout et la révocation d'un appareil
+--          (GET/DELETE /api/auth/sessions)
+-- Date: 2026-02-17
+-- ============================================
+
+-- Table: sessions
+-- Seul le hash SHA-256 du refresh token est stocké. À chaque refresh le token
+-- est remplacé; le précédent est gardé pour détecter sa réutilisation (vol)
+-- et révoquer la session.
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    previous_token_hash VARCHAR(64),
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+-- Index pour performance: Sessions actives d'un user (liste des appareils)
+CREATE INDEX IF NOT EXISTS idx_sessions_user
+    ON sessions(user_id, last_used_at DESC)
+    WHERE revoked_at IS NULL;
+
+-- Index pour performance: Détection de réutilisation d'un refresh token déjà remplacé
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token
+    ON sessions(previous_token_hash)
+    WHERE previous_token_hash IS NOT NULL;
+
+-- Commentaires pour documentation
+COMMENT ON TABLE sessions IS 'Sessions de connexion (une par appareil), révocables';
+COMMENT ON COLUMN sessions.refresh_token_hash IS 'SHA-256 du refresh token courant (cookie httpOnly)';
+COMMENT ON COLUMN sessions.previous_token_hash IS 'SHA-256 du refresh token remplacé: sa réutilisation révoque la session';
+COMMENT ON COLUMN sessions.expires_at IS 'Fin de validité du refresh token (repoussée à chaque rotation)';
+COMMENT ON COLUMN sessions.revoked_at IS 'Logout ou révocation depuis la liste des appareils';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'sessions') THEN
+        RAISE NOTICE '✅ Table sessions créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table sessions non créée';
+    END IF;
+END $$;
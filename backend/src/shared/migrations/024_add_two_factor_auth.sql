@@ -0,0 +1,54 @@
+-- ============================================
+-- MIGRATION 024: Add Two-Factor Authentication
+-- Description: TOTP (application d'authentification) et codes de récupération
+-- Purpose: Second facteur au login pour protéger les dashboards qui
+--          contiennent des URLs d'administration internes
+-- Date: 2026-02-18
+-- ============================================
+
+-- Colonnes TOTP sur users
+-- totp_secret est renseigné dès l'enrôlement; la 2FA n'est active qu'une
+-- fois un premier code vérifié (totp_enabled_at)
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- Table: user_recovery_codes
+-- Codes à usage unique si le téléphone est perdu; seul le hash SHA-256 est stocké
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (user_id, code_hash)
+);
+
+-- Commentaires pour documentation
+COMMENT ON COLUMN users.totp_secret IS 'Secret TOTP base32 (enrôlement en cours ou 2FA active)';
+COMMENT ON COLUMN users.totp_enabled_at IS 'Activation de la 2FA (NULL = désactivée)';
+COMMENT ON COLUMN users.totp_last_step IS 'Dernier pas de temps TOTP accepté: un code ne sert qu''une fois';
+COMMENT ON TABLE user_recovery_codes IS 'Codes de récupération 2FA à usage unique (hashés)';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'totp_enabled_at'
+    ) THEN
+        RAISE NOTICE '✅ Colonnes TOTP ajoutées à users';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Colonnes TOTP non ajoutées';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'user_recovery_codes') THEN
+        RAISE NOTICE '✅ Table user_recovery_codes créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table user_recovery_codes non créée';
+    END IF;
+END $$;
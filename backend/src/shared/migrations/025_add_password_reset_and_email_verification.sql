@@ -0,0 +1,69 @@
+-- ============================================
+-- MIGRATION 025: Add Password Reset and Email Verification
+-- Description: Jetons envoyés par email (reset du mot de passe, vérification
+--              de l'adresse) et date de vérification de l'email
+-- Purpose: Récupérer un compte sans intervention manuelle; confirmer que
+--          l'adresse saisie à l'inscription appartient bien au user
+-- Date: 2026-02-19
+-- ============================================
+
+-- Vérification de l'email (NULL = non vérifié)
+-- Les comptes existant avant la migration sont considérés comme vérifiés.
+-- Backfill dans le même bloc que l'ajout de la colonne: npm run migrate rejoue
+-- tous les fichiers, un UPDATE seul vérifierait à chaque déploiement les
+-- comptes inscrits depuis (invitations workspace et liaison SSO en dépendent)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'email_verified_at'
+    ) THEN
+        ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+        UPDATE users SET email_verified_at = created_at;
+    END IF;
+END $$;
+
+-- Table: user_tokens
+-- Jetons à usage unique envoyés par email; seul le hash SHA-256 est stocké
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- CHECK Constraints
+    CONSTRAINT check_user_token_purpose CHECK (purpose IN ('password_reset', 'email_verification'))
+);
+
+-- Index pour performance: Jetons d'un user par usage (invalidation des précédents)
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
+
+-- Commentaires pour documentation
+COMMENT ON COLUMN users.email_verified_at IS 'Vérification de l''email (NULL = non vérifié)';
+COMMENT ON TABLE user_tokens IS 'Jetons à usage unique envoyés par email (hashés)';
+COMMENT ON COLUMN user_tokens.purpose IS 'password_reset | email_verification';
+COMMENT ON COLUMN user_tokens.used_at IS 'Utilisation du jeton (un jeton ne sert qu''une fois)';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'email_verified_at'
+    ) THEN
+        RAISE NOTICE '✅ Colonne users.email_verified_at ajoutée';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Colonne users.email_verified_at non ajoutée';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'user_tokens') THEN
+        RAISE NOTICE '✅ Table user_tokens créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table user_tokens non créée';
+    END IF;
+END $$;
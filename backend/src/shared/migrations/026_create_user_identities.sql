@@ -0,0 +1,57 @@
+-- ============================================
+-- MIGRATION 026: Create User Identities (SSO)
+-- Description: Comptes externes OpenID Connect liés aux users
+-- Purpose: Connexion par l'IdP de l'entreprise (authorization code + PKCE)
+--          sans mot de passe PinGrid; création du user au premier login
+--          ou liaison à un compte existant par email vérifié
+-- Date: 2026-02-20
+-- ============================================
+
+-- Un user créé par SSO n'a pas de mot de passe (il peut en définir un
+-- avec "Forgot password?")
+ALTER TABLE users
+    ALTER COLUMN password_hash DROP NOT NULL;
+
+-- Table: user_identities
+-- Une identité = (provider configuré, claim "sub" de l'IdP)
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (provider, subject)
+);
+
+-- Index pour performance: Identités d'un user
+CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+
+-- Commentaires pour documentation
+COMMENT ON TABLE user_identities IS 'Comptes OpenID Connect liés (un user peut en avoir plusieurs)';
+COMMENT ON COLUMN user_identities.provider IS 'Identifiant du provider dans OIDC_PROVIDERS';
+COMMENT ON COLUMN user_identities.subject IS 'Claim sub de l''IdP: stable, contrairement à l''email';
+COMMENT ON COLUMN user_identities.email IS 'Email donné par l''IdP au dernier login (information)';
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'user_identities') THEN
+        RAISE NOTICE '✅ Table user_identities créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Table user_identities non créée';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'password_hash' AND is_nullable = 'YES'
+    ) THEN
+        RAISE NOTICE '✅ users.password_hash optionnel';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: users.password_hash toujours obligatoire';
+    END IF;
+END $$;
@@ -0,0 +1,41 @@
+-- ============================================
+-- MIGRATION 027: Scope Page Names By Workspace
+-- Description: Unicité des noms de pages par espace (pages personnelles / workspace)
+-- Purpose: L'index des migrations 002/016 portait sur (user_id, nom): un user ne pouvait
+--          pas avoir une page personnelle et une page de workspace homonymes, ni
+--          créer "Home" dans deux workspaces (erreur 23505 au lieu du contrôle applicatif)
+-- Date: 2026-02-21
+-- ============================================
+
+-- Pages personnelles: unicité par user (hors corbeille)
+-- Définition unique de idx_pages_user_name: l'index de la migration 002 est
+-- remplacé seulement s'il n'a pas encore ce périmètre (npm run migrate rejoue ce fichier)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_indexes
+        WHERE indexname = 'idx_pages_user_name' AND indexdef LIKE '%workspace_id IS NULL%'
+    ) THEN
+        DROP INDEX IF EXISTS idx_pages_user_name;
+        CREATE UNIQUE INDEX idx_pages_user_name
+            ON pages(user_id, LOWER(name))
+            WHERE workspace_id IS NULL AND deleted_at IS NULL;
+    END IF;
+END $$;
+
+-- Pages d'un workspace: unicité dans le workspace, quel que soit le créateur
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pages_workspace_name
+    ON pages(workspace_id, LOWER(name))
+    WHERE workspace_id IS NOT NULL AND deleted_at IS NULL;
+
+-- ============================================
+-- Vérifications
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_pages_workspace_name') THEN
+        RAISE NOTICE '✅ Unicité des noms de pages par workspace créée avec succès';
+    ELSE
+        RAISE EXCEPTION '❌ Erreur: Index idx_pages_workspace_name non créé';
+    END IF;
+END $$;
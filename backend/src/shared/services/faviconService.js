@@ -2,6 +2,10 @@ const https = require('https');
 const http = require('http');
 const { URL } = require('url');
 const pool = require('../config/database');
+const { assertPublicHost, publicLookup } = require('../utils/publicAddress');
+
+// Some sites reject requests without a browser-like User-Agent
+const PROBE_USER_AGENT = 'Mozilla/5.0 (compatible; PinGrid/2.0)';
 
 /**
  * FaviconService
@@ -127,43 +131,132 @@ class FaviconService {
    * @param {number} timeout - Timeout in milliseconds (default 5000)
    * @returns {Promise<object>} - {success: boolean, url: string|null, error: string|null}
    */
-  fetchWithTimeout(url, timeout = 5000) {
+  async fetchWithTimeout(url, timeout = 5000) {
+    const probe = await this.probeUrl(url, { timeout });
+
+    if (probe.statusCode === 200) {
+      return { success: true, url: probe.finalUrl, error: null };
+    }
+
+    return { success: false, url: null, error: probe.error || `HTTP ${probe.statusCode}` };
+  }
+
+  /**
+   * Request a URL and follow redirects (3xx + Location, relative locations resolved)
+   * Shared by favicon lookups and the link health checker.
+   * Only public addresses are requested: the first URL and every redirect target
+   * are checked (user URLs must not reach localhost or the internal network).
+   * @param {string} url - URL to probe
+   * @param {object} options - { method?: 'GET'|'HEAD', timeout?: ms per hop, maxRedirects? }
+   * @returns {Promise<object>} - {statusCode: number|null, finalUrl, redirects: [{url, statusCode}], error: string|null}
+   */
+  async probeUrl(url, options = {}) {
+    const { method = 'GET', timeout = 5000, maxRedirects = 10 } = options;
+    const redirects = [];
+    let currentUrl = url;
+
+    while (redirects.length <= maxRedirects) {
+      const blocked = await this.checkPublicUrl(currentUrl);
+      if (blocked) {
+        return { statusCode: null, finalUrl: currentUrl, redirects, error: blocked };
+      }
+
+      const hop = await this.requestOnce(currentUrl, method, timeout);
+
+      if (hop.statusCode >= 300 && hop.statusCode < 400 && hop.location) {
+        let nextUrl;
+        try {
+          nextUrl = new URL(hop.location, currentUrl).href;
+        } catch {
+          return { statusCode: hop.statusCode, finalUrl: currentUrl, redirects, error: 'Invalid redirect location' };
+        }
+
+        console.log(`Redirect: ${currentUrl} → ${nextUrl}`);
+        redirects.push({ url: currentUrl, statusCode: hop.statusCode });
+        currentUrl = nextUrl;
+        continue;
+      }
+
+      return { statusCode: hop.statusCode, finalUrl: currentUrl, redirects, error: hop.error };
+    }
+
+    return { statusCode: null, finalUrl: currentUrl, redirects, error: 'Too many redirects' };
+  }
+
+  /**
+   * Refuse URLs whose host resolves to a loopback, private or link-local address
+   * @param {string} url - URL about to be requested
+   * @returns {Promise<string|null>} - Error message, or null if the URL may be requested
+   */
+  async checkPublicUrl(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch {
+      return 'Invalid URL';
+    }
+
+    try {
+      await assertPublicHost(hostname);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Single HTTP request (no redirect following), body is never read
+   * The connection itself re-checks the resolved address (publicLookup)
+   * @param {string} url - URL to request
+   * @param {string} method - HTTP method
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<object>} - {statusCode: number|null, location: string|null, error: string|null}
+   */
+  requestOnce(url, method, timeout) {
     return new Promise((resolve) => {
-      const protocol = url.startsWith('https') ? https : http;
+      let request = null;
+      let settled = false;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(result);
+      };
 
       const timer = setTimeout(() => {
-        resolve({ success: false, url: null, error: 'Timeout' });
+        if (request) request.destroy();
+        finish({ statusCode: null, location: null, error: 'Timeout' });
       }, timeout);
 
-      const request = protocol.get(url, (response) => {
-        clearTimeout(timer);
+      if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        return finish({ statusCode: null, location: null, error: 'Unsupported protocol' });
+      }
 
-        // Follow redirects (301, 302)
-        if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-          console.log(`Redirect: ${url} → ${response.headers.location}`);
-          return resolve(this.fetchWithTimeout(response.headers.location, timeout));
-        }
+      try {
+        const protocol = url.startsWith('https') ? https : http;
 
-        if (response.statusCode === 200) {
-          resolve({ success: true, url: url, error: null });
-        } else {
-          resolve({ success: false, url: null, error: `HTTP ${response.statusCode}` });
-        }
+        const options = { method, headers: { 'User-Agent': PROBE_USER_AGENT }, lookup: publicLookup };
+        request = protocol.request(url, options, (response) => {
+          finish({ statusCode: response.statusCode, location: response.headers.location || null, error: null });
 
-        // Destroy response to prevent memory leak
-        response.destroy();
-      });
+          // Destroy response to prevent memory leak
+          response.destroy();
+        });
 
-      request.on('error', (error) => {
-        clearTimeout(timer);
-        resolve({ success: false, url: null, error: error.message });
-      });
+        request.on('error', (error) => {
+          finish({ statusCode: null, location: null, error: error.message });
+        });
 
-      request.setTimeout(timeout, () => {
-        request.destroy();
-        clearTimeout(timer);
-        resolve({ success: false, url: null, error: 'Socket timeout' });
-      });
+        request.setTimeout(timeout, () => {
+          request.destroy();
+          finish({ statusCode: null, location: null, error: 'Socket timeout' });
+        });
+
+        request.end();
+      } catch (error) {
+        finish({ statusCode: null, location: null, error: error.message });
+      }
     });
   }
 
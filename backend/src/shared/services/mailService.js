@@ -0,0 +1,90 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * MailService
+ *
+ * Envoi des emails transactionnels (reset du mot de passe, vérification d'email).
+ *
+ * Transport choisi par MAIL_TRANSPORT:
+ * - smtp: serveur SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD);
+ *   en local, un faux serveur type Mailpit/MailHog (SMTP_HOST=localhost SMTP_PORT=1025)
+ * - file: un fichier .eml par email dans MAIL_FILE_DIR (./tmp/mail par défaut)
+ * - console: email affiché dans les logs
+ * Par défaut: smtp si SMTP_HOST est défini, sinon console.
+ */
+const TRANSPORTS = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  }),
+
+  file: () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+    const stream = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      async sendMail(message) {
+        const info = await stream.sendMail(message);
+        await fs.mkdir(directory, { recursive: true });
+        const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+        await fs.writeFile(file, info.message);
+        console.log(`📧 Email written to ${file}`);
+        return info;
+      }
+    };
+  },
+
+  console: () => ({
+    sendMail(message) {
+      console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+      return Promise.resolve({ messageId: null });
+    }
+  })
+};
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Transport configuré (créé au premier envoi)
+   * @returns {object} Objet avec sendMail(message)
+   * @private
+   */
+  getTransport() {
+    if (!this.transport) {
+      const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+      const createTransport = TRANSPORTS[name];
+      if (!createTransport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Envoyer un email
+   * @param {object} message - { to, subject, text, html? }
+   * @returns {Promise<object>} Info du transport (messageId, ...)
+   */
+  async sendMail({ to, subject, text, html }) {
+    const info = await this.getTransport().sendMail({
+      from: process.env.MAIL_FROM || 'PinGrid <no-reply@pingrid.local>',
+      to,
+      subject,
+      text,
+      html
+    });
+    return info;
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,234 @@
+/**
+ * Client OpenID Connect (authorization code + PKCE)
+ * Discovery (.well-known/openid-configuration), échange du code,
+ * vérification de l'ID token avec les clés publiques de l'IdP (JWKS)
+ * et userinfo. Sans dépendance: fetch de Node 20, crypto et jsonwebtoken.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Documents de l'IdP gardés en mémoire (rotation des clés: JWKS relu si kid inconnu)
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+// Décalage d'horloge toléré avec l'IdP (exp, iat)
+const CLOCK_TOLERANCE_SECONDS = 60;
+// Signatures asymétriques uniquement: ni "none", ni HS* (secret partagé)
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Requête HTTP vers l'IdP, réponse JSON
+ * @param {string} url
+ * @param {object} options - Options fetch
+ * @returns {Promise<object>}
+ */
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`OIDC request to ${new URL(url).pathname} failed (${response.status}): ${detail}`);
+  }
+  if (!body) {
+    throw new Error(`OIDC request to ${new URL(url).pathname} returned no JSON`);
+  }
+
+  return body;
+}
+
+/**
+ * Métadonnées de l'IdP (discovery document)
+ * @param {string} issuer - URL de l'issuer (sans /.well-known)
+ * @returns {Promise<object>} { issuer, authorization_endpoint, token_endpoint, jwks_uri, userinfo_endpoint, ... }
+ */
+async function discover(issuer) {
+  const normalized = issuer.replace(/\/$/, '');
+  const cached = discoveryCache.get(normalized);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${normalized}/.well-known/openid-configuration`);
+
+  // Le document doit annoncer l'issuer demandé (sinon les ID tokens ne correspondront pas)
+  if ((metadata.issuer || '').replace(/\/$/, '') !== normalized) {
+    throw new Error(`OIDC discovery issuer mismatch: expected ${normalized}, got ${metadata.issuer}`);
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw new Error(`OIDC discovery document has no ${field}`);
+    }
+  }
+
+  discoveryCache.set(normalized, { metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return metadata;
+}
+
+/**
+ * Paire PKCE (RFC 7636, méthode S256)
+ * @returns {{ codeVerifier: string, codeChallenge: string }}
+ */
+function createPkce() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Valeur aléatoire pour state et nonce
+ * @returns {string}
+ */
+function randomValue() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * URL de l'IdP vers laquelle rediriger le navigateur
+ * @param {object} metadata - Discovery document
+ * @param {object} params - { clientId, redirectUri, scope, state, nonce, codeChallenge }
+ * @returns {string}
+ */
+function buildAuthorizationUrl(metadata, { clientId, redirectUri, scope, state, nonce, codeChallenge }) {
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', scope);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+/**
+ * Échanger le code d'autorisation contre les tokens
+ * Client confidentiel: client_secret_basic (ou client_secret_post si c'est la seule
+ * méthode annoncée); client public: client_id seul, PKCE fait la preuve
+ * @param {object} metadata - Discovery document
+ * @param {object} params - { code, redirectUri, codeVerifier, clientId, clientSecret }
+ * @returns {Promise<object>} { id_token, access_token, ... }
+ */
+async function exchangeCode(metadata, { code, redirectUri, codeVerifier, clientId, clientSecret }) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (clientSecret && methods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', clientId);
+    if (clientSecret) {
+      body.set('client_secret', clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response has no id_token');
+  }
+
+  return tokens;
+}
+
+/**
+ * Clé publique de l'IdP pour un kid (JWKS relu une fois si le kid est inconnu)
+ * @param {string} jwksUri
+ * @param {object} header - En-tête du JWT { kid, alg }
+ * @returns {Promise<crypto.KeyObject>}
+ */
+async function getSigningKey(jwksUri, header) {
+  const findKey = (keys) => keys.find(key =>
+    (header.kid ? key.kid === header.kid : true) && (!key.use || key.use === 'sig')
+  );
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && findKey(cached.keys);
+
+  if (!jwk && (!cached || Date.now() - cached.fetchedAt > JWKS_MIN_REFRESH_MS)) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new Error('OIDC signing key not found');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Vérifier l'ID token: signature, issuer, audience, expiration et nonce
+ * @param {object} metadata - Discovery document
+ * @param {string} idToken
+ * @param {object} expected - { clientId, nonce }
+ * @returns {Promise<object>} Claims { sub, email, email_verified, name, ... }
+ */
+async function verifyIdToken(metadata, idToken, { clientId, nonce }) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('OIDC ID token is malformed or uses an unsupported algorithm');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [decoded.header.alg],
+    issuer: metadata.issuer,
+    audience: clientId,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  // Plusieurs audiences: le token doit avoir été émis pour ce client
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new Error('OIDC ID token was issued for another client');
+  }
+  if (!nonce || claims.nonce !== nonce) {
+    throw new Error('OIDC ID token nonce mismatch');
+  }
+  if (!claims.sub) {
+    throw new Error('OIDC ID token has no subject');
+  }
+
+  return claims;
+}
+
+/**
+ * Claims du endpoint userinfo (quand l'ID token ne contient pas l'email)
+ * @param {object} metadata - Discovery document
+ * @param {string} accessToken
+ * @returns {Promise<object|null>} Claims, ou null si l'IdP n'a pas de userinfo
+ */
+async function fetchUserInfo(metadata, accessToken) {
+  if (!metadata.userinfo_endpoint || !accessToken) return null;
+
+  const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  return userInfo;
+}
+
+module.exports = {
+  discover,
+  createPkce,
+  randomValue,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo
+};
@@ -0,0 +1,103 @@
+/**
+ * Public Address
+ * Les sondes sortantes (link health, favicons) ne doivent joindre que
+ * l'internet public: une URL de bookmark ou une redirection vers localhost,
+ * un réseau privé ou 169.254.169.254 (metadata cloud) ferait du serveur un
+ * scanner du réseau interne.
+ */
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_ADDRESS_ERROR = 'Private or local network address';
+
+// Plages non publiques: loopback, privées (RFC 1918, ULA), link-local, CGNAT,
+// réservées et multicast (les règles IPv4 couvrent aussi ::ffff:a.b.c.d)
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Adresse IP publique ?
+ * @param {string} address - IPv4 ou IPv6
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Erreur d'adresse refusée (code EBLOCKED)
+ * @private
+ */
+function blockedError(hostname, address) {
+  const error = new Error(BLOCKED_ADDRESS_ERROR);
+  error.code = 'EBLOCKED';
+  error.hostname = hostname;
+  error.address = address;
+  return error;
+}
+
+/**
+ * Vérifier qu'un host ne résout que vers des adresses publiques
+ * @param {string} hostname - Host de l'URL (IPv6 entre crochets accepté)
+ * @returns {Promise<void>}
+ * @throws {Error} EBLOCKED si une adresse n'est pas publique, erreur DNS sinon
+ */
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw blockedError(host, blocked.address);
+  }
+}
+
+/**
+ * Option lookup de http(s).request: refuse la connexion vers une adresse non
+ * publique au moment même de la connexion (un DNS qui change de réponse entre
+ * la vérification et la requête ne contourne pas le contrôle)
+ */
+function publicLookup(hostname, options, callback) {
+  const lookupOptions = typeof options === 'object' ? options : { family: options };
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) return callback(blockedError(hostname, blocked.address));
+
+    if (lookupOptions.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  BLOCKED_ADDRESS_ERROR,
+  isPublicAddress,
+  assertPublicHost,
+  publicLookup
+};
@@ -0,0 +1,147 @@
+/**
+ * TOTP (RFC 6238)
+ * Codes à 6 chiffres toutes les 30 secondes, HMAC-SHA1, secret en base32:
+ * le format attendu par Google Authenticator, 1Password, Authy, etc.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+// Pas de temps acceptés de part et d'autre (décalage d'horloge du téléphone)
+const WINDOW = 1;
+
+/**
+ * Encoder en base32 (RFC 4648, sans padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Décoder du base32 (espaces et padding ignorés, casse indifférente)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Générer un nouveau secret
+ * @returns {string} Secret en base32
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Code d'un pas de temps (HOTP, RFC 4226)
+ * @param {string} secret - Secret en base32
+ * @param {number} step - Numéro du pas de temps
+ * @returns {string} Code à 6 chiffres
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Pas de temps courant
+ * @param {number} now - Timestamp en ms
+ * @returns {number}
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Vérifier un code
+ * Renvoie le pas de temps reconnu pour que l'appelant refuse de rejouer
+ * un code déjà utilisé (step <= dernier step accepté)
+ * @param {string} secret - Secret en base32
+ * @param {string} code - Code saisi (espaces ignorés)
+ * @returns {number|null} Pas de temps du code, ou null si invalide
+ */
+function verifyCode(secret, code) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const step = currentStep();
+  for (let delta = -WINDOW; delta <= WINDOW; delta++) {
+    const expected = generateCode(secret, step + delta);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step + delta;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * URI de provisioning (contenu du QR code scanné par l'application)
+ * @param {string} secret - Secret en base32
+ * @param {string} accountName - Email du user
+ * @param {string} issuer - Nom affiché dans l'application
+ * @returns {string} otpauth://totp/...
+ */
+function buildOtpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl
+};
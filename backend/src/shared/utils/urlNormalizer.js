@@ -0,0 +1,75 @@
+/**
+ * URL Normalizer
+ * Clé de comparaison pour détecter les doublons entre bookmarks
+ * (http://www.site.com/page/?utm_source=x et https://site.com/page → même clé)
+ */
+
+// Paramètres de tracking ignorés (en plus de tous les utm_*)
+const TRACKING_PARAMS = new Set([
+  'fbclid',
+  'gclid',
+  'dclid',
+  'gclsrc',
+  'msclkid',
+  'yclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  'ref_src'
+]);
+
+/**
+ * Paramètre de tracking ?
+ * @param {string} name - Nom du paramètre de query
+ * @returns {boolean}
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.has(lower);
+}
+
+/**
+ * Normaliser une URL pour la comparaison
+ * - Schéma ignoré (http = https)
+ * - Host en minuscules, sans www. ni port par défaut
+ * - Slash final supprimé
+ * - Paramètres de tracking supprimés, autres paramètres triés
+ * - Fragment supprimé, sauf routes d'apps (#/..., #!...)
+ * @param {string} url - URL du bookmark
+ * @returns {string} Clé normalisée (ex: "site.com/page?id=1")
+ */
+function normalizeUrl(url) {
+  if (typeof url !== 'string') return '';
+
+  const trimmed = url.trim();
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch {
+    return trimmed.toLowerCase();
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return trimmed.toLowerCase();
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+  const path = parsed.pathname.replace(/\/+$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  const hash = parsed.hash.startsWith('#/') || parsed.hash.startsWith('#!') ? parsed.hash : '';
+
+  return `${host}${port}${path}${query}${hash}`;
+}
+
+module.exports = {
+  normalizeUrl,
+  isTrackingParam
+};
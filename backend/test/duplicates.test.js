@@ -0,0 +1,62 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestDatabase, createUser, createPageTree, createBookmark } = require('./helpers/testDatabase');
+
+let db;
+let bookmarksService;
+let trashService;
+
+before(async () => {
+  ({ db } = await setupTestDatabase());
+  bookmarksService = require('../src/modules/bookmarks/bookmarks.service');
+  trashService = require('../src/modules/trash/trash.service');
+});
+
+test('merging duplicates moves the copies to the trash and can be undone', async () => {
+  const user = await createUser(db, { email: 'merge@example.com' });
+  const { groupId } = await createPageTree(db, { userId: user.id, name: 'Merge' });
+  const keep = await createBookmark(db, { groupId, userId: user.id, url: 'https://example.com/', position: 0 });
+  const copy = await createBookmark(db, { groupId, userId: user.id, url: 'https://www.example.com', position: 1 });
+  await db.query('UPDATE bookmarks SET visit_count = 3 WHERE id = $1', [keep.id]);
+  await db.query('UPDATE bookmarks SET visit_count = 2 WHERE id = $1', [copy.id]);
+
+  const result = await bookmarksService.mergeDuplicates(user.id, keep.id, [copy.id], 'delete');
+  assert.equal(result.merged, 1);
+  assert.equal(result.bookmark.visit_count, 5);
+
+  const { rows: [trashed] } = await db.query('SELECT deleted_at FROM bookmarks WHERE id = $1', [copy.id]);
+  assert.ok(trashed.deleted_at);
+  const { rows: [trashItem] } = await db.query(
+    'SELECT id FROM trash_items WHERE item_type = $1 AND item_id = $2', ['bookmark', copy.id]
+  );
+  assert.ok(trashItem);
+
+  await trashService.restore(user.id, trashItem.id);
+  const { rows: [restored] } = await db.query(
+    'SELECT deleted_at, group_id, visit_count FROM bookmarks WHERE id = $1', [copy.id]
+  );
+  assert.deepEqual(restored, { deleted_at: null, group_id: groupId, visit_count: 0 });
+});
+
+test('merging duplicates leaves everything in place when a copy cannot be trashed', async () => {
+  const user = await createUser(db, { email: 'merge-rollback@example.com' });
+  const { groupId } = await createPageTree(db, { userId: user.id, name: 'Merge rollback' });
+  const keep = await createBookmark(db, { groupId, userId: user.id, url: 'https://example.org/', position: 0 });
+  const copy = await createBookmark(db, { groupId, userId: user.id, url: 'https://example.org', position: 1 });
+  await db.query('UPDATE bookmarks SET visit_count = 4 WHERE id = $1', [copy.id]);
+
+  // Copie à la corbeille entre la vérification du service et la transaction
+  const Bookmark = require('../src/modules/bookmarks/bookmarks.model');
+  const Trash = require('../src/modules/trash/trash.model');
+  await Trash.moveToTrash(user.id, 'bookmark', copy.id);
+
+  await assert.rejects(
+    Bookmark.mergeDuplicates(user.id, keep.id, [copy.id], 'delete'),
+    /not found or access denied/
+  );
+
+  const { rows } = await db.query(
+    'SELECT id, visit_count FROM bookmarks WHERE id = ANY($1::uuid[]) ORDER BY position', [[keep.id, copy.id]]
+  );
+  assert.deepEqual(rows, [{ id: keep.id, visit_count: 0 }, { id: copy.id, visit_count: 4 }]);
+});
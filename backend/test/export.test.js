@@ -0,0 +1,40 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestDatabase } = require('./helpers/testDatabase');
+
+let exportController;
+
+before(async () => {
+  await setupTestDatabase();
+  exportController = require('../src/modules/export/exportController');
+});
+
+/**
+ * Réponse Express minimale: statut et corps JSON enregistrés
+ */
+function fakeResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('export rejects a repeated format parameter with 400', async () => {
+  const res = fakeResponse();
+
+  await exportController.exportBookmarks({
+    userId: '00000000-0000-0000-0000-000000000000',
+    query: { format: ['json', 'html'] }
+  }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /^Invalid format/);
+});
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { uuid_ossp } = require('@electric-sql/pglite/contrib/uuid_ossp');
+const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+
+/**
+ * Migration Database
+ * Postgres embarqué (PGlite) pour exécuter les vraies migrations SQL dans les tests
+ */
+
+const migrationsDir = path.join(__dirname, '..', '..', 'src', 'shared', 'migrations');
+
+/**
+ * Fichiers de migration triés (même ordre que run-migrations.js)
+ * @returns {Array<string>}
+ */
+function listMigrations() {
+  return fs.readdirSync(migrationsDir)
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+}
+
+/**
+ * Créer une base vide avec les extensions utilisées par les migrations
+ * @returns {Promise<PGlite>}
+ */
+function createDatabase() {
+  return PGlite.create({ extensions: { uuid_ossp, pg_trgm } });
+}
+
+/**
+ * Exécuter des migrations fichier par fichier, comme run-migrations.js:
+ * une migration en échec n'arrête pas les suivantes
+ * @param {PGlite} db - Base PGlite
+ * @param {Array<string>} files - Fichiers à exécuter (default: tous)
+ * @returns {Promise<Array>} Échecs [{ file, message }]
+ */
+async function runMigrations(db, files = listMigrations()) {
+  const failures = [];
+
+  for (const file of files) {
+    try {
+      await db.exec(fs.readFileSync(path.join(migrationsDir, file), 'utf8'));
+    } catch (error) {
+      failures.push({ file, message: error.message });
+    }
+  }
+
+  return failures;
+}
+
+module.exports = {
+  listMigrations,
+  createDatabase,
+  runMigrations
+};
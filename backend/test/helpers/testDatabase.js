@@ -0,0 +1,110 @@
+const path = require('path');
+const { createDatabase, runMigrations } = require('./migrationDatabase');
+
+/**
+ * Test Database
+ * Remplace le pool pg (src/shared/config/database) par une base PGlite migrée,
+ * pour tester models et services sur le vrai schéma.
+ * À appeler avant de charger le moindre module de src/.
+ */
+
+const databaseModule = path.join(__dirname, '..', '..', 'src', 'shared', 'config', 'database.js');
+
+/**
+ * Adapter une base PGlite à l'interface du pool pg utilisée par les models
+ * (une seule connexion: les requêtes des tests sont séquentielles)
+ * @param {PGlite} db - Base PGlite
+ * @returns {object} { query, connect, on, end }
+ */
+function createPool(db) {
+  const query = async (text, params) => {
+    const result = await db.query(text, params);
+    return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+  };
+
+  return {
+    query,
+    connect: () => Promise.resolve({ query, release() {} }),
+    on() {},
+    end: () => Promise.resolve()
+  };
+}
+
+/**
+ * Créer la base migrée et l'installer comme pool de l'application
+ * @returns {Promise<object>} { db, pool }
+ */
+async function setupTestDatabase() {
+  const db = await createDatabase();
+  await runMigrations(db);
+
+  const pool = createPool(db);
+  require.cache[databaseModule] = {
+    id: databaseModule,
+    filename: databaseModule,
+    loaded: true,
+    exports: pool
+  };
+
+  return { db, pool };
+}
+
+/**
+ * Créer un user de test
+ * @param {PGlite} db - Base PGlite
+ * @param {object} data - { email, verified? }
+ * @returns {Promise<object>} User { id, email }
+ */
+async function createUser(db, { email, verified = true }) {
+  const { rows } = await db.query(
+    `INSERT INTO users (email, password_hash, email_verified_at)
+     VALUES ($1, 'x', ${verified ? 'CURRENT_TIMESTAMP' : 'NULL'})
+     RETURNING id, email`,
+    [email]
+  );
+  return rows[0];
+}
+
+/**
+ * Créer une page avec une section et un group manuel
+ * @param {PGlite} db - Base PGlite
+ * @param {object} data - { userId, name, workspaceId? }
+ * @returns {Promise<object>} { pageId, sectionId, groupId }
+ */
+async function createPageTree(db, { userId, name, workspaceId = null }) {
+  const { rows: [page] } = await db.query(
+    'INSERT INTO pages (user_id, name, workspace_id) VALUES ($1, $2, $3) RETURNING id',
+    [userId, name, workspaceId]
+  );
+  const { rows: [section] } = await db.query(
+    `INSERT INTO sections (page_id, name) VALUES ($1, 'Section') RETURNING id`, [page.id]
+  );
+  const { rows: [group] } = await db.query(
+    `INSERT INTO groups (section_id, name) VALUES ($1, 'Group') RETURNING id`, [section.id]
+  );
+
+  return { pageId: page.id, sectionId: section.id, groupId: group.id };
+}
+
+/**
+ * Créer un bookmark dans un group
+ * @param {PGlite} db - Base PGlite
+ * @param {object} data - { groupId, userId, url, title?, position? }
+ * @returns {Promise<object>} Bookmark { id, url }
+ */
+async function createBookmark(db, { groupId, userId, url, title = 'Bookmark', position = 0 }) {
+  const { rows } = await db.query(
+    `INSERT INTO bookmarks (group_id, user_id, title, url, position)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, url`,
+    [groupId, userId, title, url, position]
+  );
+  return rows[0];
+}
+
+module.exports = {
+  setupTestDatabase,
+  createUser,
+  createPageTree,
+  createBookmark
+};
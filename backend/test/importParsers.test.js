@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const parsers = require('../src/modules/import/parsers');
+const { isWebUrl } = require('../src/modules/import/parsers/helpers');
+
+test('isWebUrl only accepts absolute http(s) URLs', () => {
+  assert.equal(isWebUrl('https://example.com/a'), true);
+  assert.equal(isWebUrl(' http://example.com '), true);
+
+  for (const value of [
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'place:sort=8&maxResults=10',
+    'chrome://settings',
+    'file:///etc/passwd',
+    '/relative/path',
+    '',
+    null,
+    42
+  ]) {
+    assert.equal(isWebUrl(value), false, String(value));
+  }
+});
+
+test('browser HTML import drops bookmarklets and browser-internal links', () => {
+  const html = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+  <DT><H3>Bookmarks bar</H3>
+  <DL><p>
+    <DT><A HREF="https://example.com/">Example</A>
+    <DT><A HREF="javascript:alert(document.cookie)">Bookmarklet</A>
+    <DT><A HREF="place:sort=8&amp;maxResults=10">Recent tags</A>
+    <DT><A HREF="chrome://settings">Settings</A>
+    <DT><A HREF="data:text/html,hi">Data</A>
+  </DL><p>
+</DL><p>`;
+
+  const { bookmarks, rejected } = parsers.getParser('netscape-html').parse(html);
+
+  assert.deepEqual(bookmarks.map(bm => bm.url), ['https://example.com/']);
+  assert.equal(rejected, 4);
+  assert.deepEqual(bookmarks[0].folderPath, ['Bookmarks bar']);
+});
@@ -0,0 +1,115 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestDatabase, createUser, createPageTree, createBookmark } = require('./helpers/testDatabase');
+
+let db;
+let importService;
+
+before(async () => {
+  ({ db } = await setupTestDatabase());
+  importService = require('../src/modules/import/importService');
+});
+
+/**
+ * Export PinGrid minimal: une page, une section, un group manuel
+ */
+function pinGridExport(bookmarks, pageName = 'Restored') {
+  return JSON.stringify({
+    format: 'pingrid-export',
+    version: 1,
+    pages: [{
+      name: pageName,
+      sections: [{ name: 'Section', groups: [{ name: 'Group', group_type: 'manual', bookmarks }] }]
+    }]
+  });
+}
+
+test('import commit drops bookmarks without an http(s) URL', () => {
+  const plan = importService.normalizeImportSelection({
+    folders: [{
+      sectionName: 'Imported',
+      groupName: 'General',
+      bookmarks: [
+        { title: 'Ok', url: ' https://example.com/ ' },
+        { title: 'Xss', url: 'javascript:alert(document.cookie)' },
+        { title: 'Data', url: 'data:text/html,<script>alert(1)</script>' },
+        { title: 'Not a string', url: { href: 'https://example.com' } },
+        null
+      ]
+    }, {
+      sectionName: 'Only bad',
+      groupName: 'General',
+      bookmarks: [{ title: 'Xss', url: 'JAVASCRIPT:alert(1)' }]
+    }]
+  });
+
+  assert.equal(plan.length, 1);
+  assert.deepEqual(plan[0].bookmarks.map(bm => bm.url), ['https://example.com/']);
+});
+
+test('import commit refuses a selection with no http(s) bookmark', async () => {
+  const importJobService = require('../src/modules/import/importJobService');
+
+  await assert.rejects(
+    importJobService.startCommitJob('00000000-0000-0000-0000-000000000000', {
+      folders: [{ sectionName: 'A', groupName: 'B', bookmarks: [{ title: 'Xss', url: 'javascript:void(0)' }] }]
+    }),
+    /No bookmarks selected for import/
+  );
+});
+
+test('backup restore skips non-http(s) URLs and unsafe favicons', async () => {
+  const user = await createUser(db, { email: 'restore-urls@example.com' });
+  const pngIcon = 'data:image/png;base64,iVBORw0KGgo=';
+
+  const result = await importService.restorePinGridExport(user.id, pinGridExport([
+    { title: 'Ok', url: 'https://example.com/', favicon_url: pngIcon, position: 0 },
+    { title: 'Icon', url: 'https://example.org/', favicon_url: 'javascript:alert(1)', position: 1 },
+    { title: 'Html', url: 'https://example.net/', favicon_url: 'data:text/html,<script>alert(1)</script>', position: 2 },
+    { title: 'Xss', url: 'javascript:alert(document.cookie)', position: 3 },
+    { title: 'Data', url: 'data:text/html,<script>alert(1)</script>', position: 4 }
+  ]), 'merge');
+
+  assert.equal(result.imported, 3);
+  assert.equal(result.failed, 2);
+
+  const { rows } = await db.query(
+    'SELECT url, favicon_url FROM bookmarks WHERE user_id = $1 ORDER BY position', [user.id]
+  );
+  assert.deepEqual(rows, [
+    { url: 'https://example.com/', favicon_url: pngIcon },
+    { url: 'https://example.org/', favicon_url: null },
+    { url: 'https://example.net/', favicon_url: null }
+  ]);
+});
+
+test('replace restore keeps tags still used by workspace or trashed bookmarks', async () => {
+  const user = await createUser(db, { email: 'restore-tags@example.com' });
+  const { rows: [workspace] } = await db.query(
+    `INSERT INTO workspaces (name, created_by) VALUES ('Team', $1) RETURNING id`, [user.id]
+  );
+  await db.query(
+    `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')`,
+    [workspace.id, user.id]
+  );
+
+  const personal = await createPageTree(db, { userId: user.id, name: 'Personal' });
+  const shared = await createPageTree(db, { userId: user.id, name: 'Shared', workspaceId: workspace.id });
+  const personalBookmark = await createBookmark(db, { groupId: personal.groupId, userId: user.id, url: 'https://personal.example/' });
+  const sharedBookmark = await createBookmark(db, { groupId: shared.groupId, userId: user.id, url: 'https://shared.example/' });
+
+  const Tag = require('../src/modules/tags/tags.model');
+  await Tag.setBookmarkTags(user.id, personalBookmark.id, ['personal']);
+  await Tag.setBookmarkTags(user.id, sharedBookmark.id, ['shared']);
+  await db.query(`INSERT INTO tags (user_id, name) VALUES ($1, 'unused')`, [user.id]);
+
+  await importService.restorePinGridExport(user.id, pinGridExport([
+    { title: 'Restored', url: 'https://restored.example/', tags: ['restored'] }
+  ]), 'replace');
+
+  const { rows } = await db.query('SELECT name FROM tags WHERE user_id = $1 ORDER BY name', [user.id]);
+  assert.deepEqual(rows.map(row => row.name), ['personal', 'restored', 'shared']);
+
+  const { rows: [trashed] } = await db.query('SELECT deleted_at FROM pages WHERE id = $1', [personal.pageId]);
+  assert.notEqual(trashed.deleted_at, null);
+});
@@ -0,0 +1,65 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestDatabase, createUser, createPageTree, createBookmark } = require('./helpers/testDatabase');
+
+let db;
+let linkHealthService;
+let realtimeService;
+
+before(async () => {
+  ({ db } = await setupTestDatabase());
+  linkHealthService = require('../src/modules/linkHealth/linkHealth.service');
+  realtimeService = require('../src/modules/realtime/realtime.service');
+});
+
+/**
+ * Marquer un bookmark comme redirigé vers finalUrl
+ */
+async function markRedirected(bookmarkId, finalUrl) {
+  await db.query(
+    `INSERT INTO bookmark_link_health (bookmark_id, status, status_code, final_url, redirect_chain)
+     VALUES ($1, 'redirected', 200, $2, '[]'::jsonb)`,
+    [bookmarkId, finalUrl]
+  );
+}
+
+test('fixing redirects updates bookmarks like a regular edit and skips unsafe targets', async () => {
+  const user = await createUser(db, { email: 'redirects@example.com' });
+  const { groupId } = await createPageTree(db, { userId: user.id, name: 'Redirects' });
+  const moved = await createBookmark(db, { groupId, userId: user.id, url: 'http://example.com/old', position: 0 });
+  const unsafe = await createBookmark(db, { groupId, userId: user.id, url: 'http://example.org/', position: 1 });
+  await markRedirected(moved.id, 'https://example.com/new');
+  await markRedirected(unsafe.id, 'ftp://example.org/');
+
+  const publish = mock.method(realtimeService, 'publish', async () => {});
+  try {
+    const result = await linkHealthService.fixRedirects(user.id);
+    assert.deepEqual(result, {
+      fixed: 1,
+      bookmarks: [{ id: moved.id, old_url: 'http://example.com/old', url: 'https://example.com/new' }]
+    });
+    assert.deepEqual(
+      publish.mock.calls.map(call => [call.arguments[1].action, call.arguments[1].id]),
+      [['update', moved.id]]
+    );
+  } finally {
+    publish.mock.restore();
+  }
+
+  const { rows: bookmarks } = await db.query(
+    `SELECT b.url, h.status FROM bookmarks b
+     LEFT JOIN bookmark_link_health h ON h.bookmark_id = b.id
+     WHERE b.group_id = $1 ORDER BY b.position`,
+    [groupId]
+  );
+  assert.deepEqual(bookmarks, [
+    { url: 'https://example.com/new', status: 'ok' },
+    { url: 'http://example.org/', status: 'redirected' }
+  ]);
+
+  const { rows: activity } = await db.query(
+    `SELECT entity_id, details->>'url' AS url FROM activity_log WHERE user_id = $1 AND action = 'update'`,
+    [user.id]
+  );
+  assert.deepEqual(activity, [{ entity_id: moved.id, url: 'https://example.com/new' }]);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { listMigrations, createDatabase, runMigrations } = require('./helpers/migrationDatabase');
+
+// 001-010 (avant le suivi des migrations) ne sont pas rejouables: CREATE TABLE
+// sans IF NOT EXISTS, CREATE INDEX CONCURRENTLY. Toutes les suivantes doivent
+// l'être, npm run migrate les exécute à chaque déploiement.
+const isReplayable = file => file >= '011';
+
+test('migrations from 011 on succeed when run twice', async () => {
+  const db = await createDatabase();
+
+  const firstRun = await runMigrations(db);
+  assert.deepEqual(firstRun.filter(failure => isReplayable(failure.file)), []);
+
+  const secondRun = await runMigrations(db);
+  assert.deepEqual(secondRun.filter(failure => isReplayable(failure.file)), []);
+
+  await db.close();
+});
+
+test('rerunning 025 does not verify accounts registered after it', async () => {
+  const db = await createDatabase();
+  const files = listMigrations();
+
+  await runMigrations(db, files.filter(file => file < '025'));
+  await db.exec(`INSERT INTO users (email, password_hash) VALUES ('before@example.com', 'x')`);
+
+  await runMigrations(db, files.filter(file => file >= '025'));
+  await db.exec(`INSERT INTO users (email, password_hash) VALUES ('after@example.com', 'x')`);
+
+  await runMigrations(db);
+
+  const { rows } = await db.query('SELECT email, email_verified_at FROM users ORDER BY email');
+  assert.equal(rows.find(row => row.email === 'before@example.com').email_verified_at !== null, true);
+  assert.equal(rows.find(row => row.email === 'after@example.com').email_verified_at, null);
+
+  await db.close();
+});
+
+test('rerunning migrations keeps page names unique per workspace', async () => {
+  const db = await createDatabase();
+  await runMigrations(db);
+
+  const { rows: [user] } = await db.query(
+    `INSERT INTO users (email, password_hash) VALUES ('owner@example.com', 'x') RETURNING id`
+  );
+  const { rows: [workspace] } = await db.query(
+    `INSERT INTO workspaces (name, created_by) VALUES ('Team', $1) RETURNING id`, [user.id]
+  );
+  await db.query(`INSERT INTO pages (user_id, name) VALUES ($1, 'Home')`, [user.id]);
+  await db.query(`INSERT INTO pages (user_id, name, workspace_id) VALUES ($1, 'Home', $2)`, [user.id, workspace.id]);
+
+  const rerun = await runMigrations(db);
+  assert.deepEqual(rerun.filter(failure => isReplayable(failure.file)), []);
+
+  const { rows: [index] } = await db.query(
+    `SELECT indexdef FROM pg_indexes WHERE indexname = 'idx_pages_user_name'`
+  );
+  assert.match(index.indexdef, /workspace_id IS NULL/);
+
+  await assert.rejects(
+    db.query(`INSERT INTO pages (user_id, name, workspace_id) VALUES ($1, 'home', $2)`, [user.id, workspace.id]),
+    /idx_pages_workspace_name/
+  );
+
+  await db.close();
+});
@@ -0,0 +1,88 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestDatabase, createUser } = require('./helpers/testDatabase');
+
+let db;
+let oidcService;
+
+before(async () => {
+  ({ db } = await setupTestDatabase());
+  // auth.service refuse de charger sans secret JWT
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  oidcService = require('../src/modules/auth/oidc.service');
+});
+
+/**
+ * Provider OIDC de test (flags de oidc.providers)
+ */
+function provider({ linkByEmail = false, allowSignup = true } = {}) {
+  return { id: 'test-idp', linkByEmail, allowSignup };
+}
+
+/**
+ * Claims d'un id_token avec email vérifié par le provider
+ */
+function claims(sub, email, emailVerified = true) {
+  return { sub, email, email_verified: emailVerified };
+}
+
+/**
+ * Nombre d'identités SSO liées pour un email
+ */
+async function identityCount(email) {
+  const { rows } = await db.query('SELECT COUNT(*)::int AS count FROM user_identities WHERE email = $1', [email]);
+  return rows[0].count;
+}
+
+test('sso does not link an existing account unless the provider allows it', async () => {
+  await createUser(db, { email: 'no-link@example.com' });
+
+  await assert.rejects(
+    oidcService.resolveUser(provider(), claims('sub-no-link', 'no-link@example.com')),
+    /An account already uses this email: sign in with your password/
+  );
+  assert.equal(await identityCount('no-link@example.com'), 0);
+});
+
+test('sso does not link an account whose email was never verified', async () => {
+  await createUser(db, { email: 'unverified@example.com', verified: false });
+
+  await assert.rejects(
+    oidcService.resolveUser(provider({ linkByEmail: true }), claims('sub-unverified', 'unverified@example.com')),
+    /An account already uses this email: sign in with your password/
+  );
+  assert.equal(await identityCount('unverified@example.com'), 0);
+});
+
+test('sso refuses an email the provider did not verify', async () => {
+  const user = await createUser(db, { email: 'idp-unverified@example.com' });
+
+  await assert.rejects(
+    oidcService.resolveUser(provider({ linkByEmail: true }), claims('sub-idp', user.email, false)),
+    /Email not verified by the identity provider/
+  );
+  assert.equal(await identityCount(user.email), 0);
+});
+
+test('sso links a verified account when the provider allows it, then finds it by subject', async () => {
+  const user = await createUser(db, { email: 'link@example.com' });
+
+  const linked = await oidcService.resolveUser(provider({ linkByEmail: true }), claims('sub-link', user.email));
+  assert.equal(linked.id, user.id);
+
+  // Identité liée: retrouvée par subject, même si l'email change chez le provider
+  const again = await oidcService.resolveUser(provider(), claims('sub-link', 'renamed@example.com'));
+  assert.equal(again.id, user.id);
+});
+
+test('sso creates a verified account for a new email unless signup is disabled', async () => {
+  await assert.rejects(
+    oidcService.resolveUser(provider({ allowSignup: false }), claims('sub-closed', 'closed@example.com')),
+    /No PinGrid account for this email/
+  );
+
+  const created = await oidcService.resolveUser(provider(), claims('sub-new', 'new@example.com'));
+  assert.equal(created.email, 'new@example.com');
+  assert.ok(created.email_verified_at);
+  assert.equal(await identityCount('new@example.com'), 1);
+});
@@ -0,0 +1,70 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestDatabase, createUser, createPageTree, createBookmark } = require('./helpers/testDatabase');
+
+let db;
+let trashService;
+
+before(async () => {
+  ({ db } = await setupTestDatabase());
+  trashService = require('../src/modules/trash/trash.service');
+});
+
+/**
+ * Workspace avec un owner et un editor, une page et un bookmark mis à la corbeille par l'editor
+ */
+async function trashedWorkspaceBookmark(prefix) {
+  const owner = await createUser(db, { email: `${prefix}-owner@example.com` });
+  const editor = await createUser(db, { email: `${prefix}-editor@example.com` });
+  const { rows: [workspace] } = await db.query(
+    'INSERT INTO workspaces (name, created_by) VALUES ($1, $2) RETURNING id', [prefix, owner.id]
+  );
+  await db.query(
+    `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner'), ($1, $3, 'editor')`,
+    [workspace.id, owner.id, editor.id]
+  );
+  const tree = await createPageTree(db, { userId: owner.id, name: 'Team', workspaceId: workspace.id });
+  const bookmark = await createBookmark(db, { groupId: tree.groupId, userId: owner.id, url: 'https://example.com/' });
+  const trashItem = await trashService.moveToTrash(editor.id, 'bookmark', bookmark.id);
+
+  return { owner, editor, workspace, tree, bookmark, trashItem };
+}
+
+test('trash refuses workspace items once the user can no longer edit the workspace', async () => {
+  const { editor, workspace, bookmark, trashItem } = await trashedWorkspaceBookmark('demoted');
+  await db.query(
+    `UPDATE workspace_members SET role = 'viewer' WHERE workspace_id = $1 AND user_id = $2`,
+    [workspace.id, editor.id]
+  );
+
+  await assert.rejects(trashService.restore(editor.id, trashItem.id), /^Error: Access denied/);
+  await assert.rejects(trashService.deletePermanently(editor.id, trashItem.id), /^Error: Access denied/);
+  assert.equal(await trashService.emptyTrash(editor.id), 0);
+
+  const { rows: [row] } = await db.query('SELECT trash_id FROM bookmarks WHERE id = $1', [bookmark.id]);
+  assert.equal(row.trash_id, trashItem.id);
+  const { rows: pages } = await db.query('SELECT id FROM pages WHERE user_id = $1', [editor.id]);
+  assert.equal(pages.length, 0);
+});
+
+test('trash restores a workspace item into its workspace when its group is gone', async () => {
+  const { owner, editor, workspace, tree, bookmark, trashItem } = await trashedWorkspaceBookmark('fallback');
+  await trashService.moveToTrash(owner.id, 'group', tree.groupId);
+
+  const result = await trashService.restore(editor.id, trashItem.id);
+  assert.equal(result.fallback, true);
+
+  const { rows: [restored] } = await db.query(
+    `SELECT b.deleted_at, p.id AS page_id, p.workspace_id
+     FROM bookmarks b
+     INNER JOIN groups g ON b.group_id = g.id
+     INNER JOIN sections s ON g.section_id = s.id
+     INNER JOIN pages p ON s.page_id = p.id
+     WHERE b.id = $1`,
+    [bookmark.id]
+  );
+  assert.deepEqual(restored, { deleted_at: null, page_id: tree.pageId, workspace_id: workspace.id });
+
+  const { rows: pages } = await db.query('SELECT id FROM pages WHERE user_id = $1', [editor.id]);
+  assert.equal(pages.length, 0);
+});
@@ -4,8 +4,16 @@ import { BookmarkDragProvider } from './features/bookmarks/context/BookmarkDragC
 import { GroupDragProvider } from './features/groups/context/GroupDragContext';
 import LoginForm from './features/auth/components/LoginForm';
 import RegisterForm from './features/auth/components/RegisterForm';
+import ForgotPasswordForm from './features/auth/components/ForgotPasswordForm';
+import ResetPasswordForm from './features/auth/components/ResetPasswordForm';
+import VerifyEmailPage from './features/auth/components/VerifyEmailPage';
+import SsoCallbackPage from './features/auth/components/SsoCallbackPage';
 import ProtectedRoute from './features/auth/components/ProtectedRoute';
 import Dashboard from './pages/Dashboard';
+import AnalyticsPage from './features/analytics/AnalyticsPage';
+import SecurityPage from './features/security/SecurityPage';
+import AccountPage from './features/account/AccountPage';
+import PublicPage from './pages/PublicPage';
 
 function App() {
   return (
@@ -16,7 +24,12 @@ function App() {
             <Routes>
               {/* Public Routes */}
               <Route path="/login" element={<LoginForm />} />
+              <Route path="/login/sso" element={<SsoCallbackPage />} />
               <Route path="/register" element={<RegisterForm />} />
+              <Route path="/forgot-password" element={<ForgotPasswordForm />} />
+              <Route path="/reset-password" element={<ResetPasswordForm />} />
+              <Route path="/verify-email" element={<VerifyEmailPage />} />
+              <Route path="/p/:slug" element={<PublicPage />} />
 
               {/* Protected Routes */}
               <Route
@@ -27,6 +40,30 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/analytics"
+                element={
+                  <ProtectedRoute>
+                    <AnalyticsPage />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/settings/security"
+                element={
+                  <ProtectedRoute>
+                    <SecurityPage />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/settings/account"
+                element={
+                  <ProtectedRoute>
+                    <AccountPage />
+                  </ProtectedRoute>
+                }
+              />
 
               {/* Default redirect */}
               <Route path="/" element={<Navigate to="/dashboard" replace />} />
@@ -0,0 +1,518 @@
+import { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import { useAuthStore } from '../auth/store/authStore';
+import { useHistoryStore } from '../../shared/store/historyStore';
+import { useBookmarkSelectionStore } from '../bookmarks/store/bookmarkSelectionStore';
+import { useWorkspacesStore } from '../workspaces/store/workspacesStore';
+import { useTheme } from '../../shared/theme/useTheme';
+import authService from '../auth/services/authService';
+
+/**
+ * Save the final export as a file (same name as ExportDialog's JSON export)
+ */
+function downloadExport(data) {
+  const date = new Date().toISOString().slice(0, 10);
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `pingrid-export-${date}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * AccountPage Component
+ *
+ * Account settings
+ * - Profile: first/last name, email (current password to change it, verified again)
+ * - Password change (other devices are signed out)
+ * - Account deletion: password (+ 2FA code), optional final JSON export
+ * Accounts created by SSO have no password: setting one goes through the reset link
+ */
+export default function AccountPage() {
+  const { user, getToken, updateUser } = useAuthStore();
+  const { theme } = useTheme();
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState({
+    firstName: user?.first_name || '',
+    lastName: user?.last_name || '',
+    email: user?.email || ''
+  });
+  const [profilePassword, setProfilePassword] = useState('');
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [deletion, setDeletion] = useState({ password: '', code: '', withExport: true });
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const emailChanged = profile.email.trim() !== (user?.email || '');
+  // Users persisted before has_password existed all have one
+  const hasPassword = user?.has_password !== false;
+
+  /**
+   * Run one account request with the busy/message/error handling shared by every action
+   */
+  const runAction = async (action, fallbackError) => {
+    setBusy(true);
+    setMessage('');
+    setError('');
+
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || fallbackError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveProfile = (e) => {
+    e.preventDefault();
+    return runAction(async () => {
+      const response = await authService.updateProfile({
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        email: profile.email,
+        ...(emailChanged ? { currentPassword: profilePassword } : {})
+      }, getToken());
+      updateUser(response.data.user);
+      setProfilePassword('');
+      setMessage(response.message);
+    }, 'Failed to update profile');
+  };
+
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    if (passwords.next !== passwords.confirm) {
+      setMessage('');
+      setError('Passwords do not match');
+      return;
+    }
+    return runAction(async () => {
+      const response = await authService.changePassword(passwords.current, passwords.next, getToken());
+      setPasswords({ current: '', next: '', confirm: '' });
+      setMessage(response.message);
+    }, 'Failed to change password');
+  };
+
+  const handleDeleteAccount = (e) => {
+    e.preventDefault();
+    // Codes with a dash are recovery codes, 6 digits are app codes
+    const secondFactor = !user?.two_factor_enabled ? {}
+      : deletion.code.includes('-') ? { recoveryCode: deletion.code } : { code: deletion.code };
+    return runAction(async () => {
+      const response = await authService.deleteAccount({
+        password: deletion.password,
+        ...secondFactor,
+        export: deletion.withExport
+      }, getToken());
+
+      if (response.data.export) {
+        downloadExport(response.data.export);
+      }
+
+      // Undo commands and the selection hold the deleted user's IDs
+      useHistoryStore.getState().reset();
+      useBookmarkSelectionStore.getState().clear();
+      useWorkspacesStore.getState().reset();
+      await useAuthStore.getState().logout();
+      navigate('/login');
+    }, 'Failed to delete account');
+  };
+
+  const cancelDelete = () => {
+    setIsDeleting(false);
+    setDeletion({ password: '', code: '', withExport: true });
+    setError('');
+  };
+
+  // Theme-aware styles
+  const themedStyles = {
+    container: {
+      ...styles.container,
+      background: theme.colors.background,
+      color: theme.colors.textPrimary
+    },
+    card: {
+      ...styles.card,
+      backgroundColor: theme.colors.cardBg,
+      borderColor: theme.colors.border
+    },
+    dangerCard: {
+      ...styles.card,
+      backgroundColor: theme.colors.cardBg,
+      borderColor: theme.colors.error
+    },
+    muted: {
+      color: theme.colors.textMuted
+    },
+    backButton: {
+      ...styles.backButton,
+      borderColor: theme.colors.border,
+      color: theme.colors.textSecondary
+    },
+    input: {
+      ...styles.input,
+      borderColor: theme.colors.border,
+      color: theme.colors.textPrimary
+    },
+    primaryButton: {
+      ...styles.button,
+      backgroundColor: theme.colors.primary,
+      borderColor: theme.colors.primary,
+      color: '#fff'
+    },
+    secondaryButton: {
+      ...styles.button,
+      borderColor: theme.colors.border,
+      color: theme.colors.textSecondary
+    },
+    dangerButton: {
+      ...styles.button,
+      borderColor: theme.colors.error,
+      color: theme.colors.error
+    }
+  };
+
+  const buttonState = busy ? styles.buttonDisabled : {};
+
+  return (
+    <div style={themedStyles.container}>
+      <div style={styles.header}>
+        <button onClick={() => navigate('/dashboard')} style={themedStyles.backButton} title="Back to dashboard">
+          <ArrowLeft size={16} />
+          <span>Dashboard</span>
+        </button>
+        <h1 style={styles.title}>👤 Account</h1>
+      </div>
+
+      <div style={styles.content}>
+        {message && <div style={{ ...styles.message, color: theme.colors.success }}>{message}</div>}
+        {error && <div style={{ ...styles.message, color: theme.colors.error }}>⚠️ {error}</div>}
+
+        {/* Profile */}
+        <section style={themedStyles.card}>
+          <h2 style={styles.cardTitle}>Profile</h2>
+          <form onSubmit={handleSaveProfile}>
+            <div style={styles.fields}>
+              <label style={styles.field}>
+                <span style={styles.label}>First name</span>
+                <input
+                  type="text"
+                  value={profile.firstName}
+                  onChange={(e) => setProfile({ ...profile, firstName: e.target.value })}
+                  maxLength={100}
+                  autoComplete="given-name"
+                  style={themedStyles.input}
+                  disabled={busy}
+                />
+              </label>
+              <label style={styles.field}>
+                <span style={styles.label}>Last name</span>
+                <input
+                  type="text"
+                  value={profile.lastName}
+                  onChange={(e) => setProfile({ ...profile, lastName: e.target.value })}
+                  maxLength={100}
+                  autoComplete="family-name"
+                  style={themedStyles.input}
+                  disabled={busy}
+                />
+              </label>
+              <label style={styles.field}>
+                <span style={styles.label}>Email</span>
+                <input
+                  type="email"
+                  value={profile.email}
+                  onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+                  required
+                  autoComplete="email"
+                  style={themedStyles.input}
+                  disabled={busy}
+                />
+              </label>
+              {emailChanged && hasPassword && (
+                <label style={styles.field}>
+                  <span style={styles.label}>Current password</span>
+                  <input
+                    type="password"
+                    value={profilePassword}
+                    onChange={(e) => setProfilePassword(e.target.value)}
+                    required
+                    autoComplete="current-password"
+                    style={themedStyles.input}
+                    disabled={busy}
+                  />
+                </label>
+              )}
+            </div>
+            {emailChanged && (
+              <p style={{ ...styles.description, ...themedStyles.muted }}>
+                {hasPassword
+                  ? "You'll receive a link to verify the new address."
+                  : 'Set a password first to change your email address.'}
+              </p>
+            )}
+            <div style={styles.actions}>
+              <button type="submit" disabled={busy} style={{ ...themedStyles.primaryButton, ...buttonState }}>
+                {busy ? 'Saving…' : 'Save profile'}
+              </button>
+            </div>
+          </form>
+        </section>
+
+        {/* Password */}
+        <section style={themedStyles.card}>
+          <h2 style={styles.cardTitle}>Password</h2>
+          {!hasPassword ? (
+            <p style={{ ...styles.description, ...themedStyles.muted }}>
+              You sign in with SSO. To also sign in with a password,{' '}
+              <Link to="/forgot-password" style={{ color: theme.colors.primary }}>
+                set one with a reset link
+              </Link>
+              .
+            </p>
+          ) : (
+            <>
+              <p style={{ ...styles.description, ...themedStyles.muted }}>
+                Your other devices will be signed out.
+              </p>
+              <form onSubmit={handleChangePassword}>
+                <div style={styles.fields}>
+                  <label style={styles.field}>
+                    <span style={styles.label}>Current password</span>
+                    <input
+                      type="password"
+                      value={passwords.current}
+                      onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+                      required
+                      autoComplete="current-password"
+                      style={themedStyles.input}
+                      disabled={busy}
+                    />
+                  </label>
+                  <label style={styles.field}>
+                    <span style={styles.label}>New password</span>
+                    <input
+                      type="password"
+                      value={passwords.next}
+                      onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+                      required
+                      autoComplete="new-password"
+                      placeholder="8+ chars, upper, lower, number"
+                      style={themedStyles.input}
+                      disabled={busy}
+                    />
+                  </label>
+                  <label style={styles.field}>
+                    <span style={styles.label}>Confirm new password</span>
+                    <input
+                      type="password"
+                      value={passwords.confirm}
+                      onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+                      required
+                      autoComplete="new-password"
+                      style={themedStyles.input}
+                      disabled={busy}
+                    />
+                  </label>
+                </div>
+                <div style={styles.actions}>
+                  <button type="submit" disabled={busy} style={{ ...themedStyles.primaryButton, ...buttonState }}>
+                    {busy ? 'Saving…' : 'Change password'}
+                  </button>
+                </div>
+              </form>
+            </>
+          )}
+        </section>
+
+        {/* Danger zone */}
+        <section style={themedStyles.dangerCard}>
+          <h2 style={{ ...styles.cardTitle, color: theme.colors.error }}>Delete account</h2>
+          <p style={{ ...styles.description, ...themedStyles.muted }}>
+            Your pages, bookmarks, tags and history are deleted for good. Pages you created in shared
+            workspaces stay with the team.
+          </p>
+
+          {!hasPassword ? (
+            <p style={{ ...styles.description, ...themedStyles.muted }}>
+              Deleting the account is confirmed with a password: set one first (see Password above).
+            </p>
+          ) : !isDeleting ? (
+            <div style={styles.actions}>
+              <button onClick={() => setIsDeleting(true)} style={themedStyles.dangerButton}>
+                Delete my account…
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={handleDeleteAccount}>
+              <label style={styles.checkbox}>
+                <input
+                  type="checkbox"
+                  checked={deletion.withExport}
+                  onChange={(e) => setDeletion({ ...deletion, withExport: e.target.checked })}
+                  disabled={busy}
+                />
+                <span>Download a final export of my bookmarks (JSON, importable later)</span>
+              </label>
+              <p style={styles.stepText}>
+                Confirm with your password{user?.two_factor_enabled ? ' and a code (or a recovery code)' : ''}.
+              </p>
+              <input
+                type="password"
+                value={deletion.password}
+                onChange={(e) => setDeletion({ ...deletion, password: e.target.value })}
+                required
+                autoFocus
+                autoComplete="current-password"
+                placeholder="Password"
+                style={{ ...themedStyles.input, marginBottom: '8px' }}
+                disabled={busy}
+              />
+              {user?.two_factor_enabled && (
+                <input
+                  type="text"
+                  value={deletion.code}
+                  onChange={(e) => setDeletion({ ...deletion, code: e.target.value })}
+                  required
+                  autoComplete="one-time-code"
+                  placeholder="123456 or xxxxx-xxxxx"
+                  style={themedStyles.input}
+                  disabled={busy}
+                />
+              )}
+              <div style={styles.actions}>
+                <button type="button" onClick={cancelDelete} style={themedStyles.secondaryButton}>
+                  Cancel
+                </button>
+                <button type="submit" disabled={busy} style={{ ...themedStyles.dangerButton, ...buttonState }}>
+                  {busy ? 'Deleting…' : 'Delete my account permanently'}
+                </button>
+              </div>
+            </form>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    padding: '24px 32px',
+    boxSizing: 'border-box',
+    background: '#0f0f0f'
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '16px',
+    marginBottom: '24px'
+  },
+  backButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 12px',
+    border: '1px solid',
+    borderRadius: '6px',
+    backgroundColor: 'transparent',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  title: {
+    margin: 0,
+    fontSize: '22px',
+    fontWeight: '600',
+    flex: 1
+  },
+  content: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '16px',
+    maxWidth: '720px'
+  },
+  message: {
+    fontSize: '14px'
+  },
+  card: {
+    padding: '16px 20px',
+    border: '1px solid',
+    borderRadius: '12px',
+    fontSize: '14px'
+  },
+  cardTitle: {
+    margin: '0 0 12px 0',
+    fontSize: '16px',
+    fontWeight: '600'
+  },
+  description: {
+    margin: '0 0 12px 0',
+    fontSize: '13px'
+  },
+  fields: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+    gap: '12px 16px'
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  },
+  label: {
+    fontSize: '12px',
+    fontWeight: '500'
+  },
+  checkbox: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '12px',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  actions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+    marginTop: '12px'
+  },
+  button: {
+    padding: '8px 16px',
+    border: '1px solid',
+    borderRadius: '6px',
+    backgroundColor: 'transparent',
+    fontSize: '13px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  },
+  input: {
+    display: 'block',
+    width: '100%',
+    maxWidth: '280px',
+    boxSizing: 'border-box',
+    padding: '8px 12px',
+    border: '1px solid',
+    borderRadius: '6px',
+    backgroundColor: 'transparent',
+    fontSize: '14px',
+    outline: 'none'
+  },
+  stepText: {
+    margin: '0 0 8px 0',
+    fontSize: '13px'
+  }
+};
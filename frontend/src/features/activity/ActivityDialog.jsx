@@ -0,0 +1,462 @@
+import { useEffect, useState } from 'react';
+import { useAuthStore } from '../auth/store/authStore';
+import activityService from './services/activityService';
+
+const PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const TYPE_ICONS = {
+  page: '📄',
+  section: '🗂️',
+  group: '📁',
+  bookmark: '🔖'
+};
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  move: 'Moved',
+  reorder: 'Reordered',
+  delete: 'Deleted',
+  restore: 'Restored',
+  import: 'Imported'
+};
+
+const EMPTY_FILTERS = {
+  entityType: '',
+  action: '',
+  from: '',
+  to: '',
+  q: ''
+};
+
+/**
+ * One-line summary of an entry ("Moved bookmark "Docs" from Dev to Tools")
+ */
+function describeEntry(entry) {
+  const { action, entity_type: type, entity_name: name, details = {} } = entry;
+  const quoted = name ? ` "${name}"` : '';
+
+  switch (action) {
+    case 'move':
+      return `Moved ${type}${quoted} from ${details.from?.name || '?'} to ${details.to?.name || '?'}`;
+    case 'reorder':
+      return details.parent_type
+        ? `Reordered ${type}s in${quoted}${details.column ? ` (column ${details.column})` : ''}`
+        : `Reordered ${type}s`;
+    case 'import':
+      return type === 'group'
+        ? `Imported ${details.imported} bookmark${details.imported !== 1 ? 's' : ''} into${quoted}`
+        : `Restored a PinGrid backup (${details.mode})`;
+    case 'restore':
+      return `Restored ${type}${quoted}${details.fallback ? ' into a "Restored" container' : ''}`;
+    case 'update':
+      if (details.merged) {
+        return `Merged ${details.merged.length} duplicate${details.merged.length !== 1 ? 's' : ''} into${quoted}`;
+      }
+      return `Edited ${type}${quoted}`;
+    default:
+      return `${ACTION_LABELS[action] || action} ${type}${quoted}`;
+  }
+}
+
+/**
+ * Changed fields of an update ("title: Old → New")
+ */
+function formatChanges(changes) {
+  const format = (value) => {
+    if (value === null || value === '') return '∅';
+    if (Array.isArray(value)) return value.join(', ') || '∅';
+    return String(value);
+  };
+
+  return Object.entries(changes || {}).map(
+    ([field, { from, to }]) => `${field}: ${format(from)} → ${format(to)}`
+  );
+}
+
+/**
+ * Secondary line: where it happened / import stats
+ */
+function formatMeta(entry) {
+  const { details = {} } = entry;
+  const parts = [];
+
+  const { page_name, section_name, group_name } = details.location || {};
+  const location = [page_name, section_name, group_name].filter(Boolean).join(' / ');
+  if (location) parts.push(`in ${location}`);
+
+  if (entry.action === 'import') {
+    if (details.source) parts.push(details.source);
+    if (details.skipped) parts.push(`${details.skipped} skipped`);
+    if (details.failed) parts.push(`${details.failed} failed`);
+  }
+
+  parts.push(new Date(entry.created_at).toLocaleString());
+  return parts.join(' — ');
+}
+
+/**
+ * Query params sent to the API (empty filters omitted)
+ */
+function buildParams(filters, entity, before) {
+  const params = { limit: PAGE_SIZE };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value.trim()) params[key] = value.trim();
+  });
+  if (entity) params.entityId = entity.id;
+  if (before) params.before = before;
+  return params;
+}
+
+/**
+ * ActivityDialog Component
+ *
+ * Audit trail of the user's changes (most recent first)
+ * - Filters: item type, action, date range, text search (name or URL)
+ * - "History" on an entry shows everything that happened to that item
+ *   (e.g. where a bookmark was moved, when it was deleted)
+ * - "Load more" fetches older entries
+ */
+export default function ActivityDialog({ isOpen, onClose }) {
+  const { getToken } = useAuthStore();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [search, setSearch] = useState('');
+  const [entity, setEntity] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the first page, or the next one when before is set
+   */
+  const loadActivity = async (before = null) => {
+    setLoading(true);
+    try {
+      const response = await activityService.getActivity(buildParams(filters, entity, before), getToken());
+      const { entries: loaded, hasMore: more } = response.data.data;
+      setEntries((prev) => (before ? [...prev, ...loaded] : loaded));
+      setHasMore(more);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load activity');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    loadActivity();
+    return undefined;
+  }, [isOpen, filters, entity]);
+
+  // Search typed in the box is applied after a short pause
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((prev) => (prev.q === search ? prev : { ...prev, q: search }));
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const setFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  /**
+   * Close dialog and reset state
+   */
+  const handleClose = () => {
+    setFilters(EMPTY_FILTERS);
+    setSearch('');
+    setEntity(null);
+    setEntries([]);
+    setError('');
+    onClose();
+  };
+
+  // Don't render if not open
+  if (!isOpen) return null;
+
+  const lastEntry = entries[entries.length - 1];
+
+  return (
+    <div style={styles.overlay} onClick={handleClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <h2 style={styles.title}>🕒 Activity</h2>
+
+        <p style={styles.description}>
+          Everything you created, edited, moved, deleted or imported.
+        </p>
+
+        <div style={styles.filters}>
+          <select
+            value={filters.entityType}
+            onChange={(e) => setFilter('entityType', e.target.value)}
+            style={styles.input}
+          >
+            <option value="">All items</option>
+            <option value="page">Pages</option>
+            <option value="section">Sections</option>
+            <option value="group">Groups</option>
+            <option value="bookmark">Bookmarks</option>
+          </select>
+          <select
+            value={filters.action}
+            onChange={(e) => setFilter('action', e.target.value)}
+            style={styles.input}
+          >
+            <option value="">All actions</option>
+            {Object.entries(ACTION_LABELS).map(([action, label]) => (
+              <option key={action} value={action}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilter('from', e.target.value)}
+            style={styles.input}
+            title="From"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilter('to', e.target.value)}
+            style={styles.input}
+            title="To"
+          />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name or URL..."
+            style={{ ...styles.input, ...styles.searchInput }}
+          />
+        </div>
+
+        {entity && (
+          <div style={styles.entityFilter}>
+            <span>
+              History of {TYPE_ICONS[entity.type]} <strong>{entity.name || 'item'}</strong>
+            </span>
+            <button onClick={() => setEntity(null)} style={styles.linkButton}>
+              Show all
+            </button>
+          </div>
+        )}
+
+        <div style={styles.list}>
+          {loading && entries.length === 0 ? (
+            <div style={styles.empty}>Loading...</div>
+          ) : entries.length === 0 ? (
+            <div style={styles.empty}>No activity found.</div>
+          ) : entries.map((entry) => {
+            const changes = formatChanges(entry.details?.changes);
+            const canShowHistory = entry.entity_id && entry.action !== 'reorder' && !entity;
+
+            return (
+              <div key={entry.id} style={styles.item}>
+                <span style={styles.itemIcon}>{TYPE_ICONS[entry.entity_type]}</span>
+                <div style={styles.itemMain}>
+                  <div style={styles.itemTitle}>{describeEntry(entry)}</div>
+                  {changes.map((change) => (
+                    <div key={change} style={styles.change}>{change}</div>
+                  ))}
+                  {entry.details?.url && (
+                    <div style={styles.change} title={entry.details.url}>{entry.details.url}</div>
+                  )}
+                  <div style={styles.itemMeta}>{formatMeta(entry)}</div>
+                </div>
+                {canShowHistory && (
+                  <button
+                    onClick={() => setEntity({ id: entry.entity_id, type: entry.entity_type, name: entry.entity_name })}
+                    style={styles.linkButton}
+                  >
+                    History
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {error && <div style={styles.error}>⚠️ {error}</div>}
+
+        <div style={styles.buttons}>
+          {hasMore && (
+            <button
+              onClick={() => loadActivity(lastEntry.created_at)}
+              disabled={loading}
+              style={{ ...styles.secondaryButton, ...(loading && styles.buttonDisabled) }}
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+          <button onClick={handleClose} style={styles.cancelButton}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '32px',
+    maxWidth: '720px',
+    width: '90%',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  description: {
+    margin: '0 0 16px 0',
+    color: '#666',
+    fontSize: '14px'
+  },
+  filters: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+    marginBottom: '12px'
+  },
+  input: {
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    fontSize: '13px',
+    color: '#333',
+    backgroundColor: 'white'
+  },
+  searchInput: {
+    flex: 1,
+    minWidth: '160px'
+  },
+  entityFilter: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: '8px 12px',
+    marginBottom: '12px',
+    backgroundColor: '#f0f7ff',
+    borderRadius: '8px',
+    fontSize: '13px',
+    color: '#333'
+  },
+  list: {
+    maxHeight: '50vh',
+    overflowY: 'auto',
+    marginBottom: '16px'
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '10px',
+    padding: '10px 4px',
+    borderBottom: '1px solid #f0f0f0'
+  },
+  itemIcon: {
+    fontSize: '18px',
+    lineHeight: '22px'
+  },
+  itemMain: {
+    flex: 1,
+    minWidth: 0
+  },
+  itemTitle: {
+    fontWeight: '500',
+    color: '#333',
+    fontSize: '14px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  change: {
+    color: '#666',
+    fontSize: '12px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  itemMeta: {
+    color: '#999',
+    fontSize: '12px'
+  },
+  linkButton: {
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    color: '#007bff',
+    cursor: 'pointer',
+    fontSize: '12px',
+    flexShrink: 0
+  },
+  empty: {
+    padding: '24px',
+    textAlign: 'center',
+    color: '#999',
+    fontSize: '14px'
+  },
+  error: {
+    padding: '12px',
+    backgroundColor: '#fee',
+    border: '1px solid #fcc',
+    borderRadius: '8px',
+    color: '#c00',
+    marginBottom: '12px',
+    fontSize: '14px'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  secondaryButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#007bff',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  }
+};
@@ -0,0 +1,30 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Activity Service
+ * Gère les appels API du journal d'activité (audit trail)
+ *
+ * Toutes les méthodes nécessitent un token JWT (passé via authStore.getToken())
+ */
+const activityService = {
+  /**
+   * Récupérer le journal d'activité (plus récent d'abord)
+   * GET /api/activity
+   * @param {object} params - { entityType?, entityId?, action?, from?, to?, q?, before?, limit? }
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { entries, hasMore } }
+   */
+  async getActivity(params, token) {
+    const response = await axios.get(`${API_URL}/api/activity`, {
+      params,
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  }
+};
+
+export default activityService;
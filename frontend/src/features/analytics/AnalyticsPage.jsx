@@ -0,0 +1,459 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import { useAuthStore } from '../auth/store/authStore';
+import { useTheme } from '../../shared/theme/useTheme';
+import analyticsService from './services/analyticsService';
+import Sparkline from './Sparkline';
+
+const PERIODS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' }
+];
+
+const TOP_LIMIT = 10;
+
+const SOURCE_LABELS = {
+  view: 'View mode',
+  edit: 'Edit mode',
+  search: 'Search',
+  keyboard: 'Keyboard'
+};
+
+/**
+ * "Page / Section / Group" location of a bookmark (missing levels skipped)
+ */
+function formatLocation(bookmark) {
+  return [bookmark.page_name, bookmark.section_name, bookmark.group_name].filter(Boolean).join(' / ');
+}
+
+/**
+ * Short date label ("Feb 12")
+ */
+function formatDay(day) {
+  if (!day) return '';
+  return new Date(`${day}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * AnalyticsPage Component
+ *
+ * Click analytics over a selectable period (GET /api/analytics)
+ * - Clicks per day for the whole workspace
+ * - Top bookmarks with a sparkline of their daily clicks
+ * - Usage by page and by source (view, edit, search, keyboard)
+ * - Bookmarks that were never clicked (oldest first)
+ */
+export default function AnalyticsPage() {
+  const { getToken } = useAuthStore();
+  const { theme } = useTheme();
+  const navigate = useNavigate();
+  const [days, setDays] = useState(30);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAnalytics = async () => {
+      setLoading(true);
+      try {
+        const response = await analyticsService.getAnalytics({ days, limit: TOP_LIMIT }, getToken());
+        if (!cancelled) {
+          setAnalytics(response.data.data);
+          setError('');
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.message || err.message || 'Failed to load analytics');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadAnalytics();
+    return () => {
+      cancelled = true;
+    };
+  }, [days, getToken]);
+
+  // Theme-aware styles
+  const themedStyles = {
+    container: {
+      ...styles.container,
+      background: theme.colors.background,
+      color: theme.colors.textPrimary
+    },
+    card: {
+      ...styles.card,
+      backgroundColor: theme.colors.cardBg,
+      borderColor: theme.colors.border
+    },
+    muted: {
+      color: theme.colors.textMuted
+    },
+    secondary: {
+      color: theme.colors.textSecondary
+    },
+    periodButton: {
+      ...styles.periodButton,
+      borderColor: theme.colors.border,
+      color: theme.colors.textSecondary
+    },
+    periodButtonActive: {
+      backgroundColor: theme.colors.primary,
+      borderColor: theme.colors.primary,
+      color: '#fff'
+    },
+    backButton: {
+      ...styles.backButton,
+      borderColor: theme.colors.border,
+      color: theme.colors.textSecondary
+    },
+    bar: {
+      ...styles.bar,
+      backgroundColor: theme.colors.primary
+    },
+    barTrack: {
+      ...styles.barTrack,
+      backgroundColor: theme.colors.border
+    },
+    row: {
+      ...styles.row,
+      borderColor: theme.colors.border
+    }
+  };
+
+  const totals = analytics?.totals;
+  const maxPageClicks = Math.max(...(analytics?.byPage || []).map((page) => page.clicks), 1);
+  const totalBySource = Object.values(analytics?.bySource || {}).reduce((sum, clicks) => sum + clicks, 0);
+
+  return (
+    <div style={themedStyles.container}>
+      <div style={styles.header}>
+        <button onClick={() => navigate('/dashboard')} style={themedStyles.backButton} title="Back to dashboard">
+          <ArrowLeft size={16} />
+          <span>Dashboard</span>
+        </button>
+        <h1 style={styles.title}>📊 Analytics</h1>
+        <div style={styles.periods}>
+          {PERIODS.map((period) => (
+            <button
+              key={period.days}
+              onClick={() => setDays(period.days)}
+              style={{
+                ...themedStyles.periodButton,
+                ...(days === period.days ? themedStyles.periodButtonActive : {})
+              }}
+            >
+              {period.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <div style={{ ...styles.error, color: theme.colors.error }}>⚠️ {error}</div>}
+      {!analytics && loading && <div style={themedStyles.muted}>Loading…</div>}
+
+      {analytics && (
+        <div style={{ ...styles.content, opacity: loading ? 0.6 : 1 }}>
+          {/* Totals */}
+          <div style={styles.summary}>
+            <div style={themedStyles.card}>
+              <div style={styles.summaryValue}>{totals.clicks}</div>
+              <div style={themedStyles.muted}>clicks</div>
+            </div>
+            <div style={themedStyles.card}>
+              <div style={styles.summaryValue}>{totals.activeDays}/{analytics.range.days}</div>
+              <div style={themedStyles.muted}>active days</div>
+            </div>
+            <div style={themedStyles.card}>
+              <div style={styles.summaryValue}>{totals.neverClicked}</div>
+              <div style={themedStyles.muted}>never clicked</div>
+            </div>
+          </div>
+
+          {/* Clicks per day */}
+          <section style={themedStyles.card}>
+            <div style={styles.cardHeader}>
+              <h2 style={styles.cardTitle}>Clicks per day</h2>
+              <span style={themedStyles.muted}>
+                {formatDay(analytics.range.from)} – {formatDay(analytics.range.to)}
+              </span>
+            </div>
+            <Sparkline
+              values={analytics.series.map((point) => point.clicks)}
+              width="100%"
+              height={96}
+              color={theme.colors.primary}
+              strokeWidth={2}
+              title={`${totals.clicks} clicks over ${analytics.range.days} days`}
+            />
+          </section>
+
+          <div style={styles.columns}>
+            {/* Top bookmarks */}
+            <section style={{ ...themedStyles.card, ...styles.column }}>
+              <h2 style={styles.cardTitle}>Top {TOP_LIMIT} bookmarks</h2>
+              {analytics.top.length === 0 ? (
+                <p style={themedStyles.muted}>No clicks in this period.</p>
+              ) : (
+                <ol style={styles.list}>
+                  {analytics.top.map((bookmark) => (
+                    <li key={bookmark.id} style={themedStyles.row}>
+                      {bookmark.favicon_url ? (
+                        <img
+                          src={bookmark.favicon_url}
+                          alt=""
+                          style={styles.favicon}
+                          onError={(e) => { e.target.style.visibility = 'hidden'; }}
+                        />
+                      ) : (
+                        <span style={styles.favicon}>🔖</span>
+                      )}
+                      <div style={styles.rowText}>
+                        <a href={bookmark.url} target="_blank" rel="noopener noreferrer" style={{ ...styles.link, color: theme.colors.textPrimary }}>
+                          {bookmark.title}
+                        </a>
+                        <div style={{ ...styles.rowMeta, ...themedStyles.muted }}>{formatLocation(bookmark)}</div>
+                      </div>
+                      <Sparkline
+                        values={bookmark.series}
+                        width={100}
+                        height={24}
+                        color={theme.colors.secondary}
+                        title={`${bookmark.clicks} clicks`}
+                      />
+                      <span style={styles.count}>{bookmark.clicks}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </section>
+
+            {/* Usage by page / by source */}
+            <section style={{ ...themedStyles.card, ...styles.column }}>
+              <h2 style={styles.cardTitle}>Usage by page</h2>
+              <ul style={styles.list}>
+                {analytics.byPage.map((page) => (
+                  <li key={page.id} style={themedStyles.row}>
+                    <span style={styles.favicon}>{page.icon || '📄'}</span>
+                    <div style={styles.rowText}>
+                      <div>{page.name}</div>
+                      <div style={{ ...styles.rowMeta, ...themedStyles.muted }}>
+                        {page.bookmarks} bookmark{page.bookmarks !== 1 ? 's' : ''}
+                        {page.never_clicked > 0 && ` — ${page.never_clicked} never clicked`}
+                      </div>
+                    </div>
+                    <div style={themedStyles.barTrack}>
+                      <div style={{ ...themedStyles.bar, width: `${(page.clicks / maxPageClicks) * 100}%` }} />
+                    </div>
+                    <span style={styles.count}>{page.clicks}</span>
+                  </li>
+                ))}
+              </ul>
+
+              <h2 style={{ ...styles.cardTitle, marginTop: '20px' }}>By source</h2>
+              <ul style={styles.list}>
+                {Object.entries(analytics.bySource).map(([source, clicks]) => (
+                  <li key={source} style={themedStyles.row}>
+                    <div style={{ ...styles.rowText, ...themedStyles.secondary }}>{SOURCE_LABELS[source] || source}</div>
+                    <div style={themedStyles.barTrack}>
+                      <div style={{ ...themedStyles.bar, width: `${totalBySource ? (clicks / totalBySource) * 100 : 0}%` }} />
+                    </div>
+                    <span style={styles.count}>{clicks}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          </div>
+
+          {/* Never clicked */}
+          <section style={themedStyles.card}>
+            <h2 style={styles.cardTitle}>Never clicked</h2>
+            {analytics.neverClicked.total === 0 ? (
+              <p style={themedStyles.muted}>Every bookmark has been used at least once. 🎉</p>
+            ) : (
+              <>
+                <p style={{ ...styles.description, ...themedStyles.muted }}>
+                  Oldest first — good candidates for cleaning up.
+                </p>
+                <ul style={styles.list}>
+                  {analytics.neverClicked.bookmarks.map((bookmark) => (
+                    <li key={bookmark.id} style={themedStyles.row}>
+                      <div style={styles.rowText}>
+                        <a href={bookmark.url} target="_blank" rel="noopener noreferrer" style={{ ...styles.link, color: theme.colors.textPrimary }}>
+                          {bookmark.title}
+                        </a>
+                        <div style={{ ...styles.rowMeta, ...themedStyles.muted }}>{formatLocation(bookmark)}</div>
+                      </div>
+                      <span style={{ ...styles.rowMeta, ...themedStyles.muted }}>
+                        added {new Date(bookmark.created_at).toLocaleDateString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                {analytics.neverClicked.total > analytics.neverClicked.bookmarks.length && (
+                  <p style={{ ...styles.description, ...themedStyles.muted }}>
+                    …and {analytics.neverClicked.total - analytics.neverClicked.bookmarks.length} more
+                  </p>
+                )}
+              </>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    padding: '24px 32px',
+    boxSizing: 'border-box',
+    background: '#0f0f0f'
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '16px',
+    marginBottom: '24px'
+  },
+  backButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 12px',
+    border: '1px solid',
+    borderRadius: '6px',
+    backgroundColor: 'transparent',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  title: {
+    margin: 0,
+    fontSize: '22px',
+    fontWeight: '600',
+    flex: 1
+  },
+  periods: {
+    display: 'flex',
+    gap: '6px'
+  },
+  periodButton: {
+    padding: '6px 12px',
+    border: '1px solid',
+    borderRadius: '6px',
+    backgroundColor: 'transparent',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  error: {
+    marginBottom: '16px',
+    fontSize: '14px'
+  },
+  content: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '16px',
+    maxWidth: '1200px',
+    transition: 'opacity 0.2s'
+  },
+  summary: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+    gap: '16px'
+  },
+  summaryValue: {
+    fontSize: '28px',
+    fontWeight: '600'
+  },
+  card: {
+    padding: '16px 20px',
+    border: '1px solid',
+    borderRadius: '12px',
+    fontSize: '14px'
+  },
+  cardHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    marginBottom: '12px'
+  },
+  cardTitle: {
+    margin: '0 0 12px 0',
+    fontSize: '16px',
+    fontWeight: '600'
+  },
+  columns: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(420px, 1fr))',
+    gap: '16px'
+  },
+  column: {
+    minWidth: 0
+  },
+  description: {
+    margin: '0 0 12px 0',
+    fontSize: '13px'
+  },
+  list: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '8px 0',
+    borderBottom: '1px solid'
+  },
+  favicon: {
+    width: '16px',
+    height: '16px',
+    flexShrink: 0,
+    fontSize: '14px',
+    lineHeight: '16px'
+  },
+  rowText: {
+    flex: 1,
+    minWidth: 0
+  },
+  rowMeta: {
+    fontSize: '12px',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  },
+  link: {
+    display: 'block',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    textDecoration: 'none'
+  },
+  count: {
+    minWidth: '32px',
+    textAlign: 'right',
+    fontWeight: '600',
+    fontVariantNumeric: 'tabular-nums'
+  },
+  barTrack: {
+    width: '100px',
+    height: '6px',
+    borderRadius: '3px',
+    overflow: 'hidden',
+    flexShrink: 0
+  },
+  bar: {
+    height: '100%',
+    borderRadius: '3px'
+  }
+};
@@ -0,0 +1,68 @@
+/**
+ * Sparkline Component
+ *
+ * Minimal SVG line chart for a series of daily values
+ * - Scales to the largest value (a flat line at the bottom when everything is 0)
+ * - Optional filled area under the line
+ * - Stretches to the given width (number of px or any CSS width)
+ */
+export default function Sparkline({
+  values = [],
+  width = 120,
+  height = 28,
+  color = '#4a9eff',
+  fill = true,
+  strokeWidth = 1.5,
+  title
+}) {
+  // SVG coordinates (the element itself is stretched with preserveAspectRatio="none")
+  const viewWidth = 100;
+  const viewHeight = 30;
+  const max = Math.max(...values, 1);
+  const step = values.length > 1 ? viewWidth / (values.length - 1) : 0;
+
+  const points = values.map((value, index) => {
+    const x = values.length > 1 ? index * step : viewWidth / 2;
+    const y = viewHeight - (value / max) * (viewHeight - strokeWidth) - strokeWidth / 2;
+    return `${x.toFixed(2)},${y.toFixed(2)}`;
+  });
+
+  return (
+    <svg
+      width={width}
+      height={height}
+      viewBox={`0 0 ${viewWidth} ${viewHeight}`}
+      preserveAspectRatio="none"
+      style={styles.svg}
+      role="img"
+      aria-label={title}
+    >
+      {title && <title>{title}</title>}
+      {fill && points.length > 1 && (
+        <polygon
+          points={`0,${viewHeight} ${points.join(' ')} ${viewWidth},${viewHeight}`}
+          fill={color}
+          fillOpacity={0.15}
+        />
+      )}
+      {points.length > 0 && (
+        <polyline
+          points={points.join(' ')}
+          fill="none"
+          stroke={color}
+          strokeWidth={strokeWidth}
+          strokeLinejoin="round"
+          strokeLinecap="round"
+          vectorEffect="non-scaling-stroke"
+        />
+      )}
+    </svg>
+  );
+}
+
+const styles = {
+  svg: {
+    display: 'block',
+    overflow: 'visible'
+  }
+};
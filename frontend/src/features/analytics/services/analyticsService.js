@@ -0,0 +1,30 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Analytics Service
+ * Gère les appels API des statistiques de clics
+ *
+ * Toutes les méthodes nécessitent un token JWT (passé via authStore.getToken())
+ */
+const analyticsService = {
+  /**
+   * Récupérer les statistiques sur une période
+   * GET /api/analytics
+   * @param {object} params - { days?, limit? }
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { range, totals, series, bySource, top, neverClicked, byPage } }
+   */
+  async getAnalytics(params, token) {
+    const response = await axios.get(`${API_URL}/api/analytics`, {
+      params,
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  }
+};
+
+export default analyticsService;
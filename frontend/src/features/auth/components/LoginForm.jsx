@@ -1,16 +1,36 @@
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useAuthStore } from '../store/authStore';
+import authService from '../services/authService';
 
 export default function LoginForm() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const { login, loading, error, clearError } = useAuthStore();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, verifyTwoFactor, cancelTwoFactor, twoFactorChallenge, loading, error, clearError } = useAuthStore();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Failed SSO login: the callback comes back here with ?sso_error=...
+  const [ssoError, setSsoError] = useState(() => searchParams.get('sso_error'));
+  const [ssoProviders, setSsoProviders] = useState([]);
+
+  useEffect(() => {
+    if (searchParams.has('sso_error')) {
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
+  useEffect(() => {
+    authService.getSsoProviders()
+      .then((response) => setSsoProviders(response.data.providers))
+      .catch((err) => console.error('Failed to load SSO providers:', err));
+  }, []);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     clearError();
+    setSsoError(null);
 
     const result = await login({ email, password });
     if (result.success) {
@@ -18,6 +38,101 @@ export default function LoginForm() {
     }
   };
 
+  // Second step when 2FA is enabled: code from the authenticator app or a recovery code
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    clearError();
+
+    const result = await verifyTwoFactor(useRecoveryCode ? { recoveryCode: code } : { code });
+    if (result.success) {
+      setCode('');
+      navigate('/dashboard');
+    }
+  };
+
+  const handleToggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    clearError();
+  };
+
+  const handleSsoLogin = (providerId) => {
+    clearError();
+    window.location.href = authService.getSsoLoginUrl(providerId);
+  };
+
+  const handleBackToPassword = () => {
+    cancelTwoFactor();
+    setCode('');
+    setUseRecoveryCode(false);
+  };
+
+  if (twoFactorChallenge) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <img
+            src="/pingrid-logo.png"
+            alt="PinGrid"
+            style={styles.logo}
+          />
+
+          <h1 style={styles.title}>Two-Factor Authentication</h1>
+          <p style={styles.subtitle}>
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the 6-digit code from your authenticator app'}
+          </p>
+
+          {error && (
+            <div style={styles.errorBox}>
+              <strong>⚠️ Error:</strong> {error}
+            </div>
+          )}
+
+          <form onSubmit={handleCodeSubmit} style={styles.form}>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>{useRecoveryCode ? 'Recovery code' : 'Authentication code'}</label>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                style={{ ...styles.input, ...styles.codeInput }}
+                disabled={loading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              style={{
+                ...styles.button,
+                ...(loading ? styles.buttonDisabled : {})
+              }}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <p style={styles.linkText}>
+            <button type="button" onClick={handleToggleRecoveryCode} style={styles.linkButton}>
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+            {' · '}
+            <button type="button" onClick={handleBackToPassword} style={styles.linkButton}>
+              Back
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div style={styles.container}>
       <div style={styles.card}>
@@ -30,9 +145,9 @@ export default function LoginForm() {
         <h1 style={styles.title}>Welcome Back</h1>
         <p style={styles.subtitle}>Sign in to your PinGrid account</p>
 
-        {error && (
+        {(error || ssoError) && (
           <div style={styles.errorBox}>
-            <strong>⚠️ Error:</strong> {error}
+            <strong>⚠️ Error:</strong> {error || ssoError}
           </div>
         )}
 
@@ -61,6 +176,9 @@ export default function LoginForm() {
               style={styles.input}
               disabled={loading}
             />
+            <Link to="/forgot-password" style={styles.forgotLink}>
+              Forgot password?
+            </Link>
           </div>
 
           <button
@@ -75,6 +193,30 @@ export default function LoginForm() {
           </button>
         </form>
 
+        {ssoProviders.length > 0 && (
+          <div style={styles.ssoSection}>
+            <div style={styles.divider}>
+              <span style={styles.dividerLine} />
+              <span>or</span>
+              <span style={styles.dividerLine} />
+            </div>
+            {ssoProviders.map((provider) => (
+              <button
+                key={provider.id}
+                type="button"
+                onClick={() => handleSsoLogin(provider.id)}
+                disabled={loading}
+                style={{
+                  ...styles.ssoButton,
+                  ...(loading ? styles.buttonDisabled : {})
+                }}
+              >
+                🔑 SSO · {provider.name}
+              </button>
+            ))}
+          </div>
+        )}
+
         <p style={styles.linkText}>
           Don't have an account?{' '}
           <Link to="/register" style={styles.link}>
@@ -183,5 +325,54 @@ const styles = {
     color: '#667eea',
     textDecoration: 'none',
     fontWeight: '600'
+  },
+  forgotLink: {
+    alignSelf: 'flex-end',
+    color: '#667eea',
+    textDecoration: 'none',
+    fontSize: '0.85rem'
+  },
+  linkButton: {
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    color: '#667eea',
+    fontWeight: '600',
+    fontSize: '0.9rem',
+    cursor: 'pointer'
+  },
+  ssoSection: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    marginTop: '20px'
+  },
+  divider: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    color: '#71717a',
+    fontSize: '0.85rem'
+  },
+  dividerLine: {
+    flex: 1,
+    height: '1px',
+    background: '#2d2d3f'
+  },
+  ssoButton: {
+    background: 'transparent',
+    color: '#e4e4e7',
+    padding: '12px',
+    border: '2px solid #2d2d3f',
+    borderRadius: '8px',
+    fontSize: '1rem',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.3s'
+  },
+  codeInput: {
+    fontSize: '1.25rem',
+    letterSpacing: '0.2em',
+    textAlign: 'center'
   }
 };
@@ -1,13 +1,64 @@
+import { useEffect, useState } from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuthStore } from '../store/authStore';
 
 export default function ProtectedRoute({ children }) {
   const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const hasToken = useAuthStore((state) => Boolean(state.token));
+  const [restoreError, setRestoreError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  // The access token is kept in memory only: after a reload, get one from the refresh cookie
+  // (a refused session logs out and redirects; a network error offers a retry)
+  useEffect(() => {
+    if (!isAuthenticated || hasToken) return;
+
+    setRestoreError(null);
+    useAuthStore.getState().refreshSession().then((result) => {
+      if (!result.success) {
+        setRestoreError(result.error);
+      }
+    });
+  }, [isAuthenticated, hasToken, attempt]);
 
   if (!isAuthenticated) {
     // Redirect to login if not authenticated
     return <Navigate to="/login" replace />;
   }
 
+  if (!hasToken) {
+    if (!restoreError) return null;
+
+    return (
+      <div style={styles.container}>
+        <p>⚠️ {restoreError}</p>
+        <button onClick={() => setAttempt((n) => n + 1)} style={styles.button}>
+          Retry
+        </button>
+      </div>
+    );
+  }
+
   return children;
 }
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '12px',
+    height: '100vh',
+    color: '#666',
+    fontSize: '14px'
+  },
+  button: {
+    padding: '8px 20px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#007bff',
+    color: 'white',
+    cursor: 'pointer'
+  }
+};
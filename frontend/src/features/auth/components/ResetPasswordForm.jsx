@@ -0,0 +1,238 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuthStore } from '../store/authStore';
+import authService from '../services/authService';
+
+/**
+ * ResetPasswordForm Component
+ *
+ * New password from the emailed link (/reset-password?token=...).
+ * The server signs out every device, including this one.
+ */
+export default function ResetPasswordForm() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState(token ? '' : 'This reset link is incomplete. Ask for a new one.');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authService.resetPassword(token, password);
+      setMessage(response.message);
+
+      // Every session was revoked: drop the local one too
+      if (useAuthStore.getState().isAuthenticated) {
+        await useAuthStore.getState().logout();
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <img
+          src="/pingrid-logo.png"
+          alt="PinGrid"
+          style={styles.logo}
+        />
+
+        <h1 style={styles.title}>New Password</h1>
+        <p style={styles.subtitle}>Choose a new password for your account</p>
+
+        {error && (
+          <div style={styles.errorBox}>
+            <strong>⚠️ Error:</strong> {error}
+          </div>
+        )}
+
+        {message ? (
+          <div style={styles.successBox}>{message}</div>
+        ) : token && (
+          <form onSubmit={handleSubmit} style={styles.form}>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>New password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoFocus
+                autoComplete="new-password"
+                placeholder="At least 8 characters"
+                style={styles.input}
+                disabled={loading}
+              />
+              <small style={styles.hint}>Uppercase, lowercase and a number</small>
+            </div>
+
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Confirm password</label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                autoComplete="new-password"
+                placeholder="Type it again"
+                style={styles.input}
+                disabled={loading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              style={{
+                ...styles.button,
+                ...(loading ? styles.buttonDisabled : {})
+              }}
+            >
+              {loading ? 'Saving...' : 'Set New Password'}
+            </button>
+          </form>
+        )}
+
+        <p style={styles.linkText}>
+          {message || token ? (
+            <Link to="/login" style={styles.link}>
+              Back to sign in
+            </Link>
+          ) : (
+            <Link to="/forgot-password" style={styles.link}>
+              Get a new reset link
+            </Link>
+          )}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: '100vh',
+    background: 'linear-gradient(135deg, #0f0f0f 0%, #1a1a2e 100%)',
+    padding: '20px'
+  },
+  card: {
+    background: '#1e1e2e',
+    borderRadius: '16px',
+    boxShadow: '0 20px 60px rgba(0,0,0,0.5)',
+    padding: '40px',
+    width: '100%',
+    maxWidth: '400px',
+    border: '1px solid #2d2d3f'
+  },
+  logo: {
+    maxWidth: '200px',
+    height: 'auto',
+    display: 'block',
+    margin: '0 auto 30px'
+  },
+  title: {
+    fontSize: '2rem',
+    fontWeight: '700',
+    color: '#e4e4e7',
+    textAlign: 'center',
+    marginBottom: '10px'
+  },
+  subtitle: {
+    fontSize: '1rem',
+    color: '#a1a1aa',
+    textAlign: 'center',
+    marginBottom: '30px'
+  },
+  errorBox: {
+    background: '#3d1f1f',
+    border: '2px solid #5c2d2d',
+    color: '#ef4444',
+    padding: '12px',
+    borderRadius: '8px',
+    marginBottom: '20px',
+    fontSize: '0.9rem'
+  },
+  successBox: {
+    background: '#1f3d2a',
+    border: '2px solid #2d5c3d',
+    color: '#4ade80',
+    padding: '12px',
+    borderRadius: '8px',
+    fontSize: '0.9rem'
+  },
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '20px'
+  },
+  formGroup: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  label: {
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    color: '#e4e4e7'
+  },
+  hint: {
+    color: '#a1a1aa',
+    fontSize: '0.8rem'
+  },
+  input: {
+    padding: '12px',
+    border: '2px solid #2d2d3f',
+    borderRadius: '8px',
+    fontSize: '1rem',
+    transition: 'border-color 0.3s',
+    outline: 'none',
+    backgroundColor: '#252540',
+    color: '#e4e4e7'
+  },
+  button: {
+    background: '#667eea',
+    color: 'white',
+    padding: '14px',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '1rem',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.3s',
+    marginTop: '10px'
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  },
+  linkText: {
+    textAlign: 'center',
+    marginTop: '20px',
+    color: '#a1a1aa',
+    fontSize: '0.9rem'
+  },
+  link: {
+    color: '#667eea',
+    textDecoration: 'none',
+    fontWeight: '600'
+  }
+};
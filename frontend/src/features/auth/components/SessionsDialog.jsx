@@ -0,0 +1,312 @@
+import { useEffect, useState } from 'react';
+import { useAuthStore } from '../store/authStore';
+import authService from '../services/authService';
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+/**
+ * Short device label from a user agent ("Firefox on Windows")
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token));
+  if (!browser && !system) return userAgent.slice(0, 60);
+
+  return [browser?.[1] || 'Browser', system && `on ${system[1]}`].filter(Boolean).join(' ');
+}
+
+/**
+ * SessionsDialog Component
+ *
+ * Devices currently signed in to the account
+ * - One entry per session (login), the current one is flagged
+ * - Sign out a device, or every device except this one
+ * - A revoked device loses access immediately
+ */
+export default function SessionsDialog({ isOpen, onClose }) {
+  const { getToken } = useAuthStore();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  /**
+   * Load active sessions
+   */
+  const loadSessions = async () => {
+    try {
+      const response = await authService.getSessions(getToken());
+      setSessions(response.data.sessions);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load sessions');
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    setLoading(true);
+    loadSessions().finally(() => setLoading(false));
+    return undefined;
+  }, [isOpen]);
+
+  /**
+   * Sign out one device
+   */
+  const handleRevoke = async (session) => {
+    setBusyId(session.id);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await authService.revokeSession(session.id, getToken());
+      setMessage(response.message);
+      await loadSessions();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to sign out device');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Sign out every device except this one
+   */
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out all other devices?')) {
+      return;
+    }
+
+    setBusyId('all');
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await authService.revokeOtherSessions(getToken());
+      setMessage(response.message);
+      await loadSessions();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to sign out devices');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Close dialog and reset state
+   */
+  const handleClose = () => {
+    setMessage('');
+    setError('');
+    onClose();
+  };
+
+  // Don't render if not open
+  if (!isOpen) return null;
+
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <div style={styles.overlay} onClick={handleClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <h2 style={styles.title}>💻 Devices</h2>
+
+        <p style={styles.description}>
+          Devices signed in to your account. Signing out a device ends its session immediately.
+        </p>
+
+        <div style={styles.list}>
+          {loading && sessions.length === 0 ? (
+            <div style={styles.empty}>Loading...</div>
+          ) : sessions.map((session) => {
+            const busy = busyId === session.id || busyId === 'all';
+
+            return (
+              <div key={session.id} style={styles.item}>
+                <div style={styles.itemMain}>
+                  <div style={styles.itemTitle} title={session.user_agent || ''}>
+                    {describeDevice(session.user_agent)}
+                    {session.current && <span style={styles.currentBadge}>This device</span>}
+                  </div>
+                  <div style={styles.itemMeta}>
+                    {session.ip_address && `${session.ip_address} — `}
+                    {`last active ${new Date(session.last_used_at).toLocaleString()}`}
+                    {` — signed in ${new Date(session.created_at).toLocaleDateString()}`}
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session)}
+                    disabled={busy}
+                    style={{ ...styles.secondaryButton, ...(busy && styles.buttonDisabled) }}
+                  >
+                    {busyId === session.id ? '...' : 'Sign out'}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {message && <div style={styles.message}>{message}</div>}
+        {error && <div style={styles.error}>⚠️ {error}</div>}
+
+        <div style={styles.buttons}>
+          {hasOthers && (
+            <button
+              onClick={handleRevokeOthers}
+              disabled={busyId !== null}
+              style={{ ...styles.dangerButton, ...(busyId !== null && styles.buttonDisabled) }}
+            >
+              Sign Out Other Devices
+            </button>
+          )}
+          <button onClick={handleClose} style={styles.cancelButton}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '32px',
+    maxWidth: '560px',
+    width: '90%',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  description: {
+    margin: '0 0 20px 0',
+    color: '#666',
+    fontSize: '14px'
+  },
+  list: {
+    maxHeight: '55vh',
+    overflowY: 'auto',
+    marginBottom: '16px'
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '10px',
+    padding: '12px 16px',
+    marginBottom: '10px'
+  },
+  itemMain: {
+    flex: 1,
+    minWidth: 0
+  },
+  itemTitle: {
+    fontWeight: '500',
+    color: '#333',
+    fontSize: '14px'
+  },
+  itemMeta: {
+    color: '#999',
+    fontSize: '12px'
+  },
+  currentBadge: {
+    marginLeft: '8px',
+    padding: '2px 8px',
+    borderRadius: '10px',
+    backgroundColor: '#e8f5e9',
+    color: '#2e7d32',
+    fontSize: '11px',
+    fontWeight: '500'
+  },
+  empty: {
+    padding: '24px',
+    textAlign: 'center',
+    color: '#999',
+    fontSize: '14px'
+  },
+  message: {
+    padding: '10px 12px',
+    backgroundColor: '#e8f5e9',
+    borderRadius: '8px',
+    color: '#2e7d32',
+    marginBottom: '12px',
+    fontSize: '13px'
+  },
+  error: {
+    padding: '12px',
+    backgroundColor: '#fee',
+    border: '1px solid #fcc',
+    borderRadius: '8px',
+    color: '#c00',
+    marginBottom: '12px',
+    fontSize: '14px'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  dangerButton: {
+    padding: '10px 20px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#dc3545',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  secondaryButton: {
+    padding: '6px 14px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '500',
+    flexShrink: 0
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  }
+};
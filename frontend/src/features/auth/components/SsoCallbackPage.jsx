@@ -0,0 +1,80 @@
+import { useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuthStore } from '../store/authStore';
+
+/**
+ * SsoCallbackPage Component
+ *
+ * Landing page after an SSO login (/login/sso). The server already set the
+ * refresh token cookie: get the access token from it, or continue with the
+ * 2FA code step when the callback carries a challenge (#challenge=...).
+ */
+export default function SsoCallbackPage() {
+  const navigate = useNavigate();
+  // The refresh token rotates on use: don't refresh twice (StrictMode runs effects twice in dev)
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    const challengeToken = new URLSearchParams(window.location.hash.slice(1)).get('challenge');
+    if (challengeToken) {
+      useAuthStore.getState().startTwoFactorChallenge(challengeToken);
+      navigate('/login', { replace: true });
+      return;
+    }
+
+    useAuthStore.getState().refreshSession().then((result) => {
+      if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else {
+        navigate(`/login?sso_error=${encodeURIComponent('SSO login failed')}`, { replace: true });
+      }
+    });
+  }, [navigate]);
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <img
+          src="/pingrid-logo.png"
+          alt="PinGrid"
+          style={styles.logo}
+        />
+        <p style={styles.subtitle}>Signing you in...</p>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: '100vh',
+    background: 'linear-gradient(135deg, #0f0f0f 0%, #1a1a2e 100%)',
+    padding: '20px'
+  },
+  card: {
+    background: '#1e1e2e',
+    borderRadius: '16px',
+    boxShadow: '0 20px 60px rgba(0,0,0,0.5)',
+    padding: '40px',
+    width: '100%',
+    maxWidth: '400px',
+    border: '1px solid #2d2d3f'
+  },
+  logo: {
+    maxWidth: '200px',
+    height: 'auto',
+    display: 'block',
+    margin: '0 auto 30px'
+  },
+  subtitle: {
+    fontSize: '1rem',
+    color: '#a1a1aa',
+    textAlign: 'center'
+  }
+};
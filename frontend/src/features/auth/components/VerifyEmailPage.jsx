@@ -0,0 +1,130 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuthStore } from '../store/authStore';
+import authService from '../services/authService';
+
+/**
+ * VerifyEmailPage Component
+ *
+ * Landing page of the verification link (/verify-email?token=...).
+ * Confirms the address on load; works signed in or not.
+ */
+export default function VerifyEmailPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  // The token works once: don't send it twice (StrictMode runs effects twice in dev)
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.message);
+        useAuthStore.getState().updateUser({ email_verified: true });
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.error || err.message || 'Verification failed');
+      });
+  }, [token]);
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <img
+          src="/pingrid-logo.png"
+          alt="PinGrid"
+          style={styles.logo}
+        />
+
+        <h1 style={styles.title}>Email Verification</h1>
+
+        {status === 'verifying' && <p style={styles.subtitle}>Verifying your email address...</p>}
+        {status === 'verified' && <div style={styles.successBox}>✅ {message}</div>}
+        {status === 'error' && (
+          <div style={styles.errorBox}>
+            <strong>⚠️ Error:</strong> {message}
+            {isAuthenticated && ' You can ask for a new link from the Security settings.'}
+          </div>
+        )}
+
+        <p style={styles.linkText}>
+          <Link to={isAuthenticated ? '/dashboard' : '/login'} style={styles.link}>
+            {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: '100vh',
+    background: 'linear-gradient(135deg, #0f0f0f 0%, #1a1a2e 100%)',
+    padding: '20px'
+  },
+  card: {
+    background: '#1e1e2e',
+    borderRadius: '16px',
+    boxShadow: '0 20px 60px rgba(0,0,0,0.5)',
+    padding: '40px',
+    width: '100%',
+    maxWidth: '400px',
+    border: '1px solid #2d2d3f'
+  },
+  logo: {
+    maxWidth: '200px',
+    height: 'auto',
+    display: 'block',
+    margin: '0 auto 30px'
+  },
+  title: {
+    fontSize: '2rem',
+    fontWeight: '700',
+    color: '#e4e4e7',
+    textAlign: 'center',
+    marginBottom: '20px'
+  },
+  subtitle: {
+    fontSize: '1rem',
+    color: '#a1a1aa',
+    textAlign: 'center'
+  },
+  errorBox: {
+    background: '#3d1f1f',
+    border: '2px solid #5c2d2d',
+    color: '#ef4444',
+    padding: '12px',
+    borderRadius: '8px',
+    fontSize: '0.9rem'
+  },
+  successBox: {
+    background: '#1f3d2a',
+    border: '2px solid #2d5c3d',
+    color: '#4ade80',
+    padding: '12px',
+    borderRadius: '8px',
+    fontSize: '0.9rem'
+  },
+  linkText: {
+    textAlign: 'center',
+    marginTop: '20px',
+    color: '#a1a1aa',
+    fontSize: '0.9rem'
+  },
+  link: {
+    color: '#667eea',
+    textDecoration: 'none',
+    fontWeight: '600'
+  }
+};
@@ -5,6 +5,13 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 // Log API URL for debugging
 console.log('🔧 API URL configured:', API_URL);
 
+// Auth endpoints authenticated by the refresh token cookie, never retried after a refresh
+// (also covers the 2FA login step /api/auth/login/2fa)
+const COOKIE_AUTH_PATHS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+// Single refresh in flight shared by every request that got a 401
+let refreshPromise = null;
+
 const authService = {
   /**
    * Register a new user
@@ -12,7 +19,7 @@ const authService = {
   async register(userData) {
     console.log('📤 Registering user to:', `${API_URL}/api/auth/register`);
     try {
-      const response = await axios.post(`${API_URL}/api/auth/register`, userData);
+      const response = await axios.post(`${API_URL}/api/auth/register`, userData, { withCredentials: true });
       console.log('✅ Registration response:', response);
       return response.data;
     } catch (error) {
@@ -28,7 +35,7 @@ const authService = {
   async login(credentials) {
     console.log('📤 Logging in to:', `${API_URL}/api/auth/login`);
     try {
-      const response = await axios.post(`${API_URL}/api/auth/login`, credentials);
+      const response = await axios.post(`${API_URL}/api/auth/login`, credentials, { withCredentials: true });
       console.log('✅ Login response:', response);
       return response.data;
     } catch (error) {
@@ -38,6 +45,69 @@ const authService = {
     }
   },
 
+  /**
+   * Second login step (2FA): challenge token from login + code or recovery code
+   */
+  async loginTwoFactor({ challengeToken, code, recoveryCode }) {
+    const response = await axios.post(
+      `${API_URL}/api/auth/login/2fa`,
+      { challengeToken, code, recoveryCode },
+      { withCredentials: true }
+    );
+    return response.data;
+  },
+
+  /**
+   * SSO providers configured on the server [{ id, name }]
+   */
+  async getSsoProviders() {
+    const response = await axios.get(`${API_URL}/api/auth/oidc/providers`);
+    return response.data;
+  },
+
+  /**
+   * SSO login start: a full page navigation (the server redirects to the identity provider)
+   */
+  getSsoLoginUrl(providerId) {
+    return `${API_URL}/api/auth/oidc/${encodeURIComponent(providerId)}/login`;
+  },
+
+  /**
+   * Ask for a password reset link by email
+   */
+  async forgotPassword(email) {
+    const response = await axios.post(`${API_URL}/api/auth/forgot-password`, { email });
+    return response.data;
+  },
+
+  /**
+   * Set a new password with the token of the reset link
+   */
+  async resetPassword(token, password) {
+    const response = await axios.post(`${API_URL}/api/auth/reset-password`, { token, password });
+    return response.data;
+  },
+
+  /**
+   * Confirm the email address with the token of the verification link
+   */
+  async verifyEmail(token) {
+    const response = await axios.post(`${API_URL}/api/auth/verify-email`, { token });
+    return response.data;
+  },
+
+  /**
+   * Send the verification link again
+   */
+  async resendVerification(token) {
+    const response = await axios.post(`${API_URL}/api/auth/verify-email/resend`, null, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
   /**
    * Get current user info
    */
@@ -51,11 +121,187 @@ const authService = {
   },
 
   /**
-   * Logout (client-side only for JWT)
+   * Update profile: { firstName, lastName, email, currentPassword (to change the email) }
+   */
+  async updateProfile(updates, token) {
+    const response = await axios.put(`${API_URL}/api/auth/me`, updates, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Change password (the server signs out the other devices)
+   */
+  async changePassword(currentPassword, newPassword, token) {
+    const response = await axios.post(`${API_URL}/api/auth/change-password`, { currentPassword, newPassword }, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Delete the account: { password, code? | recoveryCode?, export? }
+   * export: true returns the final JSON export in data.export
+   */
+  async deleteAccount(confirmation, token) {
+    const response = await axios.delete(`${API_URL}/api/auth/me`, {
+      data: confirmation,
+      withCredentials: true,
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Get a new access token from the refresh token cookie (httpOnly, rotated by the server)
+   */
+  async refresh() {
+    const response = await axios.post(`${API_URL}/api/auth/refresh`, null, { withCredentials: true });
+    return response.data;
+  },
+
+  /**
+   * Logout: revoke this device's session and clear the refresh token cookie
+   */
+  async logout() {
+    const response = await axios.post(`${API_URL}/api/auth/logout`, null, { withCredentials: true });
+    return response.data;
+  },
+
+  /**
+   * List active sessions (devices)
    */
-  logout() {
-    // JWT logout is handled client-side by removing token
-    return Promise.resolve({ success: true });
+  async getSessions(token) {
+    const response = await axios.get(`${API_URL}/api/auth/sessions`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Revoke one session (log a device out)
+   */
+  async revokeSession(id, token) {
+    const response = await axios.delete(`${API_URL}/api/auth/sessions/${id}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Revoke every session except this one
+   */
+  async revokeOtherSessions(token) {
+    const response = await axios.delete(`${API_URL}/api/auth/sessions`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * 2FA status { enabled, enabled_at, recovery_codes_remaining }
+   */
+  async getTwoFactorStatus(token) {
+    const response = await axios.get(`${API_URL}/api/auth/2fa`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Start 2FA enrolment: { secret, otpauth_url, qr_code }
+   */
+  async setupTwoFactor(token) {
+    const response = await axios.post(`${API_URL}/api/auth/2fa/setup`, null, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Enable 2FA with a first code: { recovery_codes }
+   */
+  async enableTwoFactor(code, token) {
+    const response = await axios.post(`${API_URL}/api/auth/2fa/enable`, { code }, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Disable 2FA: { password, code } or { password, recoveryCode }
+   */
+  async disableTwoFactor(payload, token) {
+    const response = await axios.post(`${API_URL}/api/auth/2fa/disable`, payload, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Replace the recovery codes: { recovery_codes }
+   */
+  async regenerateRecoveryCodes(code, token) {
+    const response = await axios.post(`${API_URL}/api/auth/2fa/recovery-codes`, { code }, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Silent refresh: when an API call fails with 401 (access token expired),
+   * get a new access token once and replay the call with it
+   * @param {function} refreshSession - Async, returns the new access token or null (session over)
+   */
+  setupInterceptors(refreshSession) {
+    axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const config = error.config;
+        const isCookieAuthCall = COOKIE_AUTH_PATHS.some((path) => config?.url?.includes(path));
+
+        if (error.response?.status !== 401 || !config || config._retried || isCookieAuthCall) {
+          throw error;
+        }
+
+        if (!refreshPromise) {
+          refreshPromise = refreshSession().finally(() => {
+            refreshPromise = null;
+          });
+        }
+        const token = await refreshPromise;
+        if (!token) {
+          throw error;
+        }
+
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return axios(config);
+      }
+    );
   }
 };
 
@@ -11,6 +11,8 @@ export const useAuthStore = create(
       isAuthenticated: false,
       loading: false,
       error: null,
+      // Password accepted, 2FA code expected (challenge token from login)
+      twoFactorChallenge: null,
 
       // Actions
       register: async (userData) => {
@@ -58,6 +60,15 @@ export const useAuthStore = create(
             throw new Error('Invalid response from server. Please check your API configuration.');
           }
 
+          if (response.data.twoFactorRequired) {
+            set({
+              twoFactorChallenge: response.data.challengeToken,
+              loading: false,
+              error: null
+            });
+            return { success: false, twoFactorRequired: true };
+          }
+
           const { user, token } = response.data;
 
           if (!user || !token) {
@@ -83,7 +94,89 @@ export const useAuthStore = create(
         }
       },
 
-      logout: () => {
+      /**
+       * Second login step: { code } from the authenticator app or { recoveryCode }
+       */
+      verifyTwoFactor: async ({ code, recoveryCode }) => {
+        set({ loading: true, error: null });
+        try {
+          const response = await authService.loginTwoFactor({
+            challengeToken: get().twoFactorChallenge,
+            code,
+            recoveryCode
+          });
+          const { user, token } = response.data;
+
+          set({
+            user,
+            token,
+            isAuthenticated: true,
+            twoFactorChallenge: null,
+            loading: false,
+            error: null
+          });
+
+          return { success: true };
+        } catch (error) {
+          const errorMessage = error.response?.data?.error || error.message || 'Verification failed';
+          set({
+            error: errorMessage,
+            loading: false,
+            // Challenge expired: back to the password step
+            ...(errorMessage === 'Login challenge expired' && { twoFactorChallenge: null })
+          });
+          return { success: false, error: errorMessage };
+        }
+      },
+
+      /**
+       * SSO login of a 2FA user: the code step uses the challenge from the callback
+       */
+      startTwoFactorChallenge: (challengeToken) => {
+        set({ twoFactorChallenge: challengeToken, error: null });
+      },
+
+      cancelTwoFactor: () => {
+        set({ twoFactorChallenge: null, error: null });
+      },
+
+      /**
+       * New access token from the refresh token cookie (page reload, expired token)
+       * The session is only dropped locally when the server refuses it (401)
+       */
+      refreshSession: async () => {
+        try {
+          const response = await authService.refresh();
+          const { user, token } = response.data;
+
+          set({
+            user,
+            token,
+            isAuthenticated: true
+          });
+
+          return { success: true, token };
+        } catch (error) {
+          if (error.response?.status === 401) {
+            set({
+              user: null,
+              token: null,
+              isAuthenticated: false
+            });
+          }
+          const errorMessage = error.response?.data?.error || error.message || 'Session refresh failed';
+          return { success: false, error: errorMessage };
+        }
+      },
+
+      logout: async () => {
+        try {
+          // Revoke the session server-side (refresh token cookie)
+          await authService.logout();
+        } catch (error) {
+          console.error('Logout request failed:', error);
+        }
+
         set({
           user: null,
           token: null,
@@ -92,6 +185,13 @@ export const useAuthStore = create(
         });
       },
 
+      /**
+       * Patch the signed-in user (email verified, profile changes)
+       */
+      updateUser: (updates) => {
+        set((state) => ({ user: state.user ? { ...state.user, ...updates } : null }));
+      },
+
       clearError: () => {
         set({ error: null });
       },
@@ -103,11 +203,24 @@ export const useAuthStore = create(
     }),
     {
       name: 'pingrid-auth-storage',
+      version: 1,
+      // v0 persisted the token itself: drop it
+      migrate: (persistedState) => ({
+        user: persistedState?.user ?? null,
+        isAuthenticated: persistedState?.isAuthenticated ?? false
+      }),
+      // The access token stays in memory only (XSS): after a reload it is
+      // obtained again from the httpOnly refresh token cookie
       partialize: (state) => ({
         user: state.user,
-        token: state.token,
         isAuthenticated: state.isAuthenticated
       })
     }
   )
 );
+
+// Silent refresh of the access token on 401 for every axios call
+authService.setupInterceptors(async () => {
+  const result = await useAuthStore.getState().refreshSession();
+  return result.success ? result.token : null;
+});
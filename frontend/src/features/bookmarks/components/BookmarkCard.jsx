@@ -7,8 +7,11 @@
  * - Edit and delete actions on hover
  * - Drag & Drop support for reordering
  * - Visit count badge for dynamic groups
+ * - Tag chips (click to filter the page by tag)
+ * - Link health badge (broken / redirected)
+ * - Multi-select: Ctrl/Cmd+click toggles, Shift+click selects a range (bulk actions)
  *
- * @param {object} bookmark - Objet bookmark { id, title, url, description, favicon_url, visit_count }
+ * @param {object} bookmark - Objet bookmark { id, title, url, description, favicon_url, visit_count, tags, health }
  * @param {function} onEdit - Callback pour éditer le bookmark
  * @param {function} onDelete - Callback pour supprimer le bookmark
  * @param {function} onClick - Callback pour tracker le clic
@@ -16,10 +19,39 @@
  * @param {function} onDragOver - Drag over handler
  * @param {function} onDrop - Drop handler
  * @param {boolean} isDragging - True if this bookmark is being dragged
+ * @param {boolean} isBulkSelected - True if this bookmark is part of the multi-selection
+ * @param {function} onSelect - Selection handler (bookmark, click event)
  */
 import { useState } from 'react';
 import { useViewModeStore } from '../../../shared/store/viewModeStore';
 import { useTheme } from '../../../shared/theme/useTheme';
+import { useTagsStore } from '../../tags/store/tagsStore';
+import TagChip from '../../tags/components/TagChip';
+
+// Nombre max de chips affichées (le reste en "+N")
+const MAX_VISIBLE_TAGS = 3;
+
+/**
+ * Badge de santé du lien (rien si ok ou jamais contrôlé)
+ * @returns {object|null} { icon, color, tooltip }
+ */
+function getHealthBadge(health) {
+  if (health?.status === 'broken') {
+    return {
+      icon: '⚠',
+      color: '#f44336',
+      tooltip: `Broken link: ${health.error || `HTTP ${health.status_code}`}`
+    };
+  }
+  if (health?.status === 'redirected') {
+    return {
+      icon: '↪',
+      color: '#ff9800',
+      tooltip: `Redirects to ${health.final_url}`
+    };
+  }
+  return null;
+}
 
 export default function BookmarkCard({
   bookmark,
@@ -32,11 +64,16 @@ export default function BookmarkCard({
   onDragEnd,
   isDragging,
   isDropTarget,
-  isSelected = false
+  isSelected = false,
+  isBulkSelected = false,
+  onSelect
 }) {
   const [isHovered, setIsHovered] = useState(false);
   const { faviconSize, fontSize } = useViewModeStore();
   const { theme } = useTheme();
+  const { activeTag, toggleActiveTag } = useTagsStore();
+  const tags = bookmark.tags || [];
+  const healthBadge = getHealthBadge(bookmark.health);
 
   const handleEdit = (e) => {
     e.stopPropagation();
@@ -54,6 +91,7 @@ export default function BookmarkCard({
     // In Edit mode, don't open links - just allow card selection or nothing
     // Links only work in View mode (StaticPageView)
     e.preventDefault();
+    if (onSelect) onSelect(bookmark, e);
   };
 
   // Create theme-aware styles with glassmorphism + glow effect
@@ -89,6 +127,11 @@ export default function BookmarkCard({
       transform: 'scale(1.02)',
       transition: theme.glow.transition
     },
+    cardBulkSelected: {
+      borderColor: theme.colors.primary,
+      backgroundColor: `${theme.colors.primary}26`,
+      boxShadow: `0 0 0 1px ${theme.colors.primary}`
+    },
     title: {
       ...styles.title,
       color: theme.colors.textPrimary
@@ -117,8 +160,10 @@ export default function BookmarkCard({
         ...(isDragging ? themedStyles.cardDragging : {}),
         ...(isDropTarget ? themedStyles.cardDropTarget : {}),
         ...(isHovered ? themedStyles.cardHovered : {}),
+        ...(isBulkSelected ? themedStyles.cardBulkSelected : {}),
         ...(isSelected ? themedStyles.cardSelected : {})
       }}
+      aria-selected={isBulkSelected}
       draggable
       onMouseEnter={() => setIsHovered(true)}
       onMouseLeave={() => setIsHovered(false)}
@@ -167,6 +212,32 @@ export default function BookmarkCard({
         {bookmark.title}
       </span>
 
+      {/* Link health badge */}
+      {healthBadge && (
+        <span style={{ ...styles.healthBadge, color: healthBadge.color }} title={healthBadge.tooltip}>
+          {healthBadge.icon}
+        </span>
+      )}
+
+      {/* Tags - hidden on hover to leave room for actions */}
+      {tags.length > 0 && !isHovered && (
+        <div style={styles.tags}>
+          {tags.slice(0, MAX_VISIBLE_TAGS).map((tag) => (
+            <TagChip
+              key={tag.id}
+              name={tag.name}
+              active={activeTag?.toLowerCase() === tag.name.toLowerCase()}
+              onClick={toggleActiveTag}
+            />
+          ))}
+          {tags.length > MAX_VISIBLE_TAGS && (
+            <span style={{ ...styles.moreTags, color: theme.colors.textMuted }} title={tags.map((t) => `#${t.name}`).join(' ')}>
+              +{tags.length - MAX_VISIBLE_TAGS}
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Actions - only rendered on hover */}
       {isHovered && (
         <div style={styles.actions}>
@@ -257,6 +328,26 @@ const styles = {
     whiteSpace: 'nowrap'
   },
 
+  tags: {
+    display: 'flex',
+    gap: '4px',
+    alignItems: 'center',
+    flexShrink: 0,
+    maxWidth: '50%',
+    overflow: 'hidden'
+  },
+
+  healthBadge: {
+    fontSize: '13px',
+    lineHeight: '1',
+    flexShrink: 0,
+    cursor: 'help'
+  },
+
+  moreTags: {
+    fontSize: '10px'
+  },
+
   actions: {
     display: 'flex',
     gap: '2px',
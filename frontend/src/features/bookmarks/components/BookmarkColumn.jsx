@@ -9,6 +9,7 @@ import { useKeyboardNavigation } from '../../../shared/context/KeyboardNavigatio
  * - No header labels to save space
  * - Minimal placeholder for empty columns
  * - D&D visual feedback
+ * - Multi-selection highlight (bulk actions)
  */
 export default function BookmarkColumn({
   columnNumber,
@@ -16,6 +17,8 @@ export default function BookmarkColumn({
   onEditBookmark,
   onDeleteBookmark,
   onBookmarkClick,
+  onSelectBookmark,
+  bulkSelectedIds = [],
   onDragStart,
   onDragOver,
   onDrop,
@@ -100,6 +103,8 @@ export default function BookmarkColumn({
               isDragging={draggedBookmark?.id === bookmark.id}
               isDropTarget={isDropTarget}
               isSelected={isSelected}
+              isBulkSelected={bulkSelectedIds.includes(bookmark.id)}
+              onSelect={onSelectBookmark}
             />
           );
         })
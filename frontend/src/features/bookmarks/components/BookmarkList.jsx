@@ -1,7 +1,10 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useBookmarksStore } from '../store/bookmarksStore';
+import { useBookmarkSelectionStore } from '../store/bookmarkSelectionStore';
 import { useBookmarkDrag } from '../context/BookmarkDragContext';
 import BookmarkColumn from './BookmarkColumn';
+import { useTagsStore, bookmarkHasTag } from '../../tags/store/tagsStore';
+import { useHistoryStore } from '../../../shared/store/historyStore';
 
 /**
  * BookmarkList Component
@@ -13,6 +16,9 @@ import BookmarkColumn from './BookmarkColumn';
  * - Drag & drop DANS une colonne pour réorganiser
  * - Drag & drop ENTRE colonnes pour déplacer
  * - Click tracking
+ * - Filtre par tag actif (sidebar) - affichage seulement, le reorder garde la colonne complète
+ * - Sélection multiple: Ctrl/Cmd+clic, Shift+clic (plage) et lasso depuis le fond du group
+ *   (Ctrl/Shift pendant le lasso: ajoute à la sélection) → BulkActionBar
  *
  * @param {string} groupId - UUID du group parent
  * @param {number} columnCount - Nombre de colonnes (1-6)
@@ -20,6 +26,28 @@ import BookmarkColumn from './BookmarkColumn';
  * @param {function} onEditBookmark - Callback pour éditer un bookmark
  * @param {function} onDeleteBookmark - Callback pour supprimer un bookmark
  */
+// Déplacement minimum (px) pour qu'un mousedown devienne un lasso
+const LASSO_THRESHOLD = 4;
+
+/**
+ * Rectangle entre deux points (coordonnées écran)
+ */
+function rectBetween(start, end) {
+  return {
+    left: Math.min(start.x, end.x),
+    top: Math.min(start.y, end.y),
+    right: Math.max(start.x, end.x),
+    bottom: Math.max(start.y, end.y)
+  };
+}
+
+/**
+ * True si deux rectangles se chevauchent
+ */
+function intersects(a, b) {
+  return a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+}
+
 export default function BookmarkList({ groupId, columnCount = 1, onAddBookmark, onEditBookmark, onDeleteBookmark }) {
   const {
     getBookmarksForGroup,
@@ -33,6 +61,11 @@ export default function BookmarkList({ groupId, columnCount = 1, onAddBookmark,
   } = useBookmarksStore();
 
   const { draggedBookmark, sourceGroupId, startDrag, endDrag } = useBookmarkDrag();
+  const { runBatch } = useHistoryStore();
+  const { activeTag } = useTagsStore();
+  const { selectedIds, toggle, selectRange, selectMany, clear } = useBookmarkSelectionStore();
+  const containerRef = useRef(null);
+  const [lasso, setLasso] = useState(null);
   const [localLoading, setLocalLoading] = useState(true);
   const [dragSourceColumn, setDragSourceColumn] = useState(null);
   const [hoveredColumn, setHoveredColumn] = useState(null);
@@ -56,9 +89,72 @@ export default function BookmarkList({ groupId, columnCount = 1, onAddBookmark,
     bookmarksByColumn[col] = bookmarks.filter(b => b.column === col);
   }
 
+  // Bookmarks affichés, dans l'ordre de lecture (colonne par colonne) pour le Shift+clic
+  const visibleIds = Object.values(bookmarksByColumn)
+    .flat()
+    .filter(b => bookmarkHasTag(b, activeTag))
+    .map(b => b.id);
+
+  // Ctrl/Cmd+clic: toggle, Shift+clic: plage, clic simple: vide la sélection
+  const handleSelectBookmark = (bookmark, e) => {
+    if (e.shiftKey) {
+      selectRange(groupId, visibleIds, bookmark.id);
+    } else if (e.ctrlKey || e.metaKey) {
+      toggle(bookmark.id, groupId);
+    } else {
+      clear();
+    }
+  };
+
+  // Lasso: mousedown sur le fond du group (pas sur un bookmark ni un bouton)
+  const handleLassoStart = (e) => {
+    if (e.button !== 0 || e.target.closest('[data-bookmark-id], button, input')) return;
+
+    // Empêche le drag natif du group parent et la sélection de texte
+    e.preventDefault();
+
+    const container = containerRef.current;
+    const start = { x: e.clientX, y: e.clientY };
+    const additive = e.ctrlKey || e.metaKey || e.shiftKey;
+
+    const toLocal = (rect) => {
+      const bounds = container.getBoundingClientRect();
+      return {
+        left: rect.left - bounds.left,
+        top: rect.top - bounds.top,
+        width: rect.right - rect.left,
+        height: rect.bottom - rect.top
+      };
+    };
+
+    const handleMove = (moveEvent) => {
+      setLasso(toLocal(rectBetween(start, { x: moveEvent.clientX, y: moveEvent.clientY })));
+    };
+
+    const handleUp = (upEvent) => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      setLasso(null);
+
+      const rect = rectBetween(start, { x: upEvent.clientX, y: upEvent.clientY });
+      if (rect.right - rect.left < LASSO_THRESHOLD && rect.bottom - rect.top < LASSO_THRESHOLD) {
+        if (!additive) clear();
+        return;
+      }
+
+      const ids = [...container.querySelectorAll('[data-bookmark-id]')]
+        .filter(el => intersects(el.getBoundingClientRect(), rect))
+        .map(el => el.dataset.bookmarkId);
+      selectMany(ids, additive);
+    };
+
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
   // Handle bookmark click (track + open)
   const handleBookmarkClick = async (bookmark) => {
-    trackClick(bookmark.id, groupId);
+    trackClick(bookmark.id, groupId, 'edit');
   };
 
   // Drag & Drop handlers
@@ -108,26 +204,29 @@ export default function BookmarkList({ groupId, columnCount = 1, onAddBookmark,
         if (dragSourceColumn !== targetColumn) {
           console.log(`Moving bookmark from column ${dragSourceColumn} to column ${targetColumn}`);
 
-          // Update le bookmark pour changer sa colonne
-          await updateBookmark(draggedBookmark.id, groupId, {
-            column: targetColumn
+          // Changement de colonne + position = une seule entrée d'historique (undo)
+          await runBatch('Move bookmark', async () => {
+            // Update le bookmark pour changer sa colonne
+            await updateBookmark(draggedBookmark.id, groupId, {
+              column: targetColumn
+            });
+
+            // Si dropped sur un bookmark spécifique, calculer la position
+            if (targetBookmark) {
+              const targetColumnBookmarks = bookmarksByColumn[targetColumn];
+              const targetIndex = targetColumnBookmarks.findIndex(b => b.id === targetBookmark.id);
+
+              // Reconstruire l'ordre : insérer avant le target
+              const newOrder = [
+                ...targetColumnBookmarks.slice(0, targetIndex).map(b => b.id),
+                draggedBookmark.id,
+                ...targetColumnBookmarks.slice(targetIndex).map(b => b.id)
+              ];
+
+              await reorderColumn(groupId, targetColumn, newOrder);
+            }
+            // Sinon, le bookmark est ajouté à la fin de la colonne (position auto)
           });
-
-          // Si dropped sur un bookmark spécifique, calculer la position
-          if (targetBookmark) {
-            const targetColumnBookmarks = bookmarksByColumn[targetColumn];
-            const targetIndex = targetColumnBookmarks.findIndex(b => b.id === targetBookmark.id);
-
-            // Reconstruire l'ordre : insérer avant le target
-            const newOrder = [
-              ...targetColumnBookmarks.slice(0, targetIndex).map(b => b.id),
-              draggedBookmark.id,
-              ...targetColumnBookmarks.slice(targetIndex).map(b => b.id)
-            ];
-
-            await reorderColumn(groupId, targetColumn, newOrder);
-          }
-          // Sinon, le bookmark est ajouté à la fin de la colonne (position auto)
         }
         // Cas 2b: Drag DANS la même colonne (réorganiser)
         else if (targetBookmark && dragSourceColumn === targetColumn) {
@@ -189,16 +288,18 @@ export default function BookmarkList({ groupId, columnCount = 1, onAddBookmark,
 
   // Main view with columns - no header, compact layout
   return (
-    <div style={styles.container}>
+    <div ref={containerRef} style={styles.container} onMouseDown={handleLassoStart}>
       <div style={styles.columnsContainer}>
         {Array.from({ length: columnCount }, (_, i) => i + 1).map((colNum) => (
           <BookmarkColumn
             key={colNum}
             columnNumber={colNum}
-            bookmarks={bookmarksByColumn[colNum] || []}
+            bookmarks={(bookmarksByColumn[colNum] || []).filter(b => bookmarkHasTag(b, activeTag))}
             onEditBookmark={onEditBookmark}
             onDeleteBookmark={onDeleteBookmark}
             onBookmarkClick={handleBookmarkClick}
+            onSelectBookmark={handleSelectBookmark}
+            bulkSelectedIds={selectedIds}
             onDragStart={handleDragStart}
             onDragOver={handleDragOver}
             onDrop={handleDrop}
@@ -210,16 +311,29 @@ export default function BookmarkList({ groupId, columnCount = 1, onAddBookmark,
           />
         ))}
       </div>
+
+      {/* Lasso rectangle */}
+      {lasso && <div style={{ ...styles.lasso, ...lasso }} />}
     </div>
   );
 }
 
 const styles = {
   container: {
+    position: 'relative',
     padding: '12px 0',
     backgroundColor: 'transparent'
   },
 
+  lasso: {
+    position: 'absolute',
+    border: '1px solid #667eea',
+    backgroundColor: 'rgba(102, 126, 234, 0.12)',
+    borderRadius: '2px',
+    pointerEvents: 'none',
+    zIndex: 5
+  },
+
   header: {
     display: 'flex',
     justifyContent: 'flex-end',
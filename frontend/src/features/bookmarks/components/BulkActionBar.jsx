@@ -0,0 +1,241 @@
+import { useEffect, useState } from 'react';
+import { useBookmarksStore } from '../store/bookmarksStore';
+import { useBookmarkSelectionStore } from '../store/bookmarkSelectionStore';
+import { usePagesStore } from '../../pages/store/pagesStore';
+import { useSectionsStore } from '../../sections/store/sectionsStore';
+import { useGroupsStore } from '../../groups/store/groupsStore';
+import { useViewModeStore } from '../../../shared/store/viewModeStore';
+
+/**
+ * BulkActionBar Component
+ *
+ * Bottom bar shown while bookmarks are multi-selected (Edit mode)
+ * - Move to another group of the current page
+ * - Set column (within each bookmark's own group)
+ * - Add / remove a tag
+ * - Refresh favicons
+ * - Delete (to the trash)
+ * Each action is a single POST /api/bookmarks/bulk (one transaction, one undo entry).
+ * Escape, switching page or switching to View mode clears the selection.
+ */
+export default function BulkActionBar() {
+  const { selectedIds, clear } = useBookmarkSelectionStore();
+  const { bookmarksByGroup, bulkAction } = useBookmarksStore();
+  const { currentPage } = usePagesStore();
+  const { getSectionsForPage } = useSectionsStore();
+  const { groupsBySection } = useGroupsStore();
+  const { mode } = useViewModeStore();
+  const [tagName, setTagName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Selection only makes sense on the page where it was made
+  useEffect(() => {
+    clear();
+  }, [currentPage?.id, mode, clear]);
+
+  useEffect(() => {
+    if (selectedIds.length === 0) {
+      setError('');
+      return undefined;
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') clear();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [selectedIds.length, clear]);
+
+  if (selectedIds.length === 0) return null;
+
+  // Groups of the current page (targets of "Move to")
+  const sections = currentPage ? getSectionsForPage(currentPage.id) : [];
+  const allGroups = Object.values(groupsBySection).flat();
+
+  // Columns available in every group of the selection
+  const selectedGroupIds = Object.entries(bookmarksByGroup)
+    .filter(([, bookmarks]) => bookmarks.some((b) => selectedIds.includes(b.id)))
+    .map(([groupId]) => groupId);
+  const maxColumn = selectedGroupIds.length > 0
+    ? Math.min(...selectedGroupIds.map((id) => allGroups.find((g) => g.id === id)?.column_count || 1))
+    : 1;
+
+  const count = selectedIds.length;
+  const noun = `${count} bookmark${count !== 1 ? 's' : ''}`;
+
+  /**
+   * Run one bulk action, clear the selection on success
+   */
+  const run = async (action, options = {}) => {
+    setBusy(true);
+    setError('');
+    const result = await bulkAction(action, selectedIds, options);
+    setBusy(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setTagName('');
+    clear();
+  };
+
+  const handleMove = (e) => {
+    const groupId = e.target.value;
+    e.target.value = '';
+    if (groupId) run('move', { groupId, column: 1 });
+  };
+
+  const handleColumn = (e) => {
+    const column = parseInt(e.target.value, 10);
+    e.target.value = '';
+    if (column) run('set-column', { column });
+  };
+
+  const handleTag = (tagMode) => {
+    if (!tagName.trim()) return;
+    run('tag', { tags: [tagName.trim()], tagMode });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Move ${noun} to the trash?`)) {
+      run('delete');
+    }
+  };
+
+  return (
+    <div style={styles.bar} role="toolbar" aria-label="Bulk actions">
+      <span style={styles.count}>{noun} selected</span>
+
+      <select onChange={handleMove} defaultValue="" disabled={busy} style={styles.select} title="Move to group">
+        <option value="" disabled>Move to…</option>
+        {sections.map((section) => (
+          <optgroup key={section.id} label={section.name}>
+            {(groupsBySection[section.id] || [])
+              .filter((group) => group.group_type === 'manual')
+              .map((group) => (
+                <option key={group.id} value={group.id}>{group.name}</option>
+              ))}
+          </optgroup>
+        ))}
+      </select>
+
+      <select onChange={handleColumn} defaultValue="" disabled={busy} style={styles.select} title="Set column">
+        <option value="" disabled>Column…</option>
+        {Array.from({ length: maxColumn }, (_, i) => i + 1).map((column) => (
+          <option key={column} value={column}>Column {column}</option>
+        ))}
+      </select>
+
+      <input
+        type="text"
+        value={tagName}
+        onChange={(e) => setTagName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') handleTag('add');
+        }}
+        placeholder="Tag"
+        disabled={busy}
+        style={styles.input}
+      />
+      <button onClick={() => handleTag('add')} disabled={busy || !tagName.trim()} style={styles.button}>
+        + Tag
+      </button>
+      <button onClick={() => handleTag('remove')} disabled={busy || !tagName.trim()} style={styles.button}>
+        − Tag
+      </button>
+
+      <button onClick={() => run('refresh-favicons')} disabled={busy} style={styles.button} title="Refresh favicons">
+        ↻ Icons
+      </button>
+      <button onClick={handleDelete} disabled={busy} style={{ ...styles.button, ...styles.deleteButton }}>
+        Delete
+      </button>
+
+      {busy && <span style={styles.status}>Working…</span>}
+      {error && <span style={styles.error} title={error}>⚠️ {error}</span>}
+
+      <button onClick={clear} style={styles.closeButton} title="Clear selection (Esc)">
+        ×
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  bar: {
+    position: 'fixed',
+    bottom: '80px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '8px',
+    maxWidth: '90vw',
+    padding: '8px 12px 8px 16px',
+    borderRadius: '8px',
+    backgroundColor: '#333',
+    color: 'white',
+    fontSize: '13px',
+    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.25)',
+    zIndex: 1050
+  },
+  count: {
+    fontWeight: '600',
+    marginRight: '4px',
+    whiteSpace: 'nowrap'
+  },
+  select: {
+    padding: '4px 6px',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    backgroundColor: '#444',
+    color: 'white',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  input: {
+    width: '90px',
+    padding: '4px 6px',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    backgroundColor: '#444',
+    color: 'white',
+    fontSize: '13px'
+  },
+  button: {
+    padding: '4px 10px',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    backgroundColor: 'transparent',
+    color: '#90caf9',
+    fontSize: '13px',
+    fontWeight: '500',
+    cursor: 'pointer',
+    whiteSpace: 'nowrap'
+  },
+  deleteButton: {
+    color: '#ef9a9a'
+  },
+  status: {
+    color: 'rgba(255, 255, 255, 0.7)'
+  },
+  error: {
+    maxWidth: '240px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+    color: '#ef9a9a'
+  },
+  closeButton: {
+    padding: '0 4px',
+    border: 'none',
+    backgroundColor: 'transparent',
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: '18px',
+    lineHeight: 1,
+    cursor: 'pointer'
+  }
+};
@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { createPortal } from 'react-dom';
 import { useBookmarksStore } from '../store/bookmarksStore';
+import { useAuthStore } from '../../auth/store/authStore';
+import bookmarksService from '../services/bookmarksService';
 
 /**
  * CreateBookmarkModal Component
@@ -9,6 +11,7 @@ import { useBookmarksStore } from '../store/bookmarksStore';
  * Features:
  * - Form: title (required, max 200), url (required, format http/https), description (optional, max 500), favicon_url (optional)
  * - Validation: title requis, URL format
+ * - Avertissement si l'URL existe déjà dans le workspace (re-submit pour créer quand même)
  * - Submit → createBookmark action
  * - Afficher error si échec
  * - Close modal après success
@@ -24,6 +27,7 @@ export default function CreateBookmarkModal({ isOpen, onClose, groupId }) {
   });
 
   const [formError, setFormError] = useState('');
+  const [duplicates, setDuplicates] = useState([]);
 
   const handleChange = (field, value) => {
     setFormData((prev) => ({
@@ -32,6 +36,22 @@ export default function CreateBookmarkModal({ isOpen, onClose, groupId }) {
     }));
     setFormError('');
     clearError();
+    if (field === 'url') {
+      setDuplicates([]);
+    }
+  };
+
+  /**
+   * Bookmarks existants avec la même URL (erreur réseau → pas d'avertissement)
+   */
+  const findDuplicates = async (url) => {
+    try {
+      const token = useAuthStore.getState().getToken();
+      const response = await bookmarksService.checkDuplicate(url, token);
+      return response.data.data;
+    } catch {
+      return [];
+    }
   };
 
   const handleSubmit = async (e) => {
@@ -73,6 +93,15 @@ export default function CreateBookmarkModal({ isOpen, onClose, groupId }) {
       favicon_url: formData.favicon_url.trim() || undefined
     };
 
+    // Doublon: avertir une fois, le 2e submit crée quand même
+    if (duplicates.length === 0) {
+      const existing = await findDuplicates(bookmarkData.url);
+      if (existing.length > 0) {
+        setDuplicates(existing);
+        return;
+      }
+    }
+
     // Appel API
     const result = await createBookmark(groupId, bookmarkData);
 
@@ -85,6 +114,7 @@ export default function CreateBookmarkModal({ isOpen, onClose, groupId }) {
         favicon_url: ''
       });
       setFormError('');
+      setDuplicates([]);
       onClose();
     } else {
       setFormError(result.error);
@@ -99,6 +129,7 @@ export default function CreateBookmarkModal({ isOpen, onClose, groupId }) {
       favicon_url: ''
     });
     setFormError('');
+    setDuplicates([]);
     clearError();
     onClose();
   };
@@ -123,6 +154,20 @@ export default function CreateBookmarkModal({ isOpen, onClose, groupId }) {
           </div>
         )}
 
+        {duplicates.length > 0 && (
+          <div style={styles.warningBox}>
+            <strong>⚠️ Already saved:</strong>
+            <ul style={styles.duplicateList}>
+              {duplicates.map((bookmark) => (
+                <li key={bookmark.id}>
+                  {bookmark.page_name} › {bookmark.section_name} › {bookmark.group_name} — {bookmark.title}
+                </li>
+              ))}
+            </ul>
+            Click "Create Anyway" to add it here too.
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} style={styles.form}>
           {/* Title */}
           <div style={styles.formGroup}>
@@ -205,7 +250,7 @@ export default function CreateBookmarkModal({ isOpen, onClose, groupId }) {
               }}
               disabled={loading}
             >
-              {loading ? 'Creating...' : 'Create Bookmark'}
+              {loading ? 'Creating...' : duplicates.length > 0 ? 'Create Anyway' : 'Create Bookmark'}
             </button>
           </div>
         </form>
@@ -278,6 +323,21 @@ const styles = {
     fontSize: '13px'
   },
 
+  warningBox: {
+    backgroundColor: 'rgba(245, 158, 11, 0.15)',
+    border: '1px solid rgba(245, 158, 11, 0.3)',
+    borderRadius: '6px',
+    padding: '10px 12px',
+    margin: '12px 16px 0',
+    color: '#fbbf24',
+    fontSize: '13px'
+  },
+
+  duplicateList: {
+    margin: '6px 0',
+    paddingLeft: '18px'
+  },
+
   form: {
     padding: '16px'
   },
@@ -1,5 +1,6 @@
 import { useTheme } from '../../../../shared/theme/useTheme';
 import { SPACING } from '../../utils/spacing';
+import TagInput from '../../../tags/components/TagInput';
 
 /**
  * BasicInfoTab Component
@@ -8,6 +9,7 @@ import { SPACING } from '../../utils/spacing';
  * - Title (required, max 200)
  * - URL (required, http/https format)
  * - Description (optional, max 500)
+ * - Tags (optional, chips)
  * - Current favicon display
  */
 export default function BasicInfoTab({ formData, onChange, currentFavicon }) {
@@ -91,6 +93,17 @@ export default function BasicInfoTab({ formData, onChange, currentFavicon }) {
             )}
           </div>
         </div>
+
+        {/* Tags Field */}
+        <div style={styles.fieldGroup}>
+          <label style={styles.label}>
+            Tags <span style={styles.optional}>(optional)</span>
+          </label>
+          <TagInput
+            value={formData.tags || []}
+            onChange={(tags) => onChange('tags', tags)}
+          />
+        </div>
       </div>
 
       {/* Separator */}
@@ -3,6 +3,7 @@ import { createPortal } from 'react-dom';
 import { useBookmarksStore } from '../../store/bookmarksStore';
 import { useAuthStore } from '../../../auth/store/authStore';
 import { useTheme } from '../../../../shared/theme/useTheme';
+import { useTagsStore } from '../../../tags/store/tagsStore';
 import bookmarksService from '../../services/bookmarksService';
 import TabNavigation from './TabNavigation';
 import BasicInfoTab from './BasicInfoTab';
@@ -15,7 +16,7 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
  * EditBookmarkModal Component (Refactored V2)
  *
  * Modal redesigné avec structure par onglets minimaliste:
- * - Tab 1: Basic Info (title, URL, description)
+ * - Tab 1: Basic Info (title, URL, description, tags)
  * - Tab 2: Favicon Sources (8 API sources + upload)
  * - Tab 3: Icon Designer (custom icon creation)
  *
@@ -34,7 +35,8 @@ export default function EditBookmarkModal({ isOpen, onClose, bookmark, groupId }
     title: '',
     url: '',
     description: '',
-    favicon_url: ''
+    favicon_url: '',
+    tags: []
   });
 
   const [formError, setFormError] = useState('');
@@ -54,7 +56,8 @@ export default function EditBookmarkModal({ isOpen, onClose, bookmark, groupId }
         title: bookmark.title || '',
         url: bookmark.url || '',
         description: bookmark.description || '',
-        favicon_url: bookmark.favicon_url || ''
+        favicon_url: bookmark.favicon_url || '',
+        tags: (bookmark.tags || []).map((tag) => tag.name)
       });
       setActiveTab('basic'); // Reset to basic tab on open
     }
@@ -149,6 +152,10 @@ export default function EditBookmarkModal({ isOpen, onClose, bookmark, groupId }
     if (formData.favicon_url.trim() !== (bookmark.favicon_url || '')) {
       updates.favicon_url = formData.favicon_url.trim() || null;
     }
+    const previousTags = (bookmark.tags || []).map((tag) => tag.name);
+    if (formData.tags.join('\n') !== previousTags.join('\n')) {
+      updates.tags = formData.tags;
+    }
 
     // Si aucun changement, fermer
     if (Object.keys(updates).length === 0) {
@@ -160,6 +167,10 @@ export default function EditBookmarkModal({ isOpen, onClose, bookmark, groupId }
     const result = await updateBookmark(bookmark.id, groupId, updates);
 
     if (result.success) {
+      // Rafraîchir les compteurs de la sidebar si les tags ont changé
+      if (updates.tags) {
+        useTagsStore.getState().fetchTags();
+      }
       setFormError('');
       onClose();
     } else {
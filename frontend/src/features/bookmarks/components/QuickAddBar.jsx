@@ -3,6 +3,8 @@ import { useBookmarksStore } from '../../bookmarks/store/bookmarksStore';
 import { useGroupsStore } from '../../groups/store/groupsStore';
 import { useSectionsStore } from '../../sections/store/sectionsStore';
 import { useTheme } from '../../../shared/theme/useTheme';
+import { useAuthStore } from '../../auth/store/authStore';
+import bookmarksService from '../services/bookmarksService';
 
 /**
  * QuickAddBar Component
@@ -12,21 +14,36 @@ import { useTheme } from '../../../shared/theme/useTheme';
  * - Drag & drop from browser
  *
  * Adds bookmark to the "📥 Inbox" group (auto-created if needed)
+ * Warns when the URL is already saved: submitting the same URL again adds it anyway
  */
 export default function QuickAddBar({ pageId }) {
     const [url, setUrl] = useState('');
     const [isDragOver, setIsDragOver] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
     const [message, setMessage] = useState(null);
+    const [confirmedUrl, setConfirmedUrl] = useState(null);
 
     const { createBookmark } = useBookmarksStore();
     const { findInboxGroup, findOrCreateInboxGroup } = useGroupsStore();
     const { getSectionsForPage } = useSectionsStore();
     const { theme } = useTheme();
 
-    const showMessage = (text, isError = false) => {
+    const showMessage = (text, isError = false, duration = 3000) => {
         setMessage({ text, isError });
-        setTimeout(() => setMessage(null), 3000);
+        setTimeout(() => setMessage(null), duration);
+    };
+
+    /**
+     * Existing bookmarks with the same URL (network error → no warning)
+     */
+    const findDuplicates = async (targetUrl) => {
+        try {
+            const token = useAuthStore.getState().getToken();
+            const response = await bookmarksService.checkDuplicate(targetUrl, token);
+            return response.data.data;
+        } catch {
+            return [];
+        }
     };
 
     const addBookmark = async (inputUrl) => {
@@ -50,6 +67,18 @@ export default function QuickAddBar({ pageId }) {
 
         setIsLoading(true);
         try {
+            // Already saved somewhere: warn once, keep the URL in the input
+            if (confirmedUrl !== trimmedUrl) {
+                const duplicates = await findDuplicates(trimmedUrl);
+                if (duplicates.length > 0) {
+                    const [first] = duplicates;
+                    setUrl(trimmedUrl);
+                    setConfirmedUrl(trimmedUrl);
+                    showMessage(`Already in "${first.page_name} › ${first.group_name}" — press Enter to add anyway`, true, 6000);
+                    return;
+                }
+            }
+
             // Find or create Inbox group in first section
             const firstSectionId = sections[0].id;
             let inboxGroup = findInboxGroup();
@@ -69,6 +98,7 @@ export default function QuickAddBar({ pageId }) {
             });
 
             setUrl('');
+            setConfirmedUrl(null);
             showMessage(`Added to "${inboxGroup.name}"`);
         } catch (error) {
             showMessage(error.message || 'Failed to add', true);
@@ -140,16 +140,17 @@ const bookmarksService = {
   },
 
   /**
-   * Tracker un clic sur un bookmark (incrémenter visit_count)
+   * Tracker un clic sur un bookmark (événement analytics + visit_count)
    * POST /api/bookmarks/:id/click
    * @param {string} id - UUID du bookmark
    * @param {string} token - JWT token
+   * @param {string} source - Origine du clic: view | edit | search | keyboard
    * @returns {Promise} Response avec { success, message, data: bookmark }
    */
-  async trackClick(id, token) {
+  async trackClick(id, token, source = 'view') {
     const response = await axios.post(
       `${API_URL}/api/bookmarks/${id}/click`,
-      {},
+      { source },
       {
         headers: {
           Authorization: `Bearer ${token}`
@@ -233,6 +234,82 @@ const bookmarksService = {
     return response;
   },
 
+  /**
+   * Regrouper les bookmarks identiques (URL normalisée) de toutes les pages
+   * GET /api/bookmarks/duplicates
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { clusters: [{ key, bookmarks }], total } }
+   */
+  async getDuplicates(token) {
+    const response = await axios.get(`${API_URL}/api/bookmarks/duplicates`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Bookmarks existants ayant la même URL (avertissement avant création)
+   * GET /api/bookmarks/duplicates/check?url=X
+   * @param {string} url - URL à vérifier
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: [bookmarks avec page_name, section_name, group_name] }
+   */
+  async checkDuplicate(url, token) {
+    const response = await axios.get(`${API_URL}/api/bookmarks/duplicates/check`, {
+      params: { url },
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Fusionner des doublons dans un bookmark conservé
+   * POST /api/bookmarks/duplicates/merge
+   * @param {string} keepId - UUID du bookmark conservé
+   * @param {Array<string>} bookmarkIds - UUIDs des doublons
+   * @param {string} mode - 'delete' (supprimer les copies) | 'link' (les lier au bookmark conservé)
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, message, data: { bookmark, merged, mode } }
+   */
+  async mergeDuplicates(keepId, bookmarkIds, mode, token) {
+    const response = await axios.post(
+      `${API_URL}/api/bookmarks/duplicates/merge`,
+      { keepId, bookmarkIds, mode },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    return response;
+  },
+
+  /**
+   * Appliquer une opération à plusieurs bookmarks (une seule transaction)
+   * POST /api/bookmarks/bulk
+   * @param {string} action - 'move' | 'delete' | 'tag' | 'refresh-favicons' | 'set-column'
+   * @param {Array<string>} bookmarkIds - UUIDs des bookmarks sélectionnés
+   * @param {object} options - { groupId?, column?, tags?, tagMode? ('add' | 'remove' | 'replace') }
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, message, data: { action, count, bookmarks, deleted } }
+   */
+  async bulk(action, bookmarkIds, options, token) {
+    const response = await axios.post(
+      `${API_URL}/api/bookmarks/bulk`,
+      { action, bookmarkIds, ...options },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    return response;
+  },
+
   /**
    * Upload a custom favicon image
    * POST /api/upload/favicon
@@ -0,0 +1,86 @@
+import { create } from 'zustand';
+
+/**
+ * Bookmark Selection Store (Zustand)
+ * Sélection multiple de bookmarks en mode Edit (opérations groupées)
+ *
+ * State:
+ * - selectedIds: UUIDs sélectionnés (ordre de sélection, tous groups confondus)
+ * - anchor: { id, groupId } - Dernier bookmark cliqué (point de départ du shift+clic)
+ *
+ * Actions:
+ * - toggle: Ctrl/Cmd+clic - ajouter/retirer un bookmark
+ * - selectRange: Shift+clic - plage depuis l'ancre (dans le même group)
+ * - selectMany: Lasso - remplacer la sélection (ou l'étendre)
+ * - clear: Vider la sélection (Escape, après une opération, changement de page)
+ */
+export const useBookmarkSelectionStore = create((set, get) => ({
+  // ============================================
+  // STATE
+  // ============================================
+  selectedIds: [],
+  anchor: null,
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  /**
+   * Ajouter ou retirer un bookmark de la sélection
+   * @param {string} bookmarkId - UUID du bookmark
+   * @param {string} groupId - UUID de son group
+   */
+  toggle: (bookmarkId, groupId) => {
+    set((state) => ({
+      selectedIds: state.selectedIds.includes(bookmarkId)
+        ? state.selectedIds.filter((id) => id !== bookmarkId)
+        : [...state.selectedIds, bookmarkId],
+      anchor: { id: bookmarkId, groupId }
+    }));
+  },
+
+  /**
+   * Sélectionner la plage entre l'ancre et un bookmark
+   * Sans ancre dans ce group: équivaut à un toggle
+   * @param {string} groupId - UUID du group
+   * @param {Array<string>} orderedIds - UUIDs du group dans l'ordre d'affichage
+   * @param {string} bookmarkId - UUID du bookmark cliqué
+   */
+  selectRange: (groupId, orderedIds, bookmarkId) => {
+    const { anchor, toggle } = get();
+    const from = anchor?.groupId === groupId ? orderedIds.indexOf(anchor.id) : -1;
+    const to = orderedIds.indexOf(bookmarkId);
+
+    if (from === -1 || to === -1) {
+      toggle(bookmarkId, groupId);
+      return;
+    }
+
+    const range = orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+    set((state) => ({
+      selectedIds: [...state.selectedIds, ...range.filter((id) => !state.selectedIds.includes(id))]
+    }));
+  },
+
+  /**
+   * Sélectionner plusieurs bookmarks (lasso)
+   * @param {Array<string>} bookmarkIds - UUIDs à sélectionner
+   * @param {boolean} additive - True: ajouter à la sélection existante
+   */
+  selectMany: (bookmarkIds, additive = false) => {
+    set((state) => ({
+      selectedIds: additive
+        ? [...state.selectedIds, ...bookmarkIds.filter((id) => !state.selectedIds.includes(id))]
+        : bookmarkIds,
+      anchor: null
+    }));
+  },
+
+  /**
+   * Vider la sélection
+   */
+  clear: () => {
+    if (get().selectedIds.length === 0 && !get().anchor) return;
+    set({ selectedIds: [], anchor: null });
+  }
+}));
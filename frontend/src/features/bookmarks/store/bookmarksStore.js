@@ -1,6 +1,60 @@
 import { create } from 'zustand';
 import bookmarksService from '../services/bookmarksService';
 import { useAuthStore } from '../../auth/store/authStore';
+import { useTagsStore } from '../../tags/store/tagsStore';
+import trashService from '../../trash/services/trashService';
+import { useHistoryStore, ensureSuccess } from '../../../shared/store/historyStore';
+
+/**
+ * IDs des bookmarks d'une colonne, dans l'ordre d'affichage
+ * @param {Array} bookmarks - Bookmarks d'un group
+ * @param {number} column - Numéro de la colonne (1-based)
+ * @returns {Array<string>}
+ */
+const columnIds = (bookmarks, column) => bookmarks
+  .filter((b) => b.column === column)
+  .sort((a, b) => a.position - b.position)
+  .map((b) => b.id);
+
+/**
+ * Valeurs précédentes des champs modifiés (pour l'undo d'un update)
+ * @param {object} bookmark - Bookmark avant modification
+ * @param {object} updates - Champs modifiés
+ * @returns {object} Updates inverses
+ */
+const inverseUpdates = (bookmark, updates) => Object.keys(updates).reduce((acc, key) => {
+  acc[key] = key === 'tags'
+    ? (bookmark.tags || []).map((tag) => tag.name)
+    : bookmark[key] ?? null;
+  return acc;
+}, {});
+
+/**
+ * Trier les bookmarks d'un group par colonne puis position
+ * @param {Array} bookmarks - Bookmarks d'un group
+ * @returns {Array}
+ */
+const sortByColumn = (bookmarks) => [...bookmarks].sort((a, b) => {
+  if (a.column !== b.column) return a.column - b.column;
+  return a.position - b.position;
+});
+
+/**
+ * Libellé d'historique d'une opération groupée ("Move 12 bookmarks")
+ * @param {string} action - Opération groupée
+ * @param {number} count - Nombre de bookmarks
+ * @returns {string}
+ */
+const bulkLabel = (action, count) => {
+  const noun = `${count} bookmark${count !== 1 ? 's' : ''}`;
+  return {
+    move: `Move ${noun}`,
+    'set-column': `Move ${noun}`,
+    delete: `Deleted ${noun}`,
+    tag: `Tag ${noun}`,
+    'refresh-favicons': `Refresh icons of ${noun}`
+  }[action];
+};
 
 /**
  * Bookmarks Store (Zustand)
@@ -19,9 +73,14 @@ import { useAuthStore } from '../../auth/store/authStore';
  * - updateBookmark: Mettre à jour un bookmark
  * - deleteBookmark: Supprimer un bookmark
  * - reorderBookmarks: Réorganiser l'ordre des bookmarks
- * - trackClick: Incrémenter le compteur de visites
+ * - bulkAction: Opération groupée sur une sélection (move, delete, tag, refresh-favicons, set-column)
+ * - trackClick: Enregistrer un clic (analytics + compteur de visites)
  * - fetchTopUsed: Récupérer les bookmarks les plus utilisés
  * - fetchStats: Récupérer les statistiques d'un group
+ * - applyRemoteEvent: Appliquer une modification reçue en temps réel
+ *
+ * Les updates, déplacements, réorganisations et suppressions sont enregistrés
+ * dans l'historique (useHistoryStore) avec leur inverse pour undo/redo.
  */
 export const useBookmarksStore = create((set, get) => ({
   // ============================================
@@ -72,7 +131,7 @@ export const useBookmarksStore = create((set, get) => ({
   /**
    * Créer un nouveau bookmark
    * @param {string} groupId - UUID du group parent
-   * @param {object} bookmarkData - { title, url, description?, favicon_url? }
+   * @param {object} bookmarkData - { title, url, description?, favicon_url?, tags? }
    */
   createBookmark: async (groupId, bookmarkData) => {
     set({ loading: true, error: null });
@@ -109,15 +168,27 @@ export const useBookmarksStore = create((set, get) => ({
    * Mettre à jour un bookmark existant
    * @param {string} id - UUID du bookmark
    * @param {string} groupId - UUID du group (pour mise à jour du state)
-   * @param {object} updates - { title?, url?, description?, favicon_url? }
+   * @param {object} updates - { title?, url?, description?, favicon_url?, tags? }
    */
   updateBookmark: async (id, groupId, updates) => {
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const previous = (get().bookmarksByGroup[groupId] || []).find((b) => b.id === id);
       const response = await bookmarksService.update(id, updates, token);
       const updatedBookmark = response.data.data;
 
+      if (previous) {
+        const undoUpdates = inverseUpdates(previous, updates);
+        useHistoryStore.getState().record({
+          label: updates.column !== undefined && Object.keys(updates).length === 1
+            ? 'Move bookmark'
+            : `Edit "${previous.title}"`,
+          undo: async () => ensureSuccess(await get().updateBookmark(id, groupId, undoUpdates)),
+          redo: async () => ensureSuccess(await get().updateBookmark(id, groupId, updates))
+        });
+      }
+
       // Mettre à jour dans le state
       set((state) => {
         const currentBookmarks = state.bookmarksByGroup[groupId] || [];
@@ -156,11 +227,30 @@ export const useBookmarksStore = create((set, get) => ({
   moveBookmark: async (bookmarkId, sourceGroupId, targetGroupId, targetColumn = 1) => {
     try {
       const token = useAuthStore.getState().getToken();
+      const sourceBookmarks = get().bookmarksByGroup[sourceGroupId] || [];
+      const previous = sourceBookmarks.find((b) => b.id === bookmarkId);
 
       // Appeler le backend pour update le group_id et la colonne
       const response = await bookmarksService.update(bookmarkId, { group_id: targetGroupId, column: targetColumn }, token);
       const movedBookmark = response.data.data;
 
+      // Undo: retour dans le group source, à la même place dans sa colonne
+      if (previous) {
+        const previousOrder = columnIds(sourceBookmarks, previous.column);
+        useHistoryStore.getState().record({
+          label: `Move "${previous.title}"`,
+          undo: async () => {
+            ensureSuccess(await get().moveBookmark(bookmarkId, targetGroupId, sourceGroupId, previous.column));
+            const present = columnIds(get().bookmarksByGroup[sourceGroupId] || [], previous.column);
+            const order = previousOrder.filter((id) => present.includes(id));
+            if (order.length > 0) {
+              ensureSuccess(await get().reorderColumn(sourceGroupId, previous.column, order));
+            }
+          },
+          redo: async () => ensureSuccess(await get().moveBookmark(bookmarkId, sourceGroupId, targetGroupId, targetColumn))
+        });
+      }
+
       // Mettre à jour le state local
       set((state) => {
         const sourceBookmarks = state.bookmarksByGroup[sourceGroupId] || [];
@@ -198,8 +288,28 @@ export const useBookmarksStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const deletedBookmark = (get().bookmarksByGroup[groupId] || []).find((b) => b.id === id);
       await bookmarksService.delete(id, token);
 
+      // Les compteurs de tags de la sidebar changent
+      if (deletedBookmark?.tags?.length > 0) {
+        useTagsStore.getState().fetchTags();
+      }
+
+      // Undo: restauration depuis la corbeille (même UUID)
+      useHistoryStore.getState().record({
+        label: `Deleted "${deletedBookmark?.title || 'bookmark'}"`,
+        destructive: true,
+        undo: async () => {
+          const response = await trashService.restoreItem('bookmark', id, useAuthStore.getState().getToken());
+          ensureSuccess(await get().fetchBookmarks(response.data.data.parent_id));
+          if (deletedBookmark?.tags?.length > 0) {
+            useTagsStore.getState().fetchTags();
+          }
+        },
+        redo: async () => ensureSuccess(await get().deleteBookmark(id, groupId))
+      });
+
       // Retirer du state
       set((state) => {
         const currentBookmarks = state.bookmarksByGroup[groupId] || [];
@@ -235,9 +345,16 @@ export const useBookmarksStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const previousOrder = (get().bookmarksByGroup[groupId] || []).map((b) => b.id);
       const response = await bookmarksService.reorder(groupId, bookmarkIds, token);
       const reorderedBookmarks = response.data.data;
 
+      useHistoryStore.getState().record({
+        label: 'Reorder bookmarks',
+        undo: async () => ensureSuccess(await get().reorderBookmarks(groupId, previousOrder)),
+        redo: async () => ensureSuccess(await get().reorderBookmarks(groupId, bookmarkIds))
+      });
+
       set((state) => ({
         bookmarksByGroup: {
           ...state.bookmarksByGroup,
@@ -268,9 +385,18 @@ export const useBookmarksStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const previousOrder = columnIds(get().bookmarksByGroup[groupId] || [], columnNumber);
       const response = await bookmarksService.reorderColumn(groupId, columnNumber, bookmarkIds, token);
       const reorderedColumnBookmarks = response.data.data;
 
+      // Bookmark arrivé d'une autre colonne: absent de l'ordre précédent, remis à la fin
+      const undoOrder = [...previousOrder, ...bookmarkIds.filter((id) => !previousOrder.includes(id))];
+      useHistoryStore.getState().record({
+        label: 'Reorder bookmarks',
+        undo: async () => ensureSuccess(await get().reorderColumn(groupId, columnNumber, undoOrder)),
+        redo: async () => ensureSuccess(await get().reorderColumn(groupId, columnNumber, bookmarkIds))
+      });
+
       // Mettre à jour seulement les bookmarks de cette colonne dans le state
       set((state) => {
         const currentBookmarks = state.bookmarksByGroup[groupId] || [];
@@ -302,19 +428,121 @@ export const useBookmarksStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Appliquer une opération à plusieurs bookmarks (sélection multiple)
+   * @param {string} action - 'move' | 'delete' | 'tag' | 'refresh-favicons' | 'set-column'
+   * @param {Array<string>} bookmarkIds - UUIDs des bookmarks sélectionnés
+   * @param {object} options - { groupId?, column?, tags?, tagMode? }
+   */
+  bulkAction: async (action, bookmarkIds, options = {}) => {
+    try {
+      const token = useAuthStore.getState().getToken();
+      const snapshot = get().bookmarksByGroup;
+      const previous = Object.values(snapshot).flat().filter((b) => bookmarkIds.includes(b.id));
+      const response = await bookmarksService.bulk(action, bookmarkIds, options, token);
+      const { bookmarks: updatedBookmarks, deleted } = response.data.data;
+
+      // Retirer les bookmarks de leur group, puis replacer les versions à jour
+      set((state) => {
+        const touchedIds = [...deleted, ...updatedBookmarks.map((b) => b.id)];
+        const bookmarksByGroup = {};
+        Object.entries(state.bookmarksByGroup).forEach(([groupId, bookmarks]) => {
+          bookmarksByGroup[groupId] = bookmarks.filter((b) => !touchedIds.includes(b.id));
+        });
+        updatedBookmarks.forEach((bookmark) => {
+          if (bookmarksByGroup[bookmark.group_id]) {
+            bookmarksByGroup[bookmark.group_id].push(bookmark);
+          }
+        });
+        Object.keys(bookmarksByGroup).forEach((groupId) => {
+          bookmarksByGroup[groupId] = sortByColumn(bookmarksByGroup[groupId]);
+        });
+
+        return { bookmarksByGroup };
+      });
+
+      // Les compteurs de tags de la sidebar changent
+      const hadTags = previous.some((b) => b.tags?.length > 0);
+      if (action === 'tag' || (action === 'delete' && hadTags)) {
+        useTagsStore.getState().fetchTags();
+      }
+
+      useHistoryStore.getState().record({
+        label: bulkLabel(action, bookmarkIds.length),
+        destructive: action === 'delete',
+        undo: async () => {
+          if (action === 'delete') {
+            // Restauration depuis la corbeille (mêmes UUIDs)
+            const trash = await trashService.getTrash(useAuthStore.getState().getToken());
+            const entries = trash.data.data.items.filter(
+              (item) => item.item_type === 'bookmark' && bookmarkIds.includes(item.item_id)
+            );
+            for (const entry of entries) {
+              await trashService.restore(entry.id, useAuthStore.getState().getToken());
+            }
+            for (const groupId of new Set(previous.map((b) => b.group_id))) {
+              ensureSuccess(await get().fetchBookmarks(groupId));
+            }
+            if (hadTags) {
+              useTagsStore.getState().fetchTags();
+            }
+          } else if (action === 'move' || action === 'set-column') {
+            // Retour dans chaque colonne d'origine, à la même place
+            const origins = {};
+            previous.forEach((b) => {
+              const key = `${b.group_id}:${b.column}`;
+              origins[key] = origins[key] || { groupId: b.group_id, column: b.column, ids: [] };
+              origins[key].ids.push(b.id);
+            });
+            for (const { groupId, column, ids } of Object.values(origins)) {
+              ensureSuccess(await get().bulkAction('move', ids, { groupId, column }));
+              const previousOrder = columnIds(snapshot[groupId] || [], column);
+              const present = columnIds(get().bookmarksByGroup[groupId] || [], column);
+              const order = [
+                ...previousOrder.filter((id) => present.includes(id)),
+                ...present.filter((id) => !previousOrder.includes(id))
+              ];
+              ensureSuccess(await get().reorderColumn(groupId, column, order));
+            }
+          } else {
+            // tag / refresh-favicons: valeurs précédentes bookmark par bookmark
+            const field = action === 'tag' ? 'tags' : 'favicon_url';
+            for (const bookmark of previous) {
+              ensureSuccess(await get().updateBookmark(
+                bookmark.id,
+                bookmark.group_id,
+                inverseUpdates(bookmark, { [field]: null })
+              ));
+            }
+            if (action === 'tag') {
+              useTagsStore.getState().fetchTags();
+            }
+          }
+        },
+        redo: async () => ensureSuccess(await get().bulkAction(action, bookmarkIds, options))
+      });
+
+      return { success: true, count: bookmarkIds.length, bookmarks: updatedBookmarks };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      return { success: false, error: errorMessage };
+    }
+  },
+
   // ============================================
   // ACTIONS - CLICK TRACKING
   // ============================================
 
   /**
-   * Tracker un clic sur un bookmark (incrémenter visit_count)
+   * Tracker un clic sur un bookmark (événement analytics + visit_count)
    * @param {string} id - UUID du bookmark
    * @param {string} groupId - UUID du group (pour mise à jour du state)
+   * @param {string} source - Origine du clic: view | edit | search | keyboard
    */
-  trackClick: async (id, groupId) => {
+  trackClick: async (id, groupId, source = 'view') => {
     try {
       const token = useAuthStore.getState().getToken();
-      const response = await bookmarksService.trackClick(id, token);
+      const response = await bookmarksService.trackClick(id, token, source);
       const updatedBookmark = response.data.data;
 
       // Mettre à jour dans le state (optimistic update)
@@ -396,6 +624,60 @@ export const useBookmarksStore = create((set, get) => ({
     }
   },
 
+  // ============================================
+  // ACTIONS - SYNC
+  // ============================================
+
+  /**
+   * Appliquer une modification reçue en temps réel (autre onglet, coéquipier)
+   * Seuls les groups déjà chargés sont mis à jour
+   * @param {object} event - { entity, action, id, parentIds, data }
+   */
+  applyRemoteEvent: async (event) => {
+    const { bookmarksByGroup, fetchBookmarks } = get();
+
+    // Import dans un group: recharger ses bookmarks
+    if (event.entity === 'group' && event.action === 'import') {
+      if (bookmarksByGroup[event.id]) {
+        await fetchBookmarks(event.id);
+      }
+      return;
+    }
+    if (event.entity !== 'bookmark') return;
+
+    if (event.data && ['create', 'update', 'move'].includes(event.action)) {
+      set((state) => {
+        const next = {};
+        Object.entries(state.bookmarksByGroup).forEach(([groupId, bookmarks]) => {
+          next[groupId] = bookmarks.filter((b) => b.id !== event.id);
+        });
+
+        const groupId = event.data.group_id;
+        if (next[groupId]) {
+          next[groupId] = sortByColumn([...next[groupId], event.data]);
+        }
+        return { bookmarksByGroup: next };
+      });
+      return;
+    }
+
+    if (event.action === 'delete') {
+      const groupId = event.parentIds[0];
+      set((state) => (state.bookmarksByGroup[groupId] ? {
+        bookmarksByGroup: {
+          ...state.bookmarksByGroup,
+          [groupId]: state.bookmarksByGroup[groupId].filter((b) => b.id !== event.id)
+        }
+      } : {}));
+      return;
+    }
+
+    // reorder, bulk, restore: recharger les groups concernés
+    await Promise.all(
+      event.parentIds.filter((groupId) => bookmarksByGroup[groupId]).map((groupId) => fetchBookmarks(groupId))
+    );
+  },
+
   // ============================================
   // ACTIONS - UI
   // ============================================
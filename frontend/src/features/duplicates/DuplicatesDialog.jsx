@@ -0,0 +1,328 @@
+import { useEffect, useState } from 'react';
+import { useAuthStore } from '../auth/store/authStore';
+import { useBookmarksStore } from '../bookmarks/store/bookmarksStore';
+import bookmarksService from '../bookmarks/services/bookmarksService';
+
+/**
+ * DuplicatesDialog Component
+ *
+ * Workspace-wide duplicate finder
+ * - Bookmarks grouped by normalized URL (scheme, www., trailing slash, utm_* ignored)
+ * - Pick the bookmark to keep (most visited pre-selected)
+ * - Merge: visits summed, tags combined, copies moved to the trash
+ * - Link: copies stay where they are, their clicks count on the kept bookmark
+ */
+export default function DuplicatesDialog({ isOpen, onClose }) {
+  const { getToken } = useAuthStore();
+  const [clusters, setClusters] = useState([]);
+  const [keepByCluster, setKeepByCluster] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [mergingKey, setMergingKey] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  /**
+   * Load duplicate clusters
+   */
+  const loadClusters = async () => {
+    try {
+      const response = await bookmarksService.getDuplicates(getToken());
+      setClusters(response.data.data.clusters);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load duplicates');
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    setLoading(true);
+    loadClusters().finally(() => setLoading(false));
+    return undefined;
+  }, [isOpen]);
+
+  /**
+   * Merge one cluster into the selected bookmark, then refresh affected groups
+   */
+  const handleMerge = async (cluster, mode) => {
+    const keepId = keepByCluster[cluster.key] || cluster.bookmarks[0].id;
+    const bookmarkIds = cluster.bookmarks.map((b) => b.id).filter((id) => id !== keepId);
+
+    setMergingKey(cluster.key);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await bookmarksService.mergeDuplicates(keepId, bookmarkIds, mode, getToken());
+      setMessage(response.data.message);
+
+      // Reload groups currently displayed so cards reflect the merge
+      const { bookmarksByGroup, fetchBookmarks } = useBookmarksStore.getState();
+      const groupIds = new Set(cluster.bookmarks.map((b) => b.group_id));
+      await Promise.all([...groupIds].filter((id) => bookmarksByGroup[id]).map((id) => fetchBookmarks(id)));
+
+      await loadClusters();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to merge duplicates');
+    } finally {
+      setMergingKey(null);
+    }
+  };
+
+  /**
+   * Close dialog and reset state
+   */
+  const handleClose = () => {
+    setMessage('');
+    setError('');
+    setKeepByCluster({});
+    onClose();
+  };
+
+  // Don't render if not open
+  if (!isOpen) return null;
+
+  return (
+    <div style={styles.overlay} onClick={handleClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <h2 style={styles.title}>🧬 Duplicate Bookmarks</h2>
+
+        <p style={styles.description}>
+          Same link saved in several places. Choose the bookmark to keep, then merge the copies
+          (visits are added up and tags combined) or link them to it.
+        </p>
+
+        <div style={styles.list}>
+          {loading && clusters.length === 0 ? (
+            <div style={styles.empty}>Loading...</div>
+          ) : clusters.length === 0 ? (
+            <div style={styles.empty}>No duplicates found. 🎉</div>
+          ) : clusters.map((cluster) => {
+            const keepId = keepByCluster[cluster.key] || cluster.bookmarks[0].id;
+            const merging = mergingKey === cluster.key;
+
+            return (
+              <div key={cluster.key} style={styles.cluster}>
+                <div style={styles.clusterHeader}>
+                  <span style={styles.clusterKey} title={cluster.key}>{cluster.key}</span>
+                  <span style={styles.clusterCount}>{cluster.bookmarks.length} copies</span>
+                </div>
+
+                {cluster.bookmarks.map((bookmark) => (
+                  <label key={bookmark.id} style={styles.row}>
+                    <input
+                      type="radio"
+                      name={`keep-${cluster.key}`}
+                      checked={keepId === bookmark.id}
+                      onChange={() => setKeepByCluster((prev) => ({ ...prev, [cluster.key]: bookmark.id }))}
+                    />
+                    <div style={styles.rowMain}>
+                      <div style={styles.rowTitle}>{bookmark.title}</div>
+                      <div style={styles.rowMeta}>
+                        {bookmark.page_name} / {bookmark.section_name} / {bookmark.group_name}
+                        {` — ${bookmark.visit_count} visit${bookmark.visit_count !== 1 ? 's' : ''}`}
+                      </div>
+                    </div>
+                    {keepId === bookmark.id && <span style={styles.keepBadge}>Keep</span>}
+                  </label>
+                ))}
+
+                <div style={styles.clusterActions}>
+                  <button
+                    onClick={() => handleMerge(cluster, 'link')}
+                    disabled={merging}
+                    style={{ ...styles.secondaryButton, ...(merging && styles.buttonDisabled) }}
+                    title="Keep copies in place, count their clicks on the kept bookmark"
+                  >
+                    Link copies
+                  </button>
+                  <button
+                    onClick={() => handleMerge(cluster, 'delete')}
+                    disabled={merging}
+                    style={{ ...styles.primaryButton, ...(merging && styles.buttonDisabled) }}
+                    title="Move copies to the trash, keep only the selected bookmark"
+                  >
+                    {merging ? 'Merging...' : 'Merge'}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {message && <div style={styles.message}>{message}</div>}
+        {error && <div style={styles.error}>⚠️ {error}</div>}
+
+        <div style={styles.buttons}>
+          <button onClick={handleClose} style={styles.cancelButton}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '32px',
+    maxWidth: '640px',
+    width: '90%',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  description: {
+    margin: '0 0 20px 0',
+    color: '#666',
+    fontSize: '14px'
+  },
+  list: {
+    maxHeight: '55vh',
+    overflowY: 'auto',
+    marginBottom: '16px'
+  },
+  cluster: {
+    border: '1px solid #e0e0e0',
+    borderRadius: '10px',
+    padding: '12px 16px',
+    marginBottom: '12px'
+  },
+  clusterHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '12px',
+    marginBottom: '8px'
+  },
+  clusterKey: {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#007bff',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  clusterCount: {
+    fontSize: '12px',
+    color: '#999',
+    flexShrink: 0
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '6px 0',
+    cursor: 'pointer'
+  },
+  rowMain: {
+    flex: 1,
+    minWidth: 0
+  },
+  rowTitle: {
+    fontWeight: '500',
+    color: '#333',
+    fontSize: '14px'
+  },
+  rowMeta: {
+    color: '#999',
+    fontSize: '12px'
+  },
+  keepBadge: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    backgroundColor: '#e8f5e9',
+    color: '#2e7d32',
+    fontSize: '11px',
+    fontWeight: '600'
+  },
+  clusterActions: {
+    display: 'flex',
+    gap: '8px',
+    justifyContent: 'flex-end',
+    marginTop: '8px'
+  },
+  empty: {
+    padding: '24px',
+    textAlign: 'center',
+    color: '#999',
+    fontSize: '14px'
+  },
+  message: {
+    padding: '10px 12px',
+    backgroundColor: '#e8f5e9',
+    borderRadius: '8px',
+    color: '#2e7d32',
+    marginBottom: '12px',
+    fontSize: '13px'
+  },
+  error: {
+    padding: '12px',
+    backgroundColor: '#fee',
+    border: '1px solid #fcc',
+    borderRadius: '8px',
+    color: '#c00',
+    marginBottom: '12px',
+    fontSize: '14px'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  secondaryButton: {
+    padding: '6px 14px',
+    border: '1px solid #007bff',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#007bff',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '500'
+  },
+  primaryButton: {
+    padding: '6px 16px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#007bff',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '500'
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  }
+};
@@ -0,0 +1,274 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { useAuthStore } from '../auth/store/authStore';
+
+/**
+ * Export formats offered in the dialog
+ */
+const FORMATS = [
+  {
+    value: 'json',
+    label: 'PinGrid backup (.json)',
+    hint: 'Lossless: pages, sections, groups, layout, favicons, visit counts and tags.'
+  },
+  {
+    value: 'html',
+    label: 'Browser bookmarks (.html)',
+    hint: 'Netscape format for Chrome, Firefox or Safari. Folders follow Page > Section > Group.'
+  }
+];
+
+/**
+ * ExportDialog Component
+ *
+ * Dialog for exporting all bookmarks
+ * - Format selection (JSON backup or Netscape HTML)
+ * - Downloads the file returned by GET /api/export
+ */
+export default function ExportDialog({ isOpen, onClose }) {
+  const { getToken } = useAuthStore();
+  const [format, setFormat] = useState('json');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Download the export file
+   */
+  const handleExport = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      // Get auth token from Zustand store
+      const token = getToken();
+      if (!token) {
+        throw new Error('Not authenticated. Please log in.');
+      }
+
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL}/api/export`,
+        {
+          params: { format },
+          responseType: 'blob',
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      // Trigger browser download
+      const date = new Date().toISOString().slice(0, 10);
+      const filename = format === 'html'
+        ? `pingrid-bookmarks-${date}.html`
+        : `pingrid-export-${date}.json`;
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      handleClose();
+    } catch (err) {
+      console.error('Export error:', err);
+
+      // Error body is a Blob because of responseType: 'blob'
+      let errorMessage = err.message || 'Export failed. Please try again.';
+      if (err.response?.data instanceof Blob) {
+        try {
+          const body = JSON.parse(await err.response.data.text());
+          errorMessage = body.message || errorMessage;
+        } catch {
+          // Keep generic message
+        }
+      }
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Close dialog and reset state
+   */
+  const handleClose = () => {
+    setError('');
+    setFormat('json');
+    onClose();
+  };
+
+  // Don't render if not open
+  if (!isOpen) return null;
+
+  return (
+    <div style={styles.overlay} onClick={handleClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <h2 style={styles.title}>📤 Export Bookmarks</h2>
+
+        <p style={styles.description}>
+          Download all your pages and bookmarks.
+        </p>
+
+        <div style={styles.options}>
+          {FORMATS.map((option) => (
+            <label
+              key={option.value}
+              style={{
+                ...styles.option,
+                ...(format === option.value ? styles.optionSelected : {})
+              }}
+            >
+              <input
+                type="radio"
+                name="export-format"
+                value={option.value}
+                checked={format === option.value}
+                onChange={() => setFormat(option.value)}
+                disabled={loading}
+              />
+              <div>
+                <div style={styles.optionLabel}>{option.label}</div>
+                <div style={styles.optionHint}>{option.hint}</div>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {error && (
+          <div style={styles.error}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        <div style={styles.buttons}>
+          <button
+            onClick={handleClose}
+            disabled={loading}
+            style={styles.cancelButton}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={loading}
+            style={{
+              ...styles.exportButton,
+              ...(loading && styles.exportButtonDisabled)
+            }}
+          >
+            {loading ? 'Exporting...' : 'Download'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '32px',
+    maxWidth: '500px',
+    width: '90%',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
+  },
+  title: {
+    margin: '0 0 16px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  description: {
+    margin: '0 0 24px 0',
+    color: '#666',
+    lineHeight: '1.5'
+  },
+  options: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+    marginBottom: '24px'
+  },
+  option: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '12px',
+    padding: '12px',
+    border: '1px solid #ddd',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  optionSelected: {
+    borderColor: '#007bff',
+    backgroundColor: '#f0f7ff'
+  },
+  optionLabel: {
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: '4px'
+  },
+  optionHint: {
+    fontSize: '13px',
+    color: '#888',
+    lineHeight: '1.4'
+  },
+  error: {
+    padding: '12px',
+    backgroundColor: '#fee',
+    border: '1px solid #fcc',
+    borderRadius: '8px',
+    color: '#c00',
+    marginBottom: '16px',
+    fontSize: '14px'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500',
+    transition: 'all 0.2s'
+  },
+  exportButton: {
+    padding: '10px 24px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#007bff',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500',
+    transition: 'all 0.2s'
+  },
+  exportButtonDisabled: {
+    backgroundColor: '#ccc',
+    cursor: 'not-allowed'
+  }
+};
@@ -1,6 +1,21 @@
 import { useState } from 'react';
 import { createPortal } from 'react-dom';
 import { useGroupsStore } from '../store/groupsStore';
+import { isDynamicType, getRule, buildRuleParams } from '../utils/dynamicRules';
+import DynamicRuleFields from './DynamicRuleFields';
+
+const INITIAL_FORM = {
+  name: '',
+  group_type: 'manual',
+  column_count: 3,
+  bookmark_limit: '',
+  width: '100%',
+  ranking: 'all-time',
+  days: '',
+  tag: '',
+  domain: '',
+  query: ''
+};
 
 /**
  * CreateGroupModal Component
@@ -8,7 +23,8 @@ import { useGroupsStore } from '../store/groupsStore';
  *
  * Features:
  * - Form: name (required), group_type (manual/dynamic), column_count (1-6), bookmark_limit (si dynamic)
- * - Validation: name requis, bookmark_limit requis si dynamic
+ * - Si dynamic: choix de la règle (top used, recent, tag, domain, saved search...) + paramètre
+ * - Validation: name requis, bookmark_limit et paramètre de la règle requis si dynamic
  * - Submit → createGroup action
  * - Afficher error si échec
  * - Close modal après success
@@ -17,13 +33,7 @@ import { useGroupsStore } from '../store/groupsStore';
 export default function CreateGroupModal({ isOpen, onClose, sectionId }) {
   const { createGroup, loading, error, clearError } = useGroupsStore();
 
-  const [formData, setFormData] = useState({
-    name: '',
-    group_type: 'manual',
-    column_count: 3,
-    bookmark_limit: '',
-    width: '100%'
-  });
+  const [formData, setFormData] = useState(INITIAL_FORM);
 
   const [formError, setFormError] = useState('');
 
@@ -50,11 +60,19 @@ export default function CreateGroupModal({ isOpen, onClose, sectionId }) {
       return;
     }
 
-    if (formData.group_type === 'dynamic-top-used') {
+    const isDynamic = isDynamicType(formData.group_type);
+
+    if (isDynamic) {
       if (!formData.bookmark_limit || formData.bookmark_limit <= 0) {
         setFormError('Bookmark limit is required and must be greater than 0 for dynamic groups');
         return;
       }
+
+      const ruleParam = getRule(formData.group_type).param;
+      if (['tag', 'domain', 'query'].includes(ruleParam) && !formData[ruleParam].trim()) {
+        setFormError(`Rule ${ruleParam === 'query' ? 'search query' : ruleParam} is required`);
+        return;
+      }
     }
 
     // Préparer les données
@@ -65,9 +83,10 @@ export default function CreateGroupModal({ isOpen, onClose, sectionId }) {
       width: formData.width
     };
 
-    // Ajouter bookmark_limit uniquement si dynamic
-    if (formData.group_type === 'dynamic-top-used') {
+    // Ajouter bookmark_limit et rule_params uniquement si dynamic
+    if (isDynamic) {
       groupData.bookmark_limit = parseInt(formData.bookmark_limit);
+      groupData.rule_params = buildRuleParams(formData.group_type, formData);
     }
 
     // Appel API
@@ -75,13 +94,7 @@ export default function CreateGroupModal({ isOpen, onClose, sectionId }) {
 
     if (result.success) {
       // Reset form et close modal
-      setFormData({
-        name: '',
-        group_type: 'manual',
-        column_count: 3,
-        bookmark_limit: '',
-        width: '100%'
-      });
+      setFormData(INITIAL_FORM);
       setFormError('');
       onClose();
     } else {
@@ -90,13 +103,7 @@ export default function CreateGroupModal({ isOpen, onClose, sectionId }) {
   };
 
   const handleClose = () => {
-    setFormData({
-      name: '',
-      group_type: 'manual',
-      column_count: 3,
-      bookmark_limit: '',
-      width: '100%'
-    });
+    setFormData(INITIAL_FORM);
     setFormError('');
     clearError();
     onClose();
@@ -169,24 +176,35 @@ export default function CreateGroupModal({ isOpen, onClose, sectionId }) {
                 <input
                   type="radio"
                   name="group_type"
-                  value="dynamic-top-used"
-                  checked={formData.group_type === 'dynamic-top-used'}
-                  onChange={(e) => handleChange('group_type', e.target.value)}
+                  value="dynamic"
+                  checked={isDynamicType(formData.group_type)}
+                  onChange={() => handleChange('group_type', 'dynamic-top-used')}
                   disabled={loading}
                   style={styles.radio}
                 />
                 <div>
-                  <div style={styles.radioTitle}>⚡ Dynamic (Top Used)</div>
+                  <div style={styles.radioTitle}>⚡ Dynamic</div>
                   <div style={styles.radioDescription}>
-                    Automatically shows your most clicked bookmarks
+                    Automatically filled by a rule (top used, recent, tag, domain, saved search...)
                   </div>
                 </div>
               </label>
             </div>
           </div>
 
+          {/* Règle (si Dynamic) */}
+          {isDynamicType(formData.group_type) && (
+            <DynamicRuleFields
+              groupType={formData.group_type}
+              fields={formData}
+              onChange={handleChange}
+              disabled={loading}
+              styles={styles}
+            />
+          )}
+
           {/* Bookmark Limit (si Dynamic) */}
-          {formData.group_type === 'dynamic-top-used' && (
+          {isDynamicType(formData.group_type) && (
             <div style={styles.formGroup}>
               <label style={styles.label}>
                 Bookmark Limit <span style={styles.required}>*</span>
@@ -202,7 +220,7 @@ export default function CreateGroupModal({ isOpen, onClose, sectionId }) {
                 max="50"
               />
               <div style={styles.hint}>
-                Number of top bookmarks to display (1-50)
+                Maximum number of bookmarks to display (1-50)
               </div>
             </div>
           )}
@@ -0,0 +1,135 @@
+import { useEffect, useState } from 'react';
+import BookmarkCard from '../../bookmarks/components/BookmarkCard';
+import { useBookmarksStore } from '../../bookmarks/store/bookmarksStore';
+import { useTagsStore, bookmarkHasTag } from '../../tags/store/tagsStore';
+import { useGroupsStore } from '../store/groupsStore';
+import { describeRule, getRule } from '../utils/dynamicRules';
+import { useTheme } from '../../../shared/theme/useTheme';
+
+const EMPTY = [];
+
+/**
+ * DynamicBookmarkList Component
+ * Read-only list for dynamic groups: bookmarks come from the group's rule,
+ * evaluated server-side (GET /api/groups/:id/bookmarks).
+ *
+ * - No drag & drop or add: bookmarks live in their own manual groups
+ * - Edit/delete act on the source group (bookmark.group_id), then the rule is re-evaluated
+ * - Re-fetched when the group (rule, limit, columns) changes
+ *
+ * @param {object} group - Dynamic group { id, group_type, rule_params, column_count, bookmark_limit, updated_at }
+ * @param {function} onEditBookmark - Callback (bookmark) to edit a bookmark
+ * @param {number} refreshKey - Bumped by the parent to force a re-evaluation
+ */
+export default function DynamicBookmarkList({ group, onEditBookmark, refreshKey = 0 }) {
+  const fetchDynamicBookmarks = useGroupsStore((state) => state.fetchDynamicBookmarks);
+  const bookmarks = useGroupsStore((state) => state.dynamicBookmarksByGroup[group.id] || EMPTY);
+  const { deleteBookmark } = useBookmarksStore();
+  const { activeTag } = useTagsStore();
+  const { theme } = useTheme();
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      const result = await fetchDynamicBookmarks(group.id);
+      if (!cancelled) {
+        setError(result.success ? null : result.error);
+        setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [group.id, group.updated_at, refreshKey, fetchDynamicBookmarks]);
+
+  const handleDelete = async (bookmark) => {
+    if (window.confirm(`Delete bookmark "${bookmark.title}"?`)) {
+      await deleteBookmark(bookmark.id, bookmark.group_id);
+      await fetchDynamicBookmarks(group.id);
+    }
+  };
+
+  const columnCount = group.column_count || 1;
+  const visible = bookmarks.filter((b) => bookmarkHasTag(b, activeTag));
+  const rule = getRule(group.group_type);
+
+  return (
+    <div style={styles.container}>
+      <div style={{ ...styles.ruleBadge, color: theme.colors.textMuted }} title={rule?.description}>
+        {rule?.icon} {describeRule(group)}
+      </div>
+
+      {loading && bookmarks.length === 0 ? (
+        <div style={{ ...styles.message, color: theme.colors.textMuted }}>Loading bookmarks...</div>
+      ) : error ? (
+        <div style={{ ...styles.message, color: theme.colors.error }}>⚠️ {error}</div>
+      ) : visible.length === 0 ? (
+        <div style={{ ...styles.message, color: theme.colors.textMuted }}>No bookmark matches this rule yet</div>
+      ) : (
+        <div style={styles.columnsContainer}>
+          {Array.from({ length: columnCount }, (_, i) => i + 1).map((colNum) => (
+            <div key={colNum} style={styles.column}>
+              {visible
+                .filter((b) => b.column === colNum)
+                .map((bookmark) => (
+                  <BookmarkCard
+                    key={bookmark.id}
+                    bookmark={bookmark}
+                    onEdit={onEditBookmark}
+                    onDelete={handleDelete}
+                    onDragStart={(e) => e.preventDefault()}
+                    onDragOver={() => {}}
+                    onDrop={() => {}}
+                    onDragEnd={() => {}}
+                    isDragging={false}
+                    isDropTarget={false}
+                  />
+                ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    padding: '8px 0 12px'
+  },
+
+  ruleBadge: {
+    fontSize: '11px',
+    marginBottom: '8px',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  },
+
+  columnsContainer: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'flex-start'
+  },
+
+  column: {
+    flex: '1 1 0',
+    minWidth: '140px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px'
+  },
+
+  message: {
+    fontSize: '12px',
+    textAlign: 'center',
+    padding: '16px 0'
+  }
+};
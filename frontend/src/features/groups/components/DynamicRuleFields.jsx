@@ -0,0 +1,131 @@
+import {
+  DYNAMIC_RULES,
+  DEFAULT_STALE_DAYS,
+  DEFAULT_TOP_USED_DAYS,
+  TOP_USED_RANKINGS,
+  getRule
+} from '../utils/dynamicRules';
+
+const PARAM_FIELDS = {
+  days: {
+    label: 'Days without visit',
+    type: 'number',
+    placeholder: String(DEFAULT_STALE_DAYS),
+    hint: 'Bookmarks not opened for this many days (1-3650)'
+  },
+  tag: {
+    label: 'Tag',
+    type: 'text',
+    placeholder: 'e.g., dev',
+    hint: 'Bookmarks carrying this tag'
+  },
+  domain: {
+    label: 'Domain',
+    type: 'text',
+    placeholder: 'e.g., github.com',
+    hint: 'Subdomains are included (docs.github.com matches github.com)'
+  },
+  query: {
+    label: 'Search Query',
+    type: 'text',
+    placeholder: 'e.g., react hooks',
+    hint: 'Same matching as the search bar (title, URL, description, tags)'
+  }
+};
+
+/**
+ * DynamicRuleFields Component
+ * Rule picker and rule parameter input shared by CreateGroupModal and EditGroupModal.
+ * Uses the parent modal's styles so both forms stay identical.
+ *
+ * @param {string} groupType - Selected dynamic rule (dynamic-*)
+ * @param {object} fields - { ranking, days, tag, domain, query }
+ * @param {Function} onChange - (field, value) => void, field is 'group_type' or a param name
+ * @param {boolean} disabled
+ * @param {object} styles - Parent modal styles (formGroup, label, required, select, input, hint)
+ */
+export default function DynamicRuleFields({ groupType, fields, onChange, disabled, styles }) {
+  const rule = getRule(groupType);
+  const paramField = rule?.param ? PARAM_FIELDS[rule.param] : null;
+  const ranking = fields.ranking || 'all-time';
+  const selectedRanking = TOP_USED_RANKINGS.find((option) => option.value === ranking);
+
+  return (
+    <>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>
+          Rule <span style={styles.required}>*</span>
+        </label>
+        <select
+          value={groupType}
+          onChange={(e) => onChange('group_type', e.target.value)}
+          style={styles.select}
+          disabled={disabled}
+        >
+          {DYNAMIC_RULES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.icon} {option.label}
+            </option>
+          ))}
+        </select>
+        {rule && <div style={styles.hint}>{rule.description}</div>}
+      </div>
+
+      {rule?.param === 'ranking' && (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Ranking</label>
+          <select
+            value={ranking}
+            onChange={(e) => onChange('ranking', e.target.value)}
+            style={styles.select}
+            disabled={disabled}
+          >
+            {TOP_USED_RANKINGS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {selectedRanking && <div style={styles.hint}>{selectedRanking.description}</div>}
+        </div>
+      )}
+
+      {rule?.param === 'ranking' && ranking === 'last-days' && (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>
+            Days <span style={styles.required}>*</span>
+          </label>
+          <input
+            type="number"
+            value={fields.days ?? ''}
+            onChange={(e) => onChange('days', e.target.value)}
+            placeholder={String(DEFAULT_TOP_USED_DAYS)}
+            style={styles.input}
+            disabled={disabled}
+            min="1"
+            max="365"
+          />
+          <div style={styles.hint}>Only clicks from the last N days count (1-365)</div>
+        </div>
+      )}
+
+      {paramField && (
+        <div style={styles.formGroup}>
+          <label style={styles.label}>
+            {paramField.label} <span style={styles.required}>*</span>
+          </label>
+          <input
+            type={paramField.type}
+            value={fields[rule.param] ?? ''}
+            onChange={(e) => onChange(rule.param, e.target.value)}
+            placeholder={paramField.placeholder}
+            style={styles.input}
+            disabled={disabled}
+            {...(paramField.type === 'number' ? { min: '1', max: '3650' } : { maxLength: rule.param === 'query' ? 200 : 100 })}
+          />
+          <div style={styles.hint}>{paramField.hint}</div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { useGroupsStore } from '../store/groupsStore';
+import { isDynamicType, getRule, buildRuleParams } from '../utils/dynamicRules';
+import DynamicRuleFields from './DynamicRuleFields';
 
 /**
  * EditGroupModal Component
@@ -8,9 +10,9 @@ import { useGroupsStore } from '../store/groupsStore';
  *
  * Features:
  * - Form: name, column_count, bookmark_limit (si dynamic)
- * - group_type est DISABLED (ne peut pas être changé)
+ * - Manual ↔ dynamic ne peut pas être changé; un group dynamique peut changer de règle et de paramètre
  * - Pre-fill avec données du group
- * - Validation: name requis, bookmark_limit requis si dynamic
+ * - Validation: name requis, bookmark_limit et paramètre de la règle requis si dynamic
  * - Submit → updateGroup action
  * - Close modal après success
  */
@@ -19,9 +21,15 @@ export default function EditGroupModal({ isOpen, onClose, group }) {
 
   const [formData, setFormData] = useState({
     name: '',
+    group_type: 'manual',
     column_count: 3,
     bookmark_limit: '',
-    width: '100%'
+    width: '100%',
+    ranking: 'all-time',
+    days: '',
+    tag: '',
+    domain: '',
+    query: ''
   });
 
   const [formError, setFormError] = useState('');
@@ -29,11 +37,18 @@ export default function EditGroupModal({ isOpen, onClose, group }) {
   // Pre-fill form when group changes
   useEffect(() => {
     if (group) {
+      const params = group.rule_params || {};
       setFormData({
         name: group.name,
+        group_type: group.group_type,
         column_count: group.column_count,
         bookmark_limit: group.bookmark_limit || '',
-        width: group.width || '100%'
+        width: group.width || '100%',
+        ranking: params.ranking || 'all-time',
+        days: params.days || '',
+        tag: params.tag || '',
+        domain: params.domain || '',
+        query: params.query || ''
       });
     }
   }, [group]);
@@ -63,11 +78,19 @@ export default function EditGroupModal({ isOpen, onClose, group }) {
       return;
     }
 
-    if (group.group_type === 'dynamic-top-used') {
+    const isDynamic = isDynamicType(group.group_type);
+
+    if (isDynamic) {
       if (!formData.bookmark_limit || formData.bookmark_limit <= 0) {
         setFormError('Bookmark limit is required and must be greater than 0 for dynamic groups');
         return;
       }
+
+      const ruleParam = getRule(formData.group_type).param;
+      if (['tag', 'domain', 'query'].includes(ruleParam) && !formData[ruleParam].trim()) {
+        setFormError(`Rule ${ruleParam === 'query' ? 'search query' : ruleParam} is required`);
+        return;
+      }
     }
 
     // Préparer les données (seulement les champs modifiables)
@@ -77,9 +100,11 @@ export default function EditGroupModal({ isOpen, onClose, group }) {
       width: formData.width
     };
 
-    // Ajouter bookmark_limit uniquement si dynamic
-    if (group.group_type === 'dynamic-top-used') {
+    // Ajouter bookmark_limit et la règle uniquement si dynamic
+    if (isDynamic) {
       updates.bookmark_limit = parseInt(formData.bookmark_limit);
+      updates.group_type = formData.group_type;
+      updates.rule_params = buildRuleParams(formData.group_type, formData);
     }
 
     // Appel API
@@ -147,17 +172,30 @@ export default function EditGroupModal({ isOpen, onClose, group }) {
               </span>
               <div>
                 <div style={styles.disabledTitle}>
-                  {group.group_type === 'manual' ? 'Manual' : 'Dynamic (Top Used)'}
+                  {group.group_type === 'manual' ? 'Manual' : 'Dynamic'}
                 </div>
                 <div style={styles.disabledHint}>
-                  Group type cannot be changed after creation
+                  {group.group_type === 'manual'
+                    ? 'Group type cannot be changed after creation'
+                    : 'A dynamic group can switch rules but cannot become manual'}
                 </div>
               </div>
             </div>
           </div>
 
+          {/* Règle (si Dynamic) */}
+          {isDynamicType(group.group_type) && (
+            <DynamicRuleFields
+              groupType={formData.group_type}
+              fields={formData}
+              onChange={handleChange}
+              disabled={loading}
+              styles={styles}
+            />
+          )}
+
           {/* Bookmark Limit (si Dynamic) */}
-          {group.group_type === 'dynamic-top-used' && (
+          {isDynamicType(group.group_type) && (
             <div style={styles.formGroup}>
               <label style={styles.label}>
                 Bookmark Limit <span style={styles.required}>*</span>
@@ -173,7 +211,7 @@ export default function EditGroupModal({ isOpen, onClose, group }) {
                 max="50"
               />
               <div style={styles.hint}>
-                Number of top bookmarks to display (1-50)
+                Maximum number of bookmarks to display (1-50)
               </div>
             </div>
           )}
@@ -1,10 +1,12 @@
 import { useState } from 'react';
 import BookmarkList from '../../bookmarks/components/BookmarkList';
+import DynamicBookmarkList from './DynamicBookmarkList';
 import CreateBookmarkModal from '../../bookmarks/components/CreateBookmarkModal';
 import EditBookmarkModal from '../../bookmarks/components/EditBookmarkModal';
 import { useBookmarksStore } from '../../bookmarks/store/bookmarksStore';
 import { useBookmarkDrag } from '../../bookmarks/context/BookmarkDragContext';
 import { useTheme } from '../../../shared/theme/useTheme';
+import { isDynamicType } from '../utils/dynamicRules';
 
 /**
  * GroupCard Component
@@ -13,10 +15,10 @@ import { useTheme } from '../../../shared/theme/useTheme';
  * Features:
  * - Minimal design: drag handle + name + actions
  * - Dynamic width based on totalGroups (1=100%, 2=50%, 3=33%, etc.)
- * - Displays bookmarks list
+ * - Displays bookmarks list (read-only rule results for dynamic groups)
  * - Drag & Drop support for reordering
  *
- * @param {object} group - Objet group { id, name, column_count, group_type, bookmark_limit }
+ * @param {object} group - Objet group { id, name, column_count, group_type, bookmark_limit, rule_params }
  * @param {number} totalGroups - Total number of groups in the section (for width calculation)
  * @param {function} onEdit - Callback pour éditer le group
  * @param {function} onDelete - Callback pour supprimer le group
@@ -35,9 +37,13 @@ export default function GroupCard({ group, totalGroups, onEdit, onDelete, onDupl
   const [showEditBookmark, setShowEditBookmark] = useState(false);
   const [selectedBookmark, setSelectedBookmark] = useState(null);
   const [bookmarkHovering, setBookmarkHovering] = useState(false);
+  const [dynamicRefreshKey, setDynamicRefreshKey] = useState(0);
+
+  const isDynamic = isDynamicType(group.group_type);
 
   // Check if a bookmark from another group is being dragged over this group
-  const isReceivingBookmark = !!(draggedBookmark && sourceGroupId !== group.id && bookmarkHovering);
+  // (dynamic groups don't accept bookmarks: their content comes from the rule)
+  const isReceivingBookmark = !!(!isDynamic && draggedBookmark && sourceGroupId !== group.id && bookmarkHovering);
 
   // Get actual width - use group.width if set, with some gap adjustment
   const getActualWidth = () => {
@@ -159,6 +165,10 @@ export default function GroupCard({ group, totalGroups, onEdit, onDelete, onDupl
 
         // Check if a BOOKMARK is being dropped (from another group)
         if (draggedBookmark && sourceGroupId !== group.id) {
+          if (isDynamic) {
+            endDrag();
+            return;
+          }
           // Move the bookmark to this group
           await moveBookmark(draggedBookmark.id, sourceGroupId, group.id);
           endDrag();
@@ -189,13 +199,15 @@ export default function GroupCard({ group, totalGroups, onEdit, onDelete, onDupl
 
         {/* Action buttons */}
         <div style={styles.actions}>
-          <button
-            onClick={handleAddBookmark}
-            style={themedStyles.addButton}
-            title="Add bookmark"
-          >
-            +
-          </button>
+          {!isDynamic && (
+            <button
+              onClick={handleAddBookmark}
+              style={themedStyles.addButton}
+              title="Add bookmark"
+            >
+              +
+            </button>
+          )}
           <button
             onClick={handleEdit}
             style={themedStyles.actionButton}
@@ -222,13 +234,21 @@ export default function GroupCard({ group, totalGroups, onEdit, onDelete, onDupl
 
       {/* Bookmarks List */}
       <div style={styles.bookmarksContainer}>
-        <BookmarkList
-          groupId={group.id}
-          columnCount={group.column_count}
-          onAddBookmark={handleAddBookmark}
-          onEditBookmark={handleEditBookmark}
-          onDeleteBookmark={handleDeleteBookmark}
-        />
+        {isDynamic ? (
+          <DynamicBookmarkList
+            group={group}
+            onEditBookmark={handleEditBookmark}
+            refreshKey={dynamicRefreshKey}
+          />
+        ) : (
+          <BookmarkList
+            groupId={group.id}
+            columnCount={group.column_count}
+            onAddBookmark={handleAddBookmark}
+            onEditBookmark={handleEditBookmark}
+            onDeleteBookmark={handleDeleteBookmark}
+          />
+        )}
       </div>
 
       {/* Modals */}
@@ -243,9 +263,10 @@ export default function GroupCard({ group, totalGroups, onEdit, onDelete, onDupl
         onClose={() => {
           setShowEditBookmark(false);
           setSelectedBookmark(null);
+          if (isDynamic) setDynamicRefreshKey((key) => key + 1);
         }}
         bookmark={selectedBookmark}
-        groupId={group.id}
+        groupId={isDynamic ? selectedBookmark?.group_id : group.id}
       />
     </div>
   );
@@ -42,11 +42,27 @@ const groupsService = {
     return response;
   },
 
+  /**
+   * Récupérer les bookmarks affichés par un group (règle évaluée côté serveur si dynamique)
+   * GET /api/groups/:id/bookmarks
+   * @param {string} id - UUID du group
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { group, bookmarks, count } }
+   */
+  async getBookmarks(id, token) {
+    const response = await axios.get(`${API_URL}/api/groups/${id}/bookmarks`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
   /**
    * Créer un nouveau group
    * POST /api/groups
    * @param {string} sectionId - UUID de la section parente
-   * @param {object} groupData - { name, column_count?, group_type?, bookmark_limit? }
+   * @param {object} groupData - { name, column_count?, group_type?, bookmark_limit?, rule_params? }
    * @param {string} token - JWT token
    * @returns {Promise} Response avec { success, message, data: { group } }
    */
@@ -67,7 +83,7 @@ const groupsService = {
    * Mettre à jour un group existant
    * PUT /api/groups/:id
    * @param {string} id - UUID du group
-   * @param {object} updates - { name?, column_count?, bookmark_limit? }
+   * @param {object} updates - { name?, column_count?, bookmark_limit?, group_type?, rule_params? }
    * @param {string} token - JWT token
    * @returns {Promise} Response avec { success, message, data: { group } }
    */
@@ -1,6 +1,16 @@
 import { create } from 'zustand';
 import groupsService from '../services/groupsService';
 import { useAuthStore } from '../../auth/store/authStore';
+import trashService from '../../trash/services/trashService';
+import { useHistoryStore, ensureSuccess } from '../../../shared/store/historyStore';
+
+/**
+ * Retrouver un group chargé dans le state (toutes sections confondues)
+ * @param {object} groupsBySection - State { sectionId: [groups] }
+ * @param {string} id - UUID du group
+ * @returns {object|undefined}
+ */
+const findGroup = (groupsBySection, id) => Object.values(groupsBySection).flat().find((g) => g.id === id);
 
 /**
  * Groups Store (Zustand)
@@ -8,6 +18,7 @@ import { useAuthStore } from '../../auth/store/authStore';
  *
  * State:
  * - groupsBySection: Object { sectionId: [groups] } pour grouper par section
+ * - dynamicBookmarksByGroup: Object { groupId: [bookmarks] } - résultat de la règle des groups dynamiques
  * - loading: Boolean pour état de chargement
  * - error: Message d'erreur si présent
  *
@@ -18,13 +29,19 @@ import { useAuthStore } from '../../auth/store/authStore';
  * - deleteGroup: Supprimer un group
  * - reorderGroups: Réorganiser l'ordre des groups
  * - updateGroupLayout: Changer le column_count d'un group
+ * - fetchDynamicBookmarks: Évaluer la règle d'un group dynamique (côté serveur)
+ * - applyRemoteEvent: Appliquer une modification reçue en temps réel
  * - getStats: Obtenir statistiques
+ *
+ * Les updates (nom, largeur, colonnes), déplacements, réorganisations et
+ * suppressions sont enregistrés dans l'historique (useHistoryStore) pour undo/redo.
  */
 export const useGroupsStore = create((set, get) => ({
   // ============================================
   // STATE
   // ============================================
   groupsBySection: {}, // { sectionId: [groups] }
+  dynamicBookmarksByGroup: {}, // { groupId: [bookmarks] }
   loading: false,
   error: null,
   stats: null,
@@ -104,15 +121,28 @@ export const useGroupsStore = create((set, get) => ({
   /**
    * Mettre à jour un group existant
    * @param {string} id - UUID du group
-   * @param {object} updates - { name?, column_count?, bookmark_limit? }
+   * @param {object} updates - { name?, column_count?, bookmark_limit?, group_type?, rule_params? }
    */
   updateGroup: async (id, updates) => {
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const previous = findGroup(get().groupsBySection, id);
       const response = await groupsService.update(id, updates, token);
       const updatedGroup = response.data.data.group;
 
+      if (previous) {
+        const undoUpdates = Object.keys(updates).reduce((acc, key) => {
+          acc[key] = previous[key] ?? null;
+          return acc;
+        }, {});
+        useHistoryStore.getState().record({
+          label: `Edit group "${previous.name}"`,
+          undo: async () => ensureSuccess(await get().updateGroup(id, undoUpdates)),
+          redo: async () => ensureSuccess(await get().updateGroup(id, updates))
+        });
+      }
+
       // Mettre à jour dans le state
       set((state) => {
         const sectionId = updatedGroup.section_id;
@@ -151,8 +181,20 @@ export const useGroupsStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const deletedGroup = findGroup(get().groupsBySection, id);
       await groupsService.delete(id, token);
 
+      // Undo: restauration depuis la corbeille (group + bookmarks)
+      useHistoryStore.getState().record({
+        label: `Deleted group "${deletedGroup?.name || ''}"`,
+        destructive: true,
+        undo: async () => {
+          const response = await trashService.restoreItem('group', id, useAuthStore.getState().getToken());
+          ensureSuccess(await get().fetchGroups(response.data.data.parent_id));
+        },
+        redo: async () => ensureSuccess(await get().deleteGroup(id, sectionId))
+      });
+
       // Retirer du state
       set((state) => {
         const currentGroups = state.groupsBySection[sectionId] || [];
@@ -188,9 +230,16 @@ export const useGroupsStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const previousOrder = (get().groupsBySection[sectionId] || []).map((g) => g.id);
       const response = await groupsService.reorder(sectionId, groupIds, token);
       const reorderedGroups = response.data.data.groups;
 
+      useHistoryStore.getState().record({
+        label: 'Reorder groups',
+        undo: async () => ensureSuccess(await get().reorderGroups(sectionId, previousOrder)),
+        redo: async () => ensureSuccess(await get().reorderGroups(sectionId, groupIds))
+      });
+
       set((state) => ({
         groupsBySection: {
           ...state.groupsBySection,
@@ -220,11 +269,27 @@ export const useGroupsStore = create((set, get) => ({
   moveGroup: async (groupId, sourceSectionId, targetSectionId) => {
     try {
       const token = useAuthStore.getState().getToken();
+      const previousOrder = (get().groupsBySection[sourceSectionId] || []).map((g) => g.id);
+      const previous = findGroup(get().groupsBySection, groupId);
 
       // Appeler le backend pour update le section_id
       const response = await groupsService.update(groupId, { section_id: targetSectionId }, token);
       const movedGroup = response.data.data.group;
 
+      // Undo: retour dans la section source, à la même place
+      useHistoryStore.getState().record({
+        label: `Move group "${previous?.name || movedGroup.name}"`,
+        undo: async () => {
+          ensureSuccess(await get().moveGroup(groupId, targetSectionId, sourceSectionId));
+          const present = (get().groupsBySection[sourceSectionId] || []).map((g) => g.id);
+          const order = previousOrder.filter((id) => present.includes(id));
+          if (order.length > 0) {
+            ensureSuccess(await get().reorderGroups(sourceSectionId, order));
+          }
+        },
+        redo: async () => ensureSuccess(await get().moveGroup(groupId, sourceSectionId, targetSectionId))
+      });
+
       // Mettre à jour le state local
       set((state) => {
         const sourceGroups = state.groupsBySection[sourceSectionId] || [];
@@ -262,9 +327,18 @@ export const useGroupsStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const previous = findGroup(get().groupsBySection, id);
       const response = await groupsService.updateLayout(id, columnCount, token);
       const updatedGroup = response.data.data.group;
 
+      if (previous) {
+        useHistoryStore.getState().record({
+          label: `Change layout of "${previous.name}"`,
+          undo: async () => ensureSuccess(await get().updateGroupLayout(id, previous.column_count)),
+          redo: async () => ensureSuccess(await get().updateGroupLayout(id, columnCount))
+        });
+      }
+
       // Mettre à jour dans le state
       set((state) => {
         const sectionId = updatedGroup.section_id;
@@ -294,6 +368,31 @@ export const useGroupsStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Évaluer la règle d'un group dynamique (GET /api/groups/:id/bookmarks)
+   * N'active pas loading: appelé par chaque GroupCard dynamique
+   * @param {string} groupId - UUID du group
+   */
+  fetchDynamicBookmarks: async (groupId) => {
+    try {
+      const token = useAuthStore.getState().getToken();
+      const response = await groupsService.getBookmarks(groupId, token);
+      const bookmarks = response.data.data.bookmarks;
+
+      set((state) => ({
+        dynamicBookmarksByGroup: {
+          ...state.dynamicBookmarksByGroup,
+          [groupId]: bookmarks
+        }
+      }));
+
+      return { success: true, bookmarks };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || error.message;
+      return { success: false, error: errorMessage };
+    }
+  },
+
   /**
    * Obtenir les statistiques des groups d'une section
    * @param {string} sectionId - UUID de la section
@@ -358,6 +457,64 @@ export const useGroupsStore = create((set, get) => ({
     }
   },
 
+  // ============================================
+  // ACTIONS - SYNC
+  // ============================================
+
+  /**
+   * Appliquer une modification reçue en temps réel (autre onglet, coéquipier)
+   * Seules les sections déjà chargées sont mises à jour; un changement de
+   * bookmarks ré-évalue les groups dynamiques affichés
+   * @param {object} event - { entity, action, id, parentIds, data }
+   */
+  applyRemoteEvent: async (event) => {
+    if (event.entity === 'bookmark') {
+      const { dynamicBookmarksByGroup, fetchDynamicBookmarks } = get();
+      await Promise.all(Object.keys(dynamicBookmarksByGroup).map((groupId) => fetchDynamicBookmarks(groupId)));
+      return;
+    }
+    if (event.entity !== 'group') return;
+
+    if (event.data && ['create', 'update', 'move'].includes(event.action)) {
+      set((state) => {
+        const groupsBySection = {};
+        Object.entries(state.groupsBySection).forEach(([sectionId, groups]) => {
+          groupsBySection[sectionId] = groups.filter((g) => g.id !== event.id);
+        });
+
+        const sectionId = event.data.section_id;
+        if (groupsBySection[sectionId]) {
+          groupsBySection[sectionId] = [...groupsBySection[sectionId], event.data]
+            .sort((a, b) => a.position - b.position);
+        }
+        return { groupsBySection };
+      });
+
+      // La règle d'un group dynamique a pu changer
+      if (get().dynamicBookmarksByGroup[event.id]) {
+        await get().fetchDynamicBookmarks(event.id);
+      }
+      return;
+    }
+
+    if (event.action === 'delete') {
+      const sectionId = event.parentIds[0];
+      set((state) => (state.groupsBySection[sectionId] ? {
+        groupsBySection: {
+          ...state.groupsBySection,
+          [sectionId]: state.groupsBySection[sectionId].filter((g) => g.id !== event.id)
+        }
+      } : {}));
+      return;
+    }
+
+    // reorder, restore, import: recharger les sections concernées
+    const { groupsBySection, fetchGroups } = get();
+    await Promise.all(
+      event.parentIds.filter((sectionId) => groupsBySection[sectionId]).map((sectionId) => fetchGroups(sectionId))
+    );
+  },
+
   // ============================================
   // ACTIONS - UI
   // ============================================
@@ -436,6 +593,7 @@ export const useGroupsStore = create((set, get) => ({
   reset: () => {
     set({
       groupsBySection: {},
+      dynamicBookmarksByGroup: {},
       loading: false,
       error: null,
       stats: null
@@ -0,0 +1,154 @@
+/**
+ * Dynamic Group Rules
+ *
+ * Catalogue des règles de groups dynamiques (miroir de backend/src/modules/groups/dynamicRules.js)
+ * Les règles sont évaluées côté serveur: GET /api/groups/:id/bookmarks
+ */
+
+export const DYNAMIC_RULES = [
+  {
+    value: 'dynamic-top-used',
+    icon: '⚡',
+    label: 'Top used',
+    description: 'Your most clicked bookmarks',
+    param: 'ranking'
+  },
+  {
+    value: 'dynamic-recent',
+    icon: '🕘',
+    label: 'Recently clicked',
+    description: 'Bookmarks you opened last'
+  },
+  {
+    value: 'dynamic-recently-added',
+    icon: '🆕',
+    label: 'Recently added',
+    description: 'Your newest bookmarks'
+  },
+  {
+    value: 'dynamic-trending',
+    icon: '📈',
+    label: 'Trending this week',
+    description: 'Clicked more this week than last week'
+  },
+  {
+    value: 'dynamic-stale',
+    icon: '💤',
+    label: 'Not visited lately',
+    description: 'Bookmarks not opened for a number of days',
+    param: 'days'
+  },
+  {
+    value: 'dynamic-tag',
+    icon: '🏷️',
+    label: 'Tag',
+    description: 'Bookmarks carrying a given tag',
+    param: 'tag'
+  },
+  {
+    value: 'dynamic-domain',
+    icon: '🌐',
+    label: 'Domain',
+    description: 'Bookmarks from a given site (e.g. github.com)',
+    param: 'domain'
+  },
+  {
+    value: 'dynamic-search',
+    icon: '🔎',
+    label: 'Saved search',
+    description: 'Bookmarks matching a search query',
+    param: 'query'
+  }
+];
+
+export const DEFAULT_STALE_DAYS = 90;
+export const DEFAULT_TOP_USED_DAYS = 30;
+
+/**
+ * Classements d'un group "Top used"
+ */
+export const TOP_USED_RANKINGS = [
+  {
+    value: 'all-time',
+    label: 'All time',
+    description: 'Total clicks since the bookmark was created'
+  },
+  {
+    value: 'frecency',
+    label: 'Frecency',
+    description: 'Clicks weighted by recency: what you use now comes first'
+  },
+  {
+    value: 'last-days',
+    label: 'Last N days',
+    description: 'Clicks within a recent window only'
+  }
+];
+
+/**
+ * Group dynamique ?
+ * @param {string} groupType - Type du group
+ * @returns {boolean}
+ */
+export const isDynamicType = (groupType) =>
+  DYNAMIC_RULES.some((rule) => rule.value === groupType);
+
+/**
+ * Définition d'une règle
+ * @param {string} groupType - Type du group
+ * @returns {object|undefined}
+ */
+export const getRule = (groupType) =>
+  DYNAMIC_RULES.find((rule) => rule.value === groupType);
+
+/**
+ * Libellé court d'une règle avec son paramètre
+ * Usage: describeRule({ group_type: 'dynamic-tag', rule_params: { tag: 'dev' } }) => "Tag #dev"
+ * @param {object} group - Group ({ group_type, rule_params })
+ * @returns {string}
+ */
+export const describeRule = (group) => {
+  const rule = getRule(group?.group_type);
+  if (!rule) return 'Manual';
+
+  const params = group.rule_params || {};
+  switch (rule.param) {
+    case 'ranking':
+      if (params.ranking === 'frecency') return 'Top used (frecency)';
+      if (params.ranking === 'last-days') return `Top used (last ${params.days || DEFAULT_TOP_USED_DAYS} days)`;
+      return 'Top used (all time)';
+    case 'days':
+      return `Not visited in ${params.days || DEFAULT_STALE_DAYS} days`;
+    case 'tag':
+      return `Tag #${params.tag || ''}`;
+    case 'domain':
+      return `Domain ${params.domain || ''}`;
+    case 'query':
+      return `Search "${params.query || ''}"`;
+    default:
+      return rule.label;
+  }
+};
+
+/**
+ * Construire rule_params depuis les champs d'un formulaire
+ * @param {string} groupType - Type du group
+ * @param {object} fields - { ranking, days, tag, domain, query }
+ * @returns {object}
+ */
+export const buildRuleParams = (groupType, fields) => {
+  const rule = getRule(groupType);
+  if (!rule?.param) return {};
+
+  if (rule.param === 'ranking') {
+    const ranking = fields.ranking || 'all-time';
+    return ranking === 'last-days'
+      ? { ranking, days: parseInt(fields.days) || DEFAULT_TOP_USED_DAYS }
+      : { ranking };
+  }
+
+  if (rule.param === 'days') {
+    return { days: parseInt(fields.days) || DEFAULT_STALE_DAYS };
+  }
+  return { [rule.param]: (fields[rule.param] || '').trim() };
+};
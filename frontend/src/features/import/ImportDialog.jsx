@@ -1,27 +1,67 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import axios from 'axios';
 import { useAuthStore } from '../auth/store/authStore';
+import { usePagesStore } from '../pages/store/pagesStore';
+import ImportPreview from './ImportPreview';
+import ImportProgress from './ImportProgress';
 import ImportReport from './ImportReport';
 
+/**
+ * Accepted import files: browser HTML, Pocket/Raindrop CSV, Pinboard or PinGrid JSON, OneTab/URL list text
+ * (the backend detects the exact format from the content)
+ */
+const ACCEPTED_EXTENSIONS = /\.(html?|csv|json|txt)$/i;
+
+/**
+ * Check if a file is a PinGrid JSON export (format marker at the top of the file)
+ */
+const isPinGridExport = async (file) => {
+  const isJson = file.type === 'application/json' || file.name.toLowerCase().endsWith('.json');
+  if (!isJson) return false;
+
+  const head = await file.slice(0, 1024).text();
+  return head.includes('"pingrid-export"');
+};
+
+// Delay between two GET /api/import/jobs/:id calls
+const JOB_POLL_INTERVAL = 1000;
+
+/**
+ * How folders (browser folders, collections, tags) are mapped onto pages / sections / groups
+ */
+const MAPPING_OPTIONS = [
+  { value: 'single', label: 'Single group', hint: 'everything in one new section and group' },
+  { value: 'sections', label: 'Folders as sections', hint: 'top-level folders become sections, subfolders become groups' },
+  { value: 'pages', label: 'Folders as pages', hint: 'top-level folders become pages, subfolders become sections and groups' }
+];
+
 /**
  * ImportDialog Component
  *
- * Dialog for importing bookmarks from HTML files (Chrome, Firefox, Safari)
+ * Dialog for importing bookmarks (browser HTML, Pocket, Raindrop, Pinboard, OneTab, URL lists)
+ * or restoring a PinGrid JSON export (full hierarchy, merge or replace)
  * - File selection with validation
- * - Upload to backend
+ * - Imports: preview (folders, duplicates) → selective commit → background job with live progress
+ * - PinGrid export: direct restore
  * - Display import results
  */
 export default function ImportDialog({ isOpen, onClose }) {
   const { getToken } = useAuthStore();
+  const pages = usePagesStore((state) => state.pages);
   const [file, setFile] = useState(null);
+  const [isBackup, setIsBackup] = useState(false);
+  const [mode, setMode] = useState('merge');
+  const [mapping, setMapping] = useState('sections');
   const [loading, setLoading] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [job, setJob] = useState(null);
   const [result, setResult] = useState(null);
   const [error, setError] = useState('');
 
   /**
    * Handle file selection
    */
-  const handleFileChange = (e) => {
+  const handleFileChange = async (e) => {
     const selectedFile = e.target.files?.[0];
 
     if (!selectedFile) {
@@ -30,26 +70,109 @@ export default function ImportDialog({ isOpen, onClose }) {
     }
 
     // Validate file type
-    if (selectedFile.type !== 'text/html') {
-      setError('Please select an HTML file (.html)');
+    if (selectedFile.type !== 'text/html' && !ACCEPTED_EXTENSIONS.test(selectedFile.name)) {
+      setError('Please select a bookmarks export (.html, .csv, .json or .txt)');
       setFile(null);
       return;
     }
 
-    // Validate file size (max 5MB)
-    if (selectedFile.size > 5 * 1024 * 1024) {
-      setError('File size must be less than 5MB');
+    // Validate file size (max 5MB for imports, 20MB for PinGrid exports)
+    const backup = await isPinGridExport(selectedFile);
+    const maxSize = backup ? 20 : 5;
+    if (selectedFile.size > maxSize * 1024 * 1024) {
+      setError(`File size must be less than ${maxSize}MB`);
       setFile(null);
       return;
     }
 
     // File is valid
     setFile(selectedFile);
+    setIsBackup(backup);
     setError('');
   };
 
   /**
-   * Handle import submission
+   * Show the report and reload the dashboard with the new content
+   */
+  const showResult = (data) => {
+    setResult(data);
+
+    // Refresh page after 3 seconds
+    setTimeout(() => {
+      window.location.reload();
+    }, 3000);
+  };
+
+  /**
+   * Extract error message from an axios error
+   */
+  const handleError = (err) => {
+    console.error('Import error:', err);
+    const errorMessage = err.response?.data?.message || err.message || 'Import failed. Please try again.';
+    setError(errorMessage);
+  };
+
+  /**
+   * Poll the background import job until it completes or fails
+   */
+  useEffect(() => {
+    if (!job || job.status === 'completed' || job.status === 'failed') return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(
+          `${import.meta.env.VITE_API_URL}/api/import/jobs/${job.id}`,
+          { headers: { 'Authorization': `Bearer ${getToken()}` } }
+        );
+        const nextJob = response.data.data;
+
+        if (nextJob.status === 'completed') {
+          setJob(null);
+          showResult({ ...nextJob.result, format: preview?.format });
+        } else if (nextJob.status === 'failed') {
+          setJob(null);
+          setError(nextJob.error || 'Import failed. Please try again.');
+        } else {
+          setJob(nextJob);
+        }
+      } catch (err) {
+        setJob(null);
+        handleError(err);
+      }
+    }, JOB_POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [job]);
+
+  /**
+   * Commit the folders/bookmarks selected in the preview (starts a background job)
+   */
+  const handleCommit = async (selection) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = getToken();
+      if (!token) {
+        throw new Error('Not authenticated. Please log in.');
+      }
+
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_URL}/api/import/commit`,
+        selection,
+        { headers: { 'Authorization': `Bearer ${token}` } }
+      );
+
+      setJob(response.data.data);
+    } catch (err) {
+      handleError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Handle import submission (PinGrid export → restore, anything else → preview)
    */
   const handleImport = async () => {
     if (!file) {
@@ -65,6 +188,13 @@ export default function ImportDialog({ isOpen, onClose }) {
       const formData = new FormData();
       formData.append('file', file);
 
+      // PinGrid JSON export → full restore, other formats → preview
+      if (isBackup) {
+        formData.append('mode', mode);
+      } else {
+        formData.append('mapping', mapping);
+      }
+
       // Get auth token from Zustand store
       const token = getToken();
       if (!token) {
@@ -73,7 +203,7 @@ export default function ImportDialog({ isOpen, onClose }) {
 
       // Upload to backend
       const response = await axios.post(
-        `${import.meta.env.VITE_API_URL}/api/import/bookmarks`,
+        `${import.meta.env.VITE_API_URL}/api/import/${isBackup ? 'pinsgrid' : 'preview'}`,
         formData,
         {
           headers: {
@@ -83,20 +213,14 @@ export default function ImportDialog({ isOpen, onClose }) {
         }
       );
 
-      // Show result
-      setResult(response.data.data);
-
-      // Refresh page after 3 seconds
-      setTimeout(() => {
-        window.location.reload();
-      }, 3000);
-
+      // HTML: review step before anything is written
+      if (isBackup) {
+        showResult(response.data.data);
+      } else {
+        setPreview(response.data.data);
+      }
     } catch (err) {
-      console.error('Import error:', err);
-
-      // Extract error message
-      const errorMessage = err.response?.data?.message || err.message || 'Import failed. Please try again.';
-      setError(errorMessage);
+      handleError(err);
     } finally {
       setLoading(false);
     }
@@ -107,7 +231,12 @@ export default function ImportDialog({ isOpen, onClose }) {
    */
   const handleClose = () => {
     setFile(null);
+    setIsBackup(false);
+    setMode('merge');
+    setMapping('sections');
     setError('');
+    setPreview(null);
+    setJob(null);
     setResult(null);
     onClose();
   };
@@ -117,20 +246,47 @@ export default function ImportDialog({ isOpen, onClose }) {
 
   return (
     <div style={styles.overlay} onClick={handleClose}>
-      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
-        {!result ? (
+      <div
+        style={{ ...styles.modal, ...(preview && !result && styles.modalWide) }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {result ? (
+          // Import report
+          <ImportReport result={result} onClose={handleClose} />
+        ) : job ? (
+          // Background import running
+          <ImportProgress job={job} />
+        ) : preview ? (
+          // Review step (HTML import)
+          <>
+            <ImportPreview
+              preview={preview}
+              pages={pages}
+              loading={loading}
+              onBack={() => setPreview(null)}
+              onCommit={handleCommit}
+            />
+            {error && (
+              <div style={{ ...styles.error, marginTop: '16px', marginBottom: 0 }}>
+                ⚠️ {error}
+              </div>
+            )}
+          </>
+        ) : (
           // Upload form
           <>
             <h2 style={styles.title}>📥 Import Bookmarks</h2>
 
             <p style={styles.description}>
-              Upload an HTML bookmarks file exported from Chrome, Firefox, or Safari.
+              Upload bookmarks exported from Chrome, Firefox, Safari, Pocket (CSV), Raindrop (CSV),
+              Pinboard (JSON), OneTab or a plain list of URLs (.txt),
+              or a PinGrid backup (.json) to restore your full layout.
             </p>
 
             <div style={styles.fileInputContainer}>
               <input
                 type="file"
-                accept=".html"
+                accept=".html,.htm,.csv,.json,.txt"
                 onChange={handleFileChange}
                 disabled={loading}
                 style={styles.fileInput}
@@ -145,6 +301,62 @@ export default function ImportDialog({ isOpen, onClose }) {
               </div>
             )}
 
+            {file && !isBackup && (
+              <div style={styles.modeContainer}>
+                {MAPPING_OPTIONS.map((option) => (
+                  <label key={option.value} style={styles.modeOption}>
+                    <input
+                      type="radio"
+                      name="import-mapping"
+                      value={option.value}
+                      checked={mapping === option.value}
+                      onChange={() => setMapping(option.value)}
+                      disabled={loading}
+                    />
+                    <span>
+                      <strong>{option.label}</strong> — {option.hint}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {isBackup && (
+              <div style={styles.modeContainer}>
+                <label style={styles.modeOption}>
+                  <input
+                    type="radio"
+                    name="restore-mode"
+                    value="merge"
+                    checked={mode === 'merge'}
+                    onChange={() => setMode('merge')}
+                    disabled={loading}
+                  />
+                  <span>
+                    <strong>Merge</strong> — add to existing pages (same names are combined, duplicate URLs skipped)
+                  </span>
+                </label>
+                <label style={styles.modeOption}>
+                  <input
+                    type="radio"
+                    name="restore-mode"
+                    value="replace"
+                    checked={mode === 'replace'}
+                    onChange={() => setMode('replace')}
+                    disabled={loading}
+                  />
+                  <span>
+                    <strong>Replace</strong> — move all current pages to the trash, then restore the backup
+                  </span>
+                </label>
+                {mode === 'replace' && (
+                  <div style={styles.warning}>
+                    ⚠️ All your current pages, sections, groups and bookmarks will be moved to the trash.
+                  </div>
+                )}
+              </div>
+            )}
+
             {error && (
               <div style={styles.error}>
                 ⚠️ {error}
@@ -167,7 +379,9 @@ export default function ImportDialog({ isOpen, onClose }) {
                   ...((!file || loading) && styles.importButtonDisabled)
                 }}
               >
-                {loading ? 'Importing...' : 'Import'}
+                {loading
+                  ? (isBackup ? 'Importing...' : 'Analyzing...')
+                  : (file && !isBackup ? 'Preview' : 'Import')}
               </button>
             </div>
 
@@ -177,9 +391,6 @@ export default function ImportDialog({ isOpen, onClose }) {
               </div>
             )}
           </>
-        ) : (
-          // Import report
-          <ImportReport result={result} onClose={handleClose} />
         )}
       </div>
     </div>
@@ -210,6 +421,9 @@ const styles = {
     overflow: 'auto',
     boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
   },
+  modalWide: {
+    maxWidth: '720px'
+  },
   title: {
     margin: '0 0 16px 0',
     fontSize: '24px',
@@ -256,6 +470,29 @@ const styles = {
     color: '#999',
     fontSize: '12px'
   },
+  modeContainer: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    marginBottom: '16px'
+  },
+  modeOption: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '8px',
+    fontSize: '14px',
+    color: '#333',
+    lineHeight: '1.4',
+    cursor: 'pointer'
+  },
+  warning: {
+    padding: '10px 12px',
+    backgroundColor: '#fff8e1',
+    border: '1px solid #ffe082',
+    borderRadius: '8px',
+    color: '#8a6d00',
+    fontSize: '13px'
+  },
   error: {
     padding: '12px',
     backgroundColor: '#fee',
@@ -0,0 +1,349 @@
+import { useState } from 'react';
+
+/**
+ * Build the editable selection state from the preview response
+ * Duplicates (URL already in PinGrid or repeated in the file) start unticked
+ */
+const buildSelection = (folders) => folders.map((folder) => ({
+  ...folder,
+  selected: true,
+  bookmarks: folder.bookmarks.map((bm) => ({ ...bm, selected: !bm.duplicate }))
+}));
+
+/**
+ * ImportPreview Component
+ *
+ * Second step of a bookmarks import: review before anything is written
+ * - Folder → page/section/group targets (renamable)
+ * - Untick whole folders or single bookmarks
+ * - Duplicate flags (URL already present in another group)
+ * - Destination page for folders that don't create their own page
+ */
+export default function ImportPreview({ preview, pages, loading, onBack, onCommit }) {
+  const [folders, setFolders] = useState(() => buildSelection(preview.folders));
+  const [pageId, setPageId] = useState(preview.targetPage?.id || pages[0]?.id || '');
+  const [expanded, setExpanded] = useState({});
+
+  const usesTargetPage = folders.some((folder) => !folder.pageName);
+
+  const selectedCount = folders.reduce(
+    (sum, folder) => sum + (folder.selected ? folder.bookmarks.filter((bm) => bm.selected).length : 0),
+    0
+  );
+
+  /**
+   * Update one folder by key
+   */
+  const updateFolder = (key, changes) => {
+    setFolders((current) => current.map((folder) => (
+      folder.key === key ? { ...folder, ...changes } : folder
+    )));
+  };
+
+  /**
+   * Toggle one bookmark inside a folder
+   */
+  const toggleBookmark = (key, index) => {
+    setFolders((current) => current.map((folder) => {
+      if (folder.key !== key) return folder;
+      return {
+        ...folder,
+        bookmarks: folder.bookmarks.map((bm, i) => (i === index ? { ...bm, selected: !bm.selected } : bm))
+      };
+    }));
+  };
+
+  /**
+   * Send only ticked folders/bookmarks with their (possibly renamed) targets
+   */
+  const handleCommit = () => {
+    onCommit({
+      pageId: usesTargetPage ? pageId : null,
+      folders: folders
+        .filter((folder) => folder.selected)
+        .map((folder) => ({
+          folderPath: folder.folderPath,
+          pageName: folder.pageName,
+          sectionName: folder.sectionName,
+          groupName: folder.groupName,
+          bookmarks: folder.bookmarks
+            .filter((bm) => bm.selected)
+            .map(({ title, url, description, tags }) => ({ title, url, description, tags }))
+        }))
+        .filter((folder) => folder.bookmarks.length > 0)
+    });
+  };
+
+  const hasEmptyName = folders.some((folder) => folder.selected && (
+    !folder.sectionName.trim() || !folder.groupName.trim() || (folder.pageName !== null && !folder.pageName.trim())
+  ));
+
+  return (
+    <>
+      <h2 style={styles.title}>🔍 Review Import</h2>
+
+      <p style={styles.description}>
+        {preview.format && `${preview.format.label}: `}
+        {preview.stats.bookmarks} bookmarks in {preview.stats.folders} folder{preview.stats.folders !== 1 ? 's' : ''}
+        {preview.stats.duplicates > 0 && ` — ${preview.stats.duplicates} already in PinGrid (unticked)`}
+        {preview.format?.rejected > 0 && ` — ${preview.format.rejected} invalid entries ignored`}
+      </p>
+
+      {usesTargetPage && (
+        <label style={styles.pageSelect}>
+          <span>Destination page</span>
+          <select
+            value={pageId}
+            onChange={(e) => setPageId(e.target.value)}
+            disabled={loading}
+            style={styles.select}
+          >
+            {pages.map((page) => (
+              <option key={page.id} value={page.id}>{page.icon} {page.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div style={styles.folderList}>
+        {folders.map((folder) => {
+          const ticked = folder.bookmarks.filter((bm) => bm.selected).length;
+          const isExpanded = expanded[folder.key];
+
+          return (
+            <div key={folder.key} style={{ ...styles.folder, ...(!folder.selected && styles.folderDisabled) }}>
+              <div style={styles.folderHeader}>
+                <input
+                  type="checkbox"
+                  checked={folder.selected}
+                  onChange={() => updateFolder(folder.key, { selected: !folder.selected })}
+                  disabled={loading}
+                />
+                <span style={styles.folderPath}>
+                  📁 {folder.folderPath.length > 0 ? folder.folderPath.join(' / ') : 'All bookmarks'}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setExpanded({ ...expanded, [folder.key]: !isExpanded })}
+                  style={styles.expandButton}
+                >
+                  {ticked}/{folder.bookmarks.length} {isExpanded ? '▾' : '▸'}
+                </button>
+              </div>
+
+              <div style={styles.targets}>
+                {folder.pageName !== null && (
+                  <input
+                    value={folder.pageName}
+                    onChange={(e) => updateFolder(folder.key, { pageName: e.target.value })}
+                    disabled={loading || !folder.selected}
+                    maxLength={100}
+                    title="Page"
+                    style={styles.targetInput}
+                  />
+                )}
+                <input
+                  value={folder.sectionName}
+                  onChange={(e) => updateFolder(folder.key, { sectionName: e.target.value })}
+                  disabled={loading || !folder.selected}
+                  maxLength={100}
+                  title="Section"
+                  style={styles.targetInput}
+                />
+                <input
+                  value={folder.groupName}
+                  onChange={(e) => updateFolder(folder.key, { groupName: e.target.value })}
+                  disabled={loading || !folder.selected}
+                  maxLength={100}
+                  title="Group"
+                  style={styles.targetInput}
+                />
+              </div>
+
+              {isExpanded && (
+                <ul style={styles.bookmarkList}>
+                  {folder.bookmarks.map((bm, index) => (
+                    <li key={`${bm.url}-${index}`} style={styles.bookmarkRow}>
+                      <input
+                        type="checkbox"
+                        checked={bm.selected}
+                        onChange={() => toggleBookmark(folder.key, index)}
+                        disabled={loading || !folder.selected}
+                      />
+                      <span style={styles.bookmarkTitle} title={bm.url}>{bm.title}</span>
+                      {bm.duplicate && (
+                        <span
+                          style={styles.duplicateBadge}
+                          title={bm.existing
+                            ? `Already in ${bm.existing.page_name} / ${bm.existing.section_name} / ${bm.existing.group_name}`
+                            : 'Appears more than once in this file'}
+                        >
+                          Duplicate
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={styles.buttons}>
+        <button onClick={onBack} disabled={loading} style={styles.cancelButton}>
+          Back
+        </button>
+        <button
+          onClick={handleCommit}
+          disabled={loading || selectedCount === 0 || hasEmptyName || (usesTargetPage && !pageId)}
+          style={{
+            ...styles.importButton,
+            ...((loading || selectedCount === 0 || hasEmptyName) && styles.importButtonDisabled)
+          }}
+        >
+          {loading ? 'Importing...' : `Import ${selectedCount} bookmark${selectedCount !== 1 ? 's' : ''}`}
+        </button>
+      </div>
+    </>
+  );
+}
+
+// Styles
+const styles = {
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  description: {
+    margin: '0 0 16px 0',
+    color: '#666',
+    fontSize: '14px'
+  },
+  pageSelect: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '12px',
+    fontSize: '14px',
+    color: '#333'
+  },
+  select: {
+    flex: 1,
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    fontSize: '14px'
+  },
+  folderList: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    maxHeight: '45vh',
+    overflowY: 'auto',
+    marginBottom: '16px'
+  },
+  folder: {
+    padding: '10px 12px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '8px',
+    backgroundColor: '#fafafa'
+  },
+  folderDisabled: {
+    opacity: 0.5
+  },
+  folderHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px'
+  },
+  folderPath: {
+    flex: 1,
+    fontWeight: '500',
+    color: '#333',
+    fontSize: '14px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  expandButton: {
+    border: 'none',
+    background: 'none',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  targets: {
+    display: 'flex',
+    gap: '6px',
+    marginTop: '8px'
+  },
+  targetInput: {
+    flex: 1,
+    minWidth: 0,
+    padding: '4px 8px',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '13px'
+  },
+  bookmarkList: {
+    listStyle: 'none',
+    margin: '8px 0 0 0',
+    padding: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  },
+  bookmarkRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '13px'
+  },
+  bookmarkTitle: {
+    flex: 1,
+    color: '#333',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  duplicateBadge: {
+    padding: '1px 6px',
+    borderRadius: '4px',
+    backgroundColor: '#fff3e0',
+    color: '#e65100',
+    fontSize: '11px',
+    fontWeight: '500'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  importButton: {
+    padding: '10px 24px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#007bff',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  importButtonDisabled: {
+    backgroundColor: '#ccc',
+    cursor: 'not-allowed'
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * Percentage helper (0 when nothing to do yet)
+ */
+const percent = (done, total) => (total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 0);
+
+/**
+ * ImportProgress Component
+ *
+ * Live progress of a background import job (polled by ImportDialog)
+ * - Phase 1: bookmarks inserted
+ * - Phase 2: favicons resolved (bookmarks already visible with the default icon)
+ */
+export default function ImportProgress({ job }) {
+  const { phase, progress } = job;
+  const importing = phase === 'importing';
+
+  const bars = [
+    {
+      label: 'Bookmarks',
+      done: importing ? progress.processed : progress.total,
+      total: progress.total,
+      active: importing
+    },
+    {
+      label: 'Favicons',
+      done: progress.favicons_done,
+      total: progress.favicons_total,
+      active: phase === 'favicons'
+    }
+  ];
+
+  return (
+    <div style={styles.container}>
+      <h2 style={styles.title}>⏳ Importing...</h2>
+
+      {bars.map((bar) => (
+        <div key={bar.label} style={styles.barBlock}>
+          <div style={styles.barHeader}>
+            <span style={{ ...styles.barLabel, ...(bar.active && styles.barLabelActive) }}>{bar.label}</span>
+            <span style={styles.barCount}>
+              {bar.total > 0 || !importing ? `${bar.done} / ${bar.total}` : 'Waiting...'}
+            </span>
+          </div>
+          <div style={styles.track}>
+            <div style={{ ...styles.fill, width: `${percent(bar.done, bar.total)}%` }} />
+          </div>
+        </div>
+      ))}
+
+      <p style={styles.hint}>
+        {importing
+          ? 'Creating pages, sections, groups and bookmarks...'
+          : 'Bookmarks are imported. Fetching favicons, you can keep using PinGrid.'}
+      </p>
+    </div>
+  );
+}
+
+// Styles
+const styles = {
+  container: {
+    padding: '8px 0'
+  },
+  title: {
+    margin: '0 0 24px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  barBlock: {
+    marginBottom: '16px'
+  },
+  barHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    marginBottom: '6px',
+    fontSize: '14px'
+  },
+  barLabel: {
+    color: '#999',
+    fontWeight: '500'
+  },
+  barLabelActive: {
+    color: '#333'
+  },
+  barCount: {
+    color: '#666'
+  },
+  track: {
+    height: '8px',
+    borderRadius: '4px',
+    backgroundColor: '#eee',
+    overflow: 'hidden'
+  },
+  fill: {
+    height: '100%',
+    backgroundColor: '#007bff',
+    borderRadius: '4px',
+    transition: 'width 0.3s ease'
+  },
+  hint: {
+    margin: '8px 0 0 0',
+    color: '#999',
+    fontSize: '13px',
+    textAlign: 'center'
+  }
+};
@@ -3,12 +3,21 @@
  *
  * Displays results of bookmark import
  * - Statistics (imported, skipped, failed)
- * - Section and group information
+ * - Section and group information (HTML import, single group)
+ * - Pages, sections and groups created from browser folders (HTML import)
+ * - Per-group outcome of a previewed import (commit step)
+ * - Detected source format (browser HTML, Pocket, Raindrop, Pinboard, OneTab, URL list)
+ * - Created/merged pages, sections and groups (PinGrid JSON restore)
  * - Success message and close button
  */
 export default function ImportReport({ result, onClose }) {
   const { section, group, imported, skipped, failed, total } = result;
 
+  // JSON restores report a mode, HTML imports created page/section/group lists
+  const isRestore = Boolean(result.mode);
+  const isFolderImport = !isRestore && Array.isArray(result.groups) && result.mapping !== 'single';
+  const groupOutcomes = isFolderImport ? result.groups.filter((g) => g.imported !== undefined) : [];
+
   const hasErrors = failed > 0;
   const allSkipped = imported === 0 && skipped > 0;
 
@@ -60,17 +69,83 @@ export default function ImportReport({ result, onClose }) {
         Total processed: <strong>{total}</strong> bookmarks
       </div>
 
-      {/* Section and Group Info */}
-      <div style={styles.infoBox}>
-        <div style={styles.infoRow}>
-          <span style={styles.infoLabel}>📦 Section:</span>
-          <span style={styles.infoValue}>{section.name}</span>
+      {/* Source format */}
+      {result.format && (
+        <div style={styles.formatInfo}>
+          📑 {result.format.label} — {result.format.parsed} parsed
+          {result.format.rejected > 0 && `, ${result.format.rejected} invalid entries ignored`}
         </div>
-        <div style={styles.infoRow}>
-          <span style={styles.infoLabel}>🗂️ Group:</span>
-          <span style={styles.infoValue}>{group.name}</span>
+      )}
+
+      {/* Section and Group Info (HTML import) */}
+      {!isFolderImport && !isRestore && section && group && (
+        <div style={styles.infoBox}>
+          <div style={styles.infoRow}>
+            <span style={styles.infoLabel}>📦 Section:</span>
+            <span style={styles.infoValue}>{section.name}</span>
+          </div>
+          <div style={styles.infoRow}>
+            <span style={styles.infoLabel}>🗂️ Group:</span>
+            <span style={styles.infoValue}>{group.name}</span>
+          </div>
         </div>
-      </div>
+      )}
+
+      {/* Folder structure Info (HTML import with folders) */}
+      {isFolderImport && (
+        <div style={styles.infoBox}>
+          {[
+            ['📄 Pages:', result.pages],
+            ['📦 Sections:', result.sections],
+            ['🗂️ Groups:', result.groups]
+          ].filter(([, items]) => items.length > 0).map(([label, items]) => (
+            <div key={label} style={styles.infoRow}>
+              <span style={styles.infoLabel}>{label}</span>
+              <span style={styles.infoValue}>
+                {items.length} created ({items.slice(0, 3).map((item) => item.name).join(', ')}{items.length > 3 ? ', …' : ''})
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Per-group outcome (previewed import) */}
+      {groupOutcomes.length > 0 && (
+        <div style={styles.outcomeList}>
+          {groupOutcomes.map((g) => (
+            <div key={g.id} style={styles.infoRow}>
+              <span style={styles.infoLabel}>{g.section_name ? `${g.section_name} / ${g.name}` : g.name}</span>
+              <span style={styles.infoValue}>
+                {g.imported} imported
+                {g.skipped > 0 && `, ${g.skipped} skipped`}
+                {g.failed > 0 && `, ${g.failed} failed`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Hierarchy Info (JSON restore) */}
+      {isRestore && result.pages && (
+        <div style={styles.infoBox}>
+          <div style={styles.infoRow}>
+            <span style={styles.infoLabel}>🔁 Mode:</span>
+            <span style={styles.infoValue}>{result.mode === 'replace' ? 'Replace' : 'Merge'}</span>
+          </div>
+          {[
+            ['📄 Pages:', result.pages],
+            ['📦 Sections:', result.sections],
+            ['🗂️ Groups:', result.groups]
+          ].map(([label, counts]) => (
+            <div key={label} style={styles.infoRow}>
+              <span style={styles.infoLabel}>{label}</span>
+              <span style={styles.infoValue}>
+                {counts.created} created{counts.merged > 0 ? `, ${counts.merged} merged` : ''}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
 
       {/* Messages */}
       {allSkipped && (
@@ -177,6 +252,20 @@ const styles = {
     fontSize: '14px',
     color: '#666'
   },
+  formatInfo: {
+    marginBottom: '16px',
+    color: '#666',
+    fontSize: '13px'
+  },
+  outcomeList: {
+    maxHeight: '160px',
+    overflowY: 'auto',
+    padding: '12px 16px',
+    marginBottom: '20px',
+    border: '1px solid #e0e0e0',
+    borderRadius: '8px',
+    textAlign: 'left'
+  },
   infoBox: {
     padding: '16px',
     backgroundColor: '#f8f9fa',
@@ -0,0 +1,409 @@
+import { useEffect, useState } from 'react';
+import { useAuthStore } from '../auth/store/authStore';
+import { useBookmarksStore } from '../bookmarks/store/bookmarksStore';
+import linkHealthService from './services/linkHealthService';
+
+// Delay between two summary refreshes while a check is running
+const CHECK_POLL_INTERVAL = 3000;
+
+const TABS = [
+  { value: 'broken', label: 'Broken' },
+  { value: 'redirected', label: 'Redirected' }
+];
+
+/**
+ * LinkHealthDialog Component
+ *
+ * Dead-link checker overview
+ * - Summary (ok / redirected / broken / never checked)
+ * - Start a check (runs in background, summary refreshed while running)
+ * - Broken and redirected bookmarks with their location
+ * - Fix redirects: rewrite URLs to their final destination (one or all)
+ */
+export default function LinkHealthDialog({ isOpen, onClose }) {
+  const { getToken } = useAuthStore();
+  const [health, setHealth] = useState(null);
+  const [tab, setTab] = useState('broken');
+  const [loading, setLoading] = useState(false);
+  const [fixing, setFixing] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  /**
+   * Load summary + broken/redirected bookmarks
+   */
+  const loadHealth = async () => {
+    try {
+      const response = await linkHealthService.getHealth(null, getToken());
+      setHealth(response.data.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load link health');
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    setLoading(true);
+    loadHealth().finally(() => setLoading(false));
+    return undefined;
+  }, [isOpen]);
+
+  // Refresh while a background check is running
+  useEffect(() => {
+    if (!isOpen || !health?.checking) return undefined;
+
+    const timer = setTimeout(loadHealth, CHECK_POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [isOpen, health]);
+
+  /**
+   * Start a background check (force = also re-check recently checked links)
+   */
+  const handleCheck = async (force) => {
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await linkHealthService.check(force, getToken());
+      setMessage(response.data.message);
+      await loadHealth();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to start link check');
+    }
+  };
+
+  /**
+   * Rewrite redirected URLs (one bookmark or all), then refresh affected groups
+   */
+  const handleFixRedirects = async (bookmarkIds = null) => {
+    setFixing(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await linkHealthService.fixRedirects(bookmarkIds, getToken());
+      setMessage(response.data.message);
+
+      // Reload groups currently displayed so cards show the new URLs
+      const { bookmarksByGroup, fetchBookmarks } = useBookmarksStore.getState();
+      const groupIds = new Set(
+        (health?.bookmarks || [])
+          .filter((b) => !bookmarkIds || bookmarkIds.includes(b.id))
+          .map((b) => b.group_id)
+      );
+      await Promise.all([...groupIds].filter((id) => bookmarksByGroup[id]).map((id) => fetchBookmarks(id)));
+
+      await loadHealth();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to fix redirects');
+    } finally {
+      setFixing(false);
+    }
+  };
+
+  /**
+   * Close dialog and reset state
+   */
+  const handleClose = () => {
+    setMessage('');
+    setError('');
+    setTab('broken');
+    onClose();
+  };
+
+  // Don't render if not open
+  if (!isOpen) return null;
+
+  const summary = health?.summary;
+  const items = (health?.bookmarks || []).filter((b) => b.status === tab);
+  const lastChecked = summary?.last_checked_at ? new Date(summary.last_checked_at).toLocaleString() : 'never';
+
+  return (
+    <div style={styles.overlay} onClick={handleClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <h2 style={styles.title}>🩺 Link Health</h2>
+
+        <p style={styles.description}>
+          Links are checked automatically in the background. Last check: {lastChecked}
+          {health?.checking && ' — checking now...'}
+        </p>
+
+        {loading && !health ? (
+          <div style={styles.empty}>Loading...</div>
+        ) : summary && (
+          <div style={styles.stats}>
+            {[
+              ['OK', summary.ok, '#4caf50'],
+              ['Redirected', summary.redirected, '#ff9800'],
+              ['Broken', summary.broken, '#f44336'],
+              ['Not checked', summary.unchecked, '#9e9e9e']
+            ].map(([label, count, color]) => (
+              <div key={label} style={{ ...styles.statCard, borderColor: color }}>
+                <div style={{ ...styles.statNumber, color }}>{count}</div>
+                <div style={styles.statLabel}>{label}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={styles.tabs}>
+          {TABS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setTab(option.value)}
+              style={{ ...styles.tab, ...(tab === option.value && styles.tabActive) }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div style={styles.list}>
+          {items.length === 0 ? (
+            <div style={styles.empty}>
+              {tab === 'broken' ? 'No broken links found.' : 'No redirected links found.'}
+            </div>
+          ) : items.map((item) => (
+            <div key={item.id} style={styles.row}>
+              <div style={styles.rowMain}>
+                <div style={styles.rowTitle}>{item.title}</div>
+                <a href={item.url} target="_blank" rel="noopener noreferrer" style={styles.rowUrl}>{item.url}</a>
+                {tab === 'redirected' && item.final_url && (
+                  <div style={styles.rowFinal}>→ {item.final_url}</div>
+                )}
+                <div style={styles.rowMeta}>
+                  {item.page_name} / {item.section_name} / {item.group_name}
+                  {tab === 'broken' && ` — ${item.error || `HTTP ${item.status_code}`}`}
+                </div>
+              </div>
+              {tab === 'redirected' && (
+                <button
+                  onClick={() => handleFixRedirects([item.id])}
+                  disabled={fixing}
+                  style={styles.rowButton}
+                >
+                  Fix
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {message && <div style={styles.message}>{message}</div>}
+        {error && <div style={styles.error}>⚠️ {error}</div>}
+
+        <div style={styles.buttons}>
+          <button onClick={handleClose} style={styles.cancelButton}>
+            Close
+          </button>
+          <button
+            onClick={() => handleCheck(true)}
+            disabled={health?.checking}
+            style={{ ...styles.secondaryButton, ...(health?.checking && styles.buttonDisabled) }}
+          >
+            {health?.checking ? 'Checking...' : 'Check all links'}
+          </button>
+          {summary?.redirected > 0 && (
+            <button
+              onClick={() => handleFixRedirects(null)}
+              disabled={fixing}
+              style={{ ...styles.primaryButton, ...(fixing && styles.buttonDisabled) }}
+            >
+              {fixing ? 'Fixing...' : `Fix ${summary.redirected} redirect${summary.redirected !== 1 ? 's' : ''}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '32px',
+    maxWidth: '640px',
+    width: '90%',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  description: {
+    margin: '0 0 20px 0',
+    color: '#666',
+    fontSize: '14px'
+  },
+  stats: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(4, 1fr)',
+    gap: '8px',
+    marginBottom: '20px'
+  },
+  statCard: {
+    padding: '12px',
+    border: '2px solid',
+    borderRadius: '10px',
+    textAlign: 'center'
+  },
+  statNumber: {
+    fontSize: '24px',
+    fontWeight: '700'
+  },
+  statLabel: {
+    fontSize: '12px',
+    color: '#666'
+  },
+  tabs: {
+    display: 'flex',
+    gap: '4px',
+    borderBottom: '1px solid #e0e0e0',
+    marginBottom: '12px'
+  },
+  tab: {
+    padding: '8px 16px',
+    border: 'none',
+    borderBottom: '2px solid transparent',
+    background: 'none',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  tabActive: {
+    color: '#007bff',
+    borderBottomColor: '#007bff'
+  },
+  list: {
+    maxHeight: '40vh',
+    overflowY: 'auto',
+    marginBottom: '16px'
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '10px 0',
+    borderBottom: '1px solid #f0f0f0'
+  },
+  rowMain: {
+    flex: 1,
+    minWidth: 0
+  },
+  rowTitle: {
+    fontWeight: '500',
+    color: '#333',
+    fontSize: '14px'
+  },
+  rowUrl: {
+    display: 'block',
+    color: '#007bff',
+    fontSize: '12px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  rowFinal: {
+    color: '#e65100',
+    fontSize: '12px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  rowMeta: {
+    color: '#999',
+    fontSize: '12px'
+  },
+  rowButton: {
+    padding: '6px 12px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#333',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  empty: {
+    padding: '24px',
+    textAlign: 'center',
+    color: '#999',
+    fontSize: '14px'
+  },
+  message: {
+    padding: '10px 12px',
+    backgroundColor: '#e8f5e9',
+    borderRadius: '8px',
+    color: '#2e7d32',
+    marginBottom: '12px',
+    fontSize: '13px'
+  },
+  error: {
+    padding: '12px',
+    backgroundColor: '#fee',
+    border: '1px solid #fcc',
+    borderRadius: '8px',
+    color: '#c00',
+    marginBottom: '12px',
+    fontSize: '14px'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  secondaryButton: {
+    padding: '10px 20px',
+    border: '1px solid #007bff',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#007bff',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  primaryButton: {
+    padding: '10px 24px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#007bff',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  }
+};
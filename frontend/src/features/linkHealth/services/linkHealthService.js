@@ -0,0 +1,66 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Link Health Service
+ * Gère les appels API du contrôle des liens morts / redirigés
+ *
+ * Toutes les méthodes nécessitent un token JWT (passé via authStore.getToken())
+ */
+const linkHealthService = {
+  /**
+   * Résumé ok / redirected / broken + bookmarks concernés
+   * GET /api/bookmarks/health
+   * @param {string|null} status - Filtre ('broken' | 'redirected' | 'ok'), défaut broken + redirected
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { summary, bookmarks, checking } }
+   */
+  async getHealth(status, token) {
+    const response = await axios.get(`${API_URL}/api/bookmarks/health`, {
+      params: status ? { status } : {},
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Lancer un contrôle des liens (arrière-plan)
+   * POST /api/bookmarks/health/check
+   * @param {boolean} force - Recontrôler aussi les liens contrôlés récemment
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { queued, alreadyRunning } }
+   */
+  async check(force, token) {
+    const response = await axios.post(`${API_URL}/api/bookmarks/health/check`, { force }, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Remplacer les URLs redirigées par leur destination finale
+   * POST /api/bookmarks/health/fix-redirects
+   * @param {Array<string>|null} bookmarkIds - Bookmarks à corriger (null = tous)
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { fixed, bookmarks } }
+   */
+  async fixRedirects(bookmarkIds, token) {
+    const response = await axios.post(
+      `${API_URL}/api/bookmarks/health/fix-redirects`,
+      bookmarkIds ? { bookmarkIds } : {},
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    return response;
+  }
+};
+
+export default linkHealthService;
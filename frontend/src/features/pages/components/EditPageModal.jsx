@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { usePagesStore } from '../store/pagesStore';
+import { useWorkspacesStore } from '../../workspaces/store/workspacesStore';
 
 /**
  * EditPageModal Component
@@ -9,11 +10,17 @@ import { usePagesStore } from '../store/pagesStore';
  * - Form pré-rempli avec données de la page
  * - Validation: name requis, max 100 chars
  * - Submit → updatePage action
+ * - Owner: déplacer la page vers un autre workspace (movePage)
  * - Afficher error si échec (ex: nom déjà existant)
  * - Close modal après success
  */
 export default function EditPageModal({ isOpen, onClose, page }) {
-  const { updatePage, loading, error, clearError } = usePagesStore();
+  const { updatePage, movePage, loading, error, clearError } = usePagesStore();
+  const { workspaces, getCurrentRole } = useWorkspacesStore();
+
+  // Déplacement réservé aux owners, vers un workspace où le user peut éditer
+  const canMove = getCurrentRole() === 'owner';
+  const moveTargets = workspaces.filter(w => w.role !== 'viewer');
 
   const [formData, setFormData] = useState({
     name: '',
@@ -21,6 +28,7 @@ export default function EditPageModal({ isOpen, onClose, page }) {
     color: '#667eea'
   });
 
+  const [workspaceId, setWorkspaceId] = useState('');
   const [formError, setFormError] = useState('');
 
   // Liste d'emojis suggérés
@@ -50,6 +58,7 @@ export default function EditPageModal({ isOpen, onClose, page }) {
         icon: page.icon,
         color: page.color
       });
+      setWorkspaceId(page.workspace_id || '');
     }
   }, [page]);
 
@@ -74,7 +83,11 @@ export default function EditPageModal({ isOpen, onClose, page }) {
     }
 
     // Appel API
-    const result = await updatePage(page.id, formData);
+    let result = await updatePage(page.id, formData);
+
+    if (result.success && workspaceId !== (page.workspace_id || '')) {
+      result = await movePage(page.id, workspaceId || null);
+    }
 
     if (result.success) {
       setFormError('');
@@ -189,6 +202,26 @@ export default function EditPageModal({ isOpen, onClose, page }) {
             />
           </div>
 
+          {/* Workspace */}
+          {canMove && (
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Workspace</label>
+              <select
+                value={workspaceId}
+                onChange={(e) => setWorkspaceId(e.target.value)}
+                style={styles.input}
+                disabled={loading}
+              >
+                <option value="">👤 Personal</option>
+                {moveTargets.map((workspace) => (
+                  <option key={workspace.id} value={workspace.id}>
+                    {workspace.icon} {workspace.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Preview */}
           <div style={styles.preview}>
             <div style={styles.previewLabel}>Preview:</div>
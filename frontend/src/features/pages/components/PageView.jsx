@@ -4,6 +4,7 @@ import { useSectionsStore } from '../../sections/store/sectionsStore';
 import { useSearchStore } from '../../../shared/store/searchStore';
 import SectionList from '../../sections/components/SectionList';
 import SearchResultsView from '../../../shared/components/SearchResultsView';
+import TagFilterBanner from '../../tags/components/TagFilterBanner';
 import CreateSectionModal from '../../sections/components/CreateSectionModal';
 import EditSectionModal from '../../sections/components/EditSectionModal';
 
@@ -37,7 +38,7 @@ export default function PageView() {
   };
 
   const handleDeleteSection = async (section) => {
-    if (window.confirm(`Delete section "${section.name}"? This action cannot be undone.`)) {
+    if (window.confirm(`Delete section "${section.name}"? It will be moved to the trash.`)) {
       await deleteSection(section.id, currentPage.id);
     }
   };
@@ -64,12 +65,15 @@ export default function PageView() {
       {isSearchActive ? (
         <SearchResultsView />
       ) : (
-        <SectionList
-          pageId={currentPage.id}
-          onCreateClick={handleCreateSection}
-          onEditClick={handleEditSection}
-          onDeleteClick={handleDeleteSection}
-        />
+        <>
+          <TagFilterBanner />
+          <SectionList
+            pageId={currentPage.id}
+            onCreateClick={handleCreateSection}
+            onEditClick={handleEditSection}
+            onDeleteClick={handleDeleteSection}
+          />
+        </>
       )}
 
       {/* Modals */}
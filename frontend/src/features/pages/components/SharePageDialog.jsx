@@ -0,0 +1,347 @@
+import { useEffect, useState } from 'react';
+import { useAuthStore } from '../../auth/store/authStore';
+import { useTheme } from '../../../shared/theme/useTheme';
+import pagesService from '../services/pagesService';
+
+/**
+ * Public URL of a share slug (served by the frontend route /p/:slug)
+ */
+function getShareUrl(slug) {
+  return `${window.location.origin}/p/${slug}`;
+}
+
+/**
+ * SharePageDialog Component
+ *
+ * Read-only public link for a page ("Team Links" for people without an account)
+ * - Create the link: the page is rendered with the owner's current theme
+ * - Copy the link, see how many times it was viewed
+ * - Rotate: new link, the old one stops working (view count restarts)
+ * - Revoke: the page is private again
+ *
+ * @param {boolean} isOpen - Dialog visibility
+ * @param {function} onClose - Close callback
+ * @param {object} page - Page to share { id, name, icon }
+ */
+export default function SharePageDialog({ isOpen, onClose, page }) {
+  const { getToken } = useAuthStore();
+  const { currentThemeId, allThemes } = useTheme();
+  const [share, setShare] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !page) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setShare(null);
+
+    pagesService.getShare(page.id, getToken())
+      .then((response) => {
+        if (!cancelled) setShare(response.data.data.share);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message || 'Failed to load share link');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, page?.id]);
+
+  /**
+   * Run a share action and show its result
+   */
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    setMessage('');
+    setError('');
+
+    try {
+      await action();
+      setMessage(successMessage);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Share action failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleShare = () => runAction(async () => {
+    const response = await pagesService.share(page.id, currentThemeId, getToken());
+    setShare(response.data.data.share);
+  }, share ? 'Public page now uses your current theme' : 'Public link created');
+
+  const handleRotate = () => {
+    if (!window.confirm('Generate a new link? The current link will stop working.')) return;
+    runAction(async () => {
+      const response = await pagesService.rotateShare(page.id, getToken());
+      setShare(response.data.data.share);
+    }, 'New link generated, the previous one no longer works');
+  };
+
+  const handleRevoke = () => {
+    if (!window.confirm(`Stop sharing "${page.name}"? The link will stop working.`)) return;
+    runAction(async () => {
+      await pagesService.revokeShare(page.id, getToken());
+      setShare(null);
+    }, 'Sharing revoked');
+  };
+
+  const handleCopy = () => runAction(
+    () => navigator.clipboard.writeText(getShareUrl(share.slug)),
+    'Link copied to clipboard'
+  );
+
+  /**
+   * Close dialog and reset state
+   */
+  const handleClose = () => {
+    setMessage('');
+    setError('');
+    onClose();
+  };
+
+  // Don't render if not open
+  if (!isOpen || !page) return null;
+
+  const themeName = (themeId) => allThemes.find((t) => t.id === themeId)?.name || themeId || 'Default';
+
+  return (
+    <div style={styles.overlay} onClick={handleClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <h2 style={styles.title}>🔗 Share "{page.icon} {page.name}"</h2>
+
+        <p style={styles.description}>
+          Anyone with the link can view this page without an account. They can open
+          the bookmarks but cannot change anything.
+        </p>
+
+        {loading ? (
+          <div style={styles.empty}>Loading...</div>
+        ) : share ? (
+          <div style={styles.shareBox}>
+            <div style={styles.linkRow}>
+              <input
+                type="text"
+                readOnly
+                value={getShareUrl(share.slug)}
+                onFocus={(e) => e.target.select()}
+                style={styles.linkInput}
+              />
+              <button onClick={handleCopy} disabled={busy} style={styles.primaryButton}>
+                Copy
+              </button>
+            </div>
+
+            <div style={styles.stats}>
+              <span>👁️ {share.view_count} view{share.view_count !== 1 ? 's' : ''}</span>
+              {share.last_viewed_at && (
+                <span>Last viewed {new Date(share.last_viewed_at).toLocaleString()}</span>
+              )}
+              <span>Shared {new Date(share.rotated_at || share.created_at).toLocaleDateString()}</span>
+            </div>
+
+            <div style={styles.themeRow}>
+              <span>🎨 Theme: {themeName(share.theme_id)}</span>
+              {share.theme_id !== currentThemeId && (
+                <button onClick={handleShare} disabled={busy} style={styles.linkButton}>
+                  Use my current theme ({themeName(currentThemeId)})
+                </button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div style={styles.empty}>This page is private.</div>
+        )}
+
+        {message && <div style={styles.message}>{message}</div>}
+        {error && <div style={styles.error}>⚠️ {error}</div>}
+
+        <div style={styles.buttons}>
+          {share && (
+            <>
+              <button
+                onClick={handleRevoke}
+                disabled={busy}
+                style={{ ...styles.dangerButton, ...(busy && styles.buttonDisabled) }}
+              >
+                Revoke
+              </button>
+              <button
+                onClick={handleRotate}
+                disabled={busy}
+                style={{ ...styles.cancelButton, ...(busy && styles.buttonDisabled) }}
+              >
+                New Link
+              </button>
+            </>
+          )}
+          {!share && !loading && (
+            <button
+              onClick={handleShare}
+              disabled={busy}
+              style={{ ...styles.primaryButton, ...(busy && styles.buttonDisabled) }}
+            >
+              {busy ? 'Creating...' : 'Create Public Link'}
+            </button>
+          )}
+          <button onClick={handleClose} style={styles.cancelButton}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '32px',
+    maxWidth: '560px',
+    width: '90%',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  description: {
+    margin: '0 0 20px 0',
+    color: '#666',
+    fontSize: '14px'
+  },
+  shareBox: {
+    border: '1px solid #e0e0e0',
+    borderRadius: '10px',
+    padding: '16px',
+    marginBottom: '16px'
+  },
+  linkRow: {
+    display: 'flex',
+    gap: '8px'
+  },
+  linkInput: {
+    flex: 1,
+    minWidth: 0,
+    padding: '8px 12px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    fontSize: '13px',
+    fontFamily: 'monospace',
+    color: '#333',
+    backgroundColor: '#fafafa'
+  },
+  stats: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
+    marginTop: '12px',
+    color: '#666',
+    fontSize: '13px'
+  },
+  themeRow: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '12px',
+    marginTop: '8px',
+    color: '#666',
+    fontSize: '13px'
+  },
+  linkButton: {
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    color: '#007bff',
+    cursor: 'pointer',
+    fontSize: '13px'
+  },
+  empty: {
+    padding: '24px',
+    textAlign: 'center',
+    color: '#999',
+    fontSize: '14px'
+  },
+  message: {
+    padding: '10px 12px',
+    backgroundColor: '#e8f5e9',
+    borderRadius: '8px',
+    color: '#2e7d32',
+    marginBottom: '12px',
+    fontSize: '13px'
+  },
+  error: {
+    padding: '12px',
+    backgroundColor: '#fee',
+    border: '1px solid #fcc',
+    borderRadius: '8px',
+    color: '#c00',
+    marginBottom: '12px',
+    fontSize: '14px'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  dangerButton: {
+    padding: '10px 20px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#dc3545',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  primaryButton: {
+    padding: '10px 20px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#007bff',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  }
+};
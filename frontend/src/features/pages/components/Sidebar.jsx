@@ -3,9 +3,13 @@ import { useAuthStore } from '../../auth/store/authStore';
 import { usePagesStore } from '../store/pagesStore';
 import { useViewModeStore } from '../../../shared/store/viewModeStore';
 import { useSearchStore } from '../../../shared/store/searchStore';
+import { useHistoryStore } from '../../../shared/store/historyStore';
+import { useBookmarkSelectionStore } from '../../bookmarks/store/bookmarkSelectionStore';
+import { useWorkspacesStore } from '../../workspaces/store/workspacesStore';
 import { useTheme } from '../../../shared/theme/useTheme';
 import { useNavigate } from 'react-router-dom';
 import ThemeSwitcher from '../../../shared/components/ThemeSwitcher';
+import TagList from '../../tags/components/TagList';
 import {
   ChevronsLeft,
   ChevronsRight,
@@ -15,8 +19,17 @@ import {
   Pencil,
   LayoutDashboard,
   Download,
+  Upload,
   Plus,
-  Trash
+  Trash,
+  Activity,
+  Copy,
+  Trash2,
+  History,
+  BarChart3,
+  Share2,
+  Users,
+  ShieldCheck
 } from 'lucide-react';
 
 /**
@@ -69,6 +82,46 @@ function FontSizeSlider() {
   );
 }
 
+/**
+ * Workspace Switcher - Inline component for sidebar
+ * Personal pages or a team workspace, plus access to the Workspaces dialog
+ */
+function WorkspaceSwitcher({ onManageClick }) {
+  const { workspaces, invitations, currentWorkspaceId, setCurrentWorkspace } = useWorkspacesStore();
+  const { theme } = useTheme();
+
+  return (
+    <div style={styles.workspaceSwitcher}>
+      <select
+        value={currentWorkspaceId || ''}
+        onChange={(e) => setCurrentWorkspace(e.target.value || null)}
+        style={{
+          ...styles.workspaceSelect,
+          backgroundColor: theme.colors.cardBg,
+          borderColor: theme.colors.border,
+          color: theme.colors.textPrimary
+        }}
+        title="Switch workspace"
+      >
+        <option value="">👤 Personal</option>
+        {workspaces.map((workspace) => (
+          <option key={workspace.id} value={workspace.id}>
+            {workspace.icon} {workspace.name}
+          </option>
+        ))}
+      </select>
+      {onManageClick && (
+        <button onClick={onManageClick} style={styles.workspaceButton} title="Manage workspaces">
+          <Users size={16} />
+          {invitations.length > 0 && (
+            <span style={styles.invitationBadge}>{invitations.length}</span>
+          )}
+        </button>
+      )}
+    </div>
+  );
+}
+
 /**
  * SearchBar - Inline component for searching bookmarks
  */
@@ -204,27 +257,46 @@ const sliderStyles = {
  * Features:
  * - Collapse/expand button
  * - Edit/View mode toggle
- * - Page navigation list
+ * - Page navigation list (share / edit / delete actions)
  * - Active page indicator
- * - User profile at bottom
+ * - Tag list (click to filter the current page)
+ * - User profile at bottom (opens account settings)
  */
 export default function Sidebar({
   onCreateClick,
   onEditClick,
   onDeleteClick,
+  onShareClick,
   onImportClick,
+  onExportClick,
+  onHealthClick,
+  onDuplicatesClick,
+  onTrashClick,
+  onActivityClick,
+  onAnalyticsClick,
+  onWorkspacesClick,
+  onSecurityClick,
+  onAccountClick,
   mode,
   onToggleMode,
   onBeforeToggle
 }) {
   const { user, logout } = useAuthStore();
   const { pages, currentPage, setCurrentPage, loading, error } = usePagesStore();
+  // Personal pages: 'owner'. Workspace pages: role of the user in the workspace
+  const role = useWorkspacesStore((state) => state.getCurrentRole());
+  const canEdit = role !== 'viewer';
+  const canManage = role === 'owner';
   const { theme } = useTheme();
   const navigate = useNavigate();
   const [isCollapsed, setIsCollapsed] = useState(false);
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    // Undo commands and the selection hold the previous user's IDs
+    useHistoryStore.getState().reset();
+    useBookmarkSelectionStore.getState().clear();
+    useWorkspacesStore.getState().reset();
+    await logout();
     navigate('/login');
   };
 
@@ -242,6 +314,11 @@ export default function Sidebar({
     onDeleteClick(page);
   };
 
+  const handleShareClick = (e, page) => {
+    e.stopPropagation();
+    onShareClick(page);
+  };
+
   const handleToggle = async () => {
     if (onBeforeToggle) {
       const result = await onBeforeToggle(mode);
@@ -326,15 +403,18 @@ export default function Sidebar({
       <div style={styles.pagesSection}>
         {!isCollapsed && (
           <>
+            <WorkspaceSwitcher onManageClick={onWorkspacesClick} />
             <div style={styles.pagesSectionHeader}>
               <span style={styles.pagesSectionTitle}>Pages</span>
-              <button
-                onClick={onCreateClick}
-                style={styles.addPageButton}
-                title="Add new page"
-              >
-                <Plus size={16} />
-              </button>
+              {canEdit && (
+                <button
+                  onClick={onCreateClick}
+                  style={styles.addPageButton}
+                  title="Add new page"
+                >
+                  <Plus size={16} />
+                </button>
+              )}
             </div>
             {/* Search Bar */}
             <SearchBar />
@@ -355,9 +435,11 @@ export default function Sidebar({
         {!loading && !error && pages.length === 0 && !isCollapsed && (
           <div style={styles.emptyState}>
             <div style={styles.emptyText}>No pages yet</div>
-            <button onClick={onCreateClick} style={styles.createFirstButton}>
-              Create Page
-            </button>
+            {canEdit && (
+              <button onClick={onCreateClick} style={styles.createFirstButton}>
+                Create Page
+              </button>
+            )}
           </div>
         )}
 
@@ -383,20 +465,33 @@ export default function Sidebar({
                     <>
                       <span style={styles.pageName}>{page.name}</span>
                       <div style={styles.pageActions}>
-                        <button
-                          onClick={(e) => handleEditClick(e, page)}
-                          style={styles.actionButton}
-                          title="Edit page"
-                        >
-                          <Pencil size={14} />
-                        </button>
-                        <button
-                          onClick={(e) => handleDeleteClick(e, page)}
-                          style={styles.actionButtonDelete}
-                          title="Delete page"
-                        >
-                          <Trash size={14} />
-                        </button>
+                        {canManage && (
+                          <button
+                            onClick={(e) => handleShareClick(e, page)}
+                            style={styles.actionButton}
+                            title="Share page"
+                          >
+                            <Share2 size={14} />
+                          </button>
+                        )}
+                        {canEdit && (
+                          <button
+                            onClick={(e) => handleEditClick(e, page)}
+                            style={styles.actionButton}
+                            title="Edit page"
+                          >
+                            <Pencil size={14} />
+                          </button>
+                        )}
+                        {canManage && (
+                          <button
+                            onClick={(e) => handleDeleteClick(e, page)}
+                            style={styles.actionButtonDelete}
+                            title="Delete page"
+                          >
+                            <Trash size={14} />
+                          </button>
+                        )}
                       </div>
                     </>
                   )}
@@ -413,15 +508,62 @@ export default function Sidebar({
             })}
           </div>
         )}
+
+        {/* Tags List */}
+        {!isCollapsed && <TagList />}
       </div>
 
       {/* Actions Section */}
-      {onImportClick && !isCollapsed && (
-        <div style={styles.actionsSection}>
-          <button onClick={onImportClick} style={styles.importButton} title="Import bookmarks">
-            <Download size={16} />
-            <span>Import</span>
-          </button>
+      {(onImportClick || onExportClick || onHealthClick || onDuplicatesClick || onTrashClick || onActivityClick || onAnalyticsClick) && !isCollapsed && (
+        <div style={{ ...styles.actionsSection, ...styles.actionsRow }}>
+          {onImportClick && (
+            <button onClick={onImportClick} style={styles.importButton} title="Import bookmarks">
+              <Download size={16} />
+              <span>Import</span>
+            </button>
+          )}
+          {onExportClick && (
+            <button onClick={onExportClick} style={styles.importButton} title="Export bookmarks">
+              <Upload size={16} />
+              <span>Export</span>
+            </button>
+          )}
+          {onHealthClick && (
+            <button onClick={onHealthClick} style={styles.importButton} title="Check links">
+              <Activity size={16} />
+              <span>Links</span>
+            </button>
+          )}
+          {onDuplicatesClick && (
+            <button onClick={onDuplicatesClick} style={styles.importButton} title="Find duplicate bookmarks">
+              <Copy size={16} />
+              <span>Duplicates</span>
+            </button>
+          )}
+          {onTrashClick && (
+            <button onClick={onTrashClick} style={styles.importButton} title="Deleted items">
+              <Trash2 size={16} />
+              <span>Trash</span>
+            </button>
+          )}
+          {onActivityClick && (
+            <button onClick={onActivityClick} style={styles.importButton} title="Activity log">
+              <History size={16} />
+              <span>Activity</span>
+            </button>
+          )}
+          {onAnalyticsClick && (
+            <button onClick={onAnalyticsClick} style={styles.importButton} title="Click analytics">
+              <BarChart3 size={16} />
+              <span>Analytics</span>
+            </button>
+          )}
+          {onSecurityClick && (
+            <button onClick={onSecurityClick} style={styles.importButton} title="Two-factor authentication and devices">
+              <ShieldCheck size={16} />
+              <span>Security</span>
+            </button>
+          )}
         </div>
       )}
       {onImportClick && isCollapsed && (
@@ -429,6 +571,41 @@ export default function Sidebar({
           <Download size={20} />
         </button>
       )}
+      {onExportClick && isCollapsed && (
+        <button onClick={onExportClick} style={{ ...styles.collapsedImport, marginTop: 0 }} title="Export bookmarks">
+          <Upload size={20} />
+        </button>
+      )}
+      {onHealthClick && isCollapsed && (
+        <button onClick={onHealthClick} style={{ ...styles.collapsedImport, marginTop: 0 }} title="Check links">
+          <Activity size={20} />
+        </button>
+      )}
+      {onDuplicatesClick && isCollapsed && (
+        <button onClick={onDuplicatesClick} style={{ ...styles.collapsedImport, marginTop: 0 }} title="Find duplicate bookmarks">
+          <Copy size={20} />
+        </button>
+      )}
+      {onTrashClick && isCollapsed && (
+        <button onClick={onTrashClick} style={{ ...styles.collapsedImport, marginTop: 0 }} title="Deleted items">
+          <Trash2 size={20} />
+        </button>
+      )}
+      {onActivityClick && isCollapsed && (
+        <button onClick={onActivityClick} style={{ ...styles.collapsedImport, marginTop: 0 }} title="Activity log">
+          <History size={20} />
+        </button>
+      )}
+      {onAnalyticsClick && isCollapsed && (
+        <button onClick={onAnalyticsClick} style={{ ...styles.collapsedImport, marginTop: 0 }} title="Click analytics">
+          <BarChart3 size={20} />
+        </button>
+      )}
+      {onSecurityClick && isCollapsed && (
+        <button onClick={onSecurityClick} style={{ ...styles.collapsedImport, marginTop: 0 }} title="Two-factor authentication and devices">
+          <ShieldCheck size={20} />
+        </button>
+      )}
 
       {/* Size Sliders - Only in Edit mode */}
       {mode === 'edit' && !isCollapsed && (
@@ -453,12 +630,17 @@ export default function Sidebar({
       {/* User Section (Bottom) */}
       <div style={styles.userSection}>
         {!isCollapsed && (
-          <div style={styles.userInfo}>
+          <button
+            onClick={onAccountClick}
+            disabled={!onAccountClick}
+            style={{ ...styles.userInfo, ...(onAccountClick ? styles.userInfoClickable : {}) }}
+            title={onAccountClick ? 'Account settings' : undefined}
+          >
             <div style={styles.userName}>
               {user?.first_name || 'User'}
             </div>
             <div style={styles.userEmail}>{user?.email}</div>
-          </div>
+          </button>
         )}
         <button
           onClick={handleLogout}
@@ -590,6 +772,56 @@ const styles = {
     gap: '8px'
   },
 
+  workspaceSwitcher: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '0 4px 10px 4px'
+  },
+
+  workspaceSelect: {
+    flex: 1,
+    minWidth: 0,
+    padding: '6px 8px',
+    border: '1px solid',
+    borderRadius: '6px',
+    fontSize: '13px',
+    outline: 'none',
+    cursor: 'pointer'
+  },
+
+  workspaceButton: {
+    position: 'relative',
+    width: '30px',
+    height: '30px',
+    borderRadius: '6px',
+    border: 'none',
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    color: '#a1a1aa',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 0,
+    flexShrink: 0
+  },
+
+  invitationBadge: {
+    position: 'absolute',
+    top: '-4px',
+    right: '-4px',
+    minWidth: '16px',
+    height: '16px',
+    padding: '0 4px',
+    borderRadius: '8px',
+    backgroundColor: '#ef4444',
+    color: '#fff',
+    fontSize: '10px',
+    fontWeight: '700',
+    lineHeight: '16px',
+    boxSizing: 'border-box'
+  },
+
   pagesSectionHeader: {
     display: 'flex',
     justifyContent: 'space-between',
@@ -773,6 +1005,12 @@ const styles = {
     borderTop: '1px solid #2d2d3f'
   },
 
+  actionsRow: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr',
+    gap: '8px'
+  },
+
   importButton: {
     width: '100%',
     padding: '12px',
@@ -820,7 +1058,20 @@ const styles = {
   },
 
   userInfo: {
-    padding: '0 4px'
+    display: 'block',
+    width: '100%',
+    padding: '4px',
+    margin: '-4px 0',
+    border: 'none',
+    borderRadius: '6px',
+    background: 'none',
+    textAlign: 'left',
+    font: 'inherit',
+    cursor: 'default'
+  },
+
+  userInfoClickable: {
+    cursor: 'pointer'
   },
 
   userName: {
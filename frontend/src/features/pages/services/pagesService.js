@@ -10,13 +10,15 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
  */
 const pagesService = {
   /**
-   * Récupérer toutes les pages du user connecté
-   * GET /api/pages
+   * Récupérer les pages personnelles du user connecté, ou celles d'un workspace
+   * GET /api/pages?workspace_id=
    * @param {string} token - JWT token
+   * @param {string|null} workspaceId - UUID du workspace (null = pages personnelles)
    * @returns {Promise} Response avec { success, data: { pages, count } }
    */
-  async getAll(token) {
+  async getAll(token, workspaceId = null) {
     const response = await axios.get(`${API_URL}/api/pages`, {
+      params: workspaceId ? { workspace_id: workspaceId } : {},
       headers: {
         Authorization: `Bearer ${token}`
       }
@@ -43,7 +45,7 @@ const pagesService = {
   /**
    * Créer une nouvelle page
    * POST /api/pages
-   * @param {object} pageData - { name, icon?, color? }
+   * @param {object} pageData - { name, icon?, color?, workspace_id? }
    * @param {string} token - JWT token
    * @returns {Promise} Response avec { success, message, data: { page } }
    */
@@ -94,12 +96,34 @@ const pagesService = {
    * POST /api/pages/reorder
    * @param {Array<string>} pageIds - Array d'UUIDs dans le nouvel ordre
    * @param {string} token - JWT token
+   * @param {string|null} workspaceId - UUID du workspace (null = pages personnelles)
    * @returns {Promise} Response avec { success, message, data: { pages } }
    */
-  async reorder(pageIds, token) {
+  async reorder(pageIds, token, workspaceId = null) {
     const response = await axios.post(
       `${API_URL}/api/pages/reorder`,
-      { pageIds },
+      { pageIds, workspace_id: workspaceId },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    return response;
+  },
+
+  /**
+   * Déplacer une page vers un workspace ou vers les pages personnelles
+   * POST /api/pages/:id/move
+   * @param {string} id - UUID de la page
+   * @param {string|null} workspaceId - UUID du workspace cible (null = pages personnelles)
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, message, data: { page } }
+   */
+  async move(id, workspaceId, token) {
+    const response = await axios.post(
+      `${API_URL}/api/pages/${id}/move`,
+      { workspace_id: workspaceId },
       {
         headers: {
           Authorization: `Bearer ${token}`
@@ -122,6 +146,90 @@ const pagesService = {
       }
     });
     return response;
+  },
+
+  /**
+   * Récupérer le lien public d'une page
+   * GET /api/pages/:id/share
+   * @param {string} id - UUID de la page
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { share } } (share null si non partagée)
+   */
+  async getShare(id, token) {
+    const response = await axios.get(`${API_URL}/api/pages/${id}/share`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Partager une page en lecture seule (ou mettre à jour le thème du lien existant)
+   * POST /api/pages/:id/share
+   * @param {string} id - UUID de la page
+   * @param {string} themeId - Thème appliqué à la page publique
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { share } }
+   */
+  async share(id, themeId, token) {
+    const response = await axios.post(
+      `${API_URL}/api/pages/${id}/share`,
+      { theme: themeId },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    return response;
+  },
+
+  /**
+   * Remplacer le lien public (l'ancien cesse de fonctionner)
+   * POST /api/pages/:id/share/rotate
+   * @param {string} id - UUID de la page
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { share } }
+   */
+  async rotateShare(id, token) {
+    const response = await axios.post(
+      `${API_URL}/api/pages/${id}/share/rotate`,
+      {},
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    return response;
+  },
+
+  /**
+   * Révoquer le lien public
+   * DELETE /api/pages/:id/share
+   * @param {string} id - UUID de la page
+   * @param {string} token - JWT token
+   * @returns {Promise} Response 204 No Content
+   */
+  async revokeShare(id, token) {
+    const response = await axios.delete(`${API_URL}/api/pages/${id}/share`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Récupérer une page partagée (sans authentification)
+   * GET /api/public/pages/:slug
+   * @param {string} slug - Slug du lien public
+   * @returns {Promise} Response avec { success, data: { page, theme_id, sections } }
+   */
+  async getPublic(slug) {
+    const response = await axios.get(`${API_URL}/api/public/pages/${encodeURIComponent(slug)}`);
+    return response;
   }
 };
 
@@ -2,13 +2,16 @@ import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import pagesService from '../services/pagesService';
 import { useAuthStore } from '../../auth/store/authStore';
+import { useWorkspacesStore } from '../../workspaces/store/workspacesStore';
+import trashService from '../../trash/services/trashService';
+import { useHistoryStore, ensureSuccess } from '../../../shared/store/historyStore';
 
 /**
  * Pages Store (Zustand)
  * Gère l'état des pages (niveau 1 de la hiérarchie)
  *
  * State:
- * - pages: Array des pages du user
+ * - pages: Array des pages du workspace actif (ou pages personnelles du user)
  * - currentPage: Page actuellement sélectionnée
  * - loading: Boolean pour état de chargement
  * - error: Message d'erreur si présent
@@ -19,8 +22,13 @@ import { useAuthStore } from '../../auth/store/authStore';
  * - updatePage: Mettre à jour une page
  * - deletePage: Supprimer une page
  * - reorderPages: Réorganiser l'ordre des pages
+ * - movePage: Déplacer une page vers un autre workspace
+ * - applyRemoteEvent: Appliquer une modification reçue en temps réel
  * - setCurrentPage: Sélectionner une page
  * - getStats: Obtenir statistiques
+ *
+ * Les updates, réorganisations et suppressions sont enregistrés dans
+ * l'historique (useHistoryStore) pour undo/redo.
  */
 export const usePagesStore = create(
   persist(
@@ -39,14 +47,15 @@ export const usePagesStore = create(
       // ============================================
 
       /**
-       * Récupérer toutes les pages du user
-       * Appelé au mount du Dashboard
+       * Récupérer les pages du workspace actif (useWorkspacesStore)
+       * Appelé au mount du Dashboard et au changement de workspace
        */
       fetchPages: async () => {
         set({ loading: true, error: null });
         try {
           const token = useAuthStore.getState().getToken();
-          const response = await pagesService.getAll(token);
+          const workspaceId = useWorkspacesStore.getState().currentWorkspaceId;
+          const response = await pagesService.getAll(token, workspaceId);
           const pages = response.data.data.pages;
 
           set({
@@ -78,14 +87,15 @@ export const usePagesStore = create(
       },
 
       /**
-       * Créer une nouvelle page
+       * Créer une nouvelle page dans le workspace actif
        * @param {object} pageData - { name, icon?, color? }
        */
       createPage: async (pageData) => {
         set({ loading: true, error: null });
         try {
           const token = useAuthStore.getState().getToken();
-          const response = await pagesService.create(pageData, token);
+          const workspaceId = useWorkspacesStore.getState().currentWorkspaceId;
+          const response = await pagesService.create({ ...pageData, workspace_id: workspaceId }, token);
           const newPage = response.data.data.page;
 
           // Ajouter la page au state
@@ -121,9 +131,22 @@ export const usePagesStore = create(
         set({ loading: true, error: null });
         try {
           const token = useAuthStore.getState().getToken();
+          const previous = get().pages.find(p => p.id === id);
           const response = await pagesService.update(id, updates, token);
           const updatedPage = response.data.data.page;
 
+          if (previous) {
+            const undoUpdates = Object.keys(updates).reduce((acc, key) => {
+              acc[key] = previous[key] ?? null;
+              return acc;
+            }, {});
+            useHistoryStore.getState().record({
+              label: `Edit page "${previous.name}"`,
+              undo: async () => ensureSuccess(await get().updatePage(id, undoUpdates)),
+              redo: async () => ensureSuccess(await get().updatePage(id, updates))
+            });
+          }
+
           // Mettre à jour dans le state
           const pages = get().pages.map(p =>
             p.id === id ? updatedPage : p
@@ -160,8 +183,24 @@ export const usePagesStore = create(
         set({ loading: true, error: null });
         try {
           const token = useAuthStore.getState().getToken();
+          const deletedPage = get().pages.find(p => p.id === id);
           await pagesService.delete(id, token);
 
+          // Undo: restauration depuis la corbeille puis retour sur la page
+          useHistoryStore.getState().record({
+            label: `Deleted page "${deletedPage?.name || ''}"`,
+            destructive: true,
+            undo: async () => {
+              await trashService.restoreItem('page', id, useAuthStore.getState().getToken());
+              const { pages } = ensureSuccess(await get().fetchPages());
+              const restoredPage = pages.find(p => p.id === id);
+              if (restoredPage) {
+                set({ currentPage: restoredPage });
+              }
+            },
+            redo: async () => ensureSuccess(await get().deletePage(id))
+          });
+
           // Retirer du state
           const pages = get().pages.filter(p => p.id !== id);
           set({
@@ -195,9 +234,17 @@ export const usePagesStore = create(
         set({ loading: true, error: null });
         try {
           const token = useAuthStore.getState().getToken();
-          const response = await pagesService.reorder(pageIds, token);
+          const previousOrder = get().pages.map(p => p.id);
+          const workspaceId = useWorkspacesStore.getState().currentWorkspaceId;
+          const response = await pagesService.reorder(pageIds, token, workspaceId);
           const reorderedPages = response.data.data.pages;
 
+          useHistoryStore.getState().record({
+            label: 'Reorder pages',
+            undo: async () => ensureSuccess(await get().reorderPages(previousOrder)),
+            redo: async () => ensureSuccess(await get().reorderPages(pageIds))
+          });
+
           set({
             pages: reorderedPages,
             loading: false,
@@ -215,6 +262,42 @@ export const usePagesStore = create(
         }
       },
 
+      /**
+       * Déplacer une page vers un workspace (ou vers les pages personnelles)
+       * La page quitte la liste courante
+       * @param {string} id - UUID de la page
+       * @param {string|null} workspaceId - UUID du workspace cible (null = personnel)
+       */
+      movePage: async (id, workspaceId) => {
+        set({ loading: true, error: null });
+        try {
+          const token = useAuthStore.getState().getToken();
+          const response = await pagesService.move(id, workspaceId, token);
+          const movedPage = response.data.data.page;
+
+          const pages = get().pages.filter(p => p.id !== id);
+          set({
+            pages,
+            loading: false,
+            error: null
+          });
+
+          const currentPage = get().currentPage;
+          if (currentPage && currentPage.id === id) {
+            set({ currentPage: pages.length > 0 ? pages[0] : null });
+          }
+
+          return { success: true, page: movedPage };
+        } catch (error) {
+          const errorMessage = error.response?.data?.error || error.message;
+          set({
+            error: errorMessage,
+            loading: false
+          });
+          return { success: false, error: errorMessage };
+        }
+      },
+
       /**
        * Obtenir les statistiques des pages
        */
@@ -242,6 +325,48 @@ export const usePagesStore = create(
         }
       },
 
+      // ============================================
+      // ACTIONS - SYNC
+      // ============================================
+
+      /**
+       * Appliquer une modification reçue en temps réel (autre onglet, coéquipier)
+       * Une page n'est gardée que si elle appartient au workspace actif
+       * @param {object} event - { entity, action, id, data }
+       */
+      applyRemoteEvent: async (event) => {
+        if (event.entity !== 'page') return;
+
+        if (event.data && ['create', 'update', 'move'].includes(event.action)) {
+          const workspaceId = useWorkspacesStore.getState().currentWorkspaceId;
+          const others = get().pages.filter(p => p.id !== event.id);
+          const pages = (event.data.workspace_id || null) === workspaceId
+            ? [...others, event.data].sort((a, b) => a.position - b.position)
+            : others;
+          set({ pages });
+
+          const currentPage = get().currentPage;
+          if (currentPage && currentPage.id === event.id) {
+            set({ currentPage: pages.find(p => p.id === event.id) || pages[0] || null });
+          }
+          return;
+        }
+
+        if (event.action === 'delete') {
+          const pages = get().pages.filter(p => p.id !== event.id);
+          set({ pages });
+
+          const currentPage = get().currentPage;
+          if (currentPage && currentPage.id === event.id) {
+            set({ currentPage: pages.length > 0 ? pages[0] : null });
+          }
+          return;
+        }
+
+        // reorder, restore, import: recharger la liste
+        await get().fetchPages();
+      },
+
       // ============================================
       // ACTIONS - UI
       // ============================================
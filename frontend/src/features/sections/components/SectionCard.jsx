@@ -53,7 +53,7 @@ export default function SectionCard({ section, onEdit, onDelete, onDragStart, on
 
   const handleDeleteGroup = async (group) => {
     const confirmed = window.confirm(
-      `Are you sure you want to delete the group "${group.name}"?\n\nThis will also delete all bookmarks in this group.`
+      `Are you sure you want to delete the group "${group.name}"?\n\nIts bookmarks will be moved to the trash with it.`
     );
 
     if (confirmed) {
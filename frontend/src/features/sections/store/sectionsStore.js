@@ -1,6 +1,8 @@
 import { create } from 'zustand';
 import sectionsService from '../services/sectionsService';
 import { useAuthStore } from '../../auth/store/authStore';
+import trashService from '../../trash/services/trashService';
+import { useHistoryStore, ensureSuccess } from '../../../shared/store/historyStore';
 
 /**
  * Sections Store (Zustand)
@@ -18,7 +20,11 @@ import { useAuthStore } from '../../auth/store/authStore';
  * - deleteSection: Supprimer une section
  * - reorderSections: Réorganiser l'ordre des sections
  * - toggleCollapsed: Replier/déplier une section
+ * - applyRemoteEvent: Appliquer une modification reçue en temps réel
  * - getStats: Obtenir statistiques
+ *
+ * Les updates, réorganisations et suppressions sont enregistrés dans
+ * l'historique (useHistoryStore) pour undo/redo.
  */
 export const useSectionsStore = create((set, get) => ({
   // ============================================
@@ -110,9 +116,22 @@ export const useSectionsStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const previous = Object.values(get().sectionsByPage).flat().find((s) => s.id === id);
       const response = await sectionsService.update(id, updates, token);
       const updatedSection = response.data.data.section;
 
+      if (previous) {
+        const undoUpdates = Object.keys(updates).reduce((acc, key) => {
+          acc[key] = previous[key] ?? null;
+          return acc;
+        }, {});
+        useHistoryStore.getState().record({
+          label: `Edit section "${previous.name}"`,
+          undo: async () => ensureSuccess(await get().updateSection(id, undoUpdates)),
+          redo: async () => ensureSuccess(await get().updateSection(id, updates))
+        });
+      }
+
       // Mettre à jour dans le state
       set((state) => {
         const pageId = updatedSection.page_id;
@@ -151,8 +170,20 @@ export const useSectionsStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const deletedSection = (get().sectionsByPage[pageId] || []).find((s) => s.id === id);
       await sectionsService.delete(id, token);
 
+      // Undo: restauration depuis la corbeille (section + groups + bookmarks)
+      useHistoryStore.getState().record({
+        label: `Deleted section "${deletedSection?.name || ''}"`,
+        destructive: true,
+        undo: async () => {
+          const response = await trashService.restoreItem('section', id, useAuthStore.getState().getToken());
+          ensureSuccess(await get().fetchSections(response.data.data.parent_id));
+        },
+        redo: async () => ensureSuccess(await get().deleteSection(id, pageId))
+      });
+
       // Retirer du state
       set((state) => {
         const currentSections = state.sectionsByPage[pageId] || [];
@@ -188,9 +219,16 @@ export const useSectionsStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const token = useAuthStore.getState().getToken();
+      const previousOrder = (get().sectionsByPage[pageId] || []).map((s) => s.id);
       const response = await sectionsService.reorder(pageId, sectionIds, token);
       const reorderedSections = response.data.data.sections;
 
+      useHistoryStore.getState().record({
+        label: 'Reorder sections',
+        undo: async () => ensureSuccess(await get().reorderSections(pageId, previousOrder)),
+        redo: async () => ensureSuccess(await get().reorderSections(pageId, sectionIds))
+      });
+
       set((state) => ({
         sectionsByPage: {
           ...state.sectionsByPage,
@@ -279,6 +317,52 @@ export const useSectionsStore = create((set, get) => ({
     }
   },
 
+  // ============================================
+  // ACTIONS - SYNC
+  // ============================================
+
+  /**
+   * Appliquer une modification reçue en temps réel (autre onglet, coéquipier)
+   * Seules les pages déjà chargées sont mises à jour
+   * @param {object} event - { entity, action, id, parentIds, data }
+   */
+  applyRemoteEvent: async (event) => {
+    if (event.entity !== 'section') return;
+    const { sectionsByPage } = get();
+
+    if (event.data && ['create', 'update'].includes(event.action)) {
+      const pageId = event.data.page_id;
+      if (!sectionsByPage[pageId]) return;
+
+      const others = sectionsByPage[pageId].filter(s => s.id !== event.id);
+      set({
+        sectionsByPage: {
+          ...sectionsByPage,
+          [pageId]: [...others, event.data].sort((a, b) => a.position - b.position)
+        }
+      });
+      return;
+    }
+
+    if (event.action === 'delete') {
+      const pageId = event.parentIds[0];
+      if (!sectionsByPage[pageId]) return;
+
+      set({
+        sectionsByPage: {
+          ...sectionsByPage,
+          [pageId]: sectionsByPage[pageId].filter(s => s.id !== event.id)
+        }
+      });
+      return;
+    }
+
+    // reorder, restore: recharger les pages concernées
+    await Promise.all(
+      event.parentIds.filter(pageId => sectionsByPage[pageId]).map(pageId => get().fetchSections(pageId))
+    );
+  },
+
   // ============================================
   // ACTIONS - UI
   // ============================================
@@ -0,0 +1,533 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import { useAuthStore } from '../auth/store/authStore';
+import { useTheme } from '../../shared/theme/useTheme';
+import authService from '../auth/services/authService';
+import SessionsDialog from '../auth/components/SessionsDialog';
+
+/**
+ * SecurityPage Component
+ *
+ * Account security settings
+ * - Email address verification (resend the link)
+ * - Two-factor authentication (TOTP): enrol with a QR code, verify a first code,
+ *   keep the recovery codes (shown once)
+ * - Regenerate recovery codes / disable 2FA (code, and password to disable)
+ * - Signed-in devices (SessionsDialog)
+ */
+export default function SecurityPage() {
+  const { user, getToken } = useAuthStore();
+  const { theme } = useTheme();
+  const navigate = useNavigate();
+  const [status, setStatus] = useState(null);
+  // idle | setup | disable | regenerate | codes
+  const [step, setStep] = useState('idle');
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isSessionsDialogOpen, setIsSessionsDialogOpen] = useState(false);
+
+  /**
+   * Load 2FA status
+   */
+  const loadStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus(getToken());
+      setStatus(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load security settings');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  /**
+   * Run one 2FA request with the busy/message/error handling shared by every action
+   */
+  const runAction = async (action, fallbackError) => {
+    setBusy(true);
+    setMessage('');
+    setError('');
+
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || fallbackError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const resetForm = (nextStep = 'idle') => {
+    setStep(nextStep);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const handleStartSetup = () => runAction(async () => {
+    const response = await authService.setupTwoFactor(getToken());
+    setSetup(response.data);
+    resetForm('setup');
+  }, 'Failed to start setup');
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    return runAction(async () => {
+      const response = await authService.enableTwoFactor(code, getToken());
+      setRecoveryCodes(response.data.recovery_codes);
+      setSetup(null);
+      resetForm('codes');
+      setMessage(response.message);
+      await loadStatus();
+    }, 'Failed to enable two-factor authentication');
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    return runAction(async () => {
+      const response = await authService.regenerateRecoveryCodes(code, getToken());
+      setRecoveryCodes(response.data.recovery_codes);
+      resetForm('codes');
+      setMessage(response.message);
+      await loadStatus();
+    }, 'Failed to generate recovery codes');
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    // Codes with a dash are recovery codes, 6 digits are app codes
+    const secondFactor = code.includes('-') ? { recoveryCode: code } : { code };
+    return runAction(async () => {
+      const response = await authService.disableTwoFactor({ password, ...secondFactor }, getToken());
+      resetForm();
+      setMessage(response.message);
+      await loadStatus();
+    }, 'Failed to disable two-factor authentication');
+  };
+
+  const handleResendVerification = () => runAction(async () => {
+    const response = await authService.resendVerification(getToken());
+    setMessage(response.message);
+  }, 'Failed to send verification email');
+
+  /**
+   * Save the recovery codes as a text file
+   */
+  const handleDownloadCodes = () => {
+    const blob = new Blob([`PinGrid recovery codes\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'pingrid-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Theme-aware styles
+  const themedStyles = {
+    container: {
+      ...styles.container,
+      background: theme.colors.background,
+      color: theme.colors.textPrimary
+    },
+    card: {
+      ...styles.card,
+      backgroundColor: theme.colors.cardBg,
+      borderColor: theme.colors.border
+    },
+    muted: {
+      color: theme.colors.textMuted
+    },
+    backButton: {
+      ...styles.backButton,
+      borderColor: theme.colors.border,
+      color: theme.colors.textSecondary
+    },
+    input: {
+      ...styles.input,
+      borderColor: theme.colors.border,
+      color: theme.colors.textPrimary
+    },
+    primaryButton: {
+      ...styles.button,
+      backgroundColor: theme.colors.primary,
+      borderColor: theme.colors.primary,
+      color: '#fff'
+    },
+    secondaryButton: {
+      ...styles.button,
+      borderColor: theme.colors.border,
+      color: theme.colors.textSecondary
+    },
+    dangerButton: {
+      ...styles.button,
+      borderColor: theme.colors.error,
+      color: theme.colors.error
+    }
+  };
+
+  const buttonState = busy ? styles.buttonDisabled : {};
+
+  return (
+    <div style={themedStyles.container}>
+      <div style={styles.header}>
+        <button onClick={() => navigate('/dashboard')} style={themedStyles.backButton} title="Back to dashboard">
+          <ArrowLeft size={16} />
+          <span>Dashboard</span>
+        </button>
+        <h1 style={styles.title}>🔒 Security</h1>
+      </div>
+
+      <div style={styles.content}>
+        {message && <div style={{ ...styles.message, color: theme.colors.success }}>{message}</div>}
+        {error && <div style={{ ...styles.message, color: theme.colors.error }}>⚠️ {error}</div>}
+
+        {/* Email address */}
+        <section style={themedStyles.card}>
+          <h2 style={styles.cardTitle}>Email address</h2>
+          <p style={{ ...styles.description, ...themedStyles.muted }}>
+            {user?.email} — {user?.email_verified ? 'verified ✅' : 'not verified yet'}
+          </p>
+          {user && !user.email_verified && (
+            <div style={styles.actions}>
+              <button
+                onClick={handleResendVerification}
+                disabled={busy}
+                style={{ ...themedStyles.secondaryButton, ...buttonState }}
+              >
+                {busy ? 'Sending…' : 'Resend verification email'}
+              </button>
+            </div>
+          )}
+        </section>
+
+        {/* Two-factor authentication */}
+        <section style={themedStyles.card}>
+          <h2 style={styles.cardTitle}>Two-factor authentication</h2>
+
+          {!status ? (
+            <div style={themedStyles.muted}>Loading…</div>
+          ) : (
+            <p style={{ ...styles.description, ...themedStyles.muted }}>
+              {status.enabled
+                ? `Enabled since ${new Date(status.enabled_at).toLocaleDateString()} — ${status.recovery_codes_remaining} recovery code${status.recovery_codes_remaining !== 1 ? 's' : ''} left.`
+                : 'Ask for a code from an authenticator app (Google Authenticator, 1Password, Authy...) after your password.'}
+            </p>
+          )}
+
+          {status && step === 'idle' && (
+            <div style={styles.actions}>
+              {status.enabled ? (
+                <>
+                  <button onClick={() => resetForm('regenerate')} style={themedStyles.secondaryButton}>
+                    New recovery codes
+                  </button>
+                  <button onClick={() => resetForm('disable')} style={themedStyles.dangerButton}>
+                    Disable
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={handleStartSetup}
+                  disabled={busy}
+                  style={{ ...themedStyles.primaryButton, ...buttonState }}
+                >
+                  {busy ? 'Preparing…' : 'Enable two-factor authentication'}
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Enrolment: scan, then confirm with a first code */}
+          {step === 'setup' && setup && (
+            <form onSubmit={handleEnable}>
+              <div style={styles.setup}>
+                <img src={setup.qr_code} alt="Authenticator QR code" style={styles.qrCode} />
+                <div style={styles.setupText}>
+                  <p style={styles.stepText}>1. Scan this QR code with your authenticator app.</p>
+                  <p style={{ ...styles.stepText, ...themedStyles.muted }}>
+                    Can't scan it? Enter this key manually:
+                  </p>
+                  <code style={styles.secret}>{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+                  <p style={styles.stepText}>2. Enter the 6-digit code shown by the app.</p>
+                  <input
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    required
+                    autoFocus
+                    autoComplete="one-time-code"
+                    inputMode="numeric"
+                    placeholder="123456"
+                    style={themedStyles.input}
+                    disabled={busy}
+                  />
+                </div>
+              </div>
+              <div style={styles.actions}>
+                <button type="button" onClick={() => resetForm()} style={themedStyles.secondaryButton}>
+                  Cancel
+                </button>
+                <button type="submit" disabled={busy} style={{ ...themedStyles.primaryButton, ...buttonState }}>
+                  {busy ? 'Verifying…' : 'Verify & Enable'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {step === 'regenerate' && (
+            <form onSubmit={handleRegenerate}>
+              <p style={styles.stepText}>
+                Enter a code from your authenticator app. Your current recovery codes will stop working.
+              </p>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode="numeric"
+                placeholder="123456"
+                style={themedStyles.input}
+                disabled={busy}
+              />
+              <div style={styles.actions}>
+                <button type="button" onClick={() => resetForm()} style={themedStyles.secondaryButton}>
+                  Cancel
+                </button>
+                <button type="submit" disabled={busy} style={{ ...themedStyles.primaryButton, ...buttonState }}>
+                  {busy ? 'Generating…' : 'Generate'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {step === 'disable' && (
+            <form onSubmit={handleDisable}>
+              <p style={styles.stepText}>Confirm with your password and a code (or a recovery code).</p>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoFocus
+                autoComplete="current-password"
+                placeholder="Password"
+                style={{ ...themedStyles.input, marginBottom: '8px' }}
+                disabled={busy}
+              />
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoComplete="one-time-code"
+                placeholder="123456 or xxxxx-xxxxx"
+                style={themedStyles.input}
+                disabled={busy}
+              />
+              <div style={styles.actions}>
+                <button type="button" onClick={() => resetForm()} style={themedStyles.secondaryButton}>
+                  Cancel
+                </button>
+                <button type="submit" disabled={busy} style={{ ...themedStyles.dangerButton, ...buttonState }}>
+                  {busy ? 'Disabling…' : 'Disable two-factor authentication'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* Recovery codes: only shown right after they are generated */}
+          {step === 'codes' && (
+            <div>
+              <p style={styles.stepText}>
+                Save these recovery codes somewhere safe. Each one can be used once to sign in
+                if you lose access to your authenticator app. They won't be shown again.
+              </p>
+              <div style={{ ...styles.codes, borderColor: theme.colors.border }}>
+                {recoveryCodes.map((recoveryCode) => (
+                  <code key={recoveryCode} style={styles.code}>{recoveryCode}</code>
+                ))}
+              </div>
+              <div style={styles.actions}>
+                <button
+                  onClick={() => navigator.clipboard?.writeText(recoveryCodes.join('\n'))}
+                  style={themedStyles.secondaryButton}
+                >
+                  Copy
+                </button>
+                <button onClick={handleDownloadCodes} style={themedStyles.secondaryButton}>
+                  Download
+                </button>
+                <button
+                  onClick={() => {
+                    setRecoveryCodes([]);
+                    resetForm();
+                  }}
+                  style={themedStyles.primaryButton}
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+
+        {/* Devices */}
+        <section style={themedStyles.card}>
+          <h2 style={styles.cardTitle}>Signed-in devices</h2>
+          <p style={{ ...styles.description, ...themedStyles.muted }}>
+            See where your account is signed in and sign out devices you don't recognize.
+          </p>
+          <div style={styles.actions}>
+            <button onClick={() => setIsSessionsDialogOpen(true)} style={themedStyles.secondaryButton}>
+              Manage devices
+            </button>
+          </div>
+        </section>
+      </div>
+
+      <SessionsDialog
+        isOpen={isSessionsDialogOpen}
+        onClose={() => setIsSessionsDialogOpen(false)}
+      />
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    padding: '24px 32px',
+    boxSizing: 'border-box',
+    background: '#0f0f0f'
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '16px',
+    marginBottom: '24px'
+  },
+  backButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 12px',
+    border: '1px solid',
+    borderRadius: '6px',
+    backgroundColor: 'transparent',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  title: {
+    margin: 0,
+    fontSize: '22px',
+    fontWeight: '600',
+    flex: 1
+  },
+  content: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '16px',
+    maxWidth: '720px'
+  },
+  message: {
+    fontSize: '14px'
+  },
+  card: {
+    padding: '16px 20px',
+    border: '1px solid',
+    borderRadius: '12px',
+    fontSize: '14px'
+  },
+  cardTitle: {
+    margin: '0 0 12px 0',
+    fontSize: '16px',
+    fontWeight: '600'
+  },
+  description: {
+    margin: '0 0 12px 0',
+    fontSize: '13px'
+  },
+  actions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+    marginTop: '12px'
+  },
+  button: {
+    padding: '8px 16px',
+    border: '1px solid',
+    borderRadius: '6px',
+    backgroundColor: 'transparent',
+    fontSize: '13px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  },
+  input: {
+    display: 'block',
+    width: '100%',
+    maxWidth: '280px',
+    boxSizing: 'border-box',
+    padding: '8px 12px',
+    border: '1px solid',
+    borderRadius: '6px',
+    backgroundColor: 'transparent',
+    fontSize: '14px',
+    outline: 'none'
+  },
+  setup: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '20px',
+    alignItems: 'flex-start'
+  },
+  qrCode: {
+    width: '180px',
+    height: '180px',
+    borderRadius: '8px',
+    backgroundColor: '#fff'
+  },
+  setupText: {
+    flex: 1,
+    minWidth: '240px'
+  },
+  stepText: {
+    margin: '0 0 8px 0',
+    fontSize: '13px'
+  },
+  secret: {
+    display: 'inline-block',
+    marginBottom: '12px',
+    fontSize: '13px',
+    letterSpacing: '0.05em',
+    wordBreak: 'break-all'
+  },
+  codes: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(2, max-content)',
+    gap: '6px 24px',
+    padding: '12px 16px',
+    border: '1px solid',
+    borderRadius: '8px'
+  },
+  code: {
+    fontSize: '14px',
+    letterSpacing: '0.05em'
+  }
+};
@@ -0,0 +1,85 @@
+import { useTheme } from '../../../shared/theme/useTheme';
+
+/**
+ * TagChip Component
+ * Petit badge "#tag" réutilisé dans BookmarkCard, BasicInfoTab et la sidebar
+ *
+ * @param {string} name - Nom du tag
+ * @param {boolean} active - True si le tag est le filtre actif
+ * @param {function} onClick - Callback optionnel au clic (ex: filtrer)
+ * @param {function} onRemove - Callback optionnel pour afficher un bouton ×
+ * @param {string} size - 'sm' (cartes) ou 'md' (formulaires)
+ */
+export default function TagChip({ name, active = false, onClick, onRemove, size = 'sm' }) {
+  const { theme } = useTheme();
+
+  const chipStyle = {
+    ...styles.chip,
+    ...(size === 'md' ? styles.chipMd : {}),
+    color: active ? theme.colors.textPrimary : theme.colors.textSecondary,
+    backgroundColor: active ? `${theme.colors.primary}40` : `${theme.colors.primary}14`,
+    borderColor: active ? theme.colors.primary : theme.colors.border,
+    cursor: onClick ? 'pointer' : 'default'
+  };
+
+  const handleClick = (e) => {
+    if (!onClick) return;
+    e.stopPropagation();
+    e.preventDefault();
+    onClick(name);
+  };
+
+  const handleRemove = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    onRemove(name);
+  };
+
+  return (
+    <span style={chipStyle} onClick={handleClick} title={onClick ? `Filter by #${name}` : undefined}>
+      #{name}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={handleRemove}
+          style={{ ...styles.removeButton, color: theme.colors.textMuted }}
+          title={`Remove #${name}`}
+        >
+          ×
+        </button>
+      )}
+    </span>
+  );
+}
+
+const styles = {
+  chip: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '2px',
+    padding: '1px 6px',
+    fontSize: '10px',
+    fontWeight: '500',
+    lineHeight: '16px',
+    borderRadius: '10px',
+    border: '1px solid',
+    whiteSpace: 'nowrap',
+    userSelect: 'none',
+    transition: 'background-color 0.2s, border-color 0.2s'
+  },
+
+  chipMd: {
+    padding: '3px 8px',
+    fontSize: '12px',
+    lineHeight: '18px'
+  },
+
+  removeButton: {
+    background: 'none',
+    border: 'none',
+    padding: '0 0 0 2px',
+    fontSize: '14px',
+    lineHeight: '1',
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,57 @@
+import { X } from 'lucide-react';
+import { useTheme } from '../../../shared/theme/useTheme';
+import { useTagsStore } from '../store/tagsStore';
+
+/**
+ * TagFilterBanner Component
+ * Bandeau affiché au-dessus de la page quand un filtre par tag est actif
+ */
+export default function TagFilterBanner() {
+  const { activeTag, clearActiveTag } = useTagsStore();
+  const { theme } = useTheme();
+
+  if (!activeTag) return null;
+
+  return (
+    <div style={{
+      ...styles.banner,
+      color: theme.colors.textSecondary,
+      backgroundColor: `${theme.colors.primary}14`,
+      borderColor: theme.colors.border
+    }}>
+      <span>
+        Showing bookmarks tagged <strong style={{ color: theme.colors.textPrimary }}>#{activeTag}</strong>
+      </span>
+      <button
+        onClick={clearActiveTag}
+        style={{ ...styles.clearButton, color: theme.colors.textMuted }}
+        title="Clear tag filter"
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  banner: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '12px',
+    padding: '8px 12px',
+    marginBottom: '16px',
+    fontSize: '13px',
+    border: '1px solid',
+    borderRadius: '8px'
+  },
+
+  clearButton: {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    padding: '2px'
+  }
+};
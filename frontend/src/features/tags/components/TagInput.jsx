@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { useTheme } from '../../../shared/theme/useTheme';
+import { useTagsStore } from '../store/tagsStore';
+import TagChip from './TagChip';
+
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * TagInput Component
+ * Champ de saisie de tags sous forme de chips
+ *
+ * - Entrée ou virgule: ajoute le tag saisi
+ * - Backspace sur champ vide: retire le dernier tag
+ * - Suggestions: tags existants du user qui commencent par la saisie
+ *
+ * @param {Array<string>} value - Noms des tags sélectionnés
+ * @param {function} onChange - Callback avec le nouveau tableau de noms
+ */
+export default function TagInput({ value = [], onChange }) {
+  const { theme } = useTheme();
+  const { tags: existingTags } = useTagsStore();
+  const [input, setInput] = useState('');
+
+  const hasTag = (name) => value.some((tag) => tag.toLowerCase() === name.toLowerCase());
+
+  const addTag = (raw) => {
+    const name = raw.trim().replace(/^#+/, '').trim().slice(0, MAX_TAG_LENGTH);
+    if (name && !hasTag(name)) {
+      onChange([...value, name]);
+    }
+    setInput('');
+  };
+
+  const removeTag = (name) => {
+    onChange(value.filter((tag) => tag !== name));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      if (input.trim()) addTag(input);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  const query = input.trim().replace(/^#+/, '').toLowerCase();
+  const suggestions = query
+    ? existingTags
+      .filter((tag) => tag.name.toLowerCase().startsWith(query) && !hasTag(tag.name))
+      .slice(0, 6)
+    : [];
+
+  return (
+    <div>
+      <div style={{
+        ...styles.field,
+        background: theme.colors.cardBg,
+        borderColor: theme.colors.border
+      }}>
+        {value.map((tag) => (
+          <TagChip key={tag} name={tag} size="md" onRemove={removeTag} />
+        ))}
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input.trim() && addTag(input)}
+          placeholder={value.length === 0 ? 'Add tags (press Enter)' : ''}
+          style={{ ...styles.input, color: theme.colors.textPrimary }}
+          maxLength={MAX_TAG_LENGTH + 1}
+        />
+      </div>
+
+      {suggestions.length > 0 && (
+        <div style={styles.suggestions}>
+          {suggestions.map((tag) => (
+            <TagChip
+              key={tag.id}
+              name={tag.name}
+              size="md"
+              onClick={() => addTag(tag.name)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  field: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '6px',
+    minHeight: '44px',
+    padding: '6px 12px',
+    border: '1px solid',
+    borderRadius: '8px',
+    boxSizing: 'border-box'
+  },
+
+  input: {
+    flex: 1,
+    minWidth: '120px',
+    background: 'transparent',
+    border: 'none',
+    outline: 'none',
+    fontSize: '14px'
+  },
+
+  suggestions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginTop: '8px'
+  }
+};
@@ -0,0 +1,104 @@
+import { useEffect } from 'react';
+import { useTheme } from '../../../shared/theme/useTheme';
+import { useTagsStore } from '../store/tagsStore';
+import TagChip from './TagChip';
+
+/**
+ * TagList Component
+ * Liste des tags du user dans la sidebar
+ * Cliquer un tag filtre la page courante (re-cliquer retire le filtre)
+ */
+export default function TagList() {
+  const { tags, activeTag, fetchTags, toggleActiveTag, clearActiveTag } = useTagsStore();
+  const { theme } = useTheme();
+
+  // Charger les tags au montage
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  // Tags sans bookmark masqués (restent proposés en suggestion dans TagInput)
+  const usedTags = tags.filter((tag) => tag.bookmark_count > 0);
+
+  if (usedTags.length === 0) {
+    return null;
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <span style={{ ...styles.title, color: theme.colors.textMuted }}>Tags</span>
+        {activeTag && (
+          <button
+            onClick={clearActiveTag}
+            style={{ ...styles.clearButton, color: theme.colors.textMuted }}
+            title="Clear tag filter"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      <div style={styles.chips}>
+        {usedTags.map((tag) => (
+          <span key={tag.id} style={styles.chipWrapper}>
+            <TagChip
+              name={tag.name}
+              size="md"
+              active={activeTag?.toLowerCase() === tag.name.toLowerCase()}
+              onClick={toggleActiveTag}
+            />
+            <span style={{ ...styles.count, color: theme.colors.textMuted }}>{tag.bookmark_count}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    marginTop: '16px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '0 4px'
+  },
+
+  title: {
+    fontSize: '11px',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  },
+
+  clearButton: {
+    background: 'none',
+    border: 'none',
+    fontSize: '11px',
+    cursor: 'pointer',
+    padding: 0
+  },
+
+  chips: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    padding: '0 4px'
+  },
+
+  chipWrapper: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '3px'
+  },
+
+  count: {
+    fontSize: '10px'
+  }
+};
@@ -0,0 +1,62 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Tags Service
+ * Gère les appels API pour les tags des bookmarks
+ *
+ * Toutes les méthodes nécessitent un token JWT (passé via authStore.getToken())
+ * Note: les tags d'un bookmark sont modifiés via bookmarksService (champ tags)
+ */
+const tagsService = {
+  /**
+   * Récupérer tous les tags du user avec leur nombre de bookmarks
+   * GET /api/tags
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { tags, count } }
+   */
+  async getAll(token) {
+    const response = await axios.get(`${API_URL}/api/tags`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Renommer un tag
+   * PUT /api/tags/:id
+   * @param {string} id - UUID du tag
+   * @param {string} name - Nouveau nom
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { tag } }
+   */
+  async rename(id, name, token) {
+    const response = await axios.put(`${API_URL}/api/tags/${id}`, { name }, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Supprimer un tag (retiré de tous les bookmarks)
+   * DELETE /api/tags/:id
+   * @param {string} id - UUID du tag
+   * @param {string} token - JWT token
+   * @returns {Promise} Response 204
+   */
+  async delete(id, token) {
+    const response = await axios.delete(`${API_URL}/api/tags/${id}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  }
+};
+
+export default tagsService;
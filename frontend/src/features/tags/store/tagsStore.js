@@ -0,0 +1,151 @@
+import { create } from 'zustand';
+import tagsService from '../services/tagsService';
+import { useAuthStore } from '../../auth/store/authStore';
+
+/**
+ * Vérifier si un bookmark porte un tag (comparaison case-insensitive)
+ * @param {object} bookmark - Bookmark avec tags: [{ id, name }]
+ * @param {string} tagName - Nom du tag
+ * @returns {boolean} True si le bookmark a ce tag
+ */
+export const bookmarkHasTag = (bookmark, tagName) => {
+  if (!tagName) return true;
+  const key = tagName.toLowerCase();
+  return (bookmark.tags || []).some((tag) => tag.name.toLowerCase() === key);
+};
+
+/**
+ * Tags Store (Zustand)
+ * Gère la liste des tags du user et le filtre par tag actif
+ *
+ * State:
+ * - tags: Array des tags { id, name, bookmark_count }
+ * - activeTag: Nom du tag utilisé pour filtrer la page courante (null = pas de filtre)
+ * - loading: Boolean pour état de chargement
+ * - error: Message d'erreur si présent
+ *
+ * Actions:
+ * - fetchTags: Récupérer tous les tags (avec compteurs)
+ * - toggleActiveTag: Activer/désactiver le filtre sur un tag
+ * - clearActiveTag: Retirer le filtre
+ * - renameTag: Renommer un tag
+ * - deleteTag: Supprimer un tag
+ */
+export const useTagsStore = create((set, get) => ({
+  // ============================================
+  // STATE
+  // ============================================
+  tags: [],
+  activeTag: null,
+  loading: false,
+  error: null,
+
+  // ============================================
+  // ACTIONS - CRUD
+  // ============================================
+
+  /**
+   * Récupérer tous les tags du user
+   */
+  fetchTags: async () => {
+    set({ loading: true, error: null });
+    try {
+      const token = useAuthStore.getState().getToken();
+      const response = await tagsService.getAll(token);
+      const { tags } = response.data.data;
+
+      set({ tags, loading: false, error: null });
+
+      return { success: true, tags };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || error.message;
+      set({
+        error: errorMessage,
+        loading: false
+      });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Renommer un tag
+   * @param {string} id - UUID du tag
+   * @param {string} name - Nouveau nom
+   */
+  renameTag: async (id, name) => {
+    try {
+      const token = useAuthStore.getState().getToken();
+      const response = await tagsService.rename(id, name, token);
+      const { tag } = response.data.data;
+      const previous = get().tags.find((t) => t.id === id);
+
+      set((state) => ({
+        tags: state.tags.map((t) => (t.id === id ? { ...t, name: tag.name } : t)),
+        // Garder le filtre actif si c'est le tag renommé
+        activeTag: previous && state.activeTag === previous.name ? tag.name : state.activeTag
+      }));
+
+      return { success: true, tag };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || error.message;
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Supprimer un tag
+   * @param {string} id - UUID du tag
+   */
+  deleteTag: async (id) => {
+    try {
+      const token = useAuthStore.getState().getToken();
+      await tagsService.delete(id, token);
+      const deleted = get().tags.find((t) => t.id === id);
+
+      set((state) => ({
+        tags: state.tags.filter((t) => t.id !== id),
+        activeTag: deleted && state.activeTag === deleted.name ? null : state.activeTag
+      }));
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || error.message;
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // ============================================
+  // ACTIONS - FILTER
+  // ============================================
+
+  /**
+   * Activer le filtre sur un tag (ou le désactiver s'il est déjà actif)
+   * @param {string} tagName - Nom du tag
+   */
+  toggleActiveTag: (tagName) => {
+    const { activeTag } = get();
+    const isSame = activeTag && tagName && activeTag.toLowerCase() === tagName.toLowerCase();
+    set({ activeTag: isSame ? null : tagName });
+  },
+
+  /**
+   * Retirer le filtre par tag
+   */
+  clearActiveTag: () => {
+    set({ activeTag: null });
+  },
+
+  /**
+   * Reset store (logout)
+   */
+  reset: () => {
+    set({
+      tags: [],
+      activeTag: null,
+      loading: false,
+      error: null
+    });
+  }
+}));
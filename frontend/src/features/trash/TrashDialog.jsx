@@ -0,0 +1,475 @@
+import { useEffect, useState } from 'react';
+import { useAuthStore } from '../auth/store/authStore';
+import { usePagesStore } from '../pages/store/pagesStore';
+import { useSectionsStore } from '../sections/store/sectionsStore';
+import { useGroupsStore } from '../groups/store/groupsStore';
+import { useBookmarksStore } from '../bookmarks/store/bookmarksStore';
+import trashService from './services/trashService';
+
+const TYPE_ICONS = {
+  page: '📄',
+  section: '🗂️',
+  group: '📁',
+  bookmark: '🔖'
+};
+
+/**
+ * Summary of what was deleted along with an item ("3 groups, 12 bookmarks")
+ */
+function formatCounts(counts) {
+  return [
+    [counts.sections, 'section'],
+    [counts.groups, 'group'],
+    [counts.bookmarks, 'bookmark']
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}${count !== 1 ? 's' : ''}`)
+    .join(', ');
+}
+
+/**
+ * Original location shown under an item ("Work / Dev / Tools")
+ */
+function formatLocation(item) {
+  const { page_name, section_name, group_name } = item.location || {};
+  const path = {
+    page: [],
+    section: [page_name],
+    group: [page_name, section_name],
+    bookmark: [page_name, section_name, group_name]
+  }[item.item_type];
+  return path.filter(Boolean).join(' / ');
+}
+
+/**
+ * Reload the store lists that may show a restored item
+ * - Original location: only the parent list
+ * - Fallback location: the "Restored" containers may be new, reload everything loaded
+ */
+async function refreshAfterRestore(result) {
+  const { fetchPages } = usePagesStore.getState();
+  const { sectionsByPage, fetchSections } = useSectionsStore.getState();
+  const { groupsBySection, fetchGroups } = useGroupsStore.getState();
+  const { bookmarksByGroup, fetchBookmarks } = useBookmarksStore.getState();
+
+  await fetchPages();
+
+  if (result.fallback) {
+    await Promise.all([
+      ...Object.keys(sectionsByPage).map((id) => fetchSections(id)),
+      ...Object.keys(groupsBySection).map((id) => fetchGroups(id))
+    ]);
+  }
+
+  if (result.item_type === 'section' && sectionsByPage[result.parent_id]) {
+    await fetchSections(result.parent_id);
+  } else if (result.item_type === 'group' && groupsBySection[result.parent_id]) {
+    await fetchGroups(result.parent_id);
+  } else if (result.item_type === 'bookmark' && bookmarksByGroup[result.parent_id]) {
+    await fetchBookmarks(result.parent_id);
+  }
+}
+
+/**
+ * TrashDialog Component
+ *
+ * Deleted pages, sections, groups and bookmarks
+ * - Each entry lists what was deleted with it (expand to see the subtree)
+ * - Restore: back to the original position, or into a "Restored" container
+ *   when the original parent no longer exists
+ * - Delete forever / Empty trash
+ * - Entries are purged automatically after the retention period
+ */
+export default function TrashDialog({ isOpen, onClose }) {
+  const { getToken } = useAuthStore();
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  /**
+   * Load trash content
+   */
+  const loadTrash = async () => {
+    try {
+      const response = await trashService.getTrash(getToken());
+      setItems(response.data.data.items);
+      setRetentionDays(response.data.data.retention_days);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load trash');
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    setLoading(true);
+    loadTrash().finally(() => setLoading(false));
+    return undefined;
+  }, [isOpen]);
+
+  /**
+   * Restore one entry, then refresh the lists that display it
+   */
+  const handleRestore = async (item) => {
+    setBusyId(item.id);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await trashService.restore(item.id, getToken());
+      setMessage(response.data.message);
+      await refreshAfterRestore(response.data.data);
+      await loadTrash();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to restore item');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Permanently delete one entry
+   */
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Permanently delete "${item.name}"? This action cannot be undone.`)) {
+      return;
+    }
+
+    setBusyId(item.id);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await trashService.deletePermanently(item.id, getToken());
+      setMessage(response.data.message);
+      await loadTrash();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to delete item');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Permanently delete everything in the trash
+   */
+  const handleEmpty = async () => {
+    if (!window.confirm('Permanently delete everything in the trash? This action cannot be undone.')) {
+      return;
+    }
+
+    setBusyId('all');
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await trashService.emptyTrash(getToken());
+      setMessage(response.data.message);
+      await loadTrash();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to empty trash');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Close dialog and reset state
+   */
+  const handleClose = () => {
+    setMessage('');
+    setError('');
+    setExpanded({});
+    onClose();
+  };
+
+  // Don't render if not open
+  if (!isOpen) return null;
+
+  return (
+    <div style={styles.overlay} onClick={handleClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <h2 style={styles.title}>🗑️ Trash</h2>
+
+        <p style={styles.description}>
+          Deleted items can be restored to where they were.
+          {retentionDays && ` They are permanently deleted after ${retentionDays} days.`}
+        </p>
+
+        <div style={styles.list}>
+          {loading && items.length === 0 ? (
+            <div style={styles.empty}>Loading...</div>
+          ) : items.length === 0 ? (
+            <div style={styles.empty}>Trash is empty.</div>
+          ) : items.map((item) => {
+            const counts = formatCounts(item.counts);
+            const location = formatLocation(item);
+            const busy = busyId === item.id || busyId === 'all';
+            const hasSubtree = Boolean(counts);
+
+            return (
+              <div key={item.id} style={styles.item}>
+                <div style={styles.itemRow}>
+                  <span style={styles.itemIcon}>{TYPE_ICONS[item.item_type]}</span>
+                  <div style={styles.itemMain}>
+                    <div style={styles.itemTitle}>{item.name}</div>
+                    <div style={styles.itemMeta}>
+                      {item.item_type}
+                      {location && ` in ${location}`}
+                      {` — deleted ${new Date(item.deleted_at).toLocaleDateString()}`}
+                    </div>
+                    {hasSubtree && (
+                      <button
+                        onClick={() => setExpanded((prev) => ({ ...prev, [item.id]: !prev[item.id] }))}
+                        style={styles.linkButton}
+                      >
+                        {expanded[item.id] ? '▾' : '▸'} {counts}
+                      </button>
+                    )}
+                  </div>
+                  <div style={styles.itemActions}>
+                    <button
+                      onClick={() => handleDelete(item)}
+                      disabled={busy}
+                      style={{ ...styles.secondaryButton, ...(busy && styles.buttonDisabled) }}
+                      title="Delete forever"
+                    >
+                      Delete
+                    </button>
+                    <button
+                      onClick={() => handleRestore(item)}
+                      disabled={busy}
+                      style={{ ...styles.primaryButton, ...(busy && styles.buttonDisabled) }}
+                    >
+                      {busyId === item.id ? '...' : 'Restore'}
+                    </button>
+                  </div>
+                </div>
+
+                {expanded[item.id] && (
+                  <div style={styles.subtree}>
+                    {(item.sections || []).map((section) => (
+                      <div key={section.id}>
+                        <div style={styles.subtreeRow}>🗂️ {section.name}</div>
+                        {section.groups.map((group) => (
+                          <div key={group.id} style={styles.subtreeIndent}>
+                            <div style={styles.subtreeRow}>📁 {group.name} ({group.bookmarks.length})</div>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                    {(item.groups || []).map((group) => (
+                      <div key={group.id} style={styles.subtreeRow}>📁 {group.name} ({group.bookmarks.length})</div>
+                    ))}
+                    {(item.bookmarks || []).map((bookmark) => (
+                      <div key={bookmark.id} style={styles.subtreeRow} title={bookmark.url}>🔖 {bookmark.title}</div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {message && <div style={styles.message}>{message}</div>}
+        {error && <div style={styles.error}>⚠️ {error}</div>}
+
+        <div style={styles.buttons}>
+          {items.length > 0 && (
+            <button
+              onClick={handleEmpty}
+              disabled={busyId !== null}
+              style={{ ...styles.dangerButton, ...(busyId !== null && styles.buttonDisabled) }}
+            >
+              Empty Trash
+            </button>
+          )}
+          <button onClick={handleClose} style={styles.cancelButton}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '32px',
+    maxWidth: '640px',
+    width: '90%',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  description: {
+    margin: '0 0 20px 0',
+    color: '#666',
+    fontSize: '14px'
+  },
+  list: {
+    maxHeight: '55vh',
+    overflowY: 'auto',
+    marginBottom: '16px'
+  },
+  item: {
+    border: '1px solid #e0e0e0',
+    borderRadius: '10px',
+    padding: '12px 16px',
+    marginBottom: '10px'
+  },
+  itemRow: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '10px'
+  },
+  itemIcon: {
+    fontSize: '18px',
+    lineHeight: '22px'
+  },
+  itemMain: {
+    flex: 1,
+    minWidth: 0
+  },
+  itemTitle: {
+    fontWeight: '500',
+    color: '#333',
+    fontSize: '14px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  itemMeta: {
+    color: '#999',
+    fontSize: '12px'
+  },
+  itemActions: {
+    display: 'flex',
+    gap: '8px',
+    flexShrink: 0
+  },
+  linkButton: {
+    padding: 0,
+    marginTop: '4px',
+    border: 'none',
+    background: 'none',
+    color: '#007bff',
+    cursor: 'pointer',
+    fontSize: '12px'
+  },
+  subtree: {
+    marginTop: '8px',
+    paddingLeft: '28px',
+    borderTop: '1px solid #f0f0f0',
+    paddingTop: '8px'
+  },
+  subtreeIndent: {
+    paddingLeft: '16px'
+  },
+  subtreeRow: {
+    fontSize: '12px',
+    color: '#666',
+    padding: '2px 0',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  empty: {
+    padding: '24px',
+    textAlign: 'center',
+    color: '#999',
+    fontSize: '14px'
+  },
+  message: {
+    padding: '10px 12px',
+    backgroundColor: '#e8f5e9',
+    borderRadius: '8px',
+    color: '#2e7d32',
+    marginBottom: '12px',
+    fontSize: '13px'
+  },
+  error: {
+    padding: '12px',
+    backgroundColor: '#fee',
+    border: '1px solid #fcc',
+    borderRadius: '8px',
+    color: '#c00',
+    marginBottom: '12px',
+    fontSize: '14px'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  dangerButton: {
+    padding: '10px 20px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#dc3545',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  secondaryButton: {
+    padding: '6px 14px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '500'
+  },
+  primaryButton: {
+    padding: '6px 16px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#007bff',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '500'
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  }
+};
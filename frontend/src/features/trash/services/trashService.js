@@ -0,0 +1,96 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Trash Service
+ * Gère les appels API de la corbeille (éléments supprimés restaurables)
+ *
+ * Toutes les méthodes nécessitent un token JWT (passé via authStore.getToken())
+ */
+const trashService = {
+  /**
+   * Lister les éléments supprimés avec leurs sous-arbres
+   * GET /api/trash
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { items, retention_days } }
+   */
+  async getTrash(token) {
+    const response = await axios.get(`${API_URL}/api/trash`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Restaurer un élément (emplacement d'origine ou parent de secours)
+   * POST /api/trash/:id/restore
+   * @param {string} trashId - UUID de l'entrée de corbeille
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { item_type, item_id, name, parent_id, fallback } }
+   */
+  async restore(trashId, token) {
+    const response = await axios.post(`${API_URL}/api/trash/${trashId}/restore`, {}, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Restaurer un élément supprimé à partir de son UUID (undo d'une suppression)
+   * Cherche son entrée dans la corbeille puis la restaure
+   * @param {string} itemType - 'page' | 'section' | 'group' | 'bookmark'
+   * @param {string} itemId - UUID de l'élément supprimé
+   * @param {string} token - JWT token
+   * @returns {Promise} Response de restore
+   */
+  async restoreItem(itemType, itemId, token) {
+    const response = await this.getTrash(token);
+    const entry = response.data.data.items.find(
+      (item) => item.item_type === itemType && item.item_id === itemId
+    );
+    if (!entry) {
+      throw new Error(`${itemType} is no longer in the trash`);
+    }
+
+    const restored = await this.restore(entry.id, token);
+    return restored;
+  },
+
+  /**
+   * Supprimer définitivement un élément
+   * DELETE /api/trash/:id
+   * @param {string} trashId - UUID de l'entrée de corbeille
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, message }
+   */
+  async deletePermanently(trashId, token) {
+    const response = await axios.delete(`${API_URL}/api/trash/${trashId}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Vider la corbeille
+   * DELETE /api/trash
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { deleted } }
+   */
+  async emptyTrash(token) {
+    const response = await axios.delete(`${API_URL}/api/trash`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  }
+};
+
+export default trashService;
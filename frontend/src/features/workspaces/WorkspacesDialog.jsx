@@ -0,0 +1,575 @@
+import { useEffect, useState } from 'react';
+import { useAuthStore } from '../auth/store/authStore';
+import { useWorkspacesStore } from './store/workspacesStore';
+import workspacesService from './services/workspacesService';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer'
+};
+
+/**
+ * Display name of a member ("Jane Doe" or the email)
+ */
+function memberName(member) {
+  const name = [member.first_name, member.last_name].filter(Boolean).join(' ');
+  return name || member.email;
+}
+
+/**
+ * WorkspacesDialog Component
+ *
+ * Team workspaces
+ * - Pending invitations received by the user: accept / decline
+ * - Create a workspace (the creator becomes owner)
+ * - Active workspace: members and their roles
+ *   - Owners: rename, invite by email, change roles, remove members,
+ *     cancel pending invitations, delete the workspace
+ *   - Editors / viewers: leave the workspace
+ */
+export default function WorkspacesDialog({ isOpen, onClose }) {
+  const { getToken, user } = useAuthStore();
+  const {
+    invitations,
+    currentWorkspaceId,
+    fetchWorkspaces,
+    fetchInvitations,
+    createWorkspace,
+    acceptInvitation,
+    declineInvitation,
+    setCurrentWorkspace
+  } = useWorkspacesStore();
+  const [details, setDetails] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [rename, setRename] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  /**
+   * Load members (and pending invitations for owners) of the active workspace
+   */
+  const loadDetails = async () => {
+    if (!currentWorkspaceId) {
+      setDetails(null);
+      return;
+    }
+
+    try {
+      const response = await workspacesService.getOne(currentWorkspaceId, getToken());
+      setDetails(response.data.data);
+      setRename(response.data.data.workspace.name);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load workspace');
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    fetchInvitations();
+    loadDetails();
+    return undefined;
+  }, [isOpen, currentWorkspaceId]);
+
+  /**
+   * Run an action with shared busy/message/error handling
+   */
+  const run = async (action, fallbackError) => {
+    setBusy(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const successMessage = await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || fallbackError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await createWorkspace({ name: newName });
+      if (!result.success) throw new Error(result.error);
+      setNewName('');
+      setCurrentWorkspace(result.workspace.id);
+      return `Workspace "${result.workspace.name}" created`;
+    }, 'Failed to create workspace');
+  };
+
+  const handleAccept = (invitation) => {
+    run(async () => {
+      const result = await acceptInvitation(invitation.id);
+      if (!result.success) throw new Error(result.error);
+      setCurrentWorkspace(result.workspace.id);
+      return result.message;
+    }, 'Failed to accept invitation');
+  };
+
+  const handleDecline = (invitation) => {
+    run(async () => {
+      const result = await declineInvitation(invitation.id);
+      if (!result.success) throw new Error(result.error);
+      return 'Invitation declined';
+    }, 'Failed to decline invitation');
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await workspacesService.update(currentWorkspaceId, { name: rename }, getToken());
+      await fetchWorkspaces();
+      await loadDetails();
+      return response.data.message;
+    }, 'Failed to rename workspace');
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await workspacesService.invite(currentWorkspaceId, inviteEmail, inviteRole, getToken());
+      setInviteEmail('');
+      await loadDetails();
+      return response.data.message;
+    }, 'Failed to invite member');
+  };
+
+  const handleCancelInvitation = (invitation) => {
+    run(async () => {
+      const response = await workspacesService.cancelInvitation(currentWorkspaceId, invitation.id, getToken());
+      await loadDetails();
+      return response.data.message;
+    }, 'Failed to cancel invitation');
+  };
+
+  const handleRoleChange = (member, role) => {
+    run(async () => {
+      const response = await workspacesService.updateMember(currentWorkspaceId, member.user_id, role, getToken());
+      await loadDetails();
+      // Demoting yourself changes what the sidebar allows
+      if (member.user_id === user?.id) await fetchWorkspaces();
+      return response.data.message;
+    }, 'Failed to update member');
+  };
+
+  const handleRemove = (member) => {
+    const isSelf = member.user_id === user?.id;
+    const question = isSelf
+      ? `Leave "${details.workspace.name}"? You will lose access to its pages.`
+      : `Remove ${memberName(member)} from "${details.workspace.name}"?`;
+    if (!window.confirm(question)) return;
+
+    run(async () => {
+      const response = await workspacesService.removeMember(currentWorkspaceId, member.user_id, getToken());
+      if (isSelf) {
+        setCurrentWorkspace(null);
+        await fetchWorkspaces();
+      } else {
+        await loadDetails();
+      }
+      return response.data.message;
+    }, 'Failed to remove member');
+  };
+
+  const handleDeleteWorkspace = () => {
+    if (!window.confirm(`Delete "${details.workspace.name}" and all its pages? This action cannot be undone.`)) {
+      return;
+    }
+
+    run(async () => {
+      const response = await workspacesService.delete(currentWorkspaceId, getToken());
+      setCurrentWorkspace(null);
+      await fetchWorkspaces();
+      return response.data.message;
+    }, 'Failed to delete workspace');
+  };
+
+  /**
+   * Close dialog and reset state
+   */
+  const handleClose = () => {
+    setMessage('');
+    setError('');
+    setNewName('');
+    setInviteEmail('');
+    onClose();
+  };
+
+  // Don't render if not open
+  if (!isOpen) return null;
+
+  const isOwner = details?.workspace.role === 'owner';
+
+  return (
+    <div style={styles.overlay} onClick={handleClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <h2 style={styles.title}>👥 Workspaces</h2>
+
+        <p style={styles.description}>
+          Share pages with a team. Owners manage members and pages, editors change content, viewers can only look.
+        </p>
+
+        {/* Pending invitations */}
+        {invitations.length > 0 && (
+          <div style={styles.block}>
+            <h3 style={styles.blockTitle}>Invitations</h3>
+            {invitations.map((invitation) => (
+              <div key={invitation.id} style={styles.row}>
+                <span style={styles.rowIcon}>{invitation.workspace_icon}</span>
+                <div style={styles.rowMain}>
+                  <div style={styles.rowTitle}>{invitation.workspace_name}</div>
+                  <div style={styles.rowMeta}>
+                    {ROLE_LABELS[invitation.role]}
+                    {invitation.invited_by_email && ` — invited by ${invitation.invited_by_email}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleDecline(invitation)}
+                  disabled={busy}
+                  style={{ ...styles.secondaryButton, ...(busy && styles.buttonDisabled) }}
+                >
+                  Decline
+                </button>
+                <button
+                  onClick={() => handleAccept(invitation)}
+                  disabled={busy}
+                  style={{ ...styles.primaryButton, ...(busy && styles.buttonDisabled) }}
+                >
+                  Accept
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Active workspace */}
+        {details && (
+          <div style={styles.block}>
+            <h3 style={styles.blockTitle}>
+              {details.workspace.icon} {details.workspace.name}
+              <span style={styles.roleBadge}>{ROLE_LABELS[details.workspace.role]}</span>
+            </h3>
+
+            {isOwner && (
+              <form onSubmit={handleRename} style={styles.form}>
+                <input
+                  type="text"
+                  value={rename}
+                  onChange={(e) => setRename(e.target.value)}
+                  maxLength={100}
+                  style={styles.input}
+                />
+                <button
+                  type="submit"
+                  disabled={busy || !rename.trim() || rename === details.workspace.name}
+                  style={{ ...styles.secondaryButton, ...((busy || !rename.trim() || rename === details.workspace.name) && styles.buttonDisabled) }}
+                >
+                  Rename
+                </button>
+              </form>
+            )}
+
+            {details.members.map((member) => {
+              const isSelf = member.user_id === user?.id;
+
+              return (
+                <div key={member.user_id} style={styles.row}>
+                  <div style={styles.rowMain}>
+                    <div style={styles.rowTitle}>{memberName(member)}{isSelf && ' (you)'}</div>
+                    <div style={styles.rowMeta}>{member.email}</div>
+                  </div>
+                  {isOwner ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      disabled={busy}
+                      style={styles.select}
+                    >
+                      {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                        <option key={role} value={role}>{label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span style={styles.rowMeta}>{ROLE_LABELS[member.role]}</span>
+                  )}
+                  {(isOwner || isSelf) && (
+                    <button
+                      onClick={() => handleRemove(member)}
+                      disabled={busy}
+                      style={{ ...styles.secondaryButton, ...(busy && styles.buttonDisabled) }}
+                    >
+                      {isSelf ? 'Leave' : 'Remove'}
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+
+            {isOwner && details.invitations.map((invitation) => (
+              <div key={invitation.id} style={styles.row}>
+                <div style={styles.rowMain}>
+                  <div style={styles.rowTitle}>{invitation.email}</div>
+                  <div style={styles.rowMeta}>
+                    {ROLE_LABELS[invitation.role]} — invitation pending until {new Date(invitation.expires_at).toLocaleDateString()}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleCancelInvitation(invitation)}
+                  disabled={busy}
+                  style={{ ...styles.secondaryButton, ...(busy && styles.buttonDisabled) }}
+                >
+                  Cancel
+                </button>
+              </div>
+            ))}
+
+            {isOwner && (
+              <form onSubmit={handleInvite} style={styles.form}>
+                <input
+                  type="email"
+                  placeholder="Invite by email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  style={styles.input}
+                />
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  style={styles.select}
+                >
+                  <option value="editor">Editor</option>
+                  <option value="viewer">Viewer</option>
+                </select>
+                <button
+                  type="submit"
+                  disabled={busy || !inviteEmail.trim()}
+                  style={{ ...styles.primaryButton, ...((busy || !inviteEmail.trim()) && styles.buttonDisabled) }}
+                >
+                  Invite
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+
+        {/* Create workspace */}
+        <div style={styles.block}>
+          <h3 style={styles.blockTitle}>New workspace</h3>
+          <form onSubmit={handleCreate} style={styles.form}>
+            <input
+              type="text"
+              placeholder="Workspace name"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={100}
+              style={styles.input}
+            />
+            <button
+              type="submit"
+              disabled={busy || !newName.trim()}
+              style={{ ...styles.primaryButton, ...((busy || !newName.trim()) && styles.buttonDisabled) }}
+            >
+              Create
+            </button>
+          </form>
+        </div>
+
+        {message && <div style={styles.message}>{message}</div>}
+        {error && <div style={styles.error}>⚠️ {error}</div>}
+
+        <div style={styles.buttons}>
+          {isOwner && (
+            <button
+              onClick={handleDeleteWorkspace}
+              disabled={busy}
+              style={{ ...styles.dangerButton, ...(busy && styles.buttonDisabled) }}
+            >
+              Delete Workspace
+            </button>
+          )}
+          <button onClick={handleClose} style={styles.cancelButton}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '32px',
+    maxWidth: '640px',
+    width: '90%',
+    maxHeight: '90vh',
+    overflow: 'auto',
+    boxShadow: '0 10px 40px rgba(0, 0, 0, 0.2)'
+  },
+  title: {
+    margin: '0 0 8px 0',
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  description: {
+    margin: '0 0 20px 0',
+    color: '#666',
+    fontSize: '14px'
+  },
+  block: {
+    border: '1px solid #e0e0e0',
+    borderRadius: '10px',
+    padding: '12px 16px',
+    marginBottom: '16px'
+  },
+  blockTitle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    margin: '0 0 8px 0',
+    fontSize: '15px',
+    fontWeight: '600',
+    color: '#333'
+  },
+  roleBadge: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    backgroundColor: '#f0f0f0',
+    color: '#666',
+    fontSize: '11px',
+    fontWeight: '500'
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '8px 0',
+    borderTop: '1px solid #f0f0f0'
+  },
+  rowIcon: {
+    fontSize: '18px'
+  },
+  rowMain: {
+    flex: 1,
+    minWidth: 0
+  },
+  rowTitle: {
+    fontWeight: '500',
+    color: '#333',
+    fontSize: '14px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  rowMeta: {
+    color: '#999',
+    fontSize: '12px'
+  },
+  form: {
+    display: 'flex',
+    gap: '8px',
+    padding: '8px 0'
+  },
+  input: {
+    flex: 1,
+    padding: '6px 10px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    fontSize: '13px'
+  },
+  select: {
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    fontSize: '13px',
+    backgroundColor: 'white'
+  },
+  message: {
+    padding: '10px 12px',
+    backgroundColor: '#e8f5e9',
+    borderRadius: '8px',
+    color: '#2e7d32',
+    marginBottom: '12px',
+    fontSize: '13px'
+  },
+  error: {
+    padding: '12px',
+    backgroundColor: '#fee',
+    border: '1px solid #fcc',
+    borderRadius: '8px',
+    color: '#c00',
+    marginBottom: '12px',
+    fontSize: '14px'
+  },
+  buttons: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  dangerButton: {
+    padding: '10px 20px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#dc3545',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
+  secondaryButton: {
+    padding: '6px 14px',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    backgroundColor: 'white',
+    color: '#666',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '500'
+  },
+  primaryButton: {
+    padding: '6px 16px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: '#007bff',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '500'
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  }
+};
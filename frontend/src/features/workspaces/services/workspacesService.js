@@ -0,0 +1,213 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Workspaces Service
+ * Gère les appels API des workspaces d'équipe (membres, rôles, invitations)
+ *
+ * Toutes les méthodes nécessitent un token JWT (passé via authStore.getToken())
+ */
+const workspacesService = {
+  /**
+   * Workspaces du user avec son rôle
+   * GET /api/workspaces
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: [{ id, name, icon, role, member_count, page_count }] }
+   */
+  async getAll(token) {
+    const response = await axios.get(`${API_URL}/api/workspaces`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Créer un workspace (le user devient owner)
+   * POST /api/workspaces
+   * @param {object} workspaceData - { name, icon? }
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: workspace }
+   */
+  async create(workspaceData, token) {
+    const response = await axios.post(`${API_URL}/api/workspaces`, workspaceData, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Détail d'un workspace
+   * GET /api/workspaces/:id
+   * @param {string} id - UUID du workspace
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { workspace, members, invitations } }
+   */
+  async getOne(id, token) {
+    const response = await axios.get(`${API_URL}/api/workspaces/${id}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Renommer un workspace (owner)
+   * PUT /api/workspaces/:id
+   * @param {string} id - UUID du workspace
+   * @param {object} updates - { name?, icon? }
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: workspace }
+   */
+  async update(id, updates, token) {
+    const response = await axios.put(`${API_URL}/api/workspaces/${id}`, updates, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Supprimer un workspace et ses pages (owner)
+   * DELETE /api/workspaces/:id
+   * @param {string} id - UUID du workspace
+   * @param {string} token - JWT token
+   */
+  async delete(id, token) {
+    const response = await axios.delete(`${API_URL}/api/workspaces/${id}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Inviter un user par email (owner)
+   * POST /api/workspaces/:id/invitations
+   * @param {string} id - UUID du workspace
+   * @param {string} email - Email invité
+   * @param {string} role - 'editor' | 'viewer'
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: invitation }
+   */
+  async invite(id, email, role, token) {
+    const response = await axios.post(
+      `${API_URL}/api/workspaces/${id}/invitations`,
+      { email, role },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    return response;
+  },
+
+  /**
+   * Annuler une invitation en attente (owner)
+   * DELETE /api/workspaces/:id/invitations/:invitationId
+   * @param {string} id - UUID du workspace
+   * @param {string} invitationId - UUID de l'invitation
+   * @param {string} token - JWT token
+   */
+  async cancelInvitation(id, invitationId, token) {
+    const response = await axios.delete(`${API_URL}/api/workspaces/${id}/invitations/${invitationId}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Changer le rôle d'un membre (owner)
+   * PUT /api/workspaces/:id/members/:userId
+   * @param {string} id - UUID du workspace
+   * @param {string} userId - UUID du membre
+   * @param {string} role - 'owner' | 'editor' | 'viewer'
+   * @param {string} token - JWT token
+   */
+  async updateMember(id, userId, role, token) {
+    const response = await axios.put(
+      `${API_URL}/api/workspaces/${id}/members/${userId}`,
+      { role },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    return response;
+  },
+
+  /**
+   * Retirer un membre (owner), ou quitter le workspace (userId = soi-même)
+   * DELETE /api/workspaces/:id/members/:userId
+   * @param {string} id - UUID du workspace
+   * @param {string} userId - UUID du membre
+   * @param {string} token - JWT token
+   */
+  async removeMember(id, userId, token) {
+    const response = await axios.delete(`${API_URL}/api/workspaces/${id}/members/${userId}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Invitations reçues par le user
+   * GET /api/workspaces/invitations
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: [{ id, workspace_name, workspace_icon, role, invited_by_email }] }
+   */
+  async getInvitations(token) {
+    const response = await axios.get(`${API_URL}/api/workspaces/invitations`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Accepter une invitation
+   * POST /api/workspaces/invitations/:invitationId/accept
+   * @param {string} invitationId - UUID de l'invitation
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: workspace }
+   */
+  async acceptInvitation(invitationId, token) {
+    const response = await axios.post(`${API_URL}/api/workspaces/invitations/${invitationId}/accept`, {}, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  },
+
+  /**
+   * Refuser une invitation
+   * DELETE /api/workspaces/invitations/:invitationId
+   * @param {string} invitationId - UUID de l'invitation
+   * @param {string} token - JWT token
+   */
+  async declineInvitation(invitationId, token) {
+    const response = await axios.delete(`${API_URL}/api/workspaces/invitations/${invitationId}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  }
+};
+
+export default workspacesService;
@@ -0,0 +1,196 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import workspacesService from '../services/workspacesService';
+import { useAuthStore } from '../../auth/store/authStore';
+
+/**
+ * Workspaces Store (Zustand)
+ * Gère les workspaces d'équipe du user et le workspace actif dans la sidebar
+ *
+ * State:
+ * - workspaces: Array des workspaces { id, name, icon, role, member_count, page_count }
+ * - invitations: Invitations en attente reçues par le user
+ * - currentWorkspaceId: Workspace affiché (null = pages personnelles)
+ * - loading: Boolean pour état de chargement
+ * - error: Message d'erreur si présent
+ *
+ * Actions:
+ * - fetchWorkspaces: Récupérer les workspaces du user
+ * - fetchInvitations: Récupérer les invitations reçues
+ * - createWorkspace: Créer un workspace (le user devient owner)
+ * - acceptInvitation / declineInvitation: Répondre à une invitation
+ * - setCurrentWorkspace: Changer de workspace actif
+ * - getCurrentRole: Rôle du user dans le workspace actif ('owner' pour les pages personnelles)
+ */
+export const useWorkspacesStore = create(
+  persist(
+    (set, get) => ({
+      // ============================================
+      // STATE
+      // ============================================
+      workspaces: [],
+      invitations: [],
+      currentWorkspaceId: null,
+      loading: false,
+      error: null,
+
+      // ============================================
+      // ACTIONS - API
+      // ============================================
+
+      /**
+       * Récupérer les workspaces du user
+       * Revient aux pages personnelles si le workspace actif n'est plus accessible
+       */
+      fetchWorkspaces: async () => {
+        set({ loading: true, error: null });
+        try {
+          const token = useAuthStore.getState().getToken();
+          const response = await workspacesService.getAll(token);
+          const workspaces = response.data.data;
+
+          set({ workspaces, loading: false, error: null });
+
+          const { currentWorkspaceId } = get();
+          if (currentWorkspaceId && !workspaces.find(w => w.id === currentWorkspaceId)) {
+            set({ currentWorkspaceId: null });
+          }
+
+          return { success: true, workspaces };
+        } catch (error) {
+          const errorMessage = error.response?.data?.message || error.message;
+          set({ error: errorMessage, loading: false });
+          return { success: false, error: errorMessage };
+        }
+      },
+
+      /**
+       * Récupérer les invitations en attente reçues par le user
+       */
+      fetchInvitations: async () => {
+        try {
+          const token = useAuthStore.getState().getToken();
+          const response = await workspacesService.getInvitations(token);
+          const invitations = response.data.data;
+
+          set({ invitations });
+
+          return { success: true, invitations };
+        } catch (error) {
+          const errorMessage = error.response?.data?.message || error.message;
+          return { success: false, error: errorMessage };
+        }
+      },
+
+      /**
+       * Créer un workspace
+       * @param {object} workspaceData - { name, icon? }
+       */
+      createWorkspace: async (workspaceData) => {
+        try {
+          const token = useAuthStore.getState().getToken();
+          const response = await workspacesService.create(workspaceData, token);
+          const workspace = response.data.data;
+
+          const workspaces = [...get().workspaces, workspace]
+            .sort((a, b) => a.name.localeCompare(b.name));
+          set({ workspaces });
+
+          return { success: true, workspace };
+        } catch (error) {
+          const errorMessage = error.response?.data?.message || error.message;
+          return { success: false, error: errorMessage };
+        }
+      },
+
+      /**
+       * Accepter une invitation puis recharger les workspaces
+       * @param {string} invitationId - UUID de l'invitation
+       */
+      acceptInvitation: async (invitationId) => {
+        try {
+          const token = useAuthStore.getState().getToken();
+          const response = await workspacesService.acceptInvitation(invitationId, token);
+          const workspace = response.data.data;
+
+          set({ invitations: get().invitations.filter(i => i.id !== invitationId) });
+          await get().fetchWorkspaces();
+
+          return { success: true, workspace, message: response.data.message };
+        } catch (error) {
+          const errorMessage = error.response?.data?.message || error.message;
+          return { success: false, error: errorMessage };
+        }
+      },
+
+      /**
+       * Refuser une invitation
+       * @param {string} invitationId - UUID de l'invitation
+       */
+      declineInvitation: async (invitationId) => {
+        try {
+          const token = useAuthStore.getState().getToken();
+          await workspacesService.declineInvitation(invitationId, token);
+
+          set({ invitations: get().invitations.filter(i => i.id !== invitationId) });
+
+          return { success: true };
+        } catch (error) {
+          const errorMessage = error.response?.data?.message || error.message;
+          return { success: false, error: errorMessage };
+        }
+      },
+
+      // ============================================
+      // ACTIONS - UI
+      // ============================================
+
+      /**
+       * Changer de workspace actif
+       * @param {string|null} workspaceId - UUID du workspace (null = pages personnelles)
+       */
+      setCurrentWorkspace: (workspaceId) => {
+        set({ currentWorkspaceId: workspaceId || null });
+      },
+
+      /**
+       * Workspace actif (null = pages personnelles)
+       * @returns {object|null} Workspace
+       */
+      getCurrentWorkspace: () => {
+        const { workspaces, currentWorkspaceId } = get();
+        return workspaces.find(w => w.id === currentWorkspaceId) || null;
+      },
+
+      /**
+       * Rôle du user dans le workspace actif
+       * Les pages personnelles appartiennent au user: 'owner'
+       * @returns {string} 'owner' | 'editor' | 'viewer'
+       */
+      getCurrentRole: () => {
+        const workspace = get().getCurrentWorkspace();
+        return workspace ? workspace.role : 'owner';
+      },
+
+      /**
+       * Reset store (logout)
+       */
+      reset: () => {
+        set({
+          workspaces: [],
+          invitations: [],
+          currentWorkspaceId: null,
+          loading: false,
+          error: null
+        });
+      }
+    }),
+    {
+      name: 'pingrid-workspaces-storage',
+      // Persister uniquement le workspace actif
+      partialize: (state) => ({
+        currentWorkspaceId: state.currentWorkspaceId
+      })
+    }
+  )
+);
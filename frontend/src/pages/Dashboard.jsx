@@ -1,11 +1,15 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useAuthStore } from '../features/auth/store/authStore';
 import { usePagesStore } from '../features/pages/store/pagesStore';
 import { useSectionsStore } from '../features/sections/store/sectionsStore';
 import { useGroupsStore } from '../features/groups/store/groupsStore';
+import { isDynamicType } from '../features/groups/utils/dynamicRules';
 import { useBookmarksStore } from '../features/bookmarks/store/bookmarksStore';
 import { useViewModeStore } from '../shared/store/viewModeStore';
 import { useSearchStore } from '../shared/store/searchStore';
+import { useWorkspacesStore } from '../features/workspaces/store/workspacesStore';
+import { useHistoryStore } from '../shared/store/historyStore';
+import { startRealtimeSync } from '../shared/services/realtimeSync';
 import { KeyboardNavigationProvider, useKeyboardNavigation } from '../shared/context/KeyboardNavigationContext';
 import { useTheme } from '../shared/theme/useTheme';
 import { useNavigate } from 'react-router-dom';
@@ -13,9 +17,18 @@ import Sidebar from '../features/pages/components/Sidebar';
 import PageView from '../features/pages/components/PageView';
 import StaticPageView from '../shared/components/StaticPageView';
 import ViewModeToggle from '../shared/components/ViewModeToggle';
+import UndoToast from '../shared/components/UndoToast';
+import BulkActionBar from '../features/bookmarks/components/BulkActionBar';
 import CreatePageModal from '../features/pages/components/CreatePageModal';
 import EditPageModal from '../features/pages/components/EditPageModal';
+import SharePageDialog from '../features/pages/components/SharePageDialog';
 import ImportDialog from '../features/import/ImportDialog';
+import ExportDialog from '../features/export/ExportDialog';
+import LinkHealthDialog from '../features/linkHealth/LinkHealthDialog';
+import DuplicatesDialog from '../features/duplicates/DuplicatesDialog';
+import TrashDialog from '../features/trash/TrashDialog';
+import ActivityDialog from '../features/activity/ActivityDialog';
+import WorkspacesDialog from '../features/workspaces/WorkspacesDialog';
 
 /**
  * DashboardContent Component - Inner component that uses keyboard navigation
@@ -27,7 +40,10 @@ function DashboardContent() {
   const { getGroupsForSection } = useGroupsStore();
   const { getBookmarksForGroup } = useBookmarksStore();
   const { mode, loadCaches, generatePageCache, cacheLoaded } = useViewModeStore();
+  const { currentWorkspaceId, fetchWorkspaces, fetchInvitations } = useWorkspacesStore();
+  const isWorkspaceViewer = useWorkspacesStore((state) => state.getCurrentRole() === 'viewer');
   const { isSearchActive, searchResults } = useSearchStore();
+  const { undo, redo } = useHistoryStore();
   const { theme } = useTheme();
   const navigate = useNavigate();
 
@@ -46,8 +62,15 @@ function DashboardContent() {
   const [editingPage, setEditingPage] = useState(null);
   const [isDeleteDialogOpen, setIsDeleteDialogOpen] = useState(false);
   const [deletingPage, setDeletingPage] = useState(null);
+  const [sharingPage, setSharingPage] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
   const [isImportDialogOpen, setIsImportDialogOpen] = useState(false);
+  const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
+  const [isLinkHealthDialogOpen, setIsLinkHealthDialogOpen] = useState(false);
+  const [isDuplicatesDialogOpen, setIsDuplicatesDialogOpen] = useState(false);
+  const [isTrashDialogOpen, setIsTrashDialogOpen] = useState(false);
+  const [isActivityDialogOpen, setIsActivityDialogOpen] = useState(false);
+  const [isWorkspacesDialogOpen, setIsWorkspacesDialogOpen] = useState(false);
   const [isSaveConfirmOpen, setIsSaveConfirmOpen] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [lastSavedTime, setLastSavedTime] = useState(null);
@@ -57,10 +80,68 @@ function DashboardContent() {
     loadCaches();
   }, [loadCaches]);
 
-  // Fetch pages on mount
+  // Fetch workspaces and pending invitations on mount
+  useEffect(() => {
+    fetchWorkspaces();
+    fetchInvitations();
+  }, [fetchWorkspaces, fetchInvitations]);
+
+  // Fetch pages on mount and when switching workspace
   useEffect(() => {
     fetchPages();
-  }, [fetchPages]);
+  }, [fetchPages, currentWorkspaceId]);
+
+  // Viewers cannot edit a workspace: force View mode
+  useEffect(() => {
+    if (isWorkspaceViewer && mode === 'edit') {
+      useViewModeStore.getState().setMode('view');
+    }
+  }, [isWorkspaceViewer, mode]);
+
+  // Live updates from other tabs and teammates (invalidate View mode caches)
+  useEffect(() => {
+    const stopRealtimeSync = startRealtimeSync();
+    return stopRealtimeSync;
+  }, []);
+
+  // Rebuild the View mode cache here when Edit mode won't: viewers never go through it,
+  // and a live update may have invalidated the cache of the page being viewed
+  const hasCurrentPageCache = useViewModeStore((state) => !!currentPage && !!state.cachedPages[currentPage.id]);
+  const lastViewerPageIdRef = useRef(null);
+
+  useEffect(() => {
+    if (!currentPage || !cacheLoaded) return;
+
+    const cacheMissing = mode === 'view' && !hasCurrentPageCache;
+    const viewerFirstVisit = isWorkspaceViewer && lastViewerPageIdRef.current !== currentPage.id;
+    if (!cacheMissing && !viewerFirstVisit) return;
+
+    if (isWorkspaceViewer) {
+      lastViewerPageIdRef.current = currentPage.id;
+    }
+
+    const loadPageForView = async () => {
+      const { success, sections } = await useSectionsStore.getState().fetchSections(currentPage.id);
+      if (!success) return;
+
+      const groupResults = await Promise.all(
+        sections.map(section => useGroupsStore.getState().fetchGroups(section.id))
+      );
+      const groups = groupResults.flatMap(result => (result.success ? result.groups : []));
+      await Promise.all(
+        groups
+          .filter(group => !isDynamicType(group.group_type))
+          .map(group => useBookmarksStore.getState().fetchBookmarks(group.id))
+      );
+
+      const pageData = await buildPageCache();
+      if (pageData) {
+        await generatePageCache(currentPage.id, pageData);
+      }
+    };
+
+    loadPageForView().catch(error => console.error('Failed to rebuild page cache:', error));
+  }, [isWorkspaceViewer, currentPage?.id, mode, cacheLoaded, hasCurrentPageCache]);
 
   // Auto-select first page if none selected
   useEffect(() => {
@@ -84,11 +165,25 @@ function DashboardContent() {
         return;
       }
       // Ignore if a modal is open
-      if (isCreateModalOpen || isEditModalOpen || isDeleteDialogOpen || isSaveConfirmOpen) {
+      if (isCreateModalOpen || isEditModalOpen || isDeleteDialogOpen || isSaveConfirmOpen || sharingPage || isWorkspacesDialogOpen) {
         console.log('[Dashboard] Ignoring key - modal is open');
         return;
       }
 
+      // Undo / redo (Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y - Cmd on macOS)
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+        // Keep native text undo in the search bar
+        if (e.target.tagName === 'INPUT') return;
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+          redo();
+        } else {
+          undo();
+        }
+        return;
+      }
+
       switch (e.key) {
         case 'ArrowUp':
           e.preventDefault();
@@ -146,25 +241,34 @@ function DashboardContent() {
     navigateLeft,
     navigateRight,
     openSelectedBookmark,
+    undo,
+    redo,
     isCreateModalOpen,
     isEditModalOpen,
     isDeleteDialogOpen,
-    isSaveConfirmOpen
+    isSaveConfirmOpen,
+    sharingPage,
+    isWorkspacesDialogOpen
   ]);
 
   // Generate cache - extracted as reusable function
   const buildPageCache = async () => {
     if (!currentPage) return null;
 
-    // Get top-used bookmarks for dynamic groups - ALWAYS fetch fresh data
-    let topUsedBookmarks = [];
-    const result = await useBookmarksStore.getState().fetchTopUsed(50);
-    if (result.success) {
-      topUsedBookmarks = result.topUsed;
-    }
+    const sections = getSectionsForPage(currentPage.id);
+
+    // Dynamic groups: rules are evaluated server-side - ALWAYS fetch fresh data
+    const { fetchDynamicBookmarks } = useGroupsStore.getState();
+    const dynamicGroups = sections
+      .flatMap(section => getGroupsForSection(section.id))
+      .filter(group => isDynamicType(group.group_type));
+    const dynamicResults = await Promise.all(dynamicGroups.map(group => fetchDynamicBookmarks(group.id)));
+    const dynamicBookmarksByGroup = {};
+    dynamicGroups.forEach((group, index) => {
+      dynamicBookmarksByGroup[group.id] = dynamicResults[index].success ? dynamicResults[index].bookmarks : [];
+    });
 
     // Build full page snapshot
-    const sections = getSectionsForPage(currentPage.id);
     const pageData = {
       id: currentPage.id,
       name: currentPage.name,
@@ -172,27 +276,26 @@ function DashboardContent() {
         id: section.id,
         name: section.name,
         groups: getGroupsForSection(section.id).map(group => {
-          // For dynamic groups, use top-used bookmarks
-          if (group.group_type === 'dynamic-top-used') {
-            const limit = group.bookmark_limit || 10;
-            const colCount = group.column_count || 1;
-            const dynamicBookmarks = topUsedBookmarks.slice(0, limit).map((b, index) => ({
-              id: b.id,
-              title: b.title,
-              url: b.url,
-              favicon_url: b.favicon_url,
-              column: (index % colCount) + 1,
-              position: index,
-              visit_count: b.visit_count
-            }));
+          // For dynamic groups, bookmarks come already laid out (column/position) by the server
+          if (isDynamicType(group.group_type)) {
             return {
               id: group.id,
               name: group.name,
-              column_count: colCount,
+              column_count: group.column_count || 1,
               group_type: group.group_type,
               bookmark_limit: group.bookmark_limit,
+              rule_params: group.rule_params || {},
               width: group.width || '100%',
-              bookmarks: dynamicBookmarks
+              bookmarks: dynamicBookmarksByGroup[group.id].map(b => ({
+                id: b.id,
+                title: b.title,
+                url: b.url,
+                favicon_url: b.favicon_url,
+                column: b.column,
+                position: b.position,
+                visit_count: b.visit_count,
+                tags: b.tags || []
+              }))
             };
           }
           return {
@@ -207,7 +310,8 @@ function DashboardContent() {
               url: b.url,
               favicon_url: b.favicon_url,
               column: b.column,
-              position: b.position
+              position: b.position,
+              tags: b.tags || []
             }))
           };
         })
@@ -355,9 +459,19 @@ function DashboardContent() {
         onCreateClick={handleCreateClick}
         onEditClick={handleEditClick}
         onDeleteClick={handleDeleteClick}
+        onShareClick={setSharingPage}
         onImportClick={() => setIsImportDialogOpen(true)}
+        onExportClick={() => setIsExportDialogOpen(true)}
+        onHealthClick={() => setIsLinkHealthDialogOpen(true)}
+        onDuplicatesClick={() => setIsDuplicatesDialogOpen(true)}
+        onTrashClick={() => setIsTrashDialogOpen(true)}
+        onActivityClick={() => setIsActivityDialogOpen(true)}
+        onAnalyticsClick={() => navigate('/analytics')}
+        onWorkspacesClick={() => setIsWorkspacesDialogOpen(true)}
+        onSecurityClick={() => navigate('/settings/security')}
+        onAccountClick={() => navigate('/settings/account')}
         mode={mode}
-        onToggleMode={() => useViewModeStore.getState().toggleMode()}
+        onToggleMode={isWorkspaceViewer ? null : () => useViewModeStore.getState().toggleMode()}
         onBeforeToggle={handleBeforeToggle}
       />
 
@@ -383,12 +497,61 @@ function DashboardContent() {
         page={editingPage}
       />
 
+      {/* Share Page Dialog (public read-only link) */}
+      <SharePageDialog
+        isOpen={!!sharingPage}
+        onClose={() => setSharingPage(null)}
+        page={sharingPage}
+      />
+
       {/* Import Dialog */}
       <ImportDialog
         isOpen={isImportDialogOpen}
         onClose={() => setIsImportDialogOpen(false)}
       />
 
+      {/* Export Dialog */}
+      <ExportDialog
+        isOpen={isExportDialogOpen}
+        onClose={() => setIsExportDialogOpen(false)}
+      />
+
+      {/* Link Health Dialog */}
+      <LinkHealthDialog
+        isOpen={isLinkHealthDialogOpen}
+        onClose={() => setIsLinkHealthDialogOpen(false)}
+      />
+
+      {/* Duplicates Dialog */}
+      <DuplicatesDialog
+        isOpen={isDuplicatesDialogOpen}
+        onClose={() => setIsDuplicatesDialogOpen(false)}
+      />
+
+      {/* Undo toast (after deletes, undo/redo feedback) */}
+      <UndoToast />
+
+      {/* Bulk actions on multi-selected bookmarks (Edit mode) */}
+      <BulkActionBar />
+
+      {/* Trash Dialog */}
+      <TrashDialog
+        isOpen={isTrashDialogOpen}
+        onClose={() => setIsTrashDialogOpen(false)}
+      />
+
+      {/* Activity Dialog */}
+      <ActivityDialog
+        isOpen={isActivityDialogOpen}
+        onClose={() => setIsActivityDialogOpen(false)}
+      />
+
+      {/* Workspaces Dialog */}
+      <WorkspacesDialog
+        isOpen={isWorkspacesDialogOpen}
+        onClose={() => setIsWorkspacesDialogOpen(false)}
+      />
+
       {/* Save Confirmation Dialog */}
       {isSaveConfirmOpen && (
         <div style={themedStyles.overlay} onClick={() => setIsSaveConfirmOpen(false)}>
@@ -439,7 +602,7 @@ function DashboardContent() {
               Are you sure you want to delete "<strong>{deletingPage?.name}</strong>"?
               <br />
               <span style={themedStyles.deleteWarning}>
-                This action cannot be undone. All sections, groups, and bookmarks in this page will be deleted.
+                The page and all its sections, groups, and bookmarks will be moved to the trash. You can restore them from the Trash.
               </span>
             </p>
             <div style={styles.deleteActions}>
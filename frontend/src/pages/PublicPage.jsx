@@ -0,0 +1,147 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { ThemeContext } from '../shared/theme/ThemeContext';
+import { ALL_THEMES, DEFAULT_THEME_ID, getThemeById } from '../shared/theme/themes';
+import PageSections from '../shared/components/PageSections';
+import pagesService from '../features/pages/services/pagesService';
+
+/**
+ * PublicPage
+ *
+ * Read-only shared page (/p/:slug), no account needed.
+ * Rendered with the View mode layout (PageSections) and the owner's theme,
+ * provided through a local ThemeContext so the visitor's own theme
+ * preference (localStorage) is left untouched.
+ */
+export default function PublicPage() {
+  const { slug } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    pagesService.getPublic(slug)
+      .then((response) => {
+        if (!cancelled) setData(response.data.data);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.response?.status === 404
+            ? 'This link is invalid or sharing has been turned off.'
+            : err.response?.data?.error || err.message || 'Failed to load page');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug]);
+
+  const themeContext = useMemo(() => {
+    const themeId = getThemeById(data?.theme_id) ? data.theme_id : DEFAULT_THEME_ID;
+    return {
+      theme: getThemeById(themeId),
+      currentThemeId: themeId,
+      switchTheme: () => {},
+      allThemes: ALL_THEMES
+    };
+  }, [data?.theme_id]);
+
+  const { theme } = themeContext;
+
+  useEffect(() => {
+    document.title = data ? `${data.page.name} - PinGrid` : 'PinGrid';
+  }, [data]);
+
+  return (
+    <ThemeContext.Provider value={themeContext}>
+      <div style={{ ...styles.container, backgroundColor: theme.colors.background }}>
+        {loading ? (
+          <div style={styles.state}>
+            <div style={styles.stateIcon}>⏳</div>
+            <p style={{ ...styles.stateText, color: theme.colors.textMuted }}>Loading...</p>
+          </div>
+        ) : error ? (
+          <div style={styles.state}>
+            <div style={styles.stateIcon}>🔒</div>
+            <p style={{ ...styles.stateText, color: theme.colors.textMuted }}>{error}</p>
+          </div>
+        ) : (
+          <>
+            <header style={{ ...styles.header, borderColor: theme.colors.border }}>
+              <span style={styles.pageIcon}>{data.page.icon}</span>
+              <h1 style={{ ...styles.pageTitle, color: theme.colors.textPrimary }}>{data.page.name}</h1>
+              <span style={{ ...styles.badge, color: theme.colors.primary, borderColor: theme.colors.border }}>
+                Read-only
+              </span>
+            </header>
+
+            <PageSections pageData={data} showVisitBadges={false} />
+          </>
+        )}
+      </div>
+    </ThemeContext.Provider>
+  );
+}
+
+const styles = {
+  container: {
+    padding: '24px',
+    minHeight: '100vh',
+    boxSizing: 'border-box'
+  },
+
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '24px',
+    paddingBottom: '16px',
+    borderBottom: '1px solid'
+  },
+
+  pageIcon: {
+    fontSize: '28px'
+  },
+
+  pageTitle: {
+    margin: 0,
+    fontSize: '24px',
+    fontWeight: '700'
+  },
+
+  badge: {
+    marginLeft: 'auto',
+    fontSize: '12px',
+    fontWeight: '500',
+    padding: '4px 12px',
+    borderRadius: '12px',
+    border: '1px solid'
+  },
+
+  state: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '96px 24px',
+    textAlign: 'center'
+  },
+
+  stateIcon: {
+    fontSize: '48px',
+    marginBottom: '16px'
+  },
+
+  stateText: {
+    margin: 0,
+    fontSize: '16px'
+  }
+};
@@ -9,13 +9,13 @@ import { useKeyboardNavigation } from '../context/KeyboardNavigationContext';
  * Displays global search results in a clean grid layout
  *
  * Features:
- * - Shows all matching bookmarks across all pages/sections/groups
+ * - Shows all matching bookmarks across all pages/sections/groups (ranked by GET /api/search)
  * - Displays context (Page > Section > Group) for each result
  * - Click to open bookmark + track click
  * - Keyboard navigation support
  */
 export default function SearchResultsView() {
-    const { searchQuery, searchResults, totalMatches } = useSearchStore();
+    const { searchQuery, searchResults, totalMatches, isSearching, searchError } = useSearchStore();
     const { trackClick } = useBookmarksStore();
     const { faviconSize, fontSize } = useViewModeStore();
     const { theme } = useTheme();
@@ -23,7 +23,7 @@ export default function SearchResultsView() {
 
     const handleBookmarkClick = (result) => {
         // Track the click
-        trackClick(result.bookmark.id, result.group.id);
+        trackClick(result.bookmark.id, result.group.id, 'search');
         // Open in new tab
         window.open(result.bookmark.url, '_blank', 'noopener,noreferrer');
     };
@@ -86,7 +86,24 @@ export default function SearchResultsView() {
         return (
             <div style={themedStyles.container}>
                 <div style={themedStyles.emptyState}>
-                    {searchQuery ? (
+                    {searchQuery && isSearching ? (
+                        <>
+                            <div style={{ fontSize: '48px', marginBottom: '16px' }}>🔍</div>
+                            <div style={{ fontSize: '18px', fontWeight: '600' }}>
+                                Searching...
+                            </div>
+                        </>
+                    ) : searchQuery && searchError ? (
+                        <>
+                            <div style={{ fontSize: '48px', marginBottom: '16px' }}>⚠️</div>
+                            <div style={{ fontSize: '18px', fontWeight: '600', marginBottom: '8px' }}>
+                                Search failed
+                            </div>
+                            <div style={{ fontSize: '14px' }}>
+                                {searchError}
+                            </div>
+                        </>
+                    ) : searchQuery ? (
                         <>
                             <div style={{ fontSize: '48px', marginBottom: '16px' }}>🔍</div>
                             <div style={{ fontSize: '18px', fontWeight: '600', marginBottom: '8px' }}>
@@ -129,6 +146,8 @@ export default function SearchResultsView() {
                             key={instanceId}
                             data-bookmark-id={instanceId}
                             data-bookmark-url={result.bookmark.url}
+                            data-bookmark-uuid={result.bookmark.id}
+                            data-group-id={result.group.id}
                             style={{
                                 ...themedStyles.resultCard,
                                 ...(isSelected ? themedStyles.resultCardSelected : {})
@@ -0,0 +1,87 @@
+import { useHistoryStore } from '../store/historyStore';
+
+/**
+ * UndoToast Component
+ *
+ * Bottom toast driven by the history store:
+ * - After a delete: "Deleted ..." with an Undo button
+ * - After Ctrl+Z / Ctrl+Shift+Z: what was undone / redone (or why it failed)
+ */
+export default function UndoToast() {
+    const { toast, undo, dismissToast, isReplaying } = useHistoryStore();
+
+    if (!toast) return null;
+
+    const handleUndo = async () => {
+        dismissToast();
+        await undo();
+    };
+
+    return (
+        <div
+            key={toast.id}
+            role="status"
+            style={{
+                ...styles.toast,
+                ...(toast.kind === 'error' ? styles.errorToast : {})
+            }}
+        >
+            <span style={styles.label}>{toast.label}</span>
+            {toast.kind === 'undo' && (
+                <button onClick={handleUndo} disabled={isReplaying} style={styles.undoButton}>
+                    Undo
+                </button>
+            )}
+            <button onClick={dismissToast} style={styles.closeButton} title="Dismiss">
+                ×
+            </button>
+        </div>
+    );
+}
+
+const styles = {
+    toast: {
+        position: 'fixed',
+        bottom: '24px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        maxWidth: '90vw',
+        padding: '10px 12px 10px 16px',
+        borderRadius: '8px',
+        backgroundColor: '#333',
+        color: 'white',
+        fontSize: '14px',
+        boxShadow: '0 4px 16px rgba(0, 0, 0, 0.25)',
+        zIndex: 1100
+    },
+    errorToast: {
+        backgroundColor: '#c62828'
+    },
+    label: {
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap'
+    },
+    undoButton: {
+        padding: '4px 10px',
+        border: 'none',
+        borderRadius: '4px',
+        backgroundColor: 'transparent',
+        color: '#90caf9',
+        fontSize: '14px',
+        fontWeight: '600',
+        cursor: 'pointer'
+    },
+    closeButton: {
+        padding: '0 4px',
+        border: 'none',
+        backgroundColor: 'transparent',
+        color: 'rgba(255, 255, 255, 0.7)',
+        fontSize: '18px',
+        lineHeight: 1,
+        cursor: 'pointer'
+    }
+};
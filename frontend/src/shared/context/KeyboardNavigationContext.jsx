@@ -239,7 +239,7 @@ export function KeyboardNavigationProvider({ children }) {
     }, [selectedBookmarkId, buildVisualGrid, findPosition, scrollToBookmark]);
 
     /**
-     * Open selected bookmark
+     * Open selected bookmark (tracked as a 'keyboard' click)
      */
     const openSelectedBookmark = useCallback(() => {
         if (!selectedBookmarkId) return;
@@ -249,6 +249,10 @@ export function KeyboardNavigationProvider({ children }) {
             // Get URL from data-bookmark-url (for divs in search) or href (for links)
             const url = element.getAttribute('data-bookmark-url') || element.getAttribute('href');
             if (url) {
+                const bookmarkId = element.getAttribute('data-bookmark-uuid');
+                if (bookmarkId) {
+                    useBookmarksStore.getState().trackClick(bookmarkId, element.getAttribute('data-group-id'), 'keyboard');
+                }
                 window.open(url, '_blank', 'noopener,noreferrer');
             }
         }
@@ -0,0 +1,92 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Identifiant de cet onglet, envoyé avec chaque requête (header X-Client-Id):
+ * le serveur ne renvoie pas à un onglet ses propres modifications
+ */
+const CLIENT_ID = typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+axios.defaults.headers.common['X-Client-Id'] = CLIENT_ID;
+
+// Délai avant de rouvrir un flux refusé par le serveur
+const RETRY_DELAY_MS = 5 * 1000;
+
+/**
+ * Realtime Service
+ * Flux Server-Sent Events des modifications faites dans les autres onglets
+ * ou par les coéquipiers d'un workspace
+ */
+const realtimeService = {
+  clientId: CLIENT_ID,
+
+  /**
+   * Ouvrir le flux des modifications
+   * GET /api/realtime/events (EventSource ne gère pas les headers: token en query)
+   * EventSource se reconnecte seul après une coupure réseau; un flux refusé
+   * (access token expiré) est rouvert avec un token renouvelé.
+   * Les événements manqués entre-temps sont signalés par onReconnect
+   * @param {string} token - JWT access token
+   * @param {object} handlers - { onChange(event), onReconnect(), renewToken() → Promise<string|null> }
+   * @returns {function} Fermeture du flux
+   */
+  connect(token, { onChange, onReconnect, renewToken }) {
+    let source = null;
+    let connected = false;
+    let closed = false;
+    let retryTimer = null;
+
+    const scheduleRetry = () => {
+      retryTimer = setTimeout(async () => {
+        const newToken = await renewToken();
+        if (closed) return;
+        if (newToken) {
+          open(newToken);
+        } else {
+          scheduleRetry();
+        }
+      }, RETRY_DELAY_MS);
+    };
+
+    const open = (accessToken) => {
+      const params = new URLSearchParams({ token: accessToken, clientId: CLIENT_ID });
+      source = new EventSource(`${API_URL}/api/realtime/events?${params}`);
+
+      source.addEventListener('ready', () => {
+        if (connected && onReconnect) {
+          onReconnect();
+        }
+        connected = true;
+      });
+
+      source.addEventListener('change', (e) => {
+        try {
+          onChange(JSON.parse(e.data));
+        } catch (error) {
+          console.error('Invalid realtime event:', error);
+        }
+      });
+
+      // CLOSED = EventSource abandonne (réponse HTTP en erreur), sinon il se reconnecte seul
+      source.addEventListener('error', () => {
+        if (closed || source.readyState !== EventSource.CLOSED) return;
+        if (renewToken) {
+          scheduleRetry();
+        }
+      });
+    };
+
+    open(token);
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source.close();
+    };
+  }
+};
+
+export default realtimeService;
@@ -0,0 +1,70 @@
+import realtimeService from './realtimeService';
+import { useViewModeStore } from '../store/viewModeStore';
+import { usePagesStore } from '../../features/pages/store/pagesStore';
+import { useSectionsStore } from '../../features/sections/store/sectionsStore';
+import { useGroupsStore } from '../../features/groups/store/groupsStore';
+import { useBookmarksStore } from '../../features/bookmarks/store/bookmarksStore';
+import { useWorkspacesStore } from '../../features/workspaces/store/workspacesStore';
+import { useAuthStore } from '../../features/auth/store/authStore';
+
+/**
+ * Recharger tout ce qui est affiché et invalider tous les caches du mode View
+ * (événements manqués pendant une déconnexion, restauration d'un backup)
+ */
+async function resyncAll() {
+  const { cachedPages, clearPageCache } = useViewModeStore.getState();
+  const { sectionsByPage, fetchSections } = useSectionsStore.getState();
+  const { groupsBySection, fetchGroups } = useGroupsStore.getState();
+  const { bookmarksByGroup, fetchBookmarks } = useBookmarksStore.getState();
+
+  await Promise.all(Object.keys(cachedPages).map((pageId) => clearPageCache(pageId)));
+  await Promise.all([
+    useWorkspacesStore.getState().fetchWorkspaces(),
+    usePagesStore.getState().fetchPages(),
+    ...Object.keys(sectionsByPage).map((id) => fetchSections(id)),
+    ...Object.keys(groupsBySection).map((id) => fetchGroups(id)),
+    ...Object.keys(bookmarksByGroup).map((id) => fetchBookmarks(id))
+  ]);
+}
+
+/**
+ * Appliquer une modification reçue: chaque store patche ce qu'il a chargé,
+ * les pages touchées perdent leur cache (reconstruit au prochain affichage en mode View)
+ * @param {object} event - { entity, action, id, parentIds, data, pageIds }
+ */
+async function handleChange(event) {
+  if (event.entity === 'page' && event.action === 'import') {
+    await resyncAll();
+    return;
+  }
+
+  const { clearPageCache } = useViewModeStore.getState();
+  await Promise.all(event.pageIds.map((pageId) => clearPageCache(pageId)));
+
+  await Promise.all([
+    usePagesStore.getState().applyRemoteEvent(event),
+    useSectionsStore.getState().applyRemoteEvent(event),
+    useGroupsStore.getState().applyRemoteEvent(event),
+    useBookmarksStore.getState().applyRemoteEvent(event)
+  ]);
+}
+
+/**
+ * Démarrer la synchronisation temps réel (appelé au mount du Dashboard)
+ * @returns {function} Arrêt de la synchronisation
+ */
+export function startRealtimeSync() {
+  return realtimeService.connect(useAuthStore.getState().getToken(), {
+    onChange: (event) => {
+      handleChange(event).catch((error) => console.error('Realtime sync failed:', error));
+    },
+    onReconnect: () => {
+      resyncAll().catch((error) => console.error('Realtime resync failed:', error));
+    },
+    // Flux refusé: l'access token a expiré pendant la coupure
+    renewToken: async () => {
+      const result = await useAuthStore.getState().refreshSession();
+      return result.success ? result.token : null;
+    }
+  });
+}
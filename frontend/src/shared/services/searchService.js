@@ -0,0 +1,31 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+/**
+ * Search Service
+ * Gère les appels API pour la recherche globale de bookmarks
+ *
+ * Toutes les méthodes nécessitent un token JWT (passé via authStore.getToken())
+ */
+const searchService = {
+  /**
+   * Rechercher dans tous les bookmarks du user (title, url, description)
+   * GET /api/search?q=X&limit=N
+   * @param {string} query - Texte recherché
+   * @param {number} limit - Nombre max de résultats
+   * @param {string} token - JWT token
+   * @returns {Promise} Response avec { success, data: { query, results, count, total } }
+   */
+  async search(query, limit, token) {
+    const response = await axios.get(`${API_URL}/api/search`, {
+      params: { q: query, limit },
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    return response;
+  }
+};
+
+export default searchService;
@@ -0,0 +1,197 @@
+import { create } from 'zustand';
+
+// Nombre max d'actions gardées dans l'historique
+const MAX_HISTORY = 50;
+// Durée d'affichage du toast "Undo" (ms)
+const TOAST_DURATION_MS = 6000;
+
+let toastTimer = null;
+// Entrées collectées pendant un runBatch (null = pas de batch en cours)
+let pendingBatch = null;
+
+/**
+ * Throw if a store action failed (store actions return { success, error })
+ * Used by undo/redo commands so a failed replay is reported instead of ignored.
+ * @param {object} result - Result of a store action
+ * @returns {object} The same result
+ */
+export function ensureSuccess(result) {
+  if (!result?.success) {
+    throw new Error(result?.error || 'Action failed');
+  }
+  return result;
+}
+
+/**
+ * History Store (Zustand)
+ *
+ * Client-side undo/redo for layout and content edits.
+ * Feature stores record a command after each successful mutation:
+ * { label, undo: async () => {}, redo: async () => {}, destructive? }
+ * undo() replays the inverse against the API through the same store actions;
+ * nothing is recorded while a command is being replayed.
+ *
+ * State:
+ * - undoStack / redoStack: Recorded commands (most recent last)
+ * - isReplaying: True while an undo/redo is running
+ * - toast: { id, label, kind } - Feedback shown after destructive actions / replays
+ *
+ * Actions:
+ * - record: Push a command (clears the redo stack)
+ * - runBatch: Record every command issued by fn as a single entry
+ * - undo / redo: Replay the last command (Ctrl+Z / Ctrl+Shift+Z)
+ * - dismissToast: Hide the toast
+ * - reset: Clear history (logout)
+ */
+export const useHistoryStore = create((set, get) => ({
+  // ============================================
+  // STATE
+  // ============================================
+  undoStack: [],
+  redoStack: [],
+  isReplaying: false,
+  toast: null,
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  /**
+   * Record a command after a successful mutation
+   * @param {object} entry - { label, undo, redo, destructive? }
+   */
+  record: (entry) => {
+    if (get().isReplaying) return;
+
+    if (pendingBatch) {
+      pendingBatch.push(entry);
+      return;
+    }
+
+    set((state) => ({
+      undoStack: [...state.undoStack, entry].slice(-MAX_HISTORY),
+      redoStack: []
+    }));
+
+    if (entry.destructive) {
+      get().showToast(entry.label, 'undo');
+    }
+  },
+
+  /**
+   * Run several store actions as one history entry (e.g. move + reorder on drop)
+   * @param {string} label - Label of the combined entry
+   * @param {function} fn - async () => result
+   * @returns {Promise<*>} Result of fn
+   */
+  runBatch: async (label, fn) => {
+    if (pendingBatch || get().isReplaying) {
+      return fn();
+    }
+
+    pendingBatch = [];
+    let entries;
+    try {
+      return await fn();
+    } finally {
+      entries = pendingBatch;
+      pendingBatch = null;
+
+      if (entries.length === 1) {
+        get().record(entries[0]);
+      } else if (entries.length > 1) {
+        get().record({
+          label,
+          destructive: entries.some((entry) => entry.destructive),
+          undo: async () => {
+            for (const entry of [...entries].reverse()) {
+              await entry.undo();
+            }
+          },
+          redo: async () => {
+            for (const entry of entries) {
+              await entry.redo();
+            }
+          }
+        });
+      }
+    }
+  },
+
+  /**
+   * Undo the last command
+   * A command that fails to replay is dropped (the data changed in between)
+   */
+  undo: async () => {
+    const { undoStack, isReplaying } = get();
+    if (isReplaying || undoStack.length === 0) return;
+
+    const entry = undoStack[undoStack.length - 1];
+    set({ isReplaying: true, undoStack: undoStack.slice(0, -1) });
+
+    try {
+      await entry.undo();
+      set((state) => ({ redoStack: [...state.redoStack, entry] }));
+      get().showToast(`Undone: ${entry.label}`, 'info');
+    } catch (error) {
+      console.error('Undo failed:', error);
+      get().showToast(`Could not undo: ${entry.label}`, 'error');
+    } finally {
+      set({ isReplaying: false });
+    }
+  },
+
+  /**
+   * Redo the last undone command
+   */
+  redo: async () => {
+    const { redoStack, isReplaying } = get();
+    if (isReplaying || redoStack.length === 0) return;
+
+    const entry = redoStack[redoStack.length - 1];
+    set({ isReplaying: true, redoStack: redoStack.slice(0, -1) });
+
+    try {
+      await entry.redo();
+      set((state) => ({ undoStack: [...state.undoStack, entry] }));
+      get().showToast(`Redone: ${entry.label}`, 'info');
+    } catch (error) {
+      console.error('Redo failed:', error);
+      get().showToast(`Could not redo: ${entry.label}`, 'error');
+    } finally {
+      set({ isReplaying: false });
+    }
+  },
+
+  /**
+   * Show a toast (auto-hidden after TOAST_DURATION_MS)
+   * @param {string} label - Message
+   * @param {'undo' | 'info' | 'error'} kind - 'undo' shows an Undo button
+   */
+  showToast: (label, kind) => {
+    clearTimeout(toastTimer);
+    set({ toast: { id: Date.now(), label, kind } });
+    toastTimer = setTimeout(() => set({ toast: null }), TOAST_DURATION_MS);
+  },
+
+  /**
+   * Hide the toast
+   */
+  dismissToast: () => {
+    clearTimeout(toastTimer);
+    set({ toast: null });
+  },
+
+  /**
+   * Reset history (logout)
+   */
+  reset: () => {
+    clearTimeout(toastTimer);
+    set({
+      undoStack: [],
+      redoStack: [],
+      isReplaying: false,
+      toast: null
+    });
+  }
+}));
@@ -1,25 +1,34 @@
 import { create } from 'zustand';
-import { useBookmarksStore } from '../../features/bookmarks/store/bookmarksStore';
-import { usePagesStore } from '../../features/pages/store/pagesStore';
-import { useSectionsStore } from '../../features/sections/store/sectionsStore';
-import { useGroupsStore } from '../../features/groups/store/groupsStore';
+import searchService from '../services/searchService';
+import { useAuthStore } from '../../features/auth/store/authStore';
+
+// Délai avant d'appeler l'API pendant la frappe (ms)
+const SEARCH_DEBOUNCE_MS = 200;
+// Nombre max de résultats demandés au backend
+const SEARCH_LIMIT = 100;
+
+let debounceTimer = null;
+let requestCounter = 0;
 
 /**
  * Search Store (Zustand)
  *
- * Manages global bookmark search functionality with real-time filtering.
- * Searches across ALL bookmarks in ALL pages/sections/groups.
+ * Manages global bookmark search backed by GET /api/search.
+ * The backend ranks matches across ALL bookmarks (title, URL, description)
+ * and returns page/section/group breadcrumbs in a single round trip.
  *
  * State:
  * - searchQuery: Current search query string
  * - isSearchActive: Boolean indicating if search is active
+ * - isSearching: True while a request is in flight
  * - searchResults: Array of search results with context (page/section/group info)
  * - totalMatches: Total number of matching bookmarks
+ * - searchError: Last error message (null if none)
  *
  * Actions:
- * - setSearchQuery: Update search query and trigger filtering
+ * - setSearchQuery: Update search query and trigger a debounced search
  * - clearSearch: Reset search state
- * - filterBookmarks: Internal filtering logic (case-insensitive title + URL matching)
+ * - filterBookmarks: Internal search call (ignores out-of-order responses)
  */
 export const useSearchStore = create((set, get) => ({
     // ============================================
@@ -27,31 +36,50 @@ export const useSearchStore = create((set, get) => ({
     // ============================================
     searchQuery: '',                    // Current search query
     isSearchActive: false,              // True if search is currently active
+    isSearching: false,                 // True while waiting for the API
     searchResults: [],                  // Array of { bookmark, page, section, group }
     totalMatches: 0,                    // Total number of results
+    searchError: null,                  // Last error message
 
     // ============================================
     // ACTIONS
     // ============================================
 
     /**
-     * Set search query and trigger filtering
+     * Set search query and trigger filtering (debounced)
      * @param {string} query - Search query string
      */
     setSearchQuery: (query) => {
         set({ searchQuery: query });
-        get().filterBookmarks();
+
+        clearTimeout(debounceTimer);
+
+        // Empty query: reset immediately, no API call
+        if (!query.trim()) {
+            get().filterBookmarks();
+            return;
+        }
+
+        debounceTimer = setTimeout(() => {
+            get().filterBookmarks();
+        }, SEARCH_DEBOUNCE_MS);
     },
 
     /**
      * Clear search and reset to show all bookmarks
      */
     clearSearch: () => {
+        clearTimeout(debounceTimer);
+        // Invalidate any request still in flight
+        requestCounter++;
+
         set({
             searchQuery: '',
             isSearchActive: false,
+            isSearching: false,
             searchResults: [],
-            totalMatches: 0
+            totalMatches: 0,
+            searchError: null
         });
     },
 
@@ -60,76 +88,52 @@ export const useSearchStore = create((set, get) => ({
     // ============================================
 
     /**
-     * Filter bookmarks based on current search query
-     * Searches across ALL bookmarks in ALL pages/sections/groups
-     * Returns results with full context
-     *
-     * Note: Only searches in bookmarks that are already loaded in memory.
-     * To search ALL bookmarks, user must have visited all pages first,
-     * or we need a backend search endpoint.
+     * Search bookmarks matching the current query via the backend
+     * Results already have the { bookmark, page, section, group } shape
+     * expected by SearchResultsView.
      */
     filterBookmarks: async () => {
         const { searchQuery } = get();
+        const requestId = ++requestCounter;
 
         // If query is empty, deactivate search
         if (!searchQuery.trim()) {
             set({
                 isSearchActive: false,
+                isSearching: false,
                 searchResults: [],
-                totalMatches: 0
+                totalMatches: 0,
+                searchError: null
             });
             return;
         }
 
-        const query = searchQuery.toLowerCase().trim();
-        const results = [];
-
-        // Get all data from stores
-        const allPages = usePagesStore.getState().pages;
-        const sectionsStore = useSectionsStore.getState();
-        const groupsStore = useGroupsStore.getState();
-        const bookmarksStore = useBookmarksStore.getState();
-
-        // For each page, load its sections and groups to ensure bookmarks are fetched
-        for (const page of allPages) {
-            // Fetch sections for this page if not loaded
-            await sectionsStore.fetchSections(page.id);
-            const sections = sectionsStore.getSectionsForPage(page.id);
-
-            for (const section of sections) {
-                // Fetch groups for this section if not loaded
-                await groupsStore.fetchGroups(section.id);
-                const groups = groupsStore.getGroupsForSection(section.id);
-
-                for (const group of groups) {
-                    // Fetch bookmarks for this group if not already loaded
-                    let bookmarks = bookmarksStore.bookmarksByGroup[group.id];
-                    if (!bookmarks || bookmarks.length === 0) {
-                        await bookmarksStore.fetchBookmarks(group.id);
-                        bookmarks = bookmarksStore.bookmarksByGroup[group.id] || [];
-                    }
-
-                    bookmarks.forEach(bookmark => {
-                        const titleMatch = bookmark.title.toLowerCase().includes(query);
-                        const urlMatch = bookmark.url.toLowerCase().includes(query);
-
-                        if (titleMatch || urlMatch) {
-                            results.push({
-                                bookmark,
-                                page: { id: page.id, name: page.name, icon: page.icon },
-                                section: { id: section.id, name: section.name },
-                                group: { id: group.id, name: group.name }
-                            });
-                        }
-                    });
-                }
-            }
-        }
+        set({ isSearchActive: true, isSearching: true, searchError: null });
 
-        set({
-            isSearchActive: true,
-            searchResults: results,
-            totalMatches: results.length
-        });
+        try {
+            const token = useAuthStore.getState().getToken();
+            const response = await searchService.search(searchQuery.trim(), SEARCH_LIMIT, token);
+
+            // A newer query was typed meanwhile: drop this response
+            if (requestId !== requestCounter) return;
+
+            const { results, total } = response.data.data;
+
+            set({
+                isSearching: false,
+                searchResults: results,
+                totalMatches: total
+            });
+        } catch (error) {
+            if (requestId !== requestCounter) return;
+
+            console.error('Search failed:', error);
+            set({
+                isSearching: false,
+                searchResults: [],
+                totalMatches: 0,
+                searchError: error.response?.data?.error || error.message
+            });
+        }
     }
 }));